@@ -3,10 +3,15 @@
  * 
  * CAMBIOS v2:
  * - Nuevas rutas: /positions (Cargos), /branding
- * - SuperAdmin tiene acceso a todo (hasRole bypass)
+ * - SuperAdmin tiene acceso a todo (bypass en can)
+ * - /confirmar/:token es pública (confirmación de roles desde WhatsApp)
+ * - /security: sesiones abiertas del usuario (todos los roles)
+ * - Acceso a cada página por permiso (ProtectedRoute permission=...), no por
+ *   nombre de rol: el catálogo y la matriz por iglesia están en el servidor
+ *   (utils/permissions.js, página /permissions)
  */
 import React, { useState } from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { Box, CircularProgress, Typography, useMediaQuery, useTheme } from '@mui/material';
 import { useAuth } from './context/AuthContext';
 import './styles/index.css';
@@ -19,22 +24,30 @@ import Navbar from './components/layout/Navbar';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Members from './pages/Members';
+import MemberProfile from './pages/MemberProfile';
+import Baptisms from './pages/Baptisms';
+import Transfers from './pages/Transfers';
+import Trash from './pages/Trash';
 import Churches from './pages/Churches';
 import Events from './pages/Events';
 import Minutes from './pages/Minutes';
 import Users from './pages/Users';
 import WeeklyAttendance from './pages/WeeklyAttendance';
 import MinisterialPositions from './pages/MinisterialPositions';
+import ServiceRoles from './pages/ServiceRoles';
 import Branding from './pages/Branding';
 import Notifications from './pages/Notifications';
+import RoleConfirmation from './pages/RoleConfirmation';
+import Security from './pages/Security';
+import Permissions from './pages/Permissions';
 
 const DRAWER_WIDTH = 260;
 
-const ProtectedRoute = ({ children, roles }) => {
-  const { user, loading, hasRole } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const { user, loading, can } = useAuth();
   if (loading) return <Box sx={{ display: 'flex', justifyContent: 'center', mt: 10 }}><CircularProgress /></Box>;
   if (!user) return <Navigate to="/login" />;
-  if (roles && !roles.some((r) => hasRole(r))) return <Navigate to="/dashboard" />;
+  if (permission && !can(permission)) return <Navigate to="/dashboard" />;
   return children;
 };
 
@@ -43,6 +56,16 @@ function App() {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const [mobileOpen, setMobileOpen] = useState(false);
+  const location = useLocation();
+
+  // Páginas públicas: se muestran con o sin sesión iniciada
+  if (location.pathname.startsWith('/confirmar/')) {
+    return (
+      <Routes>
+        <Route path="/confirmar/:token" element={<RoleConfirmation />} />
+      </Routes>
+    );
+  }
 
   if (loading) {
     return (
@@ -82,32 +105,51 @@ function App() {
           <Routes>
             <Route path="/dashboard" element={<Dashboard />} />
             <Route path="/members" element={
-              <ProtectedRoute roles={['Administrador', 'Secretaría', 'Líder', 'Visitante']}><Members /></ProtectedRoute>
+              <ProtectedRoute permission="members.view"><Members /></ProtectedRoute>
+            } />
+            <Route path="/members/:id" element={
+              <ProtectedRoute permission="members.view"><MemberProfile /></ProtectedRoute>
+            } />
+            <Route path="/baptisms" element={
+              <ProtectedRoute permission="baptisms.view"><Baptisms /></ProtectedRoute>
+            } />
+            <Route path="/transfers" element={
+              <ProtectedRoute permission="transfers.view"><Transfers /></ProtectedRoute>
             } />
             <Route path="/churches" element={
-              <ProtectedRoute roles={['Administrador', 'Secretaría']}><Churches /></ProtectedRoute>
+              <ProtectedRoute permission="churches.view"><Churches /></ProtectedRoute>
             } />
             <Route path="/events" element={
-              <ProtectedRoute roles={['Administrador', 'Secretaría', 'Líder']}><Events /></ProtectedRoute>
+              <ProtectedRoute permission="events.view"><Events /></ProtectedRoute>
             } />
             <Route path="/attendance" element={
-              <ProtectedRoute roles={['Administrador', 'Secretaría', 'Líder']}><WeeklyAttendance /></ProtectedRoute>
+              <ProtectedRoute permission="attendance.view"><WeeklyAttendance /></ProtectedRoute>
             } />
             <Route path="/minutes" element={
-              <ProtectedRoute roles={['Administrador', 'Secretaría']}><Minutes /></ProtectedRoute>
+              <ProtectedRoute permission="minutes.view"><Minutes /></ProtectedRoute>
             } />
             <Route path="/positions" element={
-              <ProtectedRoute roles={['Administrador']}><MinisterialPositions /></ProtectedRoute>
+              <ProtectedRoute permission="positions.manage"><MinisterialPositions /></ProtectedRoute>
+            } />
+            <Route path="/service-roles" element={
+              <ProtectedRoute permission="service_roles.manage"><ServiceRoles /></ProtectedRoute>
             } />
             <Route path="/branding" element={
-              <ProtectedRoute roles={['Administrador']}><Branding /></ProtectedRoute>
+              <ProtectedRoute permission="branding.manage"><Branding /></ProtectedRoute>
             } />
             <Route path="/notifications" element={
-              <ProtectedRoute roles={['Administrador', 'Secretaría']}><Notifications /></ProtectedRoute>
+              <ProtectedRoute permission="notifications.view"><Notifications /></ProtectedRoute>
             } />
             <Route path="/users" element={
-              <ProtectedRoute roles={['Administrador']}><Users /></ProtectedRoute>
+              <ProtectedRoute permission="users.manage"><Users /></ProtectedRoute>
+            } />
+            <Route path="/trash" element={
+              <ProtectedRoute permission="trash.manage"><Trash /></ProtectedRoute>
+            } />
+            <Route path="/permissions" element={
+              <ProtectedRoute permission="permissions.manage"><Permissions /></ProtectedRoute>
             } />
+            <Route path="/security" element={<Security />} />
             <Route path="/" element={<Navigate to="/dashboard" />} />
             <Route path="*" element={<Navigate to="/dashboard" />} />
           </Routes>
@@ -0,0 +1,175 @@
+/**
+ * HistoryDrawer.js - Historial de cambios de un registro (auditoría)
+ *
+ * Panel lateral usado en Miembros, Eventos y Actas (permiso audit.view):
+ * quién hizo cada alta, edición, eliminación o restauración, cuándo, desde
+ * qué IP y qué campos cambiaron (antes → después). Incluye los datos
+ * dependientes del registro (asistentes y roles de un evento, archivos y
+ * mociones de un acta, bautismo y fechas bloqueadas de un miembro).
+ * Datos: GET /api/audit?entity_type=Member&entity_id=5
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import {
+  Drawer, Box, Typography, IconButton, Chip, CircularProgress, Divider, Button,
+} from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+
+const ACTION_COLORS = {
+  create: 'success', update: 'info', delete: 'warning', purge: 'error', restore: 'primary',
+};
+
+/** Nombres legibles de los campos más comunes (el resto se muestra tal cual) */
+const FIELD_LABELS = {
+  first_name: 'Nombre',
+  last_name: 'Apellido',
+  phone: 'Teléfono',
+  email: 'Correo',
+  address: 'Dirección',
+  birth_date: 'Fecha de nacimiento',
+  baptized: 'Bautizado',
+  baptism_date: 'Fecha de bautismo',
+  wedding_date: 'Fecha de boda',
+  member_type: 'Tipo',
+  status: 'Estado',
+  church_role: 'Cargo',
+  position_id: 'Cargo (ID)',
+  household_id: 'Hogar (ID)',
+  household_relationship: 'Parentesco',
+  title: 'Título',
+  description: 'Descripción',
+  event_type: 'Tipo de evento',
+  start_date: 'Inicio',
+  end_date: 'Fin',
+  location: 'Lugar',
+  objective: 'Objetivo',
+  meeting_date: 'Fecha de reunión',
+  member_id: 'Miembro (ID)',
+  attended: 'Asistió',
+  made_faith_decision: 'Decisión de fe',
+  original_name: 'Archivo',
+  church_id: 'Iglesia (ID)',
+};
+
+const PAGE_SIZE = 30;
+
+const formatDateTime = (d) => new Date(d).toLocaleString('es-ES', {
+  year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {string} entityType - Member | Event | Minute
+ * @param {number} entityId
+ * @param {string} title - Nombre del registro (encabezado)
+ */
+const HistoryDrawer = ({ open, onClose, entityType, entityId, title }) => {
+  const [logs, setLogs] = useState([]);
+  const [labels, setLabels] = useState({ actions: {}, entity_types: {} });
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(async (nextPage = 1) => {
+    setLoading(true);
+    try {
+      const { data } = await api.get('/audit', {
+        params: { entity_type: entityType, entity_id: entityId, page: nextPage, limit: PAGE_SIZE },
+      });
+      setLogs((prev) => (nextPage === 1 ? data.logs : [...prev, ...data.logs]));
+      setLabels({ actions: data.actions, entity_types: data.entity_types });
+      setPage(nextPage);
+      setPages(data.pagination.pages);
+    } catch (error) {
+      if (nextPage === 1) setLogs([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    if (open && entityId) load(1);
+  }, [open, entityId, load]);
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}
+      PaperProps={{ sx: { width: { xs: '100%', sm: 440 } } }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', p: 2 }}>
+        <Box sx={{ minWidth: 0 }}>
+          <Typography variant="h6" fontWeight={700}>Historial de cambios</Typography>
+          {title && <Typography variant="body2" color="text.secondary" noWrap>{title}</Typography>}
+        </Box>
+        <IconButton onClick={onClose}><CloseIcon /></IconButton>
+      </Box>
+      <Divider />
+
+      <Box sx={{ p: 2, overflowY: 'auto' }}>
+        {loading && logs.length === 0 ? (
+          <Box sx={{ textAlign: 'center', py: 4 }}><CircularProgress /></Box>
+        ) : logs.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" align="center" sx={{ py: 4 }}>
+            No hay cambios registrados.
+          </Typography>
+        ) : logs.map((log) => {
+          const isChild = log.entity_type !== entityType;
+          const changes = Object.entries(log.changes || {});
+          return (
+            <Box key={log.id} sx={{ mb: 2, pb: 2, borderBottom: '1px solid', borderColor: 'divider' }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                <Chip size="small" label={labels.actions[log.action] || log.action} color={ACTION_COLORS[log.action] || 'default'} />
+                {isChild && (
+                  <Typography variant="body2" fontWeight={600}>
+                    {labels.entity_types[log.entity_type] || log.entity_type}
+                    {log.entity_label ? `: ${log.entity_label}` : ''}
+                  </Typography>
+                )}
+              </Box>
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                {formatDateTime(log.createdAt)} · {log.user_name || 'Sistema'}
+                {log.ip ? ` · IP ${log.ip}` : ''}
+              </Typography>
+              {changes.length > 0 && (
+                <Box component="table" sx={{ mt: 1, width: '100%', fontSize: 13, borderCollapse: 'collapse' }}>
+                  <tbody>
+                    {changes.map(([field, { from, to }]) => (
+                      <tr key={field}>
+                        <Box component="td" sx={{ pr: 1, py: 0.25, color: 'text.secondary', verticalAlign: 'top', whiteSpace: 'nowrap' }}>
+                          {FIELD_LABELS[field] || field}
+                        </Box>
+                        <Box component="td" sx={{ py: 0.25, wordBreak: 'break-word' }}>
+                          {log.action === 'update' ? (
+                            <>
+                              <Box component="span" sx={{ color: 'error.main', textDecoration: 'line-through' }}>{formatValue(from)}</Box>
+                              {' → '}
+                              <Box component="span" sx={{ color: 'success.main' }}>{formatValue(to)}</Box>
+                            </>
+                          ) : formatValue(log.action === 'create' ? to : from)}
+                        </Box>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Box>
+              )}
+            </Box>
+          );
+        })}
+
+        {page < pages && (
+          <Box sx={{ textAlign: 'center' }}>
+            <Button size="small" onClick={() => load(page + 1)} disabled={loading}>Ver más</Button>
+          </Box>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default HistoryDrawer;
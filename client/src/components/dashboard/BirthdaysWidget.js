@@ -0,0 +1,132 @@
+/**
+ * BirthdaysWidget.js - "Cumpleaños del mes" en el Dashboard
+ *
+ * Lista los cumpleaños y aniversarios (bautismo, boda) del mes por día,
+ * resalta los de hoy y descarga la lista imprimible en PDF.
+ * GET /api/members/birthdays?year=&month= · GET /api/members/birthdays/pdf
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, IconButton, Button, Chip, Divider, CircularProgress,
+  List, ListItem, ListItemText,
+} from '@mui/material';
+import {
+  Cake as CakeIcon, ChevronLeft as PrevIcon, ChevronRight as NextIcon,
+  PictureAsPdf as PdfIcon,
+} from '@mui/icons-material';
+
+const MONTH_NAMES = [
+  'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+  'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre',
+];
+
+const today = new Date();
+
+const BirthdaysWidget = () => {
+  const [period, setPeriod] = useState({ year: today.getFullYear(), month: today.getMonth() + 1 });
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data: res } = await api.get('/members/birthdays', { params: period });
+      setData(res);
+    } catch (error) {
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [period]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const moveMonth = (delta) => {
+    const index = period.year * 12 + (period.month - 1) + delta;
+    setPeriod({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+  };
+
+  const downloadPdf = async () => {
+    setDownloading(true);
+    try {
+      const response = await api.get('/members/birthdays/pdf', { params: period, responseType: 'blob' });
+      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Cumpleanos_${MONTH_NAMES[period.month - 1]}_${period.year}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Error al generar la lista PDF');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const isToday = (day) => period.year === today.getFullYear()
+    && period.month === today.getMonth() + 1 && day === today.getDate();
+
+  const renderList = (items, secondary) => (
+    <List dense disablePadding>
+      {items.map((item) => (
+        <ListItem key={`${item.occasion}-${item.member_id}`} disableGutters
+          sx={{ bgcolor: isToday(item.day) ? '#FFF8E1' : 'transparent', borderRadius: 1, px: 1 }}>
+          <Typography variant="h6" fontWeight={700} color="primary" sx={{ minWidth: 36 }}>{item.day}</Typography>
+          <ListItemText primary={item.name} secondary={secondary(item)}
+            primaryTypographyProps={{ fontSize: 14, fontWeight: 600 }} secondaryTypographyProps={{ fontSize: 12 }} />
+          {isToday(item.day) && <Chip label="¡Hoy!" size="small" color="warning" />}
+        </ListItem>
+      ))}
+    </List>
+  );
+
+  return (
+    <Paper sx={{ p: 3, mb: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <CakeIcon color="secondary" />
+          <Typography variant="h6">Cumpleaños del mes</Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+          <IconButton size="small" onClick={() => moveMonth(-1)}><PrevIcon /></IconButton>
+          <Typography variant="body2" fontWeight={600} sx={{ minWidth: 110, textAlign: 'center' }}>
+            {MONTH_NAMES[period.month - 1]} {period.year}
+          </Typography>
+          <IconButton size="small" onClick={() => moveMonth(1)}><NextIcon /></IconButton>
+          <Button size="small" variant="outlined" onClick={downloadPdf} disabled={downloading}
+            startIcon={downloading ? <CircularProgress size={16} /> : <PdfIcon />}>
+            PDF
+          </Button>
+        </Box>
+      </Box>
+      <Divider sx={{ my: 2 }} />
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}><CircularProgress size={28} /></Box>
+      ) : !data ? (
+        <Typography variant="body2" color="text.secondary">No se pudo cargar la lista de cumpleaños.</Typography>
+      ) : (
+        <>
+          {data.birthdays.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">No hay cumpleaños registrados este mes.</Typography>
+          ) : renderList(data.birthdays, (b) => `Cumple ${b.years} años`)}
+
+          {data.anniversaries.length > 0 && (
+            <>
+              <Typography variant="subtitle2" color="secondary" sx={{ mt: 2, mb: 0.5 }}>Aniversarios</Typography>
+              {renderList(data.anniversaries, (a) => `${a.label} · ${a.years} ${a.years === 1 ? 'año' : 'años'}`)}
+            </>
+          )}
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default BirthdaysWidget;
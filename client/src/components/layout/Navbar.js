@@ -3,9 +3,10 @@
  * 
  * - Muestra nombre de la iglesia del usuario
  * - Botón de menú hamburguesa en móvil
- * - Info del usuario y botón de cerrar sesión
+ * - Info del usuario (abre "Seguridad": sesiones abiertas) y botón de cerrar sesión
  */
 import React from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import {
   AppBar, Toolbar, Typography, IconButton, Button, Box, Chip,
@@ -14,6 +15,7 @@ import { Menu as MenuIcon, Logout as LogoutIcon, Person as PersonIcon } from '@m
 
 const Navbar = ({ drawerWidth, onMenuClick, isMobile }) => {
   const { user, logout, isSuperAdmin } = useAuth();
+  const navigate = useNavigate();
 
   /**
    * Título del NavBar:
@@ -57,6 +59,8 @@ const Navbar = ({ drawerWidth, onMenuClick, isMobile }) => {
             label={isMobile ? user?.full_name?.split(' ')[0] : user?.full_name}
             variant="outlined"
             size="small"
+            onClick={() => navigate('/security')}
+            title="Seguridad de la cuenta"
             sx={{ display: { xs: 'none', sm: 'flex' } }}
           />
           <Button
@@ -2,7 +2,8 @@
  * Sidebar.js - Navegación lateral con MUI Drawer
  * 
  * CAMBIOS v2:
- * - SuperAdmin ve todo (bypass en hasRole)
+ * - SuperAdmin ve todo (bypass en can)
+ * - Cada entrada se muestra según un permiso (matriz por iglesia en /permissions)
  * - Nuevos menús: Cargos Ministeriales, Branding
  * - Iglesia visible para Admin también (su propia iglesia)
  */
@@ -22,34 +23,44 @@ import {
   AdminPanelSettings as AdminIcon,
   Groups as GroupsIcon,
   Badge as BadgeIcon,
+  RecordVoiceOver as ServiceRoleIcon,
   Palette as PaletteIcon,
   WhatsApp as WhatsAppIcon,
+  WaterDrop as BaptismIcon,
+  TransferWithinAStation as TransferIcon,
+  DeleteOutline as TrashIcon,
+  Lock as LockIcon,
+  Rule as PermissionsIcon,
 } from '@mui/icons-material';
 
-/** Definición de menú con roles permitidos.
- *  SuperAdmin ve todo (hasRole retorna true automáticamente).
+/** Definición de menú con el permiso que muestra cada entrada (sin permiso = todos).
+ *  SuperAdmin ve todo (can retorna true automáticamente).
  */
 const menuItems = [
-  { path: '/dashboard', icon: <DashboardIcon />, label: 'Dashboard', roles: ['Administrador', 'Secretaría', 'Líder', 'Visitante'] },
-  { path: '/members', icon: <PeopleIcon />, label: 'Miembros', roles: ['Administrador', 'Secretaría', 'Líder', 'Visitante'] },
-  { path: '/churches', icon: <ChurchIcon />, label: 'Iglesias', roles: ['Administrador', 'Secretaría'] },
-  { path: '/events', icon: <EventIcon />, label: 'Eventos', roles: ['Administrador', 'Secretaría', 'Líder'] },
-  { path: '/attendance', icon: <GroupsIcon />, label: 'Asistencia', roles: ['Administrador', 'Secretaría', 'Líder'] },
-  { path: '/minutes', icon: <DescriptionIcon />, label: 'Actas', roles: ['Administrador', 'Secretaría'] },
-  { path: '/notifications', icon: <WhatsAppIcon />, label: 'Notificaciones', roles: ['Administrador', 'Secretaría'] },
-  { path: '/positions', icon: <BadgeIcon />, label: 'Cargos', roles: ['Administrador'] },
-  { path: '/branding', icon: <PaletteIcon />, label: 'Branding', roles: ['Administrador'] },
-  { path: '/users', icon: <AdminIcon />, label: 'Usuarios', roles: ['Administrador'] },
+  { path: '/dashboard', icon: <DashboardIcon />, label: 'Dashboard' },
+  { path: '/members', icon: <PeopleIcon />, label: 'Miembros', permission: 'members.view' },
+  { path: '/baptisms', icon: <BaptismIcon />, label: 'Bautismos', permission: 'baptisms.view' },
+  { path: '/transfers', icon: <TransferIcon />, label: 'Traslados', permission: 'transfers.view' },
+  { path: '/churches', icon: <ChurchIcon />, label: 'Iglesias', permission: 'churches.view' },
+  { path: '/events', icon: <EventIcon />, label: 'Eventos', permission: 'events.view' },
+  { path: '/attendance', icon: <GroupsIcon />, label: 'Asistencia', permission: 'attendance.view' },
+  { path: '/minutes', icon: <DescriptionIcon />, label: 'Actas', permission: 'minutes.view' },
+  { path: '/notifications', icon: <WhatsAppIcon />, label: 'Notificaciones', permission: 'notifications.view' },
+  { path: '/positions', icon: <BadgeIcon />, label: 'Cargos', permission: 'positions.manage' },
+  { path: '/service-roles', icon: <ServiceRoleIcon />, label: 'Roles de Culto', permission: 'service_roles.manage' },
+  { path: '/branding', icon: <PaletteIcon />, label: 'Branding', permission: 'branding.manage' },
+  { path: '/users', icon: <AdminIcon />, label: 'Usuarios', permission: 'users.manage' },
+  { path: '/permissions', icon: <PermissionsIcon />, label: 'Permisos', permission: 'permissions.manage' },
+  { path: '/trash', icon: <TrashIcon />, label: 'Papelera', permission: 'trash.manage' },
+  { path: '/security', icon: <LockIcon />, label: 'Seguridad' },
 ];
 
 const Sidebar = ({ drawerWidth, mobileOpen, onClose, isMobile }) => {
-  const { user, hasRole } = useAuth();
+  const { user, can } = useAuth();
   const location = useLocation();
 
-  // Filtrar items de menú según rol del usuario
-  const visibleItems = menuItems.filter((item) =>
-    item.roles.some((role) => hasRole(role))
-  );
+  // Filtrar items de menú según los permisos del usuario
+  const visibleItems = menuItems.filter((item) => !item.permission || can(item.permission));
 
   const drawerContent = (
     <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
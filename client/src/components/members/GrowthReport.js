@@ -0,0 +1,119 @@
+/**
+ * GrowthReport.js - Vista "Crecimiento" de la página de Miembros
+ *
+ * Por mes del año: altas, nuevos miembros (altas como Miembro o cambios a
+ * Miembro), bautismos, traslados recibidos / enviados, reactivaciones,
+ * inactivaciones, fallecimientos y el crecimiento neto.
+ * Sale de la historia de los miembros (GET /api/members/reports/growth?year=).
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import {
+  Box, Paper, Typography, IconButton, Chip, CircularProgress, Table, TableBody,
+  TableCell, TableContainer, TableHead, TableRow,
+} from '@mui/material';
+import { ChevronLeft as PrevIcon, ChevronRight as NextIcon } from '@mui/icons-material';
+
+const MONTH_NAMES = [
+  'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+  'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre',
+];
+
+const COLUMNS = [
+  { key: 'joined', label: 'Altas' },
+  { key: 'new_members', label: 'Nuevos miembros' },
+  { key: 'baptisms', label: 'Bautismos' },
+  { key: 'transfers_in', label: 'Traslados recibidos' },
+  { key: 'transfers_out', label: 'Traslados enviados' },
+  { key: 'reactivated', label: 'Reactivados' },
+  { key: 'inactivated', label: 'Inactivados' },
+  { key: 'deceased', label: 'Fallecidos' },
+  { key: 'net', label: 'Neto' },
+];
+
+const netColor = (value) => (value > 0 ? 'success.main' : value < 0 ? 'error.main' : 'text.secondary');
+
+const GrowthReport = () => {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await api.get('/members/reports/growth', { params: { year } });
+      setReport(data);
+    } catch (error) {
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [year]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const renderCell = (row, col) => (
+    <TableCell key={col.key} align="center"
+      sx={col.key === 'net' ? { fontWeight: 700, color: netColor(row.net) } : { color: row[col.key] ? 'text.primary' : 'text.disabled' }}>
+      {col.key === 'net' && row.net > 0 ? `+${row.net}` : row[col.key]}
+    </TableCell>
+  );
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        <Typography variant="h6">Crecimiento de la iglesia</Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+          <IconButton size="small" onClick={() => setYear(year - 1)}><PrevIcon /></IconButton>
+          <Typography variant="body1" fontWeight={600} sx={{ minWidth: 50, textAlign: 'center' }}>{year}</Typography>
+          <IconButton size="small" onClick={() => setYear(year + 1)}><NextIcon /></IconButton>
+        </Box>
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}><CircularProgress /></Box>
+      ) : !report ? (
+        <Typography variant="body2" color="text.secondary">No se pudo cargar el reporte de crecimiento.</Typography>
+      ) : (
+        <>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+            <Chip label={`${report.current.active} activos`} color="success" />
+            {report.current.inactive > 0 && <Chip label={`${report.current.inactive} inactivos`} variant="outlined" />}
+            {report.current.deceased > 0 && <Chip label={`${report.current.deceased} fallecidos`} variant="outlined" />}
+            {Object.entries(report.current.by_type).map(([type, total]) => (
+              <Chip key={type} label={`${type}: ${total}`} size="small" variant="outlined" sx={{ alignSelf: 'center' }} />
+            ))}
+          </Box>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Mes</TableCell>
+                  {COLUMNS.map((col) => <TableCell key={col.key} align="center">{col.label}</TableCell>)}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.months.map((row) => (
+                  <TableRow key={row.month} hover>
+                    <TableCell>{MONTH_NAMES[row.month - 1]}</TableCell>
+                    {COLUMNS.map((col) => renderCell(row, col))}
+                  </TableRow>
+                ))}
+                <TableRow sx={{ '& td': { fontWeight: 700, borderTop: '2px solid', borderColor: 'divider' } }}>
+                  <TableCell>Total {year}</TableCell>
+                  {COLUMNS.map((col) => renderCell(report.totals, col))}
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            Neto = altas + traslados recibidos + reactivados − traslados enviados − inactivados − fallecidos.
+            Se cuenta por la fecha del hecho registrada en la historia de cada miembro.
+          </Typography>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default GrowthReport;
@@ -0,0 +1,439 @@
+/**
+ * HouseholdsView.js - Vista "Hogares" de la página de Miembros
+ *
+ * - Lista de hogares con dirección, teléfono y sus miembros (con parentesco)
+ * - Crear / editar hogar y asignar miembros: parentesco y si heredan la
+ *   dirección / teléfono del hogar (GET/POST/PUT/DELETE /api/households)
+ * - Mensaje al hogar: anuncio con segmento { household_ids: [id] }; con
+ *   "uno por hogar" solo lo recibe el jefe de hogar (o quien le siga)
+ *   (POST /api/notifications/broadcasts)
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Button, TextField, MenuItem, Table, TableBody, TableCell,
+  TableContainer, TableHead, TableRow, TablePagination, IconButton, Chip, Dialog,
+  DialogTitle, DialogContent, DialogActions, Grid, Checkbox, FormControlLabel,
+  CircularProgress, InputAdornment, Alert,
+} from '@mui/material';
+import {
+  Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon, Search as SearchIcon,
+  Close as CloseIcon, Send as SendIcon,
+} from '@mui/icons-material';
+import { RELATIONSHIPS, RELATIONSHIP_LABELS } from './relationships';
+
+const ROWS_PER_PAGE = 15;
+
+const emptyForm = { name: '', address: '', phone: '', notes: '', members: [] };
+const emptyMessage = { title: '', message: '', one_per_household: true };
+
+const fullName = (m) => `${m.first_name} ${m.last_name}`;
+
+const HouseholdsView = ({ onChanged }) => {
+  const { can } = useAuth();
+  const [households, setHouseholds] = useState([]);
+  const [pagination, setPagination] = useState({ page: 0, total: 0 });
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  /** Dialog crear/editar: editing = hogar abierto (null = nuevo) */
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [allMembers, setAllMembers] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  /** Dialog "Mensaje al hogar" */
+  const [messageHousehold, setMessageHousehold] = useState(null);
+  const [message, setMessage] = useState(emptyMessage);
+  const [preview, setPreview] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const canEdit = can('households.write');
+  const canMessage = can('notifications.send');
+
+  const loadHouseholds = useCallback(async (page = 0) => {
+    setLoading(true);
+    try {
+      const params = { page: page + 1, limit: ROWS_PER_PAGE };
+      if (search) params.search = search;
+      const { data } = await api.get('/households', { params });
+      setHouseholds(data.households);
+      setPagination({ page, total: data.pagination.total });
+    } catch (error) {
+      toast.error('Error al cargar hogares');
+    } finally {
+      setLoading(false);
+    }
+  }, [search]);
+
+  useEffect(() => { loadHouseholds(); }, [loadHouseholds]);
+
+  // ===== CREAR / EDITAR =====
+  const loadAllMembers = async () => {
+    try {
+      const { data } = await api.get('/members', { params: { limit: 500 } });
+      setAllMembers(data.members || []);
+    } catch (error) {
+      toast.error('Error al cargar miembros');
+    }
+  };
+
+  const openNew = () => {
+    setEditing(null);
+    setForm(emptyForm);
+    setShowModal(true);
+    loadAllMembers();
+  };
+
+  const openEdit = (h) => {
+    setEditing(h);
+    setForm({
+      name: h.name, address: h.address || '', phone: h.phone || '', notes: h.notes || '',
+      members: h.members.map((m) => ({
+        member_id: m.id,
+        full_name: fullName(m),
+        relationship: m.household_relationship || 'other',
+        inherit_household_address: !!m.inherit_household_address,
+        inherit_household_phone: !!m.inherit_household_phone,
+      })),
+    });
+    setShowModal(true);
+    loadAllMembers();
+  };
+
+  const addMember = (memberId) => {
+    const member = allMembers.find((m) => m.id === memberId);
+    if (!member) return;
+    setForm({
+      ...form,
+      members: [...form.members, {
+        member_id: member.id,
+        full_name: fullName(member),
+        relationship: form.members.length === 0 ? 'head' : 'other',
+        inherit_household_address: true,
+        inherit_household_phone: false,
+      }],
+    });
+  };
+
+  const updateMember = (memberId, changes) => {
+    setForm({
+      ...form,
+      members: form.members.map((m) => (m.member_id === memberId ? { ...m, ...changes } : m)),
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = {
+        name: form.name, address: form.address, phone: form.phone, notes: form.notes,
+        members: form.members.map(({ full_name: _, ...m }) => m),
+      };
+      if (editing) {
+        await api.put(`/households/${editing.id}`, payload);
+        toast.success('Hogar actualizado');
+      } else {
+        await api.post('/households', payload);
+        toast.success('Hogar creado');
+      }
+      setShowModal(false);
+      loadHouseholds(pagination.page);
+      if (onChanged) onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al guardar hogar');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (h) => {
+    if (!window.confirm(`¿Eliminar el hogar "${h.name}"? Sus miembros no se eliminan.`)) return;
+    try {
+      await api.delete(`/households/${h.id}`);
+      toast.success('Hogar eliminado');
+      loadHouseholds(pagination.page);
+      if (onChanged) onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al eliminar hogar');
+    }
+  };
+
+  // ===== MENSAJE AL HOGAR =====
+  const segmentFor = (household, onePerHousehold) => ({
+    household_ids: [household.id], one_per_household: onePerHousehold,
+  });
+
+  const loadPreview = async (household, onePerHousehold) => {
+    setPreview(null);
+    try {
+      const { data } = await api.post('/notifications/broadcasts/preview', {
+        segment: segmentFor(household, onePerHousehold),
+      });
+      setPreview(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al obtener destinatarios');
+    }
+  };
+
+  const openMessage = (h) => {
+    setMessageHousehold(h);
+    setMessage(emptyMessage);
+    loadPreview(h, emptyMessage.one_per_household);
+  };
+
+  const toggleOnePerHousehold = (checked) => {
+    setMessage({ ...message, one_per_household: checked });
+    loadPreview(messageHousehold, checked);
+  };
+
+  const sendMessage = async () => {
+    if (!message.title.trim() || !message.message.trim()) {
+      toast.error('El título y el mensaje son obligatorios');
+      return;
+    }
+    setSending(true);
+    try {
+      const { data } = await api.post('/notifications/broadcasts', {
+        title: message.title,
+        message: message.message,
+        segment: segmentFor(messageHousehold, message.one_per_household),
+        scheduled_at: null,
+      });
+      toast.success(data.message);
+      setMessageHousehold(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al enviar mensaje');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const available = allMembers.filter((m) => !form.members.some((f) => f.member_id === m.id));
+
+  return (
+    <>
+      {/* Filtros */}
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField size="small" placeholder="Buscar hogar o dirección..."
+          value={search} onChange={(e) => setSearch(e.target.value)}
+          InputProps={{ startAdornment: <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment> }}
+          sx={{ minWidth: 220, flex: 1 }}
+        />
+        {canEdit && (
+          <Button variant="outlined" startIcon={<AddIcon />} onClick={openNew}>Nuevo Hogar</Button>
+        )}
+      </Paper>
+
+      {/* Tabla */}
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Hogar</TableCell>
+                <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>Dirección</TableCell>
+                <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>Teléfono</TableCell>
+                <TableCell>Miembros</TableCell>
+                <TableCell align="right">Acciones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow><TableCell colSpan={5} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
+              ) : households.length === 0 ? (
+                <TableRow><TableCell colSpan={5} align="center" sx={{ py: 4 }}>No se encontraron hogares</TableCell></TableRow>
+              ) : households.map((h) => (
+                <TableRow key={h.id} hover>
+                  <TableCell>
+                    <Typography fontWeight={600} fontSize={14}>{h.name}</Typography>
+                    {h.notes && <Typography variant="caption" color="text.secondary">{h.notes}</Typography>}
+                  </TableCell>
+                  <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{h.address || '-'}</TableCell>
+                  <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{h.phone || '-'}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {h.members.length === 0 && <Typography variant="caption" color="text.secondary">Sin miembros</Typography>}
+                      {h.members.map((m) => (
+                        <Chip key={m.id} size="small" variant={m.household_relationship === 'head' ? 'filled' : 'outlined'}
+                          color={m.household_relationship === 'head' ? 'primary' : 'default'}
+                          label={`${fullName(m)} · ${RELATIONSHIP_LABELS[m.household_relationship] || 'Otro'}`} />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {canMessage && (
+                      <IconButton size="small" onClick={() => openMessage(h)} color="secondary" title="Mensaje al hogar"
+                        disabled={h.members.length === 0}>
+                        <SendIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                    {canEdit && (
+                      <IconButton size="small" onClick={() => openEdit(h)} color="primary"><EditIcon fontSize="small" /></IconButton>
+                    )}
+                    {can('households.delete') && (
+                      <IconButton size="small" onClick={() => handleDelete(h)} color="error"><DeleteIcon fontSize="small" /></IconButton>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div" count={pagination.total} page={pagination.page}
+          onPageChange={(_, p) => loadHouseholds(p)} rowsPerPage={ROWS_PER_PAGE}
+          rowsPerPageOptions={[ROWS_PER_PAGE]} labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+        />
+      </Paper>
+
+      {/* ===== DIALOG CREAR/EDITAR HOGAR ===== */}
+      <Dialog open={showModal} onClose={() => setShowModal(false)} maxWidth="md" fullWidth>
+        <form onSubmit={handleSubmit}>
+          <DialogTitle>{editing ? 'Editar Hogar' : 'Nuevo Hogar'}</DialogTitle>
+          <DialogContent dividers>
+            <Grid container spacing={2} sx={{ mt: 0.5 }}>
+              <Grid item xs={12} sm={7}>
+                <TextField fullWidth required size="small" label="Nombre del hogar" placeholder="Familia Pérez Gómez"
+                  value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+              </Grid>
+              <Grid item xs={12} sm={5}>
+                <TextField fullWidth size="small" label="Teléfono del hogar"
+                  value={form.phone} onChange={(e) => setForm({ ...form, phone: e.target.value })} />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Dirección" multiline rows={2}
+                  value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Notas (opcional)"
+                  value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+              </Grid>
+
+              <Grid item xs={12}>
+                <Typography variant="subtitle2" color="primary">Miembros del hogar</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Con "Usa dirección / teléfono del hogar" el dato del miembro se actualiza al editar el hogar.
+                  Un miembro que ya está en otro hogar se cambia a este.
+                </Typography>
+              </Grid>
+              <Grid item xs={12}>
+                <TextField select fullWidth size="small" label="Agregar miembro" value=""
+                  onChange={(e) => addMember(e.target.value)}>
+                  {available.length === 0 && <MenuItem value="" disabled>No hay más miembros</MenuItem>}
+                  {available.map((m) => (
+                    <MenuItem key={m.id} value={m.id}>
+                      {fullName(m)}
+                      {m.household && m.household.id !== editing?.id && (
+                        <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                          (hoy en {m.household.name})
+                        </Typography>
+                      )}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12}>
+                {form.members.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">Sin miembros asignados.</Typography>
+                ) : (
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Miembro</TableCell>
+                        <TableCell>Parentesco</TableCell>
+                        <TableCell align="center">Usa dirección</TableCell>
+                        <TableCell align="center">Usa teléfono</TableCell>
+                        <TableCell />
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {form.members.map((m) => (
+                        <TableRow key={m.member_id}>
+                          <TableCell>{m.full_name}</TableCell>
+                          <TableCell sx={{ minWidth: 150 }}>
+                            <TextField select fullWidth size="small" value={m.relationship}
+                              onChange={(e) => updateMember(m.member_id, { relationship: e.target.value })}>
+                              {RELATIONSHIPS.map((r) => <MenuItem key={r} value={r}>{RELATIONSHIP_LABELS[r]}</MenuItem>)}
+                            </TextField>
+                          </TableCell>
+                          <TableCell align="center">
+                            <Checkbox size="small" checked={m.inherit_household_address}
+                              onChange={(e) => updateMember(m.member_id, { inherit_household_address: e.target.checked })} />
+                          </TableCell>
+                          <TableCell align="center">
+                            <Checkbox size="small" checked={m.inherit_household_phone}
+                              onChange={(e) => updateMember(m.member_id, { inherit_household_phone: e.target.checked })} />
+                          </TableCell>
+                          <TableCell align="center">
+                            <IconButton size="small" color="error" title="Quitar del hogar"
+                              onClick={() => setForm({ ...form, members: form.members.filter((f) => f.member_id !== m.member_id) })}>
+                              <CloseIcon fontSize="small" />
+                            </IconButton>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </Grid>
+            </Grid>
+          </DialogContent>
+          <DialogActions sx={{ px: 3, py: 2 }}>
+            <Button onClick={() => setShowModal(false)}>Cancelar</Button>
+            <Button variant="contained" type="submit" disabled={saving}>{editing ? 'Actualizar' : 'Guardar'}</Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      {/* ===== DIALOG MENSAJE AL HOGAR ===== */}
+      <Dialog open={!!messageHousehold} onClose={() => setMessageHousehold(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Mensaje al hogar — {messageHousehold?.name}</DialogTitle>
+        <DialogContent dividers>
+          <Grid container spacing={2} sx={{ mt: 0.5 }}>
+            <Grid item xs={12}>
+              <TextField fullWidth size="small" label="Título *" inputProps={{ maxLength: 200 }}
+                value={message.title} onChange={(e) => setMessage({ ...message, title: e.target.value })} />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField fullWidth size="small" label="Mensaje *" multiline minRows={3}
+                value={message.message} onChange={(e) => setMessage({ ...message, message: e.target.value })}
+                helperText='Se envía con la plantilla "Anuncio general" y queda en el historial de anuncios' />
+            </Grid>
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={<Checkbox checked={message.one_per_household}
+                  onChange={(e) => toggleOnePerHousehold(e.target.checked)} />}
+                label="Un solo mensaje por hogar (al jefe de hogar; si no hay, al cónyuge u otro)"
+              />
+            </Grid>
+            <Grid item xs={12}>
+              {!preview ? (
+                <CircularProgress size={20} />
+              ) : (
+                <Alert severity={preview.reachable > 0 ? 'info' : 'warning'}>
+                  {preview.reachable > 0
+                    ? `Lo recibirán: ${preview.members.filter((m) => m.channel).map((m) => m.name).join(', ')}`
+                    : 'Nadie del hogar puede recibir el mensaje (sin canal, sin consentimiento o dado de baja).'}
+                </Alert>
+              )}
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setMessageHousehold(null)}>Cancelar</Button>
+          <Button variant="contained" onClick={sendMessage} disabled={sending || !preview?.reachable}
+            startIcon={sending ? <CircularProgress size={16} color="inherit" /> : <SendIcon />}>
+            Enviar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default HouseholdsView;
@@ -0,0 +1,18 @@
+/**
+ * baptismCertificate.js - Descarga del certificado de bautismo (PDF)
+ * GET /api/baptisms/:id/certificate (usado en Bautismos y en el perfil del miembro)
+ */
+import api from '../../services/api';
+
+export const downloadBaptismCertificate = async (baptism) => {
+  const response = await api.get(`/baptisms/${baptism.id}/certificate`, { responseType: 'blob' });
+  const blob = new Blob([response.data], { type: 'application/pdf' });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `Certificado_Bautismo_${baptism.certificate_number}.pdf`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,8 @@
+/**
+ * memberStatus.js - Estado del miembro (igual que MEMBER_STATUSES en server/utils/memberTimeline.js)
+ */
+export const MEMBER_STATUSES = {
+  active: { label: 'Activo', color: 'success' },
+  inactive: { label: 'Inactivo', color: 'default' },
+  deceased: { label: 'Fallecido', color: 'secondary' },
+};
@@ -0,0 +1,11 @@
+/**
+ * relationships.js - Parentesco dentro del hogar (igual que server/utils/households.js)
+ */
+export const RELATIONSHIPS = ['head', 'spouse', 'child', 'other'];
+
+export const RELATIONSHIP_LABELS = {
+  head: 'Jefe de hogar',
+  spouse: 'Cónyuge',
+  child: 'Hijo/a',
+  other: 'Otro',
+};
@@ -0,0 +1,490 @@
+/**
+ * Broadcasts.js - Anuncios masivos (pestaña de Notificaciones)
+ *
+ * 1. Redactar el anuncio (título + mensaje, se envía con la plantilla
+ *    "Anuncio general" de la iglesia)
+ * 2. Elegir el segmento: tipo de miembro, bautizado, cargo, rango de edad,
+ *    responsables de misiones / campos blancos, hogares (y "uno por hogar")
+ * 3. Ver los destinatarios antes de enviar (POST /api/notifications/broadcasts/preview)
+ * 4. Enviar ahora o programar (POST /api/notifications/broadcasts)
+ * 5. Reporte de entrega por anuncio con reintento de fallidos
+ *
+ * Los miembros que pidieron no recibir anuncios se omiten.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Grid, TextField, MenuItem, Button, Chip, Checkbox, FormControlLabel,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, TablePagination,
+  CircularProgress, Alert, Dialog, DialogTitle, DialogContent, DialogActions,
+  IconButton, Tooltip, LinearProgress,
+} from '@mui/material';
+import {
+  Send as SendIcon, Schedule as ScheduleIcon, People as PeopleIcon,
+  Assessment as ReportIcon, Cancel as CancelIcon, Refresh as RefreshIcon,
+} from '@mui/icons-material';
+import NotificationHistory from './NotificationHistory';
+import { CHANNEL_LABELS } from './channels';
+
+const MEMBER_TYPES = ['Miembro', 'Visitante', 'Familiar', 'Infante', 'Candidato a bautismo', 'Otro'];
+
+const RESPONSIBLE_OPTIONS = [
+  { value: '', label: 'Sin filtro' },
+  { value: 'mission', label: 'Responsables de misiones' },
+  { value: 'white_field', label: 'Responsables de campos blancos' },
+  { value: 'any', label: 'Responsables de misiones o campos blancos' },
+];
+
+const BROADCAST_STATUS = {
+  scheduled: { label: 'Programado', color: 'info' },
+  sending: { label: 'Enviando', color: 'warning' },
+  completed: { label: 'Completado', color: 'success' },
+  failed: { label: 'Fallido', color: 'error' },
+  cancelled: { label: 'Cancelado', color: 'default' },
+};
+
+/** Estado de cada intento (notification_logs) para el resumen por canal */
+const DELIVERY_LABELS = {
+  sent: 'enviados', delivered: 'entregados', read: 'leídos', failed: 'fallidos', skipped: 'omitidos',
+};
+
+const ROWS_PER_PAGE = 10;
+
+const EMPTY_SEGMENT = {
+  member_types: [], baptized: '', position_ids: [], age_min: '', age_max: '', responsible_of: '',
+  household_ids: [], one_per_household: false,
+};
+const EMPTY_FORM = { title: '', message: '', scheduled_at: '' };
+
+const formatDateTime = (d) => {
+  if (!d) return '-';
+  return new Date(d).toLocaleString('es-ES', {
+    day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+};
+
+const Broadcasts = () => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [segment, setSegment] = useState(EMPTY_SEGMENT);
+  const [positions, setPositions] = useState([]);
+  const [households, setHouseholds] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const [broadcasts, setBroadcasts] = useState([]);
+  const [pagination, setPagination] = useState({ page: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    api.get('/ministerial-positions')
+      .then(({ data }) => setPositions((data.positions || []).filter((p) => p.is_active)))
+      .catch(() => setPositions([]));
+    api.get('/households', { params: { limit: 500 } })
+      .then(({ data }) => setHouseholds(data.households || []))
+      .catch(() => setHouseholds([]));
+  }, []);
+
+  const loadBroadcasts = useCallback(async (page = 0) => {
+    setLoading(true);
+    try {
+      const { data } = await api.get('/notifications/broadcasts', { params: { page: page + 1, limit: ROWS_PER_PAGE } });
+      setBroadcasts(data.broadcasts);
+      setPagination({ page, total: data.pagination.total });
+    } catch (error) {
+      toast.error('Error al cargar anuncios');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { loadBroadcasts(); }, [loadBroadcasts]);
+
+  // Mientras hay anuncios enviándose, refrescar el progreso
+  const anySending = broadcasts.some((b) => b.status === 'sending');
+  useEffect(() => {
+    if (!anySending) return undefined;
+    const timer = setInterval(() => loadBroadcasts(pagination.page), 10000);
+    return () => clearInterval(timer);
+  }, [anySending, loadBroadcasts, pagination.page]);
+
+  // Cambiar el segmento invalida la vista previa
+  const setSegmentField = (key) => (e) => {
+    setSegment({ ...segment, [key]: e.target.value });
+    setPreview(null);
+  };
+
+  const segmentPayload = () => ({
+    ...segment,
+    baptized: segment.baptized === '' ? null : segment.baptized === 'true',
+  });
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    try {
+      const { data } = await api.post('/notifications/broadcasts/preview', { segment: segmentPayload() });
+      setPreview(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al obtener destinatarios');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSend = async () => {
+    if (!form.title.trim() || !form.message.trim()) {
+      toast.error('El título y el mensaje son obligatorios');
+      return;
+    }
+    const scheduled = !!form.scheduled_at;
+    const question = scheduled
+      ? `¿Programar el anuncio para el ${formatDateTime(form.scheduled_at)}?`
+      : `¿Enviar el anuncio ahora${preview ? ` a ${preview.reachable} miembros` : ''}?`;
+    if (!window.confirm(question)) return;
+
+    setSending(true);
+    try {
+      const { data } = await api.post('/notifications/broadcasts', {
+        title: form.title,
+        message: form.message,
+        segment: segmentPayload(),
+        scheduled_at: scheduled ? new Date(form.scheduled_at).toISOString() : null,
+      });
+      toast.success(data.message);
+      setForm(EMPTY_FORM);
+      setSegment(EMPTY_SEGMENT);
+      setPreview(null);
+      loadBroadcasts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al crear anuncio');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleCancel = async (broadcast) => {
+    if (!window.confirm(`¿Cancelar el anuncio "${broadcast.title}"?`)) return;
+    try {
+      const { data } = await api.post(`/notifications/broadcasts/${broadcast.id}/cancel`);
+      toast.success(data.message);
+      loadBroadcasts(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cancelar anuncio');
+    }
+  };
+
+  const openReport = async (broadcast) => {
+    try {
+      const { data } = await api.get(`/notifications/broadcasts/${broadcast.id}`);
+      setReport(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cargar reporte');
+    }
+  };
+
+  const positionName = (id) => positions.find((p) => p.id === id)?.name || id;
+  const householdName = (id) => households.find((h) => h.id === id)?.name || id;
+
+  return (
+    <Grid container spacing={3}>
+      {/* ===== NUEVO ANUNCIO ===== */}
+      <Grid item xs={12} md={7}>
+        <Paper sx={{ p: 2 }}>
+          <Typography variant="h6" gutterBottom>Nuevo anuncio</Typography>
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField fullWidth size="small" label="Título *" inputProps={{ maxLength: 200 }}
+                value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField fullWidth size="small" label="Mensaje *" multiline minRows={4}
+                value={form.message} onChange={(e) => setForm({ ...form, message: e.target.value })}
+                helperText='Se envía con la plantilla "Anuncio general" (pestaña Plantillas)' />
+            </Grid>
+
+            <Grid item xs={12}>
+              <Typography variant="subtitle2">Destinatarios</Typography>
+              <Typography variant="caption" color="text.secondary">
+                Los filtros se combinan. Sin filtros = todos los miembros de la iglesia.
+              </Typography>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField select fullWidth size="small" label="Tipo de miembro"
+                SelectProps={{
+                  multiple: true,
+                  displayEmpty: true,
+                  renderValue: (selected) => (selected.length ? selected.join(', ') : 'Todos'),
+                }}
+                InputLabelProps={{ shrink: true }}
+                value={segment.member_types} onChange={setSegmentField('member_types')}>
+                {MEMBER_TYPES.map((t) => (
+                  <MenuItem key={t} value={t}>
+                    <Checkbox size="small" checked={segment.member_types.includes(t)} sx={{ py: 0 }} />
+                    {t}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField select fullWidth size="small" label="Bautizado"
+                value={segment.baptized} onChange={setSegmentField('baptized')}
+                SelectProps={{ displayEmpty: true }} InputLabelProps={{ shrink: true }}>
+                <MenuItem value="">Todos</MenuItem>
+                <MenuItem value="true">Sí</MenuItem>
+                <MenuItem value="false">No</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField select fullWidth size="small" label="Cargo ministerial"
+                SelectProps={{
+                  multiple: true,
+                  displayEmpty: true,
+                  renderValue: (selected) => (selected.length ? selected.map(positionName).join(', ') : 'Todos'),
+                }}
+                InputLabelProps={{ shrink: true }}
+                value={segment.position_ids} onChange={setSegmentField('position_ids')}>
+                {positions.map((p) => (
+                  <MenuItem key={p.id} value={p.id}>
+                    <Checkbox size="small" checked={segment.position_ids.includes(p.id)} sx={{ py: 0 }} />
+                    {p.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField fullWidth size="small" type="number" label="Edad desde" inputProps={{ min: 0 }}
+                value={segment.age_min} onChange={setSegmentField('age_min')} />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField fullWidth size="small" type="number" label="Edad hasta" inputProps={{ min: 0 }}
+                value={segment.age_max} onChange={setSegmentField('age_max')} />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField select fullWidth size="small" label="Misiones / campos blancos"
+                value={segment.responsible_of} onChange={setSegmentField('responsible_of')}
+                SelectProps={{ displayEmpty: true }} InputLabelProps={{ shrink: true }}>
+                {RESPONSIBLE_OPTIONS.map((o) => (
+                  <MenuItem key={o.value} value={o.value}>{o.label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={7}>
+              <TextField select fullWidth size="small" label="Hogares"
+                SelectProps={{
+                  multiple: true,
+                  displayEmpty: true,
+                  renderValue: (selected) => (selected.length ? selected.map(householdName).join(', ') : 'Todos'),
+                }}
+                InputLabelProps={{ shrink: true }}
+                value={segment.household_ids} onChange={setSegmentField('household_ids')}>
+                {households.map((h) => (
+                  <MenuItem key={h.id} value={h.id}>
+                    <Checkbox size="small" checked={segment.household_ids.includes(h.id)} sx={{ py: 0 }} />
+                    {h.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={5}>
+              <FormControlLabel
+                control={<Checkbox checked={segment.one_per_household}
+                  onChange={(e) => { setSegment({ ...segment, one_per_household: e.target.checked }); setPreview(null); }} />}
+                label="Uno por hogar (jefe de hogar)"
+              />
+            </Grid>
+
+            <Grid item xs={12} sm={6}>
+              <TextField fullWidth size="small" type="datetime-local" label="Programar envío (opcional)"
+                InputLabelProps={{ shrink: true }}
+                value={form.scheduled_at} onChange={(e) => setForm({ ...form, scheduled_at: e.target.value })}
+                helperText="Vacío = enviar ahora" />
+            </Grid>
+          </Grid>
+
+          <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap' }}>
+            <Button variant="outlined" onClick={handlePreview} disabled={previewing}
+              startIcon={previewing ? <CircularProgress size={16} /> : <PeopleIcon />}>
+              Ver destinatarios
+            </Button>
+            <Button variant="contained" onClick={handleSend} disabled={sending}
+              startIcon={form.scheduled_at ? <ScheduleIcon /> : <SendIcon />}>
+              {form.scheduled_at ? 'Programar' : 'Enviar ahora'}
+            </Button>
+          </Box>
+        </Paper>
+      </Grid>
+
+      {/* ===== VISTA PREVIA DE DESTINATARIOS ===== */}
+      <Grid item xs={12} md={5}>
+        <Paper sx={{ p: 2 }}>
+          <Typography variant="h6" gutterBottom>Destinatarios</Typography>
+          {!preview ? (
+            <Typography variant="body2" color="text.secondary">
+              Presione "Ver destinatarios" para saber a quién le llegará el anuncio.
+            </Typography>
+          ) : (
+            <>
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1.5 }}>
+                <Chip label={`${preview.total} en el segmento`} />
+                <Chip label={`${preview.reachable} recibirán`} color="success" />
+                {preview.opted_out > 0 && <Chip label={`${preview.opted_out} dados de baja`} variant="outlined" />}
+                {preview.no_consent > 0 && <Chip label={`${preview.no_consent} sin consentimiento`} color="error" variant="outlined" />}
+                {preview.no_channel > 0 && <Chip label={`${preview.no_channel} sin canal`} color="warning" variant="outlined" />}
+              </Box>
+              {preview.total > preview.members.length && (
+                <Alert severity="info" sx={{ mb: 1 }}>
+                  Se muestran los primeros {preview.members.length} miembros.
+                </Alert>
+              )}
+              <TableContainer sx={{ maxHeight: 420 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Miembro</TableCell>
+                      <TableCell>Canal</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {preview.members.map((m) => (
+                      <TableRow key={m.id}>
+                        <TableCell>
+                          <Typography variant="body2" fontSize={13}>{m.name}</Typography>
+                          <Typography variant="caption" color="text.secondary">{m.member_type}</Typography>
+                        </TableCell>
+                        <TableCell>
+                          {m.opted_out ? (
+                            <Chip label="Dado de baja" size="small" variant="outlined" />
+                          ) : m.no_consent ? (
+                            <Chip label="Sin consentimiento" size="small" color="error" variant="outlined" />
+                          ) : m.channel ? (
+                            <Chip label={CHANNEL_LABELS[m.channel]} size="small" color="primary" variant="outlined" />
+                          ) : (
+                            <Chip label="Sin canal" size="small" color="warning" variant="outlined" />
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </Paper>
+      </Grid>
+
+      {/* ===== ANUNCIOS ===== */}
+      <Grid item xs={12}>
+        <Paper>
+          <Box sx={{ p: 2, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Typography variant="subtitle1" fontWeight={600}>Anuncios</Typography>
+            <Button size="small" variant="outlined" startIcon={<RefreshIcon />} onClick={() => loadBroadcasts(pagination.page)}>
+              Actualizar
+            </Button>
+          </Box>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Envío</TableCell>
+                  <TableCell>Título</TableCell>
+                  <TableCell align="center">Estado</TableCell>
+                  <TableCell sx={{ minWidth: 180 }}>Progreso</TableCell>
+                  <TableCell align="right">Acciones</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {loading && broadcasts.length === 0 ? (
+                  <TableRow><TableCell colSpan={5} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
+                ) : broadcasts.length === 0 ? (
+                  <TableRow><TableCell colSpan={5} align="center" sx={{ py: 4 }}>No hay anuncios</TableCell></TableRow>
+                ) : broadcasts.map((b) => {
+                  const info = BROADCAST_STATUS[b.status] || BROADCAST_STATUS.scheduled;
+                  const processed = b.sent_count + b.failed_count + b.skipped_count;
+                  return (
+                    <TableRow key={b.id} hover>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                        <Typography variant="body2" fontSize={13}>{formatDateTime(b.scheduled_at)}</Typography>
+                        <Typography variant="caption" color="text.secondary">{b.creator?.full_name || ''}</Typography>
+                      </TableCell>
+                      <TableCell>{b.title}</TableCell>
+                      <TableCell align="center">
+                        <Tooltip title={b.error || ''}>
+                          <Chip label={info.label} size="small" color={info.color} />
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>
+                        {b.total_recipients !== null ? (
+                          <>
+                            <LinearProgress variant="determinate"
+                              value={b.total_recipients ? Math.min(100, (processed / b.total_recipients) * 100) : 100} />
+                            <Typography variant="caption" color="text.secondary">
+                              {b.sent_count} enviados · {b.failed_count} fallidos · {b.skipped_count} omitidos de {b.total_recipients}
+                            </Typography>
+                          </>
+                        ) : '—'}
+                      </TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        <Tooltip title="Reporte de entrega">
+                          <IconButton size="small" color="primary" onClick={() => openReport(b)}>
+                            <ReportIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        {['scheduled', 'sending'].includes(b.status) && (
+                          <Tooltip title="Cancelar">
+                            <IconButton size="small" color="error" onClick={() => handleCancel(b)}>
+                              <CancelIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div" count={pagination.total} page={pagination.page}
+            onPageChange={(_, p) => loadBroadcasts(p)} rowsPerPage={ROWS_PER_PAGE}
+            rowsPerPageOptions={[ROWS_PER_PAGE]} labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+          />
+        </Paper>
+      </Grid>
+
+      {/* ===== REPORTE DE ENTREGA ===== */}
+      <Dialog open={!!report} onClose={() => setReport(null)} maxWidth="lg" fullWidth>
+        {report && (
+          <>
+            <DialogTitle>Reporte: {report.broadcast.title}</DialogTitle>
+            <DialogContent>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', mb: 2 }} color="text.secondary">
+                {report.broadcast.message}
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+                <Chip label={`Enviados: ${report.report.outcomes.sent}`} color="info" />
+                <Chip label={`Entregados: ${report.report.outcomes.delivered}`} color="primary" />
+                <Chip label={`Leídos: ${report.report.outcomes.read}`} color="success" />
+                <Chip label={`Fallidos: ${report.report.outcomes.failed}`} color="error" />
+                <Chip label={`Omitidos: ${report.report.outcomes.skipped}`} variant="outlined" />
+              </Box>
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 2 }}>
+                Por canal (todos los intentos):{' '}
+                {report.report.by_channel.length
+                  ? report.report.by_channel.map((r) => `${CHANNEL_LABELS[r.channel] || r.channel} ${DELIVERY_LABELS[r.status] || r.status}: ${r.count}`).join(' · ')
+                  : 'sin envíos todavía'}
+              </Typography>
+              <NotificationHistory broadcastId={report.broadcast.id} />
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setReport(null)}>Cerrar</Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Grid>
+  );
+};
+
+export default Broadcasts;
@@ -0,0 +1,255 @@
+/**
+ * MessageTemplates.js - Plantillas de mensajes (pestaña de Notificaciones)
+ *
+ * Permite editar el texto de cada tipo de mensaje de la iglesia
+ * (recordatorios, cumpleaños, anuncios) con variables {{nombre}}, {{rol}}...
+ * - Correo: asunto + mensaje. SMS: texto corto (vacío = se usa el mensaje).
+ * - WhatsApp: template aprobado en Meta y el orden de sus parámetros {{1}}, {{2}}...
+ * - Vista previa con datos de ejemplo (POST /api/notifications/templates/preview)
+ * - "Restaurar" vuelve a la plantilla por defecto del sistema.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Grid, TextField, MenuItem, Chip, Button, Checkbox,
+  CircularProgress, Alert, Tooltip,
+} from '@mui/material';
+import {
+  Save as SaveIcon, RestartAlt as ResetIcon, Visibility as PreviewIcon,
+} from '@mui/icons-material';
+
+const FIELDS = ['subject', 'body', 'sms_body', 'meta_template_name', 'meta_template_lang', 'meta_params'];
+
+/** Campos editables de una plantilla (null → '' para los TextField) */
+const toForm = (template) => FIELDS.reduce((form, field) => ({
+  ...form,
+  [field]: field === 'meta_params' ? (template[field] || []) : (template[field] || ''),
+}), {});
+
+const MessageTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [kind, setKind] = useState('reminder');
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  const current = templates.find((t) => t.kind === kind);
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await api.get('/notifications/templates');
+      setTemplates(data.templates);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cargar plantillas');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { loadTemplates(); }, [loadTemplates]);
+
+  // Al cambiar de tipo (o recargar) se edita la plantilla efectiva
+  useEffect(() => {
+    if (current) setForm(toForm(current));
+    setPreview(null);
+  }, [current]);
+
+  const replaceTemplate = (template) => {
+    setTemplates((prev) => prev.map((t) => (t.kind === template.kind ? template : t)));
+  };
+
+  /** Agrega la variable al final del mensaje */
+  const insertPlaceholder = (key) => {
+    setForm((prev) => ({ ...prev, body: `${prev.body}{{${key}}}` }));
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    try {
+      const { data } = await api.post('/notifications/templates/preview', { kind, ...form });
+      setPreview(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al generar vista previa');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const { data } = await api.put(`/notifications/templates/${kind}`, form);
+      toast.success(data.message);
+      replaceTemplate(data.template);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al guardar plantilla');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('¿Restaurar la plantilla por defecto? Se perderán los cambios de esta plantilla.')) return;
+    setSaving(true);
+    try {
+      const { data } = await api.delete(`/notifications/templates/${kind}`);
+      toast.success(data.message);
+      replaceTemplate(data.template);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al restaurar plantilla');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !form || !current) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const placeholders = current.placeholders || {};
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12} md={7}>
+        <Paper sx={{ p: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+            <TextField select size="small" label="Tipo de mensaje" value={kind}
+              onChange={(e) => setKind(e.target.value)} sx={{ minWidth: 280 }}>
+              {templates.map((t) => (
+                <MenuItem key={t.kind} value={t.kind}>{t.label}</MenuItem>
+              ))}
+            </TextField>
+            <Chip size="small"
+              label={current.is_custom ? 'Personalizada' : 'Por defecto'}
+              color={current.is_custom ? 'primary' : 'default'} />
+          </Box>
+
+          <Typography variant="caption" color="text.secondary">
+            Variables (clic para agregar al mensaje). Una línea cuya variable queda vacía no se envía.
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5, mb: 2 }}>
+            {Object.entries(placeholders).map(([key, description]) => (
+              <Tooltip key={key} title={description}>
+                <Chip size="small" variant="outlined" label={`{{${key}}}`}
+                  onClick={() => insertPlaceholder(key)} />
+              </Tooltip>
+            ))}
+          </Box>
+
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField fullWidth size="small" label="Asunto (correo)"
+                value={form.subject} onChange={(e) => setForm({ ...form, subject: e.target.value })} />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField fullWidth size="small" label="Mensaje *" multiline minRows={8}
+                value={form.body} onChange={(e) => setForm({ ...form, body: e.target.value })} />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField fullWidth size="small" label="Texto SMS" multiline minRows={2}
+                value={form.sms_body} onChange={(e) => setForm({ ...form, sms_body: e.target.value })}
+                helperText="Vacío = se envía el mensaje completo" />
+            </Grid>
+
+            <Grid item xs={12}>
+              <Typography variant="subtitle2">WhatsApp (template aprobado en Meta)</Typography>
+            </Grid>
+            <Grid item xs={12} sm={8}>
+              <TextField fullWidth size="small" label="Nombre del template"
+                value={form.meta_template_name}
+                onChange={(e) => setForm({ ...form, meta_template_name: e.target.value })} />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField fullWidth size="small" label="Idioma" placeholder="es"
+                value={form.meta_template_lang}
+                onChange={(e) => setForm({ ...form, meta_template_lang: e.target.value })} />
+            </Grid>
+            <Grid item xs={12}>
+              {/* El orden de selección es el orden de los parámetros {{1}}, {{2}}... */}
+              <TextField select fullWidth size="small" label="Parámetros del template"
+                SelectProps={{
+                  multiple: true,
+                  renderValue: (selected) => selected.map((p, i) => `{{${i + 1}}} ${p}`).join(', '),
+                }}
+                value={form.meta_params}
+                onChange={(e) => setForm({ ...form, meta_params: e.target.value })}
+                helperText="Seleccione en el orden del template: la primera variable llena {{1}}, la segunda {{2}}...">
+                {Object.keys(placeholders).map((key) => {
+                  const position = form.meta_params.indexOf(key);
+                  return (
+                    <MenuItem key={key} value={key}>
+                      <Checkbox size="small" checked={position >= 0} sx={{ py: 0 }} />
+                      {key}{position >= 0 ? ` → {{${position + 1}}}` : ''}
+                    </MenuItem>
+                  );
+                })}
+              </TextField>
+            </Grid>
+          </Grid>
+
+          <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap' }}>
+            <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSave} disabled={saving}>
+              Guardar
+            </Button>
+            <Button variant="outlined" startIcon={previewing ? <CircularProgress size={16} /> : <PreviewIcon />}
+              onClick={handlePreview} disabled={previewing}>
+              Vista previa
+            </Button>
+            <Button color="warning" startIcon={<ResetIcon />} onClick={handleReset}
+              disabled={saving || !current.is_custom}>
+              Restaurar por defecto
+            </Button>
+          </Box>
+        </Paper>
+      </Grid>
+
+      <Grid item xs={12} md={5}>
+        <Paper sx={{ p: 2 }}>
+          <Typography variant="h6" gutterBottom>Vista previa</Typography>
+          {!preview ? (
+            <Typography variant="body2" color="text.secondary">
+              Presione "Vista previa" para ver el mensaje con datos de ejemplo.
+            </Typography>
+          ) : (
+            <>
+              {preview.errors.length > 0 && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {preview.errors.map((err) => <div key={err}>{err}</div>)}
+                </Alert>
+              )}
+              <Typography variant="caption" color="text.secondary">Asunto</Typography>
+              <Typography variant="body2" sx={{ mb: 1.5 }}>{preview.preview.subject || '-'}</Typography>
+
+              <Typography variant="caption" color="text.secondary">Mensaje (correo)</Typography>
+              <Paper variant="outlined" sx={{ p: 1.5, mb: 1.5, whiteSpace: 'pre-wrap', bgcolor: 'grey.50' }}>
+                <Typography variant="body2">{preview.preview.text}</Typography>
+              </Paper>
+
+              <Typography variant="caption" color="text.secondary">
+                SMS ({preview.preview.sms.length} caracteres)
+              </Typography>
+              <Typography variant="body2" sx={{ mb: 1.5, whiteSpace: 'pre-wrap' }}>{preview.preview.sms}</Typography>
+
+              <Typography variant="caption" color="text.secondary">
+                WhatsApp: {preview.preview.template.name || 'sin template'} ({preview.preview.template.language})
+              </Typography>
+              {preview.preview.template.params.map((value, i) => (
+                <Typography key={i} variant="body2">{`{{${i + 1}}}`} = {value}</Typography>
+              ))}
+            </>
+          )}
+        </Paper>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default MessageTemplates;
@@ -0,0 +1,244 @@
+/**
+ * NotificationHistory.js - Historial de notificaciones (pestaña de Notificaciones)
+ *
+ * Lista paginada de cada intento de recordatorio (GET /api/notifications/history)
+ * con filtros por estado, canal, tipo, origen y rango de fechas. Los envíos fallidos
+ * se pueden reintentar (POST /api/notifications/history/:id/retry): el reintento
+ * usa los datos actuales de la asignación y queda como un registro nuevo.
+ *
+ * Con la prop broadcastId muestra solo los envíos de ese anuncio masivo
+ * (reporte de entrega en la pestaña Anuncios).
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Grid, TextField, MenuItem, Table, TableBody, TableCell,
+  TableContainer, TableHead, TableRow, TablePagination, Chip, Tooltip, IconButton,
+  CircularProgress, Button,
+} from '@mui/material';
+import {
+  Replay as RetryIcon, Refresh as RefreshIcon, History as HistoryIcon,
+} from '@mui/icons-material';
+import { CHANNEL_LABELS } from './channels';
+
+const ROWS_PER_PAGE = 20;
+
+/** Estado del envío → etiqueta y color del chip */
+const LOG_STATUS = {
+  sent: { label: 'Enviado', color: 'info' },
+  delivered: { label: 'Entregado', color: 'primary' },
+  read: { label: 'Leído', color: 'success' },
+  failed: { label: 'Fallido', color: 'error' },
+  skipped: { label: 'Omitido', color: 'default' },
+};
+
+const SOURCE_LABELS = { scheduler: 'Automático', manual: 'Manual', retry: 'Reintento' };
+const TYPE_LABELS = {
+  reminder: 'Día anterior', today: 'Mismo día', announcement: 'Anuncio', birthday: 'Cumpleaños', anniversary: 'Aniversario',
+};
+
+const EMPTY_FILTERS = { status: '', channel: '', reminder_type: '', source: '', from: '', to: '' };
+
+const formatDateTime = (d) => {
+  if (!d) return '-';
+  return new Date(d).toLocaleString('es-ES', {
+    day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit',
+  });
+};
+
+const NotificationHistory = ({ broadcastId = null }) => {
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 0, total: 0 });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [retrying, setRetrying] = useState(null);
+
+  const loadHistory = useCallback(async (page = 0) => {
+    setLoading(true);
+    try {
+      const params = { page: page + 1, limit: ROWS_PER_PAGE };
+      Object.entries(filters).forEach(([key, value]) => { if (value) params[key] = value; });
+      if (broadcastId) params.broadcast_id = broadcastId;
+      const { data } = await api.get('/notifications/history', { params });
+      setLogs(data.logs);
+      setPagination({ page, total: data.pagination.total });
+    } catch (error) {
+      toast.error('Error al cargar historial de notificaciones');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, broadcastId]);
+
+  useEffect(() => { loadHistory(); }, [loadHistory]);
+
+  const handleRetry = async (log) => {
+    setRetrying(log.id);
+    try {
+      const { data } = await api.post(`/notifications/history/${log.id}/retry`);
+      if (data.outcome === 'sent') toast.success(data.message);
+      else toast.warning(data.message);
+      loadHistory(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al reintentar');
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  return (
+    <Paper>
+      <Box sx={{ p: 2, display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <HistoryIcon color="primary" />
+          <Typography variant="subtitle1" fontWeight={600}>
+            {broadcastId ? 'Envíos del anuncio' : 'Historial de envíos'}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button size="small" onClick={() => setFilters(EMPTY_FILTERS)}>Limpiar filtros</Button>
+          <Button size="small" variant="outlined" startIcon={<RefreshIcon />} onClick={() => loadHistory(pagination.page)}>
+            Actualizar
+          </Button>
+        </Box>
+      </Box>
+
+      {/* ===== FILTROS ===== */}
+      <Grid container spacing={1.5} sx={{ px: 2, pb: 2 }}>
+        <Grid item xs={6} sm={4} md={2}>
+          <TextField select fullWidth size="small" label="Estado" value={filters.status} onChange={setFilter('status')}>
+            <MenuItem value="">Todos</MenuItem>
+            {Object.entries(LOG_STATUS).map(([value, info]) => (
+              <MenuItem key={value} value={value}>{info.label}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={6} sm={4} md={2}>
+          <TextField select fullWidth size="small" label="Canal" value={filters.channel} onChange={setFilter('channel')}>
+            <MenuItem value="">Todos</MenuItem>
+            {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={6} sm={4} md={2}>
+          <TextField select fullWidth size="small" label="Tipo" value={filters.reminder_type} onChange={setFilter('reminder_type')}>
+            <MenuItem value="">Todos</MenuItem>
+            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={6} sm={4} md={2}>
+          <TextField select fullWidth size="small" label="Origen" value={filters.source} onChange={setFilter('source')}>
+            <MenuItem value="">Todos</MenuItem>
+            {Object.entries(SOURCE_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={6} sm={6} md={2}>
+          <TextField fullWidth size="small" type="date" label="Desde" InputLabelProps={{ shrink: true }}
+            value={filters.from} onChange={setFilter('from')} />
+        </Grid>
+        <Grid item xs={6} sm={6} md={2}>
+          <TextField fullWidth size="small" type="date" label="Hasta" InputLabelProps={{ shrink: true }}
+            value={filters.to} onChange={setFilter('to')} />
+        </Grid>
+      </Grid>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Fecha</TableCell>
+              <TableCell>Miembro</TableCell>
+              <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>Culto / anuncio / saludo</TableCell>
+              <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>Tipo</TableCell>
+              <TableCell align="center">Estado</TableCell>
+              <TableCell align="right">Acciones</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow><TableCell colSpan={6} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
+            ) : logs.length === 0 ? (
+              <TableRow><TableCell colSpan={6} align="center" sx={{ py: 4 }}>No hay notificaciones registradas</TableCell></TableRow>
+            ) : logs.map((log) => {
+              const info = LOG_STATUS[log.status] || LOG_STATUS.sent;
+              return (
+                <TableRow key={log.id} hover>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                    <Typography variant="body2" fontSize={13}>{formatDateTime(log.createdAt)}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {SOURCE_LABELS[log.source] || log.source}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" fontSize={13} fontWeight={600}>
+                      {log.member ? `${log.member.first_name} ${log.member.last_name}` : '—'}
+                    </Typography>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                      {log.role && (
+                        <Chip label={log.role.abbreviation} title={log.role.name} size="small" color="primary"
+                          sx={{ fontSize: 10, height: 18, minWidth: 26 }} />
+                      )}
+                      <Chip label={CHANNEL_LABELS[log.channel] || log.channel} size="small" variant="outlined"
+                        sx={{ fontSize: 10, height: 18 }} />
+                      <Typography variant="caption" color="text.secondary">{log.recipient || 'sin destino'}</Typography>
+                    </Box>
+                  </TableCell>
+                  <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>
+                    <Typography variant="body2" fontSize={13}>{log.event?.title || log.broadcast?.title || (!log.event_id && log.role_label) || '—'}</Typography>
+                    {log.event && (
+                      <Typography variant="caption" color="text.secondary">{formatDateTime(log.event.start_date)}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>
+                    {TYPE_LABELS[log.reminder_type] || '-'}
+                  </TableCell>
+                  <TableCell align="center">
+                    <Tooltip title={log.error || log.reply_text || ''}>
+                      <Chip label={info.label} size="small" color={info.color}
+                        variant={log.status === 'skipped' ? 'outlined' : 'filled'} />
+                    </Tooltip>
+                    {log.reply_text && (
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        Respondió: “{log.reply_text}”
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    {log.status === 'failed' && !log.retried_at && (
+                      retrying === log.id ? (
+                        <CircularProgress size={20} />
+                      ) : (
+                        <Tooltip title="Reintentar envío">
+                          <IconButton size="small" color="primary" onClick={() => handleRetry(log)}>
+                            <RetryIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )
+                    )}
+                    {log.retried_at && (
+                      <Typography variant="caption" color="text.secondary">Reintentado</Typography>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <TablePagination
+        component="div" count={pagination.total} page={pagination.page}
+        onPageChange={(_, p) => loadHistory(p)} rowsPerPage={ROWS_PER_PAGE}
+        rowsPerPageOptions={[ROWS_PER_PAGE]} labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+      />
+    </Paper>
+  );
+};
+
+export default NotificationHistory;
@@ -0,0 +1,10 @@
+/**
+ * channels.js - Canales de notificación (igual que server/utils/notificationChannels.js)
+ */
+export const CHANNELS = ['whatsapp', 'email', 'sms'];
+
+export const CHANNEL_LABELS = {
+  whatsapp: 'WhatsApp',
+  email: 'Correo',
+  sms: 'SMS',
+};
@@ -0,0 +1,55 @@
+/**
+ * BackupCodes.js - Códigos de respaldo de la verificación en dos pasos
+ *
+ * Se muestran una sola vez (al activar el 2FA o al generarlos de nuevo):
+ * cada código sirve una vez para entrar sin el teléfono.
+ */
+import React from 'react';
+import { Box, Typography, Button, Alert } from '@mui/material';
+import { ContentCopy as CopyIcon, Download as DownloadIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+
+/**
+ * @param {string[]} codes
+ */
+const BackupCodes = ({ codes }) => {
+  const text = codes.join('\n');
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Códigos copiados');
+    } catch {
+      toast.error('No se pudieron copiar los códigos');
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'codigos-respaldo.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Guarde estos códigos en un lugar seguro. Cada uno sirve una sola vez para
+        entrar si pierde el teléfono. No se volverán a mostrar.
+      </Alert>
+      <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1, mb: 2, textAlign: 'center' }}>
+        {codes.map((code) => (
+          <Typography key={code} fontFamily="monospace" fontWeight={600}>{code}</Typography>
+        ))}
+      </Box>
+      <Box sx={{ display: 'flex', gap: 1, justifyContent: 'center' }}>
+        <Button size="small" startIcon={<CopyIcon />} onClick={copy}>Copiar</Button>
+        <Button size="small" startIcon={<DownloadIcon />} onClick={download}>Descargar</Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default BackupCodes;
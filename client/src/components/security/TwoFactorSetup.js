@@ -0,0 +1,36 @@
+/**
+ * TwoFactorSetup.js - Datos para agregar la cuenta a la app autenticadora
+ *
+ * Muestra el QR (si el servidor tiene el paquete qrcode) y siempre el
+ * secreto para escribirlo a mano. Usado en el login (alta obligatoria por
+ * rol) y en pages/Security.js.
+ */
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+/** Secreto en grupos de 4 para copiarlo a mano */
+const formatSecret = (secret) => secret.replace(/(.{4})/g, '$1 ').trim();
+
+/**
+ * @param {Object} enrollment - { secret, otpauth_url, qr_code } de POST /auth/2fa/setup
+ */
+const TwoFactorSetup = ({ enrollment }) => (
+  <Box sx={{ textAlign: 'center' }}>
+    <Typography variant="body2" sx={{ mb: 1 }}>
+      1. Escanee el código con su aplicación autenticadora (Google Authenticator,
+      Microsoft Authenticator, Authy...).
+    </Typography>
+    {enrollment.qr_code && (
+      <Box component="img" src={enrollment.qr_code} alt="Código QR" sx={{ width: 180, height: 180, mb: 1 }} />
+    )}
+    <Typography variant="caption" color="text.secondary" display="block">
+      {enrollment.qr_code ? 'O ingrese esta clave manualmente:' : 'Ingrese esta clave en la aplicación:'}
+    </Typography>
+    <Typography fontFamily="monospace" fontWeight={700} sx={{ mb: 1, wordBreak: 'break-all' }}>
+      {formatSecret(enrollment.secret)}
+    </Typography>
+    <Typography variant="body2">2. Escriba el código de 6 dígitos que muestra la aplicación.</Typography>
+  </Box>
+);
+
+export default TwoFactorSetup;
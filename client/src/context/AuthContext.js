@@ -1,10 +1,11 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
-import api from '../services/api';
+import api, { saveSession, clearSession } from '../services/api';
 
 const AuthContext = createContext(null);
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [permissions, setPermissions] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -18,33 +19,80 @@ export const AuthProvider = ({ children }) => {
 
   const loadUser = async () => {
     try {
-      const { data } = await api.get('/auth/me');
+      const [{ data }, permissionsRes] = await Promise.all([
+        api.get('/auth/me'),
+        api.get('/permissions/me'),
+      ]);
+      setPermissions(permissionsRes.data.permissions);
       setUser(data.user);
     } catch (error) {
-      localStorage.removeItem('token');
+      clearSession();
       setUser(null);
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Primer paso del login. Con verificación en dos pasos devuelve
+   * { two_factor_required, challenge_token, ... } sin abrir la sesión:
+   * la abre startSession con la respuesta de POST /auth/login/2fa.
+   */
   const login = async (email, password) => {
     const { data } = await api.post('/auth/login', { email, password });
-    localStorage.setItem('token', data.token);
-    setUser(data.user);
+    if (data.two_factor_required) return data;
+    await startSession(data);
     return data;
   };
 
+  /** Permisos del usuario actual (GET /permissions/me) */
+  const loadPermissions = async () => {
+    const { data } = await api.get('/permissions/me');
+    setPermissions(data.permissions);
+    return data.permissions;
+  };
+
+  /**
+   * Guarda los tokens de una respuesta de login, carga los permisos y
+   * recién entonces el usuario (para no mostrar la app sin permisos)
+   */
+  const startSession = async (data) => {
+    saveSession(data);
+    try {
+      await loadPermissions();
+    } catch (error) {
+      setPermissions([]);
+    }
+    setUser(data.user);
+  };
+
   const register = async (userData) => {
     const { data } = await api.post('/auth/register', userData);
-    localStorage.setItem('token', data.token);
-    setUser(data.user);
+    if (data.token) await startSession(data);
     return data;
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
+  /** Cierra la sesión en el servidor (revoca el refresh token) y localmente */
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
     setUser(null);
+    setPermissions([]);
+    if (refreshToken) {
+      try {
+        await api.post('/auth/logout', { refresh_token: refreshToken });
+      } catch (error) {
+        // La sesión local ya se cerró; el servidor la vence sola
+      }
+    }
+  };
+
+  /** Cierra todas las sesiones del usuario (todos los dispositivos) */
+  const logoutAll = async () => {
+    await api.post('/auth/logout-all');
+    clearSession();
+    setUser(null);
+    setPermissions([]);
   };
 
   /** Verifica si el usuario tiene alguno de los roles indicados */
@@ -55,13 +103,27 @@ export const AuthProvider = ({ children }) => {
     return roles.includes(user.role.name);
   };
 
+  /**
+   * Verifica si el usuario tiene alguno de los permisos indicados
+   * (catálogo en server/utils/permissions.js; editable por iglesia)
+   */
+  const can = (...keys) => {
+    if (!user || !user.role) return false;
+    // SuperAdmin siempre tiene acceso (bypass)
+    if (user.role.name === 'SuperAdmin') return true;
+    return keys.some((key) => permissions.includes(key));
+  };
+
   /** Verifica si el usuario es SuperAdmin */
   const isSuperAdmin = () => {
     return user && user.role && user.role.name === 'SuperAdmin';
   };
 
   return (
-    <AuthContext.Provider value={{ user, loading, login, register, logout, hasRole, isSuperAdmin, loadUser }}>
+    <AuthContext.Provider value={{
+      user, permissions, loading, login, startSession, register, logout, logoutAll,
+      hasRole, can, isSuperAdmin, loadUser, loadPermissions,
+    }}>
       {children}
     </AuthContext.Provider>
   );
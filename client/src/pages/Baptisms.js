@@ -0,0 +1,288 @@
+/**
+ * Baptisms.js - Registro de bautismos de la iglesia
+ *
+ * - Lista por año (filtro con los años que tienen bautismos) y búsqueda por nombre
+ * - Registrar / editar: miembro, fecha, ministro oficiante, lugar, testigos y
+ *   número de certificado (vacío = se genera B-AAAA-NNN). El miembro queda
+ *   bautizado con esa fecha automáticamente.
+ * - Certificado PDF con el logo de la iglesia (GET /api/baptisms/:id/certificate)
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Button, TextField, MenuItem, Table, TableBody, TableCell,
+  TableContainer, TableHead, TableRow, IconButton, Chip, Dialog, DialogTitle, DialogContent,
+  DialogActions, Grid, CircularProgress, InputAdornment, TablePagination,
+} from '@mui/material';
+import {
+  Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon, Search as SearchIcon,
+  PictureAsPdf as PdfIcon,
+} from '@mui/icons-material';
+import { downloadBaptismCertificate } from '../components/members/baptismCertificate';
+
+const emptyForm = {
+  member_id: '', baptism_date: '', officiant: '', place: '', witnesses: '', certificate_number: '', notes: '',
+};
+
+const formatDate = (d) => new Date(`${d}T00:00:00`).toLocaleDateString('es-ES', {
+  year: 'numeric', month: 'short', day: 'numeric',
+});
+
+const Baptisms = () => {
+  const { can } = useAuth();
+  const navigate = useNavigate();
+  const currentYear = new Date().getFullYear();
+  const [baptisms, setBaptisms] = useState([]);
+  const [years, setYears] = useState([]);
+  const [pagination, setPagination] = useState({ page: 0, total: 0 });
+  const [year, setYear] = useState(String(currentYear));
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  /** Miembros sin registro de bautismo (select del formulario) */
+  const [candidates, setCandidates] = useState([]);
+
+  const canEdit = can('baptisms.write');
+
+  const loadBaptisms = useCallback(async (page = 0) => {
+    setLoading(true);
+    try {
+      const params = { page: page + 1, limit: 20 };
+      if (year) params.year = year;
+      if (search) params.search = search;
+      const { data } = await api.get('/baptisms', { params });
+      setBaptisms(data.baptisms);
+      setYears(data.years);
+      setPagination({ page, total: data.pagination.total });
+    } catch (error) {
+      toast.error('Error al cargar bautismos');
+    } finally {
+      setLoading(false);
+    }
+  }, [year, search]);
+
+  useEffect(() => { loadBaptisms(); }, [loadBaptisms]);
+
+  const loadCandidates = async () => {
+    try {
+      const { data } = await api.get('/members', { params: { limit: 1000, status: 'active' } });
+      setCandidates((data.members || []).filter((m) => !m.baptism));
+    } catch (error) {
+      toast.error('Error al cargar miembros');
+    }
+  };
+
+  const openNew = () => {
+    setEditing(null);
+    setForm(emptyForm);
+    loadCandidates();
+    setShowModal(true);
+  };
+
+  const openEdit = (b) => {
+    setEditing(b);
+    setForm({
+      member_id: b.member_id,
+      baptism_date: b.baptism_date,
+      officiant: b.officiant,
+      place: b.place || '',
+      witnesses: (b.witnesses || []).join(', '),
+      certificate_number: b.certificate_number,
+      notes: b.notes || '',
+    });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = { ...form, witnesses: form.witnesses.split(',').map((w) => w.trim()).filter(Boolean) };
+      if (editing) {
+        await api.put(`/baptisms/${editing.id}`, payload);
+        toast.success('Bautismo actualizado');
+      } else {
+        const { data } = await api.post('/baptisms', payload);
+        toast.success(`Bautismo registrado (certificado ${data.baptism.certificate_number})`);
+      }
+      setShowModal(false);
+      loadBaptisms(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al guardar');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (b) => {
+    if (!window.confirm(`¿Eliminar el registro ${b.certificate_number}? El miembro quedará como no bautizado.`)) return;
+    try {
+      await api.delete(`/baptisms/${b.id}`);
+      toast.success('Registro eliminado');
+      loadBaptisms(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al eliminar');
+    }
+  };
+
+  const downloadCertificate = async (b) => {
+    try {
+      await downloadBaptismCertificate(b);
+    } catch (error) {
+      toast.error('Error al generar el certificado');
+    }
+  };
+
+  /** Años del filtro: los que tienen bautismos + el actual */
+  const yearOptions = [...new Set([currentYear, ...years])].sort((a, b) => b - a);
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 1 }}>
+        <Typography variant="h5" fontWeight={700}>Bautismos</Typography>
+        {canEdit && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openNew}>Registrar Bautismo</Button>
+        )}
+      </Box>
+
+      {/* Filtros */}
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField size="small" placeholder="Buscar por nombre..."
+          value={search} onChange={(e) => setSearch(e.target.value)}
+          InputProps={{ startAdornment: <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment> }}
+          sx={{ minWidth: 220, flex: 1 }}
+        />
+        <TextField select size="small" label="Año" value={year} onChange={(e) => setYear(e.target.value)} sx={{ minWidth: 120 }}>
+          <MenuItem value="">Todos</MenuItem>
+          {yearOptions.map((y) => <MenuItem key={y} value={String(y)}>{y}</MenuItem>)}
+        </TextField>
+        <Chip label={`${pagination.total} bautismo${pagination.total === 1 ? '' : 's'}`} color="primary" variant="outlined" />
+      </Paper>
+
+      {/* Tabla */}
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Fecha</TableCell>
+                <TableCell>Miembro</TableCell>
+                <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>Oficiante</TableCell>
+                <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>Lugar</TableCell>
+                <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>Testigos</TableCell>
+                <TableCell>Certificado</TableCell>
+                <TableCell align="right">Acciones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow><TableCell colSpan={7} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
+              ) : baptisms.length === 0 ? (
+                <TableRow><TableCell colSpan={7} align="center" sx={{ py: 4 }}>No hay bautismos registrados</TableCell></TableRow>
+              ) : baptisms.map((b) => (
+                <TableRow key={b.id} hover>
+                  <TableCell>{formatDate(b.baptism_date)}</TableCell>
+                  <TableCell>
+                    <Typography fontWeight={600} fontSize={14} onClick={() => navigate(`/members/${b.member_id}`)}
+                      sx={{ cursor: 'pointer', '&:hover': { textDecoration: 'underline' } }}>
+                      {b.member ? `${b.member.first_name} ${b.member.last_name}` : `Miembro #${b.member_id}`}
+                    </Typography>
+                  </TableCell>
+                  <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{b.officiant}</TableCell>
+                  <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{b.place || '-'}</TableCell>
+                  <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>{(b.witnesses || []).join(', ') || '-'}</TableCell>
+                  <TableCell><Chip label={b.certificate_number} size="small" variant="outlined" /></TableCell>
+                  <TableCell align="right">
+                    {can('baptisms.certificate') && (
+                      <IconButton size="small" onClick={() => downloadCertificate(b)} color="secondary" title="Certificado PDF">
+                        <PdfIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                    {canEdit && (
+                      <IconButton size="small" onClick={() => openEdit(b)} color="primary"><EditIcon fontSize="small" /></IconButton>
+                    )}
+                    {can('baptisms.delete') && (
+                      <IconButton size="small" onClick={() => handleDelete(b)} color="error"><DeleteIcon fontSize="small" /></IconButton>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div" count={pagination.total} page={pagination.page}
+          onPageChange={(_, p) => loadBaptisms(p)} rowsPerPage={20}
+          rowsPerPageOptions={[20]} labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+        />
+      </Paper>
+
+      {/* ===== DIALOG REGISTRAR/EDITAR ===== */}
+      <Dialog open={showModal} onClose={() => setShowModal(false)} maxWidth="sm" fullWidth>
+        <form onSubmit={handleSubmit}>
+          <DialogTitle>{editing ? 'Editar Bautismo' : 'Registrar Bautismo'}</DialogTitle>
+          <DialogContent dividers>
+            <Grid container spacing={2} sx={{ mt: 0.5 }}>
+              <Grid item xs={12}>
+                {editing ? (
+                  <TextField fullWidth size="small" label="Miembro" disabled
+                    value={editing.member ? `${editing.member.first_name} ${editing.member.last_name}` : ''} />
+                ) : (
+                  <TextField select fullWidth required size="small" label="Miembro"
+                    value={form.member_id} onChange={(e) => setForm({ ...form, member_id: e.target.value })}
+                    helperText="Solo miembros activos sin registro de bautismo">
+                    {candidates.map((m) => (
+                      <MenuItem key={m.id} value={m.id}>{m.last_name}, {m.first_name} · {m.member_type}</MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              </Grid>
+              <Grid item xs={12} sm={5}>
+                <TextField fullWidth required size="small" label="Fecha de bautismo" type="date"
+                  InputLabelProps={{ shrink: true }}
+                  value={form.baptism_date} onChange={(e) => setForm({ ...form, baptism_date: e.target.value })} />
+              </Grid>
+              <Grid item xs={12} sm={7}>
+                <TextField fullWidth required size="small" label="Ministro oficiante"
+                  value={form.officiant} onChange={(e) => setForm({ ...form, officiant: e.target.value })} />
+              </Grid>
+              <Grid item xs={12} sm={7}>
+                <TextField fullWidth size="small" label="Lugar"
+                  value={form.place} onChange={(e) => setForm({ ...form, place: e.target.value })} />
+              </Grid>
+              <Grid item xs={12} sm={5}>
+                <TextField fullWidth size="small" label="N° de certificado"
+                  value={form.certificate_number} onChange={(e) => setForm({ ...form, certificate_number: e.target.value })}
+                  helperText={editing ? '' : 'Vacío = se genera (B-AAAA-NNN)'} />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Testigos"
+                  value={form.witnesses} onChange={(e) => setForm({ ...form, witnesses: e.target.value })}
+                  helperText="Separados por coma (máximo 6)" />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Notas" multiline rows={2}
+                  value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+              </Grid>
+            </Grid>
+          </DialogContent>
+          <DialogActions sx={{ px: 3, py: 2 }}>
+            <Button onClick={() => setShowModal(false)}>Cancelar</Button>
+            <Button variant="contained" type="submit" disabled={saving}>{editing ? 'Actualizar' : 'Guardar'}</Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Baptisms;
@@ -34,7 +34,7 @@ import {
   CircularProgress, List, ListItem, ListItemText, IconButton,
   Alert, Dialog, DialogTitle, DialogContent, DialogActions,
   Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
-  Chip,
+  Chip, MenuItem,
 } from '@mui/material';
 import {
   Save as SaveIcon, Add as AddIcon, Delete as DeleteIcon,
@@ -43,8 +43,38 @@ import {
   ArrowBack as ArrowBackIcon,
 } from '@mui/icons-material';
 
+/**
+ * Zonas horarias de la red (IANA). Definen el día y la hora de los
+ * recordatorios de WhatsApp y de los calendarios PDF de cada iglesia.
+ */
+const TIMEZONES = [
+  { value: 'America/Panama', label: 'Panamá (UTC-5)' },
+  { value: 'America/Bogota', label: 'Colombia (UTC-5)' },
+  { value: 'America/Costa_Rica', label: 'Costa Rica (UTC-6)' },
+  { value: 'America/El_Salvador', label: 'El Salvador (UTC-6)' },
+  { value: 'America/Guatemala', label: 'Guatemala (UTC-6)' },
+  { value: 'America/Tegucigalpa', label: 'Honduras (UTC-6)' },
+  { value: 'America/Managua', label: 'Nicaragua (UTC-6)' },
+  { value: 'America/Mexico_City', label: 'México - Centro (UTC-6)' },
+  { value: 'America/Guayaquil', label: 'Ecuador (UTC-5)' },
+  { value: 'America/Lima', label: 'Perú (UTC-5)' },
+  { value: 'America/Caracas', label: 'Venezuela (UTC-4)' },
+  { value: 'America/Santo_Domingo', label: 'República Dominicana (UTC-4)' },
+  { value: 'America/Puerto_Rico', label: 'Puerto Rico (UTC-4)' },
+  { value: 'America/La_Paz', label: 'Bolivia (UTC-4)' },
+  { value: 'America/Santiago', label: 'Chile' },
+  { value: 'America/Asuncion', label: 'Paraguay' },
+  { value: 'America/Argentina/Buenos_Aires', label: 'Argentina (UTC-3)' },
+  { value: 'America/Montevideo', label: 'Uruguay (UTC-3)' },
+  { value: 'America/Sao_Paulo', label: 'Brasil - Brasilia (UTC-3)' },
+  { value: 'America/New_York', label: 'EE.UU. - Este' },
+  { value: 'America/Chicago', label: 'EE.UU. - Centro' },
+  { value: 'America/Los_Angeles', label: 'EE.UU. - Pacífico' },
+  { value: 'Europe/Madrid', label: 'España' },
+];
+
 const Churches = () => {
-  const { user, hasRole, isSuperAdmin } = useAuth();
+  const { user, can, isSuperAdmin } = useAuth();
 
   // ===== ESTADO COMPARTIDO =====
   const [loading, setLoading] = useState(true);
@@ -490,6 +520,24 @@ const Churches = () => {
             <Grid item xs={12} sm={6}>
               <TextField fullWidth size="small" label="Teléfono" value={form.phone || ''} onChange={(e) => setForm({ ...form, phone: e.target.value })} />
             </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField select fullWidth size="small" label="Zona horaria"
+                value={form.timezone || 'America/Panama'}
+                onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+                helperText="Hora de los recordatorios y de los calendarios PDF">
+                {TIMEZONES.map((tz) => <MenuItem key={tz.value} value={tz.value}>{tz.label}</MenuItem>)}
+                {form.timezone && !TIMEZONES.some((tz) => tz.value === form.timezone) && (
+                  <MenuItem value={form.timezone}>{form.timezone}</MenuItem>
+                )}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField fullWidth size="small" label="Código de país" value={form.default_country_code || ''}
+                onChange={(e) => setForm({ ...form, default_country_code: e.target.value.replace(/\D/g, '') })}
+                inputProps={{ maxLength: 4 }}
+                InputProps={{ startAdornment: <Typography color="text.secondary" sx={{ mr: 0.5 }}>+</Typography> }}
+                helperText="Se antepone a los teléfonos locales de los miembros (ej: 507)" />
+            </Grid>
           </Grid>
         </Paper>
 
@@ -577,16 +625,18 @@ const Churches = () => {
           </Grid>
         </Paper>
 
-        <Button variant="contained" startIcon={<SaveIcon />} type="submit" sx={{ mb: 3 }}>
-          Guardar Cambios
-        </Button>
+        {can('churches.edit') && (
+          <Button variant="contained" startIcon={<SaveIcon />} type="submit" sx={{ mb: 3 }}>
+            Guardar Cambios
+          </Button>
+        )}
       </form>
 
       {/* ===== MISIONES ===== */}
       <Paper sx={{ p: 3, mb: 3 }}>
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
           <Typography variant="h6">Misiones</Typography>
-          {hasRole('Administrador', 'Secretaría') && (
+          {can('missions.write') && (
             <Button variant="contained" size="small" startIcon={<AddIcon />} onClick={openNewMission}>
               Agregar
             </Button>
@@ -598,12 +648,12 @@ const Churches = () => {
             <ListItem key={m.id}
               secondaryAction={
                 <Box>
-                  {hasRole('Administrador', 'Secretaría') && (
+                  {can('missions.write') && (
                     <IconButton edge="end" size="small" onClick={() => openEditMission(m)} color="primary" title="Editar">
                       <EditIcon fontSize="small" />
                     </IconButton>
                   )}
-                  {hasRole('Administrador') && (
+                  {can('missions.delete') && (
                     <IconButton edge="end" size="small" onClick={() => deleteMission(m.id)} color="error" title="Eliminar" sx={{ ml: 0.5 }}>
                       <DeleteIcon fontSize="small" />
                     </IconButton>
@@ -642,7 +692,7 @@ const Churches = () => {
       <Paper sx={{ p: 3 }}>
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
           <Typography variant="h6">Campos Blancos</Typography>
-          {hasRole('Administrador', 'Secretaría') && (
+          {can('missions.write') && (
             <Button variant="contained" size="small" startIcon={<AddIcon />} onClick={openNewWf}>
               Agregar
             </Button>
@@ -654,12 +704,12 @@ const Churches = () => {
             <ListItem key={wf.id}
               secondaryAction={
                 <Box>
-                  {hasRole('Administrador', 'Secretaría') && (
+                  {can('missions.write') && (
                     <IconButton edge="end" size="small" onClick={() => openEditWf(wf)} color="primary" title="Editar">
                       <EditIcon fontSize="small" />
                     </IconButton>
                   )}
-                  {hasRole('Administrador') && (
+                  {can('missions.delete') && (
                     <IconButton edge="end" size="small" onClick={() => deleteWhiteField(wf.id)} color="error" title="Eliminar" sx={{ ml: 0.5 }}>
                       <DeleteIcon fontSize="small" />
                     </IconButton>
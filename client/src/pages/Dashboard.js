@@ -1,12 +1,15 @@
 /**
  * Dashboard.js - Panel principal con estadísticas
  * 
- * Muestra: Contadores generales + Resumen de la iglesia
+ * Muestra: Contadores generales + Cumpleaños del mes + Resumen de la iglesia
  * Las decisiones de fe se muestran como dato calculado (no editable)
+ * Cada contador y los cumpleaños solo aparecen con el permiso '.view' del
+ * módulo (members.view, events.view, minutes.view)
  */
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
+import BirthdaysWidget from '../components/dashboard/BirthdaysWidget';
 import {
   Box, Grid, Paper, Typography, CircularProgress, Divider,
 } from '@mui/material';
@@ -28,18 +31,24 @@ const StatCard = ({ icon, title, value, color }) => (
 );
 
 const Dashboard = () => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
+  const canViewMembers = can('members.view');
+  const canViewEvents = can('events.view');
+  const canViewMinutes = can('minutes.view');
   const [stats, setStats] = useState({ members: 0, events: 0, minutes: 0, church: null });
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     const loadStats = async () => {
       try {
-        // Cargar todas las estadísticas en paralelo
+        // Cargar en paralelo las estadísticas que el usuario puede ver
+        const count = (path, allowed) => (allowed
+          ? api.get(path, { params: { limit: 1 } })
+          : Promise.reject(new Error('Sin permiso')));
         const [membersRes, eventsRes, minutesRes] = await Promise.allSettled([
-          api.get('/members', { params: { limit: 1 } }),
-          api.get('/events', { params: { limit: 1 } }),
-          api.get('/minutes', { params: { limit: 1 } }),
+          count('/members', canViewMembers),
+          count('/events', canViewEvents),
+          count('/minutes', canViewMinutes),
         ]);
 
         let church = null;
@@ -63,7 +72,7 @@ const Dashboard = () => {
       }
     };
     loadStats();
-  }, [user]);
+  }, [user, canViewMembers, canViewEvents, canViewMinutes]);
 
   if (loading) return <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}><CircularProgress /></Box>;
 
@@ -81,21 +90,30 @@ const Dashboard = () => {
 
       {/* Tarjetas de estadísticas */}
       <Grid container spacing={2} sx={{ mb: 4 }}>
-        <Grid item xs={6} md={3}>
-          <StatCard icon={<PeopleIcon />} title="Miembros" value={stats.members} color="#1565C0" />
-        </Grid>
-        <Grid item xs={6} md={3}>
-          <StatCard icon={<EventIcon />} title="Eventos" value={stats.events} color="#E65100" />
-        </Grid>
-        <Grid item xs={6} md={3}>
-          <StatCard icon={<DescriptionIcon />} title="Actas" value={stats.minutes} color="#6A1B9A" />
-        </Grid>
+        {canViewMembers && (
+          <Grid item xs={6} md={3}>
+            <StatCard icon={<PeopleIcon />} title="Miembros" value={stats.members} color="#1565C0" />
+          </Grid>
+        )}
+        {canViewEvents && (
+          <Grid item xs={6} md={3}>
+            <StatCard icon={<EventIcon />} title="Eventos" value={stats.events} color="#E65100" />
+          </Grid>
+        )}
+        {canViewMinutes && (
+          <Grid item xs={6} md={3}>
+            <StatCard icon={<DescriptionIcon />} title="Actas" value={stats.minutes} color="#6A1B9A" />
+          </Grid>
+        )}
         <Grid item xs={6} md={3}>
           <StatCard icon={<FavoriteIcon />} title={`Dec. Fe (${church?.faith_decisions_ref_year || new Date().getFullYear()})`}
             value={church?.faith_decisions_year || 0} color="#C62828" />
         </Grid>
       </Grid>
 
+      {/* Cumpleaños y aniversarios del mes (usuarios con iglesia) */}
+      {user?.church_id && canViewMembers && <BirthdaysWidget />}
+
       {/* Resumen de la iglesia */}
       {church && (
         <Paper sx={{ p: 3 }}>
@@ -6,6 +6,32 @@
  * 2. El backend usa REPLACE strategy (borra + inserta) con transacción
  * 3. Contadores de asistencia y decisiones de fe se calculan en tiempo real
  * 4. Las decisiones de fe se propagan automáticamente a la iglesia
+ * 
+ * EVENTOS RECURRENTES:
+ * - Sección "Repetición" en el dialog (semanal, quincenal, mensual)
+ * - Al editar/eliminar una ocurrencia se pregunta el alcance:
+ *   solo este evento / este y los siguientes / toda la serie
+ * 
+ * ROLES DE CULTO:
+ * - Los roles salen del catálogo de la iglesia (GET /service-roles) y cada
+ *   rol admite varios miembros. Se envían como role_assignments:
+ *   [{ service_role_id, member_id }]
+ * 
+ * DISPONIBILIDAD DE MIEMBROS:
+ * - Los selectores de roles marcan a quien no está disponible (⛔, no se puede
+ *   asignar) o tiene una advertencia (⚠️ día no preferido / tope mensual)
+ * 
+ * PLANIFICADOR DE ROLES:
+ * - "Planificar roles" propone una rotación equitativa de los roles para todos
+ *   los cultos de un rango (POST /events/role-plan), se revisa/ajusta en la
+ *   tabla y se aplica en bloque (POST /events/role-plan/apply)
+ * 
+ * ASISTENCIA POR HOGAR:
+ * - "Agregar hogar" suma de una vez a todos los miembros de un hogar
+ * 
+ * HISTORIAL:
+ * - Cambios del evento, sus asistentes y roles (permiso audit.view,
+ *   components/audit/HistoryDrawer.js)
  */
 import React, { useState, useEffect, useCallback } from 'react';
 import api from '../services/api';
@@ -17,7 +43,7 @@ import {
   IconButton, Chip, Dialog, DialogTitle, DialogContent, DialogActions,
   Grid, CircularProgress, TablePagination, InputAdornment, Divider,
   List, ListItem, ListItemText, ListItemSecondaryAction, Checkbox,
-  Alert,
+  Alert, RadioGroup, Radio, FormControlLabel,
 } from '@mui/material';
 import {
   Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon,
@@ -26,12 +52,49 @@ import {
   Close as CloseIcon, SelectAll as SelectAllIcon,
   CalendarMonth as CalendarIcon,
   Storefront as StorefrontIcon,
+  Repeat as RepeatIcon,
+  Groups as GroupsIcon,
+  History as HistoryIcon,
 } from '@mui/icons-material';
+import HistoryDrawer from '../components/audit/HistoryDrawer';
 
 const EVENT_TYPES = ['Evangelismo', 'Culto', 'Reunión', 'Jornada', 'Conferencia', 'Campamento', 'Ventas', 'Otro'];
 
+/** Opciones de repetición (deben coincidir con FREQUENCIES en server/utils/recurrence.js) */
+const RECURRENCE_OPTIONS = [
+  { value: '', label: 'No se repite' },
+  { value: 'weekly', label: 'Cada semana' },
+  { value: 'biweekly', label: 'Cada dos semanas' },
+  { value: 'monthly', label: 'Cada mes (mismo día de la semana)' },
+];
+
+const WEEKDAY_LABELS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+/** Colores de los chips de roles, en el orden del catálogo */
+const ROLE_CHIP_COLORS = ['primary', 'secondary', 'success', 'warning', 'info', 'error'];
+
+const EMPTY_ROLE_POOL = { member_ids: [], position_ids: [] };
+
+/**
+ * Agrupa las asignaciones de un evento por rol, en el orden del catálogo.
+ * @returns {Array} [{ role, members }]
+ */
+const groupRoleAssignments = (assignments = []) => {
+  const groups = new Map();
+  assignments.forEach((a) => {
+    if (!a.role || !a.member) return;
+    if (!groups.has(a.role.id)) groups.set(a.role.id, { role: a.role, members: [] });
+    groups.get(a.role.id).members.push(a.member);
+  });
+  return [...groups.values()].sort((x, y) => (x.role.sort_order - y.role.sort_order) || (x.role.id - y.role.id));
+};
+
+const EMPTY_RECURRENCE = {
+  frequency: '', weekdays: [], end_type: 'count', until_date: '', occurrence_count: 8,
+};
+
 const Events = () => {
-  const { hasRole } = useAuth();
+  const { can } = useAuth();
   const [events, setEvents] = useState([]);
   const [pagination, setPagination] = useState({ page: 0, total: 0 });
   const [loading, setLoading] = useState(true);
@@ -42,17 +105,50 @@ const Events = () => {
   const [form, setForm] = useState({
     title: '', description: '', event_type: 'Evangelismo',
     start_date: '', end_date: '', location: '',
-    // Roles de culto (solo aplican si event_type === 'Culto')
-    preacher_id: '', worship_leader_id: '', singer_id: '',
+    // Roles de culto (solo aplican si event_type === 'Culto'): { [roleId]: [memberId] }
+    roles: {},
   });
 
+  // Catálogo de roles de culto activos de la iglesia (Predica, Dirige, ...)
+  const [serviceRoles, setServiceRoles] = useState([]);
+
   /**
-   * Lista de miembros para los selectores de roles de culto (P, D, C).
+   * Lista de miembros para los selectores de roles de culto.
    * Se carga al abrir el modal de crear/editar si el tipo es 'Culto',
    * o al cambiar el tipo a 'Culto'.
    */
   const [cultoMembers, setCultoMembers] = useState([]);
 
+  /**
+   * Disponibilidad de los miembros para la fecha del culto.
+   * { [memberId]: { status: 'error' | 'warning', messages: [] } }
+   * Solo incluye miembros con algún problema (ver GET /events/role-availability).
+   */
+  const [roleAvailability, setRoleAvailability] = useState({});
+
+  // Regla de repetición del evento (solo si es recurrente)
+  const [recurrence, setRecurrence] = useState(EMPTY_RECURRENCE);
+
+  /**
+   * Dialog de alcance para ocurrencias de una serie.
+   * { action: 'update' | 'delete', event } o null si está cerrado.
+   */
+  const [scopeDialog, setScopeDialog] = useState(null);
+  const [seriesScope, setSeriesScope] = useState('this');
+
+  // === Estado del planificador de roles ===
+  const [showPlanner, setShowPlanner] = useState(false);
+  const [plannerForm, setPlannerForm] = useState({ start_date: '', end_date: '', overwrite: false });
+  const [rolePools, setRolePools] = useState({}); // { [roleId]: { member_ids, position_ids } }
+  const [unavailable, setUnavailable] = useState([]); // [{ member_id, from, to }]
+  const [newUnavailable, setNewUnavailable] = useState({ member_id: '', from: '', to: '' });
+  const [positions, setPositions] = useState([]);
+  const [rolePlan, setRolePlan] = useState(null); // { plan, load, warnings }
+  const [planning, setPlanning] = useState(false);
+
+  // Evento cuyo historial de cambios se muestra (auditoría)
+  const [historyEvent, setHistoryEvent] = useState(null);
+
   // Estado del modal de asistentes
   const [showAttendeesModal, setShowAttendeesModal] = useState(false);
   const [selectedEvent, setSelectedEvent] = useState(null);
@@ -88,6 +184,19 @@ const Events = () => {
 
   useEffect(() => { loadEvents(); }, [loadEvents]);
 
+  // Catálogo de roles (columnas del planificador, selectores y colores de chips)
+  useEffect(() => {
+    api.get('/service-roles', { params: { is_active: 'true' } })
+      .then(({ data }) => setServiceRoles(data.roles || []))
+      .catch((error) => console.error('Error al cargar roles de culto:', error));
+  }, []);
+
+  /** Color del chip de un rol según su posición en el catálogo */
+  const roleColor = (roleId) => {
+    const index = serviceRoles.findIndex((r) => r.id === roleId);
+    return index === -1 ? 'default' : ROLE_CHIP_COLORS[index % ROLE_CHIP_COLORS.length];
+  };
+
   /**
    * Carga la lista de miembros para los selectores de roles de culto.
    * Se ejecuta al abrir el modal de evento cuando el tipo es 'Culto'.
@@ -101,17 +210,76 @@ const Events = () => {
     }
   }, []);
 
+  // Recalcular disponibilidad al cambiar la fecha de un culto en el dialog
+  useEffect(() => {
+    if (!showModal || form.event_type !== 'Culto' || !form.start_date) {
+      setRoleAvailability({});
+      return;
+    }
+    api.get('/events/role-availability', { params: { date: form.start_date, event_id: editing?.id } })
+      .then(({ data }) => setRoleAvailability(data.availability || {}))
+      .catch((error) => console.error('Error al cargar disponibilidad:', error));
+  }, [showModal, form.event_type, form.start_date, editing]);
+
+  /** Opción de miembro en un selector de rol, marcada según su disponibilidad */
+  const renderRoleOption = (m, roleId) => {
+    const info = roleAvailability[m.id];
+    const selected = (form.roles[roleId] || []).includes(m.id);
+    return (
+      <MenuItem key={m.id} value={m.id}
+        disabled={info?.status === 'error' && !selected}
+        title={info ? info.messages.join('\n') : undefined}>
+        <Checkbox size="small" checked={selected} />
+        {m.first_name} {m.last_name}
+        {info && (info.status === 'error' ? ' ⛔' : ' ⚠️')}
+      </MenuItem>
+    );
+  };
+
+  /** Mensajes de disponibilidad de los miembros elegidos en el formulario */
+  const selectedRoleMessages = [...new Set(Object.values(form.roles).flat())]
+    .map((memberId) => roleAvailability[memberId])
+    .filter(Boolean)
+    .flatMap((info) => info.messages.map((msg) => ({ status: info.status, msg })));
+
   // ===== CRUD DE EVENTOS =====
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+
+  /** Convierte el estado del formulario de repetición al formato del backend */
+  const buildRecurrencePayload = () => {
+    if (!recurrence.frequency) return undefined;
+    return {
+      frequency: recurrence.frequency,
+      weekdays: recurrence.frequency === 'monthly' ? [] : recurrence.weekdays,
+      until_date: recurrence.end_type === 'until' ? recurrence.until_date : null,
+      occurrence_count: recurrence.end_type === 'count' ? recurrence.occurrence_count : null,
+    };
+  };
+
+  /**
+   * Guarda el evento. `scope` solo aplica a ocurrencias de una serie.
+   * La regla de repetición se envía al crear, o al editar la serie completa
+   * ("este y los siguientes" / "toda la serie").
+   */
+  const saveEvent = async (scope = 'this') => {
     try {
+      const { roles, ...payload } = form;
+      payload.role_assignments = form.event_type === 'Culto'
+        ? Object.entries(roles).flatMap(([roleId, memberIds]) =>
+          memberIds.map((memberId) => ({ service_role_id: Number(roleId), member_id: memberId })))
+        : [];
+      const rule = buildRecurrencePayload();
+      if (rule && (!editing?.series_id || scope !== 'this')) payload.recurrence = rule;
+
+      let data;
       if (editing) {
-        await api.put(`/events/${editing.id}`, form);
-        toast.success('Evento actualizado');
+        ({ data } = await api.put(`/events/${editing.id}`, { ...payload, scope }));
+        toast.success(payload.recurrence ? data.message : 'Evento actualizado');
       } else {
-        await api.post('/events', form);
-        toast.success('Evento creado');
+        ({ data } = await api.post('/events', payload));
+        toast.success(payload.recurrence ? data.message : 'Evento creado');
       }
+      // Advertencias de disponibilidad (día no preferido, tope mensual)
+      (data.warnings || []).forEach((warning) => toast.warning(warning));
       setShowModal(false);
       loadEvents(pagination.page);
     } catch (error) {
@@ -119,6 +287,17 @@ const Events = () => {
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // Ocurrencia de una serie: preguntar el alcance antes de guardar
+    if (editing?.series_id) {
+      setSeriesScope('this');
+      setScopeDialog({ action: 'update', event: editing });
+      return;
+    }
+    await saveEvent();
+  };
+
   const openEdit = (event) => {
     setEditing(event);
     setForm({
@@ -128,10 +307,18 @@ const Events = () => {
       end_date: event.end_date ? event.end_date.slice(0, 16) : '',
       location: event.location || '',
       // Cargar roles de culto existentes (vacío si no aplica)
-      preacher_id: event.preacher_id || '',
-      worship_leader_id: event.worship_leader_id || '',
-      singer_id: event.singer_id || '',
+      roles: (event.role_assignments || []).reduce((acc, a) => ({
+        ...acc, [a.service_role_id]: [...(acc[a.service_role_id] || []), a.member_id],
+      }), {}),
     });
+    // Regla de la serie (si es una ocurrencia de un evento recurrente)
+    setRecurrence(event.series ? {
+      frequency: event.series.frequency,
+      weekdays: event.series.weekdays || [],
+      end_type: event.series.occurrence_count ? 'count' : 'until',
+      until_date: event.series.until_date || '',
+      occurrence_count: event.series.occurrence_count || 8,
+    } : EMPTY_RECURRENCE);
     // Si es tipo Culto, cargar miembros para los selectores
     if (event.event_type === 'Culto') loadCultoMembers();
     setShowModal(true);
@@ -142,22 +329,61 @@ const Events = () => {
     setForm({
       title: '', description: '', event_type: 'Evangelismo',
       start_date: '', end_date: '', location: '',
-      preacher_id: '', worship_leader_id: '', singer_id: '',
+      roles: {},
     });
+    setRecurrence(EMPTY_RECURRENCE);
     setShowModal(true);
   };
 
-  const handleDelete = async (id) => {
-    if (!window.confirm('¿Eliminar este evento y toda su asistencia?')) return;
+  const deleteEvent = async (id, scope = 'this') => {
     try {
-      await api.delete(`/events/${id}`);
-      toast.success('Evento eliminado');
+      const { data } = await api.delete(`/events/${id}`, { params: { scope } });
+      toast.success(data.message);
       loadEvents(pagination.page);
     } catch (error) {
       toast.error('Error al eliminar');
     }
   };
 
+  const handleDelete = async (event) => {
+    // Ocurrencia de una serie: preguntar el alcance
+    if (event.series_id) {
+      setSeriesScope('this');
+      setScopeDialog({ action: 'delete', event });
+      return;
+    }
+    if (!window.confirm('¿Eliminar este evento? Quedará en la Papelera con su asistencia, desde donde se puede restaurar.')) return;
+    await deleteEvent(event.id);
+  };
+
+  /** Confirma el dialog de alcance (editar o eliminar ocurrencias de una serie) */
+  const confirmScope = async () => {
+    const { action, event } = scopeDialog;
+    setScopeDialog(null);
+    if (action === 'update') {
+      await saveEvent(seriesScope);
+    } else {
+      await deleteEvent(event.id, seriesScope);
+    }
+  };
+
+  /** Activa/desactiva un día de la semana en la regla de repetición */
+  const toggleWeekday = (day) => {
+    const weekdays = recurrence.weekdays.includes(day)
+      ? recurrence.weekdays.filter((d) => d !== day)
+      : [...recurrence.weekdays, day].sort();
+    setRecurrence({ ...recurrence, weekdays });
+  };
+
+  /** Cambia la frecuencia; en semanal/quincenal propone el día de la fecha de inicio */
+  const changeFrequency = (frequency) => {
+    let { weekdays } = recurrence;
+    if (frequency && frequency !== 'monthly' && weekdays.length === 0 && form.start_date) {
+      weekdays = [new Date(form.start_date).getDay()];
+    }
+    setRecurrence({ ...recurrence, frequency, weekdays });
+  };
+
   // ===== GESTIÓN DE ASISTENTES =====
 
   /**
@@ -232,6 +458,22 @@ const Events = () => {
     toast.success(`${newMembers.length} miembros agregados`);
   };
 
+  /** Agrega a todos los miembros de un hogar que no estén ya en la lista */
+  const addHousehold = (householdId) => {
+    const newMembers = allMembers
+      .filter((m) => m.household_id === householdId && !attendeesList.some((a) => a.member_id === m.id))
+      .map((m) => ({
+        member_id: m.id, attended: true, made_faith_decision: false, notes: '',
+        full_name: `${m.first_name} ${m.last_name}`, member_type: m.member_type || '',
+      }));
+    if (newMembers.length === 0) {
+      toast.info('Los miembros de este hogar ya están en la lista');
+      return;
+    }
+    setAttendeesList([...attendeesList, ...newMembers]);
+    toast.success(`${newMembers.length} miembros del hogar agregados`);
+  };
+
   /** Quita un miembro de la lista */
   const removeMember = (memberId) => {
     setAttendeesList(attendeesList.filter((a) => a.member_id !== memberId));
@@ -355,7 +597,107 @@ const Events = () => {
     }
   };
 
+  // ===== PLANIFICADOR DE ROLES =====
+
+  /** Abre el planificador con el mes siguiente como rango por defecto */
+  const openPlanner = async () => {
+    const now = new Date();
+    const first = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+    const last = new Date(now.getFullYear(), now.getMonth() + 2, 0);
+    const toKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    setPlannerForm({ start_date: toKey(first), end_date: toKey(last), overwrite: false });
+    setRolePlan(null);
+    setShowPlanner(true);
+    loadCultoMembers();
+    try {
+      const { data } = await api.get('/ministerial-positions', { params: { is_active: 'true' } });
+      setPositions(data.positions || []);
+    } catch (error) {
+      console.error('Error al cargar cargos ministeriales:', error);
+    }
+  };
+
+  const updatePool = (roleId, key, value) => {
+    setRolePools({ ...rolePools, [roleId]: { ...(rolePools[roleId] || EMPTY_ROLE_POOL), [key]: value } });
+  };
+
+  const addUnavailable = () => {
+    if (!newUnavailable.member_id || !newUnavailable.from) return;
+    setUnavailable([...unavailable, { ...newUnavailable, to: newUnavailable.to || newUnavailable.from }]);
+    setNewUnavailable({ member_id: '', from: '', to: '' });
+  };
+
+  const memberName = (id) => {
+    const m = cultoMembers.find((x) => x.id === id);
+    return m ? `${m.first_name} ${m.last_name}` : `#${id}`;
+  };
+
+  /** Pide la propuesta al backend (no guarda nada) */
+  const generatePlan = async () => {
+    setPlanning(true);
+    try {
+      const { data } = await api.post('/events/role-plan', {
+        ...plannerForm,
+        roles: rolePools,
+        unavailable,
+      });
+      setRolePlan(data);
+      if (data.plan.length === 0) toast.info('No hay cultos en el rango seleccionado');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al generar la propuesta');
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  /** Permite ajustar a mano una celda de la propuesta antes de aplicar */
+  const updatePlanCell = (eventId, roleId, memberIds) => {
+    setRolePlan({
+      ...rolePlan,
+      plan: rolePlan.plan.map((row) => (row.event_id === eventId
+        ? {
+          ...row,
+          roles: { ...row.roles, [roleId]: memberIds },
+          changed: [...new Set([...row.changed, roleId])],
+        }
+        : row)),
+    });
+  };
+
+  /** Aplica en bloque los cultos con cambios */
+  const applyPlan = async () => {
+    const assignments = rolePlan.plan
+      .filter((row) => row.changed.length > 0)
+      .map((row) => {
+        const roles = {};
+        row.changed.forEach((roleId) => { roles[roleId] = row.roles[roleId] || []; });
+        return { event_id: row.event_id, roles };
+      });
+    if (assignments.length === 0) {
+      toast.info('No hay cambios para aplicar');
+      return;
+    }
+    setPlanning(true);
+    try {
+      const { data } = await api.post('/events/role-plan/apply', { assignments });
+      toast.success(data.message);
+      data.skipped.forEach((item) => toast.warning(`Culto #${item.event_id} omitido: ${item.reason}`));
+      setShowPlanner(false);
+      loadEvents(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al aplicar el plan');
+    } finally {
+      setPlanning(false);
+    }
+  };
+
   // Filtro de búsqueda de miembros
+  /** Hogares de los miembros cargados (para "Agregar hogar") */
+  const attendeeHouseholds = Object.values(allMembers.reduce((acc, m) => {
+    if (m.household) acc[m.household.id] = m.household;
+    return acc;
+  }, {})).sort((a, b) => a.name.localeCompare(b.name, 'es'));
+
   const filteredMembers = allMembers.filter((m) => {
     if (!memberSearch) return true;
     return `${m.first_name} ${m.last_name}`.toLowerCase().includes(memberSearch.toLowerCase());
@@ -388,7 +730,12 @@ const Events = () => {
             color="warning">
             Ventas PDF
           </Button>
-          {hasRole('Administrador', 'Secretaría', 'Líder') && (
+          {can('events.write') && (
+            <Button variant="outlined" startIcon={<GroupsIcon />} onClick={openPlanner}>
+              Planificar roles
+            </Button>
+          )}
+          {can('events.write') && (
             <Button variant="contained" startIcon={<AddIcon />} onClick={openNew}>Nuevo Evento</Button>
           )}
         </Box>
@@ -422,29 +769,26 @@ const Events = () => {
                     <Typography variant="caption" color="text.secondary" sx={{ display: { sm: 'none' } }}>
                       {ev.event_type} • {formatDate(ev.start_date)}
                     </Typography>
-                    {/* Mostrar roles de culto (P, D, C) debajo del título si es tipo Culto */}
-                    {ev.event_type === 'Culto' && (ev.preacher || ev.worship_leader || ev.singer) && (
+                    {/* Mostrar roles de culto (P, D, C...) debajo del título si es tipo Culto */}
+                    {ev.event_type === 'Culto' && ev.role_assignments?.length > 0 && (
                       <Box sx={{ mt: 0.5, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
-                        {ev.preacher && (
-                          <Chip label={`P: ${ev.preacher.first_name} ${ev.preacher.last_name}`}
-                            size="small" variant="outlined" color="primary"
+                        {groupRoleAssignments(ev.role_assignments).map(({ role, members }) => members.map((m) => (
+                          <Chip key={`${role.id}-${m.id}`}
+                            label={`${role.abbreviation}: ${m.first_name} ${m.last_name}`}
+                            title={role.name}
+                            size="small" variant="outlined" color={roleColor(role.id)}
                             sx={{ fontSize: 11, height: 22 }} />
-                        )}
-                        {ev.worship_leader && (
-                          <Chip label={`D: ${ev.worship_leader.first_name} ${ev.worship_leader.last_name}`}
-                            size="small" variant="outlined" color="secondary"
-                            sx={{ fontSize: 11, height: 22 }} />
-                        )}
-                        {ev.singer && (
-                          <Chip label={`C: ${ev.singer.first_name} ${ev.singer.last_name}`}
-                            size="small" variant="outlined" color="success"
-                            sx={{ fontSize: 11, height: 22 }} />
-                        )}
+                        )))}
                       </Box>
                     )}
                   </TableCell>
                   <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>
                     <Chip label={ev.event_type} size="small" variant="outlined" />
+                    {ev.series_id && (
+                      <Chip icon={<RepeatIcon />} label="Serie" size="small" color="info" variant="outlined"
+                        title={ev.is_series_exception ? 'Ocurrencia modificada individualmente' : 'Evento recurrente'}
+                        sx={{ ml: 0.5, fontSize: 11, height: 22 }} />
+                    )}
                   </TableCell>
                   <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{formatDate(ev.start_date)}</TableCell>
                   <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>{ev.location || '-'}</TableCell>
@@ -455,7 +799,7 @@ const Events = () => {
                     <Chip label={ev.faith_decisions} size="small" color="error" variant={ev.faith_decisions > 0 ? 'filled' : 'outlined'} />
                   </TableCell>
                   <TableCell align="right">
-                    {hasRole('Administrador', 'Secretaría', 'Líder') && (
+                    {can('events.write') && (
                       <>
                         <IconButton size="small" onClick={() => openAttendees(ev)} color="success" title="Gestionar asistentes">
                           <PeopleIcon fontSize="small" />
@@ -465,8 +809,13 @@ const Events = () => {
                         </IconButton>
                       </>
                     )}
-                    {hasRole('Administrador') && (
-                      <IconButton size="small" onClick={() => handleDelete(ev.id)} color="error" title="Eliminar">
+                    {can('audit.view') && (
+                      <IconButton size="small" onClick={() => setHistoryEvent(ev)} title="Historial de cambios">
+                        <HistoryIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                    {can('events.delete') && (
+                      <IconButton size="small" onClick={() => handleDelete(ev)} color="error" title="Eliminar">
                         <DeleteIcon fontSize="small" />
                       </IconButton>
                     )}
@@ -496,11 +845,11 @@ const Events = () => {
                   <Select value={form.event_type} onChange={(e) => {
                     const newType = e.target.value;
                     setForm({ ...form, event_type: newType });
-                    // Si cambió a Culto, cargar lista de miembros para los selectores P/D/C
+                    // Si cambió a Culto, cargar lista de miembros para los selectores de roles
                     if (newType === 'Culto' && cultoMembers.length === 0) loadCultoMembers();
                     // Si cambió de Culto a otro tipo, limpiar roles
                     if (newType !== 'Culto') {
-                      setForm((prev) => ({ ...prev, event_type: newType, preacher_id: '', worship_leader_id: '', singer_id: '' }));
+                      setForm((prev) => ({ ...prev, event_type: newType, roles: {} }));
                     }
                   }} label="Tipo">
                     {EVENT_TYPES.map((t) => <MenuItem key={t} value={t}>{t}</MenuItem>)}
@@ -520,57 +869,39 @@ const Events = () => {
                       🎤 Asignación de Roles del Culto
                     </Typography>
                     <Typography variant="caption" color="text.secondary">
-                      Seleccione quién predica, dirige y canta en este culto.
+                      Seleccione quién sirve en cada rol (puede elegir varias personas).
+                      ⛔ = no disponible en esta fecha, ⚠️ = fuera de sus preferencias.
                     </Typography>
                   </Grid>
-                  {/* Selector: Predica (P) */}
-                  <Grid item xs={12} sm={4}>
-                    <FormControl fullWidth size="small">
-                      <InputLabel>Predica (P)</InputLabel>
-                      <Select value={form.preacher_id}
-                        onChange={(e) => setForm({ ...form, preacher_id: e.target.value })}
-                        label="Predica (P)">
-                        <MenuItem value=""><em>— Sin asignar —</em></MenuItem>
-                        {cultoMembers.map((m) => (
-                          <MenuItem key={m.id} value={m.id}>
-                            {m.first_name} {m.last_name}
-                          </MenuItem>
-                        ))}
-                      </Select>
-                    </FormControl>
-                  </Grid>
-                  {/* Selector: Dirige (D) */}
-                  <Grid item xs={12} sm={4}>
-                    <FormControl fullWidth size="small">
-                      <InputLabel>Dirige (D)</InputLabel>
-                      <Select value={form.worship_leader_id}
-                        onChange={(e) => setForm({ ...form, worship_leader_id: e.target.value })}
-                        label="Dirige (D)">
-                        <MenuItem value=""><em>— Sin asignar —</em></MenuItem>
-                        {cultoMembers.map((m) => (
-                          <MenuItem key={m.id} value={m.id}>
-                            {m.first_name} {m.last_name}
-                          </MenuItem>
-                        ))}
-                      </Select>
-                    </FormControl>
-                  </Grid>
-                  {/* Selector: Canta (C) */}
-                  <Grid item xs={12} sm={4}>
-                    <FormControl fullWidth size="small">
-                      <InputLabel>Canta (C)</InputLabel>
-                      <Select value={form.singer_id}
-                        onChange={(e) => setForm({ ...form, singer_id: e.target.value })}
-                        label="Canta (C)">
-                        <MenuItem value=""><em>— Sin asignar —</em></MenuItem>
-                        {cultoMembers.map((m) => (
-                          <MenuItem key={m.id} value={m.id}>
-                            {m.first_name} {m.last_name}
-                          </MenuItem>
-                        ))}
-                      </Select>
-                    </FormControl>
-                  </Grid>
+                  {serviceRoles.length === 0 && (
+                    <Grid item xs={12}>
+                      <Alert severity="info" sx={{ py: 0 }}>
+                        La iglesia no tiene roles de culto activos. Configúrelos en "Roles de Culto".
+                      </Alert>
+                    </Grid>
+                  )}
+                  {serviceRoles.map((role) => (
+                    <Grid item xs={12} sm={6} key={role.id}>
+                      <FormControl fullWidth size="small">
+                        <InputLabel>{`${role.name} (${role.abbreviation})`}</InputLabel>
+                        <Select multiple value={form.roles[role.id] || []}
+                          onChange={(e) => setForm({ ...form, roles: { ...form.roles, [role.id]: e.target.value } })}
+                          label={`${role.name} (${role.abbreviation})`}
+                          renderValue={(ids) => ids.map(memberName).join(', ')}>
+                          {cultoMembers.map((m) => renderRoleOption(m, role.id))}
+                        </Select>
+                      </FormControl>
+                    </Grid>
+                  ))}
+                  {selectedRoleMessages.length > 0 && (
+                    <Grid item xs={12}>
+                      {selectedRoleMessages.map(({ status, msg }) => (
+                        <Alert key={msg} severity={status === 'error' ? 'error' : 'warning'} sx={{ py: 0, mb: 0.5 }}>
+                          {msg}
+                        </Alert>
+                      ))}
+                    </Grid>
+                  )}
                 </>
               )}
               <Grid item xs={12} sm={6}>
@@ -584,6 +915,68 @@ const Events = () => {
               <Grid item xs={12}>
                 <TextField fullWidth size="small" label="Descripción" multiline rows={3} value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
               </Grid>
+
+              {/* ===== REPETICIÓN (eventos recurrentes) ===== */}
+              <Grid item xs={12}>
+                <Divider sx={{ my: 0.5 }} />
+                <Typography variant="subtitle2" color="primary" sx={{ mt: 1 }}>
+                  🔁 Repetición
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {editing?.series_id
+                    ? 'Los cambios de repetición y horario se aplican al guardar "Este y los siguientes" o "Toda la serie".'
+                    : 'Cree todos los cultos de la serie de una vez (ej: cada Domingo y Miércoles).'}
+                </Typography>
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Repetir</InputLabel>
+                  <Select value={recurrence.frequency} onChange={(e) => changeFrequency(e.target.value)} label="Repetir">
+                    {RECURRENCE_OPTIONS.map((opt) => (
+                      <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              {recurrence.frequency && (
+                <>
+                  <Grid item xs={6} sm={3}>
+                    <FormControl fullWidth size="small">
+                      <InputLabel>Termina</InputLabel>
+                      <Select value={recurrence.end_type}
+                        onChange={(e) => setRecurrence({ ...recurrence, end_type: e.target.value })}
+                        label="Termina">
+                        <MenuItem value="count">Tras N veces</MenuItem>
+                        <MenuItem value="until">En fecha</MenuItem>
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                  <Grid item xs={6} sm={3}>
+                    {recurrence.end_type === 'count' ? (
+                      <TextField fullWidth required size="small" label="Veces" type="number"
+                        value={recurrence.occurrence_count}
+                        onChange={(e) => setRecurrence({ ...recurrence, occurrence_count: e.target.value })}
+                        inputProps={{ min: 1, max: 200 }} />
+                    ) : (
+                      <TextField fullWidth required size="small" label="Hasta" type="date" InputLabelProps={{ shrink: true }}
+                        value={recurrence.until_date}
+                        onChange={(e) => setRecurrence({ ...recurrence, until_date: e.target.value })} />
+                    )}
+                  </Grid>
+                  {recurrence.frequency !== 'monthly' && (
+                    <Grid item xs={12}>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {WEEKDAY_LABELS.map((label, day) => (
+                          <Chip key={day} label={label} size="small" clickable
+                            color={recurrence.weekdays.includes(day) ? 'primary' : 'default'}
+                            variant={recurrence.weekdays.includes(day) ? 'filled' : 'outlined'}
+                            onClick={() => toggleWeekday(day)} />
+                        ))}
+                      </Box>
+                    </Grid>
+                  )}
+                </>
+              )}
             </Grid>
           </DialogContent>
           <DialogActions sx={{ px: 3, py: 2 }}>
@@ -593,6 +986,39 @@ const Events = () => {
         </form>
       </Dialog>
 
+      {/* ===== DIALOG ALCANCE (ocurrencias de una serie) ===== */}
+      <Dialog open={!!scopeDialog} onClose={() => setScopeDialog(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <RepeatIcon color="info" />
+            {scopeDialog?.action === 'delete' ? 'Eliminar evento recurrente' : 'Editar evento recurrente'}
+          </Box>
+        </DialogTitle>
+        <DialogContent dividers>
+          <RadioGroup value={seriesScope} onChange={(e) => setSeriesScope(e.target.value)}>
+            <FormControlLabel value="this" control={<Radio />} label="Solo este evento" />
+            <FormControlLabel value="following" control={<Radio />} label="Este y los siguientes" />
+            <FormControlLabel value="all" control={<Radio />} label="Toda la serie" />
+          </RadioGroup>
+          {scopeDialog?.action === 'delete' ? (
+            <Alert severity="info" sx={{ mt: 1 }}>
+              Los eventos afectados quedan en la Papelera con su asistencia y se pueden restaurar.
+            </Alert>
+          ) : (
+            <Typography variant="caption" color="text.secondary">
+              Los roles de culto (P, D, C) solo se guardan en este evento.
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setScopeDialog(null)}>Cancelar</Button>
+          <Button variant="contained" onClick={confirmScope}
+            color={scopeDialog?.action === 'delete' ? 'error' : 'primary'}>
+            {scopeDialog?.action === 'delete' ? 'Eliminar' : 'Guardar'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* ===== DIALOG ASISTENTES ===== */}
       <Dialog open={showAttendeesModal} onClose={() => setShowAttendeesModal(false)}
         maxWidth="md" fullWidth fullScreen={window.innerWidth < 600}>
@@ -616,6 +1042,12 @@ const Events = () => {
                 InputProps={{ startAdornment: <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment> }} />
               <Button fullWidth size="small" variant="outlined" startIcon={<SelectAllIcon />}
                 onClick={addAllMembers} sx={{ mb: 1 }}>Agregar todos</Button>
+              {attendeeHouseholds.length > 0 && (
+                <TextField select fullWidth size="small" label="Agregar hogar" value=""
+                  onChange={(e) => addHousehold(e.target.value)} sx={{ mb: 1 }}>
+                  {attendeeHouseholds.map((h) => <MenuItem key={h.id} value={h.id}>{h.name}</MenuItem>)}
+                </TextField>
+              )}
               <Box sx={{ maxHeight: { xs: 200, sm: '42vh' }, overflow: 'auto', border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
                 <List dense disablePadding>
                   {filteredMembers.map((m) => {
@@ -755,6 +1187,193 @@ const Events = () => {
         </DialogActions>
       </Dialog>
 
+      {/* ===== DIALOG PLANIFICADOR DE ROLES DE CULTO ===== */}
+      <Dialog open={showPlanner} onClose={() => setShowPlanner(false)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <GroupsIcon color="primary" />
+            Planificar roles de culto
+          </Box>
+        </DialogTitle>
+        <DialogContent dividers>
+          <Grid container spacing={2}>
+            <Grid item xs={6} sm={4}>
+              <TextField fullWidth size="small" label="Desde" type="date" InputLabelProps={{ shrink: true }}
+                value={plannerForm.start_date}
+                onChange={(e) => setPlannerForm({ ...plannerForm, start_date: e.target.value })} />
+            </Grid>
+            <Grid item xs={6} sm={4}>
+              <TextField fullWidth size="small" label="Hasta" type="date" InputLabelProps={{ shrink: true }}
+                value={plannerForm.end_date}
+                onChange={(e) => setPlannerForm({ ...plannerForm, end_date: e.target.value })} />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <FormControlLabel
+                control={<Checkbox checked={plannerForm.overwrite}
+                  onChange={(e) => setPlannerForm({ ...plannerForm, overwrite: e.target.checked })} />}
+                label={<Typography variant="body2">Reemplazar roles ya asignados</Typography>} />
+            </Grid>
+
+            {/* Grupo de elegibles por rol: miembros y/o cargos ministeriales */}
+            <Grid item xs={12}>
+              <Typography variant="subtitle2" color="primary">Elegibles por rol</Typography>
+              <Typography variant="caption" color="text.secondary">
+                Elija miembros y/o cargos. Un rol sin elegibles conserva lo que ya tenga cada culto.
+              </Typography>
+            </Grid>
+            {serviceRoles.map((role) => {
+              const pool = rolePools[role.id] || EMPTY_ROLE_POOL;
+              const label = `${role.name} (${role.abbreviation})${role.members_needed > 1 ? ` ×${role.members_needed}` : ''} — miembros`;
+              return (
+                <React.Fragment key={role.id}>
+                  <Grid item xs={12} sm={7}>
+                    <FormControl fullWidth size="small">
+                      <InputLabel>{label}</InputLabel>
+                      <Select multiple value={pool.member_ids}
+                        onChange={(e) => updatePool(role.id, 'member_ids', e.target.value)}
+                        label={label}
+                        renderValue={(ids) => ids.map(memberName).join(', ')}>
+                        {cultoMembers.map((m) => (
+                          <MenuItem key={m.id} value={m.id}>
+                            <Checkbox size="small" checked={pool.member_ids.includes(m.id)} />
+                            {m.first_name} {m.last_name}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                  <Grid item xs={12} sm={5}>
+                    <FormControl fullWidth size="small">
+                      <InputLabel>Cargos</InputLabel>
+                      <Select multiple value={pool.position_ids}
+                        onChange={(e) => updatePool(role.id, 'position_ids', e.target.value)}
+                        label="Cargos"
+                        renderValue={(ids) => ids.map((id) => positions.find((p) => p.id === id)?.name || id).join(', ')}>
+                        {positions.map((p) => (
+                          <MenuItem key={p.id} value={p.id}>
+                            <Checkbox size="small" checked={pool.position_ids.includes(p.id)} />
+                            {p.name}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                </React.Fragment>
+              );
+            })}
+
+            {/* No disponibilidad puntual (viajes, enfermedad, etc.) */}
+            <Grid item xs={12}>
+              <Typography variant="subtitle2" color="primary">No disponibles</Typography>
+            </Grid>
+            <Grid item xs={12} sm={5}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Miembro</InputLabel>
+                <Select value={newUnavailable.member_id} label="Miembro"
+                  onChange={(e) => setNewUnavailable({ ...newUnavailable, member_id: e.target.value })}>
+                  {cultoMembers.map((m) => (
+                    <MenuItem key={m.id} value={m.id}>{m.first_name} {m.last_name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={5} sm={3}>
+              <TextField fullWidth size="small" label="Desde" type="date" InputLabelProps={{ shrink: true }}
+                value={newUnavailable.from}
+                onChange={(e) => setNewUnavailable({ ...newUnavailable, from: e.target.value })} />
+            </Grid>
+            <Grid item xs={5} sm={3}>
+              <TextField fullWidth size="small" label="Hasta" type="date" InputLabelProps={{ shrink: true }}
+                value={newUnavailable.to}
+                onChange={(e) => setNewUnavailable({ ...newUnavailable, to: e.target.value })} />
+            </Grid>
+            <Grid item xs={2} sm={1}>
+              <IconButton color="primary" onClick={addUnavailable} title="Agregar"><AddIcon /></IconButton>
+            </Grid>
+            {unavailable.length > 0 && (
+              <Grid item xs={12}>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {unavailable.map((u, i) => (
+                    <Chip key={i} size="small" variant="outlined"
+                      label={`${memberName(u.member_id)}: ${u.from}${u.to !== u.from ? ` → ${u.to}` : ''}`}
+                      onDelete={() => setUnavailable(unavailable.filter((_, j) => j !== i))} />
+                  ))}
+                </Box>
+              </Grid>
+            )}
+
+            {/* Propuesta (editable antes de aplicar) */}
+            {rolePlan && rolePlan.plan.length > 0 && (
+              <Grid item xs={12}>
+                <Divider sx={{ mb: 1.5 }} />
+                {rolePlan.warnings.length > 0 && (
+                  <Alert severity="warning" sx={{ mb: 1.5 }}>
+                    {rolePlan.warnings.length} rol(es) sin candidato disponible. Revise las filas marcadas.
+                  </Alert>
+                )}
+                <TableContainer sx={{ maxHeight: 360 }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Culto</TableCell>
+                        {rolePlan.roles.map((role) => (
+                          <TableCell key={role.id}>{role.name} ({role.abbreviation})</TableCell>
+                        ))}
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {rolePlan.plan.map((row) => (
+                        <TableRow key={row.event_id}
+                          sx={{ bgcolor: row.warnings.length > 0 ? '#fff8e1' : undefined }}>
+                          <TableCell>
+                            <Typography fontSize={13} fontWeight={600}>{row.title}</Typography>
+                            <Typography variant="caption" color="text.secondary">{formatDate(row.start_date)}</Typography>
+                          </TableCell>
+                          {rolePlan.roles.map((role) => (
+                            <TableCell key={role.id}>
+                              <Select fullWidth size="small" variant="standard" multiple displayEmpty
+                                value={row.roles[role.id] || []}
+                                onChange={(e) => updatePlanCell(row.event_id, role.id, e.target.value)}
+                                renderValue={(ids) => (ids.length > 0 ? ids.map(memberName).join(', ') : <em>— Sin asignar —</em>)}
+                                sx={{ fontSize: 13, fontWeight: row.changed.includes(role.id) ? 700 : 400 }}>
+                                {cultoMembers.map((m) => (
+                                  <MenuItem key={m.id} value={m.id}>
+                                    <Checkbox size="small" checked={(row.roles[role.id] || []).includes(m.id)} />
+                                    {m.first_name} {m.last_name}
+                                  </MenuItem>
+                                ))}
+                              </Select>
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+                {/* Resumen de carga por miembro */}
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1.5 }}>
+                  {rolePlan.load.map((entry) => (
+                    <Chip key={entry.member_id} size="small" color="primary" variant="outlined"
+                      label={`${entry.name || memberName(entry.member_id)}: ${entry.total}`} />
+                  ))}
+                </Box>
+              </Grid>
+            )}
+          </Grid>
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setShowPlanner(false)}>Cancelar</Button>
+          <Button variant="outlined" onClick={generatePlan} disabled={planning}>
+            {rolePlan ? 'Regenerar propuesta' : 'Generar propuesta'}
+          </Button>
+          <Button variant="contained" onClick={applyPlan}
+            disabled={planning || !rolePlan || rolePlan.plan.length === 0}
+            startIcon={planning ? <CircularProgress size={18} color="inherit" /> : <CheckIcon />}>
+            Aplicar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* ===== DIALOG SELECCIONAR AÑO PARA CALENDARIO DE VENTAS PDF ===== */}
       <Dialog open={showSalesCalendarModal} onClose={() => setShowSalesCalendarModal(false)} maxWidth="xs" fullWidth>
         <DialogTitle>
@@ -784,6 +1403,12 @@ const Events = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* ===== HISTORIAL DE CAMBIOS ===== */}
+      <HistoryDrawer
+        open={!!historyEvent} onClose={() => setHistoryEvent(null)}
+        entityType="Event" entityId={historyEvent?.id} title={historyEvent?.title}
+      />
     </Box>
   );
 };
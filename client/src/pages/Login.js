@@ -8,8 +8,13 @@
  * 3. Logo y título cambian según la iglesia seleccionada
  * 
  * Modos: 'login' → 'forgot' → 'reset'
- * En desarrollo: el código de reset se muestra en un toast
- * En producción: se enviaría por email (requiere configurar servicio)
+ *        'login' → 'two_factor' (→ 'backup_codes' al configurarlo)
+ * Verificación en dos pasos: con 2FA activo (o exigido por el rol) el login
+ * pide el código de la app o uno de respaldo; si el rol lo exige y aún no
+ * está configurado, se muestra el QR y al confirmarlo los códigos de respaldo.
+ * El código de reset llega por correo (vence en 15 minutos, un solo uso y
+ * pocos intentos). En desarrollo, si el correo no se pudo enviar, el
+ * servidor lo devuelve y se muestra en un toast.
  */
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
@@ -21,6 +26,8 @@ import {
   CircularProgress, Alert,
 } from '@mui/material';
 import { Church as ChurchIcon } from '@mui/icons-material';
+import TwoFactorSetup from '../components/security/TwoFactorSetup';
+import BackupCodes from '../components/security/BackupCodes';
 
 /** Construye URL completa para archivos estáticos (logos subidos) */
 const getFileUrl = (path) => {
@@ -33,7 +40,7 @@ const getFileUrl = (path) => {
 };
 
 const Login = () => {
-  const [mode, setMode] = useState('login'); // 'login' | 'forgot' | 'reset'
+  const [mode, setMode] = useState('login'); // 'login' | 'forgot' | 'reset' | 'two_factor' | 'backup_codes'
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [resetCode, setResetCode] = useState('');
@@ -41,7 +48,12 @@ const Login = () => {
   const [confirmPassword, setConfirmPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const { login } = useAuth();
+  // Segundo paso: { challenge_token, setup, enrollment } del primer paso
+  const [challenge, setChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  // Respuesta del login retenida hasta que el usuario guarde sus códigos de respaldo
+  const [pendingSession, setPendingSession] = useState(null);
+  const { login, startSession } = useAuth();
   const navigate = useNavigate();
 
   // === Estado de branding dinámico ===
@@ -83,7 +95,13 @@ const Login = () => {
     setError('');
     setLoading(true);
     try {
-      await login(email, password);
+      const data = await login(email, password);
+      if (data.two_factor_required) {
+        setChallenge(data);
+        setTwoFactorCode('');
+        setMode('two_factor');
+        return;
+      }
       toast.success('¡Bienvenido!');
       navigate('/dashboard');
     } catch (err) {
@@ -93,13 +111,49 @@ const Login = () => {
     }
   };
 
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const { data } = await api.post('/auth/login/2fa', {
+        challenge_token: challenge.challenge_token, code: twoFactorCode,
+      });
+      if (data.backup_codes) {
+        setPendingSession(data);
+        setMode('backup_codes');
+        return;
+      }
+      if (data.backup_codes_remaining !== undefined) {
+        toast.warning(`Usó un código de respaldo. Le quedan ${data.backup_codes_remaining}.`, { autoClose: 10000 });
+      }
+      await startSession(data);
+      toast.success('¡Bienvenido!');
+      navigate('/dashboard');
+    } catch (err) {
+      const message = err.response?.data?.message || 'Error al verificar el código';
+      setError(message);
+      // Challenge vencido: volver a pedir la contraseña
+      if (err.response?.status === 401) { setMode('login'); setChallenge(null); }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const finishAfterBackupCodes = async () => {
+    await startSession(pendingSession);
+    setPendingSession(null);
+    toast.success('Verificación en dos pasos activada');
+    navigate('/dashboard');
+  };
+
   const handleForgotPassword = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
     try {
       const { data } = await api.post('/auth/forgot-password', { email });
-      toast.success('Código generado');
+      toast.success(data.message);
       if (data.reset_code) {
         toast.info(`Código (modo desarrollo): ${data.reset_code}`, { autoClose: 15000 });
       }
@@ -134,7 +188,7 @@ const Login = () => {
     }
   };
 
-  const goBack = () => { setMode('login'); setError(''); };
+  const goBack = () => { setMode('login'); setError(''); setChallenge(null); };
 
   return (
     <Box sx={{
@@ -195,6 +249,34 @@ const Login = () => {
           </form>
         )}
 
+        {/* ===== SEGUNDO PASO (2FA) ===== */}
+        {mode === 'two_factor' && challenge && (
+          <form onSubmit={handleTwoFactor}>
+            <Alert severity="info" sx={{ mb: 2 }}>{challenge.message}</Alert>
+            {challenge.setup && challenge.enrollment && <TwoFactorSetup enrollment={challenge.enrollment} />}
+            <TextField fullWidth label={challenge.setup ? 'Código de la aplicación' : 'Código de verificación'}
+              required margin="normal" size="small" autoFocus autoComplete="one-time-code"
+              value={twoFactorCode} onChange={(e) => setTwoFactorCode(e.target.value)}
+              helperText={challenge.setup ? '' : 'Código de 6 dígitos de la aplicación o un código de respaldo'} />
+            <Button fullWidth variant="contained" type="submit" disabled={loading} sx={{ mt: 2, py: 1.2 }}>
+              {loading ? <CircularProgress size={22} color="inherit" /> : (challenge.setup ? 'Activar y Entrar' : 'Verificar')}
+            </Button>
+            <Box sx={{ textAlign: 'center', mt: 2 }}>
+              <Link component="button" type="button" variant="body2" onClick={goBack} underline="hover">Volver al inicio de sesión</Link>
+            </Box>
+          </form>
+        )}
+
+        {/* ===== CÓDIGOS DE RESPALDO (2FA recién configurado) ===== */}
+        {mode === 'backup_codes' && pendingSession && (
+          <Box>
+            <BackupCodes codes={pendingSession.backup_codes} />
+            <Button fullWidth variant="contained" onClick={finishAfterBackupCodes} sx={{ mt: 2, py: 1.2 }}>
+              Ya guardé mis códigos
+            </Button>
+          </Box>
+        )}
+
         {/* ===== FORGOT ===== */}
         {mode === 'forgot' && (
           <form onSubmit={handleForgotPassword}>
@@ -213,7 +295,7 @@ const Login = () => {
         {/* ===== RESET ===== */}
         {mode === 'reset' && (
           <form onSubmit={handleResetPassword}>
-            <Alert severity="info" sx={{ mb: 2 }}>Ingrese el código y su nueva contraseña.</Alert>
+            <Alert severity="info" sx={{ mb: 2 }}>Ingrese el código que recibió por correo y su nueva contraseña.</Alert>
             <TextField fullWidth label="Código de verificación" required margin="normal" size="small"
               value={resetCode} onChange={(e) => setResetCode(e.target.value)} inputProps={{ maxLength: 6 }} />
             <TextField fullWidth label="Nueva contraseña" type="password" required margin="normal" size="small"
@@ -0,0 +1,331 @@
+/**
+ * MemberProfile.js - Perfil del miembro (/members/:id)
+ *
+ * - Datos del miembro: tipo, estado, bautismo, cargo, hogar y contacto
+ * - Historia (línea de tiempo): alta, cambios de tipo, bautismo, cargo,
+ *   traslados, inactivación / reactivación y fallecimiento, con la fecha
+ *   y quién lo registró (GET /api/members/:id/timeline). Solo se agregan
+ *   hitos; no se editan ni se borran.
+ * - Cambiar estado: inactivar, reactivar o registrar fallecimiento
+ *   (PUT /api/members/:id/status, permiso members.status)
+ * - Registro de bautismo (oficiante, lugar, testigos) y su certificado PDF
+ * - Solicitar traslado a otra iglesia (POST /api/transfers); la iglesia de
+ *   destino lo acepta o rechaza en Traslados
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Button, Chip, Grid, Divider, CircularProgress, Alert,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, MenuItem,
+} from '@mui/material';
+import {
+  ArrowBack as BackIcon, PersonAdd as JoinedIcon, SwapHoriz as TypeIcon, WaterDrop as BaptismIcon,
+  Badge as PositionIcon, TransferWithinAStation as TransferIcon, PauseCircle as InactiveIcon,
+  PlayCircle as ReactivatedIcon, Spa as DeceasedIcon, ManageAccounts as StatusIcon, PictureAsPdf as PdfIcon,
+} from '@mui/icons-material';
+import { MEMBER_STATUSES } from '../components/members/memberStatus';
+import { RELATIONSHIP_LABELS } from '../components/members/relationships';
+import { downloadBaptismCertificate } from '../components/members/baptismCertificate';
+
+/** Ícono y color de cada hito de la historia */
+const EVENT_STYLE = {
+  joined: { icon: <JoinedIcon fontSize="small" />, color: '#1565C0' },
+  type_change: { icon: <TypeIcon fontSize="small" />, color: '#6A1B9A' },
+  baptism: { icon: <BaptismIcon fontSize="small" />, color: '#0288D1' },
+  position_change: { icon: <PositionIcon fontSize="small" />, color: '#E65100' },
+  transfer: { icon: <TransferIcon fontSize="small" />, color: '#2E7D32' },
+  inactivated: { icon: <InactiveIcon fontSize="small" />, color: '#757575' },
+  reactivated: { icon: <ReactivatedIcon fontSize="small" />, color: '#2E7D32' },
+  deceased: { icon: <DeceasedIcon fontSize="small" />, color: '#424242' },
+};
+
+const formatDate = (d) => {
+  if (!d) return '-';
+  return new Date(`${d}T00:00:00`).toLocaleDateString('es-ES', { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+const todayKey = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const Field = ({ label, value }) => (
+  <Grid item xs={6} sm={4}>
+    <Typography variant="caption" color="text.secondary">{label}</Typography>
+    <Typography variant="body2" fontWeight={600}>{value || '-'}</Typography>
+  </Grid>
+);
+
+const MemberProfile = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const [member, setMember] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  /** Dialog "Cambiar estado" */
+  const [statusForm, setStatusForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  /** Dialog "Solicitar traslado": { to_church_id, reason } + iglesias de destino */
+  const [transferForm, setTransferForm] = useState(null);
+  const [destinations, setDestinations] = useState([]);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [memberRes, timelineRes] = await Promise.all([
+        api.get(`/members/${id}`),
+        api.get(`/members/${id}/timeline`),
+      ]);
+      setMember(memberRes.data.member);
+      setTimeline(timelineRes.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cargar el miembro');
+      setMember(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const openStatus = () => {
+    setStatusForm({
+      status: member.status === 'active' ? 'inactive' : 'active',
+      date: todayKey(),
+      note: '',
+    });
+  };
+
+  const saveStatus = async () => {
+    setSaving(true);
+    try {
+      const { data } = await api.put(`/members/${id}/status`, statusForm);
+      toast.success(data.message);
+      setStatusForm(null);
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cambiar el estado');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openTransfer = async () => {
+    setTransferForm({ to_church_id: '', reason: '' });
+    try {
+      const { data } = await api.get('/transfers/churches');
+      setDestinations(data.churches || []);
+    } catch (error) {
+      toast.error('Error al cargar iglesias');
+    }
+  };
+
+  const saveTransfer = async () => {
+    setSaving(true);
+    try {
+      const { data } = await api.post('/transfers', { member_id: member.id, ...transferForm });
+      toast.success(data.message);
+      setTransferForm(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al solicitar el traslado');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const downloadCertificate = async () => {
+    try {
+      await downloadBaptismCertificate(member.baptism);
+    } catch (error) {
+      toast.error('Error al generar el certificado');
+    }
+  };
+
+  if (loading) return <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}><CircularProgress /></Box>;
+
+  if (!member) {
+    return (
+      <Box>
+        <Button startIcon={<BackIcon />} onClick={() => navigate('/members')}>Volver a Miembros</Button>
+        <Alert severity="error" sx={{ mt: 2 }}>No se pudo cargar el miembro.</Alert>
+      </Box>
+    );
+  }
+
+  const status = MEMBER_STATUSES[member.status] || MEMBER_STATUSES.active;
+
+  return (
+    <Box>
+      <Button startIcon={<BackIcon />} onClick={() => navigate('/members')} sx={{ mb: 2 }}>Volver a Miembros</Button>
+
+      {/* Datos del miembro */}
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', flexWrap: 'wrap', gap: 1 }}>
+          <Box>
+            <Typography variant="h5" fontWeight={700}>{member.first_name} {member.last_name}</Typography>
+            <Box sx={{ display: 'flex', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+              <Chip label={member.member_type} size="small" color="primary" />
+              <Chip label={status.label} size="small" color={status.color} variant="outlined" />
+              {member.status !== 'active' && member.status_date && (
+                <Chip label={`desde ${formatDate(member.status_date)}`} size="small" variant="outlined" />
+              )}
+            </Box>
+          </Box>
+          {can('transfers.request', 'members.status') && (
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              {member.status === 'active' && can('transfers.request') && (
+                <Button variant="outlined" startIcon={<TransferIcon />} onClick={openTransfer}>Solicitar traslado</Button>
+              )}
+              {can('members.status') && (
+                <Button variant="outlined" startIcon={<StatusIcon />} onClick={openStatus}>Cambiar estado</Button>
+              )}
+            </Box>
+          )}
+        </Box>
+        <Divider sx={{ my: 2 }} />
+        <Grid container spacing={2}>
+          <Field label="Iglesia" value={member.church?.name} />
+          <Field label="Cargo" value={member.position?.name || member.church_role} />
+          <Field label="Bautizado" value={member.baptized ? `Sí${member.baptism_date ? ` (${formatDate(member.baptism_date)})` : ''}` : 'No'} />
+          <Field label="Fecha de nacimiento" value={member.birth_date && formatDate(member.birth_date)} />
+          <Field label="Hogar" value={member.household
+            && `${member.household.name} · ${RELATIONSHIP_LABELS[member.household_relationship] || 'Otro'}`} />
+          <Field label="Teléfono" value={member.phone} />
+          <Field label="Email" value={member.email} />
+          <Field label="Dirección" value={member.address} />
+        </Grid>
+        {member.baptism && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+              <Typography variant="subtitle2" color="primary">Registro de bautismo</Typography>
+              {can('baptisms.certificate') && (
+                <Button size="small" startIcon={<PdfIcon />} onClick={downloadCertificate}>Certificado</Button>
+              )}
+            </Box>
+            <Grid container spacing={2}>
+              <Field label="Certificado" value={member.baptism.certificate_number} />
+              <Field label="Oficiante" value={member.baptism.officiant} />
+              <Field label="Lugar" value={member.baptism.place} />
+              <Field label="Testigos" value={(member.baptism.witnesses || []).join(', ')} />
+            </Grid>
+          </>
+        )}
+      </Paper>
+
+      {/* Historia */}
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>Historia</Typography>
+        <Divider sx={{ mb: 2 }} />
+        {!timeline || timeline.events.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">Sin hitos registrados.</Typography>
+        ) : timeline.events.map((e, i) => {
+          const style = EVENT_STYLE[e.event_type] || EVENT_STYLE.joined;
+          return (
+            <Box key={e.id} sx={{ display: 'flex', gap: 2 }}>
+              {/* Marca y línea vertical */}
+              <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+                <Box sx={{ bgcolor: `${style.color}15`, color: style.color, borderRadius: '50%', p: 0.75, display: 'flex' }}>
+                  {style.icon}
+                </Box>
+                {i < timeline.events.length - 1 && <Box sx={{ flex: 1, width: 2, bgcolor: 'divider', my: 0.5 }} />}
+              </Box>
+              <Box sx={{ pb: 2.5, flex: 1 }}>
+                <Typography variant="body2" fontWeight={700}>
+                  {timeline.event_types[e.event_type] || e.event_type}
+                  {(e.from_value || e.to_value) && (
+                    <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                      {e.from_value ? `${e.from_value} → ` : ''}{e.to_value || (e.event_type === 'position_change' ? 'Sin cargo' : '')}
+                    </Typography>
+                  )}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {formatDate(e.event_date)}
+                  {e.recorder ? ` · registrado por ${e.recorder.full_name}` : ''}
+                </Typography>
+                {e.note && <Typography variant="body2" sx={{ mt: 0.5 }}>{e.note}</Typography>}
+              </Box>
+            </Box>
+          );
+        })}
+      </Paper>
+
+      {/* ===== DIALOG SOLICITAR TRASLADO ===== */}
+      <Dialog open={!!transferForm} onClose={() => setTransferForm(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Solicitar traslado</DialogTitle>
+        <DialogContent dividers>
+          {transferForm && (
+            <Grid container spacing={2} sx={{ mt: 0.5 }}>
+              <Grid item xs={12}>
+                <TextField select fullWidth size="small" label="Iglesia de destino" value={transferForm.to_church_id}
+                  onChange={(e) => setTransferForm({ ...transferForm, to_church_id: e.target.value })}>
+                  {destinations.map((c) => <MenuItem key={c.id} value={c.id}>{c.name}</MenuItem>)}
+                </TextField>
+              </Grid>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Motivo" multiline rows={3}
+                  value={transferForm.reason} onChange={(e) => setTransferForm({ ...transferForm, reason: e.target.value })}
+                  helperText="Aparece en la carta de traslado" />
+              </Grid>
+              <Grid item xs={12}>
+                <Alert severity="info">
+                  El miembro sigue en esta iglesia hasta que el Administrador de destino acepte el traslado.
+                </Alert>
+              </Grid>
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setTransferForm(null)}>Cancelar</Button>
+          <Button variant="contained" onClick={saveTransfer} disabled={saving || !transferForm?.to_church_id}>Solicitar</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* ===== DIALOG CAMBIAR ESTADO ===== */}
+      <Dialog open={!!statusForm} onClose={() => setStatusForm(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Cambiar estado</DialogTitle>
+        <DialogContent dividers>
+          {statusForm && (
+            <Grid container spacing={2} sx={{ mt: 0.5 }}>
+              <Grid item xs={12}>
+                <TextField select fullWidth size="small" label="Nuevo estado" value={statusForm.status}
+                  onChange={(e) => setStatusForm({ ...statusForm, status: e.target.value })}>
+                  {Object.entries(MEMBER_STATUSES).map(([value, s]) => (
+                    <MenuItem key={value} value={value} disabled={value === member.status}>{s.label}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" type="date" label="Fecha" InputLabelProps={{ shrink: true }}
+                  value={statusForm.date} onChange={(e) => setStatusForm({ ...statusForm, date: e.target.value })} />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Nota (opcional)" inputProps={{ maxLength: 255 }}
+                  value={statusForm.note} onChange={(e) => setStatusForm({ ...statusForm, note: e.target.value })} />
+              </Grid>
+              {statusForm.status !== 'active' && (
+                <Grid item xs={12}>
+                  <Alert severity="info">
+                    Deja de contar en la membresía y de recibir saludos y anuncios. Su historia se conserva.
+                  </Alert>
+                </Grid>
+              )}
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setStatusForm(null)}>Cancelar</Button>
+          <Button variant="contained" onClick={saveStatus} disabled={saving}>Guardar</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default MemberProfile;
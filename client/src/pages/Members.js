@@ -3,14 +3,29 @@
  * 
  * Incluye:
  * - Campo 'birth_date' (fecha de nacimiento, opcional)
+ * - Fechas de bautismo y de boda (opcionales): el scheduler envía el saludo
+ *   de aniversario (igual que el de cumpleaños)
  * - Tipo 'Infante' adicional a Miembro, Visitante, Familiar, Otro
  * - Cargo Ministerial DINÁMICO: cargado desde el módulo "Cargos Ministeriales"
  *   vía GET /api/ministerial-positions. Los cargos creados en esa sección
  *   se reflejan automáticamente en el select de este formulario.
  * - Al crear/eliminar un miembro se recalcula membership_count
+ * - Disponibilidad para roles de culto (fechas bloqueadas, días preferidos,
+ *   tope mensual) vía GET/PUT /api/members/:id/availability
+ * - Hogar del miembro (parentesco y dirección / teléfono heredados) y vista
+ *   "Hogares" (components/members/HouseholdsView.js)
+ * - Estado del miembro (activo / inactivo / fallecido): filtro y chip; el
+ *   nombre abre el perfil con su historia (pages/MemberProfile.js). Al editar
+ *   se puede indicar la fecha y una nota del cambio para la historia.
+ * - Bautizado / fecha de bautismo: con registro de bautismo (pages/Baptisms.js)
+ *   se muestran de solo lectura; se editan desde el registro
+ * - Vista "Crecimiento": altas, bautismos, traslados y bajas por mes
+ *   (components/members/GrowthReport.js)
+ * - Historial de cambios del miembro (permiso audit.view, components/audit/HistoryDrawer.js)
  */
 import React, { useState, useEffect, useCallback } from 'react';
 import api from '../services/api';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { toast } from 'react-toastify';
 import {
@@ -18,16 +33,52 @@ import {
   InputLabel, Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
   IconButton, Chip, Dialog, DialogTitle, DialogContent, DialogActions,
   Grid, FormControlLabel, Checkbox, CircularProgress, InputAdornment, TablePagination,
+  ToggleButtonGroup, ToggleButton,
 } from '@mui/material';
 import {
   Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon, Search as SearchIcon,
+  EventBusy as EventBusyIcon, Close as CloseIcon, HowToReg as HowToRegIcon,
+  History as HistoryIcon,
 } from '@mui/icons-material';
+import { CHANNELS, CHANNEL_LABELS } from '../components/notifications/channels';
+import { RELATIONSHIPS, RELATIONSHIP_LABELS } from '../components/members/relationships';
+import HouseholdsView from '../components/members/HouseholdsView';
+import GrowthReport from '../components/members/GrowthReport';
+import { MEMBER_STATUSES } from '../components/members/memberStatus';
+import HistoryDrawer from '../components/audit/HistoryDrawer';
 
 /** Tipos de miembro disponibles (incluye Infante y Candidato a bautismo) */
 const MEMBER_TYPES = ['Miembro', 'Visitante', 'Familiar', 'Infante', 'Candidato a bautismo', 'Otro'];
 
+const WEEKDAY_LABELS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+/** Estado de consentimiento por canal en el formulario ('' = sin registro) */
+const CONSENT_OPTIONS = [
+  { value: '', label: 'Sin registro' },
+  { value: 'true', label: 'Autorizó' },
+  { value: 'false', label: 'No autorizó / baja' },
+];
+
+/** Origen del consentimiento que se registra desde el formulario */
+const CONSENT_SOURCE_OPTIONS = [
+  { value: 'form', label: 'Formulario de la iglesia' },
+  { value: 'verbal', label: 'Verbal' },
+  { value: 'member', label: 'Pedido del miembro' },
+];
+
+const emptyConsent = { whatsapp: '', email: '', sms: '' };
+
+/** Consentimiento actual del miembro en el formato del formulario */
+const consentFromMember = (m) => CHANNELS.reduce((acc, c) => ({
+  ...acc,
+  [c]: m[`${c}_consent`] === true ? 'true' : m[`${c}_consent`] === false ? 'false' : '',
+}), {});
+
+const emptyAvailability = { preferred_weekdays: [], max_assignments_per_month: '', blackouts: [] };
+
 const emptyForm = {
   first_name: '', last_name: '', age: '', sex: '', birth_date: '',
+  baptism_date: '', wedding_date: '',
   baptized: false, member_type: 'Miembro',
   /**
    * position_id: FK a ministerial_positions (sistema nuevo, escalable).
@@ -36,20 +87,51 @@ const emptyForm = {
    */
   position_id: '',
   phone: '', email: '', address: '',
+  /**
+   * household_id: hogar del miembro ('' = sin hogar). Con las banderas
+   * inherit_* el backend copia la dirección / teléfono del hogar.
+   */
+  household_id: '', household_relationship: 'other',
+  inherit_household_address: false, inherit_household_phone: false,
+  /**
+   * notification_channels: canales de recordatorio en orden de preferencia
+   * (el primero es el preferido, los demás de respaldo). Vacío = orden por defecto.
+   */
+  notification_channels: [],
+  /** announcements_opt_out: no recibir anuncios masivos (los recordatorios de rol sí) */
+  announcements_opt_out: false,
+  /**
+   * consent: consentimiento por canal. Solo se envían los canales con valor;
+   * el backend registra cada cambio en el historial con consent_source/consent_note.
+   */
+  consent: emptyConsent,
+  consent_source: 'form',
+  consent_note: '',
+  /**
+   * change_date / change_note: solo al editar. Fecha real y nota de los
+   * cambios (tipo, bautismo, cargo) para la historia; vacío = hoy.
+   */
+  change_date: '', change_note: '',
 };
 
 const Members = () => {
-  const { hasRole } = useAuth();
+  const { can } = useAuth();
+  const navigate = useNavigate();
   const [members, setMembers] = useState([]);
   const [pagination, setPagination] = useState({ page: 0, total: 0 });
   const [search, setSearch] = useState('');
   const [filterType, setFilterType] = useState('');
   const [filterPosition, setFilterPosition] = useState('');
+  const [filterStatus, setFilterStatus] = useState('active');
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editing, setEditing] = useState(null);
   const [form, setForm] = useState(emptyForm);
 
+  /** Vista: 'members' (lista de miembros), 'households' (hogares) o 'growth' (crecimiento) */
+  const [view, setView] = useState('members');
+  const [households, setHouseholds] = useState([]);
+
   /**
    * Cargos ministeriales dinámicos obtenidos del endpoint
    * GET /api/ministerial-positions.
@@ -58,6 +140,21 @@ const Members = () => {
    */
   const [positions, setPositions] = useState([]);
 
+  /**
+   * Dialog de disponibilidad para roles de culto.
+   * availabilityMember = miembro abierto (null = cerrado).
+   */
+  const [availabilityMember, setAvailabilityMember] = useState(null);
+  const [availability, setAvailability] = useState(emptyAvailability);
+  const [newBlackout, setNewBlackout] = useState({ start_date: '', end_date: '', reason: '' });
+
+  /** Dialog de consentimiento: estado actual por canal + historial de cambios */
+  const [consentMember, setConsentMember] = useState(null);
+  const [consentData, setConsentData] = useState(null);
+
+  /** Miembro cuyo historial de cambios se muestra (auditoría) */
+  const [historyMember, setHistoryMember] = useState(null);
+
   // ===== CARGA DE CARGOS MINISTERIALES =====
   /**
    * Se cargan al montar el componente para tener disponibles
@@ -77,6 +174,18 @@ const Members = () => {
 
   useEffect(() => { loadPositions(); }, [loadPositions]);
 
+  /** Hogares para el select del formulario */
+  const loadHouseholds = useCallback(async () => {
+    try {
+      const { data } = await api.get('/households', { params: { limit: 500 } });
+      setHouseholds(data.households || []);
+    } catch (error) {
+      console.error('Error al cargar hogares:', error);
+    }
+  }, []);
+
+  useEffect(() => { loadHouseholds(); }, [loadHouseholds]);
+
   // ===== CARGA DE MIEMBROS =====
   const loadMembers = useCallback(async (page = 0) => {
     setLoading(true);
@@ -86,6 +195,7 @@ const Members = () => {
       if (filterType) params.member_type = filterType;
       // Filtrar por position_id (cargo ministerial dinámico)
       if (filterPosition) params.position_id = filterPosition;
+      if (filterStatus) params.status = filterStatus;
       const { data } = await api.get('/members', { params });
       setMembers(data.members);
       setPagination({ page, total: data.pagination.total });
@@ -94,7 +204,7 @@ const Members = () => {
     } finally {
       setLoading(false);
     }
-  }, [search, filterType, filterPosition]);
+  }, [search, filterType, filterPosition, filterStatus]);
 
   useEffect(() => { loadMembers(); }, [loadMembers]);
 
@@ -106,7 +216,11 @@ const Members = () => {
       const payload = {
         ...form,
         position_id: form.position_id || null,
+        household_id: form.household_id || null,
+        consent: Object.fromEntries(Object.entries(form.consent).filter(([, v]) => v !== '')),
       };
+      if (!payload.change_date) delete payload.change_date;
+      if (!payload.change_note) delete payload.change_note;
 
       if (editing) {
         await api.put(`/members/${editing.id}`, payload);
@@ -127,6 +241,7 @@ const Members = () => {
     setForm({
       first_name: m.first_name, last_name: m.last_name, age: m.age || '',
       sex: m.sex || '', birth_date: m.birth_date || '',
+      baptism_date: m.baptism_date || '', wedding_date: m.wedding_date || '',
       baptized: m.baptized, member_type: m.member_type,
       /**
        * Al editar, cargar el position_id actual del miembro.
@@ -134,23 +249,96 @@ const Members = () => {
        */
       position_id: m.position_id || '',
       phone: m.phone || '', email: m.email || '', address: m.address || '',
+      household_id: m.household_id || '', household_relationship: m.household_relationship || 'other',
+      inherit_household_address: !!m.inherit_household_address,
+      inherit_household_phone: !!m.inherit_household_phone,
+      notification_channels: m.notification_channels || [],
+      announcements_opt_out: !!m.announcements_opt_out,
+      consent: consentFromMember(m),
+      consent_source: 'form',
+      consent_note: '',
+      change_date: '', change_note: '',
     });
     setShowModal(true);
   };
 
   const openNew = () => { setEditing(null); setForm(emptyForm); setShowModal(true); };
 
+  /** Hogar elegido en el formulario (para mostrar los datos que se heredan) */
+  const formHousehold = households.find((h) => h.id === form.household_id);
+
   const handleDelete = async (id) => {
-    if (!window.confirm('¿Eliminar este miembro?')) return;
+    if (!window.confirm('¿Eliminar este miembro? Quedará en la Papelera, desde donde se puede restaurar.')) return;
     try {
-      await api.delete(`/members/${id}`);
-      toast.success('Miembro eliminado');
+      const { data } = await api.delete(`/members/${id}`);
+      toast.success(data.message);
       loadMembers(pagination.page);
     } catch (error) {
       toast.error('Error al eliminar');
     }
   };
 
+  // ===== DISPONIBILIDAD PARA ROLES DE CULTO =====
+  const openAvailability = async (m) => {
+    setAvailabilityMember(m);
+    setAvailability(emptyAvailability);
+    setNewBlackout({ start_date: '', end_date: '', reason: '' });
+    try {
+      const { data } = await api.get(`/members/${m.id}/availability`);
+      setAvailability({
+        preferred_weekdays: data.preferred_weekdays || [],
+        max_assignments_per_month: data.max_assignments_per_month || '',
+        blackouts: (data.blackouts || []).map((b) => ({
+          start_date: b.start_date, end_date: b.end_date, reason: b.reason || '',
+        })),
+      });
+    } catch (error) {
+      toast.error('Error al cargar disponibilidad');
+    }
+  };
+
+  const toggleWeekday = (day) => {
+    const current = availability.preferred_weekdays;
+    const preferred_weekdays = current.includes(day)
+      ? current.filter((d) => d !== day)
+      : [...current, day].sort();
+    setAvailability({ ...availability, preferred_weekdays });
+  };
+
+  const addBlackout = () => {
+    if (!newBlackout.start_date) return;
+    setAvailability({
+      ...availability,
+      blackouts: [...availability.blackouts, { ...newBlackout, end_date: newBlackout.end_date || newBlackout.start_date }],
+    });
+    setNewBlackout({ start_date: '', end_date: '', reason: '' });
+  };
+
+  const saveAvailability = async () => {
+    try {
+      await api.put(`/members/${availabilityMember.id}/availability`, availability);
+      toast.success('Disponibilidad actualizada');
+      setAvailabilityMember(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al guardar disponibilidad');
+    }
+  };
+
+  // ===== CONSENTIMIENTO DE CONTACTO =====
+  const openConsent = async (m) => {
+    setConsentMember(m);
+    setConsentData(null);
+    try {
+      const { data } = await api.get(`/members/${m.id}/consent`);
+      setConsentData(data);
+    } catch (error) {
+      toast.error('Error al cargar consentimiento');
+    }
+  };
+
+  const consentLabel = (granted) => (granted === true ? 'Autorizó' : granted === false ? 'No autorizó' : 'Sin registro');
+  const consentColor = (granted) => (granted === true ? 'success' : granted === false ? 'error' : 'default');
+
   // ===== HELPERS DE FORMATO =====
 
   /** Color del chip según tipo */
@@ -196,98 +384,147 @@ const Members = () => {
       {/* Header */}
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 1 }}>
         <Typography variant="h5" fontWeight={700}>Miembros</Typography>
-        {hasRole('Administrador', 'Secretaría', 'Líder') && (
-          <Button variant="contained" startIcon={<AddIcon />} onClick={openNew}>Nuevo Miembro</Button>
-        )}
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <ToggleButtonGroup size="small" exclusive value={view} onChange={(_, v) => v && setView(v)}>
+            <ToggleButton value="members">Miembros</ToggleButton>
+            <ToggleButton value="households">Hogares</ToggleButton>
+            <ToggleButton value="growth">Crecimiento</ToggleButton>
+          </ToggleButtonGroup>
+          {can('members.write') && (
+            <Button variant="contained" startIcon={<AddIcon />} onClick={openNew}>Nuevo Miembro</Button>
+          )}
+        </Box>
       </Box>
 
-      {/* Filtros */}
-      <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
-        <TextField size="small" placeholder="Buscar por nombre o email..."
-          value={search} onChange={(e) => setSearch(e.target.value)}
-          InputProps={{ startAdornment: <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment> }}
-          sx={{ minWidth: 220, flex: 1 }}
-        />
-        <FormControl size="small" sx={{ minWidth: 130 }}>
-          <InputLabel>Tipo</InputLabel>
-          <Select value={filterType} onChange={(e) => setFilterType(e.target.value)} label="Tipo">
-            <MenuItem value="">Todos</MenuItem>
-            {MEMBER_TYPES.map((t) => <MenuItem key={t} value={t}>{t}</MenuItem>)}
-          </Select>
-        </FormControl>
-        {/* Filtro de cargo ministerial: usa cargos dinámicos de la BD */}
-        <FormControl size="small" sx={{ minWidth: 170 }}>
-          <InputLabel>Cargo Ministerial</InputLabel>
-          <Select value={filterPosition} onChange={(e) => setFilterPosition(e.target.value)} label="Cargo Ministerial">
-            <MenuItem value="">Todos</MenuItem>
-            {positions.map((p) => (
-              <MenuItem key={p.id} value={p.id}>{p.name}</MenuItem>
-            ))}
-          </Select>
-        </FormControl>
-      </Paper>
-
-      {/* Tabla */}
-      <Paper>
-        <TableContainer>
-          <Table size="small">
-            <TableHead>
-              <TableRow>
-                <TableCell>Nombre</TableCell>
-                <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>Edad</TableCell>
-                <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>F. Nacimiento</TableCell>
-                <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>Sexo</TableCell>
-                <TableCell>Tipo</TableCell>
-                <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>Cargo</TableCell>
-                <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>Bautizado</TableCell>
-                <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>Teléfono</TableCell>
-                <TableCell align="right">Acciones</TableCell>
-              </TableRow>
-            </TableHead>
-            <TableBody>
-              {loading ? (
-                <TableRow><TableCell colSpan={9} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
-              ) : members.length === 0 ? (
-                <TableRow><TableCell colSpan={9} align="center" sx={{ py: 4 }}>No se encontraron miembros</TableCell></TableRow>
-              ) : members.map((m) => (
-                <TableRow key={m.id} hover>
-                  <TableCell>
-                    <Typography fontWeight={600} fontSize={14}>{m.first_name} {m.last_name}</Typography>
-                    {/* En móvil mostrar cargo debajo del nombre */}
-                    {(m.position || m.church_role) && (
-                      <Box sx={{ display: { md: 'none' }, mt: 0.5 }}>
+      {view === 'households' ? (
+        <HouseholdsView onChanged={() => { loadHouseholds(); loadMembers(pagination.page); }} />
+      ) : view === 'growth' ? (
+        <GrowthReport />
+      ) : (
+        <>
+          {/* Filtros */}
+          <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField size="small" placeholder="Buscar por nombre o email..."
+              value={search} onChange={(e) => setSearch(e.target.value)}
+              InputProps={{ startAdornment: <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment> }}
+              sx={{ minWidth: 220, flex: 1 }}
+            />
+            <FormControl size="small" sx={{ minWidth: 130 }}>
+              <InputLabel>Tipo</InputLabel>
+              <Select value={filterType} onChange={(e) => setFilterType(e.target.value)} label="Tipo">
+                <MenuItem value="">Todos</MenuItem>
+                {MEMBER_TYPES.map((t) => <MenuItem key={t} value={t}>{t}</MenuItem>)}
+              </Select>
+            </FormControl>
+            {/* Filtro de cargo ministerial: usa cargos dinámicos de la BD */}
+            <FormControl size="small" sx={{ minWidth: 170 }}>
+              <InputLabel>Cargo Ministerial</InputLabel>
+              <Select value={filterPosition} onChange={(e) => setFilterPosition(e.target.value)} label="Cargo Ministerial">
+                <MenuItem value="">Todos</MenuItem>
+                {positions.map((p) => (
+                  <MenuItem key={p.id} value={p.id}>{p.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 130 }}>
+              <InputLabel>Estado</InputLabel>
+              <Select value={filterStatus} onChange={(e) => setFilterStatus(e.target.value)} label="Estado">
+                <MenuItem value="">Todos</MenuItem>
+                {Object.entries(MEMBER_STATUSES).map(([value, s]) => <MenuItem key={value} value={value}>{s.label}</MenuItem>)}
+              </Select>
+            </FormControl>
+          </Paper>
+
+          {/* Tabla */}
+          <Paper>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Nombre</TableCell>
+                    <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>Edad</TableCell>
+                    <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>F. Nacimiento</TableCell>
+                    <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>Sexo</TableCell>
+                    <TableCell>Tipo</TableCell>
+                    <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>Cargo</TableCell>
+                    <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>Bautizado</TableCell>
+                    <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>Teléfono</TableCell>
+                    <TableCell align="right">Acciones</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {loading ? (
+                    <TableRow><TableCell colSpan={9} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
+                  ) : members.length === 0 ? (
+                    <TableRow><TableCell colSpan={9} align="center" sx={{ py: 4 }}>No se encontraron miembros</TableCell></TableRow>
+                  ) : members.map((m) => (
+                    <TableRow key={m.id} hover>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                          <Typography fontWeight={600} fontSize={14} onClick={() => navigate(`/members/${m.id}`)}
+                            sx={{ cursor: 'pointer', '&:hover': { textDecoration: 'underline' } }}>
+                            {m.first_name} {m.last_name}
+                          </Typography>
+                          {m.status && m.status !== 'active' && (
+                            <Chip label={MEMBER_STATUSES[m.status]?.label || m.status} size="small"
+                              color={MEMBER_STATUSES[m.status]?.color || 'default'} variant="outlined" />
+                          )}
+                        </Box>
+                        {m.household && (
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {m.household.name} · {RELATIONSHIP_LABELS[m.household_relationship] || 'Otro'}
+                          </Typography>
+                        )}
+                        {/* En móvil mostrar cargo debajo del nombre */}
+                        {(m.position || m.church_role) && (
+                          <Box sx={{ display: { md: 'none' }, mt: 0.5 }}>
+                            {getPositionDisplay(m)}
+                          </Box>
+                        )}
+                      </TableCell>
+                      <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{m.age || '-'}</TableCell>
+                      <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{formatBirthDate(m.birth_date)}</TableCell>
+                      <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{m.sex === 'M' ? 'M' : m.sex === 'F' ? 'F' : '-'}</TableCell>
+                      <TableCell><Chip label={m.member_type} size="small" color={typeColor(m.member_type)} /></TableCell>
+                      <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>
                         {getPositionDisplay(m)}
-                      </Box>
-                    )}
-                  </TableCell>
-                  <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{m.age || '-'}</TableCell>
-                  <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{formatBirthDate(m.birth_date)}</TableCell>
-                  <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{m.sex === 'M' ? 'M' : m.sex === 'F' ? 'F' : '-'}</TableCell>
-                  <TableCell><Chip label={m.member_type} size="small" color={typeColor(m.member_type)} /></TableCell>
-                  <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>
-                    {getPositionDisplay(m)}
-                  </TableCell>
-                  <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>{m.baptized ? '✅' : '❌'}</TableCell>
-                  <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>{m.phone || '-'}</TableCell>
-                  <TableCell align="right">
-                    {hasRole('Administrador', 'Secretaría', 'Líder') && (
-                      <IconButton size="small" onClick={() => openEdit(m)} color="primary"><EditIcon fontSize="small" /></IconButton>
-                    )}
-                    {hasRole('Administrador') && (
-                      <IconButton size="small" onClick={() => handleDelete(m.id)} color="error"><DeleteIcon fontSize="small" /></IconButton>
-                    )}
-                  </TableCell>
-                </TableRow>
-              ))}
-            </TableBody>
-          </Table>
-        </TableContainer>
-        <TablePagination
-          component="div" count={pagination.total} page={pagination.page}
-          onPageChange={(_, p) => loadMembers(p)} rowsPerPage={15}
-          rowsPerPageOptions={[15]} labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
-        />
-      </Paper>
+                      </TableCell>
+                      <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>{m.baptized ? '✅' : '❌'}</TableCell>
+                      <TableCell sx={{ display: { xs: 'none', lg: 'table-cell' } }}>{m.phone || '-'}</TableCell>
+                      <TableCell align="right">
+                        {can('members.write') && (
+                          <IconButton size="small" onClick={() => openEdit(m)} color="primary"><EditIcon fontSize="small" /></IconButton>
+                        )}
+                        {can('members.write') && (
+                          <IconButton size="small" onClick={() => openAvailability(m)} color="secondary" title="Disponibilidad">
+                            <EventBusyIcon fontSize="small" />
+                          </IconButton>
+                        )}
+                        <IconButton size="small" onClick={() => openConsent(m)} title="Consentimiento de contacto">
+                          <HowToRegIcon fontSize="small" />
+                        </IconButton>
+                        {can('audit.view') && (
+                          <IconButton size="small" onClick={() => setHistoryMember(m)} title="Historial de cambios">
+                            <HistoryIcon fontSize="small" />
+                          </IconButton>
+                        )}
+                        {can('members.delete') && (
+                          <IconButton size="small" onClick={() => handleDelete(m.id)} color="error"><DeleteIcon fontSize="small" /></IconButton>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            <TablePagination
+              component="div" count={pagination.total} page={pagination.page}
+              onPageChange={(_, p) => loadMembers(p)} rowsPerPage={15}
+              rowsPerPageOptions={[15]} labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+            />
+          </Paper>
+        </>
+      )}
 
       {/* ===== DIALOG CREAR/EDITAR ===== */}
       <Dialog open={showModal} onClose={() => setShowModal(false)} maxWidth="sm" fullWidth>
@@ -367,24 +604,160 @@ const Members = () => {
               {/* Contacto */}
               <Grid item xs={12} sm={6}>
                 <TextField fullWidth size="small" label="Teléfono"
-                  value={form.phone} onChange={(e) => setForm({ ...form, phone: e.target.value })} />
+                  disabled={!!formHousehold && form.inherit_household_phone}
+                  value={formHousehold && form.inherit_household_phone ? (formHousehold.phone || '') : form.phone}
+                  onChange={(e) => setForm({ ...form, phone: e.target.value })} />
               </Grid>
               <Grid item xs={12} sm={6}>
                 <TextField fullWidth size="small" label="Email" type="email"
                   value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} />
               </Grid>
+              <Grid item xs={12}>
+                {/* El orden de selección es el orden de envío (preferido → respaldo) */}
+                <TextField select fullWidth size="small" label="Canales de recordatorio"
+                  SelectProps={{
+                    multiple: true,
+                    displayEmpty: true,
+                    renderValue: (selected) => (selected.length
+                      ? selected.map((c, i) => `${i + 1}. ${CHANNEL_LABELS[c]}`).join('  →  ')
+                      : 'Automático (orden por defecto)'),
+                  }}
+                  InputLabelProps={{ shrink: true }}
+                  value={form.notification_channels}
+                  onChange={(e) => setForm({ ...form, notification_channels: e.target.value })}
+                  helperText="Seleccione en orden: el primero es el preferido; si falla se usa el siguiente">
+                  {CHANNELS.map((c) => {
+                    const position = form.notification_channels.indexOf(c);
+                    return (
+                      <MenuItem key={c} value={c}>
+                        <Checkbox size="small" checked={position >= 0} sx={{ py: 0 }} />
+                        {CHANNEL_LABELS[c]}{position >= 0 ? ` (${position + 1}°)` : ''}
+                      </MenuItem>
+                    );
+                  })}
+                </TextField>
+              </Grid>
               <Grid item xs={12}>
                 <TextField fullWidth size="small" label="Dirección" multiline rows={2}
-                  value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
+                  disabled={!!formHousehold && form.inherit_household_address}
+                  value={formHousehold && form.inherit_household_address ? (formHousehold.address || '') : form.address}
+                  onChange={(e) => setForm({ ...form, address: e.target.value })} />
               </Grid>
 
-              {/* Bautizado */}
-              <Grid item xs={12}>
+              {/* Hogar: parentesco y datos compartidos */}
+              <Grid item xs={12} sm={7}>
+                <TextField select fullWidth size="small" label="Hogar (opcional)"
+                  value={form.household_id} onChange={(e) => setForm({ ...form, household_id: e.target.value })}
+                  SelectProps={{ displayEmpty: true }} InputLabelProps={{ shrink: true }}>
+                  <MenuItem value="">Sin hogar</MenuItem>
+                  {households.map((h) => <MenuItem key={h.id} value={h.id}>{h.name}</MenuItem>)}
+                </TextField>
+              </Grid>
+              <Grid item xs={12} sm={5}>
+                <TextField select fullWidth size="small" label="Parentesco" disabled={!form.household_id}
+                  value={form.household_relationship}
+                  onChange={(e) => setForm({ ...form, household_relationship: e.target.value })}>
+                  {RELATIONSHIPS.map((r) => <MenuItem key={r} value={r}>{RELATIONSHIP_LABELS[r]}</MenuItem>)}
+                </TextField>
+              </Grid>
+              {formHousehold && (
+                <Grid item xs={12}>
+                  <FormControlLabel
+                    control={<Checkbox checked={form.inherit_household_address}
+                      onChange={(e) => setForm({ ...form, inherit_household_address: e.target.checked })} />}
+                    label="Usar la dirección del hogar"
+                  />
+                  <FormControlLabel
+                    control={<Checkbox checked={form.inherit_household_phone}
+                      onChange={(e) => setForm({ ...form, inherit_household_phone: e.target.checked })} />}
+                    label={`Usar el teléfono del hogar${formHousehold.phone ? ` (${formHousehold.phone})` : ''}`}
+                  />
+                </Grid>
+              )}
+
+              {/* Bautizado + fechas de aniversario */}
+              <Grid item xs={12} sm={4}>
                 <FormControlLabel
-                  control={<Checkbox checked={form.baptized} onChange={(e) => setForm({ ...form, baptized: e.target.checked })} />}
+                  control={<Checkbox checked={form.baptized} disabled={!!editing?.baptism}
+                    onChange={(e) => setForm({ ...form, baptized: e.target.checked })} />}
                   label="Bautizado"
                 />
               </Grid>
+              <Grid item xs={6} sm={4}>
+                <TextField fullWidth size="small" label="Fecha de Bautismo"
+                  type="date" InputLabelProps={{ shrink: true }}
+                  disabled={!!editing?.baptism}
+                  helperText={editing?.baptism ? `Registro ${editing.baptism.certificate_number}` : ''}
+                  value={form.baptism_date}
+                  onChange={(e) => setForm({ ...form, baptism_date: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={6} sm={4}>
+                <TextField fullWidth size="small" label="Fecha de Boda"
+                  type="date" InputLabelProps={{ shrink: true }}
+                  value={form.wedding_date}
+                  onChange={(e) => setForm({ ...form, wedding_date: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={<Checkbox checked={form.announcements_opt_out}
+                    onChange={(e) => setForm({ ...form, announcements_opt_out: e.target.checked })} />}
+                  label="No recibir anuncios masivos (los recordatorios de sus roles sí se envían)"
+                />
+              </Grid>
+
+              {/* Consentimiento de contacto (cada cambio queda en el historial) */}
+              <Grid item xs={12}>
+                <Typography variant="subtitle2" color="primary">Consentimiento de contacto</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Con "No autorizó" nunca se le envía por ese canal. El miembro también puede escribir BAJA o ALTA por WhatsApp.
+                </Typography>
+              </Grid>
+              {CHANNELS.map((c) => (
+                <Grid item xs={12} sm={4} key={c}>
+                  <TextField select fullWidth size="small" label={CHANNEL_LABELS[c]}
+                    value={form.consent[c]}
+                    onChange={(e) => setForm({ ...form, consent: { ...form.consent, [c]: e.target.value } })}
+                    SelectProps={{ displayEmpty: true }} InputLabelProps={{ shrink: true }}>
+                    {CONSENT_OPTIONS.map((o) => (
+                      <MenuItem key={o.value} value={o.value} disabled={o.value === '' && form.consent[c] !== ''}>
+                        {o.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+              ))}
+              <Grid item xs={12} sm={5}>
+                <TextField select fullWidth size="small" label="Origen"
+                  value={form.consent_source} onChange={(e) => setForm({ ...form, consent_source: e.target.value })}>
+                  {CONSENT_SOURCE_OPTIONS.map((o) => <MenuItem key={o.value} value={o.value}>{o.label}</MenuItem>)}
+                </TextField>
+              </Grid>
+              <Grid item xs={12} sm={7}>
+                <TextField fullWidth size="small" label="Nota (opcional)" inputProps={{ maxLength: 255 }}
+                  value={form.consent_note} onChange={(e) => setForm({ ...form, consent_note: e.target.value })} />
+              </Grid>
+
+              {/* Historia: fecha real y nota de los cambios de tipo, bautismo o cargo */}
+              {editing && (
+                <>
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2" color="primary">Historia</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      Si cambió el tipo, el bautismo o el cargo, queda en la historia del miembro con esta fecha (vacío = hoy).
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12} sm={5}>
+                    <TextField fullWidth size="small" label="Fecha del cambio" type="date" InputLabelProps={{ shrink: true }}
+                      value={form.change_date} onChange={(e) => setForm({ ...form, change_date: e.target.value })} />
+                  </Grid>
+                  <Grid item xs={12} sm={7}>
+                    <TextField fullWidth size="small" label="Nota del cambio (opcional)" inputProps={{ maxLength: 255 }}
+                      value={form.change_note} onChange={(e) => setForm({ ...form, change_note: e.target.value })} />
+                  </Grid>
+                </>
+              )}
             </Grid>
           </DialogContent>
           <DialogActions sx={{ px: 3, py: 2 }}>
@@ -393,6 +766,140 @@ const Members = () => {
           </DialogActions>
         </form>
       </Dialog>
+
+      {/* ===== DIALOG DISPONIBILIDAD PARA ROLES DE CULTO ===== */}
+      <Dialog open={!!availabilityMember} onClose={() => setAvailabilityMember(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Disponibilidad — {availabilityMember?.first_name} {availabilityMember?.last_name}
+        </DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="subtitle2" color="primary">Días preferidos para servir</Typography>
+          <Typography variant="caption" color="text.secondary">
+            Ninguno marcado = cualquier día. Asignarlo otro día muestra una advertencia.
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1, mb: 2 }}>
+            {WEEKDAY_LABELS.map((label, day) => (
+              <Chip key={day} label={label} size="small" clickable
+                color={availability.preferred_weekdays.includes(day) ? 'primary' : 'default'}
+                variant={availability.preferred_weekdays.includes(day) ? 'filled' : 'outlined'}
+                onClick={() => toggleWeekday(day)} />
+            ))}
+          </Box>
+
+          <TextField size="small" label="Máximo de cultos por mes" type="number"
+            value={availability.max_assignments_per_month}
+            onChange={(e) => setAvailability({ ...availability, max_assignments_per_month: e.target.value })}
+            inputProps={{ min: 1 }} helperText="Vacío = sin tope" sx={{ mb: 2 }} />
+
+          <Typography variant="subtitle2" color="primary">Fechas no disponible</Typography>
+          <Typography variant="caption" color="text.secondary">
+            No se le podrán asignar roles de culto en estas fechas (viajes, enfermedad, etc.).
+          </Typography>
+          <Grid container spacing={1} sx={{ mt: 0.5 }}>
+            <Grid item xs={6} sm={4}>
+              <TextField fullWidth size="small" label="Desde" type="date" InputLabelProps={{ shrink: true }}
+                value={newBlackout.start_date} onChange={(e) => setNewBlackout({ ...newBlackout, start_date: e.target.value })} />
+            </Grid>
+            <Grid item xs={6} sm={4}>
+              <TextField fullWidth size="small" label="Hasta" type="date" InputLabelProps={{ shrink: true }}
+                value={newBlackout.end_date} onChange={(e) => setNewBlackout({ ...newBlackout, end_date: e.target.value })} />
+            </Grid>
+            <Grid item xs={10} sm={3}>
+              <TextField fullWidth size="small" label="Motivo"
+                value={newBlackout.reason} onChange={(e) => setNewBlackout({ ...newBlackout, reason: e.target.value })} />
+            </Grid>
+            <Grid item xs={2} sm={1}>
+              <IconButton color="primary" onClick={addBlackout} title="Agregar"><AddIcon /></IconButton>
+            </Grid>
+          </Grid>
+          {availability.blackouts.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1.5 }}>Sin fechas bloqueadas.</Typography>
+          ) : (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1.5 }}>
+              {availability.blackouts.map((b, i) => (
+                <Chip key={i} size="small" color="error" variant="outlined" deleteIcon={<CloseIcon />}
+                  label={`${b.start_date}${b.end_date !== b.start_date ? ` → ${b.end_date}` : ''}${b.reason ? ` · ${b.reason}` : ''}`}
+                  onDelete={() => setAvailability({
+                    ...availability,
+                    blackouts: availability.blackouts.filter((_, j) => j !== i),
+                  })} />
+              ))}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setAvailabilityMember(null)}>Cancelar</Button>
+          <Button variant="contained" onClick={saveAvailability}>Guardar</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* ===== DIALOG CONSENTIMIENTO DE CONTACTO ===== */}
+      <Dialog open={!!consentMember} onClose={() => setConsentMember(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Consentimiento — {consentMember?.first_name} {consentMember?.last_name}
+        </DialogTitle>
+        <DialogContent dividers>
+          {!consentData ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}><CircularProgress size={28} /></Box>
+          ) : (
+            <>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+                {CHANNELS.map((c) => (
+                  <Chip key={c} size="small" color={consentColor(consentData.consent[c]?.granted)}
+                    label={`${CHANNEL_LABELS[c]}: ${consentLabel(consentData.consent[c]?.granted)}`} />
+                ))}
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                {consentData.consent_required
+                  ? 'Solo se envían mensajes por los canales autorizados.'
+                  : 'Sin registro = se le envía; "No autorizó" = nunca se le envía por ese canal.'}
+              </Typography>
+
+              <Typography variant="subtitle2" color="primary" sx={{ mt: 2 }}>Historial</Typography>
+              {consentData.history.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">Sin cambios registrados.</Typography>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Fecha</TableCell>
+                      <TableCell>Canal</TableCell>
+                      <TableCell>Estado</TableCell>
+                      <TableCell>Origen</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {consentData.history.map((h) => (
+                      <TableRow key={h.id}>
+                        <TableCell>{new Date(h.createdAt).toLocaleString('es')}</TableCell>
+                        <TableCell>{CHANNEL_LABELS[h.channel] || h.channel}</TableCell>
+                        <TableCell>
+                          <Chip size="small" color={consentColor(h.granted)} label={consentLabel(h.granted)} />
+                        </TableCell>
+                        <TableCell>
+                          {consentData.sources[h.source] || h.source}
+                          {h.recorder && <Typography variant="caption" display="block">por {h.recorder.full_name}</Typography>}
+                          {h.note && <Typography variant="caption" display="block" color="text.secondary">{h.note}</Typography>}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setConsentMember(null)}>Cerrar</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* ===== HISTORIAL DE CAMBIOS ===== */}
+      <HistoryDrawer
+        open={!!historyMember} onClose={() => setHistoryMember(null)}
+        entityType="Member" entityId={historyMember?.id}
+        title={historyMember ? `${historyMember.first_name} ${historyMember.last_name}` : ''}
+      />
     </Box>
   );
 };
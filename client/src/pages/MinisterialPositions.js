@@ -19,7 +19,7 @@ import {
 } from '@mui/icons-material';
 
 const MinisterialPositions = () => {
-  const { hasRole, isSuperAdmin } = useAuth();
+  const { can, isSuperAdmin } = useAuth();
   const [positions, setPositions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
@@ -87,7 +87,7 @@ const MinisterialPositions = () => {
           <BadgeIcon color="primary" />
           <Typography variant="h5" fontWeight={700}>Cargos Ministeriales</Typography>
         </Box>
-        {hasRole('Administrador') && (
+        {can('positions.manage') && (
           <Button variant="contained" startIcon={<AddIcon />} onClick={openNew}>Nuevo Cargo</Button>
         )}
       </Box>
@@ -130,7 +130,7 @@ const MinisterialPositions = () => {
                     <IconButton size="small" onClick={() => openEdit(pos)} color="primary" title="Editar">
                       <EditIcon fontSize="small" />
                     </IconButton>
-                    {hasRole('Administrador') && (
+                    {can('positions.manage') && (
                       <IconButton size="small" onClick={() => handleDelete(pos.id)} color="error" title="Eliminar">
                         <DeleteIcon fontSize="small" />
                       </IconButton>
@@ -11,6 +11,10 @@
  * ENDPOINTS DE ARCHIVOS:
  *   POST   /api/minutes/:id/upload         → Subir archivo(s)
  *   DELETE /api/minutes/:id/files/:fileId  → Eliminar un archivo
+ * 
+ * HISTORIAL:
+ * - Cambios del acta, sus asistentes, mociones y archivos (permiso
+ *   audit.view, components/audit/HistoryDrawer.js)
  */
 import React, { useState, useEffect, useCallback } from 'react';
 import api from '../services/api';
@@ -28,8 +32,9 @@ import {
   Close as CloseIcon, CloudUpload as UploadIcon,
   InsertDriveFile as FileIcon, PictureAsPdf as PdfIcon,
   Image as ImageIcon, Description as DocIcon, Download as DownloadIcon,
-  AttachFile as AttachIcon,
+  AttachFile as AttachIcon, History as HistoryIcon,
 } from '@mui/icons-material';
+import HistoryDrawer from '../components/audit/HistoryDrawer';
 
 /** URL base para descargar archivos estáticos (uploads) */
 const getFileUrl = (path) => {
@@ -58,12 +63,13 @@ const formatFileSize = (bytes) => {
 };
 
 const Minutes = () => {
-  const { hasRole } = useAuth();
+  const { can } = useAuth();
   const [minutes, setMinutes] = useState([]);
   const [pagination, setPagination] = useState({ page: 0, total: 0 });
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showDetail, setShowDetail] = useState(null);
+  const [historyMinute, setHistoryMinute] = useState(null);
   const [members, setMembers] = useState([]);
   const [form, setForm] = useState({
     title: '', objective: '', meeting_date: '', attendee_ids: [],
@@ -113,10 +119,10 @@ const Minutes = () => {
   };
 
   const handleDelete = async (id) => {
-    if (!window.confirm('¿Eliminar esta acta y todos sus archivos?')) return;
+    if (!window.confirm('¿Eliminar esta acta? Quedará en la Papelera con sus archivos, desde donde se puede restaurar.')) return;
     try {
-      await api.delete(`/minutes/${id}`);
-      toast.success('Acta eliminada');
+      const { data } = await api.delete(`/minutes/${id}`);
+      toast.success(data.message);
       loadMinutes(pagination.page);
     } catch (error) {
       toast.error('Error al eliminar');
@@ -256,7 +262,7 @@ const Minutes = () => {
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 1 }}>
         <Typography variant="h5" fontWeight={700}>Actas de Reuniones</Typography>
-        {hasRole('Administrador', 'Secretaría') && (
+        {can('minutes.write') && (
           <Button variant="contained" startIcon={<AddIcon />} onClick={openNew}>Nueva Acta</Button>
         )}
       </Box>
@@ -307,7 +313,12 @@ const Minutes = () => {
                     <IconButton size="small" onClick={() => viewDetail(m.id)} color="primary" title="Ver detalle">
                       <ViewIcon fontSize="small" />
                     </IconButton>
-                    {hasRole('Administrador') && (
+                    {can('audit.view') && (
+                      <IconButton size="small" onClick={() => setHistoryMinute(m)} title="Historial de cambios">
+                        <HistoryIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                    {can('minutes.delete') && (
                       <IconButton size="small" onClick={() => handleDelete(m.id)} color="error" title="Eliminar">
                         <DeleteIcon fontSize="small" />
                       </IconButton>
@@ -493,7 +504,7 @@ const Minutes = () => {
                           <DownloadIcon fontSize="small" />
                         </IconButton>
                         {/* Botón eliminar */}
-                        {hasRole('Administrador', 'Secretaría') && (
+                        {can('minutes.write') && (
                           <IconButton size="small" color="error" title="Eliminar archivo"
                             onClick={() => handleDeleteFile(file.id, file.original_name)}>
                             <DeleteIcon fontSize="small" />
@@ -508,7 +519,7 @@ const Minutes = () => {
               )}
 
               {/* Botón de subir archivos (solo para roles autorizados) */}
-              {hasRole('Administrador', 'Secretaría') && (
+              {can('minutes.write') && (
                 <Box>
                   {/* Barra de progreso durante subida */}
                   {uploading && (
@@ -545,6 +556,12 @@ const Minutes = () => {
           </>
         )}
       </Dialog>
+
+      {/* ===== HISTORIAL DE CAMBIOS ===== */}
+      <HistoryDrawer
+        open={!!historyMinute} onClose={() => setHistoryMinute(null)}
+        entityType="Minute" entityId={historyMinute?.id} title={historyMinute?.title}
+      />
     </Box>
   );
 };
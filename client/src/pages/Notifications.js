@@ -1,15 +1,22 @@
 /**
- * Notifications.js - Módulo de Notificaciones WhatsApp
+ * Notifications.js - Módulo de Notificaciones (WhatsApp, correo, SMS)
  * 
- * Permite al Administrador / Secretaría:
- * 1. Ver el estado de configuración de WhatsApp
+ * Permite (permisos notifications.*):
+ * 1. Ver el estado de configuración de cada canal
  * 2. Configurar las horas de envío automático:
  *    - Recordatorio el DÍA ANTERIOR (ej: 6:00 PM)
  *    - Recordatorio el MISMO DÍA (ej: 7:00 AM)
  * 3. Ver los cultos próximos (7 días) con roles asignados
  * 4. Enviar notificaciones manualmente con un botón por culto
+ * 5. Ver si cada miembro confirmó su rol (enlace del recordatorio)
+ *    y reasignar los roles declinados
+ * 6. Historial de envíos con filtros y reintento de fallidos (pestaña Historial)
+ * 7. Editar el texto de cada tipo de mensaje con variables (pestaña Plantillas)
+ * 8. Anuncios masivos a un grupo de miembros con reporte de entrega (pestaña Anuncios)
  * 
- * Los mensajes se envían al número +507 registrado en el miembro.
+ * Los mensajes se envían por los canales de cada miembro (preferido →
+ * respaldo). A los teléfonos locales se les antepone el código de país
+ * de la iglesia.
  */
 import React, { useState, useEffect, useCallback } from 'react';
 import api from '../services/api';
@@ -19,7 +26,8 @@ import {
   Alert, Chip, Divider, Card, CardContent, CardActions,
   FormControl, InputLabel, Select, MenuItem, Switch,
   FormControlLabel, Table, TableBody, TableCell, TableContainer,
-  TableHead, TableRow, IconButton, Tooltip,
+  TableHead, TableRow, IconButton, Tooltip, Dialog, DialogTitle,
+  DialogContent, DialogActions, TextField, Tabs, Tab,
 } from '@mui/material';
 import {
   WhatsApp as WhatsAppIcon,
@@ -31,7 +39,18 @@ import {
   NotificationsOff as NotifOffIcon,
   Refresh as RefreshIcon,
   Campaign as CampaignIcon,
+  SwapHoriz as ReassignIcon,
 } from '@mui/icons-material';
+import NotificationHistory from '../components/notifications/NotificationHistory';
+import MessageTemplates from '../components/notifications/MessageTemplates';
+import Broadcasts from '../components/notifications/Broadcasts';
+
+/** Estado de confirmación de cada asignación (respuesta del miembro) */
+const ASSIGNMENT_STATUS = {
+  pending: { label: 'Pendiente', color: 'default' },
+  confirmed: { label: 'Confirmado', color: 'success' },
+  declined: { label: 'No puede', color: 'error' },
+};
 
 /**
  * Genera opciones de hora para los selectores (0-23).
@@ -44,6 +63,8 @@ const HOUR_OPTIONS = Array.from({ length: 24 }, (_, i) => {
 });
 
 const Notifications = () => {
+  const [tab, setTab] = useState(0);
+
   // Estado de configuración WhatsApp
   const [status, setStatus] = useState(null);
   const [loadingStatus, setLoadingStatus] = useState(true);
@@ -52,9 +73,11 @@ const Notifications = () => {
   const [schedule, setSchedule] = useState({
     notification_day_before_hour: 18,
     notification_same_day_hour: 7,
+    notification_greeting_hour: 8,
   });
   const [dayBeforeEnabled, setDayBeforeEnabled] = useState(true);
   const [sameDayEnabled, setSameDayEnabled] = useState(true);
+  const [greetingEnabled, setGreetingEnabled] = useState(true);
   const [savingSchedule, setSavingSchedule] = useState(false);
 
   // Cultos próximos
@@ -64,6 +87,12 @@ const Notifications = () => {
   // Estado de envío por evento (eventId → 'sending' | 'sent' | 'error')
   const [sendingState, setSendingState] = useState({});
 
+  // Reasignación de roles declinados
+  const [reassigning, setReassigning] = useState(null);
+  const [reassignMemberId, setReassignMemberId] = useState('');
+  const [members, setMembers] = useState([]);
+  const [savingReassign, setSavingReassign] = useState(false);
+
   // ===== CARGA INICIAL =====
 
   /** Carga el estado de configuración de WhatsApp */
@@ -86,9 +115,11 @@ const Notifications = () => {
       setSchedule({
         notification_day_before_hour: data.notification_day_before_hour ?? 18,
         notification_same_day_hour: data.notification_same_day_hour ?? 7,
+        notification_greeting_hour: data.notification_greeting_hour ?? 8,
       });
       setDayBeforeEnabled(data.notification_day_before_hour !== null);
       setSameDayEnabled(data.notification_same_day_hour !== null);
+      setGreetingEnabled(data.notification_greeting_hour !== null);
     } catch (error) {
       console.error('Error al cargar horario:', error);
     }
@@ -122,6 +153,7 @@ const Notifications = () => {
       await api.put('/notifications/schedule', {
         notification_day_before_hour: dayBeforeEnabled ? schedule.notification_day_before_hour : null,
         notification_same_day_hour: sameDayEnabled ? schedule.notification_same_day_hour : null,
+        notification_greeting_hour: greetingEnabled ? schedule.notification_greeting_hour : null,
       });
       toast.success('Horario de notificaciones guardado');
     } catch (error) {
@@ -149,6 +181,39 @@ const Notifications = () => {
     }
   };
 
+  // ===== REASIGNAR ROL DECLINADO =====
+
+  /** Abre el diálogo de reasignación (carga miembros la primera vez) */
+  const openReassign = async (culto, assignment) => {
+    setReassigning({ culto, assignment });
+    setReassignMemberId('');
+    if (members.length > 0) return;
+    try {
+      const { data } = await api.get('/members', { params: { limit: 500 } });
+      setMembers(data.members || []);
+    } catch (error) {
+      toast.error('Error al cargar miembros');
+    }
+  };
+
+  const handleReassign = async () => {
+    if (!reassignMemberId) return;
+    setSavingReassign(true);
+    try {
+      const { data } = await api.put(`/notifications/assignments/${reassigning.assignment.id}/reassign`, {
+        member_id: reassignMemberId,
+      });
+      toast.success(data.message);
+      (data.warnings || []).forEach((w) => toast.warning(w));
+      setReassigning(null);
+      loadUpcomingCultos();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al reasignar rol');
+    } finally {
+      setSavingReassign(false);
+    }
+  };
+
   // ===== FORMATO DE FECHA =====
   const formatDate = (d) => {
     if (!d) return '-';
@@ -158,6 +223,10 @@ const Notifications = () => {
     });
   };
 
+  /** Asignaciones de un culto en el orden del catálogo de roles */
+  const sortAssignments = (assignments = []) => [...assignments].sort((x, y) =>
+    ((x.role?.sort_order || 0) - (y.role?.sort_order || 0)) || (x.service_role_id - y.service_role_id));
+
   /** Nombre completo del miembro, con indicador si no tiene teléfono */
   const memberLabel = (member) => {
     if (!member) return '—';
@@ -175,6 +244,16 @@ const Notifications = () => {
     );
   };
 
+  /** Chip con la respuesta del miembro (la nota, si la dejó, va en el tooltip) */
+  const assignmentStatus = (a) => {
+    const info = ASSIGNMENT_STATUS[a.status] || ASSIGNMENT_STATUS.pending;
+    const chip = (
+      <Chip label={info.label} size="small" color={info.color}
+        variant={a.status === 'pending' ? 'outlined' : 'filled'} sx={{ fontSize: 10, height: 20 }} />
+    );
+    return a.response_note ? <Tooltip title={a.response_note}>{chip}</Tooltip> : chip;
+  };
+
   return (
     <Box>
       {/* Header */}
@@ -188,6 +267,13 @@ const Notifications = () => {
         </Button>
       </Box>
 
+      <Tabs value={tab} onChange={(_, v) => setTab(v)} sx={{ mb: 2 }}>
+        <Tab label="Envíos" />
+        <Tab label="Historial" />
+        <Tab label="Plantillas" />
+        <Tab label="Anuncios" />
+      </Tabs>
+
       {/* ===== ESTADO DE CONFIGURACIÓN ===== */}
       <Paper sx={{ p: 2.5, mb: 3 }}>
         <Typography variant="subtitle1" fontWeight={600} gutterBottom>
@@ -196,243 +282,355 @@ const Notifications = () => {
         {loadingStatus ? (
           <CircularProgress size={24} />
         ) : status ? (
-          <Alert
-            severity={status.whatsapp_configured ? 'success' : 'warning'}
-            icon={status.whatsapp_configured ? <CheckIcon /> : <ErrorIcon />}
-          >
-            {status.message}
-          </Alert>
+          <>
+            <Alert
+              severity={status.configured ? 'success' : 'warning'}
+              icon={status.configured ? <CheckIcon /> : <ErrorIcon />}
+            >
+              {status.message}
+            </Alert>
+            <Box sx={{ display: 'flex', gap: 1, mt: 1.5, flexWrap: 'wrap' }}>
+              {(status.channels || []).map((c) => (
+                <Chip key={c.name} size="small"
+                  label={c.transport === 'console' ? `${c.label} (consola)` : c.label}
+                  color={c.configured ? 'success' : 'default'}
+                  variant={c.configured ? 'filled' : 'outlined'}
+                  icon={c.configured ? <CheckIcon /> : <ErrorIcon />} />
+              ))}
+            </Box>
+          </>
         ) : (
           <Alert severity="error">No se pudo verificar la configuración.</Alert>
         )}
       </Paper>
 
-      <Grid container spacing={3}>
-        {/* ===== PROGRAMACIÓN DE HORARIOS ===== */}
-        <Grid item xs={12} md={5}>
-          <Paper sx={{ p: 2.5, height: '100%' }}>
-            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
-              <ScheduleIcon color="primary" />
-              <Typography variant="subtitle1" fontWeight={600}>
-                Programación Automática
-              </Typography>
-            </Box>
+      {tab === 0 && (
+        <>
+          <Grid container spacing={3}>
+            {/* ===== PROGRAMACIÓN DE HORARIOS ===== */}
+            <Grid item xs={12} md={5}>
+              <Paper sx={{ p: 2.5, height: '100%' }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                  <ScheduleIcon color="primary" />
+                  <Typography variant="subtitle1" fontWeight={600}>
+                    Programación Automática
+                  </Typography>
+                </Box>
 
-            <Typography variant="body2" color="text.secondary" sx={{ mb: 2.5 }}>
-              Configure las horas en que se enviarán automáticamente los recordatorios a los miembros asignados a roles de culto (P, D, C).
-            </Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2.5 }}>
+                  Configure las horas en que se enviarán automáticamente los recordatorios a los miembros asignados a roles de culto (P, D, C).
+                </Typography>
 
-            {/* Recordatorio día anterior */}
-            <Card variant="outlined" sx={{ mb: 2 }}>
-              <CardContent sx={{ pb: 1 }}>
-                <FormControlLabel
-                  control={
-                    <Switch checked={dayBeforeEnabled}
-                      onChange={(e) => setDayBeforeEnabled(e.target.checked)}
-                      color="primary" />
-                  }
-                  label={
-                    <Box>
-                      <Typography variant="body2" fontWeight={600}>Recordatorio Día Anterior</Typography>
-                      <Typography variant="caption" color="text.secondary">
-                        "Mañana te corresponde Predicar/Dirigir/Cantar..."
-                      </Typography>
-                    </Box>
-                  }
-                  sx={{ mb: 1, ml: 0 }}
-                />
-                {dayBeforeEnabled && (
-                  <FormControl fullWidth size="small" sx={{ mt: 1 }}>
-                    <InputLabel>Hora de envío</InputLabel>
-                    <Select
-                      value={schedule.notification_day_before_hour}
-                      onChange={(e) => setSchedule({ ...schedule, notification_day_before_hour: e.target.value })}
-                      label="Hora de envío"
-                    >
-                      {HOUR_OPTIONS.map((opt) => (
-                        <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>
-                      ))}
-                    </Select>
-                  </FormControl>
-                )}
-              </CardContent>
-            </Card>
-
-            {/* Recordatorio mismo día */}
-            <Card variant="outlined" sx={{ mb: 2.5 }}>
-              <CardContent sx={{ pb: 1 }}>
-                <FormControlLabel
-                  control={
-                    <Switch checked={sameDayEnabled}
-                      onChange={(e) => setSameDayEnabled(e.target.checked)}
-                      color="success" />
-                  }
-                  label={
-                    <Box>
-                      <Typography variant="body2" fontWeight={600}>Recordatorio Mismo Día</Typography>
-                      <Typography variant="caption" color="text.secondary">
-                        "¡Hoy es el día! Te corresponde Predicar/Dirigir/Cantar..."
-                      </Typography>
-                    </Box>
-                  }
-                  sx={{ mb: 1, ml: 0 }}
-                />
-                {sameDayEnabled && (
-                  <FormControl fullWidth size="small" sx={{ mt: 1 }}>
-                    <InputLabel>Hora de envío</InputLabel>
-                    <Select
-                      value={schedule.notification_same_day_hour}
-                      onChange={(e) => setSchedule({ ...schedule, notification_same_day_hour: e.target.value })}
-                      label="Hora de envío"
-                    >
-                      {HOUR_OPTIONS.map((opt) => (
-                        <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>
-                      ))}
-                    </Select>
-                  </FormControl>
-                )}
-              </CardContent>
-            </Card>
-
-            {/* Botón guardar horario */}
-            <Button
-              variant="contained"
-              fullWidth
-              onClick={handleSaveSchedule}
-              disabled={savingSchedule}
-              startIcon={savingSchedule ? <CircularProgress size={18} color="inherit" /> : <ScheduleIcon />}
-            >
-              {savingSchedule ? 'Guardando...' : 'Guardar Horario'}
-            </Button>
+                {/* Recordatorio día anterior */}
+                <Card variant="outlined" sx={{ mb: 2 }}>
+                  <CardContent sx={{ pb: 1 }}>
+                    <FormControlLabel
+                      control={
+                        <Switch checked={dayBeforeEnabled}
+                          onChange={(e) => setDayBeforeEnabled(e.target.checked)}
+                          color="primary" />
+                      }
+                      label={
+                        <Box>
+                          <Typography variant="body2" fontWeight={600}>Recordatorio Día Anterior</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            "Mañana te corresponde Predicar/Dirigir/Cantar..."
+                          </Typography>
+                        </Box>
+                      }
+                      sx={{ mb: 1, ml: 0 }}
+                    />
+                    {dayBeforeEnabled && (
+                      <FormControl fullWidth size="small" sx={{ mt: 1 }}>
+                        <InputLabel>Hora de envío</InputLabel>
+                        <Select
+                          value={schedule.notification_day_before_hour}
+                          onChange={(e) => setSchedule({ ...schedule, notification_day_before_hour: e.target.value })}
+                          label="Hora de envío"
+                        >
+                          {HOUR_OPTIONS.map((opt) => (
+                            <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    )}
+                  </CardContent>
+                </Card>
 
-            {/* Resumen visual */}
-            <Box sx={{ mt: 2, p: 1.5, bgcolor: 'grey.50', borderRadius: 1 }}>
-              <Typography variant="caption" color="text.secondary" fontWeight={600}>
-                Resumen:
-              </Typography>
-              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.5 }}>
-                {dayBeforeEnabled ? <NotifActiveIcon fontSize="small" color="primary" /> : <NotifOffIcon fontSize="small" color="disabled" />}
-                <Typography variant="caption">
-                  Día anterior: {dayBeforeEnabled ? HOUR_OPTIONS[schedule.notification_day_before_hour]?.label : 'Desactivado'}
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.3 }}>
-                {sameDayEnabled ? <NotifActiveIcon fontSize="small" color="success" /> : <NotifOffIcon fontSize="small" color="disabled" />}
-                <Typography variant="caption">
-                  Mismo día: {sameDayEnabled ? HOUR_OPTIONS[schedule.notification_same_day_hour]?.label : 'Desactivado'}
-                </Typography>
-              </Box>
-            </Box>
-          </Paper>
-        </Grid>
-
-        {/* ===== CULTOS PRÓXIMOS ===== */}
-        <Grid item xs={12} md={7}>
-          <Paper sx={{ p: 2.5, height: '100%' }}>
-            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
-              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                <CampaignIcon color="secondary" />
-                <Typography variant="subtitle1" fontWeight={600}>
-                  Cultos Próximos (7 días)
-                </Typography>
-              </Box>
-              <Chip label={`${upcomingCultos.length} cultos`} size="small" color="primary" variant="outlined" />
-            </Box>
+                {/* Recordatorio mismo día */}
+                <Card variant="outlined" sx={{ mb: 2.5 }}>
+                  <CardContent sx={{ pb: 1 }}>
+                    <FormControlLabel
+                      control={
+                        <Switch checked={sameDayEnabled}
+                          onChange={(e) => setSameDayEnabled(e.target.checked)}
+                          color="success" />
+                      }
+                      label={
+                        <Box>
+                          <Typography variant="body2" fontWeight={600}>Recordatorio Mismo Día</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            "¡Hoy es el día! Te corresponde Predicar/Dirigir/Cantar..."
+                          </Typography>
+                        </Box>
+                      }
+                      sx={{ mb: 1, ml: 0 }}
+                    />
+                    {sameDayEnabled && (
+                      <FormControl fullWidth size="small" sx={{ mt: 1 }}>
+                        <InputLabel>Hora de envío</InputLabel>
+                        <Select
+                          value={schedule.notification_same_day_hour}
+                          onChange={(e) => setSchedule({ ...schedule, notification_same_day_hour: e.target.value })}
+                          label="Hora de envío"
+                        >
+                          {HOUR_OPTIONS.map((opt) => (
+                            <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    )}
+                  </CardContent>
+                </Card>
 
-            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-              Cultos con roles de predicación, dirección o cántico asignados. Puede enviar notificaciones manualmente con el botón "Enviar".
-            </Typography>
+                {/* Saludos de cumpleaños y aniversarios */}
+                <Card variant="outlined" sx={{ mb: 2.5 }}>
+                  <CardContent sx={{ pb: 1 }}>
+                    <FormControlLabel
+                      control={
+                        <Switch checked={greetingEnabled}
+                          onChange={(e) => setGreetingEnabled(e.target.checked)}
+                          color="secondary" />
+                      }
+                      label={
+                        <Box>
+                          <Typography variant="body2" fontWeight={600}>Saludos de Cumpleaños y Aniversarios</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            "¡Feliz cumpleaños!" (y aniversarios de bautismo o boda) el mismo día
+                          </Typography>
+                        </Box>
+                      }
+                      sx={{ mb: 1, ml: 0 }}
+                    />
+                    {greetingEnabled && (
+                      <FormControl fullWidth size="small" sx={{ mt: 1 }}>
+                        <InputLabel>Hora de envío</InputLabel>
+                        <Select
+                          value={schedule.notification_greeting_hour}
+                          onChange={(e) => setSchedule({ ...schedule, notification_greeting_hour: e.target.value })}
+                          label="Hora de envío"
+                        >
+                          {HOUR_OPTIONS.map((opt) => (
+                            <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    )}
+                  </CardContent>
+                </Card>
+
+                {/* Botón guardar horario */}
+                <Button
+                  variant="contained"
+                  fullWidth
+                  onClick={handleSaveSchedule}
+                  disabled={savingSchedule}
+                  startIcon={savingSchedule ? <CircularProgress size={18} color="inherit" /> : <ScheduleIcon />}
+                >
+                  {savingSchedule ? 'Guardando...' : 'Guardar Horario'}
+                </Button>
+
+                {/* Resumen visual */}
+                <Box sx={{ mt: 2, p: 1.5, bgcolor: 'grey.50', borderRadius: 1 }}>
+                  <Typography variant="caption" color="text.secondary" fontWeight={600}>
+                    Resumen:
+                  </Typography>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.5 }}>
+                    {dayBeforeEnabled ? <NotifActiveIcon fontSize="small" color="primary" /> : <NotifOffIcon fontSize="small" color="disabled" />}
+                    <Typography variant="caption">
+                      Día anterior: {dayBeforeEnabled ? HOUR_OPTIONS[schedule.notification_day_before_hour]?.label : 'Desactivado'}
+                    </Typography>
+                  </Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.3 }}>
+                    {sameDayEnabled ? <NotifActiveIcon fontSize="small" color="success" /> : <NotifOffIcon fontSize="small" color="disabled" />}
+                    <Typography variant="caption">
+                      Mismo día: {sameDayEnabled ? HOUR_OPTIONS[schedule.notification_same_day_hour]?.label : 'Desactivado'}
+                    </Typography>
+                  </Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.3 }}>
+                    {greetingEnabled ? <NotifActiveIcon fontSize="small" color="secondary" /> : <NotifOffIcon fontSize="small" color="disabled" />}
+                    <Typography variant="caption">
+                      Saludos: {greetingEnabled ? HOUR_OPTIONS[schedule.notification_greeting_hour]?.label : 'Desactivado'}
+                    </Typography>
+                  </Box>
+                </Box>
+              </Paper>
+            </Grid>
 
-            {loadingCultos ? (
-              <Box sx={{ textAlign: 'center', py: 4 }}>
-                <CircularProgress />
-              </Box>
-            ) : upcomingCultos.length === 0 ? (
-              <Alert severity="info">
-                No hay cultos con roles asignados en los próximos 7 días. Asigne roles (P, D, C) al crear o editar eventos tipo Culto.
-              </Alert>
-            ) : (
-              <TableContainer sx={{ maxHeight: 420, overflow: 'auto' }}>
-                <Table size="small" stickyHeader>
-                  <TableHead>
-                    <TableRow>
-                      <TableCell>Culto</TableCell>
-                      <TableCell>Predica (P)</TableCell>
-                      <TableCell>Dirige (D)</TableCell>
-                      <TableCell>Canta (C)</TableCell>
-                      <TableCell align="center" sx={{ width: 100 }}>Enviar</TableCell>
-                    </TableRow>
-                  </TableHead>
-                  <TableBody>
-                    {upcomingCultos.map((culto) => {
-                      const state = sendingState[culto.id];
-                      return (
-                        <TableRow key={culto.id} hover>
-                          <TableCell>
-                            <Typography variant="body2" fontWeight={600} fontSize={13}>
-                              {culto.title}
-                            </Typography>
-                            <Typography variant="caption" color="text.secondary">
-                              {formatDate(culto.start_date)}
-                            </Typography>
-                          </TableCell>
-                          <TableCell>{memberLabel(culto.preacher)}</TableCell>
-                          <TableCell>{memberLabel(culto.worship_leader)}</TableCell>
-                          <TableCell>{memberLabel(culto.singer)}</TableCell>
-                          <TableCell align="center">
-                            {state === 'sending' ? (
-                              <CircularProgress size={22} />
-                            ) : state === 'sent' ? (
-                              <Tooltip title="Notificación enviada">
-                                <CheckIcon color="success" />
-                              </Tooltip>
-                            ) : state === 'error' ? (
-                              <Tooltip title="Error al enviar. Intente de nuevo.">
-                                <IconButton size="small" color="error" onClick={() => handleSendForEvent(culto.id)}>
-                                  <ErrorIcon fontSize="small" />
-                                </IconButton>
-                              </Tooltip>
-                            ) : (
-                              <Tooltip title="Enviar notificación WhatsApp ahora">
-                                <IconButton
-                                  size="small"
-                                  color="success"
-                                  onClick={() => handleSendForEvent(culto.id)}
-                                  disabled={!status?.whatsapp_configured}
-                                >
-                                  <SendIcon fontSize="small" />
-                                </IconButton>
-                              </Tooltip>
-                            )}
-                          </TableCell>
+            {/* ===== CULTOS PRÓXIMOS ===== */}
+            <Grid item xs={12} md={7}>
+              <Paper sx={{ p: 2.5, height: '100%' }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <CampaignIcon color="secondary" />
+                    <Typography variant="subtitle1" fontWeight={600}>
+                      Cultos Próximos (7 días)
+                    </Typography>
+                  </Box>
+                  <Chip label={`${upcomingCultos.length} cultos`} size="small" color="primary" variant="outlined" />
+                </Box>
+
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Cultos con roles de predicación, dirección o cántico asignados. Puede enviar notificaciones manualmente con el botón "Enviar".
+                </Typography>
+
+                {loadingCultos ? (
+                  <Box sx={{ textAlign: 'center', py: 4 }}>
+                    <CircularProgress />
+                  </Box>
+                ) : upcomingCultos.length === 0 ? (
+                  <Alert severity="info">
+                    No hay cultos con roles asignados en los próximos 7 días. Asigne roles (P, D, C) al crear o editar eventos tipo Culto.
+                  </Alert>
+                ) : (
+                  <TableContainer sx={{ maxHeight: 420, overflow: 'auto' }}>
+                    <Table size="small" stickyHeader>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Culto</TableCell>
+                          <TableCell>Roles asignados</TableCell>
+                          <TableCell align="center" sx={{ width: 100 }}>Enviar</TableCell>
                         </TableRow>
-                      );
-                    })}
-                  </TableBody>
-                </Table>
-              </TableContainer>
-            )}
+                      </TableHead>
+                      <TableBody>
+                        {upcomingCultos.map((culto) => {
+                          const state = sendingState[culto.id];
+                          return (
+                            <TableRow key={culto.id} hover>
+                              <TableCell>
+                                <Typography variant="body2" fontWeight={600} fontSize={13}>
+                                  {culto.title}
+                                </Typography>
+                                <Typography variant="caption" color="text.secondary">
+                                  {formatDate(culto.start_date)}
+                                </Typography>
+                              </TableCell>
+                              <TableCell>
+                                {sortAssignments(culto.role_assignments).map((a) => (
+                                  <Box key={a.id} sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 0.25 }}>
+                                    <Chip label={a.role?.abbreviation} title={a.role?.name} size="small" color="primary"
+                                      sx={{ fontSize: 10, height: 20, minWidth: 28 }} />
+                                    {memberLabel(a.member)}
+                                    {assignmentStatus(a)}
+                                    {a.status === 'declined' && (
+                                      <Tooltip title="Reasignar rol">
+                                        <IconButton size="small" color="primary" onClick={() => openReassign(culto, a)}>
+                                          <ReassignIcon fontSize="small" />
+                                        </IconButton>
+                                      </Tooltip>
+                                    )}
+                                  </Box>
+                                ))}
+                              </TableCell>
+                              <TableCell align="center">
+                                {state === 'sending' ? (
+                                  <CircularProgress size={22} />
+                                ) : state === 'sent' ? (
+                                  <Tooltip title="Notificación enviada">
+                                    <CheckIcon color="success" />
+                                  </Tooltip>
+                                ) : state === 'error' ? (
+                                  <Tooltip title="Error al enviar. Intente de nuevo.">
+                                    <IconButton size="small" color="error" onClick={() => handleSendForEvent(culto.id)}>
+                                      <ErrorIcon fontSize="small" />
+                                    </IconButton>
+                                  </Tooltip>
+                                ) : (
+                                  <Tooltip title="Enviar recordatorio ahora">
+                                    <IconButton
+                                      size="small"
+                                      color="success"
+                                      onClick={() => handleSendForEvent(culto.id)}
+                                      disabled={!status?.configured}
+                                    >
+                                      <SendIcon fontSize="small" />
+                                    </IconButton>
+                                  </Tooltip>
+                                )}
+                              </TableCell>
+                            </TableRow>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </Paper>
+            </Grid>
+          </Grid>
+
+          {/* ===== INFORMACIÓN ADICIONAL ===== */}
+          <Paper sx={{ p: 2.5, mt: 3 }}>
+            <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+              ℹ️ Información sobre las notificaciones
+            </Typography>
+            <Typography variant="body2" color="text.secondary" component="div">
+              • Los mensajes se envían al número registrado en cada miembro. A los números locales se les antepone el <strong>código de país</strong> de la iglesia (Iglesias → Datos Generales).
+              <br />
+              • Cada miembro puede elegir sus canales (WhatsApp, correo, SMS) en orden de preferencia desde <strong>Miembros</strong>. Si un canal falla o el miembro no tiene esa dirección, se usa el siguiente; si no tiene ninguno, la notificación se omite (no genera error).
+              <br />
+              • Cada recordatorio incluye un enlace para que el miembro confirme o avise que no puede. A quienes ya declinaron no se les vuelve a enviar; use <ReassignIcon sx={{ fontSize: 14, verticalAlign: 'middle' }} /> para asignar a otra persona.
+              <br />
+              • Si el miembro responde al recordatorio con <strong>Confirmo</strong> o <strong>No puedo</strong>, la respuesta se registra automáticamente (requiere el webhook <code>/api/notifications/webhook</code> configurado en Meta).
+              <br />
+              • El sistema automático revisa cada 15 minutos si debe enviar notificaciones según las horas programadas, en la <strong>zona horaria</strong> de la iglesia. Cada lote se envía una sola vez; si el servidor estuvo apagado a la hora programada, se envía al volver (el mismo día).
+              <br />
+              • También puede enviar manualmente usando el botón <SendIcon sx={{ fontSize: 14, verticalAlign: 'middle' }} /> en la tabla de cultos próximos.
+              <br />
+              • Para configurar WhatsApp, agregue <code>WHATSAPP_TOKEN</code> y <code>WHATSAPP_PHONE_NUMBER_ID</code>; para correo, <code>SMTP_HOST</code> (y usuario/clave); para SMS, <code>SMS_GATEWAY_URL</code>. En desarrollo, <code>NOTIFICATION_TRANSPORT=console</code> muestra los mensajes en la consola del servidor.
+            </Typography>
           </Paper>
-        </Grid>
-      </Grid>
+        </>
+      )}
 
-      {/* ===== INFORMACIÓN ADICIONAL ===== */}
-      <Paper sx={{ p: 2.5, mt: 3 }}>
-        <Typography variant="subtitle2" color="text.secondary" gutterBottom>
-          ℹ️ Información sobre las notificaciones
-        </Typography>
-        <Typography variant="body2" color="text.secondary" component="div">
-          • Los mensajes se envían al número con código <strong>+507</strong> registrado en cada miembro.
-          <br />
-          • Si un miembro no tiene teléfono registrado, la notificación se omite (no genera error).
-          <br />
-          • El sistema automático revisa cada hora si debe enviar notificaciones según las horas programadas.
-          <br />
-          • También puede enviar manualmente usando el botón <SendIcon sx={{ fontSize: 14, verticalAlign: 'middle' }} /> en la tabla de cultos próximos.
-          <br />
-          • Para configurar WhatsApp, agregue <code>WHATSAPP_TOKEN</code> y <code>WHATSAPP_PHONE_NUMBER_ID</code> en las variables de entorno del servidor.
-        </Typography>
-      </Paper>
+      {tab === 1 && <NotificationHistory />}
+      {tab === 2 && <MessageTemplates />}
+      {tab === 3 && <Broadcasts />}
+
+      {/* ===== DIALOG REASIGNAR ===== */}
+      <Dialog open={!!reassigning} onClose={() => setReassigning(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Reasignar rol</DialogTitle>
+        <DialogContent dividers>
+          {reassigning && (
+            <>
+              <Typography variant="body2" sx={{ mb: 0.5 }}>
+                <strong>{reassigning.assignment.role?.name}</strong> — {reassigning.culto.title}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 2 }}>
+                {formatDate(reassigning.culto.start_date)} · Declinado por{' '}
+                {reassigning.assignment.member
+                  ? `${reassigning.assignment.member.first_name} ${reassigning.assignment.member.last_name}`
+                  : '—'}
+                {reassigning.assignment.response_note && ` ("${reassigning.assignment.response_note}")`}
+              </Typography>
+              <TextField select fullWidth size="small" label="Nuevo miembro"
+                value={reassignMemberId} onChange={(e) => setReassignMemberId(e.target.value)}>
+                {members
+                  .filter((m) => m.id !== reassigning.assignment.member_id)
+                  .map((m) => (
+                    <MenuItem key={m.id} value={m.id}>{m.first_name} {m.last_name}</MenuItem>
+                  ))}
+              </TextField>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setReassigning(null)}>Cancelar</Button>
+          <Button variant="contained" onClick={handleReassign} disabled={!reassignMemberId || savingReassign}>
+            {savingReassign ? <CircularProgress size={20} color="inherit" /> : 'Reasignar'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -0,0 +1,213 @@
+/**
+ * Permissions.js - Matriz de permisos por rol de la iglesia
+ *
+ * Filas: permisos del catálogo agrupados (Miembros, Eventos, Actas...).
+ * Columnas: roles de la iglesia (SuperAdmin tiene todo y no aparece).
+ * - Sin cambios, cada rol tiene sus permisos por defecto; "Personalizado"
+ *   indica que la iglesia los cambió y "Restaurar" vuelve al defecto.
+ * - No se puede quitar 'Editar los permisos por rol' al Administrador, ni
+ *   otorgar un permiso que uno mismo no tiene, ni editar un rol que no se
+ *   podría asignar.
+ * - Los cambios aplican en la próxima acción de los usuarios del rol (el
+ *   menú se actualiza al volver a cargar la aplicación).
+ * Permiso permissions.manage (SuperAdmin elige la iglesia).
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
+  Checkbox, Chip, Button, IconButton, CircularProgress, FormControl, InputLabel, Select, MenuItem,
+} from '@mui/material';
+import { Save as SaveIcon, SettingsBackupRestore as RestoreIcon, Lock as LockIcon } from '@mui/icons-material';
+
+/** ¿Tienen los dos arreglos los mismos permisos? */
+const samePermissions = (a, b) => a.length === b.length && a.every((key) => b.includes(key));
+
+const Permissions = () => {
+  const { can, isSuperAdmin, loadPermissions } = useAuth();
+  const superAdmin = isSuperAdmin();
+  const [churches, setChurches] = useState([]);
+  const [churchId, setChurchId] = useState('');
+  const [matrix, setMatrix] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // SuperAdmin: iglesias para elegir
+  useEffect(() => {
+    if (!superAdmin) return;
+    const loadChurches = async () => {
+      try {
+        const { data } = await api.get('/churches');
+        const list = data.churches || [];
+        setChurches(list);
+        if (list.length > 0) setChurchId(list[0].id);
+        else setLoading(false);
+      } catch (error) {
+        toast.error('Error al cargar iglesias');
+        setLoading(false);
+      }
+    };
+    loadChurches();
+  }, [superAdmin]);
+
+  const loadMatrix = useCallback(async () => {
+    if (superAdmin && !churchId) return;
+    setLoading(true);
+    try {
+      const params = churchId ? { church_id: churchId } : {};
+      const { data } = await api.get('/permissions', { params });
+      setMatrix(data);
+      setSelected(Object.fromEntries(data.roles.map((r) => [r.id, r.permissions])));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cargar permisos');
+    } finally {
+      setLoading(false);
+    }
+  }, [churchId, superAdmin]);
+
+  useEffect(() => { loadMatrix(); }, [loadMatrix]);
+
+  const changedRoles = matrix
+    ? matrix.roles.filter((r) => !samePermissions(r.permissions, selected[r.id] || []))
+    : [];
+
+  const toggle = (role, key) => {
+    setSelected((prev) => {
+      const current = prev[role.id] || [];
+      return {
+        ...prev,
+        [role.id]: current.includes(key) ? current.filter((k) => k !== key) : [...current, key],
+      };
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      for (const role of changedRoles) {
+        const { data } = await api.put(`/permissions/roles/${role.id}`, {
+          church_id: matrix.church_id,
+          permissions: selected[role.id],
+        });
+        toast.success(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al guardar permisos');
+    } finally {
+      setSaving(false);
+      loadMatrix();
+      loadPermissions().catch(() => {});
+    }
+  };
+
+  const handleReset = async (role) => {
+    if (!window.confirm(`¿Restaurar los permisos por defecto de ${role.name}?`)) return;
+    try {
+      const { data } = await api.delete(`/permissions/roles/${role.id}`, { params: { church_id: matrix.church_id } });
+      toast.success(data.message);
+      loadMatrix();
+      loadPermissions().catch(() => {});
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al restaurar permisos');
+    }
+  };
+
+  /** Celda no editable: rol ajeno, permiso bloqueado, o permiso que uno no tiene */
+  const isDisabled = (role, key) => !role.editable
+    || role.locked.includes(key)
+    || (!role.permissions.includes(key) && !can(key));
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+        <Box>
+          <Typography variant="h5" fontWeight={700}>Permisos por Rol</Typography>
+          <Typography variant="caption" color="text.secondary">
+            Qué puede hacer cada rol en la iglesia. Los cambios aplican a todos los usuarios del rol.
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          {superAdmin && (
+            <FormControl size="small" sx={{ minWidth: 220 }}>
+              <InputLabel>Iglesia</InputLabel>
+              <Select value={churchId} label="Iglesia" onChange={(e) => setChurchId(e.target.value)}>
+                {churches.map((c) => <MenuItem key={c.id} value={c.id}>{c.name}</MenuItem>)}
+              </Select>
+            </FormControl>
+          )}
+          <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSave}
+            disabled={saving || changedRoles.length === 0}>
+            Guardar
+          </Button>
+        </Box>
+      </Box>
+
+      <Paper>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}><CircularProgress /></Box>
+        ) : !matrix ? (
+          <Typography align="center" sx={{ py: 4 }}>No hay iglesias para configurar</Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Permiso</TableCell>
+                  {matrix.roles.map((role) => (
+                    <TableCell key={role.id} align="center" sx={{ minWidth: 120 }}>
+                      <Typography fontWeight={600} fontSize={14}>{role.name}</Typography>
+                      {role.customized && (
+                        <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 0.5 }}>
+                          <Chip label="Personalizado" size="small" color="info" variant="outlined" />
+                          {role.editable && (
+                            <IconButton size="small" onClick={() => handleReset(role)} title="Restaurar permisos por defecto">
+                              <RestoreIcon fontSize="small" />
+                            </IconButton>
+                          )}
+                        </Box>
+                      )}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {matrix.permissions.map((perm, i) => (
+                  <React.Fragment key={perm.key}>
+                    {(i === 0 || matrix.permissions[i - 1].group !== perm.group) && (
+                      <TableRow>
+                        <TableCell colSpan={matrix.roles.length + 1} sx={{ bgcolor: 'action.hover' }}>
+                          <Typography fontWeight={700} fontSize={13}>{perm.group}</Typography>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                    <TableRow hover>
+                      <TableCell>{perm.label}</TableCell>
+                      {matrix.roles.map((role) => (
+                        <TableCell key={role.id} align="center">
+                          {role.locked.includes(perm.key) ? (
+                            <LockIcon fontSize="small" color="disabled" titleAccess="Siempre incluido" />
+                          ) : (
+                            <Checkbox size="small"
+                              checked={(selected[role.id] || []).includes(perm.key)}
+                              disabled={isDisabled(role, perm.key)}
+                              onChange={() => toggle(role, perm.key)} />
+                          )}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  </React.Fragment>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default Permissions;
@@ -0,0 +1,141 @@
+/**
+ * RoleConfirmation.js - Confirmación pública de un rol de culto
+ *
+ * Se abre desde el enlace del recordatorio de WhatsApp (/confirmar/:token).
+ * No requiere iniciar sesión: el token identifica la asignación.
+ * El miembro puede confirmar o avisar que no puede (con una nota opcional)
+ * y cambiar su respuesta mientras el culto no haya comenzado.
+ */
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import api from '../services/api';
+import {
+  Box, Paper, Typography, TextField, Button, CircularProgress, Alert, Chip,
+} from '@mui/material';
+import {
+  Church as ChurchIcon, CheckCircle as ConfirmIcon, Cancel as DeclineIcon,
+} from '@mui/icons-material';
+
+const STATUS_INFO = {
+  pending: { label: 'Pendiente de respuesta', color: 'warning' },
+  confirmed: { label: 'Confirmado', color: 'success' },
+  declined: { label: 'No puede asistir', color: 'error' },
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString('es-ES', {
+  weekday: 'long', day: 'numeric', month: 'long', year: 'numeric',
+});
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('es-ES', {
+  hour: '2-digit', minute: '2-digit',
+});
+
+const RoleConfirmation = () => {
+  const { token } = useParams();
+  const [assignment, setAssignment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    api.get(`/role-confirmations/${token}`)
+      .then(({ data }) => {
+        setAssignment(data.assignment);
+        setNote(data.assignment.response_note || '');
+      })
+      .catch((err) => setError(err.response?.data?.message || 'No se pudo cargar la asignación.'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleRespond = async (response) => {
+    setSaving(true);
+    setError('');
+    try {
+      const { data } = await api.post(`/role-confirmations/${token}`, { response, note });
+      setAssignment(data.assignment);
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'No se pudo registrar la respuesta.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const status = assignment ? STATUS_INFO[assignment.status] || STATUS_INFO.pending : null;
+
+  return (
+    <Box sx={{
+      minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center',
+      background: 'linear-gradient(135deg, #0D47A1 0%, #1a237e 100%)', p: 2,
+    }}>
+      <Paper elevation={8} sx={{ width: '100%', maxWidth: 460, p: 4, borderRadius: 3 }}>
+        <Box sx={{ textAlign: 'center', mb: 3 }}>
+          <ChurchIcon sx={{ fontSize: 48, color: 'primary.main', mb: 1 }} />
+          <Typography variant="h5" fontWeight={700} color="primary.dark">
+            {assignment?.church_name || 'Gestión Cristiana'}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" sx={{ letterSpacing: 2 }}>
+            CONFIRMACIÓN DE ROL
+          </Typography>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ textAlign: 'center', py: 4 }}><CircularProgress /></Box>
+        ) : !assignment ? (
+          <Alert severity="error">{error}</Alert>
+        ) : (
+          <>
+            <Typography sx={{ mb: 2 }}>
+              Hola <strong>{assignment.member_name}</strong>, te corresponde{' '}
+              <strong>{assignment.role}</strong> en:
+            </Typography>
+
+            <Box sx={{ bgcolor: 'grey.100', borderRadius: 2, p: 2, mb: 2 }}>
+              <Typography fontWeight={700}>{assignment.event.title}</Typography>
+              <Typography variant="body2" sx={{ textTransform: 'capitalize' }}>
+                📅 {formatDate(assignment.event.start_date)}
+              </Typography>
+              <Typography variant="body2">⏰ {formatTime(assignment.event.start_date)}</Typography>
+              {assignment.event.location && (
+                <Typography variant="body2">📍 {assignment.event.location}</Typography>
+              )}
+            </Box>
+
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+              <Chip label={status.label} color={status.color} />
+            </Box>
+
+            {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+            {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+
+            {assignment.can_respond ? (
+              <>
+                <TextField fullWidth size="small" label="Nota (opcional)" multiline rows={2}
+                  value={note} onChange={(e) => setNote(e.target.value)} inputProps={{ maxLength: 255 }}
+                  placeholder="Ej: Estaré de viaje ese fin de semana" sx={{ mb: 2 }} />
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <Button fullWidth variant="contained" color="success" startIcon={<ConfirmIcon />}
+                    disabled={saving || assignment.status === 'confirmed'}
+                    onClick={() => handleRespond('confirm')}>
+                    Confirmo
+                  </Button>
+                  <Button fullWidth variant="outlined" color="error" startIcon={<DeclineIcon />}
+                    disabled={saving || assignment.status === 'declined'}
+                    onClick={() => handleRespond('decline')}>
+                    No puedo
+                  </Button>
+                </Box>
+              </>
+            ) : (
+              <Alert severity="info">El culto ya comenzó; la respuesta no se puede modificar.</Alert>
+            )}
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default RoleConfirmation;
@@ -0,0 +1,263 @@
+/**
+ * Security.js - Seguridad de la cuenta: verificación en dos pasos y sesiones
+ *
+ * - Verificación en dos pasos (TOTP): activar con QR, nuevos códigos de
+ *   respaldo y desactivar (no disponible si el rol la exige).
+ *   Datos: GET /api/auth/2fa, POST /api/auth/2fa/setup | enable | disable | backup-codes
+ * - Sesiones: lista los dispositivos con sesión abierta (navegador, IP,
+ *   último uso) y permite cerrar uno en particular o todos a la vez.
+ * Las sesiones también se cierran solas cuando un Administrador cambia el
+ * rol o la contraseña del usuario.
+ * Datos: GET /api/auth/sessions, DELETE /api/auth/sessions/:id,
+ *        POST /api/auth/logout-all
+ * Disponible para todos los usuarios (menú lateral o nombre en la barra superior).
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Button, Table, TableBody, TableCell, TableContainer, TableHead,
+  TableRow, IconButton, Chip, CircularProgress, Dialog, DialogTitle, DialogContent,
+  DialogActions, TextField,
+} from '@mui/material';
+import {
+  Devices as DevicesIcon, Logout as LogoutIcon, PhonelinkLock as TwoFactorIcon,
+} from '@mui/icons-material';
+import TwoFactorSetup from '../components/security/TwoFactorSetup';
+import BackupCodes from '../components/security/BackupCodes';
+
+/** Acciones del 2FA que piden un código: título y botón del dialog */
+const CODE_DIALOGS = {
+  setup: { title: 'Activar verificación en dos pasos', action: 'Activar' },
+  regenerate: { title: 'Nuevos códigos de respaldo', action: 'Generar' },
+  disable: { title: 'Desactivar verificación en dos pasos', action: 'Desactivar' },
+};
+
+const formatDateTime = (d) => new Date(d).toLocaleString('es-ES', {
+  year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+const Security = () => {
+  const { logout, logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [twoFactor, setTwoFactor] = useState(null);
+  // { mode: 'setup' | 'regenerate' | 'disable' | 'codes', enrollment?, codes? }
+  const [dialog, setDialog] = useState(null);
+  const [code, setCode] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadTwoFactor = useCallback(async () => {
+    try {
+      const { data } = await api.get('/auth/2fa');
+      setTwoFactor(data);
+    } catch (error) {
+      toast.error('Error al cargar la verificación en dos pasos');
+    }
+  }, []);
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await api.get('/auth/sessions');
+      setSessions(data.sessions);
+    } catch (error) {
+      toast.error('Error al cargar las sesiones');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { loadSessions(); }, [loadSessions]);
+  useEffect(() => { loadTwoFactor(); }, [loadTwoFactor]);
+
+  const openCodeDialog = async (mode) => {
+    setCode('');
+    if (mode !== 'setup') { setDialog({ mode }); return; }
+    try {
+      const { data } = await api.post('/auth/2fa/setup');
+      setDialog({ mode, enrollment: data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al configurar la verificación en dos pasos');
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    const url = { setup: '/auth/2fa/enable', regenerate: '/auth/2fa/backup-codes', disable: '/auth/2fa/disable' }[dialog.mode];
+    setSaving(true);
+    try {
+      const { data } = await api.post(url, { code });
+      toast.success(data.message);
+      setDialog(data.backup_codes ? { mode: 'codes', codes: data.backup_codes } : null);
+      loadTwoFactor();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al verificar el código');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      if (!window.confirm('¿Cerrar la sesión de este dispositivo?')) return;
+      await logout();
+      navigate('/login');
+      return;
+    }
+    try {
+      const { data } = await api.delete(`/auth/sessions/${session.id}`);
+      toast.success(data.message);
+      loadSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cerrar la sesión');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('¿Cerrar la sesión en todos los dispositivos, incluido este?')) return;
+    try {
+      await logoutAll();
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cerrar las sesiones');
+    }
+  };
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+        <Box>
+          <Typography variant="h5" fontWeight={700}>Seguridad</Typography>
+          <Typography variant="caption" color="text.secondary">
+            Verificación en dos pasos y dispositivos con sesión abierta en tu cuenta.
+          </Typography>
+        </Box>
+        <Button variant="outlined" color="error" startIcon={<LogoutIcon />} onClick={handleLogoutAll}
+          disabled={sessions.length === 0}>
+          Cerrar todas las sesiones
+        </Button>
+      </Box>
+
+      {/* ===== VERIFICACIÓN EN DOS PASOS ===== */}
+      {twoFactor && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+              <TwoFactorIcon color={twoFactor.enabled ? 'success' : 'action'} />
+              <Box>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Typography fontWeight={600}>Verificación en dos pasos</Typography>
+                  <Chip size="small" label={twoFactor.enabled ? 'Activada' : 'Desactivada'}
+                    color={twoFactor.enabled ? 'success' : 'default'} variant="outlined" />
+                </Box>
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {twoFactor.enabled
+                    ? `Códigos de respaldo disponibles: ${twoFactor.backup_codes_remaining}`
+                    : 'Al iniciar sesión se pide además un código de su aplicación autenticadora.'}
+                  {twoFactor.required && ' · Obligatoria para su rol.'}
+                </Typography>
+              </Box>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              {twoFactor.enabled ? (
+                <>
+                  <Button size="small" onClick={() => openCodeDialog('regenerate')}>Nuevos códigos de respaldo</Button>
+                  {!twoFactor.required && (
+                    <Button size="small" color="error" onClick={() => openCodeDialog('disable')}>Desactivar</Button>
+                  )}
+                </>
+              ) : (
+                <Button size="small" variant="contained" onClick={() => openCodeDialog('setup')}>Activar</Button>
+              )}
+            </Box>
+          </Box>
+        </Paper>
+      )}
+
+      <Typography variant="subtitle1" fontWeight={600} sx={{ mb: 1 }}>Sesiones abiertas</Typography>
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Dispositivo</TableCell>
+                <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>IP</TableCell>
+                <TableCell>Último uso</TableCell>
+                <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>Inicio</TableCell>
+                <TableCell align="right">Acciones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow><TableCell colSpan={5} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
+              ) : sessions.length === 0 ? (
+                <TableRow><TableCell colSpan={5} align="center" sx={{ py: 4 }}>No hay sesiones abiertas</TableCell></TableRow>
+              ) : sessions.map((s) => (
+                <TableRow key={s.id} hover>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <DevicesIcon fontSize="small" color="action" />
+                      <Typography fontWeight={600} fontSize={14}>{s.device}</Typography>
+                      {s.current && <Chip label="Este dispositivo" size="small" color="primary" />}
+                    </Box>
+                  </TableCell>
+                  <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{s.ip || '-'}</TableCell>
+                  <TableCell>{formatDateTime(s.last_used_at)}</TableCell>
+                  <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{formatDateTime(s.createdAt)}</TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" color="error" onClick={() => handleRevoke(s)} title="Cerrar sesión">
+                      <LogoutIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* ===== DIALOG DEL 2FA: código de confirmación o códigos de respaldo ===== */}
+      <Dialog open={!!dialog} onClose={() => setDialog(null)} maxWidth="xs" fullWidth>
+        {dialog?.mode === 'codes' ? (
+          <>
+            <DialogTitle>Códigos de respaldo</DialogTitle>
+            <DialogContent><BackupCodes codes={dialog.codes} /></DialogContent>
+            <DialogActions sx={{ px: 3, py: 2 }}>
+              <Button variant="contained" onClick={() => setDialog(null)}>Ya los guardé</Button>
+            </DialogActions>
+          </>
+        ) : dialog && (
+          <form onSubmit={handleCodeSubmit}>
+            <DialogTitle>{CODE_DIALOGS[dialog.mode].title}</DialogTitle>
+            <DialogContent>
+              {dialog.enrollment && <TwoFactorSetup enrollment={dialog.enrollment} />}
+              {dialog.mode !== 'setup' && (
+                <Typography variant="body2">
+                  {dialog.mode === 'disable'
+                    ? 'Ingrese un código de su aplicación o un código de respaldo para confirmar.'
+                    : 'Ingrese un código de su aplicación. Los códigos de respaldo anteriores dejarán de servir.'}
+                </Typography>
+              )}
+              <TextField fullWidth label="Código" required margin="normal" size="small" autoFocus
+                autoComplete="one-time-code" value={code} onChange={(e) => setCode(e.target.value)} />
+            </DialogContent>
+            <DialogActions sx={{ px: 3, py: 2 }}>
+              <Button onClick={() => setDialog(null)}>Cancelar</Button>
+              <Button type="submit" variant="contained" disabled={saving}
+                color={dialog.mode === 'disable' ? 'error' : 'primary'}>
+                {saving ? 'Verificando...' : CODE_DIALOGS[dialog.mode].action}
+              </Button>
+            </DialogActions>
+          </form>
+        )}
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Security;
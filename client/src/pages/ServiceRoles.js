@@ -0,0 +1,223 @@
+/**
+ * ServiceRoles.js - Catálogo de roles de culto por iglesia
+ *
+ * Roles que se asignan en cada culto (Predica, Dirige, Canta, Ujier...).
+ * La abreviatura se usa en la tabla de eventos y en el calendario PDF;
+ * el texto del recordatorio completa "te corresponde ___ en el culto".
+ *
+ * Admin: ve/edita roles de su iglesia.
+ * SuperAdmin: ve/edita roles de cualquier iglesia.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Button, TextField, Table, TableBody, TableCell,
+  TableContainer, TableHead, TableRow, IconButton, Chip, Dialog, DialogTitle,
+  DialogContent, DialogActions, Grid, CircularProgress, Switch, FormControlLabel,
+} from '@mui/material';
+import {
+  Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon,
+  RecordVoiceOver as ServiceRoleIcon,
+} from '@mui/icons-material';
+
+const EMPTY_FORM = {
+  name: '', abbreviation: '', reminder_text: '', members_needed: 1, sort_order: 0, is_active: true,
+};
+
+const ServiceRoles = () => {
+  const { can, isSuperAdmin } = useAuth();
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const loadRoles = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await api.get('/service-roles');
+      setRoles(data.roles);
+    } catch (error) {
+      toast.error('Error al cargar roles de culto');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { loadRoles(); }, [loadRoles]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editing) {
+        await api.put(`/service-roles/${editing.id}`, form);
+        toast.success('Rol actualizado');
+      } else {
+        await api.post('/service-roles', form);
+        toast.success('Rol creado');
+      }
+      setShowModal(false);
+      loadRoles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al guardar');
+    }
+  };
+
+  const openNew = () => {
+    setEditing(null);
+    // Nuevo rol al final del catálogo
+    const nextOrder = roles.reduce((max, r) => Math.max(max, r.sort_order || 0), 0) + 1;
+    setForm({ ...EMPTY_FORM, sort_order: nextOrder });
+    setShowModal(true);
+  };
+
+  const openEdit = (role) => {
+    setEditing(role);
+    setForm({
+      name: role.name,
+      abbreviation: role.abbreviation,
+      reminder_text: role.reminder_text || '',
+      members_needed: role.members_needed,
+      sort_order: role.sort_order,
+      is_active: role.is_active,
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('¿Eliminar este rol de culto?')) return;
+    try {
+      await api.delete(`/service-roles/${id}`);
+      toast.success('Rol eliminado');
+      loadRoles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al eliminar');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <ServiceRoleIcon color="primary" />
+          <Typography variant="h5" fontWeight={700}>Roles de Culto</Typography>
+        </Box>
+        {can('service_roles.manage') && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openNew}>Nuevo Rol</Button>
+        )}
+      </Box>
+
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell align="center" sx={{ width: 60 }}>Orden</TableCell>
+                <TableCell>Nombre</TableCell>
+                <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>Recordatorio</TableCell>
+                <TableCell align="center">Personas</TableCell>
+                {isSuperAdmin() && <TableCell>Iglesia</TableCell>}
+                <TableCell align="center">Estado</TableCell>
+                <TableCell align="right">Acciones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow><TableCell colSpan={7} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
+              ) : roles.length === 0 ? (
+                <TableRow><TableCell colSpan={7} align="center" sx={{ py: 4 }}>No hay roles registrados</TableCell></TableRow>
+              ) : roles.map((role) => (
+                <TableRow key={role.id} hover>
+                  <TableCell align="center">{role.sort_order}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Chip label={role.abbreviation} size="small" color="primary" sx={{ minWidth: 32 }} />
+                      <Typography fontWeight={600} fontSize={14}>{role.name}</Typography>
+                    </Box>
+                  </TableCell>
+                  <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>
+                    {role.reminder_text || <Typography variant="caption" color="text.secondary">(usa el nombre)</Typography>}
+                  </TableCell>
+                  <TableCell align="center">{role.members_needed}</TableCell>
+                  {isSuperAdmin() && (
+                    <TableCell>
+                      <Chip label={role.church?.name || '-'} size="small" variant="outlined" />
+                    </TableCell>
+                  )}
+                  <TableCell align="center">
+                    <Chip label={role.is_active ? 'Activo' : 'Inactivo'} size="small"
+                      color={role.is_active ? 'success' : 'default'} variant="outlined" />
+                  </TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" onClick={() => openEdit(role)} color="primary" title="Editar">
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    {can('service_roles.manage') && (
+                      <IconButton size="small" onClick={() => handleDelete(role.id)} color="error" title="Eliminar">
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Dialog Crear/Editar */}
+      <Dialog open={showModal} onClose={() => setShowModal(false)} maxWidth="sm" fullWidth>
+        <form onSubmit={handleSubmit}>
+          <DialogTitle>{editing ? 'Editar Rol' : 'Nuevo Rol de Culto'}</DialogTitle>
+          <DialogContent dividers>
+            <Grid container spacing={2} sx={{ mt: 0.5 }}>
+              <Grid item xs={12} sm={8}>
+                <TextField fullWidth required size="small" label="Nombre del rol"
+                  value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="Ej: Ujier, Sonido, Lectura, Ofrenda" />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField fullWidth required size="small" label="Abreviatura"
+                  value={form.abbreviation} inputProps={{ maxLength: 5 }}
+                  onChange={(e) => setForm({ ...form, abbreviation: e.target.value.toUpperCase() })}
+                  helperText="Tabla y calendario PDF" />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Texto del recordatorio"
+                  value={form.reminder_text} onChange={(e) => setForm({ ...form, reminder_text: e.target.value })}
+                  placeholder="Ej: Recibir a los hermanos en la entrada"
+                  helperText='"...te corresponde ___ en el culto". Si se deja vacío se usa el nombre.' />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField fullWidth size="small" label="Personas por culto" type="number"
+                  inputProps={{ min: 1 }}
+                  value={form.members_needed} onChange={(e) => setForm({ ...form, members_needed: e.target.value })} />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField fullWidth size="small" label="Orden" type="number"
+                  inputProps={{ min: 0 }}
+                  value={form.sort_order} onChange={(e) => setForm({ ...form, sort_order: e.target.value })} />
+              </Grid>
+              {editing && (
+                <Grid item xs={12}>
+                  <FormControlLabel
+                    control={<Switch checked={form.is_active} onChange={(e) => setForm({ ...form, is_active: e.target.checked })} />}
+                    label={form.is_active ? 'Activo (visible para asignar)' : 'Inactivo (oculto, conserva su historial)'}
+                  />
+                </Grid>
+              )}
+            </Grid>
+          </DialogContent>
+          <DialogActions sx={{ px: 3, py: 2 }}>
+            <Button onClick={() => setShowModal(false)}>Cancelar</Button>
+            <Button variant="contained" type="submit">{editing ? 'Actualizar' : 'Crear Rol'}</Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ServiceRoles;
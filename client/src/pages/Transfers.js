@@ -0,0 +1,261 @@
+/**
+ * Transfers.js - Traslados de miembros entre iglesias
+ *
+ * - Entrantes: solicitudes de otras iglesias hacia la nuestra. Quien
+ *   tiene transfers.approve las acepta (con la fecha del traslado) o las rechaza.
+ * - Salientes: solicitudes de nuestra iglesia; se pueden cancelar mientras
+ *   estén pendientes.
+ * - Carta de traslado en PDF (GET /api/transfers/:id/letter)
+ * Las solicitudes se crean desde el perfil del miembro ("Solicitar traslado").
+ * Al aceptar, el miembro cambia de iglesia conservando su historia.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, Button, TextField, MenuItem, Table, TableBody, TableCell,
+  TableContainer, TableHead, TableRow, IconButton, Chip, Dialog, DialogTitle, DialogContent,
+  DialogActions, Grid, CircularProgress, TablePagination, Tabs, Tab, Badge,
+} from '@mui/material';
+import {
+  Check as AcceptIcon, Close as RejectIcon, Undo as CancelIcon, PictureAsPdf as PdfIcon,
+} from '@mui/icons-material';
+
+const STATUS_COLORS = {
+  pending: 'warning', accepted: 'success', rejected: 'error', cancelled: 'default',
+};
+
+const DIRECTIONS = ['incoming', 'outgoing'];
+
+const todayKey = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const formatDate = (d) => (d ? new Date(d).toLocaleDateString('es-ES', { year: 'numeric', month: 'short', day: 'numeric' }) : '-');
+
+const Transfers = () => {
+  const { can } = useAuth();
+  const navigate = useNavigate();
+  const [tab, setTab] = useState(0);
+  const [filterStatus, setFilterStatus] = useState('pending');
+  const [transfers, setTransfers] = useState([]);
+  const [statuses, setStatuses] = useState({});
+  const [pendingIncoming, setPendingIncoming] = useState(0);
+  const [pagination, setPagination] = useState({ page: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+
+  /** Dialog de decisión: { transfer, action: 'accept' | 'reject', transfer_date, note } */
+  const [decision, setDecision] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const direction = DIRECTIONS[tab];
+
+  const loadTransfers = useCallback(async (page = 0) => {
+    setLoading(true);
+    try {
+      const params = { direction, page: page + 1, limit: 20 };
+      if (filterStatus) params.status = filterStatus;
+      const { data } = await api.get('/transfers', { params });
+      setTransfers(data.transfers);
+      setStatuses(data.statuses);
+      setPendingIncoming(data.pending_incoming);
+      setPagination({ page, total: data.pagination.total });
+    } catch (error) {
+      toast.error('Error al cargar traslados');
+    } finally {
+      setLoading(false);
+    }
+  }, [direction, filterStatus]);
+
+  useEffect(() => { loadTransfers(); }, [loadTransfers]);
+
+  const openDecision = (transfer, action) => {
+    setDecision({ transfer, action, transfer_date: todayKey(), note: '' });
+  };
+
+  const saveDecision = async () => {
+    setSaving(true);
+    try {
+      const { transfer, action, ...body } = decision;
+      const { data } = await api.put(`/transfers/${transfer.id}/${action}`, body);
+      toast.success(data.message);
+      setDecision(null);
+      loadTransfers(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al guardar');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (t) => {
+    if (!window.confirm(`¿Cancelar la solicitud de traslado de ${t.member?.first_name} ${t.member?.last_name}?`)) return;
+    try {
+      const { data } = await api.put(`/transfers/${t.id}/cancel`);
+      toast.success(data.message);
+      loadTransfers(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cancelar');
+    }
+  };
+
+  const downloadLetter = async (t) => {
+    try {
+      const response = await api.get(`/transfers/${t.id}/letter`, { responseType: 'blob' });
+      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Carta_Traslado_T-${t.id}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Error al generar la carta de traslado');
+    }
+  };
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+        <Typography variant="h5" fontWeight={700}>Traslados</Typography>
+        <TextField select size="small" label="Estado" value={filterStatus}
+          onChange={(e) => setFilterStatus(e.target.value)} sx={{ minWidth: 150 }}>
+          <MenuItem value="">Todos</MenuItem>
+          {Object.entries(statuses).map(([value, label]) => <MenuItem key={value} value={value}>{label}</MenuItem>)}
+        </TextField>
+      </Box>
+
+      <Tabs value={tab} onChange={(_, v) => setTab(v)} sx={{ mb: 2 }}>
+        <Tab label={<Badge color="warning" badgeContent={pendingIncoming} sx={{ pr: 1.5 }}>Entrantes</Badge>} />
+        <Tab label="Salientes" />
+      </Tabs>
+
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Solicitado</TableCell>
+                <TableCell>Miembro</TableCell>
+                <TableCell>{direction === 'incoming' ? 'Desde' : 'Hacia'}</TableCell>
+                <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>Motivo</TableCell>
+                <TableCell>Estado</TableCell>
+                <TableCell align="right">Acciones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow><TableCell colSpan={6} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
+              ) : transfers.length === 0 ? (
+                <TableRow><TableCell colSpan={6} align="center" sx={{ py: 4 }}>No hay solicitudes de traslado</TableCell></TableRow>
+              ) : transfers.map((t) => (
+                <TableRow key={t.id} hover>
+                  <TableCell>
+                    {formatDate(t.createdAt)}
+                    {t.requester && <Typography variant="caption" color="text.secondary" display="block">por {t.requester.full_name}</Typography>}
+                  </TableCell>
+                  <TableCell>
+                    <Typography fontWeight={600} fontSize={14}
+                      onClick={direction === 'outgoing' || t.status === 'accepted' ? () => navigate(`/members/${t.member_id}`) : undefined}
+                      sx={direction === 'outgoing' || t.status === 'accepted' ? { cursor: 'pointer', '&:hover': { textDecoration: 'underline' } } : {}}>
+                      {t.member ? `${t.member.first_name} ${t.member.last_name}` : `Miembro #${t.member_id}`}
+                    </Typography>
+                    {t.member && <Typography variant="caption" color="text.secondary">{t.member.member_type}</Typography>}
+                  </TableCell>
+                  <TableCell>{direction === 'incoming' ? t.from_church?.name : t.to_church?.name}</TableCell>
+                  <TableCell sx={{ display: { xs: 'none', md: 'table-cell' }, maxWidth: 260 }}>
+                    <Typography variant="body2" noWrap title={t.reason || ''}>{t.reason || '-'}</Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={statuses[t.status] || t.status} size="small" color={STATUS_COLORS[t.status] || 'default'} />
+                    {t.status === 'accepted' && t.transfer_date && (
+                      <Typography variant="caption" color="text.secondary" display="block">{formatDate(`${t.transfer_date}T00:00:00`)}</Typography>
+                    )}
+                    {t.decision_note && (
+                      <Typography variant="caption" color="text.secondary" display="block">{t.decision_note}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    {['pending', 'accepted'].includes(t.status) && (
+                      <IconButton size="small" onClick={() => downloadLetter(t)} color="secondary" title="Carta de traslado">
+                        <PdfIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                    {direction === 'incoming' && t.status === 'pending' && can('transfers.approve') && (
+                      <>
+                        <IconButton size="small" onClick={() => openDecision(t, 'accept')} color="success" title="Aceptar">
+                          <AcceptIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton size="small" onClick={() => openDecision(t, 'reject')} color="error" title="Rechazar">
+                          <RejectIcon fontSize="small" />
+                        </IconButton>
+                      </>
+                    )}
+                    {direction === 'outgoing' && t.status === 'pending' && (
+                      <IconButton size="small" onClick={() => handleCancel(t)} title="Cancelar solicitud">
+                        <CancelIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div" count={pagination.total} page={pagination.page}
+          onPageChange={(_, p) => loadTransfers(p)} rowsPerPage={20}
+          rowsPerPageOptions={[20]} labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+        />
+      </Paper>
+
+      {/* ===== DIALOG ACEPTAR / RECHAZAR ===== */}
+      <Dialog open={!!decision} onClose={() => setDecision(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{decision?.action === 'accept' ? 'Aceptar traslado' : 'Rechazar traslado'}</DialogTitle>
+        <DialogContent dividers>
+          {decision && (
+            <Grid container spacing={2} sx={{ mt: 0.5 }}>
+              <Grid item xs={12}>
+                <Typography variant="body2">
+                  <strong>{decision.transfer.member?.first_name} {decision.transfer.member?.last_name}</strong>
+                  {' '}desde {decision.transfer.from_church?.name}
+                </Typography>
+                {decision.action === 'accept' && (
+                  <Typography variant="caption" color="text.secondary">
+                    Pasa a nuestra iglesia con su historia, asistencias y bautismo. El cargo y el hogar
+                    de la iglesia de origen no se trasladan.
+                  </Typography>
+                )}
+              </Grid>
+              {decision.action === 'accept' && (
+                <Grid item xs={12}>
+                  <TextField fullWidth size="small" type="date" label="Fecha del traslado" InputLabelProps={{ shrink: true }}
+                    value={decision.transfer_date} onChange={(e) => setDecision({ ...decision, transfer_date: e.target.value })} />
+                </Grid>
+              )}
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Nota (opcional)" inputProps={{ maxLength: 255 }}
+                  value={decision.note} onChange={(e) => setDecision({ ...decision, note: e.target.value })} />
+              </Grid>
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setDecision(null)}>Cancelar</Button>
+          <Button variant="contained" color={decision?.action === 'accept' ? 'success' : 'error'}
+            onClick={saveDecision} disabled={saving}>
+            {decision?.action === 'accept' ? 'Aceptar' : 'Rechazar'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Transfers;
@@ -0,0 +1,167 @@
+/**
+ * Trash.js - Papelera de miembros, eventos y actas
+ *
+ * Lo eliminado en Miembros, Eventos y Actas queda aquí con quién y cuándo
+ * lo eliminó. Se borra definitivamente al cumplir los días de retención
+ * (TRASH_RETENTION_DAYS en el servidor).
+ * - Restaurar: vuelve a su módulo y a las estadísticas de la iglesia
+ *   (membresía, cargos, decisiones de fe). Un evento vuelve a su serie si
+ *   sigue vigente; si no, queda como evento suelto.
+ * - Eliminar definitivamente: sin esperar la purga automática.
+ * Permiso trash.manage (SuperAdmin ve todas las iglesias).
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import {
+  Box, Paper, Typography, TextField, Table, TableBody, TableCell, TableContainer, TableHead,
+  TableRow, IconButton, CircularProgress, TablePagination, Tabs, Tab, Badge, InputAdornment,
+} from '@mui/material';
+import {
+  RestoreFromTrash as RestoreIcon, DeleteForever as DeleteForeverIcon, Search as SearchIcon,
+} from '@mui/icons-material';
+
+const TYPES = [
+  { value: 'members', label: 'Miembros', singular: 'el miembro' },
+  { value: 'events', label: 'Eventos', singular: 'el evento' },
+  { value: 'minutes', label: 'Actas', singular: 'el acta' },
+];
+
+const formatDate = (d) => (d ? new Date(d).toLocaleDateString('es-ES', { year: 'numeric', month: 'short', day: 'numeric' }) : '-');
+
+/** Fechas DATEONLY (actas) sin desfase de zona horaria */
+const formatItemDate = (d) => (d && d.length === 10 ? formatDate(`${d}T00:00:00`) : formatDate(d));
+
+const Trash = () => {
+  const { isSuperAdmin } = useAuth();
+  const [tab, setTab] = useState(0);
+  const [search, setSearch] = useState('');
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [pagination, setPagination] = useState({ page: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+
+  const type = TYPES[tab];
+
+  const loadItems = useCallback(async (page = 0) => {
+    setLoading(true);
+    try {
+      const params = { type: type.value, page: page + 1, limit: 20 };
+      if (search) params.search = search;
+      const { data } = await api.get('/trash', { params });
+      setItems(data.items);
+      setCounts(data.counts);
+      setRetentionDays(data.retention_days);
+      setPagination({ page, total: data.pagination.total });
+    } catch (error) {
+      toast.error('Error al cargar la papelera');
+    } finally {
+      setLoading(false);
+    }
+  }, [type, search]);
+
+  useEffect(() => { loadItems(); }, [loadItems]);
+
+  const handleRestore = async (item) => {
+    try {
+      const { data } = await api.post(`/trash/${item.type}/${item.id}/restore`);
+      toast.success(data.message);
+      loadItems(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al restaurar');
+    }
+  };
+
+  const handlePurge = async (item) => {
+    if (!window.confirm(`¿Eliminar definitivamente ${type.singular} "${item.title}"? Esta acción no se puede deshacer.`)) return;
+    try {
+      const { data } = await api.delete(`/trash/${item.type}/${item.id}`);
+      toast.success(data.message);
+      loadItems(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al eliminar');
+    }
+  };
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+        <Box>
+          <Typography variant="h5" fontWeight={700}>Papelera</Typography>
+          {retentionDays !== null && (
+            <Typography variant="caption" color="text.secondary">
+              {retentionDays > 0
+                ? `Los registros eliminados se borran definitivamente a los ${retentionDays} días.`
+                : 'Los registros eliminados se conservan hasta que se borren manualmente.'}
+            </Typography>
+          )}
+        </Box>
+        <TextField size="small" placeholder="Buscar..." value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          InputProps={{ startAdornment: <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment> }} />
+      </Box>
+
+      <Tabs value={tab} onChange={(_, v) => setTab(v)} sx={{ mb: 2 }}>
+        {TYPES.map((t) => (
+          <Tab key={t.value} label={<Badge color="default" badgeContent={counts[t.value] || 0} max={999} sx={{ pr: 1.5 }}>{t.label}</Badge>} />
+        ))}
+      </Tabs>
+
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>{type.value === 'members' ? 'Miembro' : 'Título'}</TableCell>
+                {type.value !== 'members' && <TableCell>Fecha</TableCell>}
+                {isSuperAdmin() && <TableCell>Iglesia</TableCell>}
+                <TableCell>Eliminado</TableCell>
+                <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>Se borra</TableCell>
+                <TableCell align="right">Acciones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow><TableCell colSpan={6} align="center" sx={{ py: 4 }}><CircularProgress /></TableCell></TableRow>
+              ) : items.length === 0 ? (
+                <TableRow><TableCell colSpan={6} align="center" sx={{ py: 4 }}>La papelera está vacía</TableCell></TableRow>
+              ) : items.map((item) => (
+                <TableRow key={item.id} hover>
+                  <TableCell sx={{ maxWidth: 320 }}>
+                    <Typography fontWeight={600} fontSize={14} noWrap title={item.title}>{item.title}</Typography>
+                    {item.detail && <Typography variant="caption" color="text.secondary" noWrap display="block">{item.detail}</Typography>}
+                  </TableCell>
+                  {type.value !== 'members' && <TableCell>{formatItemDate(item.date)}</TableCell>}
+                  {isSuperAdmin() && <TableCell>{item.church?.name || '-'}</TableCell>}
+                  <TableCell>
+                    {formatDate(item.deleted_at)}
+                    {item.deleter && <Typography variant="caption" color="text.secondary" display="block">por {item.deleter.full_name}</Typography>}
+                  </TableCell>
+                  <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{formatDate(item.purge_at)}</TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" onClick={() => handleRestore(item)} color="primary" title="Restaurar">
+                      <RestoreIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handlePurge(item)} color="error" title="Eliminar definitivamente">
+                      <DeleteForeverIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div" count={pagination.total} page={pagination.page}
+          onPageChange={(_, p) => loadItems(p)} rowsPerPage={20}
+          rowsPerPageOptions={[20]} labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+        />
+      </Paper>
+    </Box>
+  );
+};
+
+export default Trash;
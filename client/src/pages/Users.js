@@ -3,23 +3,47 @@
  * 
  * CRUD completo: Crear, editar, activar/desactivar, reset password, eliminar
  * Filtros por nombre/email y por rol
+ * Cambiar el rol o la contraseña, o desactivar, cierra las sesiones abiertas
+ * del usuario (debe volver a iniciar sesión)
+ * Verificación en dos pasos: chip "2FA" si está activa; SuperAdmin puede
+ * restablecerla a quien perdió el teléfono y los códigos de respaldo
+ * Cuentas bloqueadas por intentos fallidos: chip "Bloqueado", desbloqueo e
+ * historial de eventos de seguridad (fallidos, bloqueos, desbloqueos)
  */
 import React, { useState, useEffect, useCallback } from 'react';
 import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import { toast } from 'react-toastify';
 import {
   Box, Paper, Typography, Button, TextField, Select, MenuItem, FormControl,
   InputLabel, Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
   IconButton, Chip, Dialog, DialogTitle, DialogContent, DialogActions,
   Grid, CircularProgress, TablePagination, InputAdornment, FormControlLabel,
-  Checkbox, Alert,
+  Checkbox, Alert, List, ListItem, ListItemText,
 } from '@mui/material';
 import {
   Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon, Search as SearchIcon,
   VpnKey as KeyIcon, PersonOff as DisableIcon, PersonAdd as EnableIcon,
+  PhonelinkErase as ResetTwoFactorIcon, LockOpen as UnlockIcon, Shield as SecurityEventsIcon,
 } from '@mui/icons-material';
 
+const SECURITY_EVENT_LABELS = {
+  login_failed: 'Contraseña incorrecta',
+  two_factor_failed: 'Código 2FA incorrecto',
+  reset_failed: 'Código de restablecimiento incorrecto',
+  account_locked: 'Cuenta bloqueada',
+  account_unlocked: 'Cuenta desbloqueada',
+};
+
+const formatDateTime = (d) => new Date(d).toLocaleString('es-ES', {
+  day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+/** ¿Bloqueada ahora por intentos fallidos? */
+const isLocked = (u) => !!u.locked_until && new Date(u.locked_until) > new Date();
+
 const Users = () => {
+  const { isSuperAdmin } = useAuth();
   const [users, setUsers] = useState([]);
   const [roles, setRoles] = useState([]);
   const [churches, setChurches] = useState([]);
@@ -38,6 +62,11 @@ const Users = () => {
   const [resetUser, setResetUser] = useState(null);
   const [resetPassword, setResetPassword] = useState('');
 
+  // Dialog eventos de seguridad
+  const [eventsUser, setEventsUser] = useState(null);
+  const [securityEvents, setSecurityEvents] = useState([]);
+  const [loadingEvents, setLoadingEvents] = useState(false);
+
   const loadUsers = useCallback(async (page = 0) => {
     setLoading(true);
     try {
@@ -90,8 +119,8 @@ const Users = () => {
       const payload = { ...form };
       if (editing) {
         if (!payload.password) delete payload.password;
-        await api.put(`/users/${editing.id}`, payload);
-        toast.success('Usuario actualizado');
+        const { data } = await api.put(`/users/${editing.id}`, payload);
+        toast.success(data.message);
       } else {
         if (!payload.password || payload.password.length < 6) {
           toast.error('La contraseña debe tener al menos 6 caracteres');
@@ -128,14 +157,49 @@ const Users = () => {
     }
   };
 
+  const handleResetTwoFactor = async (u) => {
+    if (!window.confirm(`¿Restablecer la verificación en dos pasos de "${u.full_name}"? Deberá configurarla de nuevo y se cerrarán sus sesiones.`)) return;
+    try {
+      const { data } = await api.post(`/auth/admin-reset-2fa/${u.id}`);
+      toast.success(data.message);
+      loadUsers(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al restablecer la verificación en dos pasos');
+    }
+  };
+
+  const handleUnlock = async (u) => {
+    try {
+      const { data } = await api.post(`/users/${u.id}/unlock`);
+      toast.success(data.message);
+      loadUsers(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al desbloquear la cuenta');
+    }
+  };
+
+  const openSecurityEvents = async (u) => {
+    setEventsUser(u);
+    setSecurityEvents([]);
+    setLoadingEvents(true);
+    try {
+      const { data } = await api.get(`/users/${u.id}/security-events`);
+      setSecurityEvents(data.events);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al cargar los eventos de seguridad');
+    } finally {
+      setLoadingEvents(false);
+    }
+  };
+
   const openResetPw = (u) => { setResetUser(u); setResetPassword(''); setShowResetModal(true); };
 
   const handleResetPw = async (e) => {
     e.preventDefault();
     if (resetPassword.length < 6) { toast.error('Mínimo 6 caracteres'); return; }
     try {
-      await api.post(`/auth/admin-reset-password/${resetUser.id}`, { new_password: resetPassword });
-      toast.success(`Contraseña de ${resetUser.full_name} restablecida`);
+      const { data } = await api.post(`/auth/admin-reset-password/${resetUser.id}`, { new_password: resetPassword });
+      toast.success(data.message);
       setShowResetModal(false);
     } catch (error) {
       toast.error(error.response?.data?.message || 'Error');
@@ -196,10 +260,30 @@ const Users = () => {
                   <TableCell>
                     <Chip label={u.is_active ? 'Activo' : 'Inactivo'} size="small"
                       color={u.is_active ? 'success' : 'error'} variant="outlined" />
+                    {u.two_factor_enabled && (
+                      <Chip label="2FA" size="small" color="info" variant="outlined" sx={{ ml: 0.5 }} title="Verificación en dos pasos activa" />
+                    )}
+                    {isLocked(u) && (
+                      <Chip label="Bloqueado" size="small" color="error" sx={{ ml: 0.5 }}
+                        title={`Por intentos fallidos, hasta ${formatDateTime(u.locked_until)}`} />
+                    )}
                   </TableCell>
                   <TableCell align="right">
                     <IconButton size="small" onClick={() => openEdit(u)} color="primary" title="Editar"><EditIcon fontSize="small" /></IconButton>
+                    {(isLocked(u) || u.failed_login_attempts > 0) && (
+                      <IconButton size="small" onClick={() => handleUnlock(u)} color="success" title="Desbloquear cuenta">
+                        <UnlockIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                    <IconButton size="small" onClick={() => openSecurityEvents(u)} title="Eventos de seguridad">
+                      <SecurityEventsIcon fontSize="small" />
+                    </IconButton>
                     <IconButton size="small" onClick={() => openResetPw(u)} color="warning" title="Reset contraseña"><KeyIcon fontSize="small" /></IconButton>
+                    {isSuperAdmin() && u.two_factor_enabled && (
+                      <IconButton size="small" onClick={() => handleResetTwoFactor(u)} color="warning" title="Restablecer verificación en dos pasos">
+                        <ResetTwoFactorIcon fontSize="small" />
+                      </IconButton>
+                    )}
                     <IconButton size="small" onClick={() => toggleActive(u)} color={u.is_active ? 'warning' : 'success'}
                       title={u.is_active ? 'Desactivar' : 'Activar'}>
                       {u.is_active ? <DisableIcon fontSize="small" /> : <EnableIcon fontSize="small" />}
@@ -286,6 +370,36 @@ const Users = () => {
           </form>
         )}
       </Dialog>
+
+      {/* Dialog Eventos de seguridad */}
+      <Dialog open={!!eventsUser} onClose={() => setEventsUser(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Eventos de seguridad{eventsUser ? ` — ${eventsUser.full_name}` : ''}</DialogTitle>
+        <DialogContent dividers>
+          {loadingEvents ? (
+            <Box sx={{ textAlign: 'center', py: 3 }}><CircularProgress size={28} /></Box>
+          ) : securityEvents.length === 0 ? (
+            <Typography color="text.secondary" align="center" sx={{ py: 2 }}>Sin eventos registrados</Typography>
+          ) : (
+            <List dense disablePadding>
+              {securityEvents.map((ev) => (
+                <ListItem key={ev.id} divider>
+                  <ListItemText
+                    primary={SECURITY_EVENT_LABELS[ev.event_type] || ev.event_type}
+                    secondary={[
+                      formatDateTime(ev.createdAt),
+                      ev.ip && `IP ${ev.ip}`,
+                      ev.details?.by_user_name && `por ${ev.details.by_user_name}`,
+                    ].filter(Boolean).join(' · ')}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEventsUser(null)}>Cerrar</Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
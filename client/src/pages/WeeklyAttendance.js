@@ -24,7 +24,7 @@ import {
 } from '@mui/icons-material';
 
 const WeeklyAttendance = () => {
-  const { hasRole } = useAuth();
+  const { can } = useAuth();
   const [records, setRecords] = useState([]);
   const [avgAttendance, setAvgAttendance] = useState(0);
   const [pagination, setPagination] = useState({ page: 0, total: 0 });
@@ -134,7 +134,7 @@ const WeeklyAttendance = () => {
       {/* Header */}
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 1 }}>
         <Typography variant="h5" fontWeight={700}>Asistencia Semanal</Typography>
-        {hasRole('Administrador', 'Secretaría', 'Líder') && (
+        {can('attendance.create') && (
           <Button variant="contained" startIcon={<AddIcon />} onClick={openNew}>
             Registrar Semana
           </Button>
@@ -238,12 +238,12 @@ const WeeklyAttendance = () => {
                     {r.creator?.full_name || '-'}
                   </TableCell>
                   <TableCell align="right">
-                    {hasRole('Administrador', 'Secretaría') && (
+                    {can('attendance.edit') && (
                       <IconButton size="small" onClick={() => openEdit(r)} color="primary" title="Editar">
                         <EditIcon fontSize="small" />
                       </IconButton>
                     )}
-                    {hasRole('Administrador') && (
+                    {can('attendance.delete') && (
                       <IconButton size="small" onClick={() => handleDelete(r.id)} color="error" title="Eliminar">
                         <DeleteIcon fontSize="small" />
                       </IconButton>
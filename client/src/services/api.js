@@ -7,6 +7,42 @@ const api = axios.create({
   },
 });
 
+/**
+ * Sesión: token de acceso corto ('token') + refresh token rotativo
+ * ('refreshToken'). Ante un 401 se renueva una vez el token y se repite la
+ * petición; si la sesión ya no es válida se vuelve al login.
+ */
+export const saveSession = ({ token, refresh_token }) => {
+  localStorage.setItem('token', token);
+  if (refresh_token) localStorage.setItem('refreshToken', refresh_token);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Endpoints donde un 401 no se resuelve renovando el token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout', '/auth/register'];
+
+// Una sola renovación a la vez (varias peticiones pueden recibir 401 juntas)
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) throw new Error('Sin refresh token');
+  try {
+    const { data } = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refresh_token: refreshToken });
+    saveSession(data);
+    return data.token;
+  } catch (error) {
+    // Otra pestaña ya rotó el refresh token: usar el que guardó
+    const current = localStorage.getItem('refreshToken');
+    if (current && current !== refreshToken) return localStorage.getItem('token');
+    throw error;
+  }
+};
+
 // Interceptor para agregar token
 api.interceptors.request.use(
   (config) => {
@@ -22,9 +58,28 @@ api.interceptors.request.use(
 // Interceptor para manejar errores
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const original = error.config;
     if (error.response?.status === 401) {
-      localStorage.removeItem('token');
+      const canRefresh = original && !original._retried
+        && !NO_REFRESH_URLS.some((url) => original.url?.startsWith(url))
+        && localStorage.getItem('refreshToken');
+
+      if (canRefresh) {
+        original._retried = true;
+        try {
+          if (!refreshPromise) {
+            refreshPromise = refreshAccessToken().finally(() => { refreshPromise = null; });
+          }
+          const token = await refreshPromise;
+          original.headers.Authorization = `Bearer ${token}`;
+          return api(original);
+        } catch (refreshError) {
+          // La sesión no se pudo renovar: se cierra abajo
+        }
+      }
+
+      clearSession();
       if (window.location.pathname !== '/login') {
         window.location.href = '/login';
       }
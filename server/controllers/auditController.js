@@ -0,0 +1,103 @@
+/**
+ * auditController.js - Consulta del registro de auditoría
+ *
+ * Los registros los generan los hooks de utils/audit.js (no hay alta manual).
+ * Administrador: cambios de su iglesia. SuperAdmin: todas (church_id opcional),
+ * incluidos los que no pertenecen a ninguna iglesia (roles, usuarios globales).
+ */
+const { Op } = require('sequelize');
+const { AuditLog, Church } = require('../models');
+const { isSuperAdmin } = require('../middleware/auth');
+const { AUDIT_ACTIONS, ENTITY_LABELS } = require('../utils/audit');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const auditController = {
+  /**
+   * GET /api/audit?church_id=&user_id=&action=&entity_type=&entity_id=&from=&to=&search=&page=1&limit=50
+   *
+   * Con entity_type + entity_id devuelve el historial del registro, incluidos
+   * sus datos dependientes (asistentes y roles de un evento, archivos y
+   * mociones de un acta, bautismo y fechas bloqueadas de un miembro).
+   * from / to: fechas 'YYYY-MM-DD' (inclusive, UTC).
+   */
+  async getAll(req, res) {
+    try {
+      const {
+        church_id, user_id, action, entity_type, entity_id, from, to, search, page = 1, limit = 50,
+      } = req.query;
+      const where = {};
+      const and = [];
+
+      if (isSuperAdmin(req.user)) {
+        if (church_id) where.church_id = church_id;
+      } else {
+        where.church_id = req.user.church_id;
+      }
+
+      if (action) {
+        if (!AUDIT_ACTIONS[action]) {
+          return res.status(400).json({ message: `Acción inválida. Use: ${Object.keys(AUDIT_ACTIONS).join(', ')}.` });
+        }
+        where.action = action;
+      }
+      if (entity_type && !ENTITY_LABELS[entity_type]) {
+        return res.status(400).json({ message: 'Tipo de registro inválido.' });
+      }
+      if ((from && !DATE_KEY.test(from)) || (to && !DATE_KEY.test(to))) {
+        return res.status(400).json({ message: 'Fecha inválida (use YYYY-MM-DD).' });
+      }
+
+      if (user_id) where.user_id = user_id;
+      if (entity_type && entity_id) {
+        and.push({
+          [Op.or]: [
+            { entity_type, entity_id },
+            { parent_type: entity_type, parent_id: entity_id },
+          ],
+        });
+      } else if (entity_type) {
+        where.entity_type = entity_type;
+      }
+      if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt[Op.gte] = new Date(`${from}T00:00:00Z`);
+        if (to) where.createdAt[Op.lte] = new Date(`${to}T23:59:59.999Z`);
+      }
+      if (search) {
+        and.push({
+          [Op.or]: [
+            { entity_label: { [Op.iLike]: `%${search}%` } },
+            { user_name: { [Op.iLike]: `%${search}%` } },
+          ],
+        });
+      }
+      if (and.length) where[Op.and] = and;
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+      const { rows, count: total } = await AuditLog.findAndCountAll({
+        where,
+        include: [{ model: Church, as: 'church', attributes: ['id', 'name'] }],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit),
+        offset,
+      });
+
+      res.json({
+        logs: rows,
+        actions: AUDIT_ACTIONS,
+        entity_types: ENTITY_LABELS,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener el registro de auditoría.', error: error.message });
+    }
+  },
+};
+
+module.exports = auditController;
@@ -1,17 +1,29 @@
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
-const { User, Role, Church } = require('../models');
-
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user.id, email: user.email, role_id: user.role_id },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
-};
-
-// Store de tokens de reset (en producción usar Redis o BD)
-const resetTokens = new Map();
+const { sequelize, User, Role, Church, UserSession } = require('../models');
+const { clientIp } = require('../utils/audit');
+const {
+  normalizeEmail, isRateLimited, createResetRequest, sendResetEmail, verifyResetCode, consumeReset,
+} = require('../utils/passwordResets');
+const {
+  createSession, refreshSession, revokeByRefreshToken, revokeUserSessions, listActiveSessions,
+} = require('../utils/sessions');
+const {
+  isTwoFactorRequired, needsTwoFactorStep, startEnrollment, signChallenge,
+} = require('../utils/twoFactor');
+const {
+  recordSecurityEvent, checkIp, checkLoginAllowed, registerLoginFailure, registerLoginSuccess, sendBlocked,
+} = require('../utils/loginProtection');
+const { canAssignRole } = require('../utils/permissions');
+const { isSuperAdmin } = require('../middleware/auth');
+
+/** Mensaje de login fallido (igual para correos registrados y no registrados) */
+const loginFailureMessage = (locked) => (locked
+  ? 'Credenciales incorrectas. La cuenta quedó bloqueada temporalmente por intentos fallidos.'
+  : 'Credenciales incorrectas.');
+
+/** Usuario por correo sin distinguir mayúsculas (restablecimiento de contraseña) */
+const findUserByEmail = (email) => User.findOne({
+  where: sequelize.where(sequelize.fn('lower', sequelize.col('email')), email),
+});
 
 const authController = {
   // POST /api/auth/register
@@ -37,11 +49,20 @@ const authController = {
         church_id,
       });
 
-      const token = generateToken(user);
+      // Rol con 2FA obligatorio: lo configura en el primer inicio de sesión
+      if (isTwoFactorRequired({ role })) {
+        return res.status(201).json({
+          message: 'Usuario registrado. Inicie sesión para configurar la verificación en dos pasos.',
+          user: user.toJSON(),
+        });
+      }
+
+      const { token, refresh_token } = await createSession(user, req);
 
       res.status(201).json({
         message: 'Usuario registrado exitosamente.',
         token,
+        refresh_token,
         user: user.toJSON(),
       });
     } catch (error) {
@@ -51,6 +72,7 @@ const authController = {
   },
 
   // POST /api/auth/login
+  // Fallidos por cuenta e IP con espera progresiva y bloqueo: utils/loginProtection.js
   async login(req, res) {
     try {
       const { email, password } = req.body;
@@ -63,8 +85,15 @@ const authController = {
         ],
       });
 
+      const check = await checkLoginAllowed(req, user, email);
+      if (!check.allowed) {
+        return sendBlocked(res, check);
+      }
+
+      // Un correo no registrado responde igual que una contraseña incorrecta
       if (!user) {
-        return res.status(401).json({ message: 'Credenciales incorrectas.' });
+        const { locked } = await registerLoginFailure(req, null, email);
+        return res.status(401).json({ message: loginFailureMessage(locked) });
       }
 
       if (!user.is_active) {
@@ -73,14 +102,32 @@ const authController = {
 
       const isValidPassword = await user.validatePassword(password);
       if (!isValidPassword) {
-        return res.status(401).json({ message: 'Credenciales incorrectas.' });
+        const { locked } = await registerLoginFailure(req, user, email);
+        return res.status(401).json({ message: loginFailureMessage(locked) });
+      }
+      await registerLoginSuccess(user);
+
+      // Segundo paso (utils/twoFactor.js): sin sesión hasta validar el código
+      // en POST /api/auth/login/2fa. Si el rol lo exige y no lo tiene, se configura ahora.
+      if (needsTwoFactorStep(user)) {
+        const setup = !user.two_factor_enabled;
+        return res.json({
+          message: setup
+            ? 'Su rol requiere verificación en dos pasos. Configúrela para continuar.'
+            : 'Ingrese el código de su aplicación autenticadora.',
+          two_factor_required: true,
+          setup,
+          challenge_token: signChallenge(user),
+          enrollment: setup ? await startEnrollment(user) : undefined,
+        });
       }
 
-      const token = generateToken(user);
+      const { token, refresh_token } = await createSession(user, req);
 
       res.json({
         message: 'Inicio de sesión exitoso.',
         token,
+        refresh_token,
         user: user.toJSON(),
       });
     } catch (error) {
@@ -89,6 +136,87 @@ const authController = {
     }
   },
 
+  // =============================================
+  // SESIONES (utils/sessions.js)
+  // =============================================
+
+  // POST /api/auth/refresh  { refresh_token }
+  // Devuelve un token de acceso nuevo y el refresh token que reemplaza al enviado
+  async refresh(req, res) {
+    try {
+      const { refresh_token } = req.body;
+      if (!refresh_token) {
+        return res.status(400).json({ message: 'El refresh token es requerido.' });
+      }
+
+      const result = await refreshSession(refresh_token, req);
+      if (result.status !== 'ok') {
+        const messages = {
+          expired: 'La sesión ha expirado. Inicie sesión nuevamente.',
+          inactive: 'Usuario no encontrado o inactivo.',
+          reused: 'La sesión se cerró por seguridad. Inicie sesión nuevamente.',
+        };
+        return res.status(401).json({ message: messages[result.status] || 'Sesión inválida. Inicie sesión nuevamente.' });
+      }
+
+      res.json({ token: result.token, refresh_token: result.refresh_token, user: result.user.toJSON() });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al renovar la sesión.', error: error.message });
+    }
+  },
+
+  // POST /api/auth/logout  { refresh_token }
+  // Público: funciona aunque el token de acceso ya haya vencido
+  async logout(req, res) {
+    try {
+      const { refresh_token } = req.body;
+      if (refresh_token) await revokeByRefreshToken(refresh_token, 'logout');
+      res.json({ message: 'Sesión cerrada.' });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al cerrar sesión.', error: error.message });
+    }
+  },
+
+  // POST /api/auth/logout-all
+  // Cierra todas las sesiones del usuario, incluida la actual
+  async logoutAll(req, res) {
+    try {
+      const count = await revokeUserSessions(req.user.id, 'logout_all');
+      res.json({ message: `Se cerraron ${count} sesión(es).`, count });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al cerrar las sesiones.', error: error.message });
+    }
+  },
+
+  // GET /api/auth/sessions
+  async getSessions(req, res) {
+    try {
+      const sessions = await listActiveSessions(req.user.id);
+      res.json({
+        sessions: sessions.map((s) => ({ ...s, current: s.id === req.sessionId })),
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener las sesiones.', error: error.message });
+    }
+  },
+
+  // DELETE /api/auth/sessions/:id
+  // Cierra una sesión propia en otro dispositivo
+  async revokeSession(req, res) {
+    try {
+      const session = await UserSession.findByPk(req.params.id);
+      if (!session || session.user_id !== req.user.id) {
+        return res.status(404).json({ message: 'Sesión no encontrada.' });
+      }
+      if (!session.revoked_at) {
+        await session.update({ revoked_at: new Date(), revoked_reason: 'remote' });
+      }
+      res.json({ message: 'Sesión cerrada.' });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al cerrar la sesión.', error: error.message });
+    }
+  },
+
   // GET /api/auth/me
   async getProfile(req, res) {
     try {
@@ -111,29 +239,36 @@ const authController = {
   // =============================================
 
   // POST /api/auth/forgot-password
+  // Códigos persistentes y con hash: ver utils/passwordResets.js
   async forgotPassword(req, res) {
+    const genericMessage = 'Si el correo está registrado, recibirás un código para restablecer la contraseña.';
     try {
-      const { email } = req.body;
-
-      const user = await User.findOne({ where: { email } });
-      if (!user) {
-        // No revelar si el usuario existe o no por seguridad
-        return res.json({ message: 'Si el correo está registrado, se generó un código de restablecimiento.' });
+      const email = normalizeEmail(req.body.email);
+      if (!email) {
+        return res.status(400).json({ message: 'El correo es requerido.' });
       }
 
-      // Generar token de 6 dígitos
-      const resetCode = crypto.randomInt(100000, 999999).toString();
-      const expiry = Date.now() + 15 * 60 * 1000; // 15 minutos
+      const ip = clientIp(req);
+      if (await isRateLimited(email, ip)) {
+        return res.status(429).json({ message: 'Demasiadas solicitudes. Intente de nuevo en una hora.' });
+      }
 
-      resetTokens.set(email, { code: resetCode, expiry, userId: user.id });
+      // No revelar si el usuario existe o no por seguridad
+      const user = await findUserByEmail(email);
+      const { code } = await createResetRequest({ email, user: user && user.is_active ? user : null, ip });
+      if (!code) {
+        return res.json({ message: genericMessage });
+      }
 
-      // En producción aquí enviarías un email. Por ahora lo logueamos y lo devolvemos.
-      console.log(`[RESET CODE] ${email}: ${resetCode}`);
+      const sent = await sendResetEmail(user, code);
+      if (!sent.success) {
+        console.error(`[RESET] ❌ No se pudo enviar el código a ${email}: ${sent.error}`);
+      }
 
       res.json({
-        message: 'Se ha generado un código de restablecimiento.',
-        // En desarrollo devolvemos el código; en producción se enviaría por email
-        reset_code: process.env.NODE_ENV !== 'production' ? resetCode : undefined,
+        message: genericMessage,
+        // En desarrollo, si el correo no se pudo enviar, devolvemos el código
+        reset_code: process.env.NODE_ENV !== 'production' && !sent.success ? code : undefined,
       });
     } catch (error) {
       res.status(500).json({ message: 'Error al procesar solicitud.', error: error.message });
@@ -143,7 +278,8 @@ const authController = {
   // POST /api/auth/reset-password
   async resetPassword(req, res) {
     try {
-      const { email, code, new_password } = req.body;
+      const { code, new_password } = req.body;
+      const email = normalizeEmail(req.body.email);
 
       if (!email || !code || !new_password) {
         return res.status(400).json({ message: 'Todos los campos son requeridos.' });
@@ -153,28 +289,39 @@ const authController = {
         return res.status(400).json({ message: 'La contraseña debe tener al menos 6 caracteres.' });
       }
 
-      const resetData = resetTokens.get(email);
-
-      if (!resetData) {
-        return res.status(400).json({ message: 'No hay solicitud de restablecimiento para este correo.' });
+      // Los códigos incorrectos cuentan para el límite de la IP (utils/loginProtection.js)
+      const check = await checkIp(clientIp(req));
+      if (!check.allowed) {
+        return sendBlocked(res, check);
       }
 
-      if (Date.now() > resetData.expiry) {
-        resetTokens.delete(email);
-        return res.status(400).json({ message: 'El código ha expirado. Solicite uno nuevo.' });
+      const result = await verifyResetCode(email, code);
+      if (result.status !== 'ok') {
+        await recordSecurityEvent('reset_failed', { req, email, details: { reason: result.status } });
       }
-
-      if (resetData.code !== code) {
-        return res.status(400).json({ message: 'Código incorrecto.' });
+      switch (result.status) {
+        case 'missing':
+          return res.status(400).json({ message: 'No hay un código vigente para este correo. Solicite uno nuevo.' });
+        case 'expired':
+          return res.status(400).json({ message: 'El código ha expirado. Solicite uno nuevo.' });
+        case 'locked':
+          return res.status(400).json({ message: 'Demasiados intentos fallidos. Solicite un código nuevo.' });
+        case 'invalid':
+          return res.status(400).json({
+            message: `Código incorrecto. Le quedan ${result.remaining} intento${result.remaining === 1 ? '' : 's'}.`,
+          });
+        default:
+          break;
       }
 
-      const user = await User.findByPk(resetData.userId);
-      if (!user) {
+      const user = await User.findByPk(result.reset.user_id);
+      if (!user || !user.is_active) {
         return res.status(404).json({ message: 'Usuario no encontrado.' });
       }
 
-      await user.update({ password_hash: new_password });
-      resetTokens.delete(email);
+      if (!(await consumeReset(result.reset, user, new_password))) {
+        return res.status(400).json({ message: 'El código ya fue utilizado. Solicite uno nuevo.' });
+      }
 
       res.json({ message: 'Contraseña restablecida exitosamente. Puede iniciar sesión.' });
     } catch (error) {
@@ -196,14 +343,26 @@ const authController = {
         return res.status(400).json({ message: 'La contraseña debe tener al menos 6 caracteres.' });
       }
 
-      const user = await User.findByPk(userId);
+      const user = await User.findByPk(userId, { include: [{ model: Role, as: 'role' }] });
       if (!user) {
         return res.status(404).json({ message: 'Usuario no encontrado.' });
       }
 
+      // Admin solo puede restablecer contraseñas de usuarios de su iglesia
+      if (!isSuperAdmin(req.user) && req.user.church_id !== user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este usuario.' });
+      }
+
+      // Solo un Administrador restablece la contraseña de otro (utils/permissions.js)
+      if (!canAssignRole(req.user, user.role?.name)) {
+        return res.status(403).json({ message: `No tienes permiso para administrar usuarios ${user.role?.name}.` });
+      }
+
       await user.update({ password_hash: new_password });
+      // El usuario debe volver a iniciar sesión con la contraseña nueva
+      await revokeUserSessions(user.id, 'password_change');
 
-      res.json({ message: `Contraseña de ${user.full_name} restablecida exitosamente.` });
+      res.json({ message: `Contraseña de ${user.full_name} restablecida exitosamente. Se cerraron sus sesiones abiertas.` });
     } catch (error) {
       res.status(500).json({ message: 'Error al restablecer contraseña.', error: error.message });
     }
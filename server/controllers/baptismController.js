@@ -0,0 +1,275 @@
+/**
+ * baptismController.js - Registro de bautismos y certificados
+ *
+ * Un registro por miembro: fecha, ministro oficiante, lugar, testigos y
+ * número de certificado. Al crear o editar el registro el miembro queda
+ * bautizado con esa fecha; al eliminarlo vuelve a "no bautizado".
+ * Admin/Secretaría: CRUD de su iglesia. SuperAdmin: cualquier iglesia.
+ * Reglas: utils/baptisms.js · PDF: utils/baptismCertificatePdf.js
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Baptism, Member, Church, User } = require('../models');
+const { isSuperAdmin } = require('../middleware/auth');
+const {
+  parseBaptismInput, nextCertificateNumber, isCertificateNumberTaken, markMemberBaptized, unmarkMemberBaptized,
+} = require('../utils/baptisms');
+const { generateBaptismCertificatePdf } = require('../utils/baptismCertificatePdf');
+const { churchLogoPath } = require('../utils/pdfBranding');
+const { resolveTimezone } = require('../utils/timezone');
+
+const MEMBER_INCLUDE = { model: Member, as: 'member', attributes: ['id', 'first_name', 'last_name', 'member_type', 'status'] };
+const RECORDER_INCLUDE = { model: User, as: 'recorder', attributes: ['id', 'full_name'] };
+
+const memberName = (member) => (member ? `${member.first_name} ${member.last_name}` : '');
+
+async function loadBaptism(id, transaction) {
+  return Baptism.findByPk(id, { include: [MEMBER_INCLUDE, RECORDER_INCLUDE], transaction });
+}
+
+const baptismController = {
+  // GET /api/baptisms?church_id=X&year=2026&search=Y&page=1&limit=20
+  async getAll(req, res) {
+    try {
+      const { church_id, year, search, page = 1, limit = 20 } = req.query;
+      const where = {};
+
+      if (isSuperAdmin(req.user)) {
+        if (church_id) where.church_id = church_id;
+      } else {
+        where.church_id = req.user.church_id;
+      }
+
+      const churchWhere = { ...where };
+      if (year) {
+        const y = parseInt(year, 10);
+        if (!y) return res.status(400).json({ message: 'Parámetro year inválido (ej: 2026).' });
+        where.baptism_date = { [Op.between]: [`${y}-01-01`, `${y}-12-31`] };
+      }
+
+      const memberInclude = { ...MEMBER_INCLUDE };
+      if (search) {
+        memberInclude.where = {
+          [Op.or]: [
+            { first_name: { [Op.iLike]: `%${search}%` } },
+            { last_name: { [Op.iLike]: `%${search}%` } },
+          ],
+        };
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+      const [{ rows, count: total }, years] = await Promise.all([
+        Baptism.findAndCountAll({
+          where,
+          include: [memberInclude, RECORDER_INCLUDE],
+          order: [['baptism_date', 'DESC'], ['id', 'DESC']],
+          limit: parseInt(limit),
+          offset,
+        }),
+        // Años con bautismos (para el filtro)
+        Baptism.findAll({
+          where: churchWhere,
+          attributes: [[sequelize.literal('DISTINCT EXTRACT(YEAR FROM "baptism_date")::int'), 'year']],
+          order: [[sequelize.literal('1'), 'DESC']],
+          raw: true,
+        }),
+      ]);
+
+      res.json({
+        baptisms: rows,
+        years: years.map((r) => Number(r.year)),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener bautismos.', error: error.message });
+    }
+  },
+
+  // GET /api/baptisms/:id
+  async getById(req, res) {
+    try {
+      const baptism = await loadBaptism(req.params.id);
+      if (!baptism) {
+        return res.status(404).json({ message: 'Bautismo no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && baptism.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este bautismo.' });
+      }
+
+      res.json({ baptism });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener bautismo.', error: error.message });
+    }
+  },
+
+  /**
+   * POST /api/baptisms
+   * Body: { member_id, baptism_date, officiant, place, witnesses: [], certificate_number?, notes }
+   * Sin certificate_number se genera el siguiente B-AAAA-NNN de la iglesia.
+   */
+  async create(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const member = await Member.findByPk(req.body.member_id, { transaction });
+      if (!member) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Miembro no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && member.church_id !== req.user.church_id) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'No tienes acceso a este miembro.' });
+      }
+      if (await Baptism.count({ where: { member_id: member.id }, transaction })) {
+        await transaction.rollback();
+        return res.status(409).json({ message: 'El miembro ya tiene un registro de bautismo.' });
+      }
+
+      const { fields, errors } = parseBaptismInput(req.body);
+      if (errors.length) {
+        await transaction.rollback();
+        return res.status(400).json({ message: errors[0], errors });
+      }
+
+      if (!fields.certificate_number) {
+        fields.certificate_number = await nextCertificateNumber(member.church_id, fields.baptism_date, transaction);
+      } else if (await isCertificateNumberTaken(member.church_id, fields.certificate_number, null, transaction)) {
+        await transaction.rollback();
+        return res.status(409).json({ message: `El certificado ${fields.certificate_number} ya existe en la iglesia.` });
+      }
+
+      const baptism = await Baptism.create({
+        ...fields,
+        church_id: member.church_id,
+        member_id: member.id,
+        recorded_by: req.user.id,
+      }, { transaction });
+
+      await markMemberBaptized(member, baptism, { userId: req.user.id, transaction });
+      await transaction.commit();
+
+      const created = await loadBaptism(baptism.id);
+      res.status(201).json({ message: 'Bautismo registrado exitosamente.', baptism: created });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      res.status(500).json({ message: 'Error al registrar bautismo.', error: error.message });
+    }
+  },
+
+  /**
+   * PUT /api/baptisms/:id
+   * Actualiza los datos del registro; si cambia la fecha se actualiza Member.baptism_date.
+   */
+  async update(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const baptism = await Baptism.findByPk(req.params.id, { transaction });
+      if (!baptism) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Bautismo no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && baptism.church_id !== req.user.church_id) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'No tienes acceso a este bautismo.' });
+      }
+
+      const { fields, errors } = parseBaptismInput(req.body, baptism.toJSON());
+      if (errors.length) {
+        await transaction.rollback();
+        return res.status(400).json({ message: errors[0], errors });
+      }
+      if (!fields.certificate_number) fields.certificate_number = baptism.certificate_number;
+      if (fields.certificate_number !== baptism.certificate_number
+        && await isCertificateNumberTaken(baptism.church_id, fields.certificate_number, baptism.id, transaction)) {
+        await transaction.rollback();
+        return res.status(409).json({ message: `El certificado ${fields.certificate_number} ya existe en la iglesia.` });
+      }
+
+      await baptism.update(fields, { transaction });
+
+      const member = await Member.findByPk(baptism.member_id, { transaction });
+      if (member) await markMemberBaptized(member, baptism, { userId: req.user.id, transaction });
+      await transaction.commit();
+
+      const updated = await loadBaptism(baptism.id);
+      res.json({ message: 'Bautismo actualizado exitosamente.', baptism: updated });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      res.status(500).json({ message: 'Error al actualizar bautismo.', error: error.message });
+    }
+  },
+
+  /**
+   * DELETE /api/baptisms/:id
+   * El miembro vuelve a "no bautizado"; el hito de su historia se conserva.
+   */
+  async delete(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const baptism = await Baptism.findByPk(req.params.id, { transaction });
+      if (!baptism) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Bautismo no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && baptism.church_id !== req.user.church_id) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'No tienes acceso a este bautismo.' });
+      }
+
+      const member = await Member.findByPk(baptism.member_id, { transaction });
+      await unmarkMemberBaptized(member, baptism, { transaction });
+      await baptism.destroy({ transaction });
+      await transaction.commit();
+
+      res.json({ message: 'Registro de bautismo eliminado exitosamente.' });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      res.status(500).json({ message: 'Error al eliminar bautismo.', error: error.message });
+    }
+  },
+
+  /**
+   * GET /api/baptisms/:id/certificate
+   * Certificado de bautismo en PDF con el logo de la iglesia (Branding).
+   */
+  async getCertificate(req, res) {
+    try {
+      const baptism = await loadBaptism(req.params.id);
+      if (!baptism) {
+        return res.status(404).json({ message: 'Bautismo no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && baptism.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este bautismo.' });
+      }
+
+      const church = await Church.findByPk(baptism.church_id, {
+        attributes: ['id', 'name', 'address', 'timezone', 'login_logo_url'],
+      });
+      const fileName = `Certificado_Bautismo_${baptism.certificate_number}.pdf`;
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+      const pdfDoc = generateBaptismCertificatePdf({
+        baptism,
+        memberName: memberName(baptism.member),
+        churchName: church?.name,
+        churchAddress: church?.address,
+        logoPath: churchLogoPath(church),
+        timeZone: resolveTimezone(church?.timezone),
+      });
+      pdfDoc.pipe(res);
+    } catch (error) {
+      console.error('[BAPTISM PDF ERROR]', error);
+      res.status(500).json({ message: 'Error al generar el certificado de bautismo.', error: error.message });
+    }
+  },
+};
+
+module.exports = baptismController;
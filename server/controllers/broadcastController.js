@@ -0,0 +1,208 @@
+/**
+ * broadcastController.js - Anuncios masivos a un segmento de miembros
+ *
+ * Endpoints:
+ * - GET  /api/notifications/broadcasts             → Anuncios de la iglesia (paginado)
+ * - POST /api/notifications/broadcasts/preview     → Destinatarios de un segmento (sin enviar)
+ * - POST /api/notifications/broadcasts             → Enviar ahora o programar un anuncio
+ * - GET  /api/notifications/broadcasts/:id         → Detalle + reporte de entrega
+ * - POST /api/notifications/broadcasts/:id/cancel  → Cancelar (programado o enviándose)
+ *
+ * El envío por miembro (con reintento de fallidos) se ve en el historial:
+ * GET /api/notifications/history?broadcast_id=:id
+ *
+ * Admin/Secretaría: anuncios de su iglesia.
+ * SuperAdmin: de cualquier iglesia (church_id en query/body).
+ * Lógica de segmentos y envío: utils/broadcastService.js
+ */
+const { Broadcast, User } = require('../models');
+const { isSuperAdmin, applyTenantFilter } = require('../middleware/auth');
+const { anyChannelConfigured } = require('../utils/notificationChannels');
+const {
+  normalizeSegment, validateSegment, previewSegment, deliveryReport, processBroadcast,
+} = require('../utils/broadcastService');
+
+/** Iglesia sobre la que se trabaja (SuperAdmin puede indicar otra) */
+function targetChurchId(req) {
+  const requested = req.query.church_id || req.body?.church_id;
+  return isSuperAdmin(req.user) && requested ? parseInt(requested, 10) : req.user.church_id;
+}
+
+/** Busca el anuncio y verifica que sea de la iglesia del usuario */
+async function findOwnBroadcast(req, res) {
+  const broadcast = await Broadcast.findByPk(req.params.id, {
+    include: [{ model: User, as: 'creator', attributes: ['id', 'full_name'] }],
+  });
+  if (!broadcast) {
+    res.status(404).json({ message: 'Anuncio no encontrado.' });
+    return null;
+  }
+  if (!isSuperAdmin(req.user) && broadcast.church_id !== req.user.church_id) {
+    res.status(403).json({ message: 'No tienes acceso a este anuncio.' });
+    return null;
+  }
+  return broadcast;
+}
+
+/** Envía el anuncio en segundo plano (la respuesta HTTP no espera el envío) */
+function startInBackground(broadcastId, userId) {
+  setImmediate(() => {
+    processBroadcast(broadcastId, { source: 'manual', userId })
+      .catch((err) => console.error(`[BROADCAST] ❌ Error en anuncio ${broadcastId}:`, err.message));
+  });
+}
+
+const broadcastController = {
+  async getAll(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const where = {};
+      if (req.query.status) where.status = req.query.status;
+      if (req.query.church_id && isSuperAdmin(req.user)) where.church_id = req.query.church_id;
+      applyTenantFilter(where, req.user);
+
+      const { rows: broadcasts, count: total } = await Broadcast.findAndCountAll({
+        where,
+        include: [{ model: User, as: 'creator', attributes: ['id', 'full_name'] }],
+        order: [['id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      res.json({
+        broadcasts,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener anuncios.', error: error.message });
+    }
+  },
+
+  /**
+   * Body: { segment }
+   * Retorna { total, reachable, opted_out, no_channel, no_consent, members } del segmento.
+   */
+  async preview(req, res) {
+    try {
+      const churchId = targetChurchId(req);
+      if (!churchId) {
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+
+      const segment = normalizeSegment(req.body?.segment);
+      const errors = validateSegment(segment);
+      if (errors.length) {
+        return res.status(400).json({ message: errors[0], errors });
+      }
+
+      res.json({ segment, ...(await previewSegment(churchId, segment)) });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener destinatarios.', error: error.message });
+    }
+  },
+
+  /**
+   * Body: { title, message, segment, scheduled_at? }
+   * Sin scheduled_at (o con fecha pasada) se envía de inmediato; si no, lo
+   * envía el scheduler cuando llega la hora (revisa cada 15 minutos).
+   */
+  async create(req, res) {
+    try {
+      const churchId = targetChurchId(req);
+      if (!churchId) {
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+
+      const title = String(req.body?.title || '').trim();
+      const message = String(req.body?.message || '').trim();
+      if (!title || !message) {
+        return res.status(400).json({ message: 'El título y el mensaje son obligatorios.' });
+      }
+      if (title.length > 200) {
+        return res.status(400).json({ message: 'El título no puede superar los 200 caracteres.' });
+      }
+
+      const segment = normalizeSegment(req.body.segment);
+      const errors = validateSegment(segment);
+      if (errors.length) {
+        return res.status(400).json({ message: errors[0], errors });
+      }
+
+      let scheduledAt = new Date();
+      if (req.body.scheduled_at) {
+        scheduledAt = new Date(req.body.scheduled_at);
+        if (isNaN(scheduledAt.getTime())) {
+          return res.status(400).json({ message: 'Fecha de envío inválida.' });
+        }
+      }
+      const sendNow = scheduledAt <= new Date();
+
+      if (sendNow && !anyChannelConfigured()) {
+        return res.status(400).json({ message: 'Ningún canal de notificación configurado. No se puede enviar el anuncio.' });
+      }
+
+      const broadcast = await Broadcast.create({
+        church_id: churchId,
+        title,
+        message,
+        segment,
+        status: 'scheduled',
+        scheduled_at: scheduledAt,
+        created_by: req.user.id,
+      });
+
+      if (sendNow) startInBackground(broadcast.id, req.user.id);
+
+      res.status(201).json({
+        message: sendNow
+          ? 'Anuncio en envío. El reporte se actualiza a medida que se envía.'
+          : 'Anuncio programado exitosamente.',
+        broadcast,
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al crear anuncio.', error: error.message });
+    }
+  },
+
+  async getById(req, res) {
+    try {
+      const broadcast = await findOwnBroadcast(req, res);
+      if (!broadcast) return;
+
+      res.json({ broadcast, report: await deliveryReport(broadcast.id) });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener anuncio.', error: error.message });
+    }
+  },
+
+  /** Un anuncio enviándose se detiene en el siguiente bloque de miembros */
+  async cancel(req, res) {
+    try {
+      const broadcast = await findOwnBroadcast(req, res);
+      if (!broadcast) return;
+
+      if (!['scheduled', 'sending'].includes(broadcast.status)) {
+        return res.status(400).json({ message: 'Solo se pueden cancelar anuncios programados o en envío.' });
+      }
+
+      await broadcast.update({
+        status: 'cancelled',
+        cancelled_by: req.user.id,
+        finished_at: broadcast.status === 'scheduled' ? new Date() : broadcast.finished_at,
+      });
+
+      res.json({ message: 'Anuncio cancelado.', broadcast });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al cancelar anuncio.', error: error.message });
+    }
+  },
+};
+
+module.exports = broadcastController;
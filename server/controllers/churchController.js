@@ -1,5 +1,21 @@
 const { Church, Mission, WhiteField, Member } = require('../models');
 const { isSuperAdmin } = require('../middleware/auth');
+const { ensureDefaultServiceRoles } = require('../utils/serviceRoles');
+const { isValidTimezone, normalizeCountryCode } = require('../utils/timezone');
+
+/**
+ * Valida zona horaria y código de país (si vienen en el body).
+ * @returns {string|null} Mensaje de error o null
+ */
+function validateLocaleSettings(data) {
+  if (data.timezone !== undefined && !isValidTimezone(data.timezone)) {
+    return `Zona horaria no válida: "${data.timezone}" (use un nombre IANA, ej: America/Panama).`;
+  }
+  if (data.default_country_code !== undefined && !normalizeCountryCode(data.default_country_code)) {
+    return 'Código de país no válido (1 a 4 dígitos, ej: 507).';
+  }
+  return null;
+}
 
 const churchController = {
   // GET /api/churches
@@ -59,7 +75,17 @@ const churchController = {
   // POST /api/churches — Solo SuperAdmin puede crear iglesias
   async create(req, res) {
     try {
-      const church = await Church.create(req.body);
+      const invalid = validateLocaleSettings(req.body);
+      if (invalid) return res.status(400).json({ message: invalid });
+
+      const data = { ...req.body };
+      if (data.default_country_code !== undefined) {
+        data.default_country_code = normalizeCountryCode(data.default_country_code);
+      }
+
+      const church = await Church.create(data);
+      // Roles de culto por defecto (Predica, Dirige, Canta)
+      await ensureDefaultServiceRoles(church.id);
       res.status(201).json({ message: 'Iglesia creada exitosamente.', church });
     } catch (error) {
       res.status(500).json({ message: 'Error al crear iglesia.', error: error.message });
@@ -94,6 +120,12 @@ const churchController = {
       delete updateData.unordained_deacons;
       delete updateData.membership_count;
 
+      const invalid = validateLocaleSettings(updateData);
+      if (invalid) return res.status(400).json({ message: invalid });
+      if (updateData.default_country_code !== undefined) {
+        updateData.default_country_code = normalizeCountryCode(updateData.default_country_code);
+      }
+
       await church.update(updateData);
       res.json({ message: 'Iglesia actualizada exitosamente.', church });
     } catch (error) {
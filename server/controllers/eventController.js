@@ -1,36 +1,370 @@
-const { Event, EventAttendee, Member, Church, User } = require('../models');
+const {
+  Event, EventAttendee, EventSeries, EventRoleAssignment, ServiceRole, Member, Church, User,
+} = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const { recalculateChurchFaithDecisions } = require('../utils/churchStats');
 const { generateCalendarPdf } = require('../utils/calendarPdf');
 const { generateSalesCalendarPdf } = require('../utils/salesCalendarPdf');
 const { isSuperAdmin, applyTenantFilter } = require('../middleware/auth');
+const {
+  normalizeRecurrence, validateRecurrence, generateOccurrenceDates, toDateKey,
+} = require('../utils/recurrence');
+const { planRoleRotation } = require('../utils/rolePlanner');
+const { checkRoleAssignments, loadAvailability, evaluateMember } = require('../utils/memberAvailability');
+const {
+  ROLE_ASSIGNMENTS_INCLUDE, normalizeRoleAssignments, validateRoleAssignments,
+  replaceEventRoles, groupAssignmentsByRole,
+} = require('../utils/serviceRoles');
+const {
+  resolveTimezone, monthRange, zonedParts, localDateKey, addDays, zonedTimeToUtc, dayRange,
+} = require('../utils/timezone');
+const { moveToTrash } = require('../utils/trash');
+
+/** Clave única de una asignación (rol + miembro) */
+function assignmentKey(a) {
+  return `${a.service_role_id}|${a.member_id}`;
+}
+
+/**
+ * Verifica la disponibilidad de los miembros asignados a roles de culto
+ * (fechas bloqueadas = error; día no preferido o tope mensual = advertencia).
+ * Solo se revisan las asignaciones que no estaban en `previous`.
+ *
+ * @param {Array} assignments - [{ service_role_id, member_id }] ya sanitizadas
+ * @param {Array<Date>} dates - Fechas de los cultos que recibirán los roles
+ * @param {Object} options - { previous: asignaciones actuales, excludeEventIds, transaction, timeZone }
+ * @returns {Object} { errors, warnings }
+ */
+async function checkCultoRoles(assignments, dates, {
+  previous = [], excludeEventIds = [], transaction, timeZone,
+} = {}) {
+  const before = new Set(previous.map(assignmentKey));
+  const changed = assignments.filter((a) => !before.has(assignmentKey(a)));
+  if (changed.length === 0) return { errors: [], warnings: [] };
+
+  // Nombre del rol como prefijo de cada mensaje ("Predica: ...")
+  const roles = await ServiceRole.findAll({
+    where: { id: { [Op.in]: [...new Set(changed.map((a) => a.service_role_id))] } },
+    attributes: ['id', 'name'],
+    transaction,
+  });
+  const roleNames = new Map(roles.map((r) => [r.id, r.name]));
+
+  const list = [];
+  changed.forEach((a) => {
+    dates.forEach((start_date) => list.push({
+      member_id: a.member_id,
+      label: roleNames.get(a.service_role_id),
+      start_date,
+    }));
+  });
+  return checkRoleAssignments(list, { excludeEventIds, transaction, timeZone });
+}
+
+/** Respuesta 400 cuando algún miembro asignado no está disponible */
+function availabilityError(res, { errors, warnings }) {
+  return res.status(400).json({ message: errors.join(' '), errors, warnings });
+}
+
+// =============================================
+// EVENTOS RECURRENTES (SERIES)
+// =============================================
+
+/**
+ * Campos compartidos por todas las ocurrencias de una serie.
+ * Los roles de culto NO están aquí: se asignan culto por culto.
+ */
+const SERIES_FIELDS = ['title', 'description', 'event_type', 'location'];
+
+/** Alcance de una edición/eliminación sobre una ocurrencia de serie */
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+/** Copia solo las claves indicadas que existan en `source` */
+function pickFields(source, fields) {
+  const result = {};
+  fields.forEach((field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+  });
+  return result;
+}
+
+/** Zona horaria de la iglesia (la de por defecto si no tiene o no existe) */
+async function churchTimezone(churchId, transaction) {
+  if (!churchId) return resolveTimezone(null);
+  const church = await Church.findByPk(churchId, { attributes: ['timezone'], transaction });
+  return resolveTimezone(church && church.timezone);
+}
+
+/** Devuelve el inicio del día (00:00 en la zona de la iglesia) de una fecha */
+function startOfDay(date, timeZone) {
+  return dayRange(localDateKey(date, timeZone), timeZone)[0];
+}
+
+/** Combina el DÍA de `date` con la HORA de `timeSource` (en la zona de la iglesia) */
+function atTimeOf(date, timeSource, timeZone) {
+  const t = zonedParts(timeSource, timeZone);
+  const time = `${String(t.hour).padStart(2, '0')}:${String(t.minute).padStart(2, '0')}`;
+  return zonedTimeToUtc(localDateKey(date, timeZone), time, timeZone);
+}
 
 /**
- * Includes comunes para cargar roles de culto junto con cada evento.
- * Cada rol es un Member opcional (preacher, worship_leader, singer).
- * Solo tienen sentido cuando event_type === 'Culto'.
+ * Datos de una ocurrencia a partir de la plantilla de la serie.
+ * La duración (end - start) de la plantilla se conserva en cada ocurrencia.
  */
-const CULTO_ROLE_INCLUDES = [
-  { model: Member, as: 'preacher', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-  { model: Member, as: 'worship_leader', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-  { model: Member, as: 'singer', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-];
+function buildOccurrence(template, start) {
+  const durationMs = template.end_date
+    ? new Date(template.end_date) - new Date(template.start_date)
+    : null;
+  return {
+    ...pickFields(template, SERIES_FIELDS),
+    start_date: start,
+    end_date: durationMs !== null ? new Date(start.getTime() + durationMs) : null,
+  };
+}
 
 /**
- * Sanitiza IDs de roles de culto: '' → null, string → int.
- * Evita errores de FK cuando el frontend envía strings vacíos.
+ * Sincroniza las ocurrencias materializadas de una serie con su regla.
+ *
+ * - Crea las fechas que faltan (campos de la plantilla + `roleAssignments`)
+ * - Actualiza las existentes que NO son excepción (campos compartidos + hora)
+ * - Quita las que ya no corresponden a la regla. Si tienen asistencia
+ *   registrada se desvinculan (series_id = null) para no perder historial.
+ *
+ * @param {Object} series - Instancia de EventSeries con la regla vigente
+ * @param {Object} template - Campos compartidos + start_date/end_date de referencia
+ * @param {Object} options - { transaction, createdBy, roleAssignments: [{ service_role_id, member_id }], timeZone }
+ * @returns {Object} { created, updated, removed, detached, skipped }
  */
-function sanitizeCultoRoles(data) {
-  ['preacher_id', 'worship_leader_id', 'singer_id'].forEach((field) => {
-    if (data[field] === '' || data[field] === undefined) {
-      data[field] = null;
-    } else if (data[field] !== null) {
-      const parsed = parseInt(data[field], 10);
-      data[field] = isNaN(parsed) ? null : parsed;
+async function syncSeriesOccurrences(series, template, {
+  transaction, createdBy, roleAssignments = [], timeZone,
+}) {
+  const dates = generateOccurrenceDates(series.get({ plain: true }), series.start_date, timeZone);
+  const wanted = new Map(dates.map((d) => [toDateKey(d, timeZone), d]));
+  const stats = { created: 0, updated: 0, removed: 0, detached: 0, skipped: 0 };
+
+  // Si la serie deja de ser Culto, limpiar roles (igual que en update)
+  const clearRoles = template.event_type && template.event_type !== 'Culto';
+
+  const existing = await Event.findAll({ where: { series_id: series.id }, transaction });
+  const clearedIds = [];
+
+  for (const occurrence of existing) {
+    const key = toDateKey(occurrence.start_date, timeZone);
+    const start = wanted.get(key);
+
+    if (!start) {
+      if (occurrence.attendees_count > 0 || occurrence.faith_decisions > 0) {
+        await occurrence.update({ series_id: null }, { transaction });
+        stats.detached++;
+      } else {
+        await EventAttendee.destroy({ where: { event_id: occurrence.id }, transaction });
+        await EventRoleAssignment.destroy({ where: { event_id: occurrence.id }, transaction });
+        await occurrence.destroy({ force: true, transaction });
+        stats.removed++;
+      }
+      continue;
     }
+
+    wanted.delete(key);
+    if (occurrence.is_series_exception) {
+      stats.skipped++;
+      continue;
+    }
+
+    await occurrence.update(buildOccurrence(template, start), { transaction });
+    if (clearRoles) clearedIds.push(occurrence.id);
+    stats.updated++;
+  }
+
+  if (clearedIds.length > 0) {
+    await EventRoleAssignment.destroy({ where: { event_id: { [Op.in]: clearedIds } }, transaction });
+  }
+
+  const rows = [...wanted.values()].map((start) => ({
+    ...buildOccurrence(template, start),
+    church_id: series.church_id,
+    series_id: series.id,
+    created_by: createdBy,
+  }));
+  if (rows.length > 0) {
+    const created = await Event.bulkCreate(rows, { transaction });
+
+    // Los roles elegidos al crear la serie se copian a cada ocurrencia nueva
+    if (roleAssignments.length > 0 && !clearRoles) {
+      const assignmentRows = [];
+      created.forEach((occurrence) => roleAssignments.forEach((a) => assignmentRows.push({
+        event_id: occurrence.id,
+        service_role_id: a.service_role_id,
+        member_id: a.member_id,
+      })));
+      await EventRoleAssignment.bulkCreate(assignmentRows, { transaction });
+    }
+  }
+  stats.created = rows.length;
+
+  return stats;
+}
+
+/**
+ * Divide una serie en dos a partir de una ocurrencia ("este y los siguientes").
+ * La serie original termina el día anterior; la nueva empieza en `event`
+ * y se lleva esa ocurrencia y todas las posteriores.
+ *
+ * @returns {Object} La nueva instancia de EventSeries
+ */
+async function splitSeries(series, event, transaction, timeZone) {
+  const splitKey = toDateKey(event.start_date, timeZone);
+  const excluded = series.excluded_dates || [];
+
+  // Ocurrencias (incluidas las omitidas) que quedan en la serie original
+  const previousCount = generateOccurrenceDates(
+    { ...series.get({ plain: true }), excluded_dates: [] },
+    series.start_date,
+    timeZone,
+  ).filter((d) => toDateKey(d, timeZone) < splitKey).length;
+
+  const newSeries = await EventSeries.create({
+    church_id: series.church_id,
+    frequency: series.frequency,
+    weekdays: series.weekdays,
+    start_date: event.start_date,
+    until_date: series.until_date,
+    occurrence_count: series.occurrence_count
+      ? Math.max(series.occurrence_count - previousCount, 1)
+      : null,
+    excluded_dates: excluded.filter((key) => key >= splitKey),
+    created_by: series.created_by,
+  }, { transaction });
+
+  await Event.update({ series_id: newSeries.id }, {
+    where: {
+      series_id: series.id,
+      start_date: { [Op.gte]: startOfDay(event.start_date, timeZone) },
+    },
+    transaction,
+  });
+
+  await series.update({
+    until_date: addDays(splitKey, -1),
+    occurrence_count: null,
+    excluded_dates: excluded.filter((key) => key < splitKey),
+  }, { transaction });
+
+  return newSeries;
+}
+
+/**
+ * Normaliza y valida la regla recibida del frontend.
+ * @returns {Object} { rule } o { error }
+ */
+function parseRecurrence(recurrence, firstStart, timeZone, excludedDates = []) {
+  const rule = normalizeRecurrence({ excluded_dates: excludedDates, ...recurrence }, firstStart, timeZone);
+  const error = validateRecurrence(rule, firstStart, timeZone);
+  return error ? { error } : { rule };
+}
+
+// =============================================
+// PLANIFICADOR DE ROLES DE CULTO
+// =============================================
+
+/** Convierte 'YYYY-MM-DD' al inicio (o al final si endOfDay) de ese día en la zona de la iglesia */
+function parseDay(value, timeZone, endOfDay = false) {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const [start, end] = dayRange(value, timeZone);
+  return endOfDay ? end : start;
+}
+
+/** Convierte un valor a lista de enteros válidos (acepta '1,2' o [1, '2']) */
+function toIdList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((v) => parseInt(v, 10)).filter((v) => !isNaN(v));
+}
+
+/**
+ * Resuelve el grupo de miembros elegibles de cada rol del catálogo.
+ * Cada rol acepta member_ids explícitos y/o position_ids (cargo ministerial);
+ * un rol sin ninguno de los dos no se planifica (conserva lo que tenga).
+ *
+ * @param {number} churchId
+ * @param {Array} catalog - Roles activos de la iglesia (ServiceRole)
+ * @param {Object} roles - { [service_role_id]: { member_ids, position_ids } }
+ * @returns {Object} { pools: { [roleId]: [ids] }, members: Map id → Member }
+ */
+async function resolveRolePools(churchId, catalog, roles = {}) {
+  const pools = {};
+  const members = new Map();
+
+  for (const role of catalog) {
+    const config = roles[role.id] || {};
+    const memberIds = toIdList(config.member_ids);
+    const positionIds = toIdList(config.position_ids);
+    if (memberIds.length === 0 && positionIds.length === 0) continue;
+
+    const or = [];
+    if (memberIds.length > 0) or.push({ id: { [Op.in]: memberIds } });
+    if (positionIds.length > 0) or.push({ position_id: { [Op.in]: positionIds } });
+
+    const found = await Member.findAll({
+      where: { church_id: churchId, status: 'active', [Op.or]: or },
+      attributes: ['id', 'first_name', 'last_name', 'position_id'],
+      order: [['first_name', 'ASC'], ['last_name', 'ASC']],
+    });
+
+    // Si se filtra por cargo, los member_ids explícitos deben tenerlo también
+    const eligible = memberIds.length > 0 && positionIds.length > 0
+      ? found.filter((m) => memberIds.includes(m.id) && positionIds.includes(m.position_id))
+      : found;
+
+    pools[role.id] = eligible.map((m) => m.id);
+    eligible.forEach((m) => members.set(m.id, m));
+  }
+
+  return { pools, members };
+}
+
+/** Asignaciones de un culto agrupadas por rol: { [roleId]: [memberId] } */
+function rolesByEvent(assignments = []) {
+  const roles = {};
+  assignments.forEach((a) => {
+    if (!roles[a.service_role_id]) roles[a.service_role_id] = [];
+    roles[a.service_role_id].push(a.member_id);
   });
-  return data;
+  return roles;
+}
+
+/**
+ * Agrupa la no disponibilidad enviada por el cliente por miembro.
+ * Formato: [{ member_id, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }]
+ */
+function buildUnavailability(list) {
+  const map = new Map();
+  if (!Array.isArray(list)) return map;
+  list.forEach((item) => {
+    const memberId = parseInt(item.member_id, 10);
+    if (isNaN(memberId) || !item.from) return;
+    if (!map.has(memberId)) map.set(memberId, []);
+    map.get(memberId).push({ from: item.from, to: item.to || item.from });
+  });
+  return map;
+}
+
+/**
+ * Nombre y zona horaria de la iglesia del usuario para los calendarios PDF.
+ * SuperAdmin sin iglesia: nombre del sistema y zona horaria por defecto.
+ */
+async function getCalendarChurch(user) {
+  let churchName = 'Gestión Cristiana TMDV';
+  let timeZone = resolveTimezone(null);
+  if (user.church_id) {
+    const church = await Church.findByPk(user.church_id, { attributes: ['name', 'timezone'] });
+    if (church) {
+      churchName = church.name;
+      timeZone = resolveTimezone(church.timezone);
+    }
+  }
+  return { churchName, timeZone };
 }
 
 const eventController = {
@@ -58,11 +392,15 @@ const eventController = {
           { model: Church, as: 'church', attributes: ['id', 'name'] },
           { model: User, as: 'creator', attributes: ['id', 'full_name'] },
           // Incluir roles de culto para mostrar en tabla
-          ...CULTO_ROLE_INCLUDES,
+          ROLE_ASSIGNMENTS_INCLUDE,
+          // Regla de la serie (si es un evento recurrente)
+          { model: EventSeries, as: 'series' },
         ],
         order: [['start_date', 'DESC']],
         limit: parseInt(limit),
         offset,
+        // Varias asignaciones por evento: contar eventos, no filas del JOIN
+        distinct: true,
       });
 
       res.json({
@@ -92,7 +430,8 @@ const eventController = {
             include: [{ model: Member, as: 'member', attributes: ['id', 'first_name', 'last_name', 'member_type'] }],
           },
           // Roles de culto
-          ...CULTO_ROLE_INCLUDES,
+          ROLE_ASSIGNMENTS_INCLUDE,
+          { model: EventSeries, as: 'series' },
         ],
       });
 
@@ -106,61 +445,371 @@ const eventController = {
     }
   },
 
-  // POST /api/events
+  /**
+   * POST /api/events
+   *
+   * Evento suelto: igual que siempre.
+   * Evento recurrente: si el body trae `recurrence` ({ frequency, weekdays,
+   * until_date | occurrence_count }), se crea la serie y todas sus ocurrencias
+   * en una transacción. Los roles de culto elegidos se copian a cada ocurrencia.
+   *
+   * Roles de culto: role_assignments = [{ service_role_id, member_id }]
+   * (varios miembros por rol). Solo se guardan si event_type === 'Culto'.
+   */
   async create(req, res) {
+    const transaction = await sequelize.transaction();
+
     try {
-      // Sanitizar IDs de roles de culto ('' → null)
-      const data = sanitizeCultoRoles({ ...req.body });
+      const { recurrence, role_assignments, ...data } = req.body;
+      const churchId = data.church_id || req.user.church_id;
+
+      const assignments = data.event_type === 'Culto'
+        ? (normalizeRoleAssignments(role_assignments) || [])
+        : [];
+      const invalidRoles = await validateRoleAssignments(assignments, churchId, { transaction });
+      if (invalidRoles) {
+        await transaction.rollback();
+        return res.status(400).json({ message: invalidRoles });
+      }
+
+      const timeZone = await churchTimezone(churchId, transaction);
 
-      const event = await Event.create({
-        ...data,
-        church_id: data.church_id || req.user.church_id,
+      if (!recurrence || !recurrence.frequency) {
+        const availability = data.start_date
+          ? await checkCultoRoles(assignments, [new Date(data.start_date)], { transaction, timeZone })
+          : { errors: [], warnings: [] };
+        if (availability.errors.length > 0) {
+          await transaction.rollback();
+          return availabilityError(res, availability);
+        }
+
+        const event = await Event.create({
+          ...data,
+          church_id: churchId,
+          created_by: req.user.id,
+        }, { transaction });
+        await replaceEventRoles(event.id, assignments, { transaction });
+
+        await transaction.commit();
+        return res.status(201).json({
+          message: 'Evento creado exitosamente.',
+          event,
+          warnings: availability.warnings,
+        });
+      }
+
+      if (!data.start_date) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'La fecha de inicio es requerida para una serie.' });
+      }
+
+      const firstStart = new Date(data.start_date);
+      const { rule, error } = parseRecurrence(recurrence, firstStart, timeZone);
+      if (error) {
+        await transaction.rollback();
+        return res.status(400).json({ message: error });
+      }
+
+      // Los roles elegidos se copian a cada ocurrencia: validar todas las fechas
+      const availability = await checkCultoRoles(
+        assignments, generateOccurrenceDates(rule, firstStart, timeZone), { transaction, timeZone },
+      );
+      if (availability.errors.length > 0) {
+        await transaction.rollback();
+        return availabilityError(res, availability);
+      }
+
+      const series = await EventSeries.create({
+        ...rule,
+        church_id: churchId,
+        start_date: firstStart,
         created_by: req.user.id,
+      }, { transaction });
+
+      const stats = await syncSeriesOccurrences(series, data, {
+        transaction,
+        createdBy: req.user.id,
+        roleAssignments: assignments,
+        timeZone,
       });
 
-      res.status(201).json({ message: 'Evento creado exitosamente.', event });
+      if (stats.created === 0) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'La regla de repetición no genera ningún evento.' });
+      }
+
+      await transaction.commit();
+
+      const event = await Event.findOne({
+        where: { series_id: series.id },
+        order: [['start_date', 'ASC']],
+      });
+
+      res.status(201).json({
+        message: `Serie creada exitosamente con ${stats.created} eventos.`,
+        event,
+        series,
+        occurrences: stats.created,
+        warnings: availability.warnings,
+      });
     } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
       res.status(500).json({ message: 'Error al crear evento.', error: error.message });
     }
   },
 
-  // PUT /api/events/:id
+  /**
+   * PUT /api/events/:id
+   *
+   * Para ocurrencias de una serie, `scope` indica el alcance:
+   * - 'this' (default): solo esta ocurrencia. Si cambian título, tipo, lugar,
+   *   descripción u horario queda marcada como excepción.
+   * - 'following': esta y las siguientes (la serie se divide en dos).
+   * - 'all': toda la serie.
+   *
+   * En 'following'/'all' se aplican los campos compartidos y la HORA de
+   * start_date/end_date; los días los define la regla (`recurrence`, opcional).
+   * Los roles de culto (role_assignments) siempre se aplican solo a esta
+   * ocurrencia; si no se envían, las asignaciones actuales no se tocan.
+   *
+   * Un evento suelto que recibe `recurrence` se convierte en serie.
+   */
   async update(req, res) {
+    const transaction = await sequelize.transaction();
+
     try {
-      const event = await Event.findByPk(req.params.id);
+      const event = await Event.findByPk(req.params.id, {
+        include: [{ model: EventSeries, as: 'series' }],
+        transaction,
+      });
       if (!event) {
+        await transaction.rollback();
         return res.status(404).json({ message: 'Evento no encontrado.' });
       }
 
-      // Sanitizar IDs de roles de culto ('' → null)
-      const data = sanitizeCultoRoles({ ...req.body });
+      const {
+        recurrence, scope = 'this', role_assignments, ...data
+      } = req.body;
+      if (!SERIES_SCOPES.includes(scope)) {
+        await transaction.rollback();
+        return res.status(400).json({ message: `Alcance inválido. Use: ${SERIES_SCOPES.join(', ')}.` });
+      }
+
+      delete data.series_id;
+      delete data.is_series_exception;
 
       /**
        * Si el tipo de evento cambia de 'Culto' a otro tipo,
        * limpiar los roles de culto para no dejar datos huérfanos.
        */
-      if (data.event_type && data.event_type !== 'Culto') {
-        data.preacher_id = null;
-        data.worship_leader_id = null;
-        data.singer_id = null;
+      let assignments = normalizeRoleAssignments(role_assignments);
+      if (data.event_type && data.event_type !== 'Culto') assignments = [];
+
+      const invalidRoles = await validateRoleAssignments(assignments, event.church_id, { transaction });
+      if (invalidRoles) {
+        await transaction.rollback();
+        return res.status(400).json({ message: invalidRoles });
+      }
+
+      const timeZone = await churchTimezone(event.church_id, transaction);
+
+      /**
+       * Disponibilidad de los roles (siempre se aplican solo a este evento).
+       * En 'following'/'all' el día lo marca la serie y solo cambia la hora.
+       * Si cambia el día, se revisan todos los roles, no solo los nuevos.
+       */
+      let availability = { errors: [], warnings: [] };
+      if ((data.event_type || event.event_type) === 'Culto') {
+        const current = await EventRoleAssignment.findAll({ where: { event_id: event.id }, transaction });
+        const newStart = data.start_date ? new Date(data.start_date) : new Date(event.start_date);
+        const roleDate = event.series_id && scope !== 'this'
+          ? atTimeOf(event.start_date, newStart, timeZone)
+          : newStart;
+        const sameDay = toDateKey(roleDate, timeZone) === toDateKey(event.start_date, timeZone);
+        availability = await checkCultoRoles(assignments !== undefined ? assignments : current, [roleDate], {
+          previous: sameDay ? current : [],
+          excludeEventIds: [event.id],
+          transaction,
+          timeZone,
+        });
+        if (availability.errors.length > 0) {
+          await transaction.rollback();
+          return availabilityError(res, availability);
+        }
+      }
+
+      if (assignments !== undefined) {
+        await replaceEventRoles(event.id, assignments, { transaction });
+      }
+
+      // --- Evento suelto que pasa a ser recurrente ---
+      if (!event.series_id && recurrence && recurrence.frequency) {
+        const firstStart = data.start_date ? new Date(data.start_date) : event.start_date;
+        const { rule, error } = parseRecurrence(recurrence, firstStart, timeZone);
+        if (error) {
+          await transaction.rollback();
+          return res.status(400).json({ message: error });
+        }
+
+        await event.update(data, { transaction });
+
+        const series = await EventSeries.create({
+          ...rule,
+          church_id: event.church_id,
+          start_date: event.start_date,
+          created_by: req.user.id,
+        }, { transaction });
+        await event.update({ series_id: series.id }, { transaction });
+
+        const stats = await syncSeriesOccurrences(series, event.get({ plain: true }), {
+          transaction,
+          createdBy: req.user.id,
+          timeZone,
+        });
+
+        await transaction.commit();
+        return res.json({
+          message: `Evento convertido en serie: ${stats.created} eventos nuevos.`,
+          event,
+          series_stats: stats,
+          warnings: availability.warnings,
+        });
+      }
+
+      // --- Evento suelto o "solo este evento" ---
+      if (!event.series_id || scope === 'this') {
+        if (event.series_id) {
+          const changedShared = SERIES_FIELDS.some((field) => data[field] !== undefined && (data[field] || null) !== (event[field] || null))
+            || (data.start_date && new Date(data.start_date).getTime() !== new Date(event.start_date).getTime());
+          if (changedShared) data.is_series_exception = true;
+        }
+
+        await event.update(data, { transaction });
+        await transaction.commit();
+        return res.json({
+          message: 'Evento actualizado exitosamente.',
+          event,
+          warnings: availability.warnings,
+        });
       }
 
-      await event.update(data);
-      res.json({ message: 'Evento actualizado exitosamente.', event });
+      // --- "Este y los siguientes" / "Toda la serie" ---
+      let series = event.series;
+      const isFirstOccurrence = toDateKey(event.start_date, timeZone) <= toDateKey(series.start_date, timeZone);
+      if (scope === 'following' && !isFirstOccurrence) {
+        series = await splitSeries(series, event, transaction, timeZone);
+      }
+
+      // Nueva hora de referencia (el día lo sigue marcando la serie)
+      const refStart = data.start_date ? new Date(data.start_date) : new Date(event.start_date);
+      let refEnd = event.end_date ? new Date(event.end_date) : null;
+      if (data.end_date !== undefined) refEnd = data.end_date ? new Date(data.end_date) : null;
+      const seriesStart = atTimeOf(series.start_date, refStart, timeZone);
+
+      const seriesChanges = { start_date: seriesStart };
+      if (recurrence && recurrence.frequency) {
+        const { rule, error } = parseRecurrence(recurrence, seriesStart, timeZone, series.excluded_dates);
+        if (error) {
+          await transaction.rollback();
+          return res.status(400).json({ message: error });
+        }
+        Object.assign(seriesChanges, rule);
+      }
+      await series.update(seriesChanges, { transaction });
+
+      const template = {
+        ...pickFields(event.get({ plain: true }), SERIES_FIELDS),
+        ...pickFields(data, SERIES_FIELDS),
+        start_date: seriesStart,
+        end_date: refEnd ? new Date(seriesStart.getTime() + (refEnd - refStart)) : null,
+      };
+
+      // La ocurrencia editada deja de ser excepción (sus roles ya se guardaron arriba)
+      await event.update({ is_series_exception: false }, { transaction });
+
+      const stats = await syncSeriesOccurrences(series, template, {
+        transaction,
+        createdBy: req.user.id,
+        timeZone,
+      });
+
+      await transaction.commit();
+
+      const updated = await Event.findByPk(event.id);
+      res.json({
+        message: `Serie actualizada: ${stats.updated} eventos modificados, ${stats.created} creados, ${stats.removed} eliminados.`,
+        event: updated,
+        series_stats: stats,
+        warnings: availability.warnings,
+      });
     } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
       res.status(500).json({ message: 'Error al actualizar evento.', error: error.message });
     }
   },
 
-  // DELETE /api/events/:id
+  /**
+   * DELETE /api/events/:id?scope=this|following|all
+   *
+   * - 'this' (default): elimina la ocurrencia y agrega su fecha a
+   *   excluded_dates para que la serie no la vuelva a generar.
+   * - 'following': elimina esta y las siguientes; la serie termina el día anterior.
+   * - 'all': elimina todas las ocurrencias y la serie.
+   *
+   * Los eventos van a la Papelera (paranoid) con sus asistentes, decisiones
+   * de fe y roles; al restaurarlos vuelven a su serie si sigue vigente
+   * (ver utils/trash.js).
+   */
   async delete(req, res) {
+    const transaction = await sequelize.transaction();
+
     try {
-      const event = await Event.findByPk(req.params.id);
-      if (!event) return res.status(404).json({ message: 'Evento no encontrado.' });
+      const event = await Event.findByPk(req.params.id, {
+        include: [{ model: EventSeries, as: 'series' }],
+        transaction,
+      });
+      if (!event) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Evento no encontrado.' });
+      }
+
+      const scope = req.query.scope || 'this';
+      if (!SERIES_SCOPES.includes(scope)) {
+        await transaction.rollback();
+        return res.status(400).json({ message: `Alcance inválido. Use: ${SERIES_SCOPES.join(', ')}.` });
+      }
 
       const churchId = event.church_id;
-      await EventAttendee.destroy({ where: { event_id: event.id } });
-      await event.destroy();
+      const series = event.series;
+      const timeZone = await churchTimezone(churchId, transaction);
+
+      let eventIds = [event.id];
+      if (series && scope !== 'this') {
+        const where = { series_id: series.id };
+        if (scope === 'following') {
+          where.start_date = { [Op.gte]: startOfDay(event.start_date, timeZone) };
+        }
+        const targets = await Event.findAll({ where, attributes: ['id'], transaction });
+        eventIds = targets.map((e) => e.id);
+      }
+
+      await moveToTrash(Event, eventIds, { userId: req.user.id, transaction });
+
+      if (series) {
+        const remaining = await Event.count({ where: { series_id: series.id }, transaction });
+        if (remaining === 0) {
+          await series.destroy({ transaction });
+        } else if (scope === 'following') {
+          const dayBefore = addDays(toDateKey(event.start_date, timeZone), -1);
+          await series.update({ until_date: dayBefore, occurrence_count: null }, { transaction });
+        } else {
+          const excluded = new Set(series.excluded_dates || []);
+          excluded.add(toDateKey(event.start_date, timeZone));
+          await series.update({ excluded_dates: [...excluded].sort() }, { transaction });
+        }
+      }
+
+      await transaction.commit();
 
       if (churchId) {
         const church = await Church.findByPk(churchId);
@@ -169,12 +818,269 @@ const eventController = {
         }
       }
 
-      res.json({ message: 'Evento eliminado exitosamente.' });
+      res.json({
+        message: eventIds.length > 1
+          ? `${eventIds.length} eventos enviados a la papelera.`
+          : 'Evento enviado a la papelera.',
+        deleted: eventIds.length,
+      });
     } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
       res.status(500).json({ message: 'Error al eliminar evento.', error: error.message });
     }
   },
 
+  // =========== DISPONIBILIDAD PARA ROLES ===========
+
+  /**
+   * GET /api/events/role-availability?date=2026-03-08T09:00&event_id=12
+   *
+   * Estado de cada miembro de la iglesia para servir en un culto en esa fecha.
+   * Solo devuelve los miembros con algún problema; el resto está disponible.
+   * event_id (opcional) excluye ese culto del conteo mensual al editarlo.
+   *
+   * Respuesta: { availability: { [memberId]: { status: 'error'|'warning', messages } } }
+   */
+  async getRoleAvailability(req, res) {
+    try {
+      const date = req.query.date ? new Date(req.query.date) : null;
+      if (!date || isNaN(date.getTime())) {
+        return res.status(400).json({ message: 'Parámetro date inválido.' });
+      }
+
+      const churchId = isSuperAdmin(req.user)
+        ? (req.query.church_id || req.user.church_id)
+        : req.user.church_id;
+      const memberWhere = {};
+      if (churchId) memberWhere.church_id = churchId;
+      const members = await Member.findAll({ where: memberWhere, attributes: ['id'] });
+      const timeZone = await churchTimezone(churchId);
+
+      const eventId = parseInt(req.query.event_id, 10);
+      const stored = await loadAvailability(members.map((m) => m.id), date, date, {
+        excludeEventIds: isNaN(eventId) ? [] : [eventId],
+        timeZone,
+      });
+
+      const availability = {};
+      stored.forEach((info, memberId) => {
+        const { errors, warnings } = evaluateMember(info, date);
+        if (errors.length === 0 && warnings.length === 0) return;
+        availability[memberId] = {
+          status: errors.length > 0 ? 'error' : 'warning',
+          messages: [...errors, ...warnings],
+        };
+      });
+
+      res.json({ date, availability });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener disponibilidad.', error: error.message });
+    }
+  },
+
+  // =========== PLANIFICADOR DE ROLES ===========
+
+  /**
+   * POST /api/events/role-plan
+   *
+   * Propone una rotación equitativa de los roles del catálogo de la iglesia
+   * para todos los cultos del rango, llenando `members_needed` plazas por rol.
+   * NO guarda nada: el cliente revisa la propuesta y la aplica con
+   * POST /api/events/role-plan/apply.
+   *
+   * Body:
+   * {
+   *   start_date: '2026-03-01', end_date: '2026-03-31',
+   *   roles: { [service_role_id]: { member_ids: [..], position_ids: [..] }, ... },
+   *   unavailable: [{ member_id, from, to }],
+   *   overwrite: false   // true = reemplazar roles ya asignados
+   * }
+   */
+  async planRoles(req, res) {
+    try {
+      const { start_date, end_date, roles, unavailable, overwrite = false } = req.body;
+
+      const churchId = isSuperAdmin(req.user)
+        ? (req.body.church_id || req.user.church_id)
+        : req.user.church_id;
+      if (!churchId) {
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+
+      const timeZone = await churchTimezone(churchId);
+      const from = parseDay(start_date, timeZone);
+      const to = parseDay(end_date, timeZone, true);
+      if (!from || !to || from > to) {
+        return res.status(400).json({ message: 'Rango de fechas inválido. Use start_date y end_date (YYYY-MM-DD).' });
+      }
+
+      const catalog = await ServiceRole.findAll({
+        where: { church_id: churchId, is_active: true },
+        attributes: ['id', 'name', 'abbreviation', 'members_needed', 'sort_order'],
+        order: [['sort_order', 'ASC'], ['id', 'ASC']],
+      });
+
+      const { pools, members } = await resolveRolePools(churchId, catalog, roles);
+      if (Object.keys(pools).length === 0) {
+        return res.status(400).json({ message: 'Indique al menos un rol con miembros o cargos elegibles.' });
+      }
+
+      const events = await Event.findAll({
+        where: {
+          church_id: churchId,
+          event_type: 'Culto',
+          start_date: { [Op.between]: [from, to] },
+        },
+        attributes: ['id', 'title', 'start_date'],
+        include: [{
+          model: EventRoleAssignment,
+          as: 'role_assignments',
+          attributes: ['service_role_id', 'member_id'],
+          required: false,
+        }],
+        order: [['start_date', 'ASC']],
+      });
+
+      // Disponibilidad guardada de cada miembro: fechas bloqueadas + preferencias
+      const stored = await loadAvailability([...members.keys()], from, to, {
+        excludeEventIds: events.map((e) => e.id),
+        timeZone,
+      });
+      const unavailableMap = buildUnavailability(unavailable);
+      stored.forEach((info, memberId) => {
+        if (info.blackouts.length === 0) return;
+        unavailableMap.set(memberId, [...(unavailableMap.get(memberId) || []), ...info.blackouts]);
+      });
+
+      const result = planRoleRotation({
+        events: events.map((e) => ({
+          id: e.id,
+          title: e.title,
+          start_date: e.start_date,
+          roles: rolesByEvent(e.role_assignments),
+        })),
+        roles: catalog.map((r) => r.toJSON()),
+        pools,
+        unavailable: unavailableMap,
+        preferences: stored,
+        overwrite: !!overwrite,
+        timeZone,
+      });
+
+      // Nombres para mostrar el resumen de carga sin otra consulta
+      const load = result.load.map((entry) => {
+        const member = members.get(entry.member_id);
+        return { ...entry, name: member ? `${member.first_name} ${member.last_name}` : null };
+      });
+
+      res.json({
+        message: `Propuesta para ${events.length} culto(s).`,
+        plan: result.plan,
+        load,
+        warnings: result.warnings,
+        pools,
+        roles: catalog,
+      });
+    } catch (error) {
+      console.error('[ROLE PLAN ERROR]', error);
+      res.status(500).json({ message: 'Error al planificar roles.', error: error.message });
+    }
+  },
+
+  /**
+   * POST /api/events/role-plan/apply
+   *
+   * Aplica en bloque una propuesta (posiblemente editada por el usuario).
+   * Body: { assignments: [{ event_id, roles: { [service_role_id]: [member_id, ...] } }] }
+   * Solo se reemplazan los roles presentes en cada fila; los demás se conservan.
+   */
+  async applyRolePlan(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const { assignments } = req.body;
+      if (!Array.isArray(assignments) || assignments.length === 0) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'Debe proporcionar al menos una asignación.' });
+      }
+
+      const where = {
+        id: { [Op.in]: toIdList(assignments.map((a) => a.event_id)) },
+        event_type: 'Culto',
+      };
+      applyTenantFilter(where, req.user);
+      const events = await Event.findAll({
+        where,
+        include: [{ model: EventRoleAssignment, as: 'role_assignments', required: false }],
+        transaction,
+      });
+      const eventMap = new Map(events.map((e) => [e.id, e]));
+
+      let updated = 0;
+      const skipped = [];
+      const warnings = [];
+      const timeZones = new Map(); // church_id → zona horaria
+
+      for (const assignment of assignments) {
+        const event = eventMap.get(parseInt(assignment.event_id, 10));
+        if (!event) {
+          skipped.push({ event_id: assignment.event_id, reason: 'Culto no encontrado' });
+          continue;
+        }
+
+        const roleIds = toIdList(Object.keys(assignment.roles || {}));
+        if (roleIds.length === 0) continue;
+
+        const rows = [];
+        roleIds.forEach((roleId) => {
+          toIdList(assignment.roles[roleId]).forEach((memberId) => {
+            rows.push({ service_role_id: roleId, member_id: memberId });
+          });
+        });
+        const changes = normalizeRoleAssignments(rows);
+
+        // Roles y miembros deben pertenecer a la iglesia del culto
+        const invalid = await validateRoleAssignments(changes, event.church_id, { transaction });
+        if (invalid) {
+          skipped.push({ event_id: event.id, reason: invalid });
+          continue;
+        }
+
+        // Las fechas bloqueadas también se respetan al aplicar ajustes manuales
+        if (!timeZones.has(event.church_id)) {
+          timeZones.set(event.church_id, await churchTimezone(event.church_id, transaction));
+        }
+        const availability = await checkCultoRoles(changes, [event.start_date], {
+          previous: event.role_assignments,
+          excludeEventIds: [event.id],
+          transaction,
+          timeZone: timeZones.get(event.church_id),
+        });
+        if (availability.errors.length > 0) {
+          skipped.push({ event_id: event.id, reason: availability.errors.join(' ') });
+          continue;
+        }
+        availability.warnings.forEach((warning) => warnings.push(warning));
+
+        await replaceEventRoles(event.id, changes, { transaction, roleIds });
+        updated++;
+      }
+
+      await transaction.commit();
+
+      res.json({
+        message: `Roles aplicados a ${updated} culto(s).`,
+        updated,
+        skipped,
+        warnings,
+      });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      console.error('[ROLE PLAN APPLY ERROR]', error);
+      res.status(500).json({ message: 'Error al aplicar el plan de roles.', error: error.message });
+    }
+  },
+
   // =========== ASISTENTES ===========
 
   /**
@@ -254,7 +1160,7 @@ const eventController = {
    * GET /api/events/calendar-pdf?year=2026&month=3
    * 
    * Genera PDF con calendario mensual.
-   * MEJORA: Incluye roles de culto (P, D, C) para eventos tipo Culto.
+   * MEJORA: Incluye roles de culto (abreviatura del catálogo) para eventos tipo Culto.
    */
   async generateCalendar(req, res) {
     try {
@@ -267,9 +1173,11 @@ const eventController = {
         });
       }
 
-      // Rango del mes
-      const startDate = new Date(year, month - 1, 1);
-      const endDate = new Date(year, month, 0, 23, 59, 59);
+      // Iglesia: nombre y zona horaria (define los días del calendario)
+      const { churchName, timeZone } = await getCalendarChurch(req.user);
+
+      // Rango del mes en la zona horaria de la iglesia
+      const [startDate, endDate] = monthRange(year, month, timeZone);
 
       // Buscar eventos que SOLAPAN el mes
       const where = {
@@ -296,22 +1204,14 @@ const eventController = {
         where,
         include: [
           // Incluir roles de culto para mostrar P:/D:/C: en el PDF
-          ...CULTO_ROLE_INCLUDES,
+          ROLE_ASSIGNMENTS_INCLUDE,
         ],
         order: [['start_date', 'ASC']],
         attributes: [
-          'id', 'title', 'event_type', 'start_date', 'end_date', 'location',
-          'preacher_id', 'worship_leader_id', 'singer_id',
+          'id', 'title', 'event_type', 'start_date', 'end_date', 'location', 'series_id',
         ],
       });
 
-      // Obtener nombre de la iglesia
-      let churchName = 'Gestión Cristiana TMDV';
-      if (req.user.church_id) {
-        const church = await Church.findByPk(req.user.church_id, { attributes: ['name'] });
-        if (church) churchName = church.name;
-      }
-
       const monthNames = [
         'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
         'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre',
@@ -323,31 +1223,35 @@ const eventController = {
 
       /**
        * Convertir a JSON plano incluyendo los roles de culto.
-       * El generador PDF necesita: preacher, worship_leader, singer como objetos
-       * con {first_name, last_name} para imprimir P:/D:/C:.
+       * El generador PDF necesita culto_roles: [{ prefix, name }] con nombres
+       * cortos (ej: "P: Moisés", "U: Ana, Luis") en el orden del catálogo.
        */
+      const legend = new Map();
       const eventsJson = events.map((e) => {
         const json = e.toJSON();
+        const groups = groupAssignmentsByRole(json.role_assignments);
+        groups.forEach(({ role }) => legend.set(role.id, role));
         return {
           ...json,
-          // Nombres cortos para el PDF (ej: "Moisés", "Xenia")
-          preacher_name: json.preacher
-            ? `${json.preacher.first_name}`
-            : null,
-          worship_leader_name: json.worship_leader
-            ? `${json.worship_leader.first_name}`
-            : null,
-          singer_name: json.singer
-            ? `${json.singer.first_name}`
-            : null,
+          culto_roles: groups.map(({ role, members }) => ({
+            prefix: role.abbreviation,
+            name: members.map((m) => m.first_name).join(', '),
+          })),
         };
       });
 
+      // Leyenda: solo los roles que aparecen en el mes
+      const roleLegend = [...legend.values()]
+        .sort((x, y) => (x.sort_order - y.sort_order) || (x.id - y.id))
+        .map((role) => ({ abbreviation: role.abbreviation, name: role.name }));
+
       const pdfDoc = generateCalendarPdf({
         year,
         month,
         churchName,
         events: eventsJson,
+        roleLegend,
+        timeZone,
       });
 
       pdfDoc.pipe(res);
@@ -377,9 +1281,11 @@ const eventController = {
         });
       }
 
-      // Rango del año completo
-      const startDate = new Date(year, 0, 1);       // 1 de Enero
-      const endDate = new Date(year, 11, 31, 23, 59, 59); // 31 de Diciembre
+      const { churchName, timeZone } = await getCalendarChurch(req.user);
+
+      // Rango del año completo (1 de Enero a 31 de Diciembre, hora de la iglesia)
+      const startDate = zonedTimeToUtc(`${year}-01-01`, '00:00', timeZone);
+      const endDate = new Date(zonedTimeToUtc(`${year + 1}-01-01`, '00:00', timeZone).getTime() - 1);
 
       // Buscar SOLO eventos tipo "Ventas" del año
       const where = {
@@ -396,13 +1302,6 @@ const eventController = {
         attributes: ['id', 'title', 'event_type', 'start_date'],
       });
 
-      // Obtener nombre de la iglesia
-      let churchName = 'Gestión Cristiana TMDV';
-      if (req.user.church_id) {
-        const church = await Church.findByPk(req.user.church_id, { attributes: ['name'] });
-        if (church) churchName = church.name;
-      }
-
       const fileName = `Calendario_Ventas_${year}.pdf`;
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
@@ -411,6 +1310,7 @@ const eventController = {
         year,
         churchName,
         events: events.map((e) => e.toJSON()),
+        timeZone,
       });
 
       pdfDoc.pipe(res);
@@ -0,0 +1,226 @@
+/**
+ * householdController.js - Hogares (familias) de la iglesia
+ *
+ * Un hogar agrupa miembros con su parentesco (jefe de hogar, cónyuge,
+ * hijo/a, otro) y guarda la dirección y el teléfono compartidos.
+ * Admin/Secretaría/Líder: CRUD de su iglesia. SuperAdmin: cualquier iglesia.
+ * Reglas y herencia de datos: utils/households.js
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Household, Member, Church } = require('../models');
+const { isSuperAdmin } = require('../middleware/auth');
+const {
+  RELATIONSHIPS, MEMBER_ATTRIBUTES, sortHouseholdMembers, syncHouseholdContact,
+  detachHouseholdMembers, validateHouseholdMembers, setHouseholdMembers,
+} = require('../utils/households');
+
+const MEMBERS_INCLUDE = { model: Member, as: 'members', attributes: MEMBER_ATTRIBUTES };
+
+/** Hogar con sus miembros ordenados (jefe, cónyuge, otros, hijos) */
+function serializeHousehold(household) {
+  const json = household.toJSON();
+  json.members = sortHouseholdMembers(json.members || []);
+  return json;
+}
+
+async function loadHousehold(id, transaction) {
+  return Household.findByPk(id, {
+    include: [MEMBERS_INCLUDE, { model: Church, as: 'church', attributes: ['id', 'name'] }],
+    transaction,
+  });
+}
+
+function householdFields(body) {
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  return {
+    name: text(body.name),
+    address: text(body.address),
+    phone: text(body.phone),
+    notes: text(body.notes),
+  };
+}
+
+const householdController = {
+  // GET /api/households?church_id=X&search=Y&page=1&limit=20
+  async getAll(req, res) {
+    try {
+      const { church_id, search, page = 1, limit = 20 } = req.query;
+      const where = {};
+
+      if (isSuperAdmin(req.user)) {
+        if (church_id) where.church_id = church_id;
+      } else {
+        where.church_id = req.user.church_id;
+      }
+      if (search) {
+        where[Op.or] = [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { address: { [Op.iLike]: `%${search}%` } },
+        ];
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+      const { rows, count: total } = await Household.findAndCountAll({
+        where,
+        include: [MEMBERS_INCLUDE],
+        order: [['name', 'ASC']],
+        limit: parseInt(limit),
+        offset,
+        distinct: true,
+      });
+
+      res.json({
+        households: rows.map(serializeHousehold),
+        relationships: RELATIONSHIPS,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener hogares.', error: error.message });
+    }
+  },
+
+  // GET /api/households/:id
+  async getById(req, res) {
+    try {
+      const household = await loadHousehold(req.params.id);
+      if (!household) {
+        return res.status(404).json({ message: 'Hogar no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && household.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este hogar.' });
+      }
+
+      res.json({ household: serializeHousehold(household), relationships: RELATIONSHIPS });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener hogar.', error: error.message });
+    }
+  },
+
+  /**
+   * POST /api/households
+   * Body: { name, address, phone, notes, church_id (SuperAdmin),
+   *         members: [{ member_id, relationship, inherit_household_address, inherit_household_phone }] }
+   */
+  async create(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const fields = householdFields(req.body);
+      if (!fields.name) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'El nombre del hogar es requerido.' });
+      }
+
+      const churchId = isSuperAdmin(req.user)
+        ? (req.body.church_id || req.user.church_id)
+        : req.user.church_id;
+      if (!churchId) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+
+      const household = await Household.create({ ...fields, church_id: churchId }, { transaction });
+
+      if (req.body.members !== undefined) {
+        const { rows, errors } = await validateHouseholdMembers(household, req.body.members);
+        if (errors.length) {
+          await transaction.rollback();
+          return res.status(400).json({ message: errors[0], errors });
+        }
+        await setHouseholdMembers(household, rows, transaction);
+      }
+
+      await transaction.commit();
+
+      const created = await loadHousehold(household.id);
+      res.status(201).json({ message: 'Hogar creado exitosamente.', household: serializeHousehold(created) });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      res.status(500).json({ message: 'Error al crear hogar.', error: error.message });
+    }
+  },
+
+  /**
+   * PUT /api/households/:id
+   * Actualiza los datos del hogar; la dirección y el teléfono se copian a los
+   * miembros que los heredan. Con `members`, reemplaza la lista (REPLACE).
+   */
+  async update(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const household = await Household.findByPk(req.params.id, { transaction });
+      if (!household) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Hogar no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && household.church_id !== req.user.church_id) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'No tienes acceso a este hogar.' });
+      }
+
+      const fields = householdFields({ ...household.toJSON(), ...req.body });
+      if (!fields.name) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'El nombre del hogar es requerido.' });
+      }
+
+      await household.update(fields, { transaction });
+
+      if (req.body.members !== undefined) {
+        const { rows, errors } = await validateHouseholdMembers(household, req.body.members);
+        if (errors.length) {
+          await transaction.rollback();
+          return res.status(400).json({ message: errors[0], errors });
+        }
+        await setHouseholdMembers(household, rows, transaction);
+      }
+      await syncHouseholdContact(household, transaction);
+
+      await transaction.commit();
+
+      const updated = await loadHousehold(household.id);
+      res.json({ message: 'Hogar actualizado exitosamente.', household: serializeHousehold(updated) });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      res.status(500).json({ message: 'Error al actualizar hogar.', error: error.message });
+    }
+  },
+
+  /**
+   * DELETE /api/households/:id
+   * Los miembros no se eliminan: salen del hogar conservando su dirección y teléfono.
+   */
+  async delete(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const household = await Household.findByPk(req.params.id, { transaction });
+      if (!household) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Hogar no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && household.church_id !== req.user.church_id) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'No tienes acceso a este hogar.' });
+      }
+
+      await detachHouseholdMembers(household.id, transaction);
+      await household.destroy({ transaction });
+      await transaction.commit();
+
+      res.json({ message: 'Hogar eliminado exitosamente.' });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      res.status(500).json({ message: 'Error al eliminar hogar.', error: error.message });
+    }
+  },
+};
+
+module.exports = householdController;
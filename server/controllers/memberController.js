@@ -1,7 +1,23 @@
-const { Member, Church, MinisterialPosition } = require('../models');
+const {
+  Member, Church, MinisterialPosition, MemberBlackout, MemberConsentEvent, User, Household, Baptism,
+} = require('../models');
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const { recalculateChurchRoleCounts, recalculateMembershipCount } = require('../utils/churchStats');
 const { isSuperAdmin, applyTenantFilter } = require('../middleware/auth');
+const { normalizeChannelList } = require('../utils/notificationChannels');
+const {
+  CONSENT_FIELDS, CONSENT_SOURCES, consentSummary, isConsentRequired, parseConsentInput, applyConsentChanges,
+} = require('../utils/consent');
+const { monthlyCelebrations } = require('../utils/greetingService');
+const { generateBirthdayPdf } = require('../utils/birthdayPdf');
+const { resolveTimezone, zonedParts } = require('../utils/timezone');
+const { checkHouseholdAssignment, applyHouseholdContact } = require('../utils/households');
+const {
+  TIMELINE_EVENTS, MEMBER_STATUSES, isValidDateKey, timelineSnapshot, churchToday, recordTimeline, getTimeline,
+  growthReport,
+} = require('../utils/memberTimeline');
+const { moveToTrash } = require('../utils/trash');
 
 /**
  * Sanitiza campos opcionales del formulario de miembro.
@@ -21,8 +37,8 @@ function sanitizeMemberData(data) {
 
   // Campos que deben ser null si vienen como string vacío
   const nullableFields = [
-    'age', 'sex', 'birth_date', 'phone', 'email', 'address',
-    'church_role', 'position_id', 'photo_url',
+    'age', 'sex', 'birth_date', 'baptism_date', 'wedding_date', 'phone', 'email', 'address',
+    'church_role', 'position_id', 'photo_url', 'household_id', 'household_relationship',
   ];
 
   nullableFields.forEach((field) => {
@@ -37,12 +53,30 @@ function sanitizeMemberData(data) {
     sanitized.age = isNaN(parsed) ? null : parsed;
   }
 
-  // position_id: convertir a entero si viene como string numérico
-  if (sanitized.position_id !== null && sanitized.position_id !== undefined) {
-    const parsed = parseInt(sanitized.position_id, 10);
-    sanitized.position_id = isNaN(parsed) ? null : parsed;
+  // Consentimiento: solo vía body.consent (applyConsentChanges deja el historial)
+  CONSENT_FIELDS.forEach((field) => { delete sanitized[field]; });
+
+  // Estado: solo vía PUT /:id/status (queda en la historia del miembro)
+  delete sanitized.status;
+  delete sanitized.status_date;
+
+  // notification_channels: solo canales conocidos, sin repetir, en orden
+  if ('notification_channels' in sanitized) {
+    sanitized.notification_channels = normalizeChannelList(sanitized.notification_channels);
   }
 
+  // position_id / household_id: convertir a entero si vienen como string numérico
+  ['position_id', 'household_id'].forEach((field) => {
+    if (sanitized[field] !== null && sanitized[field] !== undefined) {
+      const parsed = parseInt(sanitized[field], 10);
+      sanitized[field] = isNaN(parsed) ? null : parsed;
+    }
+  });
+
+  // Herencia de dirección / teléfono del hogar (ver utils/households.js)
+  sanitized.inherit_household_address = !!sanitized.inherit_household_address;
+  sanitized.inherit_household_phone = !!sanitized.inherit_household_phone;
+
   return sanitized;
 }
 
@@ -78,17 +112,64 @@ async function syncChurchRoleFromPosition(data) {
   return data;
 }
 
+/**
+ * Iglesia de un listado o reporte: la del usuario (SuperAdmin puede indicar church_id).
+ * @returns {Object|null} Church o null (respuesta ya enviada)
+ */
+async function resolveQueryChurch(req, res) {
+  const churchId = isSuperAdmin(req.user) && req.query.church_id
+    ? parseInt(req.query.church_id, 10)
+    : req.user.church_id;
+  if (!churchId) {
+    res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+    return null;
+  }
+
+  const church = await Church.findByPk(churchId, { attributes: ['id', 'name', 'timezone'] });
+  if (!church) {
+    res.status(404).json({ message: 'Iglesia no encontrada.' });
+    return null;
+  }
+  return church;
+}
+
+/**
+ * Iglesia y mes del listado de cumpleaños (SuperAdmin puede indicar church_id).
+ * Sin year/month: el mes actual en la zona horaria de la iglesia.
+ * @returns {Object|null} { church, timeZone, year, month } o null (respuesta ya enviada)
+ */
+async function resolveCelebrationsMonth(req, res) {
+  const church = await resolveQueryChurch(req, res);
+  if (!church) return null;
+
+  const timeZone = resolveTimezone(church.timezone);
+  const today = zonedParts(new Date(), timeZone);
+  const year = req.query.year ? parseInt(req.query.year, 10) : today.year;
+  const month = req.query.month ? parseInt(req.query.month, 10) : today.month;
+  if (!year || !month || month < 1 || month > 12) {
+    res.status(400).json({ message: 'Parámetros inválidos. Se requiere year (ej: 2026) y month (1-12).' });
+    return null;
+  }
+  return {
+    church, timeZone, year, month,
+  };
+}
+
 const memberController = {
   // GET /api/members?church_id=X&search=Y&member_type=Z&church_role=W
   async getAll(req, res) {
     try {
-      const { church_id, member_type, church_role, position_id, baptized, search, page = 1, limit = 20 } = req.query;
+      const {
+        church_id, member_type, church_role, position_id, household_id, status, baptized, search, page = 1, limit = 20,
+      } = req.query;
 
       const where = {};
       if (church_id) where.church_id = church_id;
       if (member_type) where.member_type = member_type;
       if (church_role) where.church_role = church_role;
       if (position_id) where.position_id = position_id;
+      if (household_id) where.household_id = household_id;
+      if (status) where.status = status;
       if (baptized !== undefined) where.baptized = baptized === 'true';
       if (search) {
         where[Op.or] = [
@@ -108,6 +189,8 @@ const memberController = {
         include: [
           { model: Church, as: 'church', attributes: ['id', 'name'] },
           { model: MinisterialPosition, as: 'position', attributes: ['id', 'name'] },
+          { model: Household, as: 'household', attributes: ['id', 'name'] },
+          { model: Baptism, as: 'baptism', attributes: ['id', 'certificate_number'] },
         ],
         order: [['last_name', 'ASC'], ['first_name', 'ASC']],
         limit: parseInt(limit),
@@ -135,6 +218,12 @@ const memberController = {
         include: [
           { model: Church, as: 'church', attributes: ['id', 'name'] },
           { model: MinisterialPosition, as: 'position', attributes: ['id', 'name'] },
+          { model: Household, as: 'household', attributes: ['id', 'name', 'address', 'phone'] },
+          {
+            model: Baptism,
+            as: 'baptism',
+            attributes: ['id', 'baptism_date', 'officiant', 'place', 'witnesses', 'certificate_number'],
+          },
         ],
       });
 
@@ -154,14 +243,19 @@ const memberController = {
    * 
    * Flujo:
    * 1. Sanitizar datos ('' → null para campos opcionales)
-   * 2. Si tiene position_id, auto-sincronizar church_role con el nombre del cargo
-   * 3. Crear el miembro
+   * 2. Si tiene position_id, auto-sincronizar church_role con el nombre del cargo;
+   *    si tiene hogar, validarlo y copiar la dirección / teléfono heredados
+   * 3. Crear el miembro (y su alta en la historia)
    * 4. Recalcular estadísticas: membership_count + cargos ministeriales
    */
   async create(req, res) {
     try {
       // Paso 1: Sanitizar campos vacíos → null
       let data = sanitizeMemberData(req.body);
+      const consent = parseConsentInput(req.body);
+      if (consent.errors.length) {
+        return res.status(400).json({ message: consent.errors[0] });
+      }
 
       // Asignar church_id del usuario si no viene explícito
       data.church_id = data.church_id || req.user.church_id;
@@ -171,6 +265,14 @@ const memberController = {
       // del cargo a church_role para que las estadísticas funcionen.
       data = await syncChurchRoleFromPosition(data);
 
+      const assignment = await checkHouseholdAssignment({
+        householdId: data.household_id, relationship: data.household_relationship, churchId: data.church_id,
+      });
+      if (assignment.error) {
+        return res.status(400).json({ message: assignment.error });
+      }
+      data = applyHouseholdContact(data, assignment.household);
+
       // Paso 3: Crear el miembro
       const member = await Member.create({
         church_id: data.church_id,
@@ -179,6 +281,8 @@ const memberController = {
         age: data.age,
         sex: data.sex,
         birth_date: data.birth_date,
+        baptism_date: data.baptism_date,
+        wedding_date: data.wedding_date,
         baptized: data.baptized,
         member_type: data.member_type,
         church_role: data.church_role,
@@ -186,8 +290,22 @@ const memberController = {
         phone: data.phone,
         email: data.email,
         address: data.address,
+        household_id: data.household_id,
+        household_relationship: data.household_relationship,
+        inherit_household_address: data.inherit_household_address,
+        inherit_household_phone: data.inherit_household_phone,
+        notification_channels: data.notification_channels || [],
+        announcements_opt_out: !!data.announcements_opt_out,
+      });
+
+      // Consentimiento de contacto inicial (queda en el historial)
+      await applyConsentChanges(member, consent.changes, {
+        source: consent.source, note: consent.note, userId: req.user.id,
       });
 
+      // Historia: alta (+ bautismo y cargo si ya los tiene)
+      await recordTimeline(null, member, { userId: req.user.id });
+
       // Paso 4: Recalcular estadísticas de la iglesia
       try {
         const church = await Church.findByPk(member.church_id);
@@ -215,7 +333,8 @@ const memberController = {
    * Flujo:
    * 1. Sanitizar datos
    * 2. Si cambió position_id, auto-sincronizar church_role
-   * 3. Actualizar el miembro
+   * 3. Actualizar el miembro y registrar en su historia los cambios de
+   *    tipo, bautismo, cargo e iglesia (change_date / change_note opcionales)
    * 4. Si cambió cargo o iglesia, recalcular estadísticas
    */
   async update(req, res) {
@@ -229,9 +348,18 @@ const memberController = {
       const prevChurchId = member.church_id;
       const prevRole = member.church_role;
       const prevPositionId = member.position_id;
+      const before = timelineSnapshot(member);
+
+      if (req.body.change_date && !isValidDateKey(req.body.change_date)) {
+        return res.status(400).json({ message: 'Fecha del cambio inválida (use YYYY-MM-DD).' });
+      }
 
       // Paso 1: Sanitizar campos vacíos → null
       let data = sanitizeMemberData(req.body);
+      const consent = parseConsentInput(req.body);
+      if (consent.errors.length) {
+        return res.status(400).json({ message: consent.errors[0] });
+      }
 
       // Paso 2: Auto-sincronizar church_role desde position_id si cambió
       // Solo sincronizar si el position_id viene en el body (fue enviado por el frontend)
@@ -239,8 +367,32 @@ const memberController = {
         data = await syncChurchRoleFromPosition(data);
       }
 
-      // Paso 3: Actualizar el miembro
+      // Con registro de bautismo, baptized / baptism_date salen del registro (PUT /api/baptisms/:id)
+      if (await Baptism.count({ where: { member_id: member.id } })) {
+        delete data.baptized;
+        delete data.baptism_date;
+      }
+
+      // Hogar: validar parentesco / iglesia y copiar dirección y teléfono heredados
+      const assignment = await checkHouseholdAssignment({
+        householdId: data.household_id,
+        relationship: data.household_relationship,
+        churchId: data.church_id || member.church_id,
+        memberId: member.id,
+      });
+      if (assignment.error) {
+        return res.status(400).json({ message: assignment.error });
+      }
+      data = applyHouseholdContact(data, assignment.household);
+
+      // Paso 3: Actualizar el miembro (y el consentimiento, con historial)
       await member.update(data);
+      await applyConsentChanges(member, consent.changes, {
+        source: consent.source, note: consent.note, userId: req.user.id,
+      });
+      await recordTimeline(before, member, {
+        userId: req.user.id, date: req.body.change_date, note: req.body.change_note,
+      });
 
       // Paso 4: Recalcular estadísticas si cambió cargo o iglesia
       const roleChanged = prevRole !== member.church_role;
@@ -276,7 +428,9 @@ const memberController = {
 
   /**
    * DELETE /api/members/:id
-   * Recalcula membership_count y cargos ministeriales después de eliminar.
+   * Envía el miembro a la Papelera (paranoid): se conservan su bautismo,
+   * fechas bloqueadas, asistencias e historia para poder restaurarlo
+   * (ver utils/trash.js). Recalcula membership_count y cargos ministeriales.
    */
   async delete(req, res) {
     try {
@@ -284,12 +438,15 @@ const memberController = {
       if (!member) {
         return res.status(404).json({ message: 'Miembro no encontrado.' });
       }
+      if (!isSuperAdmin(req.user) && member.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este miembro.' });
+      }
 
       const churchId = member.church_id;
       // Detectar si tenía cargo (por cualquiera de los dos sistemas)
       const hadRole = !!member.church_role || !!member.position_id;
 
-      await member.destroy();
+      await moveToTrash(Member, [member.id], { userId: req.user.id });
 
       if (churchId) {
         try {
@@ -303,11 +460,295 @@ const memberController = {
         }
       }
 
-      res.json({ message: 'Miembro eliminado exitosamente.' });
+      res.json({ message: 'Miembro enviado a la papelera.' });
     } catch (error) {
       res.status(500).json({ message: 'Error al eliminar miembro.', error: error.message });
     }
   },
+
+  // =========== CUMPLEAÑOS DEL MES ===========
+
+  /**
+   * GET /api/members/birthdays?year=2026&month=10
+   * Cumpleaños y aniversarios (bautismo, boda) del mes, ordenados por día.
+   * Los saludos automáticos los envía el scheduler (utils/greetingService.js).
+   */
+  async getBirthdays(req, res) {
+    try {
+      const target = await resolveCelebrationsMonth(req, res);
+      if (!target) return;
+
+      const { church, year, month } = target;
+      const { birthdays, anniversaries } = await monthlyCelebrations(church.id, year, month);
+      res.json({
+        church_id: church.id, year, month, birthdays, anniversaries,
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener cumpleaños.', error: error.message });
+    }
+  },
+
+  /**
+   * GET /api/members/birthdays/pdf?year=2026&month=10
+   * Lista imprimible de cumpleaños y aniversarios del mes.
+   */
+  async getBirthdaysPdf(req, res) {
+    try {
+      const target = await resolveCelebrationsMonth(req, res);
+      if (!target) return;
+
+      const {
+        church, timeZone, year, month,
+      } = target;
+      const { birthdays, anniversaries } = await monthlyCelebrations(church.id, year, month);
+
+      const monthNames = [
+        'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+        'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre',
+      ];
+      const fileName = `Cumpleanos_${monthNames[month - 1]}_${year}.pdf`;
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+      const pdfDoc = generateBirthdayPdf({
+        year, month, churchName: church.name, birthdays, anniversaries, timeZone,
+      });
+      pdfDoc.pipe(res);
+    } catch (error) {
+      console.error('[BIRTHDAY PDF ERROR]', error);
+      res.status(500).json({ message: 'Error al generar lista de cumpleaños PDF.', error: error.message });
+    }
+  },
+
+  // =========== CONSENTIMIENTO DE CONTACTO ===========
+
+  /**
+   * GET /api/members/:id/consent
+   * Estado actual por canal + historial de cambios (más recientes primero).
+   * Los cambios se envían en PUT /api/members/:id (body.consent).
+   */
+  async getConsent(req, res) {
+    try {
+      const member = await Member.findByPk(req.params.id, {
+        attributes: ['id', 'church_id', 'first_name', 'last_name', ...CONSENT_FIELDS],
+      });
+      if (!member) {
+        return res.status(404).json({ message: 'Miembro no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && member.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este miembro.' });
+      }
+
+      const history = await MemberConsentEvent.findAll({
+        where: { member_id: member.id },
+        include: [{ model: User, as: 'recorder', attributes: ['id', 'full_name'] }],
+        order: [['id', 'DESC']],
+      });
+
+      res.json({
+        consent: consentSummary(member),
+        consent_required: isConsentRequired(),
+        sources: CONSENT_SOURCES,
+        history,
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener consentimiento.', error: error.message });
+    }
+  },
+
+  // =========== HISTORIA Y ESTADO DEL MIEMBRO ===========
+
+  /**
+   * GET /api/members/:id/timeline
+   * Hitos del miembro (alta, tipo, bautismo, cargo, traslados, estado), del más reciente al más antiguo.
+   */
+  async getTimeline(req, res) {
+    try {
+      const member = await Member.findByPk(req.params.id, {
+        attributes: ['id', 'church_id', 'first_name', 'last_name', 'status', 'status_date'],
+      });
+      if (!member) {
+        return res.status(404).json({ message: 'Miembro no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && member.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este miembro.' });
+      }
+
+      const events = await getTimeline(member.id);
+      res.json({ events, event_types: TIMELINE_EVENTS, statuses: MEMBER_STATUSES });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener la historia del miembro.', error: error.message });
+    }
+  },
+
+  /**
+   * PUT /api/members/:id/status
+   * Body: { status: 'active' | 'inactive' | 'deceased', date?: 'YYYY-MM-DD', note? }
+   * Inactivar, reactivar o registrar el fallecimiento. Queda en la historia
+   * y se recalcula la membresía (solo cuenta activos).
+   */
+  async updateStatus(req, res) {
+    try {
+      const member = await Member.findByPk(req.params.id);
+      if (!member) {
+        return res.status(404).json({ message: 'Miembro no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && member.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este miembro.' });
+      }
+
+      const { status, date, note } = req.body;
+      if (!MEMBER_STATUSES[status]) {
+        return res.status(400).json({ message: 'Estado inválido. Use: active, inactive o deceased.' });
+      }
+      if (date && !isValidDateKey(date)) {
+        return res.status(400).json({ message: 'Fecha inválida (use YYYY-MM-DD).' });
+      }
+      if (status === member.status) {
+        return res.status(400).json({ message: `El miembro ya está ${MEMBER_STATUSES[status].toLowerCase()}.` });
+      }
+
+      const before = timelineSnapshot(member);
+      const statusDate = date || await churchToday(member.church_id);
+      await member.update({ status, status_date: statusDate });
+      await recordTimeline(before, member, { userId: req.user.id, date: statusDate, note });
+
+      try {
+        const church = await Church.findByPk(member.church_id);
+        if (church) {
+          await recalculateMembershipCount(church);
+          if (member.church_role || member.position_id) await recalculateChurchRoleCounts(church);
+        }
+      } catch (statsErr) {
+        console.error('[STATS] Error recalculando stats:', statsErr.message);
+      }
+
+      res.json({ message: `Estado actualizado: ${MEMBER_STATUSES[status]}.`, member });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al actualizar el estado del miembro.', error: error.message });
+    }
+  },
+
+  /**
+   * GET /api/members/reports/growth?year=2026
+   * Crecimiento de la iglesia por mes: altas, nuevos miembros, bautismos,
+   * traslados, inactivaciones y fallecimientos (ver utils/memberTimeline.js).
+   */
+  async getGrowthReport(req, res) {
+    try {
+      const church = await resolveQueryChurch(req, res);
+      if (!church) return;
+
+      const year = req.query.year
+        ? parseInt(req.query.year, 10)
+        : Number((await churchToday(church.id)).slice(0, 4));
+      if (!year || year < 1900 || year > 3000) {
+        return res.status(400).json({ message: 'Parámetro year inválido (ej: 2026).' });
+      }
+
+      const report = await growthReport(church.id, year);
+      res.json({ church_id: church.id, church_name: church.name, ...report });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al generar el reporte de crecimiento.', error: error.message });
+    }
+  },
+
+  // =========== DISPONIBILIDAD PARA ROLES DE CULTO ===========
+
+  /**
+   * GET /api/members/:id/availability
+   * Días preferidos, tope mensual y fechas bloqueadas del miembro.
+   */
+  async getAvailability(req, res) {
+    try {
+      const member = await Member.findByPk(req.params.id, {
+        attributes: ['id', 'church_id', 'first_name', 'last_name', 'preferred_weekdays', 'max_assignments_per_month'],
+        include: [{ model: MemberBlackout, as: 'blackouts' }],
+        order: [[{ model: MemberBlackout, as: 'blackouts' }, 'start_date', 'ASC']],
+      });
+      if (!member) {
+        return res.status(404).json({ message: 'Miembro no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && member.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este miembro.' });
+      }
+
+      res.json({
+        preferred_weekdays: member.preferred_weekdays || [],
+        max_assignments_per_month: member.max_assignments_per_month,
+        blackouts: member.blackouts,
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener disponibilidad.', error: error.message });
+    }
+  },
+
+  /**
+   * PUT /api/members/:id/availability
+   * Body: { preferred_weekdays: [0, 3], max_assignments_per_month: 2,
+   *         blackouts: [{ start_date, end_date, reason }] }
+   *
+   * REPLACE strategy para las fechas bloqueadas (borra + inserta en transacción).
+   */
+  async updateAvailability(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const member = await Member.findByPk(req.params.id, { transaction });
+      if (!member) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Miembro no encontrado.' });
+      }
+      if (!isSuperAdmin(req.user) && member.church_id !== req.user.church_id) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'No tienes acceso a este miembro.' });
+      }
+
+      const { preferred_weekdays = [], max_assignments_per_month, blackouts = [] } = req.body;
+
+      const weekdays = Array.isArray(preferred_weekdays)
+        ? [...new Set(preferred_weekdays.map((d) => parseInt(d, 10)).filter((d) => d >= 0 && d <= 6))].sort()
+        : [];
+      const max = parseInt(max_assignments_per_month, 10);
+
+      const records = [];
+      for (const b of Array.isArray(blackouts) ? blackouts : []) {
+        if (!b.start_date) continue;
+        const endDate = b.end_date || b.start_date;
+        if (endDate < b.start_date) {
+          await transaction.rollback();
+          return res.status(400).json({ message: `Rango inválido: ${b.start_date} → ${endDate}.` });
+        }
+        records.push({
+          church_id: member.church_id,
+          member_id: member.id,
+          start_date: b.start_date,
+          end_date: endDate,
+          reason: b.reason || null,
+        });
+      }
+
+      await member.update({
+        preferred_weekdays: weekdays,
+        max_assignments_per_month: isNaN(max) || max < 1 ? null : max,
+      }, { transaction });
+
+      await MemberBlackout.destroy({ where: { member_id: member.id }, transaction });
+      if (records.length > 0) await MemberBlackout.bulkCreate(records, { transaction });
+
+      await transaction.commit();
+
+      res.json({
+        message: 'Disponibilidad actualizada exitosamente.',
+        preferred_weekdays: member.preferred_weekdays,
+        max_assignments_per_month: member.max_assignments_per_month,
+        blackouts: records.length,
+      });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      res.status(500).json({ message: 'Error al actualizar disponibilidad.', error: error.message });
+    }
+  },
 };
 
 module.exports = memberController;
@@ -1,5 +1,6 @@
 const { Minute, MinuteAttendee, MinuteFile, Motion, MotionVoter, Member, Church, User } = require('../models');
 const { applyTenantFilter } = require('../middleware/auth');
+const { moveToTrash } = require('../utils/trash');
 const fs = require('fs');
 const path = require('path');
 
@@ -222,32 +223,19 @@ const minuteController = {
     }
   },
 
-  // DELETE /api/minutes/:id
+  /**
+   * DELETE /api/minutes/:id
+   * Envía el acta a la Papelera (paranoid). Sus archivos, asistentes y
+   * mociones se borran al eliminarla definitivamente (ver utils/trash.js).
+   */
   async delete(req, res) {
     try {
       const minute = await Minute.findByPk(req.params.id);
       if (!minute) return res.status(404).json({ message: 'Acta no encontrada.' });
 
-      // Eliminar archivos físicos
-      const files = await MinuteFile.findAll({ where: { minute_id: minute.id } });
-      for (const file of files) {
-        const filePath = path.join(__dirname, '..', 'public', file.file_url);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      }
-
-      // Eliminar en cascada
-      await MinuteFile.destroy({ where: { minute_id: minute.id } });
-      const motions = await Motion.findAll({ where: { minute_id: minute.id } });
-      for (const motion of motions) {
-        await MotionVoter.destroy({ where: { motion_id: motion.id } });
-      }
-      await Motion.destroy({ where: { minute_id: minute.id } });
-      await MinuteAttendee.destroy({ where: { minute_id: minute.id } });
-      await minute.destroy();
+      await moveToTrash(Minute, [minute.id], { userId: req.user.id });
 
-      res.json({ message: 'Acta eliminada exitosamente.' });
+      res.json({ message: 'Acta enviada a la papelera.' });
     } catch (error) {
       res.status(500).json({ message: 'Error al eliminar acta.', error: error.message });
     }
@@ -1,83 +1,133 @@
 /**
- * notificationController.js - Controlador de notificaciones WhatsApp
+ * notificationController.js - Controlador de notificaciones (WhatsApp, correo, SMS)
  * 
  * Endpoints:
- * - GET  /api/notifications/status            → Estado de configuración WhatsApp
+ * - GET  /api/notifications/status            → Estado de configuración de los canales
  * - GET  /api/notifications/schedule          → Obtener horarios configurados
  * - PUT  /api/notifications/schedule          → Guardar horarios de notificación
  * - GET  /api/notifications/upcoming-cultos   → Cultos próximos con roles asignados
  * - POST /api/notifications/send-reminders    → Envío manual de recordatorios (todos)
  * - POST /api/notifications/send/:eventId     → Enviar recordatorio manual para un culto
+ * - PUT  /api/notifications/assignments/:id/reassign → Reasignar un rol (ej: el miembro declinó)
+ * - GET  /api/notifications/history           → Historial paginado de envíos (notification_logs)
+ * - POST /api/notifications/history/:id/retry → Reintentar un envío fallido
+ * 
+ * Plantillas de mensajes: ver notificationTemplateController.js
+ * Anuncios masivos: ver broadcastController.js
+ * Saludos de cumpleaños y aniversarios: ver utils/greetingService.js
  * 
  * Las notificaciones automáticas se disparan desde notificationScheduler.js
- * (cron job cada hora) según las horas configuradas por iglesia.
+ * (cron job cada 15 minutos) según las horas configuradas por iglesia,
+ * en la zona horaria de cada una (Church.timezone).
  */
 
-const { Event, Member, Church } = require('../models');
+const crypto = require('crypto');
+const {
+  Event, Church, EventRoleAssignment, ServiceRole, Member, NotificationLog, Broadcast,
+} = require('../models');
 const { Op } = require('sequelize');
-const { sendCultoReminders } = require('../utils/whatsappService');
-const { applyTenantFilter } = require('../middleware/auth');
+const { sendCultoReminders, sendAssignmentReminder } = require('../utils/notificationService');
+const { getChannelsStatus, anyChannelConfigured } = require('../utils/notificationChannels');
+const { applyTenantFilter, isSuperAdmin } = require('../middleware/auth');
+const { ROLE_ASSIGNMENTS_INCLUDE } = require('../utils/serviceRoles');
+const { retryBroadcastLog } = require('../utils/broadcastService');
+const { GREETING_KINDS, retryGreetingLog } = require('../utils/greetingService');
+const { checkRoleAssignments } = require('../utils/memberAvailability');
+const {
+  resolveTimezone, localDateKey, addDays, dayRange,
+} = require('../utils/timezone');
+
+/**
+ * Asignaciones de roles de culto. required: true → solo cultos con
+ * al menos un miembro asignado (si no, no hay a quién notificar).
+ */
+const ASSIGNED_ROLES_INCLUDE = { ...ROLE_ASSIGNMENTS_INCLUDE, required: true };
+
+/** Datos de la iglesia que usan los mensajes (nombre, zona horaria, código de país) */
+const CHURCH_INCLUDE = {
+  model: Church, as: 'church', attributes: ['id', 'name', 'timezone', 'default_country_code'],
+};
 
 /**
  * Busca cultos con roles asignados para una fecha específica
  * y envía recordatorios por WhatsApp a los miembros.
+ *
+ * El "día" se calcula en la zona horaria de cada iglesia (Church.timezone):
+ * el culto del domingo 20:00 en Bogotá es del domingo aunque en UTC ya sea lunes.
  * 
- * @param {Date} targetDate - Fecha del culto (se buscan cultos ese día)
+ * @param {string|null} dateKey - Fecha de los cultos 'YYYY-MM-DD'. null → hoy
+ *   ('today') o mañana ('reminder') según la fecha local de cada iglesia.
  * @param {string} type - 'reminder' (día anterior) o 'today' (mismo día)
  * @param {number|null} churchId - Filtrar por iglesia, null para todas
+ * @param {Object} options - { source: 'scheduler'|'manual', userId, runId, onlyUpcoming }
+ *   runId: lote del scheduler (notification_runs); al reintentar un lote no se
+ *          repiten los miembros que ya recibieron el mensaje.
+ *   onlyUpcoming: omitir cultos que ya comenzaron (envíos atrasados del scheduler).
  * @returns {Object} Resumen de envíos
  */
-async function processRemindersForDate(targetDate, type, churchId = null) {
-  // Rango del día: desde 00:00 hasta 23:59
-  const startOfDay = new Date(targetDate);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(targetDate);
-  endOfDay.setHours(23, 59, 59, 999);
-
-  const where = {
-    event_type: 'Culto',
-    start_date: { [Op.between]: [startOfDay, endOfDay] },
-    // Al menos uno de los roles debe estar asignado
-    [Op.or]: [
-      { preacher_id: { [Op.ne]: null } },
-      { worship_leader_id: { [Op.ne]: null } },
-      { singer_id: { [Op.ne]: null } },
-    ],
-  };
-
-  // Filtrar por iglesia si se especifica
-  if (churchId) {
-    where.church_id = churchId;
-  }
+async function processRemindersForDate(dateKey, type, churchId = null, options = {}) {
+  const { runId = null, onlyUpcoming = false, ...sendOptions } = options;
 
-  const cultos = await Event.findAll({
-    where,
-    include: [
-      { model: Member, as: 'preacher', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-      { model: Member, as: 'worship_leader', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-      { model: Member, as: 'singer', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-      { model: Church, as: 'church', attributes: ['id', 'name'] },
-    ],
+  const churches = await Church.findAll({
+    where: churchId ? { id: churchId } : {},
+    attributes: ['id', 'name', 'timezone'],
   });
 
-  console.log(`[NOTIFICATIONS] Encontrados ${cultos.length} cultos con roles para ${targetDate.toISOString().slice(0, 10)} (tipo: ${type})`);
+  const summary = { total_cultos: 0, total_sent: 0, total_failed: 0, total_skipped: 0, details: [] };
 
-  const summary = { total_cultos: cultos.length, total_sent: 0, total_failed: 0, total_skipped: 0, details: [] };
+  // Asignaciones ya notificadas en un intento anterior de este lote
+  let skipAssignmentIds = null;
+  if (runId) {
+    const alreadySent = await NotificationLog.findAll({
+      where: { notification_run_id: runId, status: { [Op.in]: ['sent', 'delivered', 'read'] } },
+      attributes: ['event_role_assignment_id'],
+    });
+    skipAssignmentIds = new Set(alreadySent.map((l) => l.event_role_assignment_id));
+  }
 
-  for (const culto of cultos) {
-    const churchName = culto.church?.name || 'Iglesia';
-    const result = await sendCultoReminders(culto, type, churchName);
+  const now = new Date();
+  for (const church of churches) {
+    const timeZone = resolveTimezone(church.timezone);
+    const cultoDate = dateKey || addDays(localDateKey(now, timeZone), type === 'reminder' ? 1 : 0);
 
-    summary.total_sent += result.sent;
-    summary.total_failed += result.failed;
-    summary.total_skipped += result.skipped;
-    summary.details.push({
-      event_id: culto.id,
-      title: culto.title,
-      date: culto.start_date,
-      church: churchName,
-      ...result,
+    // Rango del día en la zona horaria de la iglesia: desde 00:00 hasta 23:59
+    const [startOfDay, endOfDay] = dayRange(cultoDate, timeZone);
+    const from = onlyUpcoming && now > startOfDay ? now : startOfDay;
+
+    const cultos = await Event.findAll({
+      where: {
+        event_type: 'Culto',
+        church_id: church.id,
+        start_date: { [Op.between]: [from, endOfDay] },
+      },
+      include: [
+        // Al menos uno de los roles debe estar asignado
+        ASSIGNED_ROLES_INCLUDE,
+        CHURCH_INCLUDE,
+      ],
     });
+    if (cultos.length === 0) continue;
+
+    console.log(`[NOTIFICATIONS] ${church.name}: ${cultos.length} cultos con roles para ${cultoDate} (tipo: ${type})`);
+    summary.total_cultos += cultos.length;
+
+    for (const culto of cultos) {
+      const churchName = culto.church?.name || 'Iglesia';
+      const result = await sendCultoReminders(culto, type, churchName, {
+        ...sendOptions, runId, skipAssignmentIds,
+      });
+
+      summary.total_sent += result.sent;
+      summary.total_failed += result.failed;
+      summary.total_skipped += result.skipped;
+      summary.details.push({
+        event_id: culto.id,
+        title: culto.title,
+        date: culto.start_date,
+        church: churchName,
+        ...result,
+      });
+    }
   }
 
   return summary;
@@ -86,19 +136,23 @@ async function processRemindersForDate(targetDate, type, churchId = null) {
 const notificationController = {
   /**
    * GET /api/notifications/status
-   * Retorna el estado de la configuración de WhatsApp.
+   * Retorna el estado de la configuración de los canales (WhatsApp, correo, SMS).
    */
   async getStatus(req, res) {
     const token = process.env.WHATSAPP_TOKEN;
     const phoneId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const channels = getChannelsStatus();
+    const configured = channels.filter((c) => c.configured);
 
     res.json({
-      whatsapp_configured: !!(token && phoneId),
+      configured: anyChannelConfigured(),
+      channels,
+      whatsapp_configured: channels.find((c) => c.name === 'whatsapp').configured,
       has_token: !!token,
       has_phone_id: !!phoneId,
-      message: token && phoneId
-        ? 'WhatsApp configurado correctamente. Las notificaciones están activas.'
-        : 'WhatsApp NO configurado. Agregue WHATSAPP_TOKEN y WHATSAPP_PHONE_NUMBER_ID en las variables de entorno.',
+      message: configured.length
+        ? `Canales activos: ${configured.map((c) => c.label).join(', ')}. Las notificaciones están activas.`
+        : 'Ningún canal configurado. Configure WhatsApp (WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID), correo (SMTP_HOST) o SMS (SMS_GATEWAY_URL) en las variables de entorno.',
     });
   },
 
@@ -110,11 +164,13 @@ const notificationController = {
     try {
       const churchId = req.user.church_id;
       if (!churchId) {
-        return res.json({ notification_day_before_hour: null, notification_same_day_hour: null });
+        return res.json({
+          notification_day_before_hour: null, notification_same_day_hour: null, notification_greeting_hour: null,
+        });
       }
 
       const church = await Church.findByPk(churchId, {
-        attributes: ['id', 'name', 'notification_day_before_hour', 'notification_same_day_hour'],
+        attributes: ['id', 'name', 'notification_day_before_hour', 'notification_same_day_hour', 'notification_greeting_hour'],
       });
 
       if (!church) {
@@ -126,6 +182,7 @@ const notificationController = {
         church_name: church.name,
         notification_day_before_hour: church.notification_day_before_hour,
         notification_same_day_hour: church.notification_same_day_hour,
+        notification_greeting_hour: church.notification_greeting_hour,
       });
     } catch (error) {
       res.status(500).json({ message: 'Error al obtener horario.', error: error.message });
@@ -136,8 +193,9 @@ const notificationController = {
    * PUT /api/notifications/schedule
    * 
    * Guarda los horarios de notificación para la iglesia del usuario.
-   * Body: { notification_day_before_hour: 18, notification_same_day_hour: 7 }
-   * Usar null para desactivar una notificación.
+   * Body: { notification_day_before_hour: 18, notification_same_day_hour: 7, notification_greeting_hour: 8 }
+   * Usar null para desactivar una notificación. Si no se envía
+   * notification_greeting_hour, se mantiene la hora de saludos actual.
    */
   async saveSchedule(req, res) {
     try {
@@ -164,14 +222,18 @@ const notificationController = {
       await church.update({
         notification_day_before_hour: validateHour(notification_day_before_hour),
         notification_same_day_hour: validateHour(notification_same_day_hour),
+        ...('notification_greeting_hour' in req.body
+          ? { notification_greeting_hour: validateHour(req.body.notification_greeting_hour) }
+          : {}),
       });
 
-      console.log(`[NOTIFICATIONS] Horario actualizado para "${church.name}": día anterior=${church.notification_day_before_hour}h, mismo día=${church.notification_same_day_hour}h`);
+      console.log(`[NOTIFICATIONS] Horario actualizado para "${church.name}": día anterior=${church.notification_day_before_hour}h, mismo día=${church.notification_same_day_hour}h, saludos=${church.notification_greeting_hour}h`);
 
       res.json({
         message: 'Horario de notificaciones guardado exitosamente.',
         notification_day_before_hour: church.notification_day_before_hour,
         notification_same_day_hour: church.notification_same_day_hour,
+        notification_greeting_hour: church.notification_greeting_hour,
       });
     } catch (error) {
       res.status(500).json({ message: 'Error al guardar horario.', error: error.message });
@@ -193,12 +255,6 @@ const notificationController = {
       const where = {
         event_type: 'Culto',
         start_date: { [Op.between]: [now, inSevenDays] },
-        // Al menos uno de los roles debe estar asignado
-        [Op.or]: [
-          { preacher_id: { [Op.ne]: null } },
-          { worship_leader_id: { [Op.ne]: null } },
-          { singer_id: { [Op.ne]: null } },
-        ],
       };
 
       // Tenant filtering
@@ -207,9 +263,8 @@ const notificationController = {
       const cultos = await Event.findAll({
         where,
         include: [
-          { model: Member, as: 'preacher', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-          { model: Member, as: 'worship_leader', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-          { model: Member, as: 'singer', attributes: ['id', 'first_name', 'last_name', 'phone'] },
+          // Al menos uno de los roles debe estar asignado
+          ASSIGNED_ROLES_INCLUDE,
         ],
         order: [['start_date', 'ASC']],
       });
@@ -229,23 +284,20 @@ const notificationController = {
   async sendReminders(req, res) {
     try {
       const { type, date } = req.body || {};
-      let targetDate;
-      let reminderType = type || 'reminder';
-
-      if (date) {
-        targetDate = new Date(date + 'T00:00:00');
-      } else {
-        targetDate = new Date();
-        if (reminderType === 'reminder') {
-          targetDate.setDate(targetDate.getDate() + 1);
-        }
+      const reminderType = type || 'reminder';
+
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ message: 'Fecha inválida. Use el formato AAAA-MM-DD.' });
       }
 
       const churchId = req.user.church_id || null;
 
-      console.log(`[NOTIFICATIONS] Envío manual: tipo=${reminderType}, fecha=${targetDate.toISOString().slice(0, 10)}, iglesia=${churchId || 'todas'}`);
+      // Sin fecha: hoy o mañana según la fecha local de cada iglesia
+      console.log(`[NOTIFICATIONS] Envío manual: tipo=${reminderType}, fecha=${date || 'local de cada iglesia'}, iglesia=${churchId || 'todas'}`);
 
-      const summary = await processRemindersForDate(targetDate, reminderType, churchId);
+      const summary = await processRemindersForDate(date || null, reminderType, churchId, {
+        source: 'manual', userId: req.user.id,
+      });
 
       res.json({
         message: `Recordatorios procesados: ${summary.total_sent} enviados, ${summary.total_failed} fallidos, ${summary.total_skipped} omitidos.`,
@@ -270,10 +322,8 @@ const notificationController = {
 
       const event = await Event.findByPk(eventId, {
         include: [
-          { model: Member, as: 'preacher', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-          { model: Member, as: 'worship_leader', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-          { model: Member, as: 'singer', attributes: ['id', 'first_name', 'last_name', 'phone'] },
-          { model: Church, as: 'church', attributes: ['id', 'name'] },
+          ROLE_ASSIGNMENTS_INCLUDE,
+          CHURCH_INCLUDE,
         ],
       });
 
@@ -286,7 +336,9 @@ const notificationController = {
       }
 
       const churchName = event.church?.name || 'Iglesia';
-      const result = await sendCultoReminders(event, type || 'reminder', churchName);
+      const result = await sendCultoReminders(event, type || 'reminder', churchName, {
+        source: 'manual', userId: req.user.id,
+      });
 
       res.json({
         message: `Notificación enviada: ${result.sent} enviados, ${result.failed} fallidos, ${result.skipped} omitidos.`,
@@ -297,6 +349,273 @@ const notificationController = {
       res.status(500).json({ message: 'Error al enviar notificación.', error: error.message });
     }
   },
+
+  /**
+   * PUT /api/notifications/assignments/:id/reassign
+   * 
+   * Cambia el miembro de una asignación (típicamente una que fue declinada).
+   * La asignación vuelve a 'pending' con un token nuevo, así el enlace
+   * enviado al miembro anterior deja de funcionar.
+   * Body: { member_id }
+   */
+  async reassignRole(req, res) {
+    try {
+      const memberId = parseInt(req.body?.member_id, 10);
+      if (!memberId) {
+        return res.status(400).json({ message: 'Debe indicar el miembro (member_id).' });
+      }
+
+      const assignment = await EventRoleAssignment.findByPk(req.params.id, {
+        include: [
+          { model: Event, as: 'event', attributes: ['id', 'title', 'start_date', 'church_id'] },
+          { model: ServiceRole, as: 'role', attributes: ['id', 'name'] },
+        ],
+      });
+      if (!assignment || !assignment.event) {
+        return res.status(404).json({ message: 'Asignación no encontrada.' });
+      }
+
+      const { event } = assignment;
+      if (!isSuperAdmin(req.user) && event.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a esta asignación.' });
+      }
+
+      const member = await Member.findByPk(memberId, { attributes: ['id', 'church_id'] });
+      if (!member || member.church_id !== event.church_id) {
+        return res.status(400).json({ message: 'El miembro no pertenece a la iglesia del culto.' });
+      }
+
+      const duplicate = await EventRoleAssignment.count({
+        where: {
+          event_id: event.id,
+          service_role_id: assignment.service_role_id,
+          member_id: memberId,
+          id: { [Op.ne]: assignment.id },
+        },
+      });
+      if (duplicate > 0) {
+        return res.status(400).json({ message: 'El miembro ya tiene este rol en el culto.' });
+      }
+
+      // Fechas bloqueadas = error; día no preferido o tope mensual = advertencia
+      let warnings = [];
+      if (memberId !== assignment.member_id) {
+        const church = await Church.findByPk(event.church_id, { attributes: ['timezone'] });
+        const check = await checkRoleAssignments([{
+          member_id: memberId,
+          label: assignment.role?.name,
+          start_date: event.start_date,
+        }], { excludeEventIds: [event.id], timeZone: resolveTimezone(church?.timezone) });
+        if (check.errors.length > 0) {
+          return res.status(400).json({ message: check.errors.join(' '), errors: check.errors, warnings: check.warnings });
+        }
+        warnings = check.warnings;
+      }
+
+      await assignment.update({
+        member_id: memberId,
+        status: 'pending',
+        confirmation_token: crypto.randomBytes(24).toString('hex'),
+        responded_at: null,
+        response_note: null,
+      });
+
+      res.json({ message: 'Rol reasignado exitosamente.', assignment, warnings });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al reasignar rol.', error: error.message });
+    }
+  },
+
+  /**
+   * GET /api/notifications/history
+   * 
+   * Historial paginado de notificaciones (más recientes primero).
+   * Query: page, limit, status, channel, reminder_type, source, event_id,
+   *        member_id, broadcast_id, from, to (YYYY-MM-DD), church_id (solo SuperAdmin)
+   */
+  async getHistory(req, res) {
+    try {
+      const {
+        status, channel, reminder_type, source, event_id, member_id, broadcast_id, from, to, church_id,
+      } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const where = {};
+      if (status) where.status = status;
+      if (channel) where.channel = channel;
+      if (reminder_type) where.reminder_type = reminder_type;
+      if (source) where.source = source;
+      if (event_id) where.event_id = event_id;
+      if (member_id) where.member_id = member_id;
+      if (broadcast_id) where.broadcast_id = broadcast_id;
+      if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt[Op.gte] = new Date(`${from}T00:00:00`);
+        if (to) where.createdAt[Op.lte] = new Date(`${to}T23:59:59.999`);
+      }
+      if (church_id && isSuperAdmin(req.user)) where.church_id = church_id;
+
+      // Tenant filtering
+      applyTenantFilter(where, req.user);
+
+      const { rows: logs, count: total } = await NotificationLog.findAndCountAll({
+        where,
+        include: [
+          { model: Event, as: 'event', attributes: ['id', 'title', 'start_date'] },
+          { model: Member, as: 'member', attributes: ['id', 'first_name', 'last_name'] },
+          { model: ServiceRole, as: 'role', attributes: ['id', 'name', 'abbreviation'] },
+          { model: Church, as: 'church', attributes: ['id', 'name'] },
+          { model: Broadcast, as: 'broadcast', attributes: ['id', 'title'] },
+        ],
+        order: [['id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      res.json({
+        logs,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener historial de notificaciones.', error: error.message });
+    }
+  },
+
+  /**
+   * POST /api/notifications/history/:id/retry
+   * 
+   * Reintenta un envío fallido con los datos ACTUALES de la asignación
+   * (teléfono corregido, miembro reasignado, cambios del culto).
+   * El nuevo intento queda en el historial con retry_of_id.
+   */
+  async retryNotification(req, res) {
+    try {
+      const log = await NotificationLog.findByPk(req.params.id);
+      if (!log) {
+        return res.status(404).json({ message: 'Registro de notificación no encontrado.' });
+      }
+
+      if (!isSuperAdmin(req.user) && log.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este registro.' });
+      }
+
+      if (log.status !== 'failed') {
+        return res.status(400).json({ message: 'Solo se pueden reintentar envíos fallidos.' });
+      }
+      if (log.retried_at) {
+        return res.status(400).json({ message: 'Este envío ya fue reintentado. Use el intento más reciente.' });
+      }
+
+      // Anuncio masivo: se reenvía el anuncio al miembro (datos actuales)
+      if (log.broadcast_id) {
+        const delivered = await NotificationLog.count({
+          where: {
+            broadcast_id: log.broadcast_id,
+            member_id: log.member_id,
+            status: { [Op.in]: ['sent', 'delivered', 'read'] },
+            id: { [Op.gt]: log.id },
+          },
+        });
+        if (delivered) {
+          return res.status(400).json({ message: 'Este anuncio ya se entregó por otro canal.' });
+        }
+
+        const outcome = await retryBroadcastLog(log, req.user.id);
+        if (!outcome) {
+          return res.status(400).json({ message: 'El anuncio o el miembro ya no existe.' });
+        }
+        await log.update({ retried_at: new Date() });
+        const broadcastMessages = {
+          sent: 'Anuncio reenviado exitosamente.',
+          failed: 'El reintento también falló. Revise el detalle en el historial.',
+          skipped: 'El reintento fue omitido (sin canal disponible o el miembro pidió no recibir anuncios).',
+        };
+        return res.json({ message: broadcastMessages[outcome], outcome });
+      }
+
+      // Saludo de cumpleaños / aniversario: solo el mismo día
+      if (GREETING_KINDS.includes(log.reminder_type)) {
+        const delivered = await NotificationLog.count({
+          where: {
+            member_id: log.member_id,
+            reminder_type: log.reminder_type,
+            role_label: log.role_label,
+            status: { [Op.in]: ['sent', 'delivered', 'read'] },
+            id: { [Op.gt]: log.id },
+          },
+        });
+        if (delivered) {
+          return res.status(400).json({ message: 'Este saludo ya se entregó por otro canal.' });
+        }
+
+        const outcome = await retryGreetingLog(log, req.user.id);
+        if (!outcome) {
+          return res.status(400).json({ message: 'El saludo ya no corresponde (pasó el día o el miembro ya no existe).' });
+        }
+        await log.update({ retried_at: new Date() });
+        const greetingMessages = {
+          sent: 'Saludo reenviado exitosamente.',
+          failed: 'El reintento también falló. Revise el detalle en el historial.',
+          skipped: 'El reintento fue omitido (sin canal disponible o sin consentimiento).',
+        };
+        return res.json({ message: greetingMessages[outcome], outcome });
+      }
+
+      // Si el respaldo (otro canal) ya lo entregó, reintentar duplicaría el mensaje
+      if (log.event_role_assignment_id) {
+        const deliveredByFallback = await NotificationLog.count({
+          where: {
+            event_role_assignment_id: log.event_role_assignment_id,
+            reminder_type: log.reminder_type,
+            status: { [Op.in]: ['sent', 'delivered', 'read'] },
+            id: { [Op.gt]: log.id },
+          },
+        });
+        if (deliveredByFallback) {
+          return res.status(400).json({ message: 'Este recordatorio ya se entregó por otro canal.' });
+        }
+      }
+
+      const assignment = log.event_role_assignment_id
+        ? await EventRoleAssignment.findByPk(log.event_role_assignment_id, { include: ROLE_ASSIGNMENTS_INCLUDE.include })
+        : null;
+      const event = assignment
+        ? await Event.findByPk(assignment.event_id, {
+          include: [CHURCH_INCLUDE],
+        })
+        : null;
+      if (!assignment || !event) {
+        return res.status(400).json({ message: 'La asignación ya no existe (el rol fue quitado o el culto eliminado).' });
+      }
+      if (new Date(event.start_date) <= new Date()) {
+        return res.status(400).json({ message: 'El culto ya comenzó; no tiene sentido reintentar el recordatorio.' });
+      }
+
+      const churchName = event.church?.name || 'Iglesia';
+      const { outcome, ...result } = await sendAssignmentReminder(
+        event, assignment, log.reminder_type || 'reminder', churchName,
+        { source: 'retry', userId: req.user.id, retryOfId: log.id },
+      );
+      await log.update({ retried_at: new Date() });
+
+      const messages = {
+        sent: 'Notificación reenviada exitosamente.',
+        failed: 'El reintento también falló. Revise el detalle en el historial.',
+        skipped: 'El reintento fue omitido (sin canal disponible o el miembro ya declinó).',
+      };
+
+      res.json({ message: messages[outcome], outcome, result });
+    } catch (error) {
+      console.error('[NOTIFICATION RETRY ERROR]', error);
+      res.status(500).json({ message: 'Error al reintentar notificación.', error: error.message });
+    }
+  },
 };
 
 module.exports = { notificationController, processRemindersForDate };
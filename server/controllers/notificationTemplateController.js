@@ -0,0 +1,147 @@
+/**
+ * notificationTemplateController.js - Plantillas de mensajes por iglesia
+ *
+ * Endpoints:
+ * - GET    /api/notifications/templates          → Plantillas efectivas + variables por tipo
+ * - PUT    /api/notifications/templates/:kind    → Guardar la plantilla de un tipo
+ * - DELETE /api/notifications/templates/:kind    → Volver a la plantilla por defecto
+ * - POST   /api/notifications/templates/preview  → Vista previa con datos de ejemplo
+ *
+ * Admin/Secretaría: plantillas de su iglesia.
+ * SuperAdmin: de cualquier iglesia (church_id en query/body).
+ */
+const { NotificationTemplate, Church } = require('../models');
+const { isSuperAdmin } = require('../middleware/auth');
+const {
+  TEMPLATE_KINDS, KIND_LABELS, PLACEHOLDERS, getSampleData,
+  getDefaultTemplate, resolveTemplate, renderTemplate, validateTemplate,
+} = require('../utils/messageTemplates');
+
+const EDITABLE_FIELDS = [
+  'subject', 'body', 'sms_body', 'meta_template_name', 'meta_template_lang', 'meta_params',
+];
+
+/** Iglesia sobre la que se trabaja (SuperAdmin puede indicar otra) */
+function targetChurchId(req) {
+  const requested = req.query.church_id || req.body?.church_id;
+  return isSuperAdmin(req.user) && requested ? parseInt(requested, 10) : req.user.church_id;
+}
+
+/** Campos editables: '' → null, meta_params solo strings sin repetir */
+function pickTemplateFields(body) {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    data[field] = typeof body[field] === 'string' && body[field].trim() === '' ? null : body[field];
+  });
+  if (Array.isArray(data.meta_params)) {
+    data.meta_params = [...new Set(data.meta_params.map((p) => String(p).trim()).filter(Boolean))];
+  } else if (data.meta_params === null) {
+    data.meta_params = [];
+  }
+  return data;
+}
+
+const notificationTemplateController = {
+  async getAll(req, res) {
+    try {
+      const churchId = targetChurchId(req);
+      if (!churchId) {
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+
+      const templates = [];
+      for (const kind of TEMPLATE_KINDS) {
+        const template = await resolveTemplate(churchId, kind);
+        templates.push({ ...template, label: KIND_LABELS[kind], placeholders: PLACEHOLDERS[kind] });
+      }
+
+      res.json({ church_id: churchId, templates });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener plantillas.', error: error.message });
+    }
+  },
+
+  async update(req, res) {
+    try {
+      const { kind } = req.params;
+      if (!TEMPLATE_KINDS.includes(kind)) {
+        return res.status(404).json({ message: 'Tipo de plantilla no encontrado.' });
+      }
+
+      const churchId = targetChurchId(req);
+      if (!churchId) {
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+
+      const data = pickTemplateFields(req.body || {});
+      const errors = validateTemplate(kind, { ...getDefaultTemplate(kind), ...data });
+      if (errors.length) {
+        return res.status(400).json({ message: errors[0], errors });
+      }
+
+      const [template] = await NotificationTemplate.findOrCreate({
+        where: { church_id: churchId, kind },
+        defaults: { ...getDefaultTemplate(kind), ...data, church_id: churchId, updated_by: req.user.id },
+      });
+      await template.update({ ...data, updated_by: req.user.id });
+
+      res.json({
+        message: 'Plantilla guardada exitosamente.',
+        template: { ...(await resolveTemplate(churchId, kind)), label: KIND_LABELS[kind], placeholders: PLACEHOLDERS[kind] },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al guardar plantilla.', error: error.message });
+    }
+  },
+
+  async reset(req, res) {
+    try {
+      const { kind } = req.params;
+      if (!TEMPLATE_KINDS.includes(kind)) {
+        return res.status(404).json({ message: 'Tipo de plantilla no encontrado.' });
+      }
+
+      const churchId = targetChurchId(req);
+      await NotificationTemplate.destroy({ where: { church_id: churchId, kind } });
+
+      res.json({
+        message: 'Se restauró la plantilla por defecto.',
+        template: { ...getDefaultTemplate(kind), is_custom: false, label: KIND_LABELS[kind], placeholders: PLACEHOLDERS[kind] },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al restaurar plantilla.', error: error.message });
+    }
+  },
+
+  /**
+   * Body: { kind, subject?, body?, sms_body?, meta_template_name?, meta_template_lang?, meta_params? }
+   * Los campos enviados reemplazan a los de la plantilla guardada (vista
+   * previa de lo que se está editando, sin guardar).
+   */
+  async preview(req, res) {
+    try {
+      const { kind } = req.body || {};
+      if (!TEMPLATE_KINDS.includes(kind)) {
+        return res.status(400).json({ message: 'Tipo de plantilla no válido.' });
+      }
+
+      const churchId = targetChurchId(req);
+      const saved = await resolveTemplate(churchId, kind);
+      const template = { ...saved, ...pickTemplateFields(req.body) };
+
+      const church = churchId ? await Church.findByPk(churchId, { attributes: ['name'] }) : null;
+      const sample = getSampleData(kind, church?.name);
+
+      res.json({
+        errors: validateTemplate(kind, template),
+        sample,
+        preview: renderTemplate(template, sample),
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al generar vista previa.', error: error.message });
+    }
+  },
+};
+
+module.exports = notificationTemplateController;
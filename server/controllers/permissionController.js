@@ -0,0 +1,158 @@
+/**
+ * permissionController.js - Permisos por rol e iglesia
+ *
+ * Endpoints:
+ * - GET    /api/permissions/me             → Permisos del usuario actual (para el cliente)
+ * - GET    /api/permissions                → Catálogo + matriz rol → permisos de la iglesia
+ * - PUT    /api/permissions/roles/:roleId  → Guardar los permisos de un rol
+ * - DELETE /api/permissions/roles/:roleId  → Volver a los permisos por defecto del rol
+ *
+ * Matriz: permiso permissions.manage, sobre su iglesia.
+ * SuperAdmin: de cualquier iglesia (church_id en query/body).
+ * Nadie otorga permisos que no tiene ni edita un rol que no podría asignar.
+ */
+const { Role, RolePermission } = require('../models');
+const { Op } = require('sequelize');
+const { isSuperAdmin } = require('../middleware/auth');
+const {
+  PERMISSIONS, PERMISSION_KEYS, MATRIX_ROLES, LOCKED_PERMISSIONS,
+  resolvePermissions, diffFromDefaults, canAssignRole, getUserPermissions,
+} = require('../utils/permissions');
+
+/** Iglesia sobre la que se trabaja (SuperAdmin puede indicar otra) */
+function targetChurchId(req) {
+  const requested = req.query.church_id || req.body?.church_id;
+  return isSuperAdmin(req.user) && requested ? parseInt(requested, 10) : req.user.church_id;
+}
+
+/** { role } editable de la matriz, o { error: { status, message } } */
+async function findEditableRole(req) {
+  const role = await Role.findByPk(req.params.roleId);
+  if (!role || !MATRIX_ROLES.includes(role.name)) {
+    return { error: { status: 404, message: 'Rol no encontrado.' } };
+  }
+  if (!canAssignRole(req.user, role.name)) {
+    return { error: { status: 403, message: `No tienes permiso para editar los permisos de ${role.name}.` } };
+  }
+  return { role };
+}
+
+const permissionController = {
+  // GET /api/permissions/me
+  async me(req, res) {
+    try {
+      const permissions = req.permissions || await getUserPermissions(req.user);
+      res.json({ role: req.user.role?.name || null, permissions });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener permisos.', error: error.message });
+    }
+  },
+
+  // GET /api/permissions?church_id=
+  async getMatrix(req, res) {
+    try {
+      const churchId = targetChurchId(req);
+      if (!churchId) {
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+
+      const roles = await Role.findAll({ where: { name: { [Op.in]: MATRIX_ROLES } }, order: [['id', 'ASC']] });
+      const overrides = await RolePermission.findAll({ where: { church_id: churchId } });
+      const byRole = new Map(overrides.map((o) => [o.role_id, o]));
+
+      res.json({
+        church_id: churchId,
+        permissions: PERMISSION_KEYS.map((key) => ({
+          key,
+          group: PERMISSIONS[key].group,
+          label: PERMISSIONS[key].label,
+          default_roles: PERMISSIONS[key].roles,
+        })),
+        roles: roles.map((role) => ({
+          id: role.id,
+          name: role.name,
+          permissions: resolvePermissions(role.name, byRole.get(role.id) || null),
+          customized: byRole.has(role.id),
+          locked: LOCKED_PERMISSIONS[role.name] || [],
+          editable: canAssignRole(req.user, role.name),
+        })),
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener permisos.', error: error.message });
+    }
+  },
+
+  // PUT /api/permissions/roles/:roleId  { church_id?, permissions: [] }
+  async updateRole(req, res) {
+    try {
+      const churchId = targetChurchId(req);
+      if (!churchId) {
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+      if (!Array.isArray(req.body.permissions)) {
+        return res.status(400).json({ message: 'Debe enviar la lista de permisos.' });
+      }
+
+      const { role, error } = await findEditableRole(req);
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+
+      const override = await RolePermission.findOne({ where: { church_id: churchId, role_id: role.id } });
+      const { granted, revoked } = diffFromDefaults(role.name, req.body.permissions);
+
+      // No se otorgan permisos que quien edita no tiene
+      if (!isSuperAdmin(req.user)) {
+        const current = resolvePermissions(role.name, override);
+        const own = req.permissions || await getUserPermissions(req.user);
+        const added = resolvePermissions(role.name, { granted, revoked }).filter((key) => !current.includes(key));
+        const notOwned = added.filter((key) => !own.includes(key));
+        if (notOwned.length > 0) {
+          return res.status(403).json({
+            message: `No puede otorgar permisos que no tiene: ${notOwned.map((key) => PERMISSIONS[key].label).join(', ')}.`,
+          });
+        }
+      }
+
+      if (granted.length === 0 && revoked.length === 0) {
+        if (override) await override.destroy();
+      } else if (override) {
+        await override.update({ granted, revoked });
+      } else {
+        await RolePermission.create({ church_id: churchId, role_id: role.id, granted, revoked });
+      }
+
+      res.json({
+        message: `Permisos de ${role.name} actualizados.`,
+        role: { id: role.id, name: role.name, permissions: resolvePermissions(role.name, { granted, revoked }) },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al guardar permisos.', error: error.message });
+    }
+  },
+
+  // DELETE /api/permissions/roles/:roleId?church_id=
+  async resetRole(req, res) {
+    try {
+      const churchId = targetChurchId(req);
+      if (!churchId) {
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+
+      const { role, error } = await findEditableRole(req);
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+
+      await RolePermission.destroy({ where: { church_id: churchId, role_id: role.id } });
+      res.json({
+        message: `Permisos de ${role.name} restaurados a los valores por defecto.`,
+        role: { id: role.id, name: role.name, permissions: resolvePermissions(role.name, null) },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al restaurar permisos.', error: error.message });
+    }
+  },
+};
+
+module.exports = permissionController;
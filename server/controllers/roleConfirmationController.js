@@ -0,0 +1,110 @@
+/**
+ * roleConfirmationController.js - Confirmación de roles de culto (pública)
+ *
+ * El recordatorio de WhatsApp incluye un enlace /confirmar/:token por cada
+ * asignación. El miembro lo abre sin iniciar sesión y responde si puede
+ * (confirmed) o no (declined). El token identifica una sola asignación.
+ *
+ * Endpoints (sin autenticación):
+ * - GET  /api/role-confirmations/:token → Datos del culto y estado actual
+ * - POST /api/role-confirmations/:token → Responder { response: 'confirm'|'decline', note }
+ */
+const { EventRoleAssignment, Event, ServiceRole, Member, Church } = require('../models');
+
+/** Incluye lo mínimo para mostrar la asignación (sin datos de contacto) */
+const CONFIRMATION_INCLUDE = [
+  {
+    model: Event, as: 'event',
+    attributes: ['id', 'title', 'start_date', 'location'],
+    include: [{ model: Church, as: 'church', attributes: ['id', 'name'] }],
+  },
+  { model: ServiceRole, as: 'role', attributes: ['id', 'name', 'reminder_text'] },
+  { model: Member, as: 'member', attributes: ['id', 'first_name'] },
+];
+
+const RESPONSES = { confirm: 'confirmed', decline: 'declined' };
+
+async function findByToken(token) {
+  if (!token || !/^[a-f0-9]{32,64}$/i.test(token)) return null;
+  return EventRoleAssignment.findOne({
+    where: { confirmation_token: token },
+    include: CONFIRMATION_INCLUDE,
+  });
+}
+
+/** Vista pública de la asignación (sin ids internos del miembro) */
+function serialize(assignment) {
+  const { event, role, member } = assignment;
+  return {
+    status: assignment.status,
+    responded_at: assignment.responded_at,
+    response_note: assignment.response_note,
+    role: role ? (role.reminder_text || role.name) : null,
+    role_name: role?.name || null,
+    member_name: member?.first_name || null,
+    event: event ? {
+      title: event.title,
+      start_date: event.start_date,
+      location: event.location,
+    } : null,
+    church_name: event?.church?.name || null,
+    can_respond: !!event && new Date(event.start_date) > new Date(),
+  };
+}
+
+const roleConfirmationController = {
+  // GET /api/role-confirmations/:token
+  async getByToken(req, res) {
+    try {
+      const assignment = await findByToken(req.params.token);
+      if (!assignment || !assignment.event) {
+        return res.status(404).json({ message: 'Enlace no válido o la asignación ya no existe.' });
+      }
+      res.json({ assignment: serialize(assignment) });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener la asignación.', error: error.message });
+    }
+  },
+
+  /**
+   * POST /api/role-confirmations/:token
+   * Body: { response: 'confirm'|'decline', note }
+   * Se puede cambiar la respuesta mientras el culto no haya comenzado.
+   */
+  async respond(req, res) {
+    try {
+      const { response, note } = req.body || {};
+      const status = RESPONSES[response];
+      if (!status) {
+        return res.status(400).json({ message: 'Respuesta no válida (confirm o decline).' });
+      }
+
+      const assignment = await findByToken(req.params.token);
+      if (!assignment || !assignment.event) {
+        return res.status(404).json({ message: 'Enlace no válido o la asignación ya no existe.' });
+      }
+      if (new Date(assignment.event.start_date) <= new Date()) {
+        return res.status(400).json({ message: 'El culto ya comenzó; no se puede cambiar la respuesta.' });
+      }
+
+      await assignment.update({
+        status,
+        responded_at: new Date(),
+        response_note: note ? String(note).trim().slice(0, 255) || null : null,
+      });
+
+      console.log(`[ROLES] Asignación ${assignment.id} (evento ${assignment.event.id}): ${status}`);
+
+      res.json({
+        message: status === 'confirmed'
+          ? '¡Gracias! Tu participación quedó confirmada.'
+          : 'Gracias por avisar. Le informaremos a la iglesia para buscar un reemplazo.',
+        assignment: serialize(assignment),
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al registrar la respuesta.', error: error.message });
+    }
+  },
+};
+
+module.exports = roleConfirmationController;
@@ -0,0 +1,151 @@
+/**
+ * serviceRoleController.js - CRUD del catálogo de roles de culto
+ *
+ * Cada iglesia define sus propios roles (Predica, Dirige, Canta, Ujier...).
+ * Si la iglesia todavía no tiene ninguno se crean los roles por defecto.
+ * Admin: solo CRUD de su iglesia.
+ * SuperAdmin: CRUD de cualquier iglesia.
+ */
+const { ServiceRole, EventRoleAssignment, Church } = require('../models');
+const { isSuperAdmin } = require('../middleware/auth');
+const { ensureDefaultServiceRoles } = require('../utils/serviceRoles');
+
+/** Convierte a entero >= min, o devuelve `fallback` si no es válido */
+function toInt(value, fallback, min = 0) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed < min ? fallback : parsed;
+}
+
+const serviceRoleController = {
+  // GET /api/service-roles
+  // Lista roles de la iglesia del usuario (o todos si SuperAdmin)
+  async getAll(req, res) {
+    try {
+      const where = {};
+      const { church_id, is_active } = req.query;
+
+      // SuperAdmin puede filtrar por iglesia o ver todas
+      if (isSuperAdmin(req.user)) {
+        if (church_id) where.church_id = church_id;
+      } else {
+        // Admin/otros: solo su iglesia
+        where.church_id = req.user.church_id;
+      }
+
+      if (where.church_id) await ensureDefaultServiceRoles(where.church_id);
+      if (is_active !== undefined) where.is_active = is_active === 'true';
+
+      const roles = await ServiceRole.findAll({
+        where,
+        include: [{ model: Church, as: 'church', attributes: ['id', 'name'] }],
+        order: [['sort_order', 'ASC'], ['name', 'ASC']],
+      });
+
+      res.json({ roles });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener roles de culto.', error: error.message });
+    }
+  },
+
+  // POST /api/service-roles
+  async create(req, res) {
+    try {
+      const {
+        name, abbreviation, reminder_text, members_needed, sort_order, church_id,
+      } = req.body;
+
+      // SuperAdmin puede crear para cualquier iglesia
+      const targetChurchId = isSuperAdmin(req.user)
+        ? (church_id || req.user.church_id)
+        : req.user.church_id;
+
+      if (!targetChurchId) {
+        return res.status(400).json({ message: 'Debe indicar la iglesia (church_id).' });
+      }
+      if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'El nombre del rol es requerido.' });
+      }
+      if (!abbreviation || !abbreviation.trim()) {
+        return res.status(400).json({ message: 'La abreviatura del rol es requerida.' });
+      }
+
+      const role = await ServiceRole.create({
+        name: name.trim(),
+        abbreviation: abbreviation.trim().toUpperCase(),
+        reminder_text: reminder_text ? reminder_text.trim() : null,
+        members_needed: toInt(members_needed, 1, 1),
+        sort_order: toInt(sort_order, 0),
+        church_id: targetChurchId,
+        is_active: true,
+      });
+
+      res.status(201).json({ message: 'Rol creado exitosamente.', role });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al crear rol.', error: error.message });
+    }
+  },
+
+  // PUT /api/service-roles/:id
+  async update(req, res) {
+    try {
+      const role = await ServiceRole.findByPk(req.params.id);
+      if (!role) {
+        return res.status(404).json({ message: 'Rol no encontrado.' });
+      }
+
+      // Verificar acceso tenant
+      if (!isSuperAdmin(req.user) && role.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este rol.' });
+      }
+
+      const {
+        name, abbreviation, reminder_text, members_needed, sort_order, is_active,
+      } = req.body;
+      await role.update({
+        name: name !== undefined ? name.trim() : role.name,
+        abbreviation: abbreviation !== undefined ? abbreviation.trim().toUpperCase() : role.abbreviation,
+        reminder_text: reminder_text !== undefined ? (reminder_text || null) : role.reminder_text,
+        members_needed: members_needed !== undefined ? toInt(members_needed, role.members_needed, 1) : role.members_needed,
+        sort_order: sort_order !== undefined ? toInt(sort_order, role.sort_order) : role.sort_order,
+        is_active: is_active !== undefined ? is_active : role.is_active,
+      });
+
+      res.json({ message: 'Rol actualizado exitosamente.', role });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al actualizar rol.', error: error.message });
+    }
+  },
+
+  /**
+   * DELETE /api/service-roles/:id
+   * Un rol con asignaciones no se elimina (se perdería el historial de
+   * quién sirvió): en ese caso se debe desactivar.
+   */
+  async delete(req, res) {
+    try {
+      const role = await ServiceRole.findByPk(req.params.id);
+      if (!role) {
+        return res.status(404).json({ message: 'Rol no encontrado.' });
+      }
+
+      // Verificar acceso tenant
+      if (!isSuperAdmin(req.user) && role.church_id !== req.user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este rol.' });
+      }
+
+      const used = await EventRoleAssignment.count({ where: { service_role_id: role.id } });
+      if (used > 0) {
+        return res.status(400).json({
+          message: `El rol tiene ${used} asignación(es) en cultos. Desactívelo en lugar de eliminarlo.`,
+        });
+      }
+
+      await role.destroy();
+      res.json({ message: 'Rol eliminado exitosamente.' });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al eliminar rol.', error: error.message });
+    }
+  },
+};
+
+module.exports = serviceRoleController;
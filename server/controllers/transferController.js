@@ -0,0 +1,355 @@
+/**
+ * transferController.js - Traslado de miembros entre iglesias
+ *
+ * Flujo:
+ * 1. La iglesia de origen (Administrador / Secretaría) solicita el traslado
+ * 2. El Administrador de la iglesia de destino lo acepta o lo rechaza;
+ *    el origen puede cancelarlo mientras esté pendiente
+ * 3. Al aceptar, el miembro pasa a la iglesia de destino conservando su
+ *    historia (utils/memberTransfers.js) y se recalculan las estadísticas
+ *    de ambas iglesias
+ * La carta de traslado (PDF) la pueden descargar las dos iglesias.
+ * SuperAdmin: puede actuar por cualquiera de las dos iglesias.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  MemberTransfer, Member, Church, User, Baptism, MemberTimelineEvent,
+} = require('../models');
+const { isSuperAdmin } = require('../middleware/auth');
+const {
+  TRANSFER_STATUSES, applyTransfer, recalculateTransferStats, hasPendingTransfer,
+} = require('../utils/memberTransfers');
+const { isValidDateKey, churchToday } = require('../utils/memberTimeline');
+const { generateTransferLetterPdf } = require('../utils/transferLetterPdf');
+const { churchLogoPath } = require('../utils/pdfBranding');
+const { resolveTimezone } = require('../utils/timezone');
+
+const TRANSFER_INCLUDE = [
+  { model: Member, as: 'member', attributes: ['id', 'first_name', 'last_name', 'member_type', 'baptized', 'status'] },
+  { model: Church, as: 'from_church', attributes: ['id', 'name'] },
+  { model: Church, as: 'to_church', attributes: ['id', 'name'] },
+  { model: User, as: 'requester', attributes: ['id', 'full_name'] },
+  { model: User, as: 'decider', attributes: ['id', 'full_name'] },
+];
+
+const canActFor = (user, churchId) => isSuperAdmin(user) || user.church_id === churchId;
+
+const noteText = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, 255) : null);
+
+/**
+ * Cierra una solicitud pendiente (solo si sigue pendiente: evita aceptar dos veces).
+ * @returns {Promise<boolean>} false si ya no estaba pendiente
+ */
+async function closeTransfer(transfer, fields, transaction) {
+  const [affected] = await MemberTransfer.update(fields, {
+    where: { id: transfer.id, status: 'pending' },
+    transaction,
+  });
+  return affected > 0;
+}
+
+const transferController = {
+  /**
+   * GET /api/transfers?direction=incoming|outgoing&status=pending&page=1&limit=20
+   * Solicitudes de la iglesia del usuario (entrantes, salientes o ambas).
+   * SuperAdmin: todas, o las de ?church_id=X.
+   */
+  async getAll(req, res) {
+    try {
+      const { direction, status, church_id, page = 1, limit = 20 } = req.query;
+      const churchId = isSuperAdmin(req.user) ? (church_id ? parseInt(church_id, 10) : null) : req.user.church_id;
+
+      const where = {};
+      if (status) where.status = status;
+      if (churchId) {
+        if (direction === 'incoming') where.to_church_id = churchId;
+        else if (direction === 'outgoing') where.from_church_id = churchId;
+        else where[Op.or] = [{ from_church_id: churchId }, { to_church_id: churchId }];
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+      const { rows, count: total } = await MemberTransfer.findAndCountAll({
+        where,
+        include: TRANSFER_INCLUDE,
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset,
+        distinct: true,
+      });
+
+      const pendingIncoming = churchId
+        ? await MemberTransfer.count({ where: { to_church_id: churchId, status: 'pending' } })
+        : await MemberTransfer.count({ where: { status: 'pending' } });
+
+      res.json({
+        transfers: rows,
+        statuses: TRANSFER_STATUSES,
+        pending_incoming: pendingIncoming,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener traslados.', error: error.message });
+    }
+  },
+
+  /**
+   * GET /api/transfers/churches
+   * Iglesias de destino posibles (todas menos la del usuario).
+   */
+  async getDestinations(req, res) {
+    try {
+      const where = req.user.church_id ? { id: { [Op.ne]: req.user.church_id } } : {};
+      const churches = await Church.findAll({ where, attributes: ['id', 'name'], order: [['name', 'ASC']] });
+      res.json({ churches });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener iglesias.', error: error.message });
+    }
+  },
+
+  /**
+   * POST /api/transfers
+   * Body: { member_id, to_church_id, reason }
+   * Solicita el traslado de un miembro activo de la iglesia del usuario.
+   */
+  async create(req, res) {
+    try {
+      const { member_id, to_church_id, reason } = req.body;
+
+      const member = await Member.findByPk(member_id);
+      if (!member) {
+        return res.status(404).json({ message: 'Miembro no encontrado.' });
+      }
+      if (!canActFor(req.user, member.church_id)) {
+        return res.status(403).json({ message: 'No tienes acceso a este miembro.' });
+      }
+      if (member.status !== 'active') {
+        return res.status(400).json({ message: 'Solo se pueden trasladar miembros activos.' });
+      }
+
+      const toChurch = await Church.findByPk(to_church_id, { attributes: ['id', 'name'] });
+      if (!toChurch) {
+        return res.status(404).json({ message: 'Iglesia de destino no encontrada.' });
+      }
+      if (toChurch.id === member.church_id) {
+        return res.status(400).json({ message: 'La iglesia de destino debe ser distinta de la actual.' });
+      }
+      if (await hasPendingTransfer(member.id)) {
+        return res.status(409).json({ message: 'El miembro ya tiene una solicitud de traslado pendiente.' });
+      }
+
+      const transfer = await MemberTransfer.create({
+        member_id: member.id,
+        from_church_id: member.church_id,
+        to_church_id: toChurch.id,
+        reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+        requested_by: req.user.id,
+      });
+
+      const created = await MemberTransfer.findByPk(transfer.id, { include: TRANSFER_INCLUDE });
+      res.status(201).json({
+        message: `Traslado solicitado a ${toChurch.name}. Queda pendiente de aceptación.`,
+        transfer: created,
+      });
+    } catch (error) {
+      // Dos solicitudes simultáneas: el índice único de pendientes rechaza la segunda
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({ message: 'El miembro ya tiene una solicitud de traslado pendiente.' });
+      }
+      res.status(500).json({ message: 'Error al solicitar traslado.', error: error.message });
+    }
+  },
+
+  /**
+   * PUT /api/transfers/:id/accept
+   * Body: { transfer_date?: 'YYYY-MM-DD' (default hoy en el destino), note? }
+   * Administrador de la iglesia de destino.
+   */
+  async accept(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const transfer = await MemberTransfer.findByPk(req.params.id, { transaction });
+      if (!transfer) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Solicitud de traslado no encontrada.' });
+      }
+      if (!canActFor(req.user, transfer.to_church_id)) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'Solo la iglesia de destino puede aceptar el traslado.' });
+      }
+      if (transfer.status !== 'pending') {
+        await transaction.rollback();
+        return res.status(400).json({ message: `La solicitud ya está ${TRANSFER_STATUSES[transfer.status].toLowerCase()}.` });
+      }
+
+      const { transfer_date, note } = req.body;
+      if (transfer_date && !isValidDateKey(transfer_date)) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'Fecha de traslado inválida (use YYYY-MM-DD).' });
+      }
+
+      const member = await Member.findByPk(transfer.member_id, { transaction });
+      if (!member || member.church_id !== transfer.from_church_id) {
+        await transaction.rollback();
+        return res.status(409).json({ message: 'El miembro ya no pertenece a la iglesia de origen.' });
+      }
+
+      const transferDate = transfer_date || await churchToday(transfer.to_church_id);
+      const closed = await closeTransfer(transfer, {
+        status: 'accepted',
+        transfer_date: transferDate,
+        decided_by: req.user.id,
+        decided_at: new Date(),
+        decision_note: noteText(note),
+      }, transaction);
+      if (!closed) {
+        await transaction.rollback();
+        return res.status(409).json({ message: 'La solicitud ya fue resuelta.' });
+      }
+      transfer.transfer_date = transferDate;
+
+      const { releasedAssignments } = await applyTransfer(member, transfer, {
+        userId: req.user.id, note: noteText(note), transaction,
+      });
+      await transaction.commit();
+
+      const churches = await Church.findAll({ where: { id: [transfer.from_church_id, transfer.to_church_id] } });
+      await recalculateTransferStats(churches);
+
+      const updated = await MemberTransfer.findByPk(transfer.id, { include: TRANSFER_INCLUDE });
+      res.json({
+        message: releasedAssignments
+          ? `Traslado aceptado. Se liberaron ${releasedAssignments} rol(es) de culto futuros en la iglesia de origen.`
+          : 'Traslado aceptado.',
+        transfer: updated,
+        released_assignments: releasedAssignments,
+      });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      res.status(500).json({ message: 'Error al aceptar traslado.', error: error.message });
+    }
+  },
+
+  /**
+   * PUT /api/transfers/:id/reject
+   * Body: { note? } — Administrador de la iglesia de destino.
+   */
+  async reject(req, res) {
+    try {
+      const transfer = await MemberTransfer.findByPk(req.params.id);
+      if (!transfer) {
+        return res.status(404).json({ message: 'Solicitud de traslado no encontrada.' });
+      }
+      if (!canActFor(req.user, transfer.to_church_id)) {
+        return res.status(403).json({ message: 'Solo la iglesia de destino puede rechazar el traslado.' });
+      }
+
+      const closed = await closeTransfer(transfer, {
+        status: 'rejected', decided_by: req.user.id, decided_at: new Date(), decision_note: noteText(req.body.note),
+      });
+      if (!closed) {
+        return res.status(400).json({ message: 'La solicitud ya fue resuelta.' });
+      }
+
+      res.json({ message: 'Traslado rechazado. El miembro sigue en su iglesia.' });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al rechazar traslado.', error: error.message });
+    }
+  },
+
+  /**
+   * PUT /api/transfers/:id/cancel
+   * La iglesia de origen retira una solicitud pendiente.
+   */
+  async cancel(req, res) {
+    try {
+      const transfer = await MemberTransfer.findByPk(req.params.id);
+      if (!transfer) {
+        return res.status(404).json({ message: 'Solicitud de traslado no encontrada.' });
+      }
+      if (!canActFor(req.user, transfer.from_church_id)) {
+        return res.status(403).json({ message: 'Solo la iglesia de origen puede cancelar el traslado.' });
+      }
+
+      const closed = await closeTransfer(transfer, {
+        status: 'cancelled', decided_by: req.user.id, decided_at: new Date(), decision_note: noteText(req.body.note),
+      });
+      if (!closed) {
+        return res.status(400).json({ message: 'La solicitud ya fue resuelta.' });
+      }
+
+      res.json({ message: 'Solicitud de traslado cancelada.' });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al cancelar traslado.', error: error.message });
+    }
+  },
+
+  /**
+   * GET /api/transfers/:id/letter
+   * Carta de traslado (PDF) con el logo de la iglesia de origen.
+   */
+  async getLetter(req, res) {
+    try {
+      const transfer = await MemberTransfer.findByPk(req.params.id);
+      if (!transfer) {
+        return res.status(404).json({ message: 'Solicitud de traslado no encontrada.' });
+      }
+      if (!canActFor(req.user, transfer.from_church_id) && !canActFor(req.user, transfer.to_church_id)) {
+        return res.status(403).json({ message: 'No tienes acceso a este traslado.' });
+      }
+      if (['rejected', 'cancelled'].includes(transfer.status)) {
+        return res.status(400).json({ message: 'La solicitud fue rechazada o cancelada: no hay carta.' });
+      }
+
+      const churchAttributes = ['id', 'name', 'address', 'phone', 'responsible', 'timezone', 'login_logo_url'];
+      const [member, fromChurch, toChurch, baptism, joined] = await Promise.all([
+        Member.findByPk(transfer.member_id),
+        Church.findByPk(transfer.from_church_id, { attributes: churchAttributes }),
+        Church.findByPk(transfer.to_church_id, { attributes: churchAttributes }),
+        Baptism.findOne({ where: { member_id: transfer.member_id }, attributes: ['certificate_number'] }),
+        MemberTimelineEvent.findOne({
+          where: { member_id: transfer.member_id, event_type: 'joined' },
+          attributes: ['event_date'],
+          order: [['event_date', 'ASC']],
+        }),
+      ]);
+      if (!member || !fromChurch || !toChurch) {
+        return res.status(404).json({ message: 'Faltan datos del miembro o de las iglesias del traslado.' });
+      }
+
+      const fileName = `Carta_Traslado_T-${transfer.id}.pdf`;
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+      const pdfDoc = generateTransferLetterPdf({
+        transfer,
+        member: {
+          first_name: member.first_name,
+          last_name: member.last_name,
+          member_type: member.member_type,
+          baptized: member.baptized,
+          baptism_date: member.baptism_date,
+          certificate_number: baptism?.certificate_number,
+          joined_date: joined?.event_date,
+        },
+        fromChurch,
+        toChurch,
+        logoPath: churchLogoPath(fromChurch),
+        issuedDate: await churchToday(fromChurch.id),
+        timeZone: resolveTimezone(fromChurch.timezone),
+      });
+      pdfDoc.pipe(res);
+    } catch (error) {
+      console.error('[TRANSFER PDF ERROR]', error);
+      res.status(500).json({ message: 'Error al generar la carta de traslado.', error: error.message });
+    }
+  },
+};
+
+module.exports = transferController;
@@ -0,0 +1,175 @@
+/**
+ * trashController.js - Papelera de miembros, eventos y actas
+ *
+ * Lo que se elimina en Miembros, Eventos y Actas queda aquí durante
+ * TRASH_RETENTION_DAYS días (default 30) antes de purgarse.
+ * Administrador: ve, restaura y elimina definitivamente los registros de su
+ * iglesia. SuperAdmin: cualquier iglesia (church_id opcional).
+ * Reglas y purga automática: utils/trash.js
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Church, User } = require('../models');
+const { isSuperAdmin } = require('../middleware/auth');
+const {
+  TRASH_TYPES, getRetentionDays, purgeDate, restoreRecord, recalculateTrashStats, purgeRecord,
+} = require('../utils/trash');
+
+const TYPE_NAMES = Object.keys(TRASH_TYPES);
+
+/** Mensajes por tipo: [no encontrado, sin acceso, restaurado, eliminado] */
+const MESSAGES = {
+  members: ['Miembro no encontrado en la papelera.', 'No tienes acceso a este miembro.', 'Miembro restaurado exitosamente.', 'Miembro eliminado definitivamente.'],
+  events: ['Evento no encontrado en la papelera.', 'No tienes acceso a este evento.', 'Evento restaurado exitosamente.', 'Evento eliminado definitivamente.'],
+  minutes: ['Acta no encontrada en la papelera.', 'No tienes acceso a esta acta.', 'Acta restaurada exitosamente.', 'Acta eliminada definitivamente.'],
+};
+
+/** Fila de la papelera con los mismos campos para los tres tipos */
+function serialize(type, record) {
+  return {
+    id: record.id,
+    type,
+    church_id: record.church_id,
+    church: record.church ? { id: record.church.id, name: record.church.name } : null,
+    ...TRASH_TYPES[type].describe(record),
+    deleted_at: record.deleted_at,
+    deleter: record.deleter ? { id: record.deleter.id, full_name: record.deleter.full_name } : null,
+    purge_at: purgeDate(record.deleted_at),
+  };
+}
+
+/**
+ * Carga un registro eliminado y valida el tipo y el acceso.
+ * @returns {Object|null} Instancia (o null si ya se respondió con error)
+ */
+async function loadTrashed(req, res, transaction) {
+  const { type, id } = req.params;
+  if (!TRASH_TYPES[type]) {
+    res.status(400).json({ message: `Tipo inválido. Use: ${TYPE_NAMES.join(', ')}.` });
+    return null;
+  }
+
+  const record = await TRASH_TYPES[type].model.findOne({
+    where: { id, deleted_at: { [Op.ne]: null } },
+    paranoid: false,
+    transaction,
+  });
+  if (!record) {
+    res.status(404).json({ message: MESSAGES[type][0] });
+    return null;
+  }
+  if (!isSuperAdmin(req.user) && record.church_id !== req.user.church_id) {
+    res.status(403).json({ message: MESSAGES[type][1] });
+    return null;
+  }
+  return record;
+}
+
+const trashController = {
+  /**
+   * GET /api/trash?type=members&church_id=X&search=Y&page=1&limit=20
+   * Registros eliminados del tipo indicado (más recientes primero) y la
+   * cantidad por tipo para las pestañas.
+   */
+  async getAll(req, res) {
+    try {
+      const { type = 'members', church_id, search, page = 1, limit = 20 } = req.query;
+      if (!TRASH_TYPES[type]) {
+        return res.status(400).json({ message: `Tipo inválido. Use: ${TYPE_NAMES.join(', ')}.` });
+      }
+
+      const baseWhere = { deleted_at: { [Op.ne]: null } };
+      if (isSuperAdmin(req.user)) {
+        if (church_id) baseWhere.church_id = church_id;
+      } else {
+        baseWhere.church_id = req.user.church_id;
+      }
+
+      const { model, searchFields } = TRASH_TYPES[type];
+      const where = { ...baseWhere };
+      if (search) {
+        where[Op.or] = searchFields.map((field) => ({ [field]: { [Op.iLike]: `%${search}%` } }));
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+      const { rows, count: total } = await model.findAndCountAll({
+        where,
+        paranoid: false,
+        include: [
+          { model: User, as: 'deleter', attributes: ['id', 'full_name'] },
+          { model: Church, as: 'church', attributes: ['id', 'name'] },
+        ],
+        order: [['deleted_at', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit),
+        offset,
+      });
+
+      const counts = {};
+      for (const name of TYPE_NAMES) {
+        counts[name] = await TRASH_TYPES[name].model.count({ where: baseWhere, paranoid: false });
+      }
+
+      res.json({
+        items: rows.map((record) => serialize(type, record)),
+        counts,
+        retention_days: getRetentionDays(),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener la papelera.', error: error.message });
+    }
+  },
+
+  /**
+   * POST /api/trash/:type/:id/restore
+   * Restaura el registro y recalcula las estadísticas de la iglesia.
+   * Un evento vuelve a su serie si sigue vigente; si no, queda suelto.
+   */
+  async restore(req, res) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const record = await loadTrashed(req, res, transaction);
+      if (!record) {
+        await transaction.rollback();
+        return;
+      }
+
+      const { type } = req.params;
+      const result = await restoreRecord(type, record, { transaction });
+      await transaction.commit();
+
+      await recalculateTrashStats(type, record);
+
+      let message = MESSAGES[type][2];
+      if (result.detached_from_series) message += ' Quedó como evento suelto (ya no corresponde a su serie).';
+      res.json({ message, item: serialize(type, record), ...result });
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      res.status(500).json({ message: 'Error al restaurar el registro.', error: error.message });
+    }
+  },
+
+  /**
+   * DELETE /api/trash/:type/:id
+   * Elimina definitivamente el registro sin esperar la purga automática.
+   */
+  async purge(req, res) {
+    try {
+      const record = await loadTrashed(req, res);
+      if (!record) return;
+
+      await purgeRecord(req.params.type, record);
+      res.json({ message: MESSAGES[req.params.type][3] });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al eliminar definitivamente el registro.', error: error.message });
+    }
+  },
+};
+
+module.exports = trashController;
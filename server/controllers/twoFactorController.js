@@ -0,0 +1,193 @@
+/**
+ * twoFactorController.js - Verificación en dos pasos (TOTP)
+ *
+ * Segundo paso del login, alta / baja del 2FA del propio usuario, códigos de
+ * respaldo y restablecimiento por SuperAdmin. Lógica en utils/twoFactor.js.
+ */
+const { User, Role, Church, UserTwoFactor } = require('../models');
+const {
+  LOCK_MINUTES, isTwoFactorRequired, findTwoFactor, startEnrollment, verifyCode,
+  regenerateBackupCodes, verifyChallenge,
+} = require('../utils/twoFactor');
+const { createSession, revokeUserSessions } = require('../utils/sessions');
+const { recordSecurityEvent, checkIp, sendBlocked } = require('../utils/loginProtection');
+const { clientIp } = require('../utils/audit');
+
+/** Respuesta de error para un código no aceptado (o null si se aceptó) */
+function codeError(result) {
+  switch (result.status) {
+    case 'ok':
+      return null;
+    case 'locked':
+      return { status: 429, message: `Demasiados códigos incorrectos. Intente de nuevo en ${LOCK_MINUTES} minutos.` };
+    case 'not_configured':
+      return { status: 400, message: 'La verificación en dos pasos no está configurada.' };
+    default:
+      return {
+        status: 400,
+        message: `Código incorrecto. Le quedan ${result.remaining} intento${result.remaining === 1 ? '' : 's'}.`,
+      };
+  }
+}
+
+const twoFactorController = {
+  // POST /api/auth/login/2fa  { challenge_token, code }
+  // Segundo paso del login: código de la app o de respaldo. Si el usuario
+  // estaba configurando el 2FA (exigido por su rol), el código lo activa.
+  async completeLogin(req, res) {
+    try {
+      const { challenge_token, code } = req.body;
+      const userId = verifyChallenge(challenge_token);
+      if (!userId) {
+        return res.status(401).json({ message: 'La verificación expiró. Inicie sesión nuevamente.' });
+      }
+      if (!code) {
+        return res.status(400).json({ message: 'El código es requerido.' });
+      }
+
+      const check = await checkIp(clientIp(req));
+      if (!check.allowed) {
+        return sendBlocked(res, check);
+      }
+
+      const user = await User.findByPk(userId, {
+        include: [
+          { model: Role, as: 'role' },
+          { model: Church, as: 'church', attributes: ['id', 'name'] },
+        ],
+      });
+      if (!user || !user.is_active) {
+        return res.status(401).json({ message: 'Usuario no encontrado o inactivo.' });
+      }
+
+      const enrolling = !user.two_factor_enabled;
+      const record = await findTwoFactor(user.id);
+      const result = await verifyCode(record, code, { enrolling });
+      const error = codeError(result);
+      if (error) {
+        if (result.status !== 'not_configured') {
+          await recordSecurityEvent('two_factor_failed', { req, user, details: { reason: result.status } });
+        }
+        return res.status(error.status).json({ message: error.message });
+      }
+
+      if (enrolling) await user.update({ two_factor_enabled: true });
+      const { token, refresh_token } = await createSession(user, req);
+
+      res.json({
+        message: 'Inicio de sesión exitoso.',
+        token,
+        refresh_token,
+        user: user.toJSON(),
+        backup_codes: result.backupCodes,
+        backup_codes_remaining: result.usedBackup ? record.backup_code_hashes.length : undefined,
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al verificar el código.', error: error.message });
+    }
+  },
+
+  // GET /api/auth/2fa
+  async getStatus(req, res) {
+    try {
+      const record = await findTwoFactor(req.user.id);
+      res.json({
+        enabled: req.user.two_factor_enabled,
+        required: isTwoFactorRequired(req.user),
+        enabled_at: req.user.two_factor_enabled && record ? record.enabled_at : null,
+        backup_codes_remaining: req.user.two_factor_enabled && record ? record.backup_code_hashes.length : 0,
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener la verificación en dos pasos.', error: error.message });
+    }
+  },
+
+  // POST /api/auth/2fa/setup
+  // Nuevo secreto pendiente: se activa con POST /2fa/enable
+  async setup(req, res) {
+    try {
+      if (req.user.two_factor_enabled) {
+        return res.status(400).json({ message: 'La verificación en dos pasos ya está activada.' });
+      }
+      res.json(await startEnrollment(req.user));
+    } catch (error) {
+      res.status(500).json({ message: 'Error al configurar la verificación en dos pasos.', error: error.message });
+    }
+  },
+
+  // POST /api/auth/2fa/enable  { code }
+  async enable(req, res) {
+    try {
+      if (req.user.two_factor_enabled) {
+        return res.status(400).json({ message: 'La verificación en dos pasos ya está activada.' });
+      }
+      const result = await verifyCode(await findTwoFactor(req.user.id), req.body.code, { enrolling: true });
+      const error = codeError(result);
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+
+      await req.user.update({ two_factor_enabled: true });
+      res.json({ message: 'Verificación en dos pasos activada.', backup_codes: result.backupCodes });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al activar la verificación en dos pasos.', error: error.message });
+    }
+  },
+
+  // POST /api/auth/2fa/disable  { code }
+  async disable(req, res) {
+    try {
+      if (isTwoFactorRequired(req.user)) {
+        return res.status(403).json({ message: 'Tu rol requiere la verificación en dos pasos.' });
+      }
+      const record = await findTwoFactor(req.user.id);
+      const error = codeError(await verifyCode(record, req.body.code));
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+
+      await record.destroy();
+      await req.user.update({ two_factor_enabled: false });
+      res.json({ message: 'Verificación en dos pasos desactivada.' });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al desactivar la verificación en dos pasos.', error: error.message });
+    }
+  },
+
+  // POST /api/auth/2fa/backup-codes  { code }
+  // Reemplaza los códigos de respaldo (requiere un código de la app)
+  async regenerateBackupCodes(req, res) {
+    try {
+      const record = await findTwoFactor(req.user.id);
+      const error = codeError(await verifyCode(record, req.body.code, { allowBackup: false }));
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.json({ message: 'Códigos de respaldo generados.', backup_codes: await regenerateBackupCodes(record) });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al generar los códigos de respaldo.', error: error.message });
+    }
+  },
+
+  // POST /api/auth/admin-reset-2fa/:userId  (SuperAdmin)
+  // Recuperación: el usuario perdió la app y los códigos de respaldo. Se
+  // cierran sus sesiones; si su rol exige 2FA, lo configura al iniciar sesión.
+  async adminReset(req, res) {
+    try {
+      const user = await User.findByPk(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'Usuario no encontrado.' });
+      }
+
+      await UserTwoFactor.destroy({ where: { user_id: user.id } });
+      await user.update({ two_factor_enabled: false });
+      await revokeUserSessions(user.id, 'two_factor_reset');
+
+      res.json({ message: `Verificación en dos pasos de ${user.full_name} restablecida. Se cerraron sus sesiones abiertas.` });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al restablecer la verificación en dos pasos.', error: error.message });
+    }
+  },
+};
+
+module.exports = twoFactorController;
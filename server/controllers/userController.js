@@ -1,6 +1,9 @@
-const { User, Role, Church } = require('../models');
+const { User, Role, Church, SecurityEvent } = require('../models');
 const { Op } = require('sequelize');
 const { isSuperAdmin } = require('../middleware/auth');
+const { revokeUserSessions } = require('../utils/sessions');
+const { isLocked, unlockUser } = require('../utils/loginProtection');
+const { assignableRoleNames, canAssignRole } = require('../utils/permissions');
 
 const userController = {
   // GET /api/users
@@ -101,9 +104,9 @@ const userController = {
         return res.status(400).json({ message: 'Rol no válido.' });
       }
 
-      // Admin no puede crear SuperAdmins
-      if (!isSuperAdmin(req.user) && role.name === 'SuperAdmin') {
-        return res.status(403).json({ message: 'No tienes permiso para crear usuarios SuperAdmin.' });
+      // Admin no puede crear SuperAdmins (ni otros roles, Administradores)
+      if (!canAssignRole(req.user, role.name)) {
+        return res.status(403).json({ message: `No tienes permiso para crear usuarios ${role.name}.` });
       }
 
       // Admin solo puede crear usuarios para su iglesia
@@ -136,7 +139,7 @@ const userController = {
   // PUT /api/users/:id
   async update(req, res) {
     try {
-      const user = await User.findByPk(req.params.id);
+      const user = await User.findByPk(req.params.id, { include: [{ model: Role, as: 'role' }] });
       if (!user) {
         return res.status(404).json({ message: 'Usuario no encontrado.' });
       }
@@ -146,6 +149,10 @@ const userController = {
         return res.status(403).json({ message: 'No tienes acceso a este usuario.' });
       }
 
+      if (!canAssignRole(req.user, user.role?.name)) {
+        return res.status(403).json({ message: `No tienes permiso para editar usuarios ${user.role?.name}.` });
+      }
+
       const { email, full_name, role_id, church_id, is_active } = req.body;
 
       // Verificar email único
@@ -161,6 +168,17 @@ const userController = {
         ? (church_id !== undefined ? church_id : user.church_id)
         : user.church_id;
 
+      const roleChanged = !!role_id && parseInt(role_id) !== user.role_id;
+      if (roleChanged) {
+        const role = await Role.findByPk(role_id);
+        if (!role) {
+          return res.status(400).json({ message: 'Rol no válido.' });
+        }
+        if (!canAssignRole(req.user, role.name)) {
+          return res.status(403).json({ message: `No tienes permiso para asignar el rol ${role.name}.` });
+        }
+      }
+
       await user.update({
         email: email || user.email,
         full_name: full_name || user.full_name,
@@ -169,6 +187,14 @@ const userController = {
         is_active: is_active !== undefined ? is_active : user.is_active,
       });
 
+      // Cambio de rol o desactivación: el usuario debe volver a iniciar sesión
+      let sessionsRevoked = 0;
+      if (!user.is_active) {
+        sessionsRevoked = await revokeUserSessions(user.id, 'deactivated');
+      } else if (roleChanged) {
+        sessionsRevoked = await revokeUserSessions(user.id, 'role_change');
+      }
+
       const updatedUser = await User.findByPk(user.id, {
         include: [
           { model: Role, as: 'role', attributes: ['id', 'name'] },
@@ -177,7 +203,12 @@ const userController = {
         attributes: { exclude: ['password_hash'] },
       });
 
-      res.json({ message: 'Usuario actualizado exitosamente.', user: updatedUser });
+      res.json({
+        message: sessionsRevoked > 0
+          ? `Usuario actualizado exitosamente. Se cerraron sus ${sessionsRevoked} sesión(es) abiertas.`
+          : 'Usuario actualizado exitosamente.',
+        user: updatedUser,
+      });
     } catch (error) {
       res.status(500).json({ message: 'Error al actualizar usuario.', error: error.message });
     }
@@ -186,7 +217,7 @@ const userController = {
   // DELETE /api/users/:id
   async delete(req, res) {
     try {
-      const user = await User.findByPk(req.params.id);
+      const user = await User.findByPk(req.params.id, { include: [{ model: Role, as: 'role' }] });
       if (!user) {
         return res.status(404).json({ message: 'Usuario no encontrado.' });
       }
@@ -196,24 +227,78 @@ const userController = {
         return res.status(403).json({ message: 'No tienes acceso a este usuario.' });
       }
 
+      if (!canAssignRole(req.user, user.role?.name)) {
+        return res.status(403).json({ message: `No tienes permiso para eliminar usuarios ${user.role?.name}.` });
+      }
+
       if (user.id === req.user.id) {
         return res.status(400).json({ message: 'No puede eliminarse a sí mismo.' });
       }
 
       await user.destroy();
+      await revokeUserSessions(user.id, 'user_deleted');
       res.json({ message: 'Usuario eliminado exitosamente.' });
     } catch (error) {
       res.status(500).json({ message: 'Error al eliminar usuario.', error: error.message });
     }
   },
 
+  // POST /api/users/:id/unlock
+  // Desbloquea una cuenta bloqueada por intentos fallidos (utils/loginProtection.js)
+  async unlock(req, res) {
+    try {
+      const user = await User.findByPk(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: 'Usuario no encontrado.' });
+      }
+
+      if (!isSuperAdmin(req.user) && req.user.church_id !== user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este usuario.' });
+      }
+
+      if (!isLocked(user) && user.failed_login_attempts === 0) {
+        return res.status(400).json({ message: 'La cuenta no está bloqueada.' });
+      }
+
+      await unlockUser(user, req);
+      res.json({ message: `Cuenta de ${user.full_name} desbloqueada.` });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al desbloquear la cuenta.', error: error.message });
+    }
+  },
+
+  // GET /api/users/:id/security-events
+  // Últimos intentos fallidos, bloqueos y desbloqueos de la cuenta
+  async getSecurityEvents(req, res) {
+    try {
+      const user = await User.findByPk(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: 'Usuario no encontrado.' });
+      }
+
+      if (!isSuperAdmin(req.user) && req.user.church_id !== user.church_id) {
+        return res.status(403).json({ message: 'No tienes acceso a este usuario.' });
+      }
+
+      const events = await SecurityEvent.findAll({
+        where: { user_id: user.id },
+        order: [['createdAt', 'DESC']],
+        limit: 50,
+      });
+      res.json({ events });
+    } catch (error) {
+      res.status(500).json({ message: 'Error al obtener los eventos de seguridad.', error: error.message });
+    }
+  },
+
   // GET /api/users/roles/all
   async getRoles(req, res) {
     try {
       const where = {};
-      // Admin no ve SuperAdmin en la lista de roles
-      if (!isSuperAdmin(req.user)) {
-        where.name = { [Op.ne]: 'SuperAdmin' };
+      // Solo los roles que puede asignar (Admin no ve SuperAdmin)
+      const allowed = assignableRoleNames(req.user);
+      if (allowed) {
+        where.name = { [Op.in]: allowed };
       }
       const roles = await Role.findAll({ where, order: [['id', 'ASC']] });
       res.json({ roles });
@@ -0,0 +1,290 @@
+/**
+ * whatsappWebhookController.js - Webhook de WhatsApp Business Cloud (Meta)
+ *
+ * Endpoints (sin autenticación JWT; Meta firma cada POST):
+ * - GET  /api/notifications/webhook → Verificación (hub.mode / hub.verify_token / hub.challenge)
+ * - POST /api/notifications/webhook → Estados de entrega y mensajes entrantes
+ *
+ * ESTADOS: cada recordatorio enviado queda en notification_logs
+ * (provider_message_id = wamid de Meta).
+ * Meta reporta sent → delivered → read (o failed) y se guarda el avance.
+ *
+ * RESPUESTAS: "Confirmo" / "No puedo" (botón de respuesta rápida o texto)
+ * actualizan la asignación del rol igual que el enlace /confirmar/:token.
+ * Se busca el recordatorio citado (context.id); si el miembro escribió sin
+ * citar, el último recordatorio enviado a su número para un culto futuro.
+ *
+ * BAJA / STOP: el miembro deja de recibir mensajes por WhatsApp (queda en su
+ * historial de consentimiento); ALTA / START lo vuelve a activar. Se aplica a
+ * todos los miembros registrados con ese número (ver utils/consent.js).
+ *
+ * CONFIGURACIÓN en .env:
+ *   WHATSAPP_VERIFY_TOKEN=texto que se escribe en Meta al registrar el webhook
+ *   WHATSAPP_APP_SECRET=clave secreta de la app (valida X-Hub-Signature-256)
+ *
+ * Prueba local con un payload falso: npm run webhook:fake (scripts/fakeWhatsAppWebhook.js)
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { NotificationLog, EventRoleAssignment, Event } = require('../models');
+const { sendWhatsAppMessage } = require('../utils/whatsappService');
+const { parseConsentKeyword, findMembersByPhone, recordConsent } = require('../utils/consent');
+
+/** Orden de los estados de entrega (un estado no retrocede) */
+const STATUS_ORDER = { sent: 1, delivered: 2, read: 3 };
+
+/** Respuestas reconocidas (ya normalizadas: minúsculas, sin tildes ni signos) */
+const CONFIRM_REPLIES = ['confirmo', 'confirmar', 'confirmado', 'si', 'si puedo', 'si confirmo', 'confirm'];
+const DECLINE_REPLIES = ['no puedo', 'no', 'no podre', 'no puedo asistir', 'declino', 'decline'];
+
+/** Respuesta automática al miembro (dentro de la ventana de 24h que abrió su mensaje) */
+const ACK_MESSAGES = {
+  confirmed: '¡Gracias! Tu participación quedó confirmada. 🙌',
+  declined: 'Gracias por avisar. Le informaremos a la iglesia para buscar un reemplazo. 🙏',
+  stop: 'Listo, no recibirás más mensajes de la iglesia por WhatsApp. Si cambias de opinión, escribe ALTA.',
+  start: '¡Bienvenido de nuevo! Volverás a recibir los mensajes de la iglesia por WhatsApp. Escribe BAJA para dejar de recibirlos.',
+};
+
+/**
+ * Valida la firma X-Hub-Signature-256 (HMAC-SHA256 del body crudo con el
+ * App Secret). Sin WHATSAPP_APP_SECRET solo se acepta fuera de producción.
+ */
+function isValidSignature(req) {
+  const secret = process.env.WHATSAPP_APP_SECRET;
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') return false;
+    console.warn('[WEBHOOK] ⚠️ WHATSAPP_APP_SECRET no configurado: firma sin validar (solo desarrollo).');
+    return true;
+  }
+
+  const header = req.get('X-Hub-Signature-256') || '';
+  if (!req.rawBody || !header.startsWith('sha256=')) return false;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex'));
+  const received = Buffer.from(header.slice('sha256='.length));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function normalizeReply(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Texto de la respuesta y estado que representa ('confirmed' | 'declined' | null).
+ * Botón de template: message.button { text, payload }
+ * Botón interactivo: message.interactive.button_reply { id, title }
+ * Texto libre:       message.text.body
+ */
+function parseReply(message) {
+  const candidates = [
+    message.button?.payload,
+    message.button?.text,
+    message.interactive?.button_reply?.id,
+    message.interactive?.button_reply?.title,
+    message.text?.body,
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const normalized = normalizeReply(candidate);
+    if (CONFIRM_REPLIES.includes(normalized)) return { text: candidate, status: 'confirmed' };
+    if (DECLINE_REPLIES.includes(normalized)) return { text: candidate, status: 'declined' };
+  }
+  return { text: candidates[0] || null, status: null };
+}
+
+/** Texto libre del mensaje entrante (para las palabras clave BAJA / ALTA) */
+function messageText(message) {
+  return message.text?.body || message.button?.text || message.interactive?.button_reply?.title || null;
+}
+
+/**
+ * BAJA / ALTA: registra el consentimiento de WhatsApp de los miembros con
+ * ese número. @returns {boolean} true si el mensaje era una palabra clave
+ */
+async function processConsentKeyword(message) {
+  const text = messageText(message);
+  const keyword = parseConsentKeyword(normalizeReply(text));
+  if (!keyword) return false;
+
+  const members = await findMembersByPhone(message.from);
+  if (members.length === 0) {
+    console.log(`[WEBHOOK] "${text}" de ${message.from}: número sin miembro registrado.`);
+  }
+  for (const member of members) {
+    await recordConsent(member, 'whatsapp', keyword === 'start', {
+      source: 'keyword', note: `Mensaje recibido por WhatsApp: "${text}"`,
+    });
+  }
+  console.log(`[WEBHOOK] ${message.from}: ${keyword === 'stop' ? 'baja' : 'alta'} de WhatsApp (${members.length} miembro(s)).`);
+
+  // Confirmación (respuesta al mensaje del miembro; es el último mensaje si se dio de baja)
+  await sendWhatsAppMessage(`+${message.from}`, ACK_MESSAGES[keyword]);
+  return true;
+}
+
+/** Actualiza el estado de entrega de un mensaje enviado por el sistema */
+async function processStatus(statusObj) {
+  const message = await NotificationLog.findOne({ where: { provider_message_id: statusObj.id } });
+  if (!message) return false; // mensaje no enviado por este sistema
+
+  const at = statusObj.timestamp ? new Date(parseInt(statusObj.timestamp, 10) * 1000) : new Date();
+  const changes = {};
+
+  if (statusObj.status === 'failed') {
+    changes.status = 'failed';
+    changes.failed_at = at;
+    changes.error = (statusObj.errors || [])
+      .map((e) => `${e.code}: ${e.error_data?.details || e.message || e.title}`)
+      .join('; ') || null;
+  } else if (STATUS_ORDER[statusObj.status]) {
+    // Meta puede enviar "read" antes que "delivered": el estado solo avanza
+    if (message.status !== 'failed' && STATUS_ORDER[statusObj.status] > STATUS_ORDER[message.status]) {
+      changes.status = statusObj.status;
+    }
+    if (['delivered', 'read'].includes(statusObj.status) && !message.delivered_at) changes.delivered_at = at;
+    if (statusObj.status === 'read' && !message.read_at) changes.read_at = at;
+  }
+
+  if (Object.keys(changes).length === 0) return true;
+  await message.update(changes);
+  return true;
+}
+
+/**
+ * Recordatorio al que responde el miembro: el citado (context.id) o,
+ * si escribió sin citar, el último enviado a su número para un culto futuro.
+ */
+async function findReplyTarget(message) {
+  const include = [{
+    model: EventRoleAssignment, as: 'assignment', required: true,
+    include: [{ model: Event, as: 'event', required: true, attributes: ['id', 'title', 'start_date'] }],
+  }];
+
+  if (message.context?.id) {
+    const quoted = await NotificationLog.findOne({ where: { provider_message_id: message.context.id }, include });
+    if (quoted) return quoted;
+  }
+
+  include[0].include[0].where = { start_date: { [Op.gt]: new Date() } };
+  return NotificationLog.findOne({
+    where: { channel: 'whatsapp', recipient: message.from, provider_message_id: { [Op.ne]: null } },
+    include,
+    order: [['id', 'DESC']],
+  });
+}
+
+/** Aplica una respuesta "Confirmo" / "No puedo" a la asignación del rol */
+async function processReply(message) {
+  const reply = parseReply(message);
+  if (!reply.status) {
+    console.log(`[WEBHOOK] Mensaje de ${message.from} sin respuesta reconocida: "${reply.text || message.type}"`);
+    return false;
+  }
+
+  const sent = await findReplyTarget(message);
+  if (!sent) {
+    console.log(`[WEBHOOK] Respuesta de ${message.from} sin recordatorio asociado.`);
+    return false;
+  }
+
+  const { assignment } = sent;
+  if (new Date(assignment.event.start_date) <= new Date()) {
+    console.log(`[WEBHOOK] Respuesta de ${message.from} para un culto que ya comenzó (evento ${assignment.event.id}).`);
+    return false;
+  }
+
+  const at = message.timestamp ? new Date(parseInt(message.timestamp, 10) * 1000) : new Date();
+  await assignment.update({ status: reply.status, responded_at: at });
+  await sent.update({ reply_text: String(reply.text).slice(0, 255), replied_at: at });
+
+  console.log(`[WEBHOOK] Asignación ${assignment.id} (evento ${assignment.event.id}): ${reply.status} por WhatsApp`);
+
+  // El acuse es opcional: si falla no se reintenta el webhook
+  // "from" ya trae el código de país: el "+" evita que se le anteponga otro
+  await sendWhatsAppMessage(`+${message.from}`, ACK_MESSAGES[reply.status]);
+  return true;
+}
+
+const whatsappWebhookController = {
+  /**
+   * GET /api/notifications/webhook
+   * Meta envía hub.mode=subscribe, hub.verify_token y hub.challenge;
+   * se responde el challenge si el token coincide con WHATSAPP_VERIFY_TOKEN.
+   */
+  verify(req, res) {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+    const expected = process.env.WHATSAPP_VERIFY_TOKEN;
+
+    if (mode === 'subscribe' && expected && token === expected) {
+      console.log('[WEBHOOK] ✅ Webhook verificado por Meta.');
+      return res.status(200).send(String(challenge || ''));
+    }
+
+    console.warn('[WEBHOOK] ❌ Verificación rechazada (hub.verify_token no coincide).');
+    return res.sendStatus(403);
+  },
+
+  /**
+   * POST /api/notifications/webhook
+   * Payload: { object: 'whatsapp_business_account', entry: [{ changes: [{ value: { statuses, messages } }] }] }
+   * Responde 200 con un resumen (Meta reintenta si la respuesta no es 2xx).
+   * Con la firma válida, un error al procesar un estado o mensaje se registra
+   * y se sigue con los demás: reintentar el mismo payload no lo arreglaría.
+   */
+  async receive(req, res) {
+    if (!isValidSignature(req)) {
+      return res.status(403).json({ message: 'Firma del webhook inválida.' });
+    }
+
+    const body = req.body || {};
+    if (body.object !== 'whatsapp_business_account') {
+      return res.status(400).json({ message: 'Payload de webhook no reconocido.' });
+    }
+
+    try {
+      const summary = {
+        statuses: 0, replies: 0, consent: 0, ignored: 0, errors: 0,
+      };
+
+      for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+          const value = change.value || {};
+
+          for (const statusObj of value.statuses || []) {
+            try {
+              if (await processStatus(statusObj)) summary.statuses++;
+              else summary.ignored++;
+            } catch (error) {
+              console.error(`[WEBHOOK ERROR] Estado ${statusObj.id}:`, error);
+              summary.errors++;
+            }
+          }
+
+          for (const message of value.messages || []) {
+            try {
+              if (await processConsentKeyword(message)) summary.consent++;
+              else if (await processReply(message)) summary.replies++;
+              else summary.ignored++;
+            } catch (error) {
+              console.error(`[WEBHOOK ERROR] Mensaje ${message.id}:`, error);
+              summary.errors++;
+            }
+          }
+        }
+      }
+
+      res.json({ received: true, ...summary });
+    } catch (error) {
+      console.error('[WEBHOOK ERROR]', error);
+      res.json({ received: true, error: 'Error al procesar el webhook.' });
+    }
+  },
+};
+
+module.exports = whatsappWebhookController;
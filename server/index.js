@@ -20,6 +20,10 @@ const routes = require('./routes');
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Detrás de un proxy (Render): req.ip toma la IP del cliente del último salto
+// de X-Forwarded-For, no el valor que manda el propio cliente
+app.set('trust proxy', 1);
+
 // =============================================
 // MIDDLEWARE
 // =============================================
@@ -34,7 +38,13 @@ app.use(cors({
   credentials: true,
 }));
 
-app.use(express.json({ limit: '10mb' }));
+// El webhook de WhatsApp necesita el body crudo para validar la firma de Meta
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/notifications/webhook')) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Archivos estáticos (uploads)
@@ -110,6 +120,10 @@ const start = async () => {
     // Iniciar scheduler de notificaciones WhatsApp (cron jobs)
     const { startNotificationScheduler } = require('./utils/notificationScheduler');
     startNotificationScheduler();
+
+    // Purga diaria de la papelera (miembros, eventos y actas eliminados)
+    const { startTrashPurge } = require('./utils/trash');
+    startTrashPurge();
   } catch (dbError) {
     console.error('❌ Error al verificar BD:', dbError.message);
     process.exit(1);
@@ -1,8 +1,13 @@
 const jwt = require('jsonwebtoken');
 const { User, Role } = require('../models');
+const { runWithAuditContext } = require('../utils/audit');
+const { isSessionActive } = require('../utils/sessions');
+const { getUserPermissions } = require('../utils/permissions');
 
 /**
  * Middleware: Verificar token JWT
+ * El token debe pertenecer a una sesión abierta (utils/sessions.js): al
+ * cerrar sesión o revocarla, sus tokens dejan de servir aunque no hayan vencido.
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -14,6 +19,10 @@ const authenticate = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({ message: 'Sesión cerrada. Inicie sesión nuevamente.' });
+    }
+
     const user = await User.findByPk(decoded.id, {
       include: [{ model: Role, as: 'role' }],
       attributes: { exclude: ['password_hash'] },
@@ -24,7 +33,9 @@ const authenticate = async (req, res, next) => {
     }
 
     req.user = user;
-    next();
+    req.sessionId = decoded.sid;
+    // Usuario e IP para la auditoría de los cambios de esta petición (utils/audit.js)
+    runWithAuditContext(req, next);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ message: 'Token expirado. Inicie sesión nuevamente.' });
@@ -36,6 +47,8 @@ const authenticate = async (req, res, next) => {
 /**
  * Middleware: Verificar roles permitidos
  * SuperAdmin SIEMPRE tiene acceso (bypass automático).
+ * Las rutas usan requirePermission; authorize('SuperAdmin') queda para las
+ * acciones que no dependen de una iglesia (crear / eliminar iglesias, 2FA).
  * @param  {...string} roles - Roles permitidos
  */
 const authorize = (...roles) => {
@@ -59,6 +72,38 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Middleware: Verificar permisos (catálogo en utils/permissions.js)
+ * Basta con tener uno de los permisos indicados. Los permisos del rol
+ * dependen de la iglesia del usuario; se calculan una vez por petición
+ * (req.permissions). SuperAdmin SIEMPRE tiene acceso.
+ * @param  {...string} permissions - Permisos aceptados
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user || !req.user.role) {
+      return res.status(403).json({ message: 'Acceso denegado.' });
+    }
+
+    try {
+      if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user);
+      }
+    } catch (error) {
+      return res.status(500).json({ message: 'Error al verificar permisos.', error: error.message });
+    }
+
+    if (!permissions.some((permission) => req.permissions.includes(permission))) {
+      return res.status(403).json({
+        message: 'Acceso denegado. No tiene permiso para esta acción.',
+        permission: permissions[0],
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Middleware: Verificar que el usuario pertenece a la iglesia.
  * SuperAdmin tiene acceso a todas las iglesias (bypass tenant).
@@ -119,4 +164,4 @@ const applyTenantFilter = (where, user) => {
   return where;
 };
 
-module.exports = { authenticate, authorize, belongsToChurch, isSuperAdmin, applyTenantFilter };
+module.exports = { authenticate, authorize, requirePermission, belongsToChurch, isSuperAdmin, applyTenantFilter };
@@ -17,6 +17,7 @@
  * Solución: crear la columna y FK manualmente antes del sync.
  */
 const { sequelize } = require('../models');
+const { DEFAULT_SERVICE_ROLES } = require('../utils/serviceRoles');
 
 const runMigrations = async () => {
   try {
@@ -271,42 +272,101 @@ const runMigrations = async () => {
       console.warn('   ⚠️  weekly_attendances:', e.message);
     }
 
-    // --- 4h. Columnas de roles de culto en events ---
-    // preacher_id, worship_leader_id, singer_id → FK a members
-    // Estos campos almacenan quién predica (P), dirige (D) y canta (C)
-    // en eventos tipo Culto.
-    const cultoRoleCols = [
-      { col: 'preacher_id', fk: 'events_preacher_id_fkey' },
-      { col: 'worship_leader_id', fk: 'events_worship_leader_id_fkey' },
-      { col: 'singer_id', fk: 'events_singer_id_fkey' },
-    ];
-    for (const { col, fk } of cultoRoleCols) {
-      try {
+    // --- 4h. Roles de culto configurables por iglesia ---
+    // ANTES: columnas fijas events.preacher_id / worship_leader_id / singer_id.
+    // AHORA: catálogo service_roles (por iglesia) + event_role_assignments
+    // (varios miembros por rol). Se crean las tablas, se generan los roles
+    // por defecto (P, D, C) para cada iglesia, se MUEVEN las asignaciones
+    // existentes y recién entonces se eliminan las columnas viejas.
+    try {
+      const [srTable] = await sequelize.query(
+        `SELECT table_name FROM information_schema.tables
+         WHERE table_schema = 'public' AND table_name = 'service_roles'`
+      );
+      if (srTable.length === 0) {
+        await sequelize.query(`
+          CREATE TABLE service_roles (
+            id SERIAL PRIMARY KEY,
+            church_id INTEGER NOT NULL REFERENCES churches(id) ON DELETE CASCADE,
+            name VARCHAR(100) NOT NULL,
+            abbreviation VARCHAR(5) NOT NULL,
+            reminder_text VARCHAR(150),
+            members_needed INTEGER NOT NULL DEFAULT 1,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+          )
+        `);
+        console.log('   ✅ Tabla service_roles creada.');
+      }
+
+      const [eraTable] = await sequelize.query(
+        `SELECT table_name FROM information_schema.tables
+         WHERE table_schema = 'public' AND table_name = 'event_role_assignments'`
+      );
+      if (eraTable.length === 0) {
+        await sequelize.query(`
+          CREATE TABLE event_role_assignments (
+            id SERIAL PRIMARY KEY,
+            event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE ON UPDATE CASCADE,
+            service_role_id INTEGER NOT NULL REFERENCES service_roles(id) ON DELETE CASCADE ON UPDATE CASCADE,
+            member_id INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE ON UPDATE CASCADE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+          )
+        `);
+        // Mismo nombre que genera Sequelize para el índice del modelo (evita duplicarlo en sync)
+        await sequelize.query(`
+          CREATE UNIQUE INDEX event_role_assignments_event_id_service_role_id_member_id
+          ON event_role_assignments (event_id, service_role_id, member_id)
+        `);
+        console.log('   ✅ Tabla event_role_assignments creada.');
+      }
+
+      // Roles por defecto para cada iglesia que aún no tenga catálogo
+      const defaultValues = DEFAULT_SERVICE_ROLES
+        .map((_, i) => `(:name${i}, :abbreviation${i}, :reminder_text${i}, ${DEFAULT_SERVICE_ROLES[i].sort_order})`)
+        .join(', ');
+      const defaultReplacements = {};
+      DEFAULT_SERVICE_ROLES.forEach((role, i) => {
+        defaultReplacements[`name${i}`] = role.name;
+        defaultReplacements[`abbreviation${i}`] = role.abbreviation;
+        defaultReplacements[`reminder_text${i}`] = role.reminder_text;
+      });
+      await sequelize.query(`
+        INSERT INTO service_roles (church_id, name, abbreviation, reminder_text, sort_order, members_needed, is_active, created_at, updated_at)
+        SELECT c.id, v.name, v.abbreviation, v.reminder_text, v.sort_order, 1, TRUE, NOW(), NOW()
+        FROM churches c
+        CROSS JOIN (VALUES ${defaultValues}) AS v(name, abbreviation, reminder_text, sort_order)
+        WHERE NOT EXISTS (SELECT 1 FROM service_roles sr WHERE sr.church_id = c.id)
+      `, { replacements: defaultReplacements });
+
+      // Mover asignaciones de las columnas viejas y eliminarlas
+      for (const role of DEFAULT_SERVICE_ROLES) {
+        const col = role.legacy_column;
         const [colExists] = await sequelize.query(`
           SELECT column_name FROM information_schema.columns
           WHERE table_name = 'events' AND column_name = '${col}'
         `);
-        if (colExists.length === 0) {
-          await sequelize.query(`ALTER TABLE events ADD COLUMN ${col} INTEGER DEFAULT NULL`);
-          console.log(`   ✅ Columna events.${col} agregada.`);
-        }
-        // FK: ON DELETE SET NULL para que si se borra el miembro no se borre el evento
-        const [fkExists] = await sequelize.query(`
-          SELECT constraint_name FROM information_schema.table_constraints
-          WHERE table_name = 'events' AND constraint_type = 'FOREIGN KEY'
-            AND constraint_name = '${fk}'
-        `);
-        if (fkExists.length === 0) {
-          await sequelize.query(`
-            ALTER TABLE events ADD CONSTRAINT ${fk}
-            FOREIGN KEY (${col}) REFERENCES members(id)
-            ON DELETE SET NULL ON UPDATE CASCADE
-          `);
-          console.log(`   ✅ FK events.${col} → members creada.`);
-        }
-      } catch (e) {
-        console.warn(`   ⚠️  events.${col}:`, e.message);
+        if (colExists.length === 0) continue;
+
+        await sequelize.transaction(async (transaction) => {
+          const [, moved] = await sequelize.query(`
+            INSERT INTO event_role_assignments (event_id, service_role_id, member_id, created_at, updated_at)
+            SELECT e.id, sr.id, e.${col}, NOW(), NOW()
+            FROM events e
+            JOIN service_roles sr ON sr.church_id = e.church_id AND sr.name = :name
+            JOIN members m ON m.id = e.${col}
+            WHERE e.${col} IS NOT NULL
+            ON CONFLICT DO NOTHING
+          `, { replacements: { name: role.name }, transaction });
+          await sequelize.query(`ALTER TABLE events DROP COLUMN ${col}`, { transaction });
+          console.log(`   ✅ events.${col} → event_role_assignments (${moved || 0} asignaciones movidas, columna eliminada).`);
+        });
       }
+    } catch (e) {
+      console.warn('   ⚠️  service_roles / event_role_assignments:', e.message);
     }
 
     // --- 4i. Columnas de horarios de notificación en churches ---
@@ -331,6 +391,355 @@ const runMigrations = async () => {
       }
     }
 
+    // --- 4j. Eventos recurrentes: tabla event_series + events.series_id ---
+    // La tabla debe existir antes de crear la FK desde events.
+    try {
+      const [esTable] = await sequelize.query(
+        `SELECT table_name FROM information_schema.tables
+         WHERE table_schema = 'public' AND table_name = 'event_series'`
+      );
+      if (esTable.length === 0) {
+        await sequelize.query(`
+          CREATE TABLE event_series (
+            id SERIAL PRIMARY KEY,
+            church_id INTEGER NOT NULL REFERENCES churches(id) ON DELETE CASCADE,
+            frequency VARCHAR(20) NOT NULL,
+            weekdays JSONB NOT NULL DEFAULT '[]',
+            start_date TIMESTAMP WITH TIME ZONE NOT NULL,
+            until_date DATE,
+            occurrence_count INTEGER,
+            excluded_dates JSONB NOT NULL DEFAULT '[]',
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+          )
+        `);
+        console.log('   ✅ Tabla event_series creada.');
+      }
+
+      const [seriesCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'events' AND column_name = 'series_id'
+      `);
+      if (seriesCol.length === 0) {
+        await sequelize.query(`ALTER TABLE events ADD COLUMN series_id INTEGER DEFAULT NULL`);
+        console.log('   ✅ Columna events.series_id agregada.');
+      }
+
+      // FK: ON DELETE SET NULL para que borrar la serie no borre eventos con historial
+      const [seriesFk] = await sequelize.query(`
+        SELECT constraint_name FROM information_schema.table_constraints
+        WHERE table_name = 'events' AND constraint_type = 'FOREIGN KEY'
+          AND constraint_name = 'events_series_id_fkey'
+      `);
+      if (seriesFk.length === 0) {
+        await sequelize.query(`
+          ALTER TABLE events ADD CONSTRAINT events_series_id_fkey
+          FOREIGN KEY (series_id) REFERENCES event_series(id)
+          ON DELETE SET NULL ON UPDATE CASCADE
+        `);
+        console.log('   ✅ FK events.series_id → event_series creada.');
+      }
+    } catch (e) {
+      console.warn('   ⚠️  event_series:', e.message);
+    }
+
+    // --- 4k. Disponibilidad de miembros para roles de culto ---
+    // La tabla member_blackouts la crea sync (tabla nueva, sin ALTER).
+    try {
+      const [pwCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'members' AND column_name = 'preferred_weekdays'
+      `);
+      if (pwCol.length === 0) {
+        await sequelize.query(`ALTER TABLE members ADD COLUMN preferred_weekdays JSONB NOT NULL DEFAULT '[]'`);
+        console.log('   ✅ Columna members.preferred_weekdays agregada.');
+      }
+
+      const [maxCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'members' AND column_name = 'max_assignments_per_month'
+      `);
+      if (maxCol.length === 0) {
+        await sequelize.query(`ALTER TABLE members ADD COLUMN max_assignments_per_month INTEGER DEFAULT NULL`);
+        console.log('   ✅ Columna members.max_assignments_per_month agregada.');
+      }
+    } catch (e) {
+      console.warn('   ⚠️  members availability columns:', e.message);
+    }
+
+    // --- 4l. Confirmación de roles de culto por el miembro ---
+    // status + token del enlace público. Las asignaciones existentes quedan
+    // 'pending' con un token aleatorio (NOT NULL + UNIQUE).
+    try {
+      const [statusCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'event_role_assignments' AND column_name = 'status'
+      `);
+      if (statusCol.length === 0) {
+        await sequelize.query(`
+          ALTER TABLE event_role_assignments
+            ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            ADD COLUMN responded_at TIMESTAMP WITH TIME ZONE,
+            ADD COLUMN response_note VARCHAR(255)
+        `);
+        console.log('   ✅ Columnas de confirmación agregadas a event_role_assignments.');
+      }
+
+      const [tokenCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'event_role_assignments' AND column_name = 'confirmation_token'
+      `);
+      if (tokenCol.length === 0) {
+        await sequelize.transaction(async (transaction) => {
+          await sequelize.query(
+            'ALTER TABLE event_role_assignments ADD COLUMN confirmation_token VARCHAR(64)',
+            { transaction },
+          );
+          await sequelize.query(`
+            UPDATE event_role_assignments
+            SET confirmation_token = md5(random()::text || clock_timestamp()::text || id::text)
+                                  || md5(random()::text || id::text)
+          `, { transaction });
+          await sequelize.query(
+            'ALTER TABLE event_role_assignments ALTER COLUMN confirmation_token SET NOT NULL',
+            { transaction },
+          );
+          await sequelize.query(`
+            ALTER TABLE event_role_assignments
+            ADD CONSTRAINT event_role_assignments_confirmation_token_key UNIQUE (confirmation_token)
+          `, { transaction });
+        });
+        console.log('   ✅ Columna event_role_assignments.confirmation_token agregada.');
+      }
+    } catch (e) {
+      console.warn('   ⚠️  event_role_assignments confirmation:', e.message);
+    }
+
+    // --- 4m. whatsapp_messages → notification_logs ---
+    // El historial de notificaciones reemplaza a la tabla de mensajes del
+    // webhook; se conserva lo ya registrado. Las columnas nuevas las agrega sync.
+    try {
+      const [tables] = await sequelize.query(`
+        SELECT table_name FROM information_schema.tables
+        WHERE table_name IN ('whatsapp_messages', 'notification_logs')
+      `);
+      const names = tables.map((t) => t.table_name);
+      if (names.includes('whatsapp_messages') && !names.includes('notification_logs')) {
+        await sequelize.transaction(async (transaction) => {
+          await sequelize.query('ALTER TABLE whatsapp_messages RENAME TO notification_logs', { transaction });
+          await sequelize.query('ALTER TABLE notification_logs RENAME COLUMN wamid TO provider_message_id', { transaction });
+          await sequelize.query('ALTER TABLE notification_logs RENAME COLUMN phone TO recipient', { transaction });
+          await sequelize.query(`
+            ALTER TABLE notification_logs
+              ALTER COLUMN provider_message_id DROP NOT NULL,
+              ALTER COLUMN recipient DROP NOT NULL,
+              ALTER COLUMN recipient TYPE VARCHAR(100)
+          `, { transaction });
+          await sequelize.query(`
+            ALTER TABLE notification_logs
+            RENAME CONSTRAINT whatsapp_messages_wamid_key TO notification_logs_provider_message_id_key
+          `, { transaction });
+        });
+        console.log('   ✅ Tabla whatsapp_messages renombrada a notification_logs.');
+      }
+    } catch (e) {
+      console.warn('   ⚠️  notification_logs:', e.message);
+    }
+
+    // --- 4n. Zona horaria y código de país por iglesia ---
+    // Las iglesias existentes quedan en Panamá (+507), como antes.
+    try {
+      const [tzCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'churches' AND column_name = 'timezone'
+      `);
+      if (tzCol.length === 0) {
+        await sequelize.query(`
+          ALTER TABLE churches
+            ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'America/Panama',
+            ADD COLUMN default_country_code VARCHAR(4) NOT NULL DEFAULT '507'
+        `);
+        console.log('   ✅ Columnas churches.timezone y default_country_code agregadas.');
+      }
+    } catch (e) {
+      console.warn('   ⚠️  churches timezone:', e.message);
+    }
+
+    // --- 4o. Canales de notificación por miembro ---
+    // [] = orden por defecto (NOTIFICATION_CHANNEL_ORDER). recipient crece
+    // a 150 para guardar correos (notification_logs.channel = 'email').
+    try {
+      const [chCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'members' AND column_name = 'notification_channels'
+      `);
+      if (chCol.length === 0) {
+        await sequelize.query(`ALTER TABLE members ADD COLUMN notification_channels JSONB NOT NULL DEFAULT '[]'`);
+        console.log('   ✅ Columna members.notification_channels agregada.');
+      }
+      await sequelize.query('ALTER TABLE notification_logs ALTER COLUMN recipient TYPE VARCHAR(150)');
+    } catch (e) {
+      console.warn('   ⚠️  notification channels:', e.message);
+    }
+
+    // --- 4p. Anuncios masivos (broadcasts) ---
+    // La tabla broadcasts la crea sync; aquí solo columnas de tablas existentes.
+    try {
+      const [optCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'members' AND column_name = 'announcements_opt_out'
+      `);
+      if (optCol.length === 0) {
+        await sequelize.query('ALTER TABLE members ADD COLUMN announcements_opt_out BOOLEAN NOT NULL DEFAULT false');
+        console.log('   ✅ Columna members.announcements_opt_out agregada.');
+      }
+      const [bcCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'notification_logs' AND column_name = 'broadcast_id'
+      `);
+      if (bcCol.length === 0) {
+        await sequelize.query('ALTER TABLE notification_logs ADD COLUMN broadcast_id INTEGER');
+        console.log('   ✅ Columna notification_logs.broadcast_id agregada.');
+      }
+    } catch (e) {
+      console.warn('   ⚠️  broadcasts:', e.message);
+    }
+
+    // --- 4q. Consentimiento de contacto por canal ---
+    // Historial en member_consent_events (lo crea sync). Null = sin registro.
+    try {
+      const [consentCol] = await sequelize.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'members' AND column_name = 'whatsapp_consent'
+      `);
+      if (consentCol.length === 0) {
+        for (const channel of ['whatsapp', 'email', 'sms']) {
+          await sequelize.query(`
+            ALTER TABLE members
+              ADD COLUMN ${channel}_consent BOOLEAN,
+              ADD COLUMN ${channel}_consent_at TIMESTAMPTZ,
+              ADD COLUMN ${channel}_consent_source VARCHAR(20)
+          `);
+        }
+        console.log('   ✅ Columnas de consentimiento en members agregadas.');
+      }
+    } catch (e) {
+      console.warn('   ⚠️  consentimiento:', e.message);
+    }
+
+    // --- 4r. Saludos de cumpleaños y aniversarios ---
+    // Hora de los saludos por iglesia + fechas de bautismo y boda del miembro
+    const greetingCols = [
+      { table: 'churches', col: 'notification_greeting_hour', type: 'INTEGER DEFAULT 8' },
+      { table: 'members', col: 'baptism_date', type: 'DATE' },
+      { table: 'members', col: 'wedding_date', type: 'DATE' },
+    ];
+    for (const { table, col, type } of greetingCols) {
+      try {
+        const [colExists] = await sequelize.query(`
+          SELECT column_name FROM information_schema.columns
+          WHERE table_name = '${table}' AND column_name = '${col}'
+        `);
+        if (colExists.length === 0) {
+          await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${col} ${type}`);
+          console.log(`   ✅ Columna ${table}.${col} agregada.`);
+        }
+      } catch (e) {
+        console.warn(`   ⚠️  ${table}.${col}:`, e.message);
+      }
+    }
+
+    // --- 4s. Hogares ---
+    // La tabla households la crea sync; aquí el hogar y parentesco del miembro
+    const householdCols = [
+      { col: 'household_id', type: 'INTEGER' },
+      { col: 'household_relationship', type: 'VARCHAR(20)' },
+      { col: 'inherit_household_address', type: 'BOOLEAN NOT NULL DEFAULT false' },
+      { col: 'inherit_household_phone', type: 'BOOLEAN NOT NULL DEFAULT false' },
+    ];
+    for (const { col, type } of householdCols) {
+      try {
+        const [colExists] = await sequelize.query(`
+          SELECT column_name FROM information_schema.columns
+          WHERE table_name = 'members' AND column_name = '${col}'
+        `);
+        if (colExists.length === 0) {
+          await sequelize.query(`ALTER TABLE members ADD COLUMN ${col} ${type}`);
+          console.log(`   ✅ Columna members.${col} agregada.`);
+        }
+      } catch (e) {
+        console.warn(`   ⚠️  members.${col}:`, e.message);
+      }
+    }
+
+    // --- 4t. Estado del miembro (activo / inactivo / fallecido) ---
+    // La historia (member_timeline_events) la crea sync; ver PASO 5b
+    const statusCols = [
+      { col: 'status', type: "VARCHAR(20) NOT NULL DEFAULT 'active'" },
+      { col: 'status_date', type: 'DATE' },
+    ];
+    for (const { col, type } of statusCols) {
+      try {
+        const [colExists] = await sequelize.query(`
+          SELECT column_name FROM information_schema.columns
+          WHERE table_name = 'members' AND column_name = '${col}'
+        `);
+        if (colExists.length === 0) {
+          await sequelize.query(`ALTER TABLE members ADD COLUMN ${col} ${type}`);
+          console.log(`   ✅ Columna members.${col} agregada.`);
+        }
+      } catch (e) {
+        console.warn(`   ⚠️  members.${col}:`, e.message);
+      }
+    }
+
+    // --- 4u. Papelera (paranoid) en miembros, eventos y actas ---
+    // Purga automática según TRASH_RETENTION_DAYS (ver utils/trash.js)
+    for (const table of ['members', 'events', 'minutes']) {
+      try {
+        const [colExists] = await sequelize.query(`
+          SELECT column_name FROM information_schema.columns
+          WHERE table_name = '${table}' AND column_name = 'deleted_at'
+        `);
+        if (colExists.length === 0) {
+          await sequelize.query(`ALTER TABLE ${table} ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE, ADD COLUMN deleted_by INTEGER`);
+          console.log(`   ✅ Columnas ${table}.deleted_at / deleted_by agregadas.`);
+        }
+      } catch (e) {
+        console.warn(`   ⚠️  ${table}.deleted_at:`, e.message);
+      }
+    }
+
+    // --- 4v. Una sola solicitud de traslado pendiente por miembro ---
+    // sync crea el índice único parcial (ver models/MemberTransfer.js); antes se
+    // cancelan las pendientes duplicadas, conservando la más antigua.
+    try {
+      const [transferTable] = await sequelize.query(
+        `SELECT table_name FROM information_schema.tables
+         WHERE table_schema = 'public' AND table_name = 'member_transfers'`
+      );
+      if (transferTable.length > 0) {
+        const [dupes] = await sequelize.query(`
+          SELECT member_id FROM member_transfers
+          WHERE status = 'pending'
+          GROUP BY member_id
+          HAVING COUNT(*) > 1
+        `);
+        if (dupes.length > 0) {
+          await sequelize.query(`
+            UPDATE member_transfers SET status = 'cancelled', updated_at = NOW()
+            WHERE status = 'pending' AND id NOT IN (
+              SELECT MIN(id) FROM member_transfers WHERE status = 'pending' GROUP BY member_id
+            )
+          `);
+          console.log(`   ✅ Traslados pendientes duplicados cancelados (${dupes.length} miembro(s)).`);
+        }
+      }
+    } catch (e) {
+      console.warn('   ⚠️  member_transfers pendientes duplicados:', e.message);
+    }
+
     // =========================================================
     // PASO 5: Sincronizar modelos con la BD
     //
@@ -341,6 +750,31 @@ const runMigrations = async () => {
     await sequelize.sync({ alter: true });
     console.log('✅ Sync completado.');
 
+    // =========================================================
+    // PASO 5b: Historia inicial de los miembros que no tienen
+    // (alta en la fecha de registro + bautismo si tiene fecha)
+    // =========================================================
+    try {
+      const [joined] = await sequelize.query(`
+        INSERT INTO member_timeline_events (church_id, member_id, event_type, event_date, to_value, note, created_at)
+        SELECT m.church_id, m.id, 'joined', m.created_at::date, m.member_type, 'Registro inicial', NOW()
+        FROM members m
+        WHERE NOT EXISTS (SELECT 1 FROM member_timeline_events e WHERE e.member_id = m.id)
+        RETURNING member_id
+      `);
+      if (joined.length > 0) {
+        await sequelize.query(`
+          INSERT INTO member_timeline_events (church_id, member_id, event_type, event_date, note, created_at)
+          SELECT m.church_id, m.id, 'baptism', m.baptism_date, 'Registro inicial', NOW()
+          FROM members m
+          WHERE m.id IN (:ids) AND m.baptized = true AND m.baptism_date IS NOT NULL
+        `, { replacements: { ids: joined.map((row) => row.member_id) } });
+        console.log(`   ✅ Historia inicial creada para ${joined.length} miembros.`);
+      }
+    } catch (e) {
+      console.warn('   ⚠️  member_timeline_events:', e.message);
+    }
+
     // =========================================================
     // PASO 6: Recalcular TODAS las estadísticas
     // =========================================================
@@ -369,6 +803,7 @@ const runMigrations = async () => {
             FROM event_attendees ea
             JOIN events e ON ea.event_id = e.id
             WHERE e.church_id = churches.id
+              AND e.deleted_at IS NULL
               AND ea.made_faith_decision = true
               AND EXTRACT(YEAR FROM e.start_date) = :year
           ), 0),
@@ -390,28 +825,28 @@ const runMigrations = async () => {
         UPDATE churches SET
           ordained_preachers = COALESCE((
             SELECT COUNT(*) FROM members 
-            WHERE members.church_id = churches.id AND members.church_role = 'Predicador Ordenado'
+            WHERE members.church_id = churches.id AND members.status = 'active' AND members.deleted_at IS NULL AND members.church_role = 'Predicador Ordenado'
           ), 0),
           unordained_preachers = COALESCE((
             SELECT COUNT(*) FROM members 
-            WHERE members.church_id = churches.id AND members.church_role = 'Predicador No Ordenado'
+            WHERE members.church_id = churches.id AND members.status = 'active' AND members.deleted_at IS NULL AND members.church_role = 'Predicador No Ordenado'
           ), 0),
           ordained_deacons = COALESCE((
             SELECT COUNT(*) FROM members 
-            WHERE members.church_id = churches.id AND members.church_role = 'Diácono Ordenado'
+            WHERE members.church_id = churches.id AND members.status = 'active' AND members.deleted_at IS NULL AND members.church_role = 'Diácono Ordenado'
           ), 0),
           unordained_deacons = COALESCE((
             SELECT COUNT(*) FROM members 
-            WHERE members.church_id = churches.id AND members.church_role = 'Diácono No Ordenado'
+            WHERE members.church_id = churches.id AND members.status = 'active' AND members.deleted_at IS NULL AND members.church_role = 'Diácono No Ordenado'
           ), 0)
       `).catch(() => {});
 
-      // 6e. Membresía total
+      // 6e. Membresía total (solo miembros activos)
       await sequelize.query(`
         UPDATE churches SET
           membership_count = COALESCE((
             SELECT COUNT(*) FROM members 
-            WHERE members.church_id = churches.id
+            WHERE members.church_id = churches.id AND members.status = 'active' AND members.deleted_at IS NULL
           ), 0)
       `).catch(() => {});
 
@@ -423,14 +858,33 @@ const runMigrations = async () => {
     console.log('');
     console.log('✅ Migraciones ejecutadas correctamente.');
     console.log('📋 Tablas:');
-    console.log('   - roles (+ SuperAdmin), users, churches (+ login_title, login_logo_url)');
+    console.log('   - roles (+ SuperAdmin), users, churches (+ login_title, login_logo_url, timezone, default_country_code)');
     console.log('   - members (+ birth_date, church_role, position_id FK → ministerial_positions)');
+    console.log('   - members (+ preferred_weekdays, max_assignments_per_month, notification_channels), member_blackouts');
+    console.log('   - households (hogares; members.household_id + household_relationship, dirección/teléfono heredados)');
     console.log('   - ministerial_positions (cargos por iglesia)');
     console.log('   - missions, white_fields');
-    console.log('   - events (+ preacher_id, worship_leader_id, singer_id FK → members)');
+    console.log('   - events (roles de culto movidos a event_role_assignments)');
+    console.log('   - service_roles (catálogo de roles de culto por iglesia), event_role_assignments (+ status, confirmation_token)');
+    console.log('   - event_series (eventos recurrentes, events.series_id FK)');
+    console.log('   - notification_logs (historial de envíos por canal: whatsapp/email/sms, estado de entrega y respuestas vía webhook)');
+    console.log('   - notification_runs (lotes del scheduler: recordatorios y saludos, UNIQUE church_id + culto_date + type), scheduler_locks');
+    console.log('   - notification_templates (plantillas de mensajes por iglesia, UNIQUE church_id + kind)');
+    console.log('   - broadcasts (anuncios masivos por segmento; envíos en notification_logs.broadcast_id)');
+    console.log('   - members (+ status, status_date), member_timeline_events (historia: alta, tipo, bautismo, cargo, traslados, estado)');
+    console.log('   - member_transfers (traslados entre iglesias: pending → accepted / rejected / cancelled, UNIQUE member_id si pending)');
+    console.log('   - baptisms (registro de bautismos: oficiante, lugar, testigos, UNIQUE member_id y church_id + certificate_number)');
+    console.log('   - member_consent_events (historial de consentimiento por canal; estado actual en members.*_consent)');
     console.log('   - event_attendees (UNIQUE event_id + member_id)');
     console.log('   - weekly_attendances (UNIQUE church_id + week_date)');
     console.log('   - minutes, minute_attendees, motions, motion_voters');
+    console.log('   - members, events, minutes (+ deleted_at, deleted_by: papelera con purga según TRASH_RETENTION_DAYS)');
+    console.log('   - audit_logs (auditoría de altas, ediciones y eliminaciones: usuario, IP, cambios campo por campo)');
+    console.log('   - password_resets (códigos de restablecimiento con hash, vencimiento, intentos y límite por correo / IP)');
+    console.log('   - user_sessions (sesiones por dispositivo: refresh token rotativo con hash, revocación)');
+    console.log('   - user_two_factors (2FA TOTP: secreto cifrado, códigos de respaldo) + users.two_factor_enabled');
+    console.log('   - security_events (intentos fallidos, bloqueos y desbloqueos) + users.failed_login_attempts / locked_until');
+    console.log('   - role_permissions (permisos de cada rol personalizados por iglesia)');
     console.log('   - minute_files (archivos de actas)');
 
     process.exit(0);
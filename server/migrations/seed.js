@@ -1,4 +1,5 @@
 const { sequelize, Role, User, Church, MinisterialPosition } = require('../models');
+const { ensureDefaultServiceRoles } = require('../utils/serviceRoles');
 
 const seed = async () => {
   try {
@@ -62,6 +63,10 @@ const seed = async () => {
     }
     console.log('   ✅ Cargos ministeriales por defecto creados');
 
+    // ===== ROLES DE CULTO POR DEFECTO (Predica, Dirige, Canta) =====
+    await ensureDefaultServiceRoles(church.id);
+    console.log('   ✅ Roles de culto por defecto creados');
+
     // ===== USUARIO SUPER ADMIN =====
     const superAdminRole = await Role.findOne({ where: { name: 'SuperAdmin' } });
     await User.findOrCreate({
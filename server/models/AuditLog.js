@@ -0,0 +1,97 @@
+/**
+ * AuditLog.js - Auditoría de cambios en los datos
+ *
+ * Tabla: audit_logs (solo se agregan filas, nunca se editan)
+ * Una fila por cada alta, edición, eliminación (a la papelera o definitiva)
+ * y restauración de un registro, generada por los hooks de utils/audit.js:
+ * quién (user_id + user_name al momento del cambio, null = sistema),
+ * desde dónde (ip), en qué iglesia, qué registro (entity_type + entity_id +
+ * entity_label) y qué campos cambiaron (changes: { campo: { from, to } }).
+ *
+ * parent_type / parent_id: registro principal de los datos dependientes
+ * (asistentes y roles → Event, archivos y mociones → Minute, bautismo y
+ * fechas bloqueadas → Member) para verlos en el historial de ese registro.
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  user_name: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+  },
+  action: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['create', 'update', 'delete', 'purge', 'restore']] },
+  },
+  entity_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Nombre del modelo (Member, Event, Minute, ...)',
+  },
+  entity_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  entity_label: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Nombre o título del registro al momento del cambio',
+  },
+  parent_type: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  parent_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+}, {
+  tableName: 'audit_logs',
+  updatedAt: false,
+  indexes: [
+    { fields: ['church_id', 'created_at'] },
+    { fields: ['entity_type', 'entity_id'] },
+    { fields: ['parent_type', 'parent_id'] },
+    { fields: ['user_id'] },
+  ],
+  hooks: {
+    beforeUpdate() {
+      throw new Error('El registro de auditoría no se puede modificar.');
+    },
+    beforeDestroy() {
+      throw new Error('El registro de auditoría no se puede borrar.');
+    },
+    beforeBulkUpdate() {
+      throw new Error('El registro de auditoría no se puede modificar.');
+    },
+    beforeBulkDestroy() {
+      throw new Error('El registro de auditoría no se puede borrar.');
+    },
+  },
+});
+
+module.exports = AuditLog;
@@ -0,0 +1,71 @@
+/**
+ * Baptism.js - Registro de bautismos
+ *
+ * Tabla: baptisms (un registro por miembro)
+ * Fecha, ministro oficiante, lugar, testigos y número de certificado.
+ * Al guardar un registro el miembro queda bautizado (Member.baptized y
+ * Member.baptism_date se actualizan solos, ver utils/baptisms.js).
+ *
+ * certificate_number: único por iglesia. Si no se indica se genera
+ * como B-AAAA-NNN (año del bautismo + correlativo de la iglesia).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Baptism = sequelize.define('Baptism', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  member_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  baptism_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  officiant: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    comment: 'Ministro que ofició el bautismo',
+  },
+  place: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+    comment: 'Ej: Templo central, Río Claro',
+  },
+  /** witnesses - Nombres de los testigos (['Ana Pérez', 'Juan Soto']) */
+  witnesses: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  certificate_number: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  recorded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Usuario que registró el bautismo',
+  },
+}, {
+  tableName: 'baptisms',
+  indexes: [
+    { unique: true, fields: ['member_id'] },
+    { unique: true, fields: ['church_id', 'certificate_number'] },
+    { fields: ['church_id', 'baptism_date'] },
+  ],
+});
+
+module.exports = Baptism;
@@ -0,0 +1,109 @@
+/**
+ * Broadcast.js - Anuncios masivos a un grupo (segmento) de miembros
+ *
+ * Tabla: broadcasts
+ * El mensaje se arma con la plantilla 'announcement' de la iglesia
+ * ({{titulo}}, {{mensaje}}, ver utils/messageTemplates.js) y se envía a
+ * cada miembro por sus canales (preferido → respaldo).
+ *
+ * segment: filtros de Member al momento del envío (ver utils/broadcastService.js)
+ *   { member_types, baptized, position_ids, age_min, age_max, responsible_of,
+ *     household_ids, one_per_household }
+ *
+ * ESTADOS: scheduled (programado o en cola) → sending → completed | failed;
+ * cancelled si se cancela antes de terminar.
+ * Cada intento por miembro queda en notification_logs (broadcast_id) y de
+ * ahí sale el reporte de entrega; los contadores se actualizan durante el envío.
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Broadcast = sequelize.define('Broadcast', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  segment: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Filtros de miembros (tipo, bautizado, cargo, edad, responsables, hogares)',
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'scheduled',
+    validate: { isIn: [['scheduled', 'sending', 'completed', 'failed', 'cancelled']] },
+  },
+  scheduled_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Cuándo enviar (fecha de creación si es "enviar ahora")',
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  total_recipients: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Miembros del segmento al momento del envío',
+  },
+  sent_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  failed_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  skipped_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  instance: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Instancia del servidor que lo está enviando',
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  cancelled_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+}, {
+  tableName: 'broadcasts',
+  indexes: [
+    { fields: ['church_id', 'created_at'] },
+    { fields: ['status', 'scheduled_at'] },
+  ],
+});
+
+module.exports = Broadcast;
@@ -115,6 +115,37 @@ const Church = sequelize.define('Church', {
     validate: { min: 0, max: 23 },
     comment: 'Hora (0-23) para recordatorio del mismo día. null = desactivado.',
   },
+  /**
+   * notification_greeting_hour - Hora (0-23) para enviar los saludos de
+   * cumpleaños y aniversarios del día. Si es null, no se envían.
+   */
+  notification_greeting_hour: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 8,
+    validate: { min: 0, max: 23 },
+    comment: 'Hora (0-23) para saludos de cumpleaños y aniversarios. null = desactivado.',
+  },
+  /**
+   * timezone - Zona horaria IANA de la iglesia (ej: 'America/Bogota').
+   * Define la hora de los recordatorios, el "día" de los cultos y las
+   * fechas de los mensajes y PDF (ver utils/timezone.js).
+   */
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: 'America/Panama',
+  },
+  /**
+   * default_country_code - Código telefónico del país (solo dígitos, ej: '57').
+   * Se antepone a los teléfonos registrados sin código de país.
+   */
+  default_country_code: {
+    type: DataTypes.STRING(4),
+    allowNull: false,
+    defaultValue: '507',
+    validate: { is: /^\d{1,4}$/ },
+  },
 }, {
   tableName: 'churches',
 });
@@ -52,42 +52,46 @@ const Event = sequelize.define('Event', {
     defaultValue: 0,
   },
 
+  // ROLES DE CULTO: ya no son columnas fijas (preacher_id, etc.).
+  // Se guardan en event_role_assignments (ver EventRoleAssignment.js)
+  // según el catálogo de roles de cada iglesia (service_roles).
+
   // =============================================
-  // ROLES DE CULTO (solo aplican si event_type === 'Culto')
+  // EVENTOS RECURRENTES
   // =============================================
 
   /**
-   * preacher_id - Miembro que PREDICA en este culto.
-   * FK a members.id. Null si no es un culto o no se asignó.
+   * series_id - Serie recurrente a la que pertenece esta ocurrencia.
+   * FK a event_series.id. Null si es un evento suelto.
+   * NO poner references aquí — la FK se crea en migrations/run.js.
    */
-  preacher_id: {
+  series_id: {
     type: DataTypes.INTEGER,
     allowNull: true,
     defaultValue: null,
-    comment: 'FK al miembro que predica en este culto',
+    comment: 'FK a la serie recurrente (null = evento suelto)',
   },
   /**
-   * worship_leader_id - Miembro que DIRIGE la adoración en este culto.
-   * FK a members.id. Null si no es un culto o no se asignó.
+   * is_series_exception - La ocurrencia se editó individualmente
+   * ("solo este evento"). Los cambios a toda la serie no la sobrescriben.
    */
-  worship_leader_id: {
-    type: DataTypes.INTEGER,
-    allowNull: true,
-    defaultValue: null,
-    comment: 'FK al miembro que dirige la adoración en este culto',
+  is_series_exception: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Ocurrencia modificada individualmente dentro de su serie',
   },
   /**
-   * singer_id - Miembro que CANTA (líder de cánticos) en este culto.
-   * FK a members.id. Null si no es un culto o no se asignó.
+   * PAPELERA (paranoid): al eliminar se conservan asistentes, decisiones
+   * de fe y roles para poder restaurarlo (ver utils/trash.js).
    */
-  singer_id: {
+  deleted_by: {
     type: DataTypes.INTEGER,
     allowNull: true,
-    defaultValue: null,
-    comment: 'FK al miembro que canta en este culto',
+    comment: 'Usuario que lo envió a la papelera',
   },
 }, {
   tableName: 'events',
+  paranoid: true,
 });
 
 module.exports = Event;
@@ -0,0 +1,68 @@
+/**
+ * EventRoleAssignment.js - Asignación de un miembro a un rol en un culto
+ *
+ * Tabla: event_role_assignments
+ * Relación N:M entre events, service_roles y members: un culto puede tener
+ * varios miembros en el mismo rol (ej: 2 ujieres).
+ * UNIQUE (event_id, service_role_id, member_id).
+ *
+ * CONFIRMACIÓN DEL MIEMBRO:
+ * Cada asignación nace 'pending' con un token aleatorio. El recordatorio de
+ * WhatsApp incluye el enlace público /confirmar/:token (sin login) donde el
+ * miembro confirma o indica que no puede. Si se cambia el miembro de una
+ * asignación se genera un token nuevo y vuelve a 'pending'.
+ *
+ * Las FK (ON DELETE CASCADE) se crean en migrations/run.js.
+ */
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const EventRoleAssignment = sequelize.define('EventRoleAssignment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  event_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  service_role_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  member_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: { isIn: [['pending', 'confirmed', 'declined']] },
+  },
+  confirmation_token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    defaultValue: () => crypto.randomBytes(24).toString('hex'),
+    comment: 'Token del enlace público de confirmación (sin login)',
+  },
+  responded_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  response_note: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Motivo opcional cuando el miembro indica que no puede',
+  },
+}, {
+  tableName: 'event_role_assignments',
+  indexes: [
+    { unique: true, fields: ['event_id', 'service_role_id', 'member_id'] },
+  ],
+});
+
+module.exports = EventRoleAssignment;
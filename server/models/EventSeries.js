@@ -0,0 +1,74 @@
+/**
+ * EventSeries.js - Serie de eventos recurrentes
+ *
+ * Tabla: event_series
+ * Guarda la REGLA de repetición (semanal, quincenal, mensual por día de la
+ * semana) de un grupo de eventos. Cada ocurrencia es una fila en events
+ * con series_id apuntando aquí (ver utils/recurrence.js).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const EventSeries = sequelize.define('EventSeries', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'churches', key: 'id' },
+  },
+  frequency: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['weekly', 'biweekly', 'monthly']] },
+    comment: 'weekly | biweekly | monthly (N-ésimo día de la semana)',
+  },
+  /**
+   * weekdays - Días de la semana para weekly/biweekly (0=Domingo ... 6=Sábado).
+   * Ej: [0, 3] = Domingo y Miércoles. Vacío para monthly.
+   */
+  weekdays: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  /**
+   * start_date - Inicio de la primera ocurrencia de la serie.
+   * Define la hora de todos los eventos y el ancla para contar semanas/meses.
+   */
+  start_date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  until_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Fecha límite de la serie (inclusive)',
+  },
+  occurrence_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Cantidad de ocurrencias (alternativa a until_date)',
+  },
+  /**
+   * excluded_dates - Fechas (YYYY-MM-DD) omitidas de la serie.
+   * Se agregan al eliminar "solo este evento" para que no se regeneren.
+   */
+  excluded_dates: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+  },
+}, {
+  tableName: 'event_series',
+});
+
+module.exports = EventSeries;
@@ -0,0 +1,50 @@
+/**
+ * Household.js - Hogares (familias) de la iglesia
+ *
+ * Tabla: households
+ * Agrupa a los miembros que viven juntos. Cada miembro del hogar tiene su
+ * parentesco (Member.household_relationship: head, spouse, child, other).
+ *
+ * DIRECCIÓN Y TELÉFONO COMPARTIDOS: los miembros con
+ * inherit_household_address / inherit_household_phone toman la dirección
+ * o el teléfono del hogar, y se actualizan al editar el hogar
+ * (ver utils/households.js).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Household = sequelize.define('Household', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    comment: 'Ej: Familia Pérez Gómez',
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  phone: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'households',
+  indexes: [
+    { fields: ['church_id', 'name'] },
+  ],
+});
+
+module.exports = Household;
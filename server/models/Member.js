@@ -50,6 +50,21 @@ const Member = sequelize.define('Member', {
     allowNull: true,
     comment: 'Fecha de nacimiento del miembro',
   },
+  /**
+   * baptism_date / wedding_date - Fechas de bautismo y de boda (OPCIONALES)
+   * Si están registradas, el scheduler envía el saludo de aniversario
+   * (ver utils/greetingService.js).
+   */
+  baptism_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Fecha de bautismo (aniversario)',
+  },
+  wedding_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Fecha de boda (aniversario)',
+  },
   member_type: {
     type: DataTypes.STRING(30),
     allowNull: false,
@@ -58,6 +73,24 @@ const Member = sequelize.define('Member', {
       isIn: [['Miembro', 'Visitante', 'Familiar', 'Infante', 'Candidato a bautismo', 'Otro']],
     },
   },
+  /**
+   * ESTADO del miembro: active (activo), inactive (inactivo: ya no asiste,
+   * se fue sin carta, etc.), deceased (fallecido). Solo los activos cuentan
+   * en la membresía y reciben saludos y anuncios.
+   * Se cambia con PUT /api/members/:id/status; cada cambio (y los de tipo,
+   * bautismo, cargo e iglesia) queda en member_timeline_events.
+   */
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'active',
+    validate: { isIn: [['active', 'inactive', 'deceased']] },
+  },
+  status_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Fecha del último cambio de estado (inactivación, fallecimiento, reactivación)',
+  },
   /**
    * church_role - Cargo ministerial del miembro (texto, auto-sincronizado)
    * 
@@ -114,8 +147,129 @@ const Member = sequelize.define('Member', {
     type: DataTypes.STRING(500),
     allowNull: true,
   },
+  /**
+   * DISPONIBILIDAD PARA ROLES DE CULTO
+   * Las fechas bloqueadas viven en member_blackouts (MemberBlackout).
+   *
+   * preferred_weekdays - Días en que prefiere servir (0=Domingo ... 6=Sábado).
+   *   Vacío = cualquier día. Asignarlo otro día genera una ADVERTENCIA.
+   * max_assignments_per_month - Tope de cultos por mes (null = sin tope).
+   *   Superarlo genera una ADVERTENCIA.
+   */
+  preferred_weekdays: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  max_assignments_per_month: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: null,
+    validate: { min: 1 },
+  },
+  /**
+   * notification_channels - Canales para recordatorios, en orden de preferencia
+   * (ej: ['email', 'sms']: correo y, si falla, SMS). Solo se usan los de la lista.
+   * Vacío = orden por defecto de la red (ver utils/notificationChannels.js).
+   */
+  notification_channels: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  /**
+   * announcements_opt_out - El miembro pidió no recibir anuncios masivos
+   * (broadcasts). Los recordatorios de sus roles de culto sí se le envían.
+   */
+  announcements_opt_out: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  /**
+   * HOGAR: household_id → households, con el parentesco del miembro.
+   * inherit_household_address / inherit_household_phone: la dirección o
+   * el teléfono se copian del hogar y se mantienen al editarlo
+   * (ver utils/households.js).
+   */
+  household_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  household_relationship: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: { isIn: [['head', 'spouse', 'child', 'other']] },
+    comment: 'Parentesco en el hogar: head (jefe de hogar), spouse, child, other',
+  },
+  inherit_household_address: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  inherit_household_phone: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  /**
+   * CONSENTIMIENTO DE CONTACTO por canal (whatsapp, email, sms)
+   *   *_consent:        true = autorizó, false = no autorizó / se dio de baja,
+   *                     null = sin registro (ver CONSENT_REQUIRED en utils/consent.js)
+   *   *_consent_at:     cuándo se registró el último cambio
+   *   *_consent_source: cómo se obtuvo (form, verbal, member, keyword)
+   * Solo se cambian con utils/consent.js, que deja cada cambio en
+   * member_consent_events (historial).
+   */
+  whatsapp_consent: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+  },
+  whatsapp_consent_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  whatsapp_consent_source: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  email_consent: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+  },
+  email_consent_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  email_consent_source: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  sms_consent: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+  },
+  sms_consent_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  sms_consent_source: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  /**
+   * PAPELERA: paranoid agrega deleted_at; destroy() solo marca la fecha y
+   * las consultas normales ya no lo devuelven. Se restaura o se elimina
+   * definitivamente desde la Papelera (ver utils/trash.js).
+   */
+  deleted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Usuario que lo envió a la papelera',
+  },
 }, {
   tableName: 'members',
+  paranoid: true,
 });
 
 module.exports = Member;
@@ -0,0 +1,46 @@
+/**
+ * MemberBlackout.js - Fechas en que un miembro NO está disponible
+ *
+ * Tabla: member_blackouts
+ * Rangos de fechas (inclusive) en que el miembro avisó que no puede servir
+ * en un culto (viaje, enfermedad, trabajo). Asignar un rol de culto en una
+ * de estas fechas es un ERROR (ver utils/memberAvailability.js).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MemberBlackout = sequelize.define('MemberBlackout', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'churches', key: 'id' },
+  },
+  member_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'members', key: 'id' },
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Último día no disponible (inclusive)',
+  },
+  reason: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+    comment: 'Motivo opcional (ej: Viaje)',
+  },
+}, {
+  tableName: 'member_blackouts',
+});
+
+module.exports = MemberBlackout;
@@ -0,0 +1,60 @@
+/**
+ * MemberConsentEvent.js - Historial de consentimiento de contacto
+ *
+ * Tabla: member_consent_events (solo se agregan filas, nunca se editan)
+ * Una fila por cada cambio del consentimiento de un miembro en un canal:
+ * quién lo registró (recorded_by, null = el propio miembro por palabra
+ * clave), cuándo (created_at), cómo (source) y una nota opcional.
+ * El estado actual vive en Member (*_consent, *_consent_at, *_consent_source).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MemberConsentEvent = sequelize.define('MemberConsentEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  member_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['whatsapp', 'email', 'sms']] },
+  },
+  granted: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    comment: 'true = autorizó, false = no autorizó / se dio de baja',
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['form', 'verbal', 'member', 'keyword']] },
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Detalle (ej: mensaje recibido "BAJA")',
+  },
+  recorded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Usuario que registró el cambio (null = el miembro por mensaje)',
+  },
+}, {
+  tableName: 'member_consent_events',
+  updatedAt: false,
+  indexes: [
+    { fields: ['member_id', 'created_at'] },
+  ],
+});
+
+module.exports = MemberConsentEvent;
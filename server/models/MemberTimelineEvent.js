@@ -0,0 +1,93 @@
+/**
+ * MemberTimelineEvent.js - Historia del miembro (línea de tiempo)
+ *
+ * Tabla: member_timeline_events (solo se agregan filas, nunca se editan
+ * ni se borran: los hooks lo impiden)
+ * Una fila por cada hito del miembro: alta, cambio de tipo (Visitante →
+ * Candidato a bautismo → Miembro), bautismo, cambio de cargo, traslado de
+ * iglesia, inactivación / reactivación y fallecimiento. Guarda la fecha
+ * del hecho (event_date), quién lo registró (recorded_by) y el valor
+ * anterior / nuevo. Alimenta el perfil del miembro y el reporte de
+ * crecimiento (ver utils/memberTimeline.js).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const EVENT_TYPES = [
+  'joined', 'type_change', 'baptism', 'position_change', 'transfer', 'inactivated', 'reactivated', 'deceased',
+];
+
+const MemberTimelineEvent = sequelize.define('MemberTimelineEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Iglesia del miembro al momento del hecho (en traslados, la de destino)',
+  },
+  member_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  event_type: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: { isIn: [EVENT_TYPES] },
+  },
+  event_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Fecha del hecho (puede ser anterior al registro)',
+  },
+  from_value: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    comment: 'Valor anterior (tipo, cargo, iglesia, estado)',
+  },
+  to_value: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    comment: 'Valor nuevo',
+  },
+  from_church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'En traslados: iglesia de origen (para contar las salidas)',
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  recorded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Usuario que registró el cambio (null = migración / sistema)',
+  },
+}, {
+  tableName: 'member_timeline_events',
+  updatedAt: false,
+  indexes: [
+    { fields: ['member_id', 'event_date'] },
+    { fields: ['church_id', 'event_type', 'event_date'] },
+    { fields: ['from_church_id'] },
+  ],
+  hooks: {
+    beforeUpdate() {
+      throw new Error('La historia del miembro no se puede modificar.');
+    },
+    beforeDestroy() {
+      throw new Error('La historia del miembro no se puede borrar.');
+    },
+    beforeBulkUpdate() {
+      throw new Error('La historia del miembro no se puede modificar.');
+    },
+    beforeBulkDestroy() {
+      throw new Error('La historia del miembro no se puede borrar.');
+    },
+  },
+});
+
+module.exports = MemberTimelineEvent;
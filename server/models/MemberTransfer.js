@@ -0,0 +1,85 @@
+/**
+ * MemberTransfer.js - Solicitudes de traslado de miembros entre iglesias
+ *
+ * Tabla: member_transfers
+ * La iglesia de origen solicita el traslado (pending); el Administrador de
+ * la iglesia de destino lo acepta (accepted) o lo rechaza (rejected). El
+ * origen puede cancelarlo mientras está pendiente (cancelled).
+ *
+ * Al aceptar, el MISMO miembro pasa a la iglesia de destino: conserva su
+ * historia, asistencias, bautismo y roles de culto pasados (ver
+ * utils/memberTransfers.js). Solo puede haber una solicitud pendiente por
+ * miembro (índice único parcial member_transfers_member_id_pending).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const STATUSES = ['pending', 'accepted', 'rejected', 'cancelled'];
+
+const MemberTransfer = sequelize.define('MemberTransfer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  member_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  from_church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  to_church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: { isIn: [STATUSES] },
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Motivo del traslado (va en la carta)',
+  },
+  requested_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  decided_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Usuario que aceptó, rechazó o canceló',
+  },
+  decided_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  decision_note: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  /** transfer_date - Fecha efectiva del traslado (al aceptar; va en la historia) */
+  transfer_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+}, {
+  tableName: 'member_transfers',
+  indexes: [
+    { fields: ['member_id'] },
+    {
+      name: 'member_transfers_member_id_pending',
+      unique: true,
+      fields: ['member_id'],
+      where: { status: 'pending' },
+    },
+    { fields: ['from_church_id', 'status'] },
+    { fields: ['to_church_id', 'status'] },
+  ],
+});
+
+module.exports = MemberTransfer;
@@ -35,8 +35,14 @@ const Minute = sequelize.define('Minute', {
     allowNull: true,
     references: { model: 'users', key: 'id' },
   },
+  // PAPELERA (paranoid): los archivos y mociones se borran al purgar (utils/trash.js)
+  deleted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
 }, {
   tableName: 'minutes',
+  paranoid: true,
 });
 
 module.exports = Minute;
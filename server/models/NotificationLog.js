@@ -0,0 +1,156 @@
+/**
+ * NotificationLog.js - Historial de notificaciones enviadas (o intentadas)
+ *
+ * Tabla: notification_logs (antes whatsapp_messages, ver migrations/run.js)
+ * Una fila por cada intento de recordatorio (o de anuncio masivo, broadcast_id)
+ * a un miembro y canal (whatsapp, email, sms): enviado, fallido u omitido
+ * (sin canal disponible, ya declinó, se dio de baja de los anuncios).
+ * Si un canal falla y el respaldo funciona, quedan dos filas. Guarda el template y los parámetros
+ * exactos para poder auditar y reintentar los fallidos.
+ *
+ * ESTADOS: sent → delivered → read (los actualiza el webhook de Meta por
+ * provider_message_id), failed (error de la API o de entrega), skipped.
+ * source indica quién disparó el envío: scheduler, manual o retry.
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const NotificationLog = sequelize.define('NotificationLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  event_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  event_role_assignment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  member_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  service_role_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  role_label: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    comment: 'Texto del rol enviado en el mensaje (reminder_text o nombre)',
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'whatsapp',
+    validate: { isIn: [['whatsapp', 'email', 'sms']] },
+  },
+  reminder_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: "'reminder' (día anterior), 'today' (mismo día), 'announcement' (anuncio), 'birthday' o 'anniversary' (saludos)",
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'manual',
+    validate: { isIn: [['scheduler', 'manual', 'retry']] },
+  },
+  template: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Nombre del template de Meta',
+  },
+  params: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Parámetros del template en orden ({{1}}, {{2}}, ...)',
+  },
+  recipient: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    comment: 'Destino normalizado (teléfono con código de país o correo)',
+  },
+  provider_message_id: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    unique: true,
+    comment: 'Id del mensaje en el proveedor (wamid de WhatsApp)',
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'sent',
+    validate: { isIn: [['sent', 'delivered', 'read', 'failed', 'skipped']] },
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error del proveedor o motivo de la omisión',
+  },
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  failed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  reply_text: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Última respuesta del miembro a este mensaje',
+  },
+  replied_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  notification_run_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Lote del scheduler que hizo el envío (null = manual)',
+  },
+  broadcast_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Anuncio masivo al que pertenece el envío (null = recordatorio de rol)',
+  },
+  retry_of_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Intento fallido que este envío reintenta',
+  },
+  retried_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Cuándo se reintentó este intento fallido',
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Usuario que disparó el envío manual (null = scheduler)',
+  },
+}, {
+  tableName: 'notification_logs',
+  indexes: [
+    { fields: ['church_id', 'created_at'] },
+    { fields: ['recipient'] },
+    { fields: ['event_role_assignment_id'] },
+    { fields: ['status'] },
+    { fields: ['notification_run_id'] },
+    { fields: ['broadcast_id'] },
+  ],
+});
+
+module.exports = NotificationLog;
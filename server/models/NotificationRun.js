@@ -0,0 +1,79 @@
+/**
+ * NotificationRun.js - Ejecuciones del scheduler de recordatorios
+ *
+ * Tabla: notification_runs
+ * Un lote = recordatorios de una iglesia, para los cultos de una fecha,
+ * de un tipo ('reminder' día anterior / 'today' mismo día), o los saludos
+ * de cumpleaños y aniversarios de un día ('greetings').
+ * UNIQUE (church_id, culto_date, type): el lote se reclama con
+ * INSERT ... ON CONFLICT, así cada lote se envía una sola vez aunque
+ * haya varias instancias o reinicios (ver utils/notificationScheduler.js).
+ *
+ * ESTADOS: running → completed | failed. Un lote fallido (o 'running'
+ * abandonado por una caída) se reintenta hasta MAX_RUN_ATTEMPTS; los
+ * miembros que ya recibieron el mensaje no se repiten (notification_logs).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const NotificationRun = sequelize.define('NotificationRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  culto_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Fecha de los cultos del lote (no la fecha de envío); en greetings, la del saludo',
+  },
+  type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['reminder', 'today', 'greetings']] },
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'running',
+    validate: { isIn: [['running', 'completed', 'failed']] },
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  instance: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Instancia del servidor que ejecutó el lote',
+  },
+  summary: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: '{ total_cultos | total_greetings, total_sent, total_failed, total_skipped }',
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'notification_runs',
+  indexes: [
+    { unique: true, fields: ['church_id', 'culto_date', 'type'] },
+  ],
+});
+
+module.exports = NotificationRun;
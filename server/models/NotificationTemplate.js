@@ -0,0 +1,79 @@
+/**
+ * NotificationTemplate.js - Plantillas de mensajes por iglesia
+ *
+ * Tabla: notification_templates
+ * Una plantilla por iglesia y tipo (kind):
+ * - reminder:     recordatorio de rol el día anterior
+ * - today:        recordatorio de rol el mismo día
+ * - birthday:     saludo de cumpleaños
+ * - announcement: anuncio general a un grupo de miembros
+ *
+ * subject/body/sms_body usan variables {{nombre}}, {{rol}}, {{fecha}}...
+ * (catálogo por tipo en utils/messageTemplates.js). Si la iglesia no tiene
+ * fila para un tipo, se usa la plantilla por defecto del sistema.
+ *
+ * WhatsApp solo acepta templates aprobados en Meta: meta_template_name /
+ * meta_template_lang indican cuál usar, y meta_params el ORDEN de las
+ * variables que llenan {{1}}, {{2}}, ... del template aprobado.
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const NotificationTemplate = sequelize.define('NotificationTemplate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  kind: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['reminder', 'today', 'birthday', 'anniversary', 'announcement']] },
+  },
+  subject: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+    comment: 'Asunto del correo',
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Texto del mensaje (correo y vista previa de WhatsApp)',
+  },
+  sms_body: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Texto corto para SMS. null = se usa body',
+  },
+  meta_template_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Nombre del template aprobado en Meta (WhatsApp)',
+  },
+  meta_template_lang: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: 'Idioma del template en Meta (ej: es)',
+  },
+  meta_params: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: "Variables en el orden de {{1}}, {{2}}... del template de Meta (ej: ['nombre', 'rol'])",
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+}, {
+  tableName: 'notification_templates',
+  indexes: [
+    { unique: true, fields: ['church_id', 'kind'] },
+  ],
+});
+
+module.exports = NotificationTemplate;
@@ -0,0 +1,60 @@
+/**
+ * PasswordReset.js - Solicitudes de restablecimiento de contraseña
+ *
+ * Tabla: password_resets
+ * Una fila por cada "Olvidé mi contraseña" (ver utils/passwordResets.js):
+ * - code_hash: HMAC del código de 6 dígitos (el código nunca se guarda).
+ *   null = el correo no está registrado; la fila solo cuenta para el
+ *   límite de solicitudes por correo / IP
+ * - expires_at: vencimiento del código
+ * - attempts: verificaciones hechas (al llegar al máximo el código queda inválido)
+ * - used_at: cuándo se usó o se reemplazó por uno nuevo (un solo uso)
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PasswordReset = sequelize.define('PasswordReset', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  email: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    comment: 'Correo tal como se solicitó (en minúsculas)',
+  },
+  code_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  requested_ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+}, {
+  tableName: 'password_resets',
+  indexes: [
+    { fields: ['email', 'created_at'] },
+    { fields: ['requested_ip', 'created_at'] },
+  ],
+});
+
+module.exports = PasswordReset;
@@ -0,0 +1,44 @@
+/**
+ * RolePermission.js - Permisos de un rol personalizados por iglesia
+ *
+ * Tabla: role_permissions
+ * Una fila por iglesia y rol, solo si la iglesia cambió los permisos del rol
+ * (sin fila = permisos por defecto de utils/permissions.js):
+ * - granted: permisos agregados al defecto
+ * - revoked: permisos quitados al defecto
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RolePermission = sequelize.define('RolePermission', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  role_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  granted: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  revoked: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+}, {
+  tableName: 'role_permissions',
+  indexes: [
+    { unique: true, fields: ['church_id', 'role_id'] },
+  ],
+});
+
+module.exports = RolePermission;
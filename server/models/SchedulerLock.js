@@ -0,0 +1,30 @@
+/**
+ * SchedulerLock.js - Candado en BD para tareas programadas
+ *
+ * Tabla: scheduler_locks
+ * Con varias instancias del servidor (Render) cada una tiene su propio cron;
+ * solo la que obtiene el candado ejecuta la tarea. El candado vence solo
+ * (locked_until) si la instancia que lo tenía se cae.
+ * Se adquiere con un UPSERT atómico (ver utils/notificationScheduler.js).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SchedulerLock = sequelize.define('SchedulerLock', {
+  name: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+  },
+  owner: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+}, {
+  tableName: 'scheduler_locks',
+});
+
+module.exports = SchedulerLock;
@@ -0,0 +1,63 @@
+/**
+ * SecurityEvent.js - Eventos de seguridad del inicio de sesión
+ *
+ * Tabla: security_events (solo se agregan filas)
+ * Una fila por intento fallido (contraseña, código 2FA o código de
+ * restablecimiento), por bloqueo de una cuenta y por desbloqueo hecho por un
+ * Administrador. Ver utils/loginProtection.js.
+ *
+ * - user_id: null si el correo no corresponde a ningún usuario
+ * - email: correo tal como se intentó (en minúsculas)
+ * - ip: los fallidos de la misma IP cuentan para su límite
+ * - details: motivo del fallo ({ reason }) o quién desbloqueó ({ by_user_id, by_user_name })
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SECURITY_EVENT_TYPES = [
+  'login_failed', 'two_factor_failed', 'reset_failed', 'account_locked', 'account_unlocked',
+];
+
+const SecurityEvent = sequelize.define('SecurityEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  event_type: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: { isIn: [SECURITY_EVENT_TYPES] },
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  email: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+  },
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+}, {
+  tableName: 'security_events',
+  updatedAt: false,
+  indexes: [
+    { fields: ['ip', 'created_at'] },
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['event_type', 'created_at'] },
+  ],
+});
+
+module.exports = SecurityEvent;
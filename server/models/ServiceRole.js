@@ -0,0 +1,68 @@
+/**
+ * ServiceRole.js - Catálogo de roles de servicio en el culto
+ *
+ * Tabla: service_roles
+ * Cada iglesia define los roles que se asignan en sus cultos
+ * (Predica, Dirige, Canta, Ujier, Sonido, Lectura, Ofrenda, Maestra de niños...).
+ * Reemplaza a las columnas fijas preacher_id / worship_leader_id / singer_id
+ * de events: las asignaciones viven en event_role_assignments.
+ *
+ * Al crear una iglesia se generan los tres roles clásicos (ver utils/serviceRoles.js).
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ServiceRole = sequelize.define('ServiceRole', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  church_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'churches', key: 'id' },
+    comment: 'Iglesia a la que pertenece este rol (multi-tenant)',
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Nombre del rol (ej: Predica, Ujier, Sonido)',
+  },
+  abbreviation: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'Letra/sigla para tablas y calendario PDF (ej: P, D, C, U)',
+  },
+  /**
+   * reminder_text - Cómo se nombra el rol en el recordatorio de WhatsApp.
+   * "...te corresponde {reminder_text} en el culto" (ej: "Predicar").
+   * Si está vacío se usa el nombre.
+   */
+  reminder_text: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+  },
+  members_needed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: { min: 1 },
+    comment: 'Personas por culto (lo usa el planificador de roles)',
+  },
+  sort_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Orden de aparición en formularios, tablas y PDF',
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Si false, el rol no aparece para asignar pero conserva su historial',
+  },
+}, {
+  tableName: 'service_roles',
+});
+
+module.exports = ServiceRole;
@@ -36,6 +36,27 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
   },
+  two_factor_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Verificación en dos pasos activa (secreto en user_two_factors)',
+  },
+  failed_login_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Contraseñas incorrectas seguidas (se reinicia al entrar o al bloquearse)',
+  },
+  last_failed_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Bloqueo temporal por intentos fallidos (utils/loginProtection.js)',
+  },
 }, {
   tableName: 'users',
   hooks: {
@@ -0,0 +1,77 @@
+/**
+ * UserSession.js - Sesiones de usuario (refresh tokens)
+ *
+ * Tabla: user_sessions
+ * Una fila por inicio de sesión en un dispositivo (ver utils/sessions.js).
+ * El token de acceso (JWT corto) lleva el id de la sesión (sid) y solo es
+ * válido mientras la sesión no esté revocada ni vencida.
+ *
+ * - refresh_token_hash: SHA-256 del refresh token vigente (rota en cada uso)
+ * - previous_token_hash: el token anterior; si alguien lo vuelve a usar, la
+ *   sesión se revoca (el token fue robado o copiado)
+ * - revoked_at / revoked_reason: cierre de sesión, cierre remoto o forzado
+ *   por un cambio de rol / contraseña hecho por un Administrador o por el
+ *   restablecimiento del 2FA
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const REVOKE_REASONS = [
+  'logout', 'logout_all', 'remote', 'role_change', 'password_change',
+  'password_reset', 'deactivated', 'user_deleted', 'token_reuse', 'two_factor_reset',
+];
+
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  refresh_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  previous_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  revoked_reason: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: { isIn: [REVOKE_REASONS] },
+  },
+}, {
+  tableName: 'user_sessions',
+  indexes: [
+    { fields: ['user_id', 'revoked_at'] },
+    { fields: ['previous_token_hash'] },
+  ],
+});
+
+module.exports = UserSession;
@@ -0,0 +1,60 @@
+/**
+ * UserTwoFactor.js - Segundo factor (TOTP) de un usuario
+ *
+ * Tabla: user_two_factors (una fila por usuario, ver utils/twoFactor.js)
+ * - secret_encrypted: secreto TOTP activo, cifrado con AES-256-GCM
+ * - pending_secret_encrypted: secreto en alta (hasta confirmar con un código)
+ * - last_used_step: último intervalo de 30 s aceptado (un código no sirve dos veces)
+ * - backup_code_hashes: SHA-256 de los códigos de respaldo sin usar
+ * - failed_attempts / locked_until: bloqueo temporal tras varios códigos incorrectos
+ * El estado visible (activado o no) vive en users.two_factor_enabled.
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const UserTwoFactor = sequelize.define('UserTwoFactor', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+  },
+  secret_encrypted: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  pending_secret_encrypted: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  last_used_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  backup_code_hashes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  failed_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'user_two_factors',
+});
+
+module.exports = UserTwoFactor;
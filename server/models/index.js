@@ -14,6 +14,27 @@ const Motion = require('./Motion');
 const MotionVoter = require('./MotionVoter');
 const MinisterialPosition = require('./MinisterialPosition');
 const MinuteFile = require('./MinuteFile');
+const EventSeries = require('./EventSeries');
+const MemberBlackout = require('./MemberBlackout');
+const ServiceRole = require('./ServiceRole');
+const EventRoleAssignment = require('./EventRoleAssignment');
+const NotificationLog = require('./NotificationLog');
+const NotificationRun = require('./NotificationRun');
+const SchedulerLock = require('./SchedulerLock');
+const NotificationTemplate = require('./NotificationTemplate');
+const Broadcast = require('./Broadcast');
+const MemberConsentEvent = require('./MemberConsentEvent');
+const MemberTimelineEvent = require('./MemberTimelineEvent');
+const Household = require('./Household');
+const Baptism = require('./Baptism');
+const MemberTransfer = require('./MemberTransfer');
+const AuditLog = require('./AuditLog');
+const PasswordReset = require('./PasswordReset');
+const UserSession = require('./UserSession');
+const UserTwoFactor = require('./UserTwoFactor');
+const SecurityEvent = require('./SecurityEvent');
+const RolePermission = require('./RolePermission');
+const { registerAuditHooks } = require('../utils/audit');
 
 // =============================================
 // ASOCIACIONES
@@ -56,19 +77,92 @@ User.hasMany(Event, { foreignKey: 'created_by', as: 'events_created' });
 Event.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 
 // =============================================
-// ROLES DE CULTO: Event → Member (preacher, worship_leader, singer)
-// Cada rol es una FK opcional a la tabla members.
-// Solo se usan cuando event_type === 'Culto'.
-// constraints: false evita que Sequelize cree FK duplicadas en sync({ alter: true })
+// ROLES DE CULTO: catálogo por iglesia + asignaciones por culto
+// Event → EventRoleAssignment → (ServiceRole, Member)
+// Un culto puede tener varios miembros en el mismo rol.
+// constraints: false — las FK (ON DELETE CASCADE) se crean en migrations/run.js
 // =============================================
-Member.hasMany(Event, { foreignKey: 'preacher_id', as: 'events_preaching', constraints: false });
-Event.belongsTo(Member, { foreignKey: 'preacher_id', as: 'preacher', constraints: false });
+Church.hasMany(ServiceRole, { foreignKey: 'church_id', as: 'service_roles' });
+ServiceRole.belongsTo(Church, { foreignKey: 'church_id', as: 'church' });
 
-Member.hasMany(Event, { foreignKey: 'worship_leader_id', as: 'events_leading', constraints: false });
-Event.belongsTo(Member, { foreignKey: 'worship_leader_id', as: 'worship_leader', constraints: false });
+Event.hasMany(EventRoleAssignment, { foreignKey: 'event_id', as: 'role_assignments', constraints: false });
+EventRoleAssignment.belongsTo(Event, { foreignKey: 'event_id', as: 'event', constraints: false });
 
-Member.hasMany(Event, { foreignKey: 'singer_id', as: 'events_singing', constraints: false });
-Event.belongsTo(Member, { foreignKey: 'singer_id', as: 'singer', constraints: false });
+ServiceRole.hasMany(EventRoleAssignment, { foreignKey: 'service_role_id', as: 'assignments', constraints: false });
+EventRoleAssignment.belongsTo(ServiceRole, { foreignKey: 'service_role_id', as: 'role', constraints: false });
+
+Member.hasMany(EventRoleAssignment, { foreignKey: 'member_id', as: 'role_assignments', constraints: false });
+EventRoleAssignment.belongsTo(Member, { foreignKey: 'member_id', as: 'member', constraints: false });
+
+// =============================================
+// HISTORIAL DE NOTIFICACIONES (un registro por intento de envío)
+// constraints: false — el historial se conserva aunque se borre el culto
+// =============================================
+EventRoleAssignment.hasMany(NotificationLog, { foreignKey: 'event_role_assignment_id', as: 'notifications', constraints: false });
+NotificationLog.belongsTo(EventRoleAssignment, { foreignKey: 'event_role_assignment_id', as: 'assignment', constraints: false });
+NotificationLog.belongsTo(Church, { foreignKey: 'church_id', as: 'church', constraints: false });
+NotificationLog.belongsTo(Event, { foreignKey: 'event_id', as: 'event', constraints: false });
+NotificationLog.belongsTo(Member, { foreignKey: 'member_id', as: 'member', constraints: false });
+NotificationLog.belongsTo(ServiceRole, { foreignKey: 'service_role_id', as: 'role', constraints: false });
+NotificationLog.belongsTo(User, { foreignKey: 'created_by', as: 'creator', constraints: false });
+
+// Lotes del scheduler (un lote por iglesia/fecha/tipo) y sus envíos
+Church.hasMany(NotificationRun, { foreignKey: 'church_id', as: 'notification_runs', constraints: false });
+NotificationRun.belongsTo(Church, { foreignKey: 'church_id', as: 'church', constraints: false });
+NotificationRun.hasMany(NotificationLog, { foreignKey: 'notification_run_id', as: 'logs', constraints: false });
+NotificationLog.belongsTo(NotificationRun, { foreignKey: 'notification_run_id', as: 'run', constraints: false });
+
+// Plantillas de mensajes por iglesia (una por tipo)
+Church.hasMany(NotificationTemplate, { foreignKey: 'church_id', as: 'notification_templates', constraints: false });
+NotificationTemplate.belongsTo(Church, { foreignKey: 'church_id', as: 'church', constraints: false });
+
+// Broadcast (anuncio masivo) -> NotificationLog (un intento por miembro y canal)
+Church.hasMany(Broadcast, { foreignKey: 'church_id', as: 'broadcasts', constraints: false });
+Broadcast.belongsTo(Church, { foreignKey: 'church_id', as: 'church', constraints: false });
+Broadcast.belongsTo(User, { foreignKey: 'created_by', as: 'creator', constraints: false });
+Broadcast.hasMany(NotificationLog, { foreignKey: 'broadcast_id', as: 'logs', constraints: false });
+NotificationLog.belongsTo(Broadcast, { foreignKey: 'broadcast_id', as: 'broadcast', constraints: false });
+
+// Member -> MemberConsentEvent (historial de consentimiento de contacto)
+Member.hasMany(MemberConsentEvent, { foreignKey: 'member_id', as: 'consent_events', constraints: false });
+MemberConsentEvent.belongsTo(Member, { foreignKey: 'member_id', as: 'member', constraints: false });
+MemberConsentEvent.belongsTo(User, { foreignKey: 'recorded_by', as: 'recorder', constraints: false });
+
+// Member -> MemberTimelineEvent (historia: tipo, bautismo, cargo, traslados, estado)
+Member.hasMany(MemberTimelineEvent, { foreignKey: 'member_id', as: 'timeline_events', constraints: false });
+MemberTimelineEvent.belongsTo(Member, { foreignKey: 'member_id', as: 'member', constraints: false });
+MemberTimelineEvent.belongsTo(User, { foreignKey: 'recorded_by', as: 'recorder', constraints: false });
+
+// Household (hogar) -> Member (parentesco en Member.household_relationship)
+Church.hasMany(Household, { foreignKey: 'church_id', as: 'households', constraints: false });
+Household.belongsTo(Church, { foreignKey: 'church_id', as: 'church', constraints: false });
+Household.hasMany(Member, { foreignKey: 'household_id', as: 'members', constraints: false });
+Member.belongsTo(Household, { foreignKey: 'household_id', as: 'household', constraints: false });
+
+// Member -> Baptism (registro de bautismo, uno por miembro)
+Church.hasMany(Baptism, { foreignKey: 'church_id', as: 'baptisms', constraints: false });
+Baptism.belongsTo(Church, { foreignKey: 'church_id', as: 'church', constraints: false });
+Member.hasOne(Baptism, { foreignKey: 'member_id', as: 'baptism', constraints: false });
+Baptism.belongsTo(Member, { foreignKey: 'member_id', as: 'member', constraints: false });
+Baptism.belongsTo(User, { foreignKey: 'recorded_by', as: 'recorder', constraints: false });
+
+// Member -> MemberTransfer (solicitudes de traslado entre iglesias)
+Member.hasMany(MemberTransfer, { foreignKey: 'member_id', as: 'transfers', constraints: false });
+MemberTransfer.belongsTo(Member, { foreignKey: 'member_id', as: 'member', constraints: false });
+MemberTransfer.belongsTo(Church, { foreignKey: 'from_church_id', as: 'from_church', constraints: false });
+MemberTransfer.belongsTo(Church, { foreignKey: 'to_church_id', as: 'to_church', constraints: false });
+MemberTransfer.belongsTo(User, { foreignKey: 'requested_by', as: 'requester', constraints: false });
+MemberTransfer.belongsTo(User, { foreignKey: 'decided_by', as: 'decider', constraints: false });
+
+// =============================================
+// EVENTOS RECURRENTES: EventSeries → Event (ocurrencias)
+// constraints: false porque la FK events.series_id se crea en migrations/run.js
+// =============================================
+Church.hasMany(EventSeries, { foreignKey: 'church_id', as: 'event_series' });
+EventSeries.belongsTo(Church, { foreignKey: 'church_id', as: 'church' });
+
+EventSeries.hasMany(Event, { foreignKey: 'series_id', as: 'occurrences', constraints: false });
+Event.belongsTo(EventSeries, { foreignKey: 'series_id', as: 'series', constraints: false });
 
 // Event <-> EventAttendee <-> Member (N:M)
 // constraints: false evita conflictos con FK manuales creadas en migraciones
@@ -125,6 +219,66 @@ MinisterialPosition.belongsTo(Church, { foreignKey: 'church_id', as: 'church' })
 MinisterialPosition.hasMany(Member, { foreignKey: 'position_id', as: 'members', constraints: false });
 Member.belongsTo(MinisterialPosition, { foreignKey: 'position_id', as: 'position', constraints: false });
 
+// =============================================
+// DISPONIBILIDAD DE MIEMBROS (roles de culto)
+// =============================================
+
+Member.hasMany(MemberBlackout, { foreignKey: 'member_id', as: 'blackouts', onDelete: 'CASCADE' });
+MemberBlackout.belongsTo(Member, { foreignKey: 'member_id', as: 'member' });
+Church.hasMany(MemberBlackout, { foreignKey: 'church_id', as: 'member_blackouts' });
+MemberBlackout.belongsTo(Church, { foreignKey: 'church_id', as: 'church' });
+
+// =============================================
+// PAPELERA: quién envió el registro a la papelera (ver utils/trash.js)
+// =============================================
+
+Member.belongsTo(User, { foreignKey: 'deleted_by', as: 'deleter', constraints: false });
+Event.belongsTo(User, { foreignKey: 'deleted_by', as: 'deleter', constraints: false });
+Minute.belongsTo(User, { foreignKey: 'deleted_by', as: 'deleter', constraints: false });
+
+// =============================================
+// RESTABLECIMIENTO DE CONTRASEÑA (utils/passwordResets.js)
+// =============================================
+
+PasswordReset.belongsTo(User, { foreignKey: 'user_id', as: 'user', constraints: false });
+
+// =============================================
+// SESIONES: refresh tokens por dispositivo (utils/sessions.js)
+// =============================================
+
+User.hasMany(UserSession, { foreignKey: 'user_id', as: 'sessions', constraints: false });
+UserSession.belongsTo(User, { foreignKey: 'user_id', as: 'user', constraints: false });
+
+// =============================================
+// VERIFICACIÓN EN DOS PASOS (utils/twoFactor.js)
+// =============================================
+
+User.hasOne(UserTwoFactor, { foreignKey: 'user_id', as: 'two_factor', constraints: false });
+UserTwoFactor.belongsTo(User, { foreignKey: 'user_id', as: 'user', constraints: false });
+
+// =============================================
+// EVENTOS DE SEGURIDAD (utils/loginProtection.js)
+// =============================================
+
+User.hasMany(SecurityEvent, { foreignKey: 'user_id', as: 'security_events', constraints: false });
+SecurityEvent.belongsTo(User, { foreignKey: 'user_id', as: 'user', constraints: false });
+
+// =============================================
+// PERMISOS POR ROL E IGLESIA (utils/permissions.js)
+// =============================================
+
+Church.hasMany(RolePermission, { foreignKey: 'church_id', as: 'role_permissions', constraints: false });
+RolePermission.belongsTo(Church, { foreignKey: 'church_id', as: 'church', constraints: false });
+RolePermission.belongsTo(Role, { foreignKey: 'role_id', as: 'role', constraints: false });
+
+// =============================================
+// AUDITORÍA: hooks de alta/edición/eliminación en los modelos (utils/audit.js)
+// =============================================
+
+AuditLog.belongsTo(User, { foreignKey: 'user_id', as: 'user', constraints: false });
+AuditLog.belongsTo(Church, { foreignKey: 'church_id', as: 'church', constraints: false });
+registerAuditHooks(sequelize);
+
 module.exports = {
   sequelize,
   Role,
@@ -142,4 +296,24 @@ module.exports = {
   MotionVoter,
   MinisterialPosition,
   MinuteFile,
+  EventSeries,
+  MemberBlackout,
+  ServiceRole,
+  EventRoleAssignment,
+  NotificationLog,
+  NotificationRun,
+  SchedulerLock,
+  NotificationTemplate,
+  Broadcast,
+  MemberConsentEvent,
+  MemberTimelineEvent,
+  Household,
+  Baptism,
+  MemberTransfer,
+  AuditLog,
+  PasswordReset,
+  UserSession,
+  UserTwoFactor,
+  SecurityEvent,
+  RolePermission,
 };
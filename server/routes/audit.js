@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Registro de auditoría: permiso audit.view
+router.get('/', requirePermission('audit.view'), auditController.getAll);
+
+module.exports = router;
@@ -1,18 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticate, authorize } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
 
 // Rutas públicas
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/login/2fa', twoFactorController.completeLogin);
 router.post('/forgot-password', authController.forgotPassword);
 router.post('/reset-password', authController.resetPassword);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
 
 // Rutas protegidas
 router.get('/me', authenticate, authController.getProfile);
 
-// Admin: resetear contraseña de cualquier usuario
-router.post('/admin-reset-password/:userId', authenticate, authorize('Administrador'), authController.adminResetPassword);
+// Sesiones del usuario (dispositivos)
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions/:id', authenticate, authController.revokeSession);
+router.post('/logout-all', authenticate, authController.logoutAll);
+
+// Verificación en dos pasos del propio usuario
+router.get('/2fa', authenticate, twoFactorController.getStatus);
+router.post('/2fa/setup', authenticate, twoFactorController.setup);
+router.post('/2fa/enable', authenticate, twoFactorController.enable);
+router.post('/2fa/disable', authenticate, twoFactorController.disable);
+router.post('/2fa/backup-codes', authenticate, twoFactorController.regenerateBackupCodes);
+
+// Admin: resetear contraseña de cualquier usuario (permiso users.manage)
+router.post('/admin-reset-password/:userId', authenticate, requirePermission('users.manage'), authController.adminResetPassword);
+
+// SuperAdmin: restablecer el 2FA de un usuario que perdió el acceso
+router.post('/admin-reset-2fa/:userId', authenticate, authorize('SuperAdmin'), twoFactorController.adminReset);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const baptismController = require('../controllers/baptismController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+router.get('/', requirePermission('baptisms.view'), baptismController.getAll);
+router.get('/:id', requirePermission('baptisms.view'), baptismController.getById);
+router.get('/:id/certificate', requirePermission('baptisms.certificate'), baptismController.getCertificate);
+
+// Registrar/editar (el miembro queda bautizado)
+router.post('/', requirePermission('baptisms.write'), baptismController.create);
+router.put('/:id', requirePermission('baptisms.write'), baptismController.update);
+router.delete('/:id', requirePermission('baptisms.delete'), baptismController.delete);
+
+module.exports = router;
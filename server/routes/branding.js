@@ -4,7 +4,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const brandingController = require('../controllers/brandingController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 // Asegurar directorio de logos
 const logosDir = path.join(__dirname, '..', 'public', 'uploads', 'logos');
@@ -37,9 +37,9 @@ const upload = multer({
 router.get('/:churchId', brandingController.getBranding);
 
 // Rutas protegidas
-router.get('/', authenticate, authorize('Administrador'), brandingController.getAllBranding);
-router.put('/:churchId', authenticate, authorize('Administrador'), brandingController.updateBranding);
-router.post('/:churchId/logo', authenticate, authorize('Administrador'), upload.single('logo'), brandingController.uploadLogo);
-router.delete('/:churchId/logo', authenticate, authorize('Administrador'), brandingController.deleteLogo);
+router.get('/', authenticate, requirePermission('branding.manage'), brandingController.getAllBranding);
+router.put('/:churchId', authenticate, requirePermission('branding.manage'), brandingController.updateBranding);
+router.post('/:churchId/logo', authenticate, requirePermission('branding.manage'), upload.single('logo'), brandingController.uploadLogo);
+router.delete('/:churchId/logo', authenticate, requirePermission('branding.manage'), brandingController.deleteLogo);
 
 module.exports = router;
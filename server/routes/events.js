@@ -1,26 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 router.use(authenticate);
 
-router.get('/', eventController.getAll);
+router.get('/', requirePermission('events.view'), eventController.getAll);
 
 // Calendario PDF mensual (DEBE ir ANTES de /:id para evitar conflicto de rutas)
-router.get('/calendar-pdf', eventController.generateCalendar);
+router.get('/calendar-pdf', requirePermission('events.view'), eventController.generateCalendar);
 
 // Calendario de Ventas PDF anual (DEBE ir ANTES de /:id)
-router.get('/sales-calendar-pdf', eventController.generateSalesCalendar);
+router.get('/sales-calendar-pdf', requirePermission('events.view'), eventController.generateSalesCalendar);
 
-router.get('/:id', eventController.getById);
+// Disponibilidad de miembros para los selectores de roles (DEBE ir ANTES de /:id)
+router.get('/role-availability', requirePermission('events.view'), eventController.getRoleAvailability);
 
-// Crear eventos: Administrador, Secretaría, Líder
-router.post('/', authorize('Administrador', 'Secretaría', 'Líder'), eventController.create);
-router.put('/:id', authorize('Administrador', 'Secretaría', 'Líder'), eventController.update);
-router.delete('/:id', authorize('Administrador'), eventController.delete);
+// Planificador de rotación de roles de culto: propuesta + aplicar en bloque
+router.post('/role-plan', requirePermission('events.write'), eventController.planRoles);
+router.post('/role-plan/apply', requirePermission('events.write'), eventController.applyRolePlan);
+
+router.get('/:id', requirePermission('events.view'), eventController.getById);
+
+// Crear/editar/eliminar eventos
+router.post('/', requirePermission('events.write'), eventController.create);
+router.put('/:id', requirePermission('events.write'), eventController.update);
+router.delete('/:id', requirePermission('events.delete'), eventController.delete);
 
 // Asistentes
-router.post('/:id/attendees', authorize('Administrador', 'Secretaría', 'Líder'), eventController.addAttendees);
+router.post('/:id/attendees', requirePermission('events.write'), eventController.addAttendees);
 
 module.exports = router;
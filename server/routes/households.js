@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const householdController = require('../controllers/householdController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Los hogares muestran los datos de sus miembros
+router.get('/', requirePermission('members.view'), householdController.getAll);
+router.get('/:id', requirePermission('members.view'), householdController.getById);
+
+// Crear/editar (incluye asignar miembros)
+router.post('/', requirePermission('households.write'), householdController.create);
+router.put('/:id', requirePermission('households.write'), householdController.update);
+router.delete('/:id', requirePermission('households.delete'), householdController.delete);
+
+module.exports = router;
@@ -3,13 +3,21 @@ const router = express.Router();
 
 router.use('/auth', require('./auth'));
 router.use('/users', require('./users'));
+router.use('/permissions', require('./permissions'));
 router.use('/members', require('./members'));
+router.use('/households', require('./households'));
+router.use('/baptisms', require('./baptisms'));
+router.use('/transfers', require('./transfers'));
 router.use('/churches', require('./churches'));
 router.use('/events', require('./events'));
 router.use('/minutes', require('./minutes'));
+router.use('/trash', require('./trash'));
+router.use('/audit', require('./audit'));
 router.use('/weekly-attendance', require('./weeklyAttendance'));
 router.use('/ministerial-positions', require('./ministerialPositions'));
+router.use('/service-roles', require('./serviceRoles'));
 router.use('/branding', require('./branding'));
 router.use('/notifications', require('./notifications'));
+router.use('/role-confirmations', require('./roleConfirmations'));
 
 module.exports = router;
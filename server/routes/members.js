@@ -1,17 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const memberController = require('../controllers/memberController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 // Todas las rutas requieren autenticación
 router.use(authenticate);
 
-router.get('/', memberController.getAll);
-router.get('/:id', memberController.getById);
+router.get('/', requirePermission('members.view'), memberController.getAll);
 
-// Crear/editar/eliminar: Administrador, Secretaría, Líder
-router.post('/', authorize('Administrador', 'Secretaría', 'Líder'), memberController.create);
-router.put('/:id', authorize('Administrador', 'Secretaría', 'Líder'), memberController.update);
-router.delete('/:id', authorize('Administrador'), memberController.delete);
+// Cumpleaños y aniversarios del mes (antes de /:id)
+router.get('/birthdays', requirePermission('members.view'), memberController.getBirthdays);
+router.get('/birthdays/pdf', requirePermission('members.view'), memberController.getBirthdaysPdf);
+
+// Reporte de crecimiento (antes de /:id)
+router.get('/reports/growth', requirePermission('members.view'), memberController.getGrowthReport);
+
+router.get('/:id', requirePermission('members.view'), memberController.getById);
+
+// Crear/editar/eliminar (permisos en utils/permissions.js)
+router.post('/', requirePermission('members.write'), memberController.create);
+router.put('/:id', requirePermission('members.write'), memberController.update);
+router.delete('/:id', requirePermission('members.delete'), memberController.delete);
+
+// Consentimiento de contacto (estado + historial; los cambios van en PUT /:id)
+router.get('/:id/consent', requirePermission('members.view'), memberController.getConsent);
+
+// Historia del miembro y cambios de estado (inactivo / fallecido / reactivado)
+router.get('/:id/timeline', requirePermission('members.view'), memberController.getTimeline);
+router.put('/:id/status', requirePermission('members.status'), memberController.updateStatus);
+
+// Disponibilidad para roles de culto (fechas bloqueadas, días preferidos, tope mensual)
+router.get('/:id/availability', requirePermission('members.view'), memberController.getAvailability);
+router.put('/:id/availability', requirePermission('members.write'), memberController.updateAvailability);
 
 module.exports = router;
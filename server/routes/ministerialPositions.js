@@ -1,16 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const ministerialPositionController = require('../controllers/ministerialPositionController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 router.use(authenticate);
 
 router.get('/', ministerialPositionController.getAll);
 router.get('/:id', ministerialPositionController.getById);
 
-// CRUD: Administrador y SuperAdmin (SuperAdmin bypass automático en authorize)
-router.post('/', authorize('Administrador'), ministerialPositionController.create);
-router.put('/:id', authorize('Administrador'), ministerialPositionController.update);
-router.delete('/:id', authorize('Administrador'), ministerialPositionController.delete);
+// CRUD: permiso positions.manage (SuperAdmin siempre)
+router.post('/', requirePermission('positions.manage'), ministerialPositionController.create);
+router.put('/:id', requirePermission('positions.manage'), ministerialPositionController.update);
+router.delete('/:id', requirePermission('positions.manage'), ministerialPositionController.delete);
 
 module.exports = router;
@@ -1,35 +1,76 @@
 /**
- * routes/notifications.js - Rutas para notificaciones WhatsApp
+ * routes/notifications.js - Rutas para notificaciones (WhatsApp, correo, SMS)
  * 
  * Endpoints:
- * - GET  /api/notifications/status            → Estado de configuración WhatsApp
+ * - GET  /api/notifications/status            → Estado de los canales (WhatsApp, correo, SMS)
  * - GET  /api/notifications/schedule          → Horarios configurados de la iglesia
  * - PUT  /api/notifications/schedule          → Guardar horarios de notificación
  * - GET  /api/notifications/upcoming-cultos   → Cultos próximos con roles asignados
  * - POST /api/notifications/send-reminders    → Envío manual masivo
  * - POST /api/notifications/send/:eventId     → Enviar notificación para un culto específico
+ * - PUT  /api/notifications/assignments/:id/reassign → Reasignar un rol declinado
+ * - GET  /api/notifications/history           → Historial paginado de envíos
+ * - POST /api/notifications/history/:id/retry → Reintentar un envío fallido
+ * - GET  /api/notifications/templates         → Plantillas de mensajes de la iglesia
+ * - PUT  /api/notifications/templates/:kind   → Guardar plantilla (reminder, today, birthday, announcement)
+ * - DELETE /api/notifications/templates/:kind → Restaurar plantilla por defecto
+ * - POST /api/notifications/templates/preview → Vista previa con datos de ejemplo
+ * - GET  /api/notifications/broadcasts        → Anuncios masivos (paginado)
+ * - POST /api/notifications/broadcasts/preview → Destinatarios de un segmento
+ * - POST /api/notifications/broadcasts        → Enviar ahora o programar un anuncio
+ * - GET  /api/notifications/broadcasts/:id    → Detalle + reporte de entrega
+ * - POST /api/notifications/broadcasts/:id/cancel → Cancelar un anuncio
+ * - GET  /api/notifications/webhook           → Verificación del webhook (Meta, pública)
+ * - POST /api/notifications/webhook           → Estados de entrega y respuestas (Meta, firmado)
  */
 const express = require('express');
 const router = express.Router();
 const { notificationController } = require('../controllers/notificationController');
-const { authenticate, authorize } = require('../middleware/auth');
+const whatsappWebhookController = require('../controllers/whatsappWebhookController');
+const notificationTemplateController = require('../controllers/notificationTemplateController');
+const broadcastController = require('../controllers/broadcastController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Webhook de WhatsApp: lo llama Meta, sin JWT (se valida token/firma)
+router.get('/webhook', whatsappWebhookController.verify);
+router.post('/webhook', whatsappWebhookController.receive);
 
 router.use(authenticate);
 
-// Estado de configuración WhatsApp
-router.get('/status', authorize('Administrador', 'Secretaría'), notificationController.getStatus);
+// Estado de configuración de los canales
+router.get('/status', requirePermission('notifications.view'), notificationController.getStatus);
 
 // Horarios de notificación (lectura y escritura)
-router.get('/schedule', authorize('Administrador', 'Secretaría'), notificationController.getSchedule);
-router.put('/schedule', authorize('Administrador', 'Secretaría'), notificationController.saveSchedule);
+router.get('/schedule', requirePermission('notifications.view'), notificationController.getSchedule);
+router.put('/schedule', requirePermission('notifications.configure'), notificationController.saveSchedule);
 
 // Lista de cultos próximos con roles asignados
-router.get('/upcoming-cultos', authorize('Administrador', 'Secretaría'), notificationController.getUpcomingCultos);
+router.get('/upcoming-cultos', requirePermission('notifications.view'), notificationController.getUpcomingCultos);
 
 // Envío manual de recordatorios
-router.post('/send-reminders', authorize('Administrador', 'Secretaría'), notificationController.sendReminders);
+router.post('/send-reminders', requirePermission('notifications.send'), notificationController.sendReminders);
 
 // Envío manual para un culto específico (botón "Enviar" por evento)
-router.post('/send/:eventId', authorize('Administrador', 'Secretaría'), notificationController.sendForEvent);
+router.post('/send/:eventId', requirePermission('notifications.send'), notificationController.sendForEvent);
+
+// Reasignar un rol de culto (el miembro declinó desde su enlace)
+router.put('/assignments/:id/reassign', requirePermission('notifications.send'), notificationController.reassignRole);
+
+// Historial de envíos y reintento de fallidos
+router.get('/history', requirePermission('notifications.view'), notificationController.getHistory);
+router.post('/history/:id/retry', requirePermission('notifications.send'), notificationController.retryNotification);
+
+// Plantillas de mensajes por iglesia (la vista previa va antes de /:kind)
+router.get('/templates', requirePermission('notifications.view'), notificationTemplateController.getAll);
+router.post('/templates/preview', requirePermission('notifications.configure'), notificationTemplateController.preview);
+router.put('/templates/:kind', requirePermission('notifications.configure'), notificationTemplateController.update);
+router.delete('/templates/:kind', requirePermission('notifications.configure'), notificationTemplateController.reset);
+
+// Anuncios masivos a un segmento de miembros (la vista previa va antes de /:id)
+router.get('/broadcasts', requirePermission('notifications.view'), broadcastController.getAll);
+router.post('/broadcasts/preview', requirePermission('notifications.send'), broadcastController.preview);
+router.post('/broadcasts', requirePermission('notifications.send'), broadcastController.create);
+router.get('/broadcasts/:id', requirePermission('notifications.view'), broadcastController.getById);
+router.post('/broadcasts/:id/cancel', requirePermission('notifications.send'), broadcastController.cancel);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const permissionController = require('../controllers/permissionController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Permisos del usuario actual (el cliente oculta páginas y botones)
+router.get('/me', permissionController.me);
+
+// Matriz rol → permisos de la iglesia
+router.get('/', requirePermission('permissions.manage'), permissionController.getMatrix);
+router.put('/roles/:roleId', requirePermission('permissions.manage'), permissionController.updateRole);
+router.delete('/roles/:roleId', requirePermission('permissions.manage'), permissionController.resetRole);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+/**
+ * routes/roleConfirmations.js - Confirmación pública de roles de culto
+ *
+ * Sin autenticación: el token del enlace identifica la asignación.
+ * - GET  /api/role-confirmations/:token
+ * - POST /api/role-confirmations/:token
+ */
+const express = require('express');
+const router = express.Router();
+const roleConfirmationController = require('../controllers/roleConfirmationController');
+
+router.get('/:token', roleConfirmationController.getByToken);
+router.post('/:token', roleConfirmationController.respond);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const serviceRoleController = require('../controllers/serviceRoleController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.get('/', serviceRoleController.getAll);
+
+// CRUD: permiso service_roles.manage (SuperAdmin siempre)
+router.post('/', requirePermission('service_roles.manage'), serviceRoleController.create);
+router.put('/:id', requirePermission('service_roles.manage'), serviceRoleController.update);
+router.delete('/:id', requirePermission('service_roles.manage'), serviceRoleController.delete);
+
+module.exports = router;
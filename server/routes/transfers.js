@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const transferController = require('../controllers/transferController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+router.get('/', requirePermission('transfers.view'), transferController.getAll);
+router.get('/churches', requirePermission('transfers.view'), transferController.getDestinations);
+router.get('/:id/letter', requirePermission('transfers.view'), transferController.getLetter);
+
+// Origen: solicitar / cancelar
+router.post('/', requirePermission('transfers.request'), transferController.create);
+router.put('/:id/cancel', requirePermission('transfers.request'), transferController.cancel);
+
+// Destino: aceptar / rechazar
+router.put('/:id/accept', requirePermission('transfers.approve'), transferController.accept);
+router.put('/:id/reject', requirePermission('transfers.approve'), transferController.reject);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trashController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Papelera: permiso trash.manage
+router.get('/', requirePermission('trash.manage'), trashController.getAll);
+router.post('/:type/:id/restore', requirePermission('trash.manage'), trashController.restore);
+router.delete('/:type/:id', requirePermission('trash.manage'), trashController.purge);
+
+module.exports = router;
@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
-// Todas las rutas requieren autenticación y rol Administrador
+// Todas las rutas requieren autenticación y el permiso users.manage
 router.use(authenticate);
-router.use(authorize('Administrador'));
+router.use(requirePermission('users.manage'));
 
 // Roles (va primero para evitar conflicto con :id)
 router.get('/roles', userController.getRoles);
@@ -16,4 +16,8 @@ router.post('/', userController.create);
 router.put('/:id', userController.update);
 router.delete('/:id', userController.delete);
 
+// Bloqueo por intentos fallidos de inicio de sesión
+router.post('/:id/unlock', userController.unlock);
+router.get('/:id/security-events', userController.getSecurityEvents);
+
 module.exports = router;
@@ -1,21 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const weeklyAttendanceController = require('../controllers/weeklyAttendanceController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 // Todas las rutas requieren autenticación
 router.use(authenticate);
 
 // Listar registros de asistencia semanal
-router.get('/', weeklyAttendanceController.getAll);
+router.get('/', requirePermission('attendance.view'), weeklyAttendanceController.getAll);
 
-// Crear: Administrador, Secretaría, Líder
-router.post('/', authorize('Administrador', 'Secretaría', 'Líder'), weeklyAttendanceController.create);
+// Crear
+router.post('/', requirePermission('attendance.create'), weeklyAttendanceController.create);
 
-// Editar: Administrador, Secretaría
-router.put('/:id', authorize('Administrador', 'Secretaría'), weeklyAttendanceController.update);
+// Editar
+router.put('/:id', requirePermission('attendance.edit'), weeklyAttendanceController.update);
 
-// Eliminar: Solo Administrador
-router.delete('/:id', authorize('Administrador'), weeklyAttendanceController.delete);
+// Eliminar
+router.delete('/:id', requirePermission('attendance.delete'), weeklyAttendanceController.delete);
 
 module.exports = router;
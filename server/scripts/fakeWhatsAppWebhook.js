@@ -0,0 +1,124 @@
+/**
+ * fakeWhatsAppWebhook.js - Envía un payload falso de Meta al webhook local
+ *
+ * Permite probar /api/notifications/webhook sin WhatsApp real. Si
+ * WHATSAPP_APP_SECRET está configurado, el payload se firma igual que Meta.
+ *
+ * USO (con el servidor corriendo):
+ *   npm run webhook:fake -- verify
+ *   npm run webhook:fake -- status <wamid> <sent|delivered|read|failed>
+ *   npm run webhook:fake -- reply <telefono> "Confirmo" [wamid citado]
+ *   npm run webhook:fake -- button <telefono> "No puedo" [wamid citado]
+ *   npm run webhook:fake -- reply <telefono> "BAJA"   (o "ALTA": consentimiento de WhatsApp)
+ *
+ * El wamid de los recordatorios enviados está en notification_logs.provider_message_id.
+ * WEBHOOK_URL (opcional) cambia el destino; por defecto http://localhost:PORT.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const WEBHOOK_URL = process.env.WEBHOOK_URL
+  || `http://localhost:${process.env.PORT || 5000}/api/notifications/webhook`;
+
+const now = () => String(Math.floor(Date.now() / 1000));
+const fakeId = () => `wamid.FAKE${crypto.randomBytes(12).toString('hex')}`;
+
+/** Envoltura común de Meta para un cambio de la cuenta de WhatsApp Business */
+function envelope(value) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'FAKE_WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '15550000000', phone_number_id: process.env.WHATSAPP_PHONE_NUMBER_ID || 'FAKE' },
+          ...value,
+        },
+      }],
+    }],
+  };
+}
+
+function statusPayload(wamid, status) {
+  const statusObj = { id: wamid, status, timestamp: now(), recipient_id: '50700000000' };
+  if (status === 'failed') {
+    statusObj.errors = [{ code: 131026, title: 'Message undeliverable', error_data: { details: 'Payload de prueba' } }];
+  }
+  return envelope({ statuses: [statusObj] });
+}
+
+function messagePayload(kind, from, text, contextId) {
+  const message = { from, id: fakeId(), timestamp: now() };
+  if (contextId) message.context = { from: '15550000000', id: contextId };
+  if (kind === 'button') {
+    message.type = 'button';
+    message.button = { text, payload: text };
+  } else {
+    message.type = 'text';
+    message.text = { body: text };
+  }
+  return envelope({ contacts: [{ wa_id: from, profile: { name: 'Prueba' } }], messages: [message] });
+}
+
+function request(method, url, body) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const headers = {};
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(body);
+    if (process.env.WHATSAPP_APP_SECRET) {
+      const signature = crypto.createHmac('sha256', process.env.WHATSAPP_APP_SECRET).update(body).digest('hex');
+      headers['X-Hub-Signature-256'] = `sha256=${signature}`;
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, { method, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.setTimeout(15000, () => req.destroy(new Error('Tiempo de espera agotado')));
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  let result;
+
+  if (command === 'verify') {
+    const url = new URL(WEBHOOK_URL);
+    url.searchParams.set('hub.mode', 'subscribe');
+    url.searchParams.set('hub.verify_token', process.env.WHATSAPP_VERIFY_TOKEN || '');
+    url.searchParams.set('hub.challenge', 'challenge-de-prueba');
+    result = await request('GET', url.toString());
+  } else if (command === 'status' && args[0]) {
+    result = await request('POST', WEBHOOK_URL, JSON.stringify(statusPayload(args[0], args[1] || 'delivered')));
+  } else if (['reply', 'button'].includes(command) && args[0] && args[1]) {
+    const kind = command === 'button' ? 'button' : 'text';
+    result = await request('POST', WEBHOOK_URL, JSON.stringify(messagePayload(kind, args[0], args[1], args[2])));
+  } else {
+    console.log('Uso:');
+    console.log('  npm run webhook:fake -- verify');
+    console.log('  npm run webhook:fake -- status <wamid> <sent|delivered|read|failed>');
+    console.log('  npm run webhook:fake -- reply <telefono> "Confirmo" [wamid citado]');
+    console.log('  npm run webhook:fake -- button <telefono> "No puedo" [wamid citado]');
+    process.exit(1);
+  }
+
+  console.log(`HTTP ${result.status}`);
+  console.log(result.body);
+}
+
+main().catch((err) => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+/**
+ * recurrence.test.js - Fechas de las series en la zona de la iglesia
+ *
+ * Se ejecuta con TZ=UTC (npm test), igual que el servidor en Render: los
+ * días y horas deben salir de Church.timezone y no de la zona del proceso.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeRecurrence, validateRecurrence, generateOccurrenceDates, toDateKey,
+} = require('../utils/recurrence');
+
+const PANAMA = 'America/Panama';
+
+// Domingo 2026-11-01 19:00 en Panamá (UTC-5) = Lunes 00:00 en UTC
+const FIRST_START = new Date('2026-11-02T00:00:00Z');
+
+test('se ejecuta con el proceso en UTC', () => {
+  assert.equal(new Date().getTimezoneOffset(), 0);
+});
+
+test('semanal Dom/Mié 19:00 en Panamá genera días de Panamá, incluido el primer Domingo', () => {
+  const rule = normalizeRecurrence({ frequency: 'weekly', weekdays: [0, 3], occurrence_count: 6 }, FIRST_START, PANAMA);
+  const dates = generateOccurrenceDates(rule, FIRST_START, PANAMA);
+
+  assert.deepEqual(dates.map((d) => toDateKey(d, PANAMA)), [
+    '2026-11-01', '2026-11-04', '2026-11-08', '2026-11-11', '2026-11-15', '2026-11-18',
+  ]);
+  assert.equal(dates[0].toISOString(), '2026-11-02T00:00:00.000Z');
+  dates.forEach((d) => assert.equal(d.getUTCHours(), 0));
+});
+
+test('sin días elegidos usa el día de la semana de la primera ocurrencia en la iglesia', () => {
+  const rule = normalizeRecurrence({ frequency: 'weekly', occurrence_count: 2 }, FIRST_START, PANAMA);
+  assert.deepEqual(rule.weekdays, [0]);
+});
+
+test('excluded_dates y until_date son días de la iglesia', () => {
+  const rule = normalizeRecurrence({
+    frequency: 'weekly',
+    weekdays: [0, 3],
+    until_date: '2026-11-08',
+    excluded_dates: ['2026-11-04'],
+  }, FIRST_START, PANAMA);
+  assert.equal(validateRecurrence(rule, FIRST_START, PANAMA), null);
+
+  const dates = generateOccurrenceDates(rule, FIRST_START, PANAMA);
+  assert.deepEqual(dates.map((d) => toDateKey(d, PANAMA)), ['2026-11-01', '2026-11-08']);
+});
+
+test('mensual repite el mismo N-ésimo día de la semana en la iglesia', () => {
+  const rule = normalizeRecurrence({ frequency: 'monthly', occurrence_count: 3 }, FIRST_START, PANAMA);
+  const dates = generateOccurrenceDates(rule, FIRST_START, PANAMA);
+  assert.deepEqual(dates.map((d) => toDateKey(d, PANAMA)), ['2026-11-01', '2026-12-06', '2027-01-03']);
+});
+
+test('conserva la hora de reloj al cambiar el horario de verano', () => {
+  const tz = 'America/New_York';
+  // Domingo 2026-10-25 19:00 EDT; el horario de verano termina el 2026-11-01
+  const start = new Date('2026-10-25T23:00:00Z');
+  const rule = normalizeRecurrence({ frequency: 'weekly', occurrence_count: 2 }, start, tz);
+  const dates = generateOccurrenceDates(rule, start, tz);
+  assert.deepEqual(dates.map((d) => d.toISOString()), [
+    '2026-10-25T23:00:00.000Z',
+    '2026-11-02T00:00:00.000Z',
+  ]);
+});
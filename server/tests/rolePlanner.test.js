@@ -0,0 +1,30 @@
+/**
+ * rolePlanner.test.js - Día del culto en la zona de la iglesia (TZ=UTC)
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planRoleRotation } = require('../utils/rolePlanner');
+
+// Domingo 2026-11-01 19:00 en Panamá = Lunes 00:00 en UTC
+const CULTO = { id: 1, title: 'Culto', start_date: new Date('2026-11-02T00:00:00Z'), roles: {} };
+const ROLES = [{ id: 10, name: 'Predica', members_needed: 1 }];
+
+test('prefiere a quien sirve ese día de la semana en la iglesia', () => {
+  const preferences = new Map([
+    [1, { weekdays: [1], max: null, monthly: new Map() }], // Lunes
+    [2, { weekdays: [0], max: null, monthly: new Map() }], // Domingo
+  ]);
+  const { plan, warnings } = planRoleRotation({
+    events: [CULTO], roles: ROLES, pools: { 10: [1, 2] }, preferences, timeZone: 'America/Panama',
+  });
+  assert.deepEqual(plan[0].roles[10], [2]);
+  assert.deepEqual(warnings, []);
+});
+
+test('las fechas no disponibles se comparan con el día de la iglesia', () => {
+  const unavailable = new Map([[1, [{ from: '2026-11-01', to: '2026-11-01' }]]]);
+  const { plan } = planRoleRotation({
+    events: [CULTO], roles: ROLES, pools: { 10: [1, 2] }, unavailable, timeZone: 'America/Panama',
+  });
+  assert.deepEqual(plan[0].roles[10], [2]);
+});
@@ -0,0 +1,288 @@
+/**
+ * audit.js - Auditoría de altas, ediciones y eliminaciones
+ *
+ * Hooks de Sequelize registrados en todos los modelos (models/index.js) que
+ * dejan una fila en audit_logs por cada registro creado, editado, enviado a
+ * la papelera, eliminado definitivamente o restaurado.
+ *
+ * - Quién y desde dónde: el middleware authenticate guarda el usuario y la
+ *   IP de la petición en un AsyncLocalStorage (runWithAuditContext); los
+ *   cambios sin petición autenticada (scheduler, webhooks, enlaces públicos)
+ *   quedan como "Sistema".
+ * - Las operaciones masivas (Model.update / Model.destroy con where) se
+ *   ejecutan registro por registro (individualHooks) para guardar el detalle.
+ * - No se guardan los timestamps ni los contadores que se recalculan solos,
+ *   y los campos sensibles (contraseñas, tokens) quedan como '[oculto]'.
+ * - La fila se inserta en la misma transacción que el cambio: si se revierte,
+ *   no queda auditoría. Un error al auditar no interrumpe la operación (dentro
+ *   de una transacción se escribe en un SAVEPOINT, para no abortarla).
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const { isDeepStrictEqual } = require('util');
+
+const storage = new AsyncLocalStorage();
+
+const AUDIT_ACTIONS = {
+  create: 'Creación',
+  update: 'Edición',
+  delete: 'Eliminación',
+  purge: 'Eliminación definitiva',
+  restore: 'Restauración',
+};
+
+/** Modelos auditados con su nombre para la interfaz */
+const ENTITY_LABELS = {
+  Member: 'Miembro',
+  Event: 'Evento',
+  Minute: 'Acta',
+  Church: 'Iglesia',
+  User: 'Usuario',
+  Role: 'Rol',
+  Household: 'Hogar',
+  Baptism: 'Bautismo',
+  MemberTransfer: 'Traslado',
+  MemberBlackout: 'Fecha bloqueada',
+  EventAttendee: 'Asistente',
+  EventRoleAssignment: 'Rol de culto asignado',
+  EventSeries: 'Serie de eventos',
+  ServiceRole: 'Rol de culto',
+  MinisterialPosition: 'Cargo ministerial',
+  MinuteAttendee: 'Asistente del acta',
+  MinuteFile: 'Archivo del acta',
+  Motion: 'Moción',
+  MotionVoter: 'Voto',
+  Mission: 'Misión',
+  WhiteField: 'Campo blanco',
+  WeeklyAttendance: 'Asistencia semanal',
+  NotificationTemplate: 'Plantilla de mensaje',
+  Broadcast: 'Anuncio',
+  RolePermission: 'Permisos de rol',
+};
+
+/**
+ * Registro principal de los datos dependientes: [modelo, columna].
+ * Sus cambios aparecen en el historial del registro principal y toman de él
+ * la iglesia cuando no tienen church_id.
+ */
+const PARENTS = {
+  EventAttendee: ['Event', 'event_id'],
+  EventRoleAssignment: ['Event', 'event_id'],
+  MinuteAttendee: ['Minute', 'minute_id'],
+  MinuteFile: ['Minute', 'minute_id'],
+  Motion: ['Minute', 'minute_id'],
+  MotionVoter: ['Motion', 'motion_id'],
+  Baptism: ['Member', 'member_id'],
+  MemberBlackout: ['Member', 'member_id'],
+  MemberTransfer: ['Member', 'member_id'],
+};
+
+/**
+ * Campos que no cuentan como cambio: timestamps, contadores recalculados y
+ * el control de intentos de login (queda en security_events)
+ */
+const IGNORED_FIELDS = new Set([
+  'id', 'createdAt', 'updatedAt', 'deletedAt', 'deleted_by',
+  'membership_count', 'avg_weekly_attendance', 'faith_decisions_year', 'faith_decisions_ref_year',
+  'ordained_preachers', 'unordained_preachers', 'ordained_deacons', 'unordained_deacons',
+  'attendees_count', 'faith_decisions',
+  'failed_login_attempts', 'last_failed_login_at', 'locked_until',
+]);
+
+/** Campos cuyo valor nunca se guarda */
+const SENSITIVE_FIELDS = new Set(['password_hash', 'confirmation_token']);
+const HIDDEN_VALUE = '[oculto]';
+
+/**
+ * IP del cliente. Usa req.ip ('trust proxy' en index.js): el encabezado
+ * X-Forwarded-For lo puede escribir el cliente y no se lee directamente.
+ */
+function clientIp(req) {
+  const ip = req.ip || req.socket?.remoteAddress;
+  return ip ? ip.slice(0, 64) : null;
+}
+
+/**
+ * Ejecuta `next` con el usuario y la IP de la petición como contexto de
+ * auditoría (se llama desde middleware/auth.js → authenticate).
+ */
+function runWithAuditContext(req, next) {
+  const store = {
+    userId: req.user?.id || null,
+    userName: req.user?.full_name || null,
+    churchId: req.user?.church_id || null,
+    ip: clientIp(req),
+  };
+  return storage.run(store, next);
+}
+
+/** Contexto de la petición en curso, o {} fuera de una petición autenticada */
+function getAuditContext() {
+  return storage.getStore() || {};
+}
+
+function serializeValue(field, value) {
+  if (value === undefined) return null;
+  if (SENSITIVE_FIELDS.has(field) && value !== null) return HIDDEN_VALUE;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/** Campos que cambiaron en una edición: { campo: { from, to } } */
+function diffChanges(instance) {
+  const changes = {};
+  (instance.changed() || []).forEach((field) => {
+    if (IGNORED_FIELDS.has(field)) return;
+    const from = serializeValue(field, instance.previous(field));
+    const to = serializeValue(field, instance.get(field));
+    if (isDeepStrictEqual(from, to) && !SENSITIVE_FIELDS.has(field)) return;
+    changes[field] = { from, to };
+  });
+  return changes;
+}
+
+/**
+ * Valores del registro completo (alta o eliminación), sin vacíos.
+ * @param {string} side - 'to' (alta) o 'from' (eliminación)
+ */
+function snapshotChanges(instance, side) {
+  const changes = {};
+  Object.keys(instance.constructor.rawAttributes).forEach((field) => {
+    const value = instance.get(field);
+    if (IGNORED_FIELDS.has(field)) return;
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return;
+    const serialized = serializeValue(field, value);
+    changes[field] = side === 'to' ? { from: null, to: serialized } : { from: serialized, to: null };
+  });
+  return changes;
+}
+
+/** Nombre o título legible del registro */
+function entityLabel(instance) {
+  const v = instance.dataValues;
+  if (v.first_name || v.last_name) return `${v.first_name || ''} ${v.last_name || ''}`.trim();
+  const label = v.title || v.full_name || v.name || v.original_name || v.certificate_number || v.label;
+  return label ? String(label).slice(0, 255) : null;
+}
+
+/**
+ * Iglesia del registro: su church_id (from_church_id en traslados), la del
+ * registro principal o, si no tiene, la del usuario que hizo el cambio.
+ */
+async function resolveChurchId(models, modelName, instance, { transaction, cache }) {
+  if (modelName === 'Church') return instance.id;
+  const own = instance.get('church_id') ?? instance.get('from_church_id');
+  if (own) return own;
+
+  const parent = PARENTS[modelName];
+  const parentId = parent ? instance.get(parent[1]) : null;
+  if (!parentId) return getAuditContext().churchId || null;
+
+  const key = `${parent[0]}:${parentId}`;
+  if (!cache.has(key)) {
+    const parentRecord = await models[parent[0]].findByPk(parentId, { paranoid: false, transaction, hooks: false });
+    cache.set(key, parentRecord
+      ? await resolveChurchId(models, parent[0], parentRecord, { transaction, cache })
+      : getAuditContext().churchId || null);
+  }
+  return cache.get(key);
+}
+
+/**
+ * Inserta las filas de auditoría de una operación.
+ * @param {Object} models - sequelize.models
+ * @param {string} modelName
+ * @param {string} action - create | update | delete | purge | restore
+ * @param {Array<{ instance, changes }>} items
+ * @param {Object} options - Opciones de la operación (transaction)
+ */
+async function writeAuditEntries(models, modelName, action, items, options = {}) {
+  if (items.length === 0) return;
+  const { userId = null, userName = null, ip = null } = getAuditContext();
+  const cache = new Map();
+
+  const insert = async (transaction) => {
+    const rows = [];
+    for (const { instance, changes } of items) {
+      const parent = PARENTS[modelName];
+      rows.push({
+        church_id: await resolveChurchId(models, modelName, instance, { transaction, cache }),
+        user_id: userId,
+        user_name: userName,
+        action,
+        entity_type: modelName,
+        entity_id: instance.get('id') ?? null,
+        entity_label: entityLabel(instance),
+        parent_type: parent ? parent[0] : null,
+        parent_id: parent ? instance.get(parent[1]) ?? null : null,
+        changes,
+        ip,
+      });
+    }
+    await models.AuditLog.bulkCreate(rows, { transaction, hooks: false });
+  };
+
+  try {
+    // Un error de Postgres aborta la transacción entera: el SAVEPOINT lo aísla
+    if (options.transaction) {
+      await models.AuditLog.sequelize.transaction({ transaction: options.transaction }, insert);
+    } else {
+      await insert(undefined);
+    }
+  } catch (error) {
+    console.error(`[AUDIT] ❌ Error registrando ${action} de ${modelName}:`, error.message);
+  }
+}
+
+/**
+ * Registra los hooks de auditoría en todos los modelos auditados.
+ * Se llama una vez desde models/index.js.
+ * @param {Object} sequelize - Instancia con los modelos definidos
+ */
+function registerAuditHooks(sequelize) {
+  const { models } = sequelize;
+
+  Object.values(models)
+    .filter((model) => ENTITY_LABELS[model.name])
+    .forEach((model) => {
+      const name = model.name;
+      const write = (action, items, options) => writeAuditEntries(models, name, action, items, options);
+
+      // Operaciones masivas: registro por registro para tener el detalle
+      const perRecord = (options) => { options.individualHooks = true; };
+      model.addHook('beforeBulkUpdate', 'audit', perRecord);
+      model.addHook('beforeBulkDestroy', 'audit', perRecord);
+      model.addHook('beforeBulkRestore', 'audit', perRecord);
+
+      model.addHook('afterCreate', 'audit', (instance, options) => write('create', [
+        { instance, changes: snapshotChanges(instance, 'to') },
+      ], options));
+      model.addHook('afterBulkCreate', 'audit', (instances, options) => write('create', instances.map((instance) => (
+        { instance, changes: snapshotChanges(instance, 'to') }
+      )), options));
+
+      // previous() conserva el valor anterior hasta después de los hooks after*
+      model.addHook('afterUpdate', 'audit', (instance, options) => {
+        const changes = diffChanges(instance);
+        if (Object.keys(changes).length === 0) return undefined;
+        return write('update', [{ instance, changes }], options);
+      });
+
+      // En modelos con papelera, destroy() la envía a la papelera y force la elimina
+      model.addHook('afterDestroy', 'audit', (instance, options) => write(
+        model.options.paranoid && options.force ? 'purge' : 'delete',
+        [{ instance, changes: snapshotChanges(instance, 'from') }],
+        options,
+      ));
+      model.addHook('afterRestore', 'audit', (instance, options) => write('restore', [{ instance, changes: {} }], options));
+    });
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  ENTITY_LABELS,
+  PARENTS,
+  clientIp,
+  runWithAuditContext,
+  getAuditContext,
+  registerAuditHooks,
+};
@@ -0,0 +1,136 @@
+/**
+ * baptismCertificatePdf.js - Certificado de bautismo
+ *
+ * - Horizontal, tamaño carta, con marco doble
+ * - Logo de la iglesia (Branding) centrado arriba; si no hay logo o no es
+ *   PNG/JPG se muestra solo el nombre de la iglesia (ver pdfBranding.js)
+ * - Nombre del miembro, fecha, lugar, ministro oficiante y testigos
+ * - Número de certificado y líneas de firma (oficiante y secretaría)
+ *
+ * Datos: registro de baptisms (ver models/Baptism.js)
+ * Dependencia: pdfkit (npm install pdfkit)
+ */
+const PDFDocument = require('pdfkit');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+const { drawChurchLogo, formatLongDate } = require('./pdfBranding');
+
+const PRIMARY = '#0D47A1';
+const ACCENT = '#B3D4FC';
+
+/**
+ * @param {Object} params
+ * @param {Object} params.baptism - { baptism_date, officiant, place, witnesses, certificate_number }
+ * @param {string} params.memberName
+ * @param {string} params.churchName
+ * @param {string} [params.churchAddress]
+ * @param {string} [params.logoPath] - Ruta absoluta al logo de la iglesia
+ * @param {string} params.timeZone - Zona horaria de la iglesia (fecha de emisión)
+ */
+function generateBaptismCertificatePdf({
+  baptism, memberName, churchName, churchAddress, logoPath, timeZone = DEFAULT_TIMEZONE,
+}) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    layout: 'landscape',
+    margins: { top: 30, bottom: 30, left: 30, right: 30 },
+    info: {
+      Title: `Certificado de bautismo ${baptism.certificate_number} - ${memberName}`,
+      Author: 'Gestión Cristiana TMDV',
+      Subject: `Certificado de bautismo - ${churchName}`,
+    },
+  });
+
+  const pageWidth = doc.page.width;
+  const pageHeight = doc.page.height;
+  const inner = { x: 60, width: pageWidth - 120 };
+
+  // =========================================
+  // MARCO
+  // =========================================
+  doc.lineWidth(3).rect(20, 20, pageWidth - 40, pageHeight - 40).stroke(PRIMARY);
+  doc.lineWidth(1).rect(28, 28, pageWidth - 56, pageHeight - 56).stroke(ACCENT);
+
+  // =========================================
+  // ENCABEZADO: logo + nombre iglesia
+  // =========================================
+  let y = 45;
+  if (drawChurchLogo(doc, logoPath, (pageWidth - 70) / 2, y, 70)) y += 78;
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(PRIMARY)
+     .text(churchName || 'Gestión Cristiana TMDV', inner.x, y, { width: inner.width, align: 'center' });
+  y = doc.y + 2;
+  if (churchAddress) {
+    doc.font('Helvetica').fontSize(9).fillColor('#666666')
+       .text(churchAddress, inner.x, y, { width: inner.width, align: 'center' });
+    y = doc.y;
+  }
+
+  // =========================================
+  // TÍTULO
+  // =========================================
+  y += 14;
+  doc.font('Helvetica-Bold').fontSize(30).fillColor('#222222')
+     .text('CERTIFICADO DE BAUTISMO', inner.x, y, { width: inner.width, align: 'center', characterSpacing: 1.5 });
+  y = doc.y + 4;
+  doc.rect(pageWidth / 2 - 80, y, 160, 2).fill(PRIMARY);
+
+  // =========================================
+  // CUERPO
+  // =========================================
+  y += 18;
+  doc.font('Helvetica').fontSize(13).fillColor('#444444')
+     .text('Se certifica que', inner.x, y, { width: inner.width, align: 'center' });
+
+  y = doc.y + 8;
+  doc.font('Helvetica-Bold').fontSize(26).fillColor(PRIMARY)
+     .text(memberName, inner.x, y, { width: inner.width, align: 'center' });
+
+  y = doc.y + 10;
+  const place = baptism.place ? ` en ${baptism.place}` : '';
+  doc.font('Helvetica').fontSize(13).fillColor('#444444')
+     .text(
+       `fue bautizado(a) el día ${formatLongDate(baptism.baptism_date)}${place}, `
+       + `por el ministro ${baptism.officiant}, conforme a la fe y las enseñanzas de nuestra iglesia.`,
+       inner.x + 40, y, { width: inner.width - 80, align: 'center', lineGap: 3 },
+     );
+
+  const witnesses = baptism.witnesses || [];
+  if (witnesses.length) {
+    y = doc.y + 10;
+    doc.font('Helvetica-Oblique').fontSize(11).fillColor('#555555')
+       .text(`Testigos: ${witnesses.join(', ')}`, inner.x + 40, y, { width: inner.width - 80, align: 'center' });
+  }
+
+  // =========================================
+  // FIRMAS
+  // =========================================
+  const signY = pageHeight - 120;
+  const signWidth = 220;
+  const signatures = [
+    { x: pageWidth / 2 - signWidth - 40, label: 'Ministro oficiante', name: baptism.officiant },
+    { x: pageWidth / 2 + 40, label: 'Secretaría', name: '' },
+  ];
+  signatures.forEach((s) => {
+    doc.lineWidth(0.8).moveTo(s.x, signY).lineTo(s.x + signWidth, signY).stroke('#444444');
+    if (s.name) {
+      doc.font('Helvetica').fontSize(10).fillColor('#222222')
+         .text(s.name, s.x, signY + 5, { width: signWidth, align: 'center' });
+    }
+    doc.font('Helvetica').fontSize(8.5).fillColor('#777777')
+       .text(s.label, s.x, signY + (s.name ? 18 : 5), { width: signWidth, align: 'center' });
+  });
+
+  // =========================================
+  // PIE: número de certificado + fecha de emisión
+  // =========================================
+  const issued = new Date().toLocaleDateString('es-ES', { year: 'numeric', month: 'long', day: 'numeric', timeZone });
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(PRIMARY)
+     .text(`Certificado N° ${baptism.certificate_number}`, inner.x, pageHeight - 58, { width: inner.width / 2 });
+  doc.font('Helvetica').fontSize(8).fillColor('#999999')
+     .text(`Emitido: ${issued}`, inner.x + inner.width / 2, pageHeight - 58, { width: inner.width / 2, align: 'right' });
+
+  doc.end();
+  return doc;
+}
+
+module.exports = { generateBaptismCertificatePdf };
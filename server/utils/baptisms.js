@@ -0,0 +1,111 @@
+/**
+ * baptisms.js - Reglas del registro de bautismos
+ *
+ * - parseBaptismInput: valida y normaliza el body (fecha, oficiante, testigos)
+ * - nextCertificateNumber: B-AAAA-NNN correlativo por iglesia y año
+ * - markMemberBaptized / unmarkMemberBaptized: mantienen Member.baptized y
+ *   Member.baptism_date en línea con el registro. El bautismo queda en la
+ *   historia del miembro (utils/memberTimeline.js) la primera vez que pasa
+ *   a bautizado.
+ */
+const { Op } = require('sequelize');
+const { Baptism } = require('../models');
+const { isValidDateKey, timelineSnapshot, recordTimeline } = require('./memberTimeline');
+
+const MAX_WITNESSES = 6;
+
+const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+
+/**
+ * Normaliza los datos del registro.
+ * @param {Object} body - req.body ({ baptism_date, officiant, place, witnesses, certificate_number, notes })
+ * @param {Object} [current] - Registro existente (update parcial)
+ * @returns {{ fields: Object, errors: string[] }}
+ */
+function parseBaptismInput(body, current = {}) {
+  const merged = { ...current, ...body };
+  const errors = [];
+
+  if (!isValidDateKey(merged.baptism_date)) {
+    errors.push('La fecha de bautismo es requerida (YYYY-MM-DD).');
+  }
+  const officiant = text(merged.officiant, 200);
+  if (!officiant) errors.push('El ministro oficiante es requerido.');
+
+  let witnesses = merged.witnesses || [];
+  if (typeof witnesses === 'string') witnesses = witnesses.split(/[,\n]/);
+  if (!Array.isArray(witnesses)) witnesses = [];
+  witnesses = witnesses.map((w) => text(w, 150)).filter(Boolean);
+  if (witnesses.length > MAX_WITNESSES) errors.push(`Máximo ${MAX_WITNESSES} testigos.`);
+
+  return {
+    fields: {
+      baptism_date: merged.baptism_date,
+      officiant,
+      place: text(merged.place, 200),
+      witnesses,
+      certificate_number: text(merged.certificate_number, 40),
+      notes: text(merged.notes, 2000),
+    },
+    errors,
+  };
+}
+
+/**
+ * Siguiente número de certificado de la iglesia para el año del bautismo.
+ * @returns {Promise<string>} Ej: 'B-2026-007'
+ */
+async function nextCertificateNumber(churchId, baptismDate, transaction) {
+  const prefix = `B-${String(baptismDate).slice(0, 4)}-`;
+  const existing = await Baptism.findAll({
+    where: { church_id: churchId, certificate_number: { [Op.like]: `${prefix}%` } },
+    attributes: ['certificate_number'],
+    transaction,
+  });
+  const last = existing.reduce((max, b) => {
+    const seq = parseInt(b.certificate_number.slice(prefix.length), 10);
+    return isNaN(seq) ? max : Math.max(max, seq);
+  }, 0);
+  return `${prefix}${String(last + 1).padStart(3, '0')}`;
+}
+
+/** ¿Otro registro de la iglesia ya usa este número? */
+async function isCertificateNumberTaken(churchId, certificateNumber, exceptId, transaction) {
+  const where = { church_id: churchId, certificate_number: certificateNumber };
+  if (exceptId) where.id = { [Op.ne]: exceptId };
+  return (await Baptism.count({ where, transaction })) > 0;
+}
+
+/**
+ * Deja al miembro bautizado con la fecha del registro (y el hito en su historia).
+ * @param {Object} member - Instancia de Member
+ * @param {Object} baptism - Registro guardado
+ * @param {Object} options - { userId, transaction }
+ */
+async function markMemberBaptized(member, baptism, { userId, transaction } = {}) {
+  if (member.baptized && member.baptism_date === baptism.baptism_date) return;
+
+  const before = timelineSnapshot(member);
+  await member.update({ baptized: true, baptism_date: baptism.baptism_date }, { transaction });
+  await recordTimeline(before, member, {
+    userId, date: baptism.baptism_date, note: `Certificado ${baptism.certificate_number}`, transaction,
+  });
+}
+
+/**
+ * Al borrar el registro: el miembro vuelve a "no bautizado" si la fecha
+ * que tenía era la del registro (la historia conserva el hito).
+ */
+async function unmarkMemberBaptized(member, baptism, { transaction } = {}) {
+  if (!member || member.baptism_date !== baptism.baptism_date) return;
+  await member.update({ baptized: false, baptism_date: null }, { transaction });
+}
+
+module.exports = {
+  MAX_WITNESSES,
+  parseBaptismInput,
+  nextCertificateNumber,
+  isCertificateNumberTaken,
+  markMemberBaptized,
+  unmarkMemberBaptized,
+};
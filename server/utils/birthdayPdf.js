@@ -0,0 +1,180 @@
+/**
+ * birthdayPdf.js - Lista imprimible de cumpleaños y aniversarios del mes
+ *
+ * - Vertical, tamaño carta
+ * - Encabezado con el nombre de la iglesia y el mes (mismo estilo que calendarPdf.js)
+ * - Tabla de cumpleaños (día, nombre, edad que cumple, teléfono) y
+ *   tabla de aniversarios de bautismo y boda (día, nombre, aniversario, años)
+ * - Si la lista no cabe, continúa en otra página repitiendo el encabezado de la tabla
+ *
+ * Datos: greetingService.monthlyCelebrations()
+ * Dependencia: pdfkit (npm install pdfkit)
+ */
+const PDFDocument = require('pdfkit');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+const MONTH_NAMES = [
+  'ENERO', 'FEBRERO', 'MARZO', 'ABRIL', 'MAYO', 'JUNIO',
+  'JULIO', 'AGOSTO', 'SEPTIEMBRE', 'OCTUBRE', 'NOVIEMBRE', 'DICIEMBRE',
+];
+
+const ROW_HEIGHT = 18;
+const HEADER_ROW_HEIGHT = 20;
+
+/**
+ * Dibuja una tabla con salto de página automático.
+ * @param {Array} columns - [{ label, width (fracción), value: (row) => texto }]
+ * @returns {number} Y final
+ */
+function drawTable(doc, {
+  title, color, columns, rows, emptyText, startX, width, y: startY,
+}) {
+  let y = startY;
+  const bottom = doc.page.height - doc.page.margins.bottom - 20;
+
+  const drawHeader = () => {
+    doc.rect(startX, y, width, HEADER_ROW_HEIGHT).fill(color);
+    let x = startX;
+    columns.forEach((col) => {
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('#FFFFFF')
+         .text(col.label, x + 6, y + 6, { width: width * col.width - 12, lineBreak: false });
+      x += width * col.width;
+    });
+    y += HEADER_ROW_HEIGHT;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(color)
+     .text(`${title} (${rows.length})`, startX, y);
+  y += 20;
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor('#777777')
+       .text(emptyText, startX, y);
+    return y + 20;
+  }
+
+  drawHeader();
+  rows.forEach((row, i) => {
+    if (y + ROW_HEIGHT > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      drawHeader();
+    }
+    if (i % 2 === 0) doc.rect(startX, y, width, ROW_HEIGHT).fill('#F5F8FC');
+    let x = startX;
+    columns.forEach((col) => {
+      doc.font(col.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#222222')
+         .text(String(col.value(row) ?? '-'), x + 6, y + 5, { width: width * col.width - 12, lineBreak: false, ellipsis: true });
+      x += width * col.width;
+    });
+    y += ROW_HEIGHT;
+  });
+  doc.rect(startX, y, width, 0.5).fill('#BDBDBD');
+  return y + 16;
+}
+
+/**
+ * @param {Object} params
+ * @param {number} params.year
+ * @param {number} params.month - 1-12
+ * @param {string} params.churchName
+ * @param {Array} params.birthdays - Ver monthlyCelebrations()
+ * @param {Array} params.anniversaries - Ver monthlyCelebrations()
+ * @param {string} params.timeZone - Zona horaria de la iglesia (fecha de generación)
+ */
+function generateBirthdayPdf({
+  year, month, churchName, birthdays = [], anniversaries = [], timeZone = DEFAULT_TIMEZONE,
+}) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margins: { top: 30, bottom: 30, left: 40, right: 40 },
+    info: {
+      Title: `Cumpleaños ${MONTH_NAMES[month - 1]} ${year} - ${churchName}`,
+      Author: 'Gestión Cristiana TMDV',
+      Subject: `Cumpleaños y aniversarios - ${MONTH_NAMES[month - 1]} ${year}`,
+    },
+  });
+
+  const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const startX = doc.page.margins.left;
+  const startY = doc.page.margins.top;
+
+  // =========================================
+  // ENCABEZADO: Nombre iglesia + Mes/Año
+  // =========================================
+  doc.rect(startX, startY, pageWidth, 50).fill('#0D47A1');
+
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#FFFFFF')
+     .text(churchName || 'Gestión Cristiana TMDV', startX + 15, startY + 8, {
+       width: pageWidth * 0.6, align: 'left',
+     });
+
+  doc.font('Helvetica').fontSize(9).fillColor('#B3D4FC')
+     .text('Cumpleaños y aniversarios del mes', startX + 15, startY + 28, {
+       width: pageWidth * 0.6, align: 'left',
+     });
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#FFFFFF')
+     .text(MONTH_NAMES[month - 1], startX + pageWidth * 0.5, startY + 5, {
+       width: pageWidth * 0.47, align: 'right',
+     });
+
+  doc.font('Helvetica').fontSize(12).fillColor('#B3D4FC')
+     .text(year.toString(), startX + pageWidth * 0.5, startY + 31, {
+       width: pageWidth * 0.47, align: 'right',
+     });
+
+  // =========================================
+  // TABLAS
+  // =========================================
+  let y = drawTable(doc, {
+    title: 'Cumpleaños',
+    color: '#1565C0',
+    columns: [
+      { label: 'Día', width: 0.1, value: (r) => r.day, bold: true },
+      { label: 'Nombre', width: 0.45, value: (r) => r.name },
+      { label: 'Cumple', width: 0.15, value: (r) => `${r.years} años` },
+      { label: 'Teléfono', width: 0.3, value: (r) => r.phone },
+    ],
+    rows: birthdays,
+    emptyText: 'No hay cumpleaños registrados este mes.',
+    startX,
+    width: pageWidth,
+    y: startY + 65,
+  });
+
+  if (y + 80 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+
+  y = drawTable(doc, {
+    title: 'Aniversarios (bautismo y boda)',
+    color: '#6A1B9A',
+    columns: [
+      { label: 'Día', width: 0.1, value: (r) => r.day, bold: true },
+      { label: 'Nombre', width: 0.45, value: (r) => r.name },
+      { label: 'Aniversario', width: 0.3, value: (r) => r.label },
+      { label: 'Años', width: 0.15, value: (r) => r.years },
+    ],
+    rows: anniversaries,
+    emptyText: 'No hay aniversarios registrados este mes.',
+    startX,
+    width: pageWidth,
+    y,
+  });
+
+  const genDate = new Date().toLocaleDateString('es-ES', {
+    year: 'numeric', month: 'long', day: 'numeric',
+    hour: '2-digit', minute: '2-digit', timeZone,
+  });
+  doc.font('Helvetica').fontSize(6.5).fillColor('#999')
+     .text(`Generado: ${genDate}`, startX, y, {
+       width: pageWidth, align: 'right',
+     });
+
+  doc.end();
+  return doc;
+}
+
+module.exports = { generateBirthdayPdf };
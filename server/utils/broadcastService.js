@@ -0,0 +1,438 @@
+/**
+ * broadcastService.js - Anuncios masivos a un segmento de miembros
+ *
+ * SEGMENTO (Broadcast.segment), todos los filtros son opcionales y se combinan (Y):
+ * - member_types:   ['Miembro', 'Visitante', ...]
+ * - baptized:       true / false (null = todos)
+ * - position_ids:   cargos ministeriales (ministerial_positions)
+ * - age_min/age_max: edad (Member.age o calculada desde birth_date;
+ *                   sin edad conocida no entra si se filtra por edad)
+ * - responsible_of: 'mission' | 'white_field' | 'any' → responsables de
+ *                   misiones / campos blancos activos de la iglesia
+ * - household_ids:  hogares (households) → todos sus miembros
+ * - one_per_household: true → un solo mensaje por hogar (jefe de hogar,
+ *                   si no cónyuge, otro, hijo; ver utils/households.js).
+ *                   Los miembros sin hogar lo reciben igual.
+ * Solo miembros activos (los inactivos y fallecidos nunca reciben anuncios).
+ * El segmento se evalúa al momento de enviar (miembros agregados después
+ * de programar el anuncio también lo reciben).
+ *
+ * ENVÍO: plantilla 'announcement' de la iglesia por los canales de cada
+ * miembro (preferido → respaldo). Se omite a quien pidió no recibir
+ * anuncios (Member.announcements_opt_out), no dio consentimiento de
+ * contacto (ver consent.js) o no tiene canal disponible.
+ * Límite de velocidad: BROADCAST_RATE_PER_MINUTE mensajes por minuto
+ * (default 60) para no superar los límites de Meta / SMTP / gateway SMS.
+ *
+ * UNA SOLA VEZ: el envío se reclama con un UPDATE condicional
+ * (scheduled → sending); si la instancia se cae a mitad, otra lo retoma
+ * sin repetir a los miembros que ya tienen registro en notification_logs.
+ */
+
+const os = require('os');
+const { Op } = require('sequelize');
+const {
+  sequelize, Broadcast, Church, Member, NotificationLog,
+} = require('../models');
+const { resolveTimezone } = require('./timezone');
+const { formatLongDate } = require('./whatsappService');
+const { resolveTemplate, renderTemplate } = require('./messageTemplates');
+const { channelOrderFor, firstAvailableChannel } = require('./notificationChannels');
+const { sendThroughChannels, unavailableReason, logNotification } = require('./notificationService');
+const { CONTACT_ATTRIBUTES, hasConsent } = require('./consent');
+const { relationshipRank } = require('./households');
+
+const MEMBER_TYPES = Member.rawAttributes.member_type.validate.isIn[0];
+const RESPONSIBLE_OF = ['mission', 'white_field', 'any'];
+
+/** Un envío 'sending' sin actividad por más de esto se considera abandonado */
+const STALE_SENDING_MINUTES = 30;
+/** Cada cuántos miembros se actualizan los contadores y se revisa si lo cancelaron */
+const PROGRESS_EVERY = 10;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const MEMBER_ATTRIBUTES = [
+  'id', 'first_name', 'last_name', 'member_type', 'announcements_opt_out',
+  'household_id', 'household_relationship', ...CONTACT_ATTRIBUTES,
+];
+
+const CHURCH_INCLUDE = {
+  model: Church, as: 'church', attributes: ['id', 'name', 'timezone', 'default_country_code'],
+};
+
+const OPT_OUT_REASON = 'El miembro pidió no recibir anuncios';
+
+/** Pausa entre mensajes según BROADCAST_RATE_PER_MINUTE */
+function sendDelayMs() {
+  const rate = parseInt(process.env.BROADCAST_RATE_PER_MINUTE, 10);
+  return Math.ceil(60000 / (rate > 0 ? rate : 60));
+}
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+function toIntOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/** Limpia el segmento recibido del frontend (valores desconocidos se ignoran) */
+function normalizeSegment(input = {}) {
+  const list = (value) => (Array.isArray(value) ? value : []);
+  let baptized = null;
+  if (input.baptized === true || input.baptized === 'true') baptized = true;
+  if (input.baptized === false || input.baptized === 'false') baptized = false;
+
+  return {
+    member_types: [...new Set(list(input.member_types).filter((t) => MEMBER_TYPES.includes(t)))],
+    baptized,
+    position_ids: [...new Set(list(input.position_ids).map(toIntOrNull).filter((id) => id !== null))],
+    age_min: toIntOrNull(input.age_min),
+    age_max: toIntOrNull(input.age_max),
+    responsible_of: RESPONSIBLE_OF.includes(input.responsible_of) ? input.responsible_of : null,
+    household_ids: [...new Set(list(input.household_ids).map(toIntOrNull).filter((id) => id !== null))],
+    one_per_household: input.one_per_household === true || input.one_per_household === 'true',
+  };
+}
+
+/** @returns {Array<string>} Errores del segmento (vacío = válido) */
+function validateSegment(segment) {
+  const errors = [];
+  if (segment.age_min !== null && segment.age_min < 0) errors.push('La edad mínima no puede ser negativa.');
+  if (segment.age_min !== null && segment.age_max !== null && segment.age_min > segment.age_max) {
+    errors.push('La edad mínima no puede ser mayor que la edad máxima.');
+  }
+  return errors;
+}
+
+/** Filtro de Member para el segmento de una iglesia */
+function segmentWhere(churchId, segment) {
+  const church = parseInt(churchId, 10);
+  const where = { church_id: church, status: 'active' };
+  const and = [];
+
+  if (segment.member_types.length) where.member_type = { [Op.in]: segment.member_types };
+  if (segment.baptized !== null) where.baptized = segment.baptized;
+  if (segment.position_ids.length) where.position_id = { [Op.in]: segment.position_ids };
+  if (segment.household_ids.length) where.household_id = { [Op.in]: segment.household_ids };
+
+  if (segment.age_min !== null || segment.age_max !== null) {
+    // Edad registrada o, si no, calculada desde la fecha de nacimiento
+    const age = sequelize.literal(
+      `COALESCE("Member"."age", DATE_PART('year', AGE(CURRENT_DATE, "Member"."birth_date"))::int)`,
+    );
+    if (segment.age_min !== null) and.push(sequelize.where(age, Op.gte, segment.age_min));
+    if (segment.age_max !== null) and.push(sequelize.where(age, Op.lte, segment.age_max));
+  }
+
+  if (segment.responsible_of) {
+    const tables = {
+      mission: ['missions'],
+      white_field: ['white_fields'],
+      any: ['missions', 'white_fields'],
+    }[segment.responsible_of];
+    const subquery = tables
+      .map((table) => `SELECT responsible_id FROM ${table} WHERE church_id = ${church} AND is_active = true AND responsible_id IS NOT NULL`)
+      .join(' UNION ');
+    and.push({ id: { [Op.in]: sequelize.literal(`(${subquery})`) } });
+  }
+
+  if (and.length) where[Op.and] = and;
+  return where;
+}
+
+/** Deja un miembro por hogar (el de mayor prioridad de parentesco); los sin hogar se mantienen */
+function onePerHousehold(members) {
+  const chosen = new Map();
+  members.forEach((member) => {
+    if (!member.household_id) return;
+    const current = chosen.get(member.household_id);
+    const better = !current
+      || relationshipRank(member.household_relationship) < relationshipRank(current.household_relationship)
+      || (relationshipRank(member.household_relationship) === relationshipRank(current.household_relationship)
+        && member.id < current.id);
+    if (better) chosen.set(member.household_id, member);
+  });
+  return members.filter((member) => !member.household_id || chosen.get(member.household_id) === member);
+}
+
+/** Miembros del segmento (orden alfabético) */
+async function findSegmentMembers(churchId, segment) {
+  const members = await Member.findAll({
+    where: segmentWhere(churchId, segment),
+    attributes: MEMBER_ATTRIBUTES,
+    order: [['last_name', 'ASC'], ['first_name', 'ASC']],
+  });
+  return segment.one_per_household ? onePerHousehold(members) : members;
+}
+
+/**
+ * Vista previa de destinatarios: cuántos recibirían el anuncio y por qué canal.
+ * @returns {Object} { total, reachable, opted_out, no_consent, no_channel, members: [...] (máx. `limit`) }
+ */
+async function previewSegment(churchId, segment, limit = 200) {
+  const church = await Church.findByPk(churchId, { attributes: ['id', 'name', 'default_country_code'] });
+  const members = await findSegmentMembers(churchId, segment);
+
+  const summary = {
+    total: members.length, reachable: 0, opted_out: 0, no_consent: 0, no_channel: 0, members: [],
+  };
+  members.forEach((member) => {
+    const noConsent = channelOrderFor(member).every((name) => !hasConsent(member, name));
+    const channel = member.announcements_opt_out || noConsent
+      ? null
+      : firstAvailableChannel(member, church, (name) => hasConsent(member, name));
+    if (member.announcements_opt_out) summary.opted_out++;
+    else if (noConsent) summary.no_consent++;
+    else if (channel) summary.reachable++;
+    else summary.no_channel++;
+
+    if (summary.members.length < limit) {
+      summary.members.push({
+        id: member.id,
+        name: `${member.first_name} ${member.last_name}`,
+        member_type: member.member_type,
+        channel,
+        opted_out: member.announcements_opt_out,
+        no_consent: noConsent,
+      });
+    }
+  });
+  return summary;
+}
+
+/** Variables de la plantilla 'announcement' para un miembro */
+function broadcastVariables(broadcast, member, church) {
+  return {
+    nombre: member.first_name,
+    apellido: member.last_name,
+    iglesia: church?.name || 'Iglesia',
+    titulo: broadcast.title,
+    mensaje: broadcast.message,
+    fecha: formatLongDate(broadcast.scheduled_at || new Date(), resolveTimezone(church?.timezone)),
+  };
+}
+
+/**
+ * Envía el anuncio a UN miembro (o registra por qué se omitió).
+ * @returns {string} outcome: 'sent' | 'failed' | 'skipped'
+ */
+async function deliverToMember(broadcast, member, template, options = {}) {
+  const { church } = broadcast;
+  const baseLog = {
+    church_id: broadcast.church_id,
+    member_id: member.id,
+    broadcast_id: broadcast.id,
+    reminder_type: 'announcement',
+    role_label: broadcast.title.slice(0, 150),
+    source: options.source || 'manual',
+    created_by: options.userId || null,
+    retry_of_id: options.retryOfId || null,
+  };
+
+  if (member.announcements_opt_out) {
+    await logNotification({
+      ...baseLog, channel: channelOrderFor(member)[0], status: 'skipped', error: OPT_OUT_REASON,
+    });
+    return 'skipped';
+  }
+
+  const content = renderTemplate(template, broadcastVariables(broadcast, member, church));
+  const delivery = await sendThroughChannels(member, church, content, baseLog);
+  const { attempts } = delivery;
+
+  if (attempts.length === 0) {
+    await logNotification({
+      ...baseLog, channel: delivery.order[0], status: 'skipped', error: unavailableReason(delivery).reason,
+    });
+    return 'skipped';
+  }
+  return attempts[attempts.length - 1].success ? 'sent' : 'failed';
+}
+
+/**
+ * Resultado por miembro (su último intento) agrupado por estado.
+ * @returns {Object} { sent, delivered, read, failed, skipped }
+ */
+async function countOutcomes(broadcastId) {
+  const [rows] = await sequelize.query(`
+    SELECT status, COUNT(*)::int AS count FROM (
+      SELECT DISTINCT ON (member_id) status FROM notification_logs
+      WHERE broadcast_id = :broadcastId
+      ORDER BY member_id, id DESC
+    ) last_attempts
+    GROUP BY status
+  `, { replacements: { broadcastId } });
+
+  const counts = {
+    sent: 0, delivered: 0, read: 0, failed: 0, skipped: 0,
+  };
+  rows.forEach((row) => { counts[row.status] = row.count; });
+  return counts;
+}
+
+/**
+ * Reporte de entrega de un anuncio.
+ * @returns {Object} { outcomes: { sent, delivered, read, failed, skipped } (por miembro),
+ *   by_channel: [{ channel, status, count }] (todos los intentos) }
+ */
+async function deliveryReport(broadcastId) {
+  const outcomes = await countOutcomes(broadcastId);
+  const byChannel = await NotificationLog.findAll({
+    where: { broadcast_id: broadcastId },
+    attributes: ['channel', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['channel', 'status'],
+    order: [['channel', 'ASC']],
+    raw: true,
+  });
+  return {
+    outcomes,
+    by_channel: byChannel.map((row) => ({ ...row, count: parseInt(row.count, 10) })),
+  };
+}
+
+/** Actualiza los contadores del anuncio desde notification_logs */
+async function refreshCounts(broadcastId, extra = {}) {
+  const counts = await countOutcomes(broadcastId);
+  await Broadcast.update({
+    sent_count: counts.sent + counts.delivered + counts.read,
+    failed_count: counts.failed,
+    skipped_count: counts.skipped,
+    ...extra,
+  }, { where: { id: broadcastId } });
+  return counts;
+}
+
+/**
+ * Reclama el anuncio para enviarlo (programado cuya hora llegó, o un envío
+ * abandonado). Devuelve false si otra instancia ya lo tomó o no corresponde.
+ */
+async function claimBroadcast(broadcastId) {
+  const staleBefore = new Date(Date.now() - STALE_SENDING_MINUTES * 60 * 1000);
+  const [claimed] = await Broadcast.update({
+    status: 'sending', started_at: new Date(), instance: INSTANCE_ID, error: null,
+  }, {
+    where: {
+      id: broadcastId,
+      [Op.or]: [
+        { status: 'scheduled', scheduled_at: { [Op.lte]: new Date() } },
+        { status: 'sending', updatedAt: { [Op.lt]: staleBefore } },
+      ],
+    },
+  });
+  return claimed > 0;
+}
+
+/**
+ * Envía un anuncio completo respetando el límite de velocidad.
+ * Los miembros que ya tienen un registro de este anuncio (envío retomado)
+ * no se vuelven a procesar.
+ *
+ * @param {number} broadcastId
+ * @param {Object} options - { source: 'manual'|'scheduler', userId }
+ * @returns {Promise<boolean>} true si esta instancia hizo el envío
+ */
+async function processBroadcast(broadcastId, options = {}) {
+  if (!(await claimBroadcast(broadcastId))) return false;
+
+  try {
+    const broadcast = await Broadcast.findByPk(broadcastId, { include: [CHURCH_INCLUDE] });
+    const template = await resolveTemplate(broadcast.church_id, 'announcement');
+    const members = await findSegmentMembers(broadcast.church_id, normalizeSegment(broadcast.segment));
+
+    const done = new Set((await NotificationLog.findAll({
+      where: { broadcast_id: broadcast.id },
+      attributes: ['member_id'],
+    })).map((l) => l.member_id));
+
+    await broadcast.update({ total_recipients: members.length });
+    console.log(`[BROADCAST] 📢 "${broadcast.title}" (${broadcast.church?.name}): ${members.length} destinatarios${done.size ? `, ${done.size} ya procesados` : ''}.`);
+
+    const delay = sendDelayMs();
+    let processed = 0;
+    for (const member of members) {
+      if (done.has(member.id)) continue;
+
+      const outcome = await deliverToMember(broadcast, member, template, options);
+      processed++;
+
+      if (processed % PROGRESS_EVERY === 0) {
+        await refreshCounts(broadcast.id);
+        const current = await Broadcast.findByPk(broadcast.id, { attributes: ['status'] });
+        if (current.status === 'cancelled') {
+          console.log(`[BROADCAST] ⏹️ "${broadcast.title}" cancelado a mitad del envío.`);
+          await refreshCounts(broadcast.id, { finished_at: new Date() });
+          return true;
+        }
+      }
+      if (outcome !== 'skipped') await sleep(delay);
+    }
+
+    const counts = await refreshCounts(broadcast.id, { finished_at: new Date() });
+    // Si lo cancelaron en el último bloque, queda como cancelado
+    await Broadcast.update({ status: 'completed' }, { where: { id: broadcast.id, status: 'sending' } });
+    console.log(`[BROADCAST] ✅ "${broadcast.title}": ${counts.sent + counts.delivered + counts.read} enviados, ${counts.failed} fallidos, ${counts.skipped} omitidos.`);
+  } catch (err) {
+    console.error(`[BROADCAST] ❌ Error en anuncio ${broadcastId}:`, err.message);
+    await refreshCounts(broadcastId, { finished_at: new Date(), error: err.message })
+      .then(() => Broadcast.update({ status: 'failed' }, { where: { id: broadcastId, status: 'sending' } }))
+      .catch(() => {});
+  }
+  return true;
+}
+
+/**
+ * Envía los anuncios programados cuya hora llegó (y retoma los abandonados).
+ * Lo llama el scheduler de notificaciones en cada revisión.
+ */
+async function runDueBroadcasts() {
+  const staleBefore = new Date(Date.now() - STALE_SENDING_MINUTES * 60 * 1000);
+  const due = await Broadcast.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'scheduled', scheduled_at: { [Op.lte]: new Date() } },
+        { status: 'sending', updatedAt: { [Op.lt]: staleBefore } },
+      ],
+    },
+    attributes: ['id'],
+    order: [['scheduled_at', 'ASC']],
+  });
+
+  for (const { id } of due) {
+    await processBroadcast(id, { source: 'scheduler' });
+  }
+  return due.length;
+}
+
+/**
+ * Reintenta un envío fallido de un anuncio con los datos actuales del miembro.
+ * @returns {Promise<string|null>} outcome: 'sent' | 'failed' | 'skipped'
+ *   (null si el anuncio o el miembro ya no existe)
+ */
+async function retryBroadcastLog(log, userId) {
+  const broadcast = await Broadcast.findByPk(log.broadcast_id, { include: [CHURCH_INCLUDE] });
+  const member = await Member.findByPk(log.member_id, { attributes: MEMBER_ATTRIBUTES });
+  if (!broadcast || !member) return null;
+
+  const template = await resolveTemplate(broadcast.church_id, 'announcement');
+  const outcome = await deliverToMember(broadcast, member, template, {
+    source: 'retry', userId, retryOfId: log.id,
+  });
+  await refreshCounts(broadcast.id);
+  return outcome;
+}
+
+module.exports = {
+  MEMBER_TYPES,
+  RESPONSIBLE_OF,
+  normalizeSegment,
+  validateSegment,
+  findSegmentMembers,
+  previewSegment,
+  countOutcomes,
+  deliveryReport,
+  processBroadcast,
+  runDueBroadcasts,
+  retryBroadcastLog,
+};
@@ -4,6 +4,8 @@
  * FUNCIONALIDADES:
  * - Soporte para eventos multi-día (2+ días)
  * - Roles de culto: muestra P:/D:/C: debajo del título para eventos tipo Culto
+ * - Eventos recurrentes: cada ocurrencia es una fila propia (series_id) y se
+ *   marca con "•" junto a la hora para distinguirla de los eventos sueltos
  * - Layout dinámico: la grilla se expande en alto según la cantidad de eventos
  *   en el día más cargado de cada semana
  * - Títulos completos de eventos (sin truncar)
@@ -11,6 +13,7 @@
  * Dependencia: pdfkit (npm install pdfkit)
  */
 const PDFDocument = require('pdfkit');
+const { DEFAULT_TIMEZONE, toWallClock } = require('./timezone');
 
 // =============================================
 // CONFIGURACIÓN DE COLORES Y ESTILOS
@@ -107,12 +110,14 @@ function toLocalDateStr(date) {
  * - Último día: { label: "▶ HH:MM", dayType: 'end' }
  * 
  * Ahora también incluye datos de roles de culto:
- * - preacher_name, worship_leader_name, singer_name (del eventController)
+ * - culto_roles: [{ prefix: 'P', name: 'Moisés' }] (del eventController)
+ * 
+ * Las ocurrencias de una serie (series_id) llevan isRecurring = true.
  * 
  * @param {Object} ev - Evento con start_date, end_date, title, event_type, roles
  * @param {number} year - Año del calendario
  * @param {number} month - Mes del calendario (1-12)
- * @returns {Array} Array de { day, label, title, event_type, dayType, sortTime, cultoRoles }
+ * @returns {Array} Array de { day, label, title, event_type, dayType, sortTime, cultoRoles, isRecurring }
  */
 function expandEventToDays(ev, year, month) {
   const start = new Date(ev.start_date);
@@ -126,16 +131,12 @@ function expandEventToDays(ev, year, month) {
   const isSameDay = startDay.getTime() === endDay.getTime();
 
   /**
-   * Construir array de roles de culto si es tipo Culto.
-   * Solo se agregan los roles que tienen un miembro asignado.
-   * Formato: [{ prefix: 'P', name: 'Moises' }, ...]
+   * Roles de culto si es tipo Culto (solo los que tienen miembros asignados).
+   * Formato: [{ prefix: 'P', name: 'Moises' }, { prefix: 'U', name: 'Ana, Luis' }]
    */
-  const cultoRoles = [];
-  if (ev.event_type === 'Culto') {
-    if (ev.preacher_name)        cultoRoles.push({ prefix: 'P', name: ev.preacher_name });
-    if (ev.worship_leader_name)  cultoRoles.push({ prefix: 'D', name: ev.worship_leader_name });
-    if (ev.singer_name)          cultoRoles.push({ prefix: 'C', name: ev.singer_name });
-  }
+  const cultoRoles = ev.event_type === 'Culto' && Array.isArray(ev.culto_roles)
+    ? ev.culto_roles
+    : [];
 
   const occurrences = [];
   const firstDayOfMonth = new Date(year, month - 1, 1);
@@ -184,6 +185,7 @@ function expandEventToDays(ev, year, month) {
       dayType,
       sortTime,
       cultoRoles,  // Array de roles de culto (vacío si no es Culto)
+      isRecurring: !!ev.series_id,
     });
 
     // Avanzar al siguiente día
@@ -228,7 +230,21 @@ function getDayRequiredHeight(dayEvents) {
 // FUNCIÓN PRINCIPAL: GENERAR PDF
 // =============================================
 
-function generateCalendarPdf({ year, month, churchName, events }) {
+/**
+ * @param {Object} params
+ * @param {Array} params.roleLegend - [{ abbreviation: 'P', name: 'Predica' }] roles de la leyenda
+ * @param {string} params.timeZone - Zona horaria de la iglesia (días y horas del calendario)
+ */
+function generateCalendarPdf({
+  year, month, churchName, events: rawEvents, roleLegend = [], timeZone = DEFAULT_TIMEZONE,
+}) {
+  // Fechas a hora "de reloj" de la iglesia: el resto del generador usa getDate()/getHours()
+  const events = rawEvents.map((ev) => ({
+    ...ev,
+    start_date: toWallClock(ev.start_date, timeZone),
+    end_date: ev.end_date ? toWallClock(ev.end_date, timeZone) : ev.end_date,
+  }));
+
   const doc = new PDFDocument({
     size: 'LETTER',
     layout: 'landscape',
@@ -389,9 +405,10 @@ function generateCalendarPdf({ year, month, churchName, events }) {
           doc.rect(cellX + 2, evY, 2.5, slotH - 2).fill(colors.border);
         }
 
-        // Línea 1: Label de hora/estado (bold, 5pt)
+        // Línea 1: Label de hora/estado (bold, 5pt). "•" = evento recurrente
+        const label = occ.isRecurring ? `${occ.label} •` : occ.label;
         doc.font('Helvetica-Bold').fontSize(5).fillColor(colors.text)
-           .text(occ.label, cellX + 7, evY + 1.5, {
+           .text(label, cellX + 7, evY + 1.5, {
              width: colWidth - 12, lineBreak: false,
            });
 
@@ -445,14 +462,15 @@ function generateCalendarPdf({ year, month, churchName, events }) {
     legendX += type.length * 4.5 + 20;
   });
 
-  // Leyenda de roles de culto
+  // Leyenda de roles de culto (catálogo de la iglesia)
+  const rolesText = roleLegend.map((role) => `${role.abbreviation}: ${role.name}`).join('  ');
   doc.font('Helvetica').fontSize(6.5).fillColor('#555')
-     .text('| P: Predica  D: Dirige  C: Canta', legendX + 5, footerY, { lineBreak: false });
+     .text(`| ${rolesText ? `${rolesText}  ` : ''}• Recurrente`, legendX + 5, footerY, { lineBreak: false });
 
   const now = new Date();
   const genDate = now.toLocaleDateString('es-ES', {
     year: 'numeric', month: 'long', day: 'numeric',
-    hour: '2-digit', minute: '2-digit',
+    hour: '2-digit', minute: '2-digit', timeZone,
   });
   doc.font('Helvetica').fontSize(6.5).fillColor('#999')
      .text(`Generado: ${genDate}`, startX, footerY + 10, {
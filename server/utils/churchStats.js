@@ -101,6 +101,7 @@ async function recalculateAvgWeeklyAttendance(church) {
  * - Si tiene position_id → usa el nombre del cargo ministerial dinámico
  * - Si solo tiene church_role → usa el texto legacy
  * - Esto evita doble conteo con COUNT(DISTINCT m.id)
+ * - Solo miembros activos (Member.status) y fuera de la papelera (deleted_at)
  * 
  * Actualiza:
  * - ordained_preachers:   Cantidad de 'Predicador Ordenado'
@@ -125,6 +126,8 @@ async function recalculateChurchRoleCounts(church) {
       FROM members m
       LEFT JOIN ministerial_positions mp ON m.position_id = mp.id
       WHERE m.church_id = :churchId
+        AND m.status = 'active'
+        AND m.deleted_at IS NULL
         AND (m.church_role IS NOT NULL OR m.position_id IS NOT NULL)
       GROUP BY COALESCE(mp.name, m.church_role)
     `, {
@@ -158,8 +161,9 @@ async function recalculateChurchRoleCounts(church) {
 /**
  * Recalcula el total de miembros de una iglesia (membership_count).
  * 
- * Cuenta TODOS los miembros de la iglesia, sin importar tipo o cargo.
- * Se ejecuta automáticamente al crear, editar o eliminar miembros.
+ * Cuenta los miembros ACTIVOS de la iglesia (sin inactivos ni fallecidos),
+ * sin importar tipo o cargo.
+ * Se ejecuta automáticamente al crear, editar, eliminar o cambiar el estado de miembros.
  * 
  * @param {Object} church - Instancia del modelo Church (Sequelize)
  * @returns {number} Total de miembros
@@ -167,7 +171,7 @@ async function recalculateChurchRoleCounts(church) {
 async function recalculateMembershipCount(church) {
   try {
     const total = await Member.count({
-      where: { church_id: church.id },
+      where: { church_id: church.id, status: 'active' },
     });
 
     await church.update({ membership_count: total });
@@ -0,0 +1,188 @@
+/**
+ * consent.js - Consentimiento de contacto por canal (WhatsApp, correo, SMS)
+ *
+ * ESTADO (Member.*_consent): true = autorizó, false = no autorizó o se dio
+ * de baja, null = sin registro.
+ * - Con false nunca se le envía por ese canal (se intenta el siguiente canal
+ *   del miembro; si ninguno tiene consentimiento: "omitido: sin consentimiento").
+ * - Con null depende de CONSENT_REQUIRED: 'true' → tampoco se le envía
+ *   (solo a quien autorizó); vacío/false → se le envía (miembros registrados
+ *   antes de llevar el consentimiento).
+ *
+ * HISTORIAL: cada cambio queda en member_consent_events (recordConsent).
+ *
+ * PALABRAS CLAVE: el miembro escribe BAJA / STOP por WhatsApp y deja de
+ * recibir mensajes por ese canal; ALTA / START lo vuelve a activar
+ * (ver whatsappWebhookController.js).
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize, Member, Church, MemberConsentEvent,
+} = require('../models');
+const { CHANNELS, CHANNEL_LABELS } = require('./notificationChannels');
+const { normalizePhone } = require('./whatsappService');
+
+/** Cómo se obtuvo el consentimiento */
+const CONSENT_SOURCES = {
+  form: 'Formulario de la iglesia',
+  verbal: 'Verbal',
+  member: 'Pedido del miembro',
+  keyword: 'Mensaje con palabra clave (BAJA / ALTA)',
+};
+
+/** Columnas de consentimiento de Member (whatsapp_consent, whatsapp_consent_at, ...) */
+const CONSENT_FIELDS = CHANNELS.flatMap((channel) => [
+  `${channel}_consent`, `${channel}_consent_at`, `${channel}_consent_source`,
+]);
+
+/** Atributos de Member que necesitan los envíos (direcciones, canales y consentimiento) */
+const CONTACT_ATTRIBUTES = ['phone', 'email', 'notification_channels', ...CONSENT_FIELDS];
+
+/** Palabras clave (ya normalizadas: minúsculas, sin tildes ni signos) */
+const STOP_KEYWORDS = ['stop', 'baja', 'parar', 'detener', 'cancelar', 'no mas mensajes', 'unsubscribe'];
+const START_KEYWORDS = ['start', 'alta', 'reanudar', 'unstop', 'suscribir'];
+
+function isConsentRequired() {
+  return process.env.CONSENT_REQUIRED === 'true';
+}
+
+/** ¿Se le puede enviar al miembro por este canal? */
+function hasConsent(member, channel) {
+  const state = member?.[`${channel}_consent`];
+  if (state === true) return true;
+  if (state === false) return false;
+  return !isConsentRequired();
+}
+
+/** Estado actual por canal: { whatsapp: { granted, at, source }, ... } */
+function consentSummary(member) {
+  return CHANNELS.reduce((summary, channel) => ({
+    ...summary,
+    [channel]: {
+      granted: member[`${channel}_consent`] ?? null,
+      at: member[`${channel}_consent_at`] || null,
+      source: member[`${channel}_consent_source`] || null,
+    },
+  }), {});
+}
+
+/**
+ * Registra el consentimiento de un canal (estado actual + historial).
+ * No hace nada si el estado no cambia.
+ *
+ * @param {Object} member - Instancia de Member
+ * @param {string} channel - 'whatsapp' | 'email' | 'sms'
+ * @param {boolean} granted
+ * @param {Object} options - { source, note, userId, transaction }
+ * @returns {Promise<Object|null>} Evento creado o null si no hubo cambio
+ */
+async function recordConsent(member, channel, granted, options = {}) {
+  const {
+    source = 'form', note = null, userId = null, transaction,
+  } = options;
+  if (!CHANNELS.includes(channel)) throw new Error(`Canal desconocido: ${channel}`);
+  if (member[`${channel}_consent`] === granted) return null;
+
+  const at = new Date();
+  await member.update({
+    [`${channel}_consent`]: granted,
+    [`${channel}_consent_at`]: at,
+    [`${channel}_consent_source`]: source,
+  }, { transaction });
+
+  return MemberConsentEvent.create({
+    church_id: member.church_id,
+    member_id: member.id,
+    channel,
+    granted,
+    source,
+    note: note ? String(note).slice(0, 255) : null,
+    recorded_by: userId,
+  }, { transaction });
+}
+
+/**
+ * Limpia los cambios de consentimiento enviados por el frontend.
+ * Body: { consent: { whatsapp: true, email: false }, consent_source, consent_note }
+ * @returns {Object} { changes: { canal: boolean }, source, note, errors }
+ */
+function parseConsentInput(body = {}) {
+  const changes = {};
+  const errors = [];
+  const input = body.consent && typeof body.consent === 'object' ? body.consent : {};
+
+  CHANNELS.forEach((channel) => {
+    const value = input[channel];
+    if (value === true || value === 'true') changes[channel] = true;
+    else if (value === false || value === 'false') changes[channel] = false;
+  });
+
+  const source = body.consent_source || 'form';
+  if (!CONSENT_SOURCES[source]) errors.push(`Origen de consentimiento inválido: ${source}`);
+
+  return {
+    changes, source, note: body.consent_note || null, errors,
+  };
+}
+
+/**
+ * Aplica varios cambios de consentimiento (formulario de miembro).
+ * @returns {Promise<Array>} Eventos creados (solo los canales que cambiaron)
+ */
+async function applyConsentChanges(member, changes, options = {}) {
+  const events = [];
+  for (const [channel, granted] of Object.entries(changes)) {
+    const event = await recordConsent(member, channel, granted, options);
+    if (event) events.push(event);
+  }
+  return events;
+}
+
+/** 'stop' | 'start' | null según el texto (ya normalizado) */
+function parseConsentKeyword(normalizedText) {
+  if (STOP_KEYWORDS.includes(normalizedText)) return 'stop';
+  if (START_KEYWORDS.includes(normalizedText)) return 'start';
+  return null;
+}
+
+/**
+ * Miembros cuyo teléfono (normalizado con el código de país de su iglesia)
+ * es el número internacional indicado (ej: "50761234567", el "from" de WhatsApp).
+ */
+async function findMembersByPhone(internationalNumber) {
+  const digits = String(internationalNumber || '').replace(/\D/g, '');
+  if (digits.length < 7) return [];
+
+  // Prefiltro por los últimos 7 dígitos; la comparación exacta es con normalizePhone
+  const candidates = await Member.findAll({
+    where: sequelize.where(
+      sequelize.fn('regexp_replace', sequelize.col('Member.phone'), '[^0-9]', '', 'g'),
+      { [Op.like]: `%${digits.slice(-7)}` },
+    ),
+    attributes: ['id', 'church_id', 'first_name', 'last_name', ...CONTACT_ATTRIBUTES],
+    include: [{ model: Church, as: 'church', attributes: ['id', 'name', 'default_country_code'] }],
+  });
+
+  return candidates.filter((m) => normalizePhone(m.phone, m.church?.default_country_code) === digits);
+}
+
+/** Texto para el historial de envíos: "WhatsApp, SMS" */
+function channelList(channels) {
+  return channels.map((c) => CHANNEL_LABELS[c] || c).join(', ');
+}
+
+module.exports = {
+  CONSENT_SOURCES,
+  CONSENT_FIELDS,
+  CONTACT_ATTRIBUTES,
+  isConsentRequired,
+  hasConsent,
+  consentSummary,
+  recordConsent,
+  parseConsentInput,
+  applyConsentChanges,
+  parseConsentKeyword,
+  findMembersByPhone,
+  channelList,
+};
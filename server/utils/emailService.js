@@ -0,0 +1,131 @@
+/**
+ * emailService.js - Envío de correos (SMTP)
+ *
+ * Canal "email" de las notificaciones (ver notificationChannels.js) y
+ * correo del sistema en general.
+ *
+ * TRANSPORTES (MAIL_TRANSPORT, o NOTIFICATION_TRANSPORT para todos los canales):
+ * - smtp    (default): envía por SMTP con nodemailer
+ * - console: imprime el correo en la consola del servidor (desarrollo, sin red)
+ * - file:    guarda cada correo como archivo .eml en MAIL_FILE_DIR (solo con
+ *            MAIL_TRANSPORT; default: server/tmp/mail) para revisarlo o en pruebas
+ *
+ * CONFIGURACIÓN SMTP en .env:
+ *   SMTP_HOST=smtp.gmail.com
+ *   SMTP_PORT=587                 (opcional, default: 587)
+ *   SMTP_SECURE=false             (true para el puerto 465)
+ *   SMTP_USER=usuario
+ *   SMTP_PASS=contraseña_o_app_password
+ *   MAIL_FROM="Gestión Cristiana <no-responder@iglesia.org>"
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+let smtpTransporter = null;
+
+/** Transporte activo: 'smtp', 'console' o 'file' */
+function getMailTransport() {
+  return process.env.MAIL_TRANSPORT || process.env.NOTIFICATION_TRANSPORT || 'smtp';
+}
+
+/** ¿Se pueden enviar correos con la configuración actual? */
+function isEmailConfigured() {
+  if (['console', 'file'].includes(getMailTransport())) return true;
+  return !!process.env.SMTP_HOST;
+}
+
+function getMailFileDir() {
+  return process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+}
+
+/** Guarda el correo como .eml (texto plano) y devuelve la ruta del archivo */
+async function writeMailFile({ from, to, subject, text, messageId }) {
+  const dir = getMailFileDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId}.eml`);
+  await fs.promises.writeFile(file, [
+    `Message-ID: <${messageId}@localhost>`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+    '',
+  ].join('\r\n'));
+  return file;
+}
+
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return smtpTransporter;
+}
+
+/**
+ * Envía un correo.
+ *
+ * @param {Object} mail
+ * @param {string} mail.to - Destinatario
+ * @param {string} mail.subject - Asunto
+ * @param {string} mail.text - Cuerpo en texto plano
+ * @param {string} mail.html - Cuerpo HTML (opcional)
+ * @returns {Promise<Object>} { success: boolean, messageId, error }
+ */
+async function sendEmail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || process.env.SMTP_USER || 'no-responder@localhost';
+
+  if (getMailTransport() === 'console') {
+    const messageId = `console-${crypto.randomBytes(6).toString('hex')}`;
+    console.log([
+      '[EMAIL] 📧 (console) ─────────────────────────',
+      `De: ${from}`,
+      `Para: ${to}`,
+      `Asunto: ${subject}`,
+      '',
+      text,
+      '──────────────────────────────────────────────',
+    ].join('\n'));
+    return { success: true, messageId };
+  }
+
+  if (getMailTransport() === 'file') {
+    const messageId = `file-${crypto.randomBytes(6).toString('hex')}`;
+    try {
+      const file = await writeMailFile({ from, to, subject, text, messageId });
+      console.log(`[EMAIL] 📁 Correo para ${to} guardado en ${file}`);
+      return { success: true, messageId };
+    } catch (err) {
+      console.error(`[EMAIL] ❌ Error al guardar el correo para ${to}:`, err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
+  if (!process.env.SMTP_HOST) {
+    console.warn('[EMAIL] Variable SMTP_HOST no configurada.');
+    return { success: false, error: 'Correo no configurado' };
+  }
+
+  try {
+    const info = await getSmtpTransporter().sendMail({ from, to, subject, text, html });
+    console.log(`[EMAIL] ✅ Correo enviado a ${to}`);
+    return { success: true, messageId: info.messageId };
+  } catch (err) {
+    console.error(`[EMAIL] ❌ Error al enviar a ${to}:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { sendEmail, isEmailConfigured, getMailTransport };
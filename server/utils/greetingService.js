@@ -0,0 +1,293 @@
+/**
+ * greetingService.js - Saludos de cumpleaños y aniversarios
+ *
+ * OCASIONES (GREETING_OCCASIONS):
+ * - birthday: Member.birth_date    → plantilla 'birthday' ({{edad}})
+ * - baptism:  Member.baptism_date  → plantilla 'anniversary' ("de bautismo")
+ * - wedding:  Member.wedding_date  → plantilla 'anniversary' ("de bodas")
+ * Solo miembros activos (Member.status). Se saluda desde el primer año cumplido. Quien nació (o se casó) un 29 de
+ * febrero se saluda el 28 en los años no bisiestos.
+ *
+ * ENVÍO: una vez al día, a la hora configurada por la iglesia
+ * (Church.notification_greeting_hour), el scheduler reclama el lote
+ * 'greetings' de notification_runs y envía los saludos del día por los
+ * canales del miembro (con su consentimiento, ver notificationService.js).
+ * Cada saludo queda en notification_logs (reminder_type = plantilla,
+ * role_label = ocasión). Un lote reintentado no repite a quien ya lo recibió.
+ *
+ * LISTADO DEL MES: monthlyCelebrations() alimenta el widget del dashboard
+ * y el PDF de cumpleaños del mes (birthdayPdf.js).
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize, Church, Member, NotificationLog,
+} = require('../models');
+const { resolveTimezone, localDateKey } = require('./timezone');
+const { formatLongDate } = require('./whatsappService');
+const { resolveTemplate, renderTemplate } = require('./messageTemplates');
+const { sendThroughChannels, unavailableReason, logNotification } = require('./notificationService');
+const { CONTACT_ATTRIBUTES } = require('./consent');
+
+/** Ocasiones que se saludan: campo de fecha de Member + plantilla */
+const GREETING_OCCASIONS = {
+  birthday: { field: 'birth_date', kind: 'birthday', label: 'Cumpleaños' },
+  baptism: {
+    field: 'baptism_date', kind: 'anniversary', label: 'Aniversario de bautismo', name: 'de bautismo',
+  },
+  wedding: {
+    field: 'wedding_date', kind: 'anniversary', label: 'Aniversario de bodas', name: 'de bodas',
+  },
+};
+
+/** Tipos de plantilla (y reminder_type del historial) de los saludos */
+const GREETING_KINDS = [...new Set(Object.values(GREETING_OCCASIONS).map((o) => o.kind))];
+
+const DATE_FIELDS = Object.values(GREETING_OCCASIONS).map((o) => o.field);
+
+const MEMBER_ATTRIBUTES = [
+  'id', 'church_id', 'first_name', 'last_name', 'member_type', ...DATE_FIELDS, ...CONTACT_ATTRIBUTES,
+];
+
+const CHURCH_ATTRIBUTES = ['id', 'name', 'timezone', 'default_country_code'];
+
+const DELIVERED = ['sent', 'delivered', 'read'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/** Días ('MM-DD') que se celebran en la fecha: el 28/02 incluye el 29/02 en años no bisiestos */
+function celebratedKeys(dateKey) {
+  const key = dateKey.slice(5);
+  return key === '02-28' && !isLeapYear(Number(dateKey.slice(0, 4))) ? ['02-28', '02-29'] : [key];
+}
+
+/** Años que se cumplen en `year` desde una fecha 'YYYY-MM-DD' */
+function yearsSince(date, year) {
+  return year - Number(String(date).slice(0, 4));
+}
+
+function yearsLabel(years) {
+  return years === 1 ? '1 año' : `${years} años`;
+}
+
+/** Condición: la fecha del campo cae en alguno de los días ('MM-DD') */
+function matchesDays(field, keys) {
+  return sequelize.where(
+    sequelize.fn('to_char', sequelize.col(`Member.${field}`), 'MM-DD'),
+    { [Op.in]: keys },
+  );
+}
+
+/** Ocasión (clave de GREETING_OCCASIONS) de un registro de saludo del historial */
+function occasionOfLog(log) {
+  return Object.keys(GREETING_OCCASIONS).find((key) => (
+    GREETING_OCCASIONS[key].kind === log.reminder_type && GREETING_OCCASIONS[key].label === log.role_label
+  )) || null;
+}
+
+/**
+ * Celebraciones de un día en una iglesia.
+ * @param {number} churchId
+ * @param {string} dateKey - Fecha local de la iglesia 'YYYY-MM-DD'
+ * @returns {Promise<Array>} [{ member, occasion, years }]
+ */
+async function findCelebrations(churchId, dateKey) {
+  const keys = celebratedKeys(dateKey);
+  const year = Number(dateKey.slice(0, 4));
+
+  const members = await Member.findAll({
+    where: {
+      church_id: churchId,
+      status: 'active',
+      [Op.or]: DATE_FIELDS.map((field) => matchesDays(field, keys)),
+    },
+    attributes: MEMBER_ATTRIBUTES,
+    order: [['first_name', 'ASC'], ['last_name', 'ASC']],
+  });
+
+  const celebrations = [];
+  members.forEach((member) => {
+    Object.entries(GREETING_OCCASIONS).forEach(([occasion, { field }]) => {
+      const date = member[field];
+      if (!date || !keys.includes(String(date).slice(5))) return;
+      const years = yearsSince(date, year);
+      if (years >= 1) celebrations.push({ member, occasion, years });
+    });
+  });
+  return celebrations;
+}
+
+/**
+ * Variables de la plantilla del saludo (ver PLACEHOLDERS en messageTemplates.js).
+ * fecha: "19 de Octubre" (día del saludo, sin año)
+ */
+function greetingVariables(occasion, member, years, dateKey, churchName) {
+  const common = {
+    nombre: member.first_name,
+    apellido: member.last_name,
+    iglesia: churchName,
+    fecha: formatLongDate(`${dateKey}T12:00:00Z`, 'UTC', false),
+  };
+  if (occasion === 'birthday') return { ...common, edad: String(years) };
+  return { ...common, aniversario: GREETING_OCCASIONS[occasion].name, anios: yearsLabel(years) };
+}
+
+/**
+ * Envía el saludo de UNA celebración por los canales del miembro.
+ * @param {Object} church - Iglesia (name, default_country_code)
+ * @param {Object} celebration - { member, occasion, years }
+ * @param {string} dateKey - Día del saludo 'YYYY-MM-DD'
+ * @param {Object} options - { source, userId, runId, retryOfId, template }
+ * @returns {Promise<string>} 'sent' | 'failed' | 'skipped'
+ */
+async function sendGreeting(church, { member, occasion, years }, dateKey, options = {}) {
+  const { kind, label } = GREETING_OCCASIONS[occasion];
+  const baseLog = {
+    church_id: church.id,
+    member_id: member.id,
+    reminder_type: kind,
+    role_label: label,
+    source: options.source || 'manual',
+    created_by: options.userId || null,
+    retry_of_id: options.retryOfId || null,
+    notification_run_id: options.runId || null,
+  };
+
+  const template = options.template || await resolveTemplate(church.id, kind);
+  const content = renderTemplate(template, greetingVariables(occasion, member, years, dateKey, church.name));
+  const delivery = await sendThroughChannels(member, church, content, baseLog);
+  const { attempts } = delivery;
+
+  if (attempts.length === 0) {
+    await logNotification({
+      ...baseLog, channel: delivery.order[0], status: 'skipped', error: unavailableReason(delivery).reason,
+    });
+    return 'skipped';
+  }
+  return attempts[attempts.length - 1].success ? 'sent' : 'failed';
+}
+
+/**
+ * Envía los saludos del día de una iglesia (lote 'greetings' del scheduler).
+ * Con runId no repite a quien ya recibió el saludo en un intento anterior del lote.
+ *
+ * @param {Object} church - Iglesia (id, name, default_country_code)
+ * @param {string} dateKey - Fecha local 'YYYY-MM-DD'
+ * @param {Object} options - { source, userId, runId }
+ * @returns {Promise<Object>} { total_greetings, total_sent, total_failed, total_skipped }
+ */
+async function processGreetingsForDate(church, dateKey, options = {}) {
+  const celebrations = await findCelebrations(church.id, dateKey);
+  const summary = {
+    total_greetings: celebrations.length, total_sent: 0, total_failed: 0, total_skipped: 0,
+  };
+  if (celebrations.length === 0) return summary;
+
+  const delivered = new Set();
+  if (options.runId) {
+    const logs = await NotificationLog.findAll({
+      where: { notification_run_id: options.runId, status: { [Op.in]: DELIVERED } },
+      attributes: ['member_id', 'role_label'],
+    });
+    logs.forEach((log) => delivered.add(`${log.member_id}:${log.role_label}`));
+  }
+
+  const templates = {};
+  for (const celebration of celebrations) {
+    const { kind, label } = GREETING_OCCASIONS[celebration.occasion];
+    if (delivered.has(`${celebration.member.id}:${label}`)) continue;
+
+    if (!templates[kind]) templates[kind] = await resolveTemplate(church.id, kind);
+    const outcome = await sendGreeting(church, celebration, dateKey, { ...options, template: templates[kind] });
+    summary[`total_${outcome}`]++;
+  }
+  return summary;
+}
+
+/**
+ * Reintenta un saludo fallido (solo el mismo día, con los datos actuales).
+ * @returns {Promise<string|null>} Resultado o null si ya no corresponde
+ *   (pasó el día, el miembro ya no existe o cambió la fecha)
+ */
+async function retryGreetingLog(log, userId) {
+  const occasion = occasionOfLog(log);
+  const church = await Church.findByPk(log.church_id, { attributes: CHURCH_ATTRIBUTES });
+  const member = await Member.findByPk(log.member_id, { attributes: MEMBER_ATTRIBUTES });
+  if (!occasion || !church || !member) return null;
+
+  const timeZone = resolveTimezone(church.timezone);
+  const dateKey = localDateKey(new Date(), timeZone);
+  if (localDateKey(log.createdAt, timeZone) !== dateKey) return null;
+
+  const date = member[GREETING_OCCASIONS[occasion].field];
+  if (!date || !celebratedKeys(dateKey).includes(String(date).slice(5))) return null;
+
+  return sendGreeting(church, { member, occasion, years: yearsSince(date, Number(dateKey.slice(0, 4))) }, dateKey, {
+    source: 'retry', userId, retryOfId: log.id,
+  });
+}
+
+/**
+ * Cumpleaños y aniversarios de un mes, ordenados por día.
+ * @param {number} churchId
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {Promise<Object>} { birthdays: [...], anniversaries: [...] }
+ *   cada uno: { member_id, name, member_type, phone, occasion, label, date, day, years }
+ *   day: día en que se celebra este año (29/02 → 28 en años no bisiestos)
+ */
+async function monthlyCelebrations(churchId, year, month) {
+  const mm = pad(month);
+  const members = await Member.findAll({
+    where: {
+      church_id: churchId,
+      status: 'active',
+      [Op.or]: DATE_FIELDS.map((field) => sequelize.where(
+        sequelize.fn('to_char', sequelize.col(`Member.${field}`), 'MM'), mm,
+      )),
+    },
+    attributes: ['id', 'first_name', 'last_name', 'member_type', 'phone', ...DATE_FIELDS],
+  });
+
+  const birthdays = [];
+  const anniversaries = [];
+  members.forEach((member) => {
+    Object.entries(GREETING_OCCASIONS).forEach(([occasion, { field, label }]) => {
+      const date = member[field];
+      if (!date || String(date).slice(5, 7) !== mm) return;
+      const years = yearsSince(date, year);
+      if (years < 1) return;
+
+      let day = Number(String(date).slice(8, 10));
+      if (month === 2 && day === 29 && !isLeapYear(year)) day = 28;
+
+      (occasion === 'birthday' ? birthdays : anniversaries).push({
+        member_id: member.id,
+        name: `${member.first_name} ${member.last_name}`,
+        member_type: member.member_type,
+        phone: member.phone,
+        occasion,
+        label,
+        date,
+        day,
+        years,
+      });
+    });
+  });
+
+  const byDay = (a, b) => (a.day - b.day) || a.name.localeCompare(b.name, 'es');
+  return { birthdays: birthdays.sort(byDay), anniversaries: anniversaries.sort(byDay) };
+}
+
+module.exports = {
+  GREETING_OCCASIONS,
+  GREETING_KINDS,
+  findCelebrations,
+  processGreetingsForDate,
+  retryGreetingLog,
+  monthlyCelebrations,
+};
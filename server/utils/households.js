@@ -0,0 +1,220 @@
+/**
+ * households.js - Hogares (familias) y parentesco de sus miembros
+ *
+ * PARENTESCO (Member.household_relationship): head (jefe de hogar),
+ * spouse, child, other. Un hogar tiene como máximo un jefe de hogar y
+ * todos sus miembros son de la misma iglesia que el hogar.
+ *
+ * DATOS COMPARTIDOS: con inherit_household_address / inherit_household_phone
+ * el miembro toma la dirección / teléfono del hogar. Se copian al guardar el
+ * miembro (applyHouseholdContact) y al editar el hogar (syncHouseholdContact),
+ * así los listados, recordatorios y anuncios siguen leyendo Member.address / phone.
+ */
+const { Op } = require('sequelize');
+const { Household, Member } = require('../models');
+
+const RELATIONSHIPS = {
+  head: 'Jefe de hogar',
+  spouse: 'Cónyuge',
+  child: 'Hijo/a',
+  other: 'Otro',
+};
+
+/** Orden dentro del hogar (y prioridad para "uno por hogar" en anuncios) */
+const RELATIONSHIP_ORDER = ['head', 'spouse', 'other', 'child'];
+
+/** Campos de Member que describen su lugar en el hogar */
+const HOUSEHOLD_FIELDS = [
+  'household_id', 'household_relationship', 'inherit_household_address', 'inherit_household_phone',
+];
+
+const MEMBER_ATTRIBUTES = [
+  'id', 'first_name', 'last_name', 'member_type', 'phone', 'address', ...HOUSEHOLD_FIELDS,
+];
+
+function relationshipRank(relationship) {
+  const index = RELATIONSHIP_ORDER.indexOf(relationship);
+  return index === -1 ? RELATIONSHIP_ORDER.length : index;
+}
+
+/** Ordena miembros de un hogar: jefe, cónyuge, otros, hijos; luego por nombre */
+function sortHouseholdMembers(members) {
+  return [...members].sort((a, b) => (
+    relationshipRank(a.household_relationship) - relationshipRank(b.household_relationship)
+    || `${a.first_name} ${a.last_name}`.localeCompare(`${b.first_name} ${b.last_name}`, 'es')
+  ));
+}
+
+/**
+ * Copia la dirección / teléfono del hogar en los datos del miembro según
+ * sus banderas de herencia (parentesco por defecto: other).
+ * Sin hogar, limpia parentesco y banderas.
+ * @param {Object} data - Datos sanitizados del miembro
+ * @param {Object|null} household
+ * @returns {Object} data
+ */
+function applyHouseholdContact(data, household) {
+  if (!household) {
+    data.household_id = null;
+    data.household_relationship = null;
+    data.inherit_household_address = false;
+    data.inherit_household_phone = false;
+    return data;
+  }
+  data.household_relationship = data.household_relationship || 'other';
+  if (data.inherit_household_address) data.address = household.address;
+  if (data.inherit_household_phone) data.phone = household.phone;
+  return data;
+}
+
+/** Actualiza dirección / teléfono de los miembros que los heredan del hogar */
+async function syncHouseholdContact(household, transaction) {
+  await Member.update(
+    { address: household.address },
+    { where: { household_id: household.id, inherit_household_address: true }, transaction },
+  );
+  await Member.update(
+    { phone: household.phone },
+    { where: { household_id: household.id, inherit_household_phone: true }, transaction },
+  );
+}
+
+/**
+ * Saca miembros del hogar (conservan su dirección y teléfono actuales).
+ * @param {Array<number>} exceptIds - Miembros que se quedan
+ */
+async function detachHouseholdMembers(householdId, transaction, exceptIds = []) {
+  await Member.update({
+    household_id: null,
+    household_relationship: null,
+    inherit_household_address: false,
+    inherit_household_phone: false,
+  }, {
+    where: {
+      household_id: householdId,
+      ...(exceptIds.length ? { id: { [Op.notIn]: exceptIds } } : {}),
+    },
+    transaction,
+  });
+}
+
+/**
+ * Valida la asignación de UN miembro a un hogar (alta/edición de miembro).
+ * @param {Object} params - { householdId, relationship, churchId, memberId }
+ * @returns {Promise<Object>} { household, error }
+ */
+async function checkHouseholdAssignment({
+  householdId, relationship, churchId, memberId,
+}) {
+  if (!householdId) return { household: null, error: null };
+
+  const household = await Household.findByPk(householdId);
+  if (!household) return { household: null, error: 'Hogar no encontrado.' };
+  if (household.church_id !== parseInt(churchId, 10)) {
+    return { household: null, error: 'El hogar pertenece a otra iglesia.' };
+  }
+  if (relationship && !RELATIONSHIPS[relationship]) {
+    return { household: null, error: 'Parentesco inválido. Use: head, spouse, child u other.' };
+  }
+
+  if (relationship === 'head') {
+    const head = await Member.findOne({
+      where: {
+        household_id: household.id,
+        household_relationship: 'head',
+        ...(memberId ? { id: { [Op.ne]: memberId } } : {}),
+      },
+      attributes: ['id', 'first_name', 'last_name'],
+    });
+    if (head) {
+      return { household: null, error: `El hogar ya tiene jefe de hogar (${head.first_name} ${head.last_name}).` };
+    }
+  }
+  return { household, error: null };
+}
+
+/**
+ * Normaliza y valida la lista completa de miembros de un hogar.
+ * @param {Object} household
+ * @param {Array} list - [{ member_id, relationship, inherit_household_address, inherit_household_phone }]
+ * @returns {Promise<Object>} { rows: [{ member, relationship, inheritAddress, inheritPhone }], errors }
+ */
+async function validateHouseholdMembers(household, list) {
+  if (!Array.isArray(list)) return { rows: [], errors: ['members debe ser una lista.'] };
+
+  const errors = [];
+  const entries = [];
+  const seen = new Set();
+  list.forEach((item) => {
+    const memberId = parseInt(item?.member_id, 10);
+    if (!memberId || seen.has(memberId)) return;
+    seen.add(memberId);
+    const relationship = item.relationship || 'other';
+    if (!RELATIONSHIPS[relationship]) {
+      errors.push(`Parentesco inválido: ${relationship}. Use: head, spouse, child u other.`);
+    }
+    entries.push({
+      memberId,
+      relationship,
+      inheritAddress: !!item.inherit_household_address,
+      inheritPhone: !!item.inherit_household_phone,
+    });
+  });
+
+  if (entries.filter((e) => e.relationship === 'head').length > 1) {
+    errors.push('El hogar solo puede tener un jefe de hogar.');
+  }
+
+  const members = entries.length
+    ? await Member.findAll({ where: { id: { [Op.in]: entries.map((e) => e.memberId) } } })
+    : [];
+  const byId = new Map(members.map((m) => [m.id, m]));
+
+  const rows = [];
+  entries.forEach((entry) => {
+    const member = byId.get(entry.memberId);
+    if (!member) {
+      errors.push(`Miembro no encontrado (id ${entry.memberId}).`);
+    } else if (member.church_id !== household.church_id) {
+      errors.push(`${member.first_name} ${member.last_name} pertenece a otra iglesia.`);
+    } else {
+      rows.push({ ...entry, member });
+    }
+  });
+  return { rows, errors };
+}
+
+/**
+ * Reemplaza los miembros del hogar: quien no está en la lista sale del hogar,
+ * quien viene de otro hogar se cambia a este.
+ * @param {Object} household
+ * @param {Array} rows - Resultado de validateHouseholdMembers()
+ */
+async function setHouseholdMembers(household, rows, transaction) {
+  await detachHouseholdMembers(household.id, transaction, rows.map((row) => row.member.id));
+
+  for (const row of rows) {
+    const data = applyHouseholdContact({
+      household_id: household.id,
+      household_relationship: row.relationship,
+      inherit_household_address: row.inheritAddress,
+      inherit_household_phone: row.inheritPhone,
+    }, household);
+    await row.member.update(data, { transaction });
+  }
+}
+
+module.exports = {
+  RELATIONSHIPS,
+  RELATIONSHIP_ORDER,
+  HOUSEHOLD_FIELDS,
+  MEMBER_ATTRIBUTES,
+  relationshipRank,
+  sortHouseholdMembers,
+  applyHouseholdContact,
+  syncHouseholdContact,
+  detachHouseholdMembers,
+  checkHouseholdAssignment,
+  validateHouseholdMembers,
+  setHouseholdMembers,
+};
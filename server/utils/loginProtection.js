@@ -0,0 +1,252 @@
+/**
+ * loginProtection.js - Protección contra fuerza bruta en el inicio de sesión
+ *
+ * Usado por authController (login, reset-password) y twoFactorController
+ * (segundo paso del login). Cada intento fallido queda en security_events.
+ *
+ * - Por cuenta: tras 2 contraseñas incorrectas seguidas hay que esperar cada
+ *   vez más (2, 4, 8... hasta 60 s) antes de intentar de nuevo; a las
+ *   LOGIN_MAX_ATTEMPTS (default: 5) la cuenta se bloquea
+ *   LOGIN_LOCK_MINUTES (default: 15). Un Administrador puede desbloquearla
+ *   antes desde la página de Usuarios. Entrar bien reinicia el contador.
+ *   Los correos no registrados reciben la misma espera y el mismo bloqueo
+ *   (contados en security_events), para no revelar qué cuentas existen.
+ * - Por IP: los fallidos de login, 2FA y restablecimiento de la última
+ *   ventana (LOGIN_IP_WINDOW_MINUTES, default: 15) aplican la misma espera;
+ *   a los LOGIN_MAX_ATTEMPTS_PER_IP (default: 20) la IP queda bloqueada hasta
+ *   que termine la ventana. Frena a quien prueba muchas cuentas distintas.
+ * - Los eventos de más de SECURITY_EVENT_RETENTION_DAYS días (default: 90)
+ *   se borran solos.
+ */
+const { Op, fn, col } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { SecurityEvent } = require('../models');
+const { clientIp } = require('./audit');
+
+/** Fallidos sin espera antes del retardo progresivo */
+const LOGIN_DELAY_FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 60;
+
+/** Eventos que cuentan para el límite por IP */
+const FAILURE_EVENTS = ['login_failed', 'two_factor_failed', 'reset_failed'];
+
+const HOUR_MS = 60 * 60 * 1000;
+let lastCleanup = 0;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getMaxAttempts = () => envInt('LOGIN_MAX_ATTEMPTS', 5);
+const getLockMinutes = () => envInt('LOGIN_LOCK_MINUTES', 15);
+const getMaxAttemptsPerIp = () => envInt('LOGIN_MAX_ATTEMPTS_PER_IP', 20);
+const getIpWindowMinutes = () => envInt('LOGIN_IP_WINDOW_MINUTES', 15);
+
+/** Segundos de espera después de `failures` fallidos seguidos */
+function progressiveDelay(failures) {
+  if (failures <= LOGIN_DELAY_FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failures - LOGIN_DELAY_FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+}
+
+/** Segundos que faltan hasta `date` (0 si ya pasó) */
+const secondsUntil = (date) => Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+/** ¿La cuenta está bloqueada ahora? */
+const isLocked = (user) => !!user.locked_until && new Date(user.locked_until) > new Date();
+
+/**
+ * Registra un evento de seguridad. Un error al registrarlo no interrumpe el login.
+ * @param {string} eventType - Ver SECURITY_EVENT_TYPES en models/SecurityEvent.js
+ * @param {Object} params - { req, user, email, details }
+ */
+async function recordSecurityEvent(eventType, { req, user = null, email = null, details = {} }) {
+  try {
+    await SecurityEvent.create({
+      event_type: eventType,
+      user_id: user ? user.id : null,
+      email: (email || user?.email || '').toLowerCase().slice(0, 150) || null,
+      ip: req ? clientIp(req) : null,
+      user_agent: req ? (req.headers['user-agent'] || '').slice(0, 255) || null : null,
+      details,
+    });
+  } catch (error) {
+    console.error(`[SECURITY] ❌ Error registrando ${eventType}:`, error.message);
+  }
+
+  // Limpieza de eventos viejos (como mucho una vez por hora)
+  if (Date.now() - lastCleanup > HOUR_MS) {
+    lastCleanup = Date.now();
+    const since = new Date(Date.now() - envInt('SECURITY_EVENT_RETENTION_DAYS', 90) * 24 * HOUR_MS);
+    SecurityEvent.destroy({ where: { createdAt: { [Op.lt]: since } } })
+      .catch((err) => console.error('[SECURITY] Error limpiando eventos viejos:', err.message));
+  }
+}
+
+/**
+ * ¿Se puede intentar desde esta IP? Cuenta los fallidos de la ventana.
+ * @returns {Promise<{ allowed: boolean, reason?: 'ip_blocked'|'delay', retryAfter?: number }>}
+ */
+async function checkIp(ip) {
+  if (!ip) return { allowed: true };
+
+  const windowMs = getIpWindowMinutes() * 60 * 1000;
+  const [row] = await SecurityEvent.findAll({
+    attributes: [[fn('COUNT', col('id')), 'failures'], [fn('MAX', col('created_at')), 'last']],
+    where: {
+      ip,
+      event_type: { [Op.in]: FAILURE_EVENTS },
+      createdAt: { [Op.gte]: new Date(Date.now() - windowMs) },
+    },
+    raw: true,
+  });
+
+  const failures = parseInt(row?.failures, 10) || 0;
+  if (failures === 0) return { allowed: true };
+
+  const last = new Date(row.last).getTime();
+  if (failures >= getMaxAttemptsPerIp()) {
+    return { allowed: false, reason: 'ip_blocked', retryAfter: secondsUntil(last + windowMs) };
+  }
+  const wait = secondsUntil(last + progressiveDelay(failures) * 1000);
+  return wait > 0 ? { allowed: false, reason: 'delay', retryAfter: wait } : { allowed: true };
+}
+
+/**
+ * Fallidos de un correo no registrado durante el último bloqueo
+ * (LOGIN_LOCK_MINUTES): hacen de contador de la cuenta que no existe.
+ * @returns {Promise<{ failures: number, last: number|null }>}
+ */
+async function unknownEmailFailures(email) {
+  const [row] = await SecurityEvent.findAll({
+    attributes: [[fn('COUNT', col('id')), 'failures'], [fn('MAX', col('created_at')), 'last']],
+    where: {
+      email: String(email || '').toLowerCase().slice(0, 150),
+      user_id: null,
+      event_type: 'login_failed',
+      createdAt: { [Op.gt]: new Date(Date.now() - getLockMinutes() * 60 * 1000) },
+    },
+    raw: true,
+  });
+  const failures = parseInt(row?.failures, 10) || 0;
+  return { failures, last: failures > 0 ? new Date(row.last).getTime() : null };
+}
+
+/**
+ * ¿Se puede intentar iniciar sesión? Revisa la IP y el bloqueo y la espera
+ * de la cuenta (o del correo, si no está registrado).
+ *
+ * @param {Object} req
+ * @param {Object|null} user
+ * @param {string|null} email - Correo intentado (para los no registrados)
+ * @returns {Promise<{ allowed: boolean, reason?: 'locked'|'ip_blocked'|'delay', retryAfter?: number }>}
+ */
+async function checkLoginAllowed(req, user = null, email = null) {
+  if (user) {
+    if (isLocked(user)) {
+      return { allowed: false, reason: 'locked', retryAfter: secondsUntil(user.locked_until) };
+    }
+    const delay = progressiveDelay(user.failed_login_attempts);
+    if (delay > 0 && user.last_failed_login_at) {
+      const wait = secondsUntil(new Date(user.last_failed_login_at).getTime() + delay * 1000);
+      if (wait > 0) return { allowed: false, reason: 'delay', retryAfter: wait };
+    }
+  } else if (email) {
+    const { failures, last } = await unknownEmailFailures(email);
+    if (failures >= getMaxAttempts()) {
+      return { allowed: false, reason: 'locked', retryAfter: secondsUntil(last + getLockMinutes() * 60 * 1000) };
+    }
+    const wait = failures > 0 ? secondsUntil(last + progressiveDelay(failures) * 1000) : 0;
+    if (wait > 0) return { allowed: false, reason: 'delay', retryAfter: wait };
+  }
+  return checkIp(clientIp(req));
+}
+
+/**
+ * Registra una contraseña incorrecta y, al llegar al máximo, bloquea la cuenta.
+ * @param {Object} req
+ * @param {Object|null} user - null si el correo no está registrado
+ * @param {string} email - Correo intentado
+ * @returns {Promise<{ locked: boolean }>}
+ */
+async function registerLoginFailure(req, user, email) {
+  if (!user) {
+    await recordSecurityEvent('login_failed', { req, email, details: { reason: 'unknown_email' } });
+    const { failures } = await unknownEmailFailures(email);
+    return { locked: failures >= getMaxAttempts() };
+  }
+
+  // Incremento y bloqueo en una sola sentencia: dos intentos simultáneos no
+  // pueden leer el mismo contador y quedar ambos por debajo del máximo
+  const maxAttempts = getMaxAttempts();
+  const [rows] = await sequelize.query(
+    `UPDATE users SET
+       failed_login_attempts = CASE WHEN failed_login_attempts + 1 >= :maxAttempts
+         THEN 0 ELSE failed_login_attempts + 1 END,
+       locked_until = CASE WHEN failed_login_attempts + 1 >= :maxAttempts
+         THEN NOW() + :lockMinutes * INTERVAL '1 minute' ELSE locked_until END,
+       last_failed_login_at = NOW(),
+       updated_at = NOW()
+     WHERE id = :id
+     RETURNING failed_login_attempts, locked_until`,
+    { replacements: { id: user.id, maxAttempts, lockMinutes: getLockMinutes() } }
+  );
+  const row = rows[0] || { failed_login_attempts: 0, locked_until: null };
+  const locked = isLocked(row);
+  // El contador solo vuelve a 0 en el fallido que bloquea la cuenta
+  const justLocked = locked && row.failed_login_attempts === 0;
+  const attempts = justLocked ? maxAttempts : row.failed_login_attempts;
+
+  await recordSecurityEvent('login_failed', { req, user, email, details: { reason: 'wrong_password', attempts } });
+  if (justLocked) {
+    await recordSecurityEvent('account_locked', { req, user, email, details: { minutes: getLockMinutes() } });
+  }
+  return { locked };
+}
+
+/** Contraseña correcta: reinicia el contador de fallidos */
+async function registerLoginSuccess(user) {
+  if (user.failed_login_attempts === 0 && !user.locked_until && !user.last_failed_login_at) return;
+  await user.update({ failed_login_attempts: 0, last_failed_login_at: null, locked_until: null });
+}
+
+/**
+ * Desbloqueo manual por un Administrador.
+ * @param {Object} user - Usuario bloqueado
+ * @param {Object} req - Petición del Administrador (req.user)
+ */
+async function unlockUser(user, req) {
+  await user.update({ failed_login_attempts: 0, last_failed_login_at: null, locked_until: null });
+  await recordSecurityEvent('account_unlocked', {
+    req,
+    user,
+    details: { by_user_id: req.user.id, by_user_name: req.user.full_name },
+  });
+}
+
+/**
+ * Respuesta 429 para un intento rechazado (con cabecera Retry-After).
+ * @param {Object} res
+ * @param {Object} check - Resultado de checkLoginAllowed / checkIp
+ */
+function sendBlocked(res, check) {
+  const minutes = Math.ceil(check.retryAfter / 60);
+  const messages = {
+    locked: `Cuenta bloqueada temporalmente por intentos fallidos. Intente de nuevo en ${minutes} minuto(s) o contacte al administrador.`,
+    ip_blocked: `Demasiados intentos fallidos desde esta red. Intente de nuevo en ${minutes} minuto(s).`,
+    delay: `Demasiados intentos fallidos. Espere ${check.retryAfter} segundo(s) antes de intentar de nuevo.`,
+  };
+  res.set('Retry-After', String(check.retryAfter));
+  return res.status(429).json({ message: messages[check.reason], reason: check.reason, retry_after: check.retryAfter });
+}
+
+module.exports = {
+  isLocked,
+  recordSecurityEvent,
+  checkIp,
+  checkLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess,
+  unlockUser,
+  sendBlocked,
+};
@@ -0,0 +1,200 @@
+/**
+ * memberAvailability.js - Disponibilidad de miembros para roles de culto
+ *
+ * Cada miembro puede tener:
+ * - Fechas bloqueadas (member_blackouts): asignarle un rol ese día es ERROR
+ * - Días preferidos (members.preferred_weekdays): otro día es ADVERTENCIA
+ * - Tope mensual (members.max_assignments_per_month): superarlo es ADVERTENCIA
+ *
+ * Lo usan eventController (create/update), el planificador de roles
+ * y los selectores de roles del frontend (GET /api/events/role-availability).
+ *
+ * Días, días de la semana y meses se evalúan en la zona horaria de la
+ * iglesia (opción `timeZone`, ver utils/timezone.js).
+ */
+const { Op } = require('sequelize');
+const { Member, MemberBlackout, Event, EventRoleAssignment } = require('../models');
+const { toDateKey } = require('./recurrence');
+const { zonedParts, monthRange } = require('./timezone');
+
+const WEEKDAY_NAMES = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+
+/** Clave de mes 'YYYY-MM' a partir de una fecha (en la zona `timeZone`) o de 'YYYY-MM-DD' */
+function monthKey(date, timeZone) {
+  return (typeof date === 'string' ? date : toDateKey(date, timeZone)).slice(0, 7);
+}
+
+function fullName(member) {
+  return `${member.first_name} ${member.last_name}`;
+}
+
+/**
+ * Carga todo lo necesario para evaluar la disponibilidad de varios miembros
+ * en un rango de fechas (3 consultas, sin importar cuántos miembros).
+ *
+ * @param {Array<number>} memberIds
+ * @param {Date} from - Primer día a evaluar
+ * @param {Date} to - Último día a evaluar
+ * @param {Object} options - { excludeEventIds: [], transaction, timeZone: zona de la iglesia }
+ * @returns {Map} memberId → { member, blackouts, weekdays, max, monthly: Map 'YYYY-MM' → cultos, timeZone }
+ */
+async function loadAvailability(memberIds, from, to, { excludeEventIds = [], transaction, timeZone } = {}) {
+  const result = new Map();
+  const ids = [...new Set(memberIds.filter(Boolean))];
+  if (ids.length === 0) return result;
+
+  const fromKey = toDateKey(from, timeZone);
+  const toKey = toDateKey(to, timeZone);
+
+  const members = await Member.findAll({
+    where: { id: { [Op.in]: ids } },
+    attributes: ['id', 'first_name', 'last_name', 'preferred_weekdays', 'max_assignments_per_month'],
+    transaction,
+  });
+  members.forEach((member) => {
+    result.set(member.id, {
+      member,
+      blackouts: [],
+      weekdays: member.preferred_weekdays || [],
+      max: member.max_assignments_per_month || null,
+      monthly: new Map(),
+      timeZone,
+    });
+  });
+
+  const blackouts = await MemberBlackout.findAll({
+    where: {
+      member_id: { [Op.in]: ids },
+      start_date: { [Op.lte]: toKey },
+      end_date: { [Op.gte]: fromKey },
+    },
+    transaction,
+  });
+  blackouts.forEach((b) => {
+    const info = result.get(b.member_id);
+    if (info) info.blackouts.push({ from: b.start_date, to: b.end_date, reason: b.reason });
+  });
+
+  // Cultos ya asignados en los meses del rango (solo si alguien tiene tope)
+  const withMax = members.filter((m) => m.max_assignments_per_month).map((m) => m.id);
+  if (withMax.length > 0) {
+    const [monthStart] = monthRange(Number(fromKey.slice(0, 4)), Number(fromKey.slice(5, 7)), timeZone);
+    const [, monthEnd] = monthRange(Number(toKey.slice(0, 4)), Number(toKey.slice(5, 7)), timeZone);
+    const eventWhere = {
+      event_type: 'Culto',
+      start_date: { [Op.between]: [monthStart, monthEnd] },
+    };
+    if (excludeEventIds.length > 0) eventWhere.id = { [Op.notIn]: excludeEventIds };
+
+    const assignments = await EventRoleAssignment.findAll({
+      where: { member_id: { [Op.in]: withMax } },
+      attributes: ['event_id', 'member_id'],
+      include: [{ model: Event, as: 'event', attributes: ['id', 'start_date'], where: eventWhere, required: true }],
+      transaction,
+    });
+
+    // Un miembro con dos roles en el mismo culto cuenta una sola vez
+    const counted = new Set();
+    assignments.forEach((a) => {
+      const seenKey = `${a.member_id}|${a.event_id}`;
+      if (counted.has(seenKey)) return;
+      counted.add(seenKey);
+      const info = result.get(a.member_id);
+      if (!info) return;
+      const key = monthKey(a.event.start_date, timeZone);
+      info.monthly.set(key, (info.monthly.get(key) || 0) + 1);
+    });
+  }
+
+  return result;
+}
+
+/** Devuelve el rango bloqueado que cubre el día, o null */
+function findBlackout(info, dayKey) {
+  return info.blackouts.find((b) => dayKey >= b.from && dayKey <= b.to) || null;
+}
+
+/**
+ * Evalúa a un miembro para un día.
+ *
+ * @param {Object} info - Entrada de loadAvailability
+ * @param {Date} date - Inicio del culto
+ * @param {number} extra - Cultos adicionales en ese mes que se están asignando ahora
+ * @returns {Object} { errors: [], warnings: [] }
+ */
+function evaluateMember(info, date, extra = 1) {
+  const dayKey = toDateKey(date, info.timeZone);
+  const name = fullName(info.member);
+  const errors = [];
+  const warnings = [];
+
+  const blackout = findBlackout(info, dayKey);
+  if (blackout) {
+    errors.push(`${name} no está disponible el ${dayKey}${blackout.reason ? ` (${blackout.reason})` : ''}.`);
+  }
+
+  const { weekday } = zonedParts(date, info.timeZone);
+  if (info.weekdays.length > 0 && !info.weekdays.includes(weekday)) {
+    const preferred = info.weekdays.map((d) => WEEKDAY_NAMES[d]).join(', ');
+    warnings.push(`${name} prefiere servir: ${preferred} (el ${dayKey} es ${WEEKDAY_NAMES[weekday]}).`);
+  }
+
+  if (info.max) {
+    const month = monthKey(dayKey);
+    const total = (info.monthly.get(month) || 0) + extra;
+    if (total > info.max) {
+      warnings.push(`${name} supera su máximo de ${info.max} culto(s) en ${month} (tendría ${total}).`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Valida un conjunto de asignaciones de roles de culto.
+ *
+ * @param {Array} assignments - [{ member_id, label: nombre del rol, start_date }]
+ * @param {Object} options - { excludeEventIds, transaction, timeZone }
+ * @returns {Object} { errors: [mensajes], warnings: [mensajes] }
+ */
+async function checkRoleAssignments(assignments, options = {}) {
+  const valid = assignments.filter((a) => a.member_id && a.start_date);
+  if (valid.length === 0) return { errors: [], warnings: [] };
+
+  const dates = valid.map((a) => new Date(a.start_date));
+  const from = new Date(Math.min(...dates));
+  const to = new Date(Math.max(...dates));
+  const availability = await loadAvailability(valid.map((a) => a.member_id), from, to, options);
+
+  // Cultos nuevos por miembro y mes (días distintos), para el tope mensual
+  const { timeZone } = options;
+  const newByMonth = new Map();
+  valid.forEach((a) => {
+    const key = `${a.member_id}|${monthKey(new Date(a.start_date), timeZone)}`;
+    if (!newByMonth.has(key)) newByMonth.set(key, new Set());
+    newByMonth.get(key).add(toDateKey(a.start_date, timeZone));
+  });
+
+  const errors = new Set();
+  const warnings = new Set();
+  valid.forEach((a) => {
+    const info = availability.get(a.member_id);
+    if (!info) return;
+    const extra = newByMonth.get(`${a.member_id}|${monthKey(new Date(a.start_date), timeZone)}`).size;
+    const result = evaluateMember(info, a.start_date, extra);
+    const prefix = a.label ? `${a.label}: ` : '';
+    result.errors.forEach((msg) => errors.add(`${prefix}${msg}`));
+    result.warnings.forEach((msg) => warnings.add(`${prefix}${msg}`));
+  });
+
+  return { errors: [...errors], warnings: [...warnings] };
+}
+
+module.exports = {
+  WEEKDAY_NAMES,
+  monthKey,
+  loadAvailability,
+  findBlackout,
+  evaluateMember,
+  checkRoleAssignments,
+};
@@ -0,0 +1,251 @@
+/**
+ * memberTimeline.js - Historia del miembro y reporte de crecimiento
+ *
+ * HITOS (member_timeline_events.event_type):
+ * - joined:          alta del miembro (to_value = tipo con que entró)
+ * - type_change:     Visitante → Candidato a bautismo → Miembro, etc.
+ * - baptism:         pasa a bautizado (fecha = baptism_date o la del cambio)
+ * - position_change: cambio de cargo ministerial (church_role)
+ * - transfer:        cambio de iglesia (church_id = destino, from_church_id = origen)
+ * - inactivated / reactivated / deceased: cambios de Member.status
+ *
+ * Los hitos se detectan comparando el miembro antes y después de guardarlo
+ * (timelineSnapshot + recordTimeline), así el controller no tiene que
+ * acordarse de registrar cada caso. Nunca se editan ni se borran.
+ *
+ * REPORTE DE CRECIMIENTO (growthReport): altas, nuevos miembros, bautismos,
+ * traslados, inactivaciones y fallecimientos por mes de un año, sobre la
+ * fecha del hecho (event_date), no la del registro.
+ */
+const { Op } = require('sequelize');
+const {
+  sequelize, Church, Member, MemberTimelineEvent, User,
+} = require('../models');
+const { resolveTimezone, localDateKey } = require('./timezone');
+
+const TIMELINE_EVENTS = {
+  joined: 'Alta',
+  type_change: 'Cambio de tipo',
+  baptism: 'Bautismo',
+  position_change: 'Cambio de cargo',
+  transfer: 'Traslado de iglesia',
+  inactivated: 'Inactivación',
+  reactivated: 'Reactivación',
+  deceased: 'Fallecimiento',
+};
+
+const MEMBER_STATUSES = {
+  active: 'Activo',
+  inactive: 'Inactivo',
+  deceased: 'Fallecido',
+};
+
+/** Hito que corresponde al pasar a cada estado */
+const STATUS_EVENTS = { active: 'reactivated', inactive: 'inactivated', deceased: 'deceased' };
+
+/** Campos de Member que generan hitos */
+const TRACKED_FIELDS = ['church_id', 'member_type', 'baptized', 'baptism_date', 'church_role', 'status', 'status_date'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDateKey(value) {
+  return typeof value === 'string' && DATE_RE.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+/** Copia de los campos seguidos del miembro (antes de actualizarlo) */
+function timelineSnapshot(member) {
+  return TRACKED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: member[field] ?? null }), {});
+}
+
+/** Hoy en la zona horaria de la iglesia ('YYYY-MM-DD') */
+async function churchToday(churchId) {
+  const church = churchId ? await Church.findByPk(churchId, { attributes: ['id', 'timezone'] }) : null;
+  return localDateKey(new Date(), resolveTimezone(church?.timezone));
+}
+
+/**
+ * Hitos entre dos estados del miembro.
+ * @param {Object|null} before - timelineSnapshot() previo (null = alta)
+ * @param {Object} after - Miembro guardado
+ * @param {Object} context - { date: fecha de los cambios, churchNames: { id: nombre } }
+ * @returns {Array} Filas para member_timeline_events (sin member/usuario)
+ */
+function diffTimeline(before, after, { date, churchNames = {} }) {
+  const rows = [];
+  const push = (eventType, fields = {}) => rows.push({
+    event_type: eventType, event_date: date, from_value: null, to_value: null, from_church_id: null, ...fields,
+  });
+
+  if (!before) {
+    push('joined', { to_value: after.member_type });
+    if (after.baptized) push('baptism', { event_date: after.baptism_date || date });
+    if (after.church_role) push('position_change', { to_value: after.church_role });
+    return rows;
+  }
+
+  if (before.church_id !== after.church_id) {
+    push('transfer', {
+      from_value: churchNames[before.church_id] || (before.church_id ? `Iglesia #${before.church_id}` : null),
+      to_value: churchNames[after.church_id] || `Iglesia #${after.church_id}`,
+      from_church_id: before.church_id,
+    });
+  }
+  if (before.member_type !== after.member_type) {
+    push('type_change', { from_value: before.member_type, to_value: after.member_type });
+  }
+  if (!before.baptized && after.baptized) {
+    push('baptism', { event_date: after.baptism_date || date });
+  }
+  if ((before.church_role || null) !== (after.church_role || null)) {
+    push('position_change', { from_value: before.church_role, to_value: after.church_role });
+  }
+  if (before.status !== after.status) {
+    push(STATUS_EVENTS[after.status], {
+      event_date: after.status_date || date,
+      from_value: MEMBER_STATUSES[before.status] || before.status,
+      to_value: MEMBER_STATUSES[after.status] || after.status,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Registra los hitos del miembro desde `before` hasta su estado actual.
+ * @param {Object|null} before - timelineSnapshot() previo (null = alta)
+ * @param {Object} member - Miembro ya guardado
+ * @param {Object} options - { userId, date ('YYYY-MM-DD', default hoy en la iglesia), note, transaction }
+ * @returns {Promise<Array>} Hitos creados
+ */
+async function recordTimeline(before, member, options = {}) {
+  const date = isValidDateKey(options.date) ? options.date : await churchToday(member.church_id);
+
+  const churchNames = {};
+  if (before && before.church_id !== member.church_id) {
+    const churches = await Church.findAll({
+      where: { id: { [Op.in]: [before.church_id, member.church_id].filter(Boolean) } },
+      attributes: ['id', 'name'],
+    });
+    churches.forEach((c) => { churchNames[c.id] = c.name; });
+  }
+
+  const rows = diffTimeline(before, member, { date, churchNames });
+  if (rows.length === 0) return [];
+
+  return MemberTimelineEvent.bulkCreate(rows.map((row) => ({
+    ...row,
+    church_id: member.church_id,
+    member_id: member.id,
+    note: options.note ? String(options.note).slice(0, 255) : null,
+    recorded_by: options.userId || null,
+  })), { transaction: options.transaction });
+}
+
+/** Historia del miembro, del hito más reciente al más antiguo */
+function getTimeline(memberId) {
+  return MemberTimelineEvent.findAll({
+    where: { member_id: memberId },
+    include: [{ model: User, as: 'recorder', attributes: ['id', 'full_name'] }],
+    order: [['event_date', 'DESC'], ['id', 'DESC']],
+  });
+}
+
+const emptyMonth = (month) => ({
+  month,
+  joined: 0,
+  new_members: 0,
+  baptisms: 0,
+  transfers_in: 0,
+  transfers_out: 0,
+  reactivated: 0,
+  inactivated: 0,
+  deceased: 0,
+  net: 0,
+});
+
+/**
+ * Reporte de crecimiento de una iglesia en un año.
+ * - joined: altas (cualquier tipo); new_members: altas como Miembro + cambios a Miembro
+ * - net: altas + traslados recibidos + reactivaciones − traslados enviados − inactivaciones − fallecimientos
+ * @returns {Promise<Object>} { year, months: [12], totals, current: { active, inactive, deceased, by_type } }
+ */
+async function growthReport(churchId, year) {
+  const range = { [Op.between]: [`${year}-01-01`, `${year}-12-31`] };
+  const month = sequelize.literal('EXTRACT(MONTH FROM "event_date")::int');
+
+  const [incoming, outgoing, statusCounts, typeCounts] = await Promise.all([
+    MemberTimelineEvent.findAll({
+      where: { church_id: churchId, event_date: range, event_type: { [Op.ne]: 'position_change' } },
+      attributes: [[month, 'month'], 'event_type', 'to_value', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+      group: [month, 'event_type', 'to_value'],
+      raw: true,
+    }),
+    MemberTimelineEvent.findAll({
+      where: { from_church_id: churchId, event_type: 'transfer', event_date: range },
+      attributes: [[month, 'month'], [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+      group: [month],
+      raw: true,
+    }),
+    Member.findAll({
+      where: { church_id: churchId },
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+      group: ['status'],
+      raw: true,
+    }),
+    Member.findAll({
+      where: { church_id: churchId, status: 'active' },
+      attributes: ['member_type', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+      group: ['member_type'],
+      raw: true,
+    }),
+  ]);
+
+  const months = Array.from({ length: 12 }, (_, i) => emptyMonth(i + 1));
+  incoming.forEach((row) => {
+    const m = months[Number(row.month) - 1];
+    const total = Number(row.total);
+    switch (row.event_type) {
+      case 'joined':
+        m.joined += total;
+        if (row.to_value === 'Miembro') m.new_members += total;
+        break;
+      case 'type_change':
+        if (row.to_value === 'Miembro') m.new_members += total;
+        break;
+      case 'baptism': m.baptisms += total; break;
+      case 'transfer': m.transfers_in += total; break;
+      case 'reactivated': m.reactivated += total; break;
+      case 'inactivated': m.inactivated += total; break;
+      case 'deceased': m.deceased += total; break;
+      default: break;
+    }
+  });
+  outgoing.forEach((row) => { months[Number(row.month) - 1].transfers_out += Number(row.total); });
+
+  months.forEach((m) => {
+    m.net = m.joined + m.transfers_in + m.reactivated - m.transfers_out - m.inactivated - m.deceased;
+  });
+
+  const totals = months.reduce((acc, m) => {
+    Object.keys(acc).forEach((key) => { acc[key] += m[key]; });
+    return acc;
+  }, (({ month: _, ...rest }) => rest)(emptyMonth(0)));
+
+  const current = { active: 0, inactive: 0, deceased: 0, by_type: {} };
+  statusCounts.forEach((row) => { current[row.status] = Number(row.total); });
+  typeCounts.forEach((row) => { current.by_type[row.member_type] = Number(row.total); });
+
+  return {
+    year, months, totals, current,
+  };
+}
+
+module.exports = {
+  TIMELINE_EVENTS,
+  MEMBER_STATUSES,
+  isValidDateKey,
+  timelineSnapshot,
+  churchToday,
+  recordTimeline,
+  getTimeline,
+  growthReport,
+};
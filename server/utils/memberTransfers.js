@@ -0,0 +1,93 @@
+/**
+ * memberTransfers.js - Traslado de un miembro a otra iglesia
+ *
+ * Al aceptar la solicitud (applyTransfer) el mismo registro de Member
+ * cambia de church_id, así se conservan su historia, asistencias,
+ * bautismo, consentimientos y roles de culto pasados. Lo que pertenece a
+ * la iglesia de origen se suelta:
+ * - cargo ministerial (position_id / church_role): los cargos son por iglesia
+ * - hogar: los hogares son por iglesia (conserva dirección y teléfono)
+ * - roles de culto FUTUROS en la iglesia de origen (los pasados quedan)
+ * Las fechas bloqueadas pasan a la iglesia de destino. El traslado queda
+ * en la historia del miembro (hito 'transfer' con from_church_id).
+ */
+const { Op } = require('sequelize');
+const {
+  MemberTransfer, MemberBlackout, EventRoleAssignment, Event,
+} = require('../models');
+const { timelineSnapshot, recordTimeline } = require('./memberTimeline');
+const { recalculateChurchRoleCounts, recalculateMembershipCount } = require('./churchStats');
+
+const TRANSFER_STATUSES = {
+  pending: 'Pendiente',
+  accepted: 'Aceptado',
+  rejected: 'Rechazado',
+  cancelled: 'Cancelado',
+};
+
+/**
+ * Mueve el miembro a la iglesia de destino de la solicitud.
+ * @param {Object} member - Instancia de Member (iglesia de origen)
+ * @param {Object} transfer - MemberTransfer aceptado (to_church_id, transfer_date)
+ * @param {Object} options - { userId, note, transaction }
+ * @returns {Promise<{ releasedAssignments: number }>}
+ */
+async function applyTransfer(member, transfer, { userId, note, transaction } = {}) {
+  const before = timelineSnapshot(member);
+
+  const futureEvents = await Event.findAll({
+    where: { church_id: transfer.from_church_id, start_date: { [Op.gte]: new Date() } },
+    attributes: ['id'],
+    transaction,
+  });
+  const releasedAssignments = futureEvents.length
+    ? await EventRoleAssignment.destroy({
+      where: { member_id: member.id, event_id: { [Op.in]: futureEvents.map((e) => e.id) } },
+      transaction,
+    })
+    : 0;
+
+  await member.update({
+    church_id: transfer.to_church_id,
+    position_id: null,
+    church_role: null,
+    household_id: null,
+    household_relationship: null,
+    inherit_household_address: false,
+    inherit_household_phone: false,
+  }, { transaction });
+  await MemberBlackout.update(
+    { church_id: transfer.to_church_id },
+    { where: { member_id: member.id }, transaction },
+  );
+
+  await recordTimeline(before, member, {
+    userId, date: transfer.transfer_date, note: note || `Solicitud de traslado #${transfer.id}`, transaction,
+  });
+
+  return { releasedAssignments };
+}
+
+/** Recalcula membresía y cargos de las dos iglesias del traslado */
+async function recalculateTransferStats(churches) {
+  for (const church of churches.filter(Boolean)) {
+    try {
+      await recalculateMembershipCount(church);
+      await recalculateChurchRoleCounts(church);
+    } catch (statsErr) {
+      console.error('[STATS] Error recalculando stats:', statsErr.message);
+    }
+  }
+}
+
+/** ¿El miembro ya tiene una solicitud pendiente? */
+async function hasPendingTransfer(memberId) {
+  return (await MemberTransfer.count({ where: { member_id: memberId, status: 'pending' } })) > 0;
+}
+
+module.exports = {
+  TRANSFER_STATUSES,
+  applyTransfer,
+  recalculateTransferStats,
+  hasPendingTransfer,
+};
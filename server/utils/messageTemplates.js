@@ -0,0 +1,303 @@
+/**
+ * messageTemplates.js - Plantillas de mensajes (tipos, variables, render)
+ *
+ * Cada iglesia puede personalizar sus plantillas (NotificationTemplate);
+ * si no lo hizo, se usan las de este archivo (getDefaultTemplate).
+ *
+ * VARIABLES: {{nombre}}, {{rol}}, {{fecha}}... según el tipo (PLACEHOLDERS).
+ * Una línea cuya variable queda vacía se omite completa (ej: la línea
+ * "Cumples {{edad}} años" no aparece si el miembro no tiene fecha de nacimiento).
+ *
+ * WHATSAPP: Meta solo acepta templates aprobados con parámetros posicionales
+ * {{1}}, {{2}}... meta_params define qué variable va en cada posición.
+ */
+
+const { NotificationTemplate } = require('../models');
+
+const TEMPLATE_KINDS = ['reminder', 'today', 'birthday', 'anniversary', 'announcement'];
+
+const KIND_LABELS = {
+  reminder: 'Recordatorio de rol (día anterior)',
+  today: 'Recordatorio de rol (mismo día)',
+  birthday: 'Cumpleaños',
+  anniversary: 'Aniversario (bautismo o boda)',
+  announcement: 'Anuncio general',
+};
+
+const COMMON_PLACEHOLDERS = {
+  nombre: 'Nombre del miembro',
+  apellido: 'Apellido del miembro',
+  iglesia: 'Nombre de la iglesia',
+};
+
+const ROLE_PLACEHOLDERS = {
+  cuando: '"mañana" u "hoy"',
+  rol: 'Rol asignado (texto del recordatorio)',
+  evento: 'Título del culto',
+  fecha: 'Fecha y hora completas',
+  hora: 'Hora del culto',
+  lugar: 'Lugar del culto (o nombre de la iglesia)',
+  enlace: 'Enlace para confirmar o declinar',
+};
+
+/** Variables disponibles por tipo de plantilla: { clave: descripción } */
+const PLACEHOLDERS = {
+  reminder: { ...COMMON_PLACEHOLDERS, ...ROLE_PLACEHOLDERS },
+  today: { ...COMMON_PLACEHOLDERS, ...ROLE_PLACEHOLDERS },
+  birthday: {
+    ...COMMON_PLACEHOLDERS,
+    edad: 'Años que cumple (vacío si no tiene fecha de nacimiento)',
+    fecha: 'Fecha del cumpleaños',
+  },
+  anniversary: {
+    ...COMMON_PLACEHOLDERS,
+    aniversario: '"de bautismo" o "de bodas"',
+    anios: 'Años que se cumplen (ej: "10 años")',
+    fecha: 'Fecha del aniversario',
+  },
+  announcement: {
+    ...COMMON_PLACEHOLDERS,
+    titulo: 'Título del anuncio',
+    mensaje: 'Texto del anuncio',
+    fecha: 'Fecha del anuncio',
+  },
+};
+
+/** Datos de ejemplo para la vista previa de cada tipo */
+function getSampleData(kind, churchName = 'Iglesia Central') {
+  const common = { nombre: 'Daniel', apellido: 'Pérez', iglesia: churchName };
+  const samples = {
+    reminder: {
+      cuando: 'mañana',
+      rol: 'Predicar',
+      evento: 'Culto de Domingo',
+      fecha: 'Domingo 1 de Marzo, 2026 a las 9:30 AM',
+      hora: '9:30 AM',
+      lugar: 'Templo principal',
+      enlace: 'https://ejemplo.org/confirmar/ab12cd34',
+    },
+    birthday: { edad: '35', fecha: '15 de Marzo' },
+    anniversary: { aniversario: 'de bautismo', anios: '10 años', fecha: '15 de Marzo' },
+    announcement: {
+      titulo: 'Ayuno congregacional',
+      mensaje: 'Este sábado tendremos ayuno congregacional de 6:00 AM a 12:00 MD. ¡Te esperamos!',
+      fecha: '1 de Marzo, 2026',
+    },
+  };
+  samples.today = { ...samples.reminder, cuando: 'hoy' };
+  return { ...common, ...(samples[kind] || {}) };
+}
+
+const ROLE_META_PARAMS = ['nombre', 'cuando', 'rol', 'evento', 'fecha', 'lugar', 'enlace'];
+
+/**
+ * Plantillas por defecto (las que se usaban antes de poder editarlas).
+ * Se arman en cada llamada para respetar las variables de entorno de Meta.
+ */
+function getDefaultTemplate(kind) {
+  const roleMeta = {
+    meta_template_name: process.env.WHATSAPP_TEMPLATE_NAME || 'culto_recordatorio',
+    meta_template_lang: process.env.WHATSAPP_TEMPLATE_LANG || 'es',
+    // Templates viejos (6 parámetros) no llevan el enlace de confirmación
+    meta_params: process.env.WHATSAPP_TEMPLATE_CONFIRM_LINK === 'false'
+      ? ROLE_META_PARAMS.slice(0, 6)
+      : ROLE_META_PARAMS,
+  };
+
+  const defaults = {
+    reminder: {
+      subject: 'Recordatorio de servicio: {{evento}} - {{iglesia}}',
+      body: [
+        '🙏 Recordatorio de Servicio - {{iglesia}}',
+        '',
+        '¡Hola, {{nombre}}! 👋',
+        '',
+        'Te recordamos que mañana te corresponde {{rol}} en el culto:',
+        '',
+        '📋 Evento: {{evento}}',
+        '📅 Fecha: {{fecha}}',
+        '📍 Lugar: {{lugar}}',
+        '',
+        'Por favor, prepárate con anticipación y llega puntual. 🕐',
+        '✅ Confirma tu asistencia aquí: {{enlace}}',
+        '',
+        '¡Que Dios te bendiga! 🙌',
+      ].join('\n'),
+      sms_body: '{{iglesia}}: Hola {{nombre}}, {{cuando}} te corresponde {{rol}} en {{evento}} ({{fecha}}). Confirma: {{enlace}}',
+      ...roleMeta,
+    },
+    today: {
+      subject: '¡Hoy es el día! {{evento}} - {{iglesia}}',
+      body: [
+        '⛪ ¡Hoy es el día! - {{iglesia}}',
+        '',
+        '¡Hola, {{nombre}}! 👋',
+        '',
+        'Te recordamos que hoy te corresponde {{rol}} en el culto:',
+        '',
+        '📋 Evento: {{evento}}',
+        '📅 Fecha: {{fecha}}',
+        '📍 Lugar: {{lugar}}',
+        '✅ Confirma tu asistencia aquí: {{enlace}}',
+        '',
+        '¡Te esperamos! Que el Señor use tu vida poderosamente hoy. 🔥',
+      ].join('\n'),
+      sms_body: '{{iglesia}}: Hola {{nombre}}, {{cuando}} te corresponde {{rol}} en {{evento}} ({{fecha}}). Confirma: {{enlace}}',
+      ...roleMeta,
+    },
+    birthday: {
+      subject: '¡Feliz cumpleaños, {{nombre}}! - {{iglesia}}',
+      body: [
+        '🎂 ¡Feliz cumpleaños, {{nombre}}! 🎉',
+        '',
+        'Toda la familia de {{iglesia}} celebra contigo este día.',
+        '"Jehová te bendiga, y te guarde; Jehová haga resplandecer su rostro sobre ti." (Números 6:24-25)',
+        '',
+        '¡Dios te bendiga! 🙌',
+      ].join('\n'),
+      sms_body: '{{iglesia}}: ¡Feliz cumpleaños, {{nombre}}! Que el Señor te bendiga y te guarde.',
+      meta_template_name: process.env.WHATSAPP_TEMPLATE_BIRTHDAY || 'cumpleanos_saludo',
+      meta_template_lang: process.env.WHATSAPP_TEMPLATE_LANG || 'es',
+      meta_params: ['nombre', 'iglesia'],
+    },
+    anniversary: {
+      subject: '¡Feliz aniversario {{aniversario}}, {{nombre}}! - {{iglesia}}',
+      body: [
+        '🎉 ¡Feliz aniversario {{aniversario}}, {{nombre}}!',
+        '',
+        'Hoy celebramos contigo {{anios}} de bendición. Toda la familia de {{iglesia}} da gracias a Dios.',
+        '"Grandes cosas ha hecho Jehová con nosotros; estaremos alegres." (Salmos 126:3)',
+        '',
+        '¡Dios te bendiga! 🙌',
+      ].join('\n'),
+      sms_body: '{{iglesia}}: ¡Feliz aniversario {{aniversario}}, {{nombre}}! {{anios}} de bendición.',
+      meta_template_name: process.env.WHATSAPP_TEMPLATE_ANNIVERSARY || 'aniversario_saludo',
+      meta_template_lang: process.env.WHATSAPP_TEMPLATE_LANG || 'es',
+      meta_params: ['nombre', 'aniversario', 'anios', 'iglesia'],
+    },
+    announcement: {
+      subject: '{{titulo}} - {{iglesia}}',
+      body: [
+        '📢 {{titulo}}',
+        '',
+        'Hola, {{nombre}}:',
+        '',
+        '{{mensaje}}',
+        '',
+        '{{iglesia}}',
+      ].join('\n'),
+      sms_body: '{{iglesia}}: {{titulo}}. {{mensaje}}',
+      meta_template_name: process.env.WHATSAPP_TEMPLATE_ANNOUNCEMENT || 'anuncio_general',
+      meta_template_lang: process.env.WHATSAPP_TEMPLATE_LANG || 'es',
+      meta_params: ['nombre', 'titulo', 'mensaje', 'iglesia'],
+    },
+  };
+
+  return defaults[kind] ? { kind, ...defaults[kind] } : null;
+}
+
+const PLACEHOLDER_RE = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+
+/** Variables usadas en un texto: ['nombre', 'rol'] */
+function findPlaceholders(text) {
+  return [...String(text || '').matchAll(PLACEHOLDER_RE)].map((m) => m[1]);
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Reemplaza las variables de un texto. Las líneas con alguna variable
+ * vacía se omiten; las variables desconocidas se dejan tal cual.
+ */
+function renderText(text, vars) {
+  if (!text) return '';
+  return text.split('\n')
+    .filter((line) => !findPlaceholders(line).some((key) => key in vars && isBlank(vars[key])))
+    .map((line) => line.replace(PLACEHOLDER_RE, (match, key) => (key in vars ? String(vars[key]) : match)))
+    .join('\n');
+}
+
+/**
+ * Arma el mensaje de una plantilla para todos los canales.
+ * @returns {Object} { subject, text, sms, template: { name, language, params } }
+ */
+function renderTemplate(template, vars) {
+  const text = renderText(template.body, vars);
+  return {
+    subject: renderText(template.subject, vars),
+    text,
+    sms: template.sms_body ? renderText(template.sms_body, vars) : text,
+    template: {
+      name: template.meta_template_name,
+      language: template.meta_template_lang || 'es',
+      // Meta rechaza parámetros vacíos
+      params: (template.meta_params || []).map((key) => (isBlank(vars[key]) ? '-' : String(vars[key]))),
+    },
+  };
+}
+
+/**
+ * Plantilla efectiva de una iglesia: la personalizada (si existe) sobre
+ * la plantilla por defecto. is_custom indica si la iglesia la editó.
+ */
+async function resolveTemplate(churchId, kind) {
+  const defaults = getDefaultTemplate(kind);
+  if (!defaults) throw new Error(`Tipo de plantilla desconocido: ${kind}`);
+
+  const custom = churchId
+    ? await NotificationTemplate.findOne({ where: { church_id: churchId, kind } })
+    : null;
+  if (!custom) return { ...defaults, is_custom: false };
+
+  const effective = { ...defaults, is_custom: true, id: custom.id, updatedAt: custom.updatedAt };
+  ['subject', 'body', 'sms_body', 'meta_template_name', 'meta_template_lang'].forEach((field) => {
+    if (!isBlank(custom[field])) effective[field] = custom[field];
+  });
+  if (custom.meta_params?.length) effective.meta_params = custom.meta_params;
+  return effective;
+}
+
+/**
+ * Valida una plantilla antes de guardarla o previsualizarla.
+ * @returns {Array<string>} Errores (vacío = válida)
+ */
+function validateTemplate(kind, data) {
+  const errors = [];
+  const allowed = PLACEHOLDERS[kind];
+  if (!allowed) return [`Tipo de plantilla desconocido: ${kind}`];
+
+  if (isBlank(data.body)) errors.push('El texto del mensaje es obligatorio.');
+
+  const fields = { subject: 'asunto', body: 'mensaje', sms_body: 'SMS' };
+  Object.entries(fields).forEach(([field, label]) => {
+    const unknown = [...new Set(findPlaceholders(data[field]).filter((key) => !(key in allowed)))];
+    if (unknown.length) {
+      errors.push(`Variables desconocidas en ${label}: ${unknown.map((k) => `{{${k}}}`).join(', ')}`);
+    }
+  });
+
+  if (data.meta_params !== undefined) {
+    if (!Array.isArray(data.meta_params)) {
+      errors.push('meta_params debe ser una lista de variables.');
+    } else {
+      const unknown = data.meta_params.filter((key) => !(key in allowed));
+      if (unknown.length) errors.push(`Parámetros de Meta desconocidos: ${unknown.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  TEMPLATE_KINDS,
+  KIND_LABELS,
+  PLACEHOLDERS,
+  getSampleData,
+  getDefaultTemplate,
+  findPlaceholders,
+  renderText,
+  renderTemplate,
+  resolveTemplate,
+  validateTemplate,
+};
@@ -0,0 +1,139 @@
+/**
+ * notificationChannels.js - Canales de notificación (WhatsApp, correo, SMS)
+ *
+ * Cada canal sabe:
+ * - si está configurado en el servidor (variables de entorno / transporte)
+ * - cuál es la dirección del miembro (teléfono normalizado o email)
+ * - cómo enviar un mensaje ya armado (template de WhatsApp, correo o texto SMS)
+ *
+ * ORDEN DE ENVÍO:
+ * - Member.notification_channels: lista ordenada elegida por el miembro
+ *   (el primero es el canal preferido, los siguientes son el respaldo).
+ *   Solo se usan los canales de la lista.
+ * - Vacía/null: orden por defecto NOTIFICATION_CHANNEL_ORDER
+ *   (default: whatsapp,email,sms).
+ * Si un canal no está configurado o el miembro no tiene esa dirección se
+ * pasa al siguiente; si el envío falla, también (ver notificationService.js).
+ *
+ * DESARROLLO: NOTIFICATION_TRANSPORT=console imprime los mensajes de todos
+ * los canales en la consola en vez de enviarlos (no necesita red ni cuentas).
+ */
+
+const { normalizePhone, sendWhatsAppTemplate, isWhatsAppConfigured } = require('./whatsappService');
+const { sendEmail, isEmailConfigured, getMailTransport } = require('./emailService');
+const { sendSms, isSmsConfigured, getSmsTransport } = require('./smsService');
+
+const CHANNELS = ['whatsapp', 'email', 'sms'];
+
+const CHANNEL_LABELS = {
+  whatsapp: 'WhatsApp',
+  email: 'Correo',
+  sms: 'SMS',
+};
+
+/**
+ * Limpia una lista de canales: solo canales conocidos, sin repetir, en orden.
+ * Acepta un array o un string separado por comas.
+ */
+function normalizeChannelList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const result = [];
+  list.forEach((item) => {
+    const channel = String(item).trim().toLowerCase();
+    if (CHANNELS.includes(channel) && !result.includes(channel)) result.push(channel);
+  });
+  return result;
+}
+
+/** Orden por defecto (NOTIFICATION_CHANNEL_ORDER o whatsapp → email → sms) */
+function getDefaultChannelOrder() {
+  const fromEnv = normalizeChannelList(process.env.NOTIFICATION_CHANNEL_ORDER);
+  return fromEnv.length ? fromEnv : [...CHANNELS];
+}
+
+/** Orden de canales a intentar para un miembro */
+function channelOrderFor(member) {
+  const own = normalizeChannelList(member?.notification_channels);
+  return own.length ? own : getDefaultChannelOrder();
+}
+
+/**
+ * Adaptadores de cada canal.
+ * send(recipient, message) → { success, messageId, error }
+ * message: { subject, text, sms, template: { name, language, params } }
+ */
+const ADAPTERS = {
+  whatsapp: {
+    isConfigured: isWhatsAppConfigured,
+    transport: () => process.env.WHATSAPP_TRANSPORT || process.env.NOTIFICATION_TRANSPORT || 'cloud_api',
+    recipient: (member, church) => (member.phone ? normalizePhone(member.phone, church?.default_country_code) : null),
+    missing: 'Sin teléfono registrado',
+    async send(recipient, message) {
+      const { name, language, params } = message.template;
+      // "+" → el número ya trae código de país (no se vuelve a anteponer)
+      const result = await sendWhatsAppTemplate(`+${recipient}`, name, language, params);
+      return {
+        success: result.success,
+        messageId: result.data?.messages?.[0]?.id || null,
+        error: result.error || null,
+      };
+    },
+  },
+  email: {
+    isConfigured: isEmailConfigured,
+    transport: getMailTransport,
+    recipient: (member) => (member.email ? member.email.trim() : null),
+    missing: 'Sin correo registrado',
+    send: (recipient, message) => sendEmail({ to: recipient, subject: message.subject, text: message.text }),
+  },
+  sms: {
+    isConfigured: isSmsConfigured,
+    transport: getSmsTransport,
+    recipient: (member, church) => (member.phone ? normalizePhone(member.phone, church?.default_country_code) : null),
+    missing: 'Sin teléfono registrado',
+    send: (recipient, message) => sendSms(recipient, message.sms),
+  },
+};
+
+function getChannel(name) {
+  return ADAPTERS[name] || null;
+}
+
+/**
+ * Primer canal por el que se le puede enviar al miembro (configurado y con
+ * dirección), sin enviar nada. null = ninguno. Lo usa la vista previa de anuncios.
+ * allowed(name): filtro adicional (ej: consentimiento del miembro).
+ */
+function firstAvailableChannel(member, church, allowed = () => true) {
+  return channelOrderFor(member).find((name) => {
+    const channel = ADAPTERS[name];
+    return allowed(name) && channel.isConfigured() && channel.recipient(member, church);
+  }) || null;
+}
+
+/** Estado de los canales para GET /api/notifications/status */
+function getChannelsStatus() {
+  return CHANNELS.map((name) => ({
+    name,
+    label: CHANNEL_LABELS[name],
+    configured: ADAPTERS[name].isConfigured(),
+    transport: ADAPTERS[name].transport(),
+  }));
+}
+
+/** ¿Hay al menos un canal listo para enviar? */
+function anyChannelConfigured() {
+  return CHANNELS.some((name) => ADAPTERS[name].isConfigured());
+}
+
+module.exports = {
+  CHANNELS,
+  CHANNEL_LABELS,
+  normalizeChannelList,
+  getDefaultChannelOrder,
+  channelOrderFor,
+  getChannel,
+  firstAvailableChannel,
+  getChannelsStatus,
+  anyChannelConfigured,
+};
@@ -1,21 +1,41 @@
 /**
  * notificationScheduler.js - Programador de notificaciones automáticas
- * 
+ *
  * FUNCIONAMIENTO:
- * - Un cron job se ejecuta cada hora en punto (minuto 0).
- * - Para cada iglesia, compara la hora actual con las horas configuradas:
+ * - Un cron job se ejecuta cada 15 minutos, y una vez al arrancar el servidor
+ *   (para recuperar lo que no se envió mientras estaba caído).
+ * - Para cada iglesia, revisa las horas configuradas en SU zona horaria:
  *   1. notification_day_before_hour → Envía recordatorio para cultos de MAÑANA
  *   2. notification_same_day_hour   → Envía recordatorio para cultos de HOY
+ *   Si la hora configurada ya pasó hoy y el lote no se envió, se envía
+ *   (recuperación de horas perdidas, solo dentro del mismo día).
+ *   3. notification_greeting_hour   → Envía saludos de cumpleaños y
+ *      aniversarios del día (ver greetingService.js)
  * - Las horas son configurables desde el módulo de Notificaciones (frontend).
  * - Si el campo es null, esa notificación queda desactivada para esa iglesia.
- * 
+ *
+ * UNA SOLA VEZ POR LOTE (varias instancias / reinicios):
+ * - Candado en BD (scheduler_locks): solo una instancia ejecuta la revisión.
+ * - notification_runs UNIQUE (church_id, culto_date, type): cada lote se
+ *   reclama con INSERT ... ON CONFLICT antes de enviar. Un lote fallido o
+ *   abandonado se reintenta sin repetir a quienes ya recibieron el mensaje.
+ *
+ * ANUNCIOS PROGRAMADOS: en cada revisión también se envían los anuncios
+ * masivos cuya hora llegó (ver broadcastService.js, se reclaman uno a uno).
+ *
  * REQUISITOS:
  * - npm install node-cron
- * - Variables de entorno: WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID
- * 
- * ZONA HORARIA: America/Panama (UTC-5)
+ * - Al menos un canal configurado (ver notificationChannels.js): WhatsApp
+ *   (WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID), correo (SMTP_HOST) o SMS
+ *   (SMS_GATEWAY_URL); o NOTIFICATION_TRANSPORT=console en desarrollo
+ *
+ * ZONA HORARIA: la de cada iglesia (Church.timezone, default America/Panama).
+ * Se revisa cada 15 minutos para cubrir zonas con desfase de media hora.
  */
 
+const os = require('os');
+const crypto = require('crypto');
+
 let cron;
 try {
   cron = require('node-cron');
@@ -25,14 +45,201 @@ try {
 }
 
 const { processRemindersForDate } = require('../controllers/notificationController');
+const { runDueBroadcasts } = require('./broadcastService');
+const { processGreetingsForDate } = require('./greetingService');
+const { anyChannelConfigured, getChannelsStatus } = require('./notificationChannels');
+const {
+  resolveTimezone, localDateKey, zonedParts, addDays,
+} = require('./timezone');
+
+const LOCK_NAME = 'notification_scheduler';
+/** El candado vence solo si la instancia se cae a mitad de la revisión */
+const LOCK_LEASE_MINUTES = 15;
+/** Un lote 'running' más viejo que esto se considera abandonado */
+const STALE_RUN_MINUTES = 30;
+/** Intentos máximos por lote (fallido o abandonado) */
+const MAX_RUN_ATTEMPTS = 3;
+
+/** Identifica a esta instancia del servidor (dueña del candado y de los lotes) */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/** Fecha y hora actuales en la zona de la iglesia: { dateKey: 'YYYY-MM-DD', hour } */
+function churchNow(church, now = new Date()) {
+  const timeZone = resolveTimezone(church.timezone);
+  return { dateKey: localDateKey(now, timeZone), hour: zonedParts(now, timeZone).hour };
+}
+
+/**
+ * Intenta tomar el candado del scheduler (UPSERT atómico).
+ * Lo obtiene si no existe, si venció o si ya era de esta instancia.
+ * @returns {Promise<boolean>}
+ */
+async function acquireLock() {
+  const { sequelize } = require('../models');
+  const [rows] = await sequelize.query(`
+    INSERT INTO scheduler_locks (name, owner, locked_until, created_at, updated_at)
+    VALUES (:name, :owner, NOW() + (:lease || ' minutes')::interval, NOW(), NOW())
+    ON CONFLICT (name) DO UPDATE
+      SET owner = EXCLUDED.owner, locked_until = EXCLUDED.locked_until, updated_at = NOW()
+      WHERE scheduler_locks.locked_until < NOW() OR scheduler_locks.owner = EXCLUDED.owner
+    RETURNING name
+  `, { replacements: { name: LOCK_NAME, owner: INSTANCE_ID, lease: String(LOCK_LEASE_MINUTES) } });
+  return rows.length > 0;
+}
+
+async function releaseLock() {
+  const { sequelize } = require('../models');
+  await sequelize.query(
+    'UPDATE scheduler_locks SET locked_until = NOW(), updated_at = NOW() WHERE name = :name AND owner = :owner',
+    { replacements: { name: LOCK_NAME, owner: INSTANCE_ID } },
+  );
+}
+
+/**
+ * Reclama el lote (iglesia, fecha de los cultos, tipo). Devuelve el id del
+ * lote si esta instancia debe enviarlo, o null si ya se completó, lo está
+ * enviando otra instancia o agotó los intentos.
+ */
+async function claimRun(churchId, cultoDate, type) {
+  const { sequelize } = require('../models');
+  const [rows] = await sequelize.query(`
+    INSERT INTO notification_runs
+      (church_id, culto_date, type, status, attempts, started_at, instance, created_at, updated_at)
+    VALUES (:churchId, :cultoDate, :type, 'running', 1, NOW(), :instance, NOW(), NOW())
+    ON CONFLICT (church_id, culto_date, type) DO UPDATE
+      SET status = 'running', attempts = notification_runs.attempts + 1, started_at = NOW(),
+          finished_at = NULL, error = NULL, instance = EXCLUDED.instance, updated_at = NOW()
+      WHERE notification_runs.attempts < :maxAttempts
+        AND (notification_runs.status = 'failed'
+          OR (notification_runs.status = 'running'
+            AND notification_runs.started_at < NOW() - (:stale || ' minutes')::interval))
+    RETURNING id, attempts
+  `, {
+    replacements: {
+      churchId, cultoDate, type, instance: INSTANCE_ID,
+      maxAttempts: MAX_RUN_ATTEMPTS, stale: String(STALE_RUN_MINUTES),
+    },
+  });
+  return rows[0] || null;
+}
+
+const RUN_LABELS = {
+  reminder: 'recordatorios para cultos de mañana',
+  today: 'recordatorios para cultos de hoy',
+  greetings: 'saludos de cumpleaños y aniversarios',
+};
+
+/** Envía los mensajes del lote según su tipo y devuelve el resumen que se guarda */
+async function processRun(run, church, cultoDate, type) {
+  if (type === 'greetings') {
+    return processGreetingsForDate(church, cultoDate, { source: 'scheduler', runId: run.id });
+  }
+  const summary = await processRemindersForDate(cultoDate, type, church.id, {
+    source: 'scheduler', runId: run.id, onlyUpcoming: true,
+  });
+  return {
+    total_cultos: summary.total_cultos,
+    total_sent: summary.total_sent,
+    total_failed: summary.total_failed,
+    total_skipped: summary.total_skipped,
+  };
+}
+
+/** Envía un lote reclamado y guarda el resultado en notification_runs */
+async function executeRun(run, church, cultoDate, type) {
+  const { NotificationRun } = require('../models');
+  console.log(`[SCHEDULER] 🔔 Iglesia "${church.name}": Enviando ${RUN_LABELS[type]} (${cultoDate}, intento ${run.attempts})...`);
+
+  try {
+    const summary = await processRun(run, church, cultoDate, type);
+    await NotificationRun.update({
+      status: 'completed',
+      finished_at: new Date(),
+      summary,
+    }, { where: { id: run.id } });
+    console.log(`[SCHEDULER] ✅ ${church.name}: ${summary.total_sent} enviados, ${summary.total_failed} fallidos.`);
+  } catch (err) {
+    await NotificationRun.update(
+      { status: 'failed', finished_at: new Date(), error: err.message },
+      { where: { id: run.id } },
+    );
+    console.error(`[SCHEDULER] ❌ ${church.name}: Error en lote ${type} ${cultoDate}:`, err.message);
+  }
+}
+
+/**
+ * Revisa todas las iglesias y envía los lotes pendientes de HOY (fecha local
+ * de cada iglesia) cuya hora configurada ya llegó. Lo que ya se envió no se
+ * repite (notification_runs).
+ */
+async function runDueReminders() {
+  // Importar modelos aquí (lazy) para evitar problemas de dependencias circulares
+  const { Church } = require('../models');
+  const { Op } = require('sequelize');
+
+  if (!(await acquireLock())) {
+    console.log('[SCHEDULER] ⏭️ Otra instancia está procesando las notificaciones.');
+    return;
+  }
+
+  try {
+    const now = new Date();
+    const churches = await Church.findAll({
+      where: {
+        [Op.or]: [
+          { notification_day_before_hour: { [Op.ne]: null } },
+          { notification_same_day_hour: { [Op.ne]: null } },
+          { notification_greeting_hour: { [Op.ne]: null } },
+        ],
+      },
+      attributes: [
+        'id', 'name', 'timezone', 'default_country_code',
+        'notification_day_before_hour', 'notification_same_day_hour', 'notification_greeting_hour',
+      ],
+    });
+
+    let executed = 0;
+    for (const church of churches) {
+      const { dateKey, hour } = churchNow(church, now);
+      const slots = [
+        // DÍA ANTERIOR: cultos de mañana
+        { type: 'reminder', hour: church.notification_day_before_hour, cultoDate: addDays(dateKey, 1) },
+        // MISMO DÍA: cultos de hoy
+        { type: 'today', hour: church.notification_same_day_hour, cultoDate: dateKey },
+        // SALUDOS: cumpleaños y aniversarios de hoy
+        { type: 'greetings', hour: church.notification_greeting_hour, cultoDate: dateKey },
+      ];
+
+      for (const slot of slots) {
+        if (slot.hour === null || slot.hour === undefined || slot.hour > hour) continue;
+
+        const run = await claimRun(church.id, slot.cultoDate, slot.type);
+        if (!run) continue; // ya enviado (o en curso en otra instancia)
+
+        if (slot.hour < hour) {
+          console.log(`[SCHEDULER] ↩️ ${church.name}: recuperando envío de las ${slot.hour}:00 (${slot.type}).`);
+        }
+        await executeRun(run, church, slot.cultoDate, slot.type);
+        executed++;
+      }
+    }
+
+    // Solo log cada 6 horas (UTC) para no saturar
+    if (executed === 0 && now.getUTCHours() % 6 === 0 && now.getUTCMinutes() < 15) {
+      console.log('[SCHEDULER] ℹ️ No hay lotes de notificaciones pendientes.');
+    }
+  } finally {
+    await releaseLock();
+  }
+}
 
 /**
- * Inicia el cron job que revisa cada hora si debe enviar notificaciones.
- * 
+ * Inicia el cron job que revisa cada 15 minutos si debe enviar notificaciones.
+ *
  * Solo se activa si:
  * 1. node-cron está instalado
- * 2. Las variables WHATSAPP_TOKEN y WHATSAPP_PHONE_NUMBER_ID están configuradas
- * 
+ * 2. Hay al menos un canal de notificación configurado (WhatsApp, correo o SMS)
+ *
  * Se llama desde server/index.js al iniciar la aplicación.
  */
 function startNotificationScheduler() {
@@ -42,95 +249,49 @@ function startNotificationScheduler() {
     return;
   }
 
-  // Verificar que WhatsApp esté configurado
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-
-  if (!token || !phoneId) {
-    console.log('[SCHEDULER] WhatsApp no configurado. Scheduler desactivado.');
-    console.log('[SCHEDULER] Configure WHATSAPP_TOKEN y WHATSAPP_PHONE_NUMBER_ID para activar.');
+  // Verificar que haya algún canal configurado
+  if (!anyChannelConfigured()) {
+    console.log('[SCHEDULER] Ningún canal de notificación configurado. Scheduler desactivado.');
+    console.log('[SCHEDULER] Configure WhatsApp (WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID), correo (SMTP_HOST) o SMS (SMS_GATEWAY_URL) para activar.');
     return;
   }
 
-  console.log('[SCHEDULER] ✅ Iniciando scheduler de notificaciones WhatsApp...');
+  const channels = getChannelsStatus().filter((c) => c.configured)
+    .map((c) => (c.transport === 'console' ? `${c.label} (consola)` : c.label));
+  console.log(`[SCHEDULER] ✅ Iniciando scheduler de notificaciones: ${channels.join(', ')} (instancia ${INSTANCE_ID})...`);
+
+  const tick = async () => {
+    try {
+      await runDueReminders();
+    } catch (error) {
+      console.error('[SCHEDULER] ❌ Error general:', error.message);
+    }
+    try {
+      await runDueBroadcasts();
+    } catch (error) {
+      console.error('[SCHEDULER] ❌ Error en anuncios programados:', error.message);
+    }
+  };
 
   /**
-   * CRON: Se ejecuta cada hora en punto (minuto 0).
+   * CRON: Se ejecuta cada 15 minutos (en UTC; la hora se compara con la
+   * hora local de cada iglesia, así sirven zonas con desfase de media hora).
    * Lee de la BD las horas configuradas por cada iglesia y envía
-   * notificaciones si la hora actual coincide.
-   * 
+   * los lotes cuya hora ya llegó y que todavía no se enviaron.
+   *
    * Ejemplo: Si la iglesia "Central" tiene notification_day_before_hour = 18
-   * y son las 18:00, envía recordatorios para los cultos de mañana.
+   * y son las 18:00 en su zona horaria, envía recordatorios para los cultos
+   * de mañana. Si el servidor estuvo caído a las 18:00, se envían al volver
+   * (antes de la medianoche local de la iglesia).
    */
-  cron.schedule('0 * * * *', async () => {
-    try {
-      // Importar Church aquí (lazy) para evitar problemas de dependencias circulares
-      const { Church } = require('../models');
-
-      // Obtener hora actual en zona horaria de Panamá
-      const now = new Date();
-      // Convertir a hora Panamá (UTC-5)
-      const panamaOffset = -5;
-      const utcHour = now.getUTCHours();
-      const panamaHour = (utcHour + panamaOffset + 24) % 24;
-
-      console.log(`[SCHEDULER] ⏰ Verificando notificaciones (hora Panamá: ${panamaHour}:00)...`);
-
-      // Buscar iglesias que tengan notificaciones configuradas para esta hora
-      const { Op } = require('sequelize');
-
-      // Iglesias con recordatorio DÍA ANTERIOR a esta hora
-      const churchesDayBefore = await Church.findAll({
-        where: { notification_day_before_hour: panamaHour },
-        attributes: ['id', 'name'],
-      });
-
-      // Iglesias con recordatorio MISMO DÍA a esta hora
-      const churchesSameDay = await Church.findAll({
-        where: { notification_same_day_hour: panamaHour },
-        attributes: ['id', 'name'],
-      });
-
-      // Procesar recordatorios del DÍA ANTERIOR
-      for (const church of churchesDayBefore) {
-        console.log(`[SCHEDULER] 🔔 Iglesia "${church.name}": Enviando recordatorios para cultos de mañana...`);
-        try {
-          const tomorrow = new Date();
-          tomorrow.setDate(tomorrow.getDate() + 1);
-          const summary = await processRemindersForDate(tomorrow, 'reminder', church.id);
-          console.log(`[SCHEDULER] ✅ ${church.name}: ${summary.total_sent} enviados, ${summary.total_failed} fallidos.`);
-        } catch (err) {
-          console.error(`[SCHEDULER] ❌ ${church.name}: Error día anterior:`, err.message);
-        }
-      }
-
-      // Procesar recordatorios del MISMO DÍA
-      for (const church of churchesSameDay) {
-        console.log(`[SCHEDULER] 🔔 Iglesia "${church.name}": Enviando recordatorios para cultos de hoy...`);
-        try {
-          const today = new Date();
-          const summary = await processRemindersForDate(today, 'today', church.id);
-          console.log(`[SCHEDULER] ✅ ${church.name}: ${summary.total_sent} enviados, ${summary.total_failed} fallidos.`);
-        } catch (err) {
-          console.error(`[SCHEDULER] ❌ ${church.name}: Error mismo día:`, err.message);
-        }
-      }
+  cron.schedule('*/15 * * * *', tick);
 
-      if (churchesDayBefore.length === 0 && churchesSameDay.length === 0) {
-        // Solo log cada 6 horas para no saturar
-        if (panamaHour % 6 === 0) {
-          console.log(`[SCHEDULER] ℹ️ Ninguna iglesia tiene notificaciones a las ${panamaHour}:00.`);
-        }
-      }
-    } catch (error) {
-      console.error('[SCHEDULER] ❌ Error general:', error.message);
-    }
-  }, {
-    timezone: 'America/Panama',
-  });
+  // Recuperar lotes perdidos mientras el servidor estaba apagado
+  setTimeout(tick, 10 * 1000);
 
-  console.log('[SCHEDULER] ✅ Cron job programado: cada hora en punto');
-  console.log('[SCHEDULER]   → Verifica horas configuradas por iglesia en BD');
+  console.log('[SCHEDULER] ✅ Cron job programado: cada 15 minutos');
+  console.log('[SCHEDULER]   → Verifica horas configuradas por iglesia en BD (zona horaria de cada iglesia)');
+  console.log('[SCHEDULER]   → Recupera envíos perdidos del día al arrancar');
 }
 
-module.exports = { startNotificationScheduler };
+module.exports = { startNotificationScheduler, runDueReminders };
@@ -0,0 +1,267 @@
+/**
+ * notificationService.js - Envío de recordatorios de culto por canal
+ *
+ * Arma el recordatorio de cada asignación de rol una sola vez con la
+ * plantilla de la iglesia (template de WhatsApp, correo y SMS, ver
+ * messageTemplates.js) y lo envía por los canales del miembro en orden
+ * (preferido → respaldo, ver notificationChannels.js). Cada intento queda
+ * registrado en notification_logs con su canal.
+ *
+ * Ejemplo: miembro con ['whatsapp', 'email'] → si WhatsApp falla (número
+ * inválido, API caída) se le envía el correo. Al primer envío exitoso se
+ * detiene.
+ *
+ * CONSENTIMIENTO: un canal sin consentimiento del miembro (se dio de baja,
+ * ver consent.js) se salta; si no queda ninguno el envío se omite con
+ * "Sin consentimiento".
+ */
+
+const { NotificationLog } = require('../models');
+const { sortAssignments, confirmationUrl } = require('./serviceRoles');
+const { resolveTimezone } = require('./timezone');
+const { formatEventDate, formatEventTime } = require('./whatsappService');
+const { resolveTemplate, renderTemplate } = require('./messageTemplates');
+const { CHANNEL_LABELS, channelOrderFor, getChannel } = require('./notificationChannels');
+const { hasConsent, channelList } = require('./consent');
+
+/**
+ * Registra un intento de envío en notification_logs (historial).
+ * Un error al guardar no afecta el envío (solo se registra en consola).
+ */
+async function logNotification(fields) {
+  try {
+    return await NotificationLog.create({ channel: 'whatsapp', ...fields });
+  } catch (err) {
+    console.warn('[NOTIFICATIONS] ⚠️ No se pudo registrar la notificación:', err.message);
+    return null;
+  }
+}
+
+/** Texto legible del error devuelto por un canal */
+function describeError(error) {
+  if (!error) return null;
+  if (typeof error === 'string') return error;
+  const detail = error.error || error;
+  if (detail.message) return `${detail.code ? `${detail.code}: ` : ''}${detail.message}`;
+  return JSON.stringify(error);
+}
+
+/**
+ * Envía un mensaje ya armado a un miembro por sus canales en orden
+ * (preferido → respaldo) hasta el primer envío exitoso. Cada intento
+ * queda en notification_logs con los campos de baseLog.
+ *
+ * @param {Object} member - Miembro (phone, email, notification_channels)
+ * @param {Object} church - Iglesia (default_country_code para normalizar teléfonos)
+ * @param {Object} content - Mensaje de renderTemplate (subject, text, sms, template)
+ * @param {Object} baseLog - Campos comunes del historial (church_id, member_id, source...)
+ * @returns {Object} { attempts: [{ channel, success, error, log_id }], unavailable, order, noConsent }
+ *   attempts vacío = ningún canal disponible (unavailable explica por qué)
+ *   noConsent: canales saltados por falta de consentimiento
+ */
+async function sendThroughChannels(member, church, content, baseLog) {
+  const order = channelOrderFor(member);
+  console.log(`[NOTIFICATIONS] 📋 Mensaje para ${member.first_name} ${member.last_name} (canales: ${order.join(' → ')}):\n${content.text}\n`);
+
+  const unavailable = [];
+  const noConsent = [];
+  const attempts = [];
+  for (const name of order) {
+    const channel = getChannel(name);
+    if (!hasConsent(member, name)) {
+      noConsent.push(name);
+      unavailable.push(`${CHANNEL_LABELS[name]}: sin consentimiento`);
+      continue;
+    }
+    if (!channel.isConfigured()) {
+      unavailable.push(`${CHANNEL_LABELS[name]}: no configurado`);
+      continue;
+    }
+    const recipient = channel.recipient(member, church);
+    if (!recipient) {
+      unavailable.push(`${CHANNEL_LABELS[name]}: ${channel.missing.toLowerCase()}`);
+      continue;
+    }
+
+    const result = await channel.send(recipient, content);
+    const log = await logNotification({
+      ...baseLog,
+      channel: name,
+      template: name === 'whatsapp' ? content.template.name : null,
+      params: name === 'whatsapp' ? content.template.params : null,
+      recipient,
+      provider_message_id: result.messageId || null,
+      status: result.success ? 'sent' : 'failed',
+      error: result.success ? null : describeError(result.error),
+      failed_at: result.success ? null : new Date(),
+    });
+    attempts.push({ channel: name, success: result.success, error: result.error || null, log_id: log?.id || null });
+
+    if (result.success) break;
+    console.warn(`[NOTIFICATIONS] ↪️ ${member.first_name} ${member.last_name}: falló ${CHANNEL_LABELS[name]}, probando el siguiente canal.`);
+  }
+
+  return {
+    attempts, unavailable, order, noConsent,
+  };
+}
+
+/**
+ * Motivo de omisión cuando ningún canal estuvo disponible:
+ * sin consentimiento en todos sus canales o sin canal disponible.
+ * @returns {Object} { status: 'sin_consentimiento' | 'sin_canal', reason }
+ */
+function unavailableReason({ unavailable, order, noConsent }) {
+  if (noConsent.length === order.length) {
+    return { status: 'sin_consentimiento', reason: `Sin consentimiento (${channelList(noConsent)})` };
+  }
+  return { status: 'sin_canal', reason: `Sin canal disponible (${unavailable.join('; ')})` };
+}
+
+/**
+ * Variables de la plantilla de recordatorio para una asignación
+ * (ver PLACEHOLDERS en messageTemplates.js).
+ */
+function reminderVariables(event, assignment, role, type, churchName) {
+  const { member } = assignment;
+  const timeZone = resolveTimezone(event.church?.timezone);
+  return {
+    nombre: member.first_name,
+    apellido: member.last_name,
+    iglesia: churchName,
+    cuando: type === 'reminder' ? 'mañana' : 'hoy',
+    rol: role,
+    evento: event.title,
+    fecha: formatEventDate(event.start_date, timeZone),
+    hora: formatEventTime(event.start_date, timeZone),
+    lugar: event.location || churchName || 'Por confirmar',
+    enlace: assignment.confirmation_token ? confirmationUrl(assignment.confirmation_token) : '',
+  };
+}
+
+/**
+ * Envía el recordatorio de UNA asignación de rol por los canales del
+ * miembro (preferido → respaldo) y registra cada intento en el historial.
+ *
+ * Se omite (skipped) si el miembro ya declinó, si no dio consentimiento en
+ * ninguno de sus canales o si ningún canal está disponible (canal sin
+ * configurar o miembro sin teléfono/correo).
+ *
+ * @param {Object} event - Evento del culto (con include church: timezone, default_country_code)
+ * @param {Object} assignment - Asignación con include role + member
+ * @param {string} type - 'reminder' (día anterior) o 'today' (mismo día)
+ * @param {string} churchName - Nombre de la iglesia
+ * @param {Object} options - { source: 'scheduler'|'manual'|'retry', userId, retryOfId, runId, template }
+ *   template: plantilla ya resuelta (sendCultoReminders la busca una vez por culto)
+ * @returns {Object} Detalle { member, phone, role, channel, status, error, log_id, outcome }
+ */
+async function sendAssignmentReminder(event, assignment, type, churchName, options = {}) {
+  const {
+    source = 'manual', userId = null, retryOfId = null, runId = null,
+  } = options;
+  const { member } = assignment;
+  const role = assignment.role ? (assignment.role.reminder_text || assignment.role.name) : null;
+
+  const baseLog = {
+    church_id: event.church_id || null,
+    event_id: event.id,
+    event_role_assignment_id: assignment.id,
+    member_id: assignment.member_id,
+    service_role_id: assignment.service_role_id,
+    role_label: role,
+    reminder_type: type,
+    source,
+    created_by: userId,
+    retry_of_id: retryOfId,
+    notification_run_id: runId,
+  };
+
+  const skip = async (status, reason, channel) => {
+    const log = await logNotification({
+      ...baseLog, ...(channel ? { channel } : {}), status: 'skipped', error: reason,
+    });
+    return {
+      member: member ? `${member.first_name} ${member.last_name}` : null,
+      role, status, error: reason, log_id: log?.id || null, outcome: 'skipped',
+    };
+  };
+
+  if (!member) return skip('sin_miembro', 'Miembro no encontrado');
+
+  // Ya avisó que no puede: no tiene sentido recordarle
+  if (assignment.status === 'declined') return skip('declinado', 'El miembro indicó que no puede');
+
+  const template = options.template || await resolveTemplate(event.church_id, type);
+  const content = renderTemplate(template, reminderVariables(event, assignment, role, type, churchName));
+
+  const delivery = await sendThroughChannels(member, event.church, content, baseLog);
+  const { attempts } = delivery;
+
+  // Ningún canal disponible para este miembro (o sin consentimiento)
+  if (attempts.length === 0) {
+    const { status, reason } = unavailableReason(delivery);
+    console.warn(`[NOTIFICATIONS] ⚠️ ${member.first_name} ${member.last_name}: ${reason}. Saltando.`);
+    return skip(status, reason, delivery.order[0]);
+  }
+
+  const last = attempts[attempts.length - 1];
+  return {
+    member: `${member.first_name} ${member.last_name}`,
+    phone: member.phone,
+    role,
+    channel: last.channel,
+    assignment_status: assignment.status,
+    status: last.success ? 'enviado' : 'error',
+    error: last.success ? null : last.error,
+    attempts: attempts.map(({ channel, success }) => ({ channel, success })),
+    log_id: last.log_id,
+    outcome: last.success ? 'sent' : 'failed',
+  };
+}
+
+/**
+ * Envía recordatorios a los miembros asignados a un culto
+ * (una llamada a sendAssignmentReminder por asignación, en el orden del catálogo).
+ *
+ * skipAssignmentIds: asignaciones que ya recibieron este recordatorio en un
+ * intento anterior del mismo lote del scheduler (no se vuelven a enviar).
+ *
+ * @param {Object} event - Evento con role_assignments (include role + member, ver utils/serviceRoles.js)
+ * @param {string} type - 'reminder' (día anterior) o 'today' (mismo día)
+ * @param {string} churchName - Nombre de la iglesia
+ * @param {Object} options - { source, userId, runId, skipAssignmentIds: Set } para el historial
+ * @returns {Object} Resumen de envíos { sent, failed, skipped, details }
+ */
+async function sendCultoReminders(event, type, churchName, options = {}) {
+  const results = { sent: 0, failed: 0, skipped: 0, details: [] };
+
+  const assignments = sortAssignments(event.role_assignments || []).filter((a) => a.role);
+  const template = await resolveTemplate(event.church_id, type);
+
+  for (const assignment of assignments) {
+    if (options.skipAssignmentIds?.has(assignment.id)) {
+      results.skipped++;
+      results.details.push({
+        member: assignment.member ? `${assignment.member.first_name} ${assignment.member.last_name}` : null,
+        role: assignment.role.reminder_text || assignment.role.name,
+        status: 'ya_enviado',
+      });
+      continue;
+    }
+
+    const { outcome, ...detail } = await sendAssignmentReminder(event, assignment, type, churchName, { ...options, template });
+    results[outcome]++;
+    results.details.push(detail);
+  }
+
+  return results;
+}
+
+module.exports = {
+  sendCultoReminders,
+  sendAssignmentReminder,
+  sendThroughChannels,
+  unavailableReason,
+  logNotification,
+  describeError,
+};
@@ -0,0 +1,180 @@
+/**
+ * passwordResets.js - Códigos de restablecimiento de contraseña
+ *
+ * Usado por authController (forgot-password / reset-password). Los códigos
+ * viven en la tabla password_resets, así que sobreviven a un reinicio y
+ * funcionan con varias instancias del servidor.
+ *
+ * - Código de 6 dígitos enviado por correo (utils/emailService.js); en la
+ *   BD solo queda su HMAC (PASSWORD_RESET_SECRET, o JWT_SECRET si no hay)
+ * - Un solo uso: al usarlo, o al pedir uno nuevo, el anterior queda inválido
+ * - Al cambiar la contraseña se cierran todas las sesiones del usuario
+ * - Vence a los PASSWORD_RESET_TTL_MINUTES (default: 15)
+ * - PASSWORD_RESET_MAX_ATTEMPTS intentos (default: 5) y el código queda
+ *   inválido
+ * - Límite de solicitudes por hora: PASSWORD_RESET_MAX_PER_EMAIL (default: 3)
+ *   y PASSWORD_RESET_MAX_PER_IP (default: 10). También cuentan las de correos
+ *   no registrados, para no revelar cuáles existen. La IP es req.ip
+ *   ('trust proxy' en index.js), no el X-Forwarded-For del cliente.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, PasswordReset } = require('../models');
+const { sendEmail } = require('./emailService');
+const { revokeUserSessions } = require('./sessions');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Filas que se conservan (para el límite por hora y revisión): 1 día */
+const KEEP_MS = 24 * HOUR_MS;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getTtlMinutes = () => envInt('PASSWORD_RESET_TTL_MINUTES', 15);
+const getMaxAttempts = () => envInt('PASSWORD_RESET_MAX_ATTEMPTS', 5);
+
+/** Correo en minúsculas y sin espacios (clave de las solicitudes) */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+function hashCode(email, code) {
+  const secret = process.env.PASSWORD_RESET_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${email}:${code}`).digest('hex');
+}
+
+/**
+ * ¿Se superó el límite de solicitudes de la última hora para el correo o la IP?
+ * @param {string} email - Normalizado
+ * @param {string|null} ip
+ */
+async function isRateLimited(email, ip) {
+  const since = new Date(Date.now() - HOUR_MS);
+  const byEmail = await PasswordReset.count({ where: { email, createdAt: { [Op.gte]: since } } });
+  if (byEmail >= envInt('PASSWORD_RESET_MAX_PER_EMAIL', 3)) return true;
+  if (!ip) return false;
+  const byIp = await PasswordReset.count({ where: { requested_ip: ip, createdAt: { [Op.gte]: since } } });
+  return byIp >= envInt('PASSWORD_RESET_MAX_PER_IP', 10);
+}
+
+/**
+ * Registra una solicitud. Con usuario genera el código e invalida los
+ * pendientes de ese correo; sin usuario solo deja la fila para el límite.
+ *
+ * @param {Object} params
+ * @param {string} params.email - Normalizado
+ * @param {Object|null} params.user
+ * @param {string|null} params.ip
+ * @returns {Promise<{ code: string|null, expiresAt: Date }>}
+ */
+async function createResetRequest({ email, user, ip }) {
+  const code = user ? crypto.randomInt(100000, 1000000).toString() : null;
+  const expiresAt = new Date(Date.now() + getTtlMinutes() * 60 * 1000);
+
+  await sequelize.transaction(async (transaction) => {
+    if (user) {
+      await PasswordReset.update(
+        { used_at: new Date() },
+        { where: { email, used_at: null, code_hash: { [Op.ne]: null } }, transaction }
+      );
+    }
+    await PasswordReset.create({
+      user_id: user ? user.id : null,
+      email,
+      code_hash: code ? hashCode(email, code) : null,
+      expires_at: expiresAt,
+      requested_ip: ip,
+    }, { transaction });
+  });
+
+  // Limpieza de solicitudes viejas (ya no cuentan para ningún límite)
+  PasswordReset.destroy({ where: { createdAt: { [Op.lt]: new Date(Date.now() - KEEP_MS) } } })
+    .catch((err) => console.error('[RESET] Error limpiando solicitudes viejas:', err.message));
+
+  return { code, expiresAt };
+}
+
+/**
+ * Envía el código por correo.
+ * @returns {Promise<Object>} Resultado de sendEmail ({ success, error })
+ */
+function sendResetEmail(user, code) {
+  const minutes = getTtlMinutes();
+  return sendEmail({
+    to: user.email,
+    subject: 'Código para restablecer tu contraseña',
+    text: [
+      `Hola ${user.full_name},`,
+      '',
+      `Tu código para restablecer la contraseña es: ${code}`,
+      '',
+      `Vence en ${minutes} minutos y solo se puede usar una vez.`,
+      'Si no solicitaste el cambio, ignora este correo: tu contraseña no se modifica.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Verifica un código. Cada verificación gasta un intento: se suma antes de
+ * comparar, en un solo UPDATE condicional, para que varias peticiones en
+ * paralelo no puedan probar más códigos que el máximo.
+ *
+ * @param {string} email - Normalizado
+ * @param {string} code
+ * @returns {Promise<{ status: 'ok'|'missing'|'expired'|'locked'|'invalid', reset?, remaining? }>}
+ */
+async function verifyResetCode(email, code) {
+  const reset = await PasswordReset.findOne({
+    where: { email, used_at: null, code_hash: { [Op.ne]: null } },
+    order: [['createdAt', 'DESC']],
+  });
+  if (!reset) return { status: 'missing' };
+  if (new Date(reset.expires_at) < new Date()) return { status: 'expired' };
+
+  const maxAttempts = getMaxAttempts();
+  const [rows] = await sequelize.query(
+    `UPDATE password_resets SET attempts = attempts + 1, updated_at = NOW()
+     WHERE id = :id AND attempts < :maxAttempts
+     RETURNING attempts`,
+    { replacements: { id: reset.id, maxAttempts } }
+  );
+  if (rows.length === 0) return { status: 'locked' };
+
+  const expected = Buffer.from(reset.code_hash, 'hex');
+  const given = Buffer.from(hashCode(email, String(code).trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const remaining = maxAttempts - rows[0].attempts;
+    return remaining > 0 ? { status: 'invalid', remaining } : { status: 'locked' };
+  }
+
+  return { status: 'ok', reset };
+}
+
+/**
+ * Cambia la contraseña, marca el código como usado y cierra las sesiones
+ * abiertas (en una transacción; si otra petición lo usó primero, no se
+ * cambia nada).
+ * @returns {Promise<boolean>} false si el código ya se había usado
+ */
+async function consumeReset(reset, user, newPassword) {
+  return sequelize.transaction(async (transaction) => {
+    const [used] = await PasswordReset.update(
+      { used_at: new Date() },
+      { where: { id: reset.id, used_at: null }, transaction }
+    );
+    if (used === 0) return false;
+    await user.update({ password_hash: newPassword }, { transaction });
+    await revokeUserSessions(user.id, 'password_reset', { transaction });
+    return true;
+  });
+}
+
+module.exports = {
+  normalizeEmail,
+  isRateLimited,
+  createResetRequest,
+  sendResetEmail,
+  verifyResetCode,
+  consumeReset,
+};
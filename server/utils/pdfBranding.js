@@ -0,0 +1,41 @@
+/**
+ * pdfBranding.js - Logo de la iglesia en los PDF (certificados, cartas)
+ *
+ * El logo es el de Branding (churches.login_logo_url, guardado en
+ * public/uploads/logos). pdfkit solo incrusta PNG y JPG: con otro formato,
+ * sin logo o con la imagen dañada el PDF sale sin logo.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const LOGO_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+/** Ruta absoluta al logo de la iglesia (null si no tiene) */
+function churchLogoPath(church) {
+  return church?.login_logo_url ? path.join(__dirname, '..', 'public', church.login_logo_url) : null;
+}
+
+/**
+ * Dibuja el logo dentro de un cuadrado de `size` puntos.
+ * @returns {boolean} true si se dibujó
+ */
+function drawChurchLogo(doc, logoPath, x, y, size) {
+  if (!logoPath || !LOGO_EXTENSIONS.includes(path.extname(logoPath).toLowerCase()) || !fs.existsSync(logoPath)) {
+    return false;
+  }
+  try {
+    doc.image(logoPath, x, y, { fit: [size, size], align: 'center', valign: 'center' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** 'YYYY-MM-DD' → '12 de octubre de 2026' */
+function formatLongDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('es-ES', {
+    year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC',
+  });
+}
+
+module.exports = { churchLogoPath, drawChurchLogo, formatLongDate };
@@ -0,0 +1,168 @@
+/**
+ * permissions.js - Catálogo de permisos y permisos efectivos por rol
+ *
+ * Cada acción protegida tiene un permiso ('members.write', 'minutes.delete',
+ * 'notifications.send'...). Las rutas lo exigen con requirePermission
+ * (middleware/auth.js) y el cliente consulta GET /api/permissions/me para
+ * mostrar u ocultar páginas y botones.
+ *
+ * - Cada permiso trae los roles que lo tienen por defecto (los mismos que
+ *   antes estaban fijos en las rutas).
+ * - Cada iglesia puede cambiar los permisos de un rol (RolePermission): se
+ *   guardan solo las diferencias con el defecto (granted / revoked), así los
+ *   permisos nuevos del catálogo llegan también a los roles personalizados.
+ * - SuperAdmin tiene todos los permisos y no aparece en la matriz.
+ * - El Administrador conserva siempre 'permissions.manage' (para que la
+ *   iglesia no quede sin nadie que pueda editar la matriz).
+ * - Los permisos '.view' protegen las consultas del módulo (listado,
+ *   detalle, PDFs) y deciden qué páginas y contadores del Dashboard muestra
+ *   el cliente.
+ * - Crear / eliminar iglesias y restablecer el 2FA siguen siendo solo de
+ *   SuperAdmin (authorize('SuperAdmin')).
+ */
+const { RolePermission } = require('../models');
+
+const ALL_ROLES = ['Administrador', 'Secretaría', 'Líder', 'Visitante'];
+const STAFF = ['Administrador', 'Secretaría', 'Líder'];
+const OFFICE = ['Administrador', 'Secretaría'];
+const ADMIN = ['Administrador'];
+
+/** Roles de la matriz (SuperAdmin tiene todo) */
+const MATRIX_ROLES = ALL_ROLES;
+
+/** Catálogo: { permiso: { group, label, roles (por defecto) } } */
+const PERMISSIONS = {
+  'members.view': { group: 'Miembros', label: 'Ver miembros', roles: ALL_ROLES },
+  'members.write': { group: 'Miembros', label: 'Crear y editar miembros y su disponibilidad', roles: STAFF },
+  'members.status': { group: 'Miembros', label: 'Cambiar el estado (inactivo, fallecido, reactivado)', roles: OFFICE },
+  'members.delete': { group: 'Miembros', label: 'Eliminar miembros', roles: ADMIN },
+  'households.write': { group: 'Miembros', label: 'Crear y editar hogares', roles: STAFF },
+  'households.delete': { group: 'Miembros', label: 'Eliminar hogares', roles: ADMIN },
+
+  'baptisms.view': { group: 'Bautismos', label: 'Ver bautismos', roles: STAFF },
+  'baptisms.write': { group: 'Bautismos', label: 'Registrar y editar bautismos', roles: OFFICE },
+  'baptisms.certificate': { group: 'Bautismos', label: 'Descargar certificados', roles: OFFICE },
+  'baptisms.delete': { group: 'Bautismos', label: 'Eliminar bautismos', roles: ADMIN },
+
+  'transfers.view': { group: 'Traslados', label: 'Ver traslados y cartas', roles: OFFICE },
+  'transfers.request': { group: 'Traslados', label: 'Solicitar y cancelar traslados', roles: OFFICE },
+  'transfers.approve': { group: 'Traslados', label: 'Aceptar o rechazar traslados recibidos', roles: ADMIN },
+
+  'churches.view': { group: 'Iglesia', label: 'Ver la configuración de la iglesia', roles: OFFICE },
+  'churches.edit': { group: 'Iglesia', label: 'Editar los datos de la iglesia', roles: ADMIN },
+  'missions.write': { group: 'Iglesia', label: 'Crear y editar misiones y campos blancos', roles: OFFICE },
+  'missions.delete': { group: 'Iglesia', label: 'Eliminar misiones y campos blancos', roles: ADMIN },
+
+  'events.view': { group: 'Eventos', label: 'Ver eventos', roles: STAFF },
+  'events.write': { group: 'Eventos', label: 'Crear y editar eventos, asistentes y roles de culto', roles: STAFF },
+  'events.delete': { group: 'Eventos', label: 'Eliminar eventos', roles: ADMIN },
+
+  'attendance.view': { group: 'Asistencia', label: 'Ver asistencia semanal', roles: STAFF },
+  'attendance.create': { group: 'Asistencia', label: 'Registrar asistencia', roles: STAFF },
+  'attendance.edit': { group: 'Asistencia', label: 'Editar asistencia', roles: OFFICE },
+  'attendance.delete': { group: 'Asistencia', label: 'Eliminar asistencia', roles: ADMIN },
+
+  'minutes.view': { group: 'Actas', label: 'Ver actas', roles: OFFICE },
+  'minutes.write': { group: 'Actas', label: 'Crear y editar actas y sus archivos', roles: OFFICE },
+  'minutes.delete': { group: 'Actas', label: 'Eliminar actas', roles: ADMIN },
+
+  'notifications.view': { group: 'Notificaciones', label: 'Ver estado, historial y anuncios', roles: OFFICE },
+  'notifications.send': { group: 'Notificaciones', label: 'Enviar recordatorios y anuncios', roles: OFFICE },
+  'notifications.configure': { group: 'Notificaciones', label: 'Configurar horarios y plantillas', roles: OFFICE },
+
+  'positions.manage': { group: 'Configuración', label: 'Administrar cargos ministeriales', roles: ADMIN },
+  'service_roles.manage': { group: 'Configuración', label: 'Administrar roles de culto', roles: ADMIN },
+  'branding.manage': { group: 'Configuración', label: 'Editar el branding', roles: ADMIN },
+
+  'users.manage': { group: 'Administración', label: 'Administrar usuarios', roles: ADMIN },
+  'permissions.manage': { group: 'Administración', label: 'Editar los permisos por rol', roles: ADMIN },
+  'trash.manage': { group: 'Administración', label: 'Papelera (restaurar y eliminar definitivamente)', roles: ADMIN },
+  'audit.view': { group: 'Administración', label: 'Ver el historial de cambios', roles: ADMIN },
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+/** Permisos que un rol no puede perder: { rol: [permisos] } */
+const LOCKED_PERMISSIONS = {
+  Administrador: ['permissions.manage'],
+};
+
+/** Permisos por defecto de un rol */
+const defaultPermissions = (roleName) => PERMISSION_KEYS.filter((key) => PERMISSIONS[key].roles.includes(roleName));
+
+/**
+ * Permisos efectivos: defecto + granted - revoked (+ los bloqueados del rol).
+ * @param {string} roleName
+ * @param {Object|null} override - RolePermission de la iglesia, o null
+ */
+function resolvePermissions(roleName, override) {
+  const set = new Set(defaultPermissions(roleName));
+  if (override) {
+    (override.granted || []).forEach((key) => set.add(key));
+    (override.revoked || []).forEach((key) => set.delete(key));
+  }
+  (LOCKED_PERMISSIONS[roleName] || []).forEach((key) => set.add(key));
+  return PERMISSION_KEYS.filter((key) => set.has(key));
+}
+
+/**
+ * Diferencias con el defecto para guardar (solo permisos del catálogo).
+ * @param {string} roleName
+ * @param {string[]} permissions - Permisos que debe tener el rol
+ * @returns {{ granted: string[], revoked: string[] }}
+ */
+function diffFromDefaults(roleName, permissions) {
+  const wanted = new Set(permissions.filter((key) => PERMISSIONS[key]));
+  (LOCKED_PERMISSIONS[roleName] || []).forEach((key) => wanted.add(key));
+  const defaults = new Set(defaultPermissions(roleName));
+  return {
+    granted: PERMISSION_KEYS.filter((key) => wanted.has(key) && !defaults.has(key)),
+    revoked: PERMISSION_KEYS.filter((key) => !wanted.has(key) && defaults.has(key)),
+  };
+}
+
+/**
+ * Roles que puede asignar quien administra usuarios (null = todos). Otros
+ * roles pueden tener users.manage, pero solo un Administrador crea o
+ * administra Administradores, y solo SuperAdmin a otros SuperAdmin.
+ * @param {Object} user - req.user con role incluido
+ */
+function assignableRoleNames(user) {
+  if (user.role?.name === 'SuperAdmin') return null;
+  return user.role?.name === 'Administrador' ? ALL_ROLES : ALL_ROLES.filter((role) => role !== 'Administrador');
+}
+
+/** ¿Puede asignar este rol o administrar a un usuario que lo tiene? */
+const canAssignRole = (user, roleName) => {
+  const allowed = assignableRoleNames(user);
+  return !allowed || allowed.includes(roleName);
+};
+
+/**
+ * Permisos del usuario (req.user con role incluido). SuperAdmin: todos.
+ * Usuarios sin iglesia: los del rol por defecto.
+ * @returns {Promise<string[]>}
+ */
+async function getUserPermissions(user) {
+  const roleName = user.role?.name;
+  if (roleName === 'SuperAdmin') return [...PERMISSION_KEYS];
+  if (!roleName) return [];
+
+  const override = user.church_id
+    ? await RolePermission.findOne({ where: { church_id: user.church_id, role_id: user.role_id } })
+    : null;
+  return resolvePermissions(roleName, override);
+}
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  MATRIX_ROLES,
+  LOCKED_PERMISSIONS,
+  defaultPermissions,
+  resolvePermissions,
+  diffFromDefaults,
+  assignableRoleNames,
+  canAssignRole,
+  getUserPermissions,
+};
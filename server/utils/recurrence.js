@@ -0,0 +1,189 @@
+/**
+ * recurrence.js - Reglas de repetición para eventos recurrentes
+ *
+ * Una serie (EventSeries) guarda la REGLA y el servidor materializa cada
+ * ocurrencia como una fila normal en events (series_id → event_series.id).
+ * Así cada culto conserva su propia asistencia, roles y decisiones de fe,
+ * y el calendario PDF no necesita lógica especial.
+ *
+ * FRECUENCIAS SOPORTADAS:
+ * - weekly:   cada semana, en los días indicados en weekdays (0=Domingo ... 6=Sábado)
+ * - biweekly: cada dos semanas, en los días indicados en weekdays
+ * - monthly:  una vez al mes, el mismo "N-ésimo día de la semana" que la
+ *             primera ocurrencia (ej: 2do Domingo). Si es la 5ta semana,
+ *             se usa "último" (ej: último Viernes del mes).
+ *
+ * FIN DE LA SERIE (uno de los dos es obligatorio):
+ * - until_date:       fecha límite (inclusive), formato YYYY-MM-DD
+ * - occurrence_count: cantidad de ocurrencias (incluye las fechas omitidas)
+ *
+ * EXCEPCIONES:
+ * - excluded_dates: fechas YYYY-MM-DD que se omiten (ej: culto suspendido)
+ *
+ * ZONA HORARIA: los días de la semana, las fechas YYYY-MM-DD y la hora del
+ * culto se calculan en la zona de la iglesia (Church.timezone, ver
+ * utils/timezone.js), no en la del servidor (UTC en Render).
+ */
+const {
+  zonedParts, localDateKey, addDays, zonedTimeToUtc,
+} = require('./timezone');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+/** Tope de seguridad para no generar miles de filas por error */
+const MAX_OCCURRENCES = 200;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Convierte una fecha a clave 'YYYY-MM-DD' en la zona de la iglesia.
+ * Se usa para comparar días sin que la hora interfiera.
+ */
+function toDateKey(date, tz) {
+  return localDateKey(date, tz);
+}
+
+/** Día de la semana (0=Domingo) de una fecha 'YYYY-MM-DD' */
+function weekdayOfKey(dateKey) {
+  return new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+}
+
+/**
+ * Normaliza la regla que envía el frontend.
+ * '' → null, strings numéricos → enteros, weekdays sin duplicados.
+ *
+ * @param {Object} input - { frequency, weekdays, until_date, occurrence_count|count, excluded_dates }
+ * @param {Date} firstStart - Inicio de la primera ocurrencia (para el día por defecto)
+ * @param {string} tz - Zona horaria de la iglesia
+ * @returns {Object} Regla normalizada
+ */
+function normalizeRecurrence(input, firstStart, tz) {
+  const rule = {
+    frequency: input.frequency || null,
+    weekdays: Array.isArray(input.weekdays)
+      ? [...new Set(input.weekdays.map((d) => parseInt(d, 10)).filter((d) => d >= 0 && d <= 6))].sort()
+      : [],
+    until_date: input.until_date || null,
+    occurrence_count: null,
+    excluded_dates: Array.isArray(input.excluded_dates) ? [...new Set(input.excluded_dates)] : [],
+  };
+
+  const rawCount = input.occurrence_count !== undefined ? input.occurrence_count : input.count;
+  if (rawCount !== undefined && rawCount !== null && rawCount !== '') {
+    const parsed = parseInt(rawCount, 10);
+    rule.occurrence_count = isNaN(parsed) ? null : parsed;
+  }
+
+  // Semanal/quincenal sin días: usar el día de la semana de la primera ocurrencia
+  if (rule.frequency !== 'monthly' && rule.weekdays.length === 0 && firstStart) {
+    rule.weekdays = [zonedParts(firstStart, tz).weekday];
+  }
+  if (rule.frequency === 'monthly') rule.weekdays = [];
+
+  return rule;
+}
+
+/**
+ * Valida una regla normalizada.
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+function validateRecurrence(rule, firstStart, tz) {
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    return `Frecuencia inválida. Use: ${FREQUENCIES.join(', ')}.`;
+  }
+  if (!rule.until_date && !rule.occurrence_count) {
+    return 'Indique una fecha de fin (until_date) o una cantidad de repeticiones (occurrence_count).';
+  }
+  if (rule.occurrence_count !== null && (rule.occurrence_count < 1 || rule.occurrence_count > MAX_OCCURRENCES)) {
+    return `La cantidad de repeticiones debe estar entre 1 y ${MAX_OCCURRENCES}.`;
+  }
+  if (rule.until_date && firstStart && rule.until_date < toDateKey(firstStart, tz)) {
+    return 'La fecha de fin de la serie es anterior al primer evento.';
+  }
+  return null;
+}
+
+/**
+ * Calcula el N-ésimo día de la semana de un mes (N = -1 → último).
+ * @returns {number|null} Día del mes o null si no existe
+ */
+function nthWeekdayOfMonth(year, monthIndex, weekday, nth) {
+  const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  if (nth === -1) {
+    const lastWeekday = new Date(Date.UTC(year, monthIndex, daysInMonth)).getUTCDay();
+    return daysInMonth - ((lastWeekday - weekday + 7) % 7);
+  }
+  const firstWeekday = new Date(Date.UTC(year, monthIndex, 1)).getUTCDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+  return day <= daysInMonth ? day : null;
+}
+
+/**
+ * Genera las fechas de inicio de cada ocurrencia de la serie.
+ * Todas conservan la hora "de reloj" de `firstStart` en la zona de la
+ * iglesia (también al cambiar de horario de verano).
+ *
+ * @param {Object} rule - Regla normalizada (ver normalizeRecurrence)
+ * @param {Date} firstStart - Inicio del primer evento de la serie
+ * @param {string} tz - Zona horaria de la iglesia
+ * @returns {Array<Date>} Fechas de inicio, ordenadas, sin las excluidas
+ */
+function generateOccurrenceDates(rule, firstStart, tz) {
+  const start = zonedParts(firstStart, tz);
+  const startKey = toDateKey(firstStart, tz);
+  const time = `${pad(start.hour)}:${pad(start.minute)}:${pad(start.second)}`;
+  const untilKey = rule.until_date || null;
+  const maxCount = rule.occurrence_count || MAX_OCCURRENCES;
+  const excluded = new Set(rule.excluded_dates || []);
+
+  // Claves 'YYYY-MM-DD' de las ocurrencias (incluidas las excluidas)
+  const keys = [];
+  const pushKey = (key) => {
+    if (untilKey && key > untilKey) return false;
+    keys.push(key);
+    return keys.length < maxCount;
+  };
+
+  if (rule.frequency === 'monthly') {
+    const nth = Math.ceil(start.day / 7);
+    const position = nth >= 5 ? -1 : nth;
+
+    for (let i = 0; i < MAX_OCCURRENCES * 2; i++) {
+      const year = start.year + Math.floor((start.month - 1 + i) / 12);
+      const monthIndex = (start.month - 1 + i) % 12;
+      const day = nthWeekdayOfMonth(year, monthIndex, start.weekday, position);
+      if (day === null) continue;
+      const key = `${year}-${pad(monthIndex + 1)}-${pad(day)}`;
+      if (key < startKey) continue;
+      if (!pushKey(key)) break;
+    }
+  } else {
+    // weekly / biweekly: recorrer día por día desde el inicio
+    const stepWeeks = rule.frequency === 'biweekly' ? 2 : 1;
+    const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [start.weekday];
+    const maxDays = MAX_OCCURRENCES * 7 * stepWeeks;
+
+    for (let i = 0; i < maxDays; i++) {
+      const key = addDays(startKey, i);
+      // Semanas contadas desde el Domingo de la semana de inicio
+      const weekIndex = Math.floor((i + start.weekday) / 7);
+      if (weekIndex % stepWeeks !== 0) continue;
+      if (!weekdays.includes(weekdayOfKey(key))) continue;
+      if (!pushKey(key)) break;
+    }
+  }
+
+  // Las excluidas cuentan para occurrence_count pero no se materializan
+  return keys
+    .filter((key) => !excluded.has(key))
+    .map((key) => zonedTimeToUtc(key, time, tz));
+}
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  toDateKey,
+  normalizeRecurrence,
+  validateRecurrence,
+  generateOccurrenceDates,
+};
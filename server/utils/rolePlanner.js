@@ -0,0 +1,201 @@
+/**
+ * rolePlanner.js - Planificador de rotación de roles de culto
+ *
+ * Reparte los roles del catálogo de la iglesia (service_roles: Predica,
+ * Dirige, Canta, Ujier, ...) entre los cultos de un rango de fechas de forma
+ * equitativa (round-robin), a partir de un grupo de miembros elegibles por rol.
+ * Cada rol tiene `members_needed` plazas por culto.
+ *
+ * REGLAS:
+ * - Se elige al candidato con MENOS asignaciones de ese rol en el plan;
+ *   en empate, el que tiene menos roles en total y luego el que lleva más
+ *   tiempo sin servir (así el orden rota naturalmente).
+ * - Nunca se asigna a un miembro en una fecha marcada como no disponible.
+ * - Nunca se asigna a la misma persona dos veces el mismo día
+ *   (ni en dos roles del mismo culto, ni en dos cultos del mismo día).
+ * - Si no quedan candidatos válidos, las plazas quedan vacías con una advertencia.
+ * - Preferencias del miembro (ver utils/memberAvailability.js): primero se
+ *   eligen quienes no superan su tope mensual y prefieren ese día de la semana;
+ *   si no queda otro remedio se asigna igual, con una advertencia.
+ *
+ * Es una función pura: no toca la base de datos. El controller carga los
+ * cultos, el catálogo y los miembros, y decide si solo previsualiza o aplica el plan.
+ */
+const { toDateKey } = require('./recurrence');
+const { zonedParts } = require('./timezone');
+
+/**
+ * Indica si el miembro está no disponible en el día indicado.
+ * @param {Array} ranges - [{ from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }]
+ */
+function isUnavailable(ranges, dayKey) {
+  if (!ranges) return false;
+  return ranges.some((r) => dayKey >= r.from && dayKey <= (r.to || r.from));
+}
+
+/** Indica si dos listas de IDs tienen los mismos miembros (sin importar el orden) */
+function sameMembers(a, b) {
+  return a.length === b.length && a.every((id) => b.includes(id));
+}
+
+/**
+ * Genera la propuesta de asignación de roles.
+ *
+ * @param {Object} params
+ * @param {Array} params.events - Cultos ordenados por fecha ({ id, title, start_date, roles: { [roleId]: [memberId] } })
+ * @param {Array} params.roles - Catálogo en orden ({ id, name, members_needed })
+ * @param {Object} params.pools - { [roleId]: [memberId, ...] } (orden = orden de rotación)
+ * @param {Map} params.unavailable - memberId → [{ from, to }]
+ * @param {Map} params.preferences - memberId → { weekdays: [], max, monthly: Map 'YYYY-MM' → cultos fuera del plan }
+ * @param {boolean} params.overwrite - true = reemplazar roles ya asignados; false = solo llenar plazas vacías
+ * @param {string} params.timeZone - Zona de la iglesia (define el día y el día de la semana de cada culto)
+ * @returns {Object} { plan, load, warnings }
+ */
+function planRoleRotation({
+  events, roles, pools, unavailable = new Map(), preferences = new Map(), overwrite = false, timeZone,
+}) {
+  const plannedRoles = roles.filter((role) => pools[role.id] && pools[role.id].length > 0);
+  const plannedIds = new Set(plannedRoles.map((role) => String(role.id)));
+
+  const current = (event, roleId) => (event.roles && event.roles[roleId]) || [];
+  // Miembros que se conservan en un rol (los roles sin grupo nunca se tocan)
+  const keptMembers = (event, roleId) => (overwrite && plannedIds.has(String(roleId)) ? [] : current(event, roleId));
+
+  // Contadores para la equidad
+  const roleCount = {};
+  const totalCount = new Map();
+  const lastServed = new Map(); // memberId → índice del último culto asignado
+  const monthlyPlanned = new Map(); // 'memberId|YYYY-MM' → cultos en el plan
+  plannedRoles.forEach((role) => { roleCount[role.id] = new Map(); });
+
+  // Miembros ocupados por día (incluye asignaciones que se conservan)
+  const busyByDay = new Map();
+  const markBusy = (dayKey, memberId) => {
+    if (!busyByDay.has(dayKey)) busyByDay.set(dayKey, new Set());
+    busyByDay.get(dayKey).add(memberId);
+  };
+
+  // Cultos del mes por miembro: los que ya tenía fuera del plan + los del plan
+  const monthTotal = (memberId, month) => {
+    const pref = preferences.get(memberId);
+    const outside = pref && pref.monthly ? (pref.monthly.get(month) || 0) : 0;
+    return outside + (monthlyPlanned.get(`${memberId}|${month}`) || 0);
+  };
+  const addMonthly = (memberId, month) => {
+    const key = `${memberId}|${month}`;
+    monthlyPlanned.set(key, (monthlyPlanned.get(key) || 0) + 1);
+  };
+
+  /**
+   * Penalización por preferencias (0 = ideal):
+   * +2 si ya llegó a su tope mensual, +1 si no es su día preferido.
+   */
+  const penalty = (memberId, date, month) => {
+    const pref = preferences.get(memberId);
+    if (!pref) return 0;
+    let value = 0;
+    if (pref.max && monthTotal(memberId, month) >= pref.max) value += 2;
+    if (pref.weekdays && pref.weekdays.length > 0 && !pref.weekdays.includes(zonedParts(date, timeZone).weekday)) value += 1;
+    return value;
+  };
+
+  // Las asignaciones que NO se van a tocar ocupan a su miembro ese día.
+  // Un miembro con dos roles en un mismo culto cuenta una vez para el tope.
+  events.forEach((event) => {
+    const dayKey = toDateKey(event.start_date, timeZone);
+    const kept = new Set();
+    Object.keys(event.roles || {}).forEach((roleId) => {
+      keptMembers(event, roleId).forEach((memberId) => kept.add(memberId));
+    });
+    kept.forEach((memberId) => {
+      markBusy(dayKey, memberId);
+      addMonthly(memberId, dayKey.slice(0, 7));
+    });
+  });
+
+  const countAssignment = (roleId, memberId, index) => {
+    roleCount[roleId].set(memberId, (roleCount[roleId].get(memberId) || 0) + 1);
+    totalCount.set(memberId, (totalCount.get(memberId) || 0) + 1);
+    lastServed.set(memberId, index);
+  };
+
+  const warnings = [];
+
+  const plan = events.map((event, index) => {
+    const dayKey = toDateKey(event.start_date, timeZone);
+    const month = dayKey.slice(0, 7);
+    const row = {
+      event_id: event.id,
+      title: event.title,
+      start_date: event.start_date,
+      roles: {},
+      changed: [],
+      warnings: [],
+    };
+    Object.keys(event.roles || {}).forEach((roleId) => { row.roles[roleId] = [...current(event, roleId)]; });
+
+    // Los que se conservan cuentan para la rotación
+    plannedRoles.forEach((role) => {
+      keptMembers(event, role.id).forEach((memberId) => countAssignment(role.id, memberId, index));
+    });
+
+    plannedRoles.forEach((role) => {
+      const assigned = [...keptMembers(event, role.id)];
+      const needed = Math.max(role.members_needed || 1, 1);
+
+      while (assigned.length < needed) {
+        const busy = busyByDay.get(dayKey) || new Set();
+        const candidates = pools[role.id].filter((memberId) =>
+          !busy.has(memberId) && !isUnavailable(unavailable.get(memberId), dayKey));
+
+        if (candidates.length === 0) {
+          const message = needed > 1
+            ? `${role.name}: no hay miembros disponibles para ${dayKey} (${assigned.length} de ${needed}).`
+            : `${role.name}: no hay miembros disponibles para ${dayKey}.`;
+          row.warnings.push(message);
+          warnings.push(`${event.title} — ${message}`);
+          break;
+        }
+
+        const order = (memberId) => pools[role.id].indexOf(memberId);
+        candidates.sort((a, b) =>
+          penalty(a, event.start_date, month) - penalty(b, event.start_date, month)
+          || (roleCount[role.id].get(a) || 0) - (roleCount[role.id].get(b) || 0)
+          || (totalCount.get(a) || 0) - (totalCount.get(b) || 0)
+          || (lastServed.has(a) ? lastServed.get(a) : -1) - (lastServed.has(b) ? lastServed.get(b) : -1)
+          || order(a) - order(b));
+
+        const chosen = candidates[0];
+        if (penalty(chosen, event.start_date, month) > 0) {
+          const message = `${role.name}: se asignó fuera de las preferencias del miembro (día o tope mensual).`;
+          row.warnings.push(message);
+          warnings.push(`${event.title} (${dayKey}) — ${message}`);
+        }
+        assigned.push(chosen);
+        addMonthly(chosen, month);
+        countAssignment(role.id, chosen, index);
+        markBusy(dayKey, chosen);
+      }
+
+      row.roles[role.id] = assigned;
+      if (!sameMembers(assigned, current(event, role.id))) row.changed.push(role.id);
+    });
+
+    return row;
+  });
+
+  // Resumen de carga por miembro (para verificar que el reparto es justo)
+  const load = [];
+  totalCount.forEach((total, memberId) => {
+    const entry = { member_id: memberId, total, roles: {} };
+    plannedRoles.forEach((role) => { entry.roles[role.id] = roleCount[role.id].get(memberId) || 0; });
+    load.push(entry);
+  });
+  load.sort((a, b) => b.total - a.total);
+
+  return { plan, load, warnings };
+}
+
+module.exports = {
+  planRoleRotation,
+};
@@ -13,6 +13,7 @@
  * Dependencia: pdfkit (npm install pdfkit)
  */
 const PDFDocument = require('pdfkit');
+const { DEFAULT_TIMEZONE, toWallClock } = require('./timezone');
 
 // =============================================
 // CONFIGURACIÓN
@@ -55,9 +56,10 @@ const MONTH_HEADER_COLORS = [
  * @param {number} options.year - Año del calendario
  * @param {string} options.churchName - Nombre de la iglesia
  * @param {Array}  options.events - Eventos de tipo "Ventas" con start_date, title
+ * @param {string} options.timeZone - Zona horaria de la iglesia
  * @returns {PDFDocument} Documento PDF (pipe a response)
  */
-function generateSalesCalendarPdf({ year, churchName, events }) {
+function generateSalesCalendarPdf({ year, churchName, events, timeZone = DEFAULT_TIMEZONE }) {
   const doc = new PDFDocument({
     size: 'LETTER',
     layout: 'landscape',
@@ -85,7 +87,7 @@ function generateSalesCalendarPdf({ year, churchName, events }) {
    */
   const eventsByMonth = {};
   events.forEach((ev) => {
-    const d = new Date(ev.start_date);
+    const d = toWallClock(ev.start_date, timeZone);
     const monthIdx = d.getMonth(); // 0-11
     if (!eventsByMonth[monthIdx]) eventsByMonth[monthIdx] = [];
     eventsByMonth[monthIdx].push({
@@ -264,7 +266,7 @@ function generateSalesCalendarPdf({ year, churchName, events }) {
   const now = new Date();
   const genDate = now.toLocaleDateString('es-ES', {
     year: 'numeric', month: 'long', day: 'numeric',
-    hour: '2-digit', minute: '2-digit',
+    hour: '2-digit', minute: '2-digit', timeZone,
   });
   doc.font('Helvetica').fontSize(6.5).fillColor('#999')
      .text(`Generado: ${genDate}`, startX, footerY + 14, {
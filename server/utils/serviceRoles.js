@@ -0,0 +1,194 @@
+/**
+ * serviceRoles.js - Roles de servicio en el culto (catálogo + asignaciones)
+ *
+ * Cada iglesia tiene su catálogo (service_roles) y cada culto sus
+ * asignaciones (event_role_assignments). Este módulo centraliza:
+ * - Los roles por defecto de una iglesia nueva (los antiguos P, D, C)
+ * - El include estándar para cargar las asignaciones junto con el evento
+ * - La sanitización del payload que envía el frontend
+ * - El reemplazo de asignaciones de un culto (conserva las que no cambian)
+ * - Agrupar asignaciones por rol (tablas, PDF, recordatorios)
+ * - El enlace público de confirmación de cada asignación
+ *
+ * FORMATO DEL PAYLOAD (create/update de eventos):
+ *   role_assignments: [{ service_role_id: 1, member_id: 12 }, ...]
+ */
+const { Op } = require('sequelize');
+const { ServiceRole, EventRoleAssignment, Member } = require('../models');
+const { CONTACT_ATTRIBUTES } = require('./consent');
+
+/**
+ * Roles creados automáticamente para cada iglesia.
+ * Son los tres roles fijos que existían antes (preacher/worship_leader/singer).
+ * `legacy_column` solo lo usa la migración para mover las asignaciones viejas.
+ */
+const DEFAULT_SERVICE_ROLES = [
+  { name: 'Predica', abbreviation: 'P', reminder_text: 'Predicar', sort_order: 1, legacy_column: 'preacher_id' },
+  { name: 'Dirige', abbreviation: 'D', reminder_text: 'Dirigir la adoración', sort_order: 2, legacy_column: 'worship_leader_id' },
+  { name: 'Canta', abbreviation: 'C', reminder_text: 'Cantar (líder de cánticos)', sort_order: 3, legacy_column: 'singer_id' },
+];
+
+/** Estados de una asignación (el miembro confirma o declina desde el enlace) */
+const ASSIGNMENT_STATUSES = ['pending', 'confirmed', 'declined'];
+
+const ASSIGNMENT_STATUS_LABELS = {
+  pending: 'Pendiente',
+  confirmed: 'Confirmado',
+  declined: 'No puede',
+};
+
+/** Include para cargar las asignaciones de roles con su rol y miembro */
+const ROLE_ASSIGNMENTS_INCLUDE = {
+  model: EventRoleAssignment,
+  as: 'role_assignments',
+  required: false,
+  include: [
+    { model: ServiceRole, as: 'role', attributes: ['id', 'name', 'abbreviation', 'reminder_text', 'sort_order'] },
+    // Datos de contacto: los recordatorios usan teléfono, correo, canales y consentimiento
+    { model: Member, as: 'member', attributes: ['id', 'first_name', 'last_name', ...CONTACT_ATTRIBUTES] },
+  ],
+};
+
+/**
+ * Crea los roles por defecto si la iglesia todavía no tiene ninguno.
+ * @returns {Array} Roles de la iglesia
+ */
+async function ensureDefaultServiceRoles(churchId, { transaction } = {}) {
+  const existing = await ServiceRole.findAll({ where: { church_id: churchId }, transaction });
+  if (existing.length > 0) return existing;
+
+  return ServiceRole.bulkCreate(
+    DEFAULT_SERVICE_ROLES.map(({ legacy_column, ...role }) => ({ ...role, church_id: churchId })),
+    { transaction },
+  );
+}
+
+/**
+ * Sanitiza las asignaciones enviadas por el frontend.
+ * Convierte a enteros, descarta filas incompletas y duplicados.
+ *
+ * @param {Array} input - [{ service_role_id, member_id }]
+ * @returns {Array|undefined} Lista limpia, o undefined si no se envió (no tocar roles)
+ */
+function normalizeRoleAssignments(input) {
+  if (input === undefined || input === null) return undefined;
+  if (!Array.isArray(input)) return [];
+
+  const seen = new Set();
+  const result = [];
+  input.forEach((a) => {
+    const roleId = parseInt(a.service_role_id, 10);
+    const memberId = parseInt(a.member_id, 10);
+    if (isNaN(roleId) || isNaN(memberId)) return;
+    const key = `${roleId}|${memberId}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    result.push({ service_role_id: roleId, member_id: memberId });
+  });
+  return result;
+}
+
+/**
+ * Verifica que los roles y miembros pertenezcan a la iglesia del culto.
+ * @returns {string|null} Mensaje de error o null si todo es válido
+ */
+async function validateRoleAssignments(assignments, churchId, { transaction } = {}) {
+  if (!assignments || assignments.length === 0) return null;
+
+  const roleIds = [...new Set(assignments.map((a) => a.service_role_id))];
+  const memberIds = [...new Set(assignments.map((a) => a.member_id))];
+
+  const roles = await ServiceRole.count({
+    where: { id: { [Op.in]: roleIds }, church_id: churchId },
+    transaction,
+  });
+  if (roles !== roleIds.length) return 'Uno de los roles no pertenece a la iglesia del culto.';
+
+  const members = await Member.count({
+    where: { id: { [Op.in]: memberIds }, church_id: churchId },
+    transaction,
+  });
+  if (members !== memberIds.length) return 'Uno de los miembros asignados no pertenece a la iglesia del culto.';
+
+  return null;
+}
+
+/**
+ * Reemplaza las asignaciones de un culto por `assignments`.
+ * Las filas que no cambian se conservan (no se borran y recrean).
+ *
+ * @param {number} eventId
+ * @param {Array} assignments - [{ service_role_id, member_id }] ya sanitizadas
+ * @param {Object} options - { transaction, roleIds } roleIds = solo reemplazar esos roles
+ */
+async function replaceEventRoles(eventId, assignments, { transaction, roleIds } = {}) {
+  const where = { event_id: eventId };
+  if (roleIds) where.service_role_id = { [Op.in]: roleIds };
+  const current = await EventRoleAssignment.findAll({ where, transaction });
+
+  const wanted = new Set(assignments.map((a) => `${a.service_role_id}|${a.member_id}`));
+  const kept = new Set();
+
+  const toDelete = current.filter((row) => {
+    const key = `${row.service_role_id}|${row.member_id}`;
+    if (wanted.has(key)) {
+      kept.add(key);
+      return false;
+    }
+    return true;
+  });
+  if (toDelete.length > 0) {
+    await EventRoleAssignment.destroy({ where: { id: { [Op.in]: toDelete.map((r) => r.id) } }, transaction });
+  }
+
+  const toCreate = assignments
+    .filter((a) => !kept.has(`${a.service_role_id}|${a.member_id}`))
+    .map((a) => ({ event_id: eventId, service_role_id: a.service_role_id, member_id: a.member_id }));
+  if (toCreate.length > 0) await EventRoleAssignment.bulkCreate(toCreate, { transaction });
+
+  return { created: toCreate.length, removed: toDelete.length };
+}
+
+/** Ordena asignaciones (con include role) en el orden del catálogo */
+function sortAssignments(assignments = []) {
+  return [...assignments].sort((x, y) => ((x.role?.sort_order || 0) - (y.role?.sort_order || 0))
+    || (x.service_role_id - y.service_role_id)
+    || (x.id - y.id));
+}
+
+/**
+ * URL pública (sin login) para que el miembro confirme o decline su rol.
+ * PUBLIC_APP_URL = dirección del frontend (en producción, el mismo servidor).
+ */
+function confirmationUrl(token) {
+  const base = (process.env.PUBLIC_APP_URL || process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}/confirmar/${token}`;
+}
+
+/**
+ * Agrupa las asignaciones (con include role/member) por rol, en el orden del catálogo.
+ * @returns {Array} [{ role, members: [Member] }]
+ */
+function groupAssignmentsByRole(assignments = []) {
+  const groups = new Map();
+  assignments.forEach((a) => {
+    if (!a.role || !a.member) return;
+    if (!groups.has(a.role.id)) groups.set(a.role.id, { role: a.role, members: [] });
+    groups.get(a.role.id).members.push(a.member);
+  });
+  return [...groups.values()].sort((x, y) => (x.role.sort_order - y.role.sort_order) || (x.role.id - y.role.id));
+}
+
+module.exports = {
+  DEFAULT_SERVICE_ROLES,
+  ASSIGNMENT_STATUSES,
+  ASSIGNMENT_STATUS_LABELS,
+  ROLE_ASSIGNMENTS_INCLUDE,
+  ensureDefaultServiceRoles,
+  normalizeRoleAssignments,
+  validateRoleAssignments,
+  replaceEventRoles,
+  groupAssignmentsByRole,
+  sortAssignments,
+  confirmationUrl,
+};
@@ -0,0 +1,193 @@
+/**
+ * sessions.js - Sesiones con token de acceso corto y refresh token rotativo
+ *
+ * - Token de acceso: JWT con el id de la sesión (sid), vence en
+ *   JWT_EXPIRES_IN (default: 15m). authenticate (middleware/auth.js)
+ *   rechaza los tokens de sesiones revocadas o vencidas.
+ * - Refresh token: aleatorio, en la BD solo queda su SHA-256. Cada uso
+ *   (POST /api/auth/refresh) entrega uno nuevo y el anterior deja de servir;
+ *   si el anterior se vuelve a presentar pasado el margen de REUSE_GRACE_MS
+ *   (pestañas que refrescan a la vez) la sesión se revoca.
+ * - La sesión vence a los REFRESH_TOKEN_DAYS días sin usarse (default: 30).
+ * - Revocación forzada: cambio de rol o de contraseña hecho por un
+ *   Administrador, restablecimiento de contraseña, usuario desactivado o
+ *   eliminado (revokeUserSessions).
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { User, Role, Church, UserSession } = require('../models');
+const { clientIp } = require('./audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Margen para presentar el refresh token anterior sin revocar la sesión */
+const REUSE_GRACE_MS = 30 * 1000;
+
+/** Sesiones cerradas o vencidas que se conservan antes de borrarlas */
+const KEEP_CLOSED_MS = 30 * DAY_MS;
+
+const getRefreshDays = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role_id: user.role_id, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+}
+
+const userAgentOf = (req) => (req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null);
+
+/** "Chrome en Windows" a partir del User-Agent (para la lista de sesiones) */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Dispositivo desconocido';
+  const ua = userAgent;
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /OPR\/|Opera/.test(ua) ? 'Opera'
+      : /Chrome\//.test(ua) ? 'Chrome'
+        : /Firefox\//.test(ua) ? 'Firefox'
+          : /Safari\//.test(ua) ? 'Safari'
+            : 'Navegador';
+  const os = /Windows/.test(ua) ? 'Windows'
+    : /Android/.test(ua) ? 'Android'
+      : /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+        : /Mac OS X/.test(ua) ? 'macOS'
+          : /Linux/.test(ua) ? 'Linux'
+            : null;
+  return os ? `${browser} en ${os}` : browser;
+}
+
+/**
+ * Abre una sesión para el usuario (login / registro).
+ * @returns {Promise<{ token: string, refresh_token: string, session: Object }>}
+ */
+async function createSession(user, req, { transaction } = {}) {
+  const refreshToken = newRefreshToken();
+  const session = await UserSession.create({
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    user_agent: userAgentOf(req),
+    ip: clientIp(req),
+    last_used_at: new Date(),
+    expires_at: new Date(Date.now() + getRefreshDays() * DAY_MS),
+  }, { transaction });
+
+  // Limpieza de sesiones cerradas o vencidas hace tiempo
+  const oldest = new Date(Date.now() - KEEP_CLOSED_MS);
+  UserSession.destroy({
+    where: { [Op.or]: [{ revoked_at: { [Op.lt]: oldest } }, { expires_at: { [Op.lt]: oldest } }] },
+  }).catch((err) => console.error('[SESSIONS] Error limpiando sesiones viejas:', err.message));
+
+  return { token: signAccessToken(user, session.id), refresh_token: refreshToken, session };
+}
+
+/**
+ * Renueva el token de acceso con un refresh token (y lo rota).
+ *
+ * @returns {Promise<{ status: 'ok'|'invalid'|'expired'|'reused'|'inactive', token?, refresh_token?, user? }>}
+ */
+async function refreshSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const session = await UserSession.findOne({ where: { refresh_token_hash: hash } });
+
+  if (!session) {
+    const previous = await UserSession.findOne({ where: { previous_token_hash: hash, revoked_at: null } });
+    if (!previous) return { status: 'invalid' };
+    if (Date.now() - new Date(previous.last_used_at).getTime() <= REUSE_GRACE_MS) return { status: 'invalid' };
+    await previous.update({ revoked_at: new Date(), revoked_reason: 'token_reuse' });
+    console.warn(`[SESSIONS] ⚠️ Refresh token reutilizado: sesión ${previous.id} del usuario ${previous.user_id} revocada`);
+    return { status: 'reused' };
+  }
+
+  if (session.revoked_at) return { status: 'invalid' };
+  if (new Date(session.expires_at) < new Date()) return { status: 'expired' };
+
+  const user = await User.findByPk(session.user_id, {
+    include: [
+      { model: Role, as: 'role' },
+      { model: Church, as: 'church', attributes: ['id', 'name'] },
+    ],
+  });
+  if (!user || !user.is_active) {
+    await session.update({ revoked_at: new Date(), revoked_reason: 'deactivated' });
+    return { status: 'inactive' };
+  }
+
+  // Rotación: solo gana una petición si dos usan el mismo token a la vez
+  const nextToken = newRefreshToken();
+  const [rotated] = await UserSession.update({
+    refresh_token_hash: hashToken(nextToken),
+    previous_token_hash: hash,
+    last_used_at: new Date(),
+    expires_at: new Date(Date.now() + getRefreshDays() * DAY_MS),
+    user_agent: userAgentOf(req) || session.user_agent,
+    ip: clientIp(req),
+  }, { where: { id: session.id, refresh_token_hash: hash, revoked_at: null } });
+  if (rotated === 0) return { status: 'invalid' };
+
+  return { status: 'ok', token: signAccessToken(user, session.id), refresh_token: nextToken, user };
+}
+
+/** ¿Sigue vigente la sesión del token de acceso? (middleware authenticate) */
+async function isSessionActive(sessionId, userId) {
+  const session = await UserSession.findByPk(sessionId, {
+    attributes: ['id', 'user_id', 'revoked_at', 'expires_at'],
+  });
+  return !!session && session.user_id === userId && !session.revoked_at && new Date(session.expires_at) > new Date();
+}
+
+/**
+ * Revoca la sesión de un refresh token (cierre de sesión).
+ * @returns {Promise<boolean>} false si no existía o ya estaba cerrada
+ */
+async function revokeByRefreshToken(refreshToken, reason = 'logout') {
+  const [count] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { refresh_token_hash: hashToken(refreshToken), revoked_at: null } }
+  );
+  return count > 0;
+}
+
+/**
+ * Revoca todas las sesiones abiertas de un usuario.
+ * @param {number} userId
+ * @param {string} reason - Ver REVOKE_REASONS en models/UserSession.js
+ * @param {Object} options - { transaction, exceptSessionId }
+ * @returns {Promise<number>} Sesiones revocadas
+ */
+async function revokeUserSessions(userId, reason, { transaction, exceptSessionId } = {}) {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+  const [count] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where, transaction }
+  );
+  return count;
+}
+
+/** Sesiones abiertas de un usuario, la más reciente primero */
+async function listActiveSessions(userId) {
+  const sessions = await UserSession.findAll({
+    where: { user_id: userId, revoked_at: null, expires_at: { [Op.gt]: new Date() } },
+    attributes: ['id', 'user_agent', 'ip', 'last_used_at', 'expires_at', 'createdAt'],
+    order: [['last_used_at', 'DESC']],
+  });
+  return sessions.map((s) => ({ ...s.toJSON(), device: describeDevice(s.user_agent) }));
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeByRefreshToken,
+  revokeUserSessions,
+  listActiveSessions,
+};
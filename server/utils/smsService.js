@@ -0,0 +1,92 @@
+/**
+ * smsService.js - Envío de SMS por una pasarela HTTP genérica
+ *
+ * Canal "sms" de las notificaciones (ver notificationChannels.js).
+ * Sirve para cualquier proveedor que reciba un POST JSON; si el proveedor
+ * usa otros nombres de campo, se adapta con las variables SMS_GATEWAY_*.
+ *
+ * TRANSPORTES (SMS_TRANSPORT, o NOTIFICATION_TRANSPORT para todos los canales):
+ * - gateway (default): POST a SMS_GATEWAY_URL
+ * - console: imprime el SMS en la consola del servidor (desarrollo, sin red)
+ *
+ * CONFIGURACIÓN en .env:
+ *   SMS_GATEWAY_URL=https://api.proveedor.com/v1/sms
+ *   SMS_GATEWAY_TOKEN=token           (se envía como "Authorization: Bearer ...")
+ *   SMS_GATEWAY_FROM=IGLESIA          (remitente, opcional)
+ *   SMS_GATEWAY_TO_FIELD=to           (opcional, nombre del campo destino)
+ *   SMS_GATEWAY_TEXT_FIELD=message    (opcional, nombre del campo texto)
+ *
+ * Cuerpo enviado: { to: "50760164352", message: "...", from: "IGLESIA" }
+ * El id del mensaje se lee de la respuesta: id, message_id, sid o messageId.
+ */
+
+const crypto = require('crypto');
+
+/** Transporte activo: 'gateway' o 'console' */
+function getSmsTransport() {
+  return process.env.SMS_TRANSPORT || process.env.NOTIFICATION_TRANSPORT || 'gateway';
+}
+
+/** ¿Se pueden enviar SMS con la configuración actual? */
+function isSmsConfigured() {
+  return getSmsTransport() === 'console' || !!process.env.SMS_GATEWAY_URL;
+}
+
+/**
+ * Envía un SMS.
+ *
+ * @param {string} to - Número ya normalizado con código de país (ej: "50760164352")
+ * @param {string} text - Texto del mensaje
+ * @returns {Promise<Object>} { success: boolean, messageId, error }
+ */
+async function sendSms(to, text) {
+  if (getSmsTransport() === 'console') {
+    const messageId = `console-${crypto.randomBytes(6).toString('hex')}`;
+    console.log(`[SMS] 📱 (console) Para +${to} (${text.length} caracteres):\n${text}\n`);
+    return { success: true, messageId };
+  }
+
+  const url = process.env.SMS_GATEWAY_URL;
+  if (!url) {
+    console.warn('[SMS] Variable SMS_GATEWAY_URL no configurada.');
+    return { success: false, error: 'SMS no configurado' };
+  }
+
+  const body = {
+    [process.env.SMS_GATEWAY_TO_FIELD || 'to']: to,
+    [process.env.SMS_GATEWAY_TEXT_FIELD || 'message']: text,
+  };
+  if (process.env.SMS_GATEWAY_FROM) body.from = process.env.SMS_GATEWAY_FROM;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.SMS_GATEWAY_TOKEN) headers.Authorization = `Bearer ${process.env.SMS_GATEWAY_TOKEN}`;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(15000),
+    });
+    const raw = await response.text();
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (parseErr) {
+      data = { raw };
+    }
+
+    if (!response.ok) {
+      console.error(`[SMS] ❌ Error ${response.status} al enviar a ${to}:`, data);
+      return { success: false, error: data.error || data.message || `HTTP ${response.status}` };
+    }
+
+    console.log(`[SMS] ✅ SMS enviado a ${to}`);
+    return { success: true, messageId: data.id || data.message_id || data.sid || data.messageId || null };
+  } catch (err) {
+    console.error(`[SMS] ❌ Error de red al enviar a ${to}:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { sendSms, isSmsConfigured, getSmsTransport };
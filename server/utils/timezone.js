@@ -0,0 +1,144 @@
+/**
+ * timezone.js - Fechas en la zona horaria de cada iglesia
+ *
+ * El servidor (Render) corre en UTC, pero las congregaciones de la red están
+ * en distintos países. Church.timezone (nombre IANA, ej: 'America/Panama')
+ * define el "día" y la hora de la iglesia para el scheduler, los rangos de
+ * consulta por día/mes, los mensajes de WhatsApp y los calendarios PDF.
+ * Church.default_country_code se antepone a los teléfonos locales.
+ *
+ * Usa Intl (ICU incluido en Node), sin dependencias externas.
+ */
+
+const DEFAULT_TIMEZONE = 'America/Panama';
+const DEFAULT_COUNTRY_CODE = '507';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** true si `tz` es un nombre IANA reconocido por Intl */
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** Zona de la iglesia, o la zona por defecto si no está configurada/es inválida */
+function resolveTimezone(tz) {
+  return isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+/** Código de país solo con dígitos (1-4), o null si no es válido */
+function normalizeCountryCode(code) {
+  const digits = String(code || '').replace(/\D/g, '');
+  return /^\d{1,4}$/.test(digits) ? digits : null;
+}
+
+// Un formateador por zona (crearlos es costoso)
+const formatters = new Map();
+function getFormatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return formatters.get(tz);
+}
+
+/**
+ * Componentes de fecha/hora de un instante en la zona `tz`.
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0=Domingo) }
+ */
+function zonedParts(date, tz) {
+  const parts = {};
+  getFormatter(resolveTimezone(tz)).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  return {
+    year: parts.year, month: parts.month, day: parts.day,
+    hour: parts.hour % 24, minute: parts.minute, second: parts.second, weekday,
+  };
+}
+
+/** Fecha 'YYYY-MM-DD' de un instante en la zona `tz` */
+function localDateKey(date, tz) {
+  const p = zonedParts(date, tz);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/** Suma días a una fecha 'YYYY-MM-DD' */
+function addDays(dateKey, days) {
+  const d = new Date(`${dateKey}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Minutos de diferencia entre la hora local de `tz` y UTC en ese instante */
+function offsetMinutes(date, tz) {
+  const ts = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const p = zonedParts(ts, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - ts) / 60000);
+}
+
+/**
+ * Instante (Date) que corresponde a una fecha/hora "de reloj" en la zona `tz`.
+ * Ej: zonedTimeToUtc('2026-03-01', '00:00', 'America/Panama') → 2026-03-01T05:00:00Z
+ */
+function zonedTimeToUtc(dateKey, time = '00:00', tz) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const [hh = 0, mm = 0, ss = 0] = time.split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm, ss);
+  // Segunda pasada: corrige el desfase si el día cambia de horario (DST)
+  let ts = wall - offsetMinutes(wall, tz) * 60000;
+  ts = wall - offsetMinutes(ts, tz) * 60000;
+  return new Date(ts);
+}
+
+/** [inicio, fin] (inclusive) del día 'YYYY-MM-DD' en la zona `tz` */
+function dayRange(dateKey, tz) {
+  const start = zonedTimeToUtc(dateKey, '00:00', tz);
+  const next = zonedTimeToUtc(addDays(dateKey, 1), '00:00', tz);
+  return [start, new Date(next.getTime() - 1)];
+}
+
+/** [inicio, fin] (inclusive) del mes (1-12) en la zona `tz` */
+function monthRange(year, month, tz) {
+  const first = `${year}-${pad(month)}-01`;
+  const nextFirst = month === 12 ? `${year + 1}-01-01` : `${year}-${pad(month + 1)}-01`;
+  const start = zonedTimeToUtc(first, '00:00', tz);
+  const next = zonedTimeToUtc(nextFirst, '00:00', tz);
+  return [start, new Date(next.getTime() - 1)];
+}
+
+/**
+ * Date cuya hora LOCAL del servidor es la hora "de reloj" de la iglesia.
+ * Para los generadores PDF, que usan getHours()/getDate()/getDay():
+ * convertir las fechas con esta función antes de dibujarlas.
+ */
+function toWallClock(date, tz) {
+  const p = zonedParts(date, tz);
+  return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_COUNTRY_CODE,
+  isValidTimezone,
+  resolveTimezone,
+  normalizeCountryCode,
+  zonedParts,
+  localDateKey,
+  addDays,
+  zonedTimeToUtc,
+  dayRange,
+  monthRange,
+  toWallClock,
+};
@@ -0,0 +1,144 @@
+/**
+ * transferLetterPdf.js - Carta de traslado de un miembro
+ *
+ * - Vertical, tamaño carta
+ * - Encabezado con el logo y el nombre de la iglesia de origen (pdfBranding.js)
+ * - Destinatario (iglesia de destino), datos del miembro (tipo, bautismo,
+ *   miembro desde) y motivo del traslado
+ * - Estado de la solicitud: pendiente (carta de presentación) o aceptada
+ *   (con la fecha efectiva del traslado)
+ * - Firmas: Pastor / Responsable y Secretaría de la iglesia de origen
+ *
+ * Datos: member_transfers (ver models/MemberTransfer.js)
+ * Dependencia: pdfkit (npm install pdfkit)
+ */
+const PDFDocument = require('pdfkit');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+const { drawChurchLogo, formatLongDate } = require('./pdfBranding');
+
+const PRIMARY = '#0D47A1';
+
+/**
+ * @param {Object} params
+ * @param {Object} params.transfer - MemberTransfer (id, status, reason, transfer_date)
+ * @param {Object} params.member - { first_name, last_name, member_type, baptized, baptism_date, joined_date }
+ * @param {Object} params.fromChurch - { name, address, phone, responsible }
+ * @param {Object} params.toChurch - { name, address }
+ * @param {string} [params.logoPath] - Logo de la iglesia de origen
+ * @param {string} params.issuedDate - Fecha de emisión 'YYYY-MM-DD' (zona de la iglesia)
+ */
+function generateTransferLetterPdf({
+  transfer, member, fromChurch, toChurch, logoPath, issuedDate, timeZone = DEFAULT_TIMEZONE,
+}) {
+  const memberName = `${member.first_name} ${member.last_name}`;
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margins: { top: 40, bottom: 40, left: 60, right: 60 },
+    info: {
+      Title: `Carta de traslado T-${transfer.id} - ${memberName}`,
+      Author: 'Gestión Cristiana TMDV',
+      Subject: `Carta de traslado - ${fromChurch.name} a ${toChurch.name}`,
+    },
+  });
+
+  const startX = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // =========================================
+  // ENCABEZADO: logo + iglesia de origen
+  // =========================================
+  let y = doc.page.margins.top;
+  const hasLogo = drawChurchLogo(doc, logoPath, startX, y, 60);
+  const headerX = hasLogo ? startX + 72 : startX;
+  doc.font('Helvetica-Bold').fontSize(15).fillColor(PRIMARY)
+     .text(fromChurch.name, headerX, y + 8, { width: width - (headerX - startX) });
+  const contact = [fromChurch.address, fromChurch.phone].filter(Boolean).join(' · ');
+  if (contact) {
+    doc.font('Helvetica').fontSize(9).fillColor('#666666')
+       .text(contact, headerX, doc.y + 2, { width: width - (headerX - startX) });
+  }
+  y = Math.max(doc.y, y + 60) + 10;
+  doc.rect(startX, y, width, 2).fill(PRIMARY);
+
+  // =========================================
+  // FECHA, NÚMERO Y DESTINATARIO
+  // =========================================
+  y += 18;
+  doc.font('Helvetica').fontSize(10).fillColor('#444444')
+     .text(formatLongDate(issuedDate), startX, y, { width, align: 'right' });
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#444444')
+     .text(`Carta N° T-${transfer.id}`, startX, y);
+
+  y = doc.y + 16;
+  doc.font('Helvetica').fontSize(11).fillColor('#222222')
+     .text('Señores', startX, y)
+     .font('Helvetica-Bold').text(toChurch.name)
+     .font('Helvetica').text(toChurch.address || '')
+     .text('Presente.');
+
+  // =========================================
+  // CUERPO
+  // =========================================
+  y = doc.y + 14;
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(PRIMARY)
+     .text('CARTA DE TRASLADO', startX, y, { width, align: 'center' });
+
+  y = doc.y + 12;
+  const lines = [
+    `Por medio de la presente, la ${fromChurch.name} presenta a ${memberName}, `
+    + `${member.member_type === 'Miembro' ? 'miembro' : member.member_type.toLowerCase()} de nuestra congregación`
+    + `${member.joined_date ? ` desde el ${formatLongDate(member.joined_date)}` : ''}, `
+    + 'quien solicita ser recibido(a) en la comunión de su iglesia.',
+  ];
+  if (member.baptized) {
+    lines.push(`Fue bautizado(a)${member.baptism_date ? ` el ${formatLongDate(member.baptism_date)}` : ''}`
+      + `${member.certificate_number ? ` (certificado N° ${member.certificate_number})` : ''}.`);
+  }
+  if (transfer.reason) lines.push(`Motivo del traslado: ${transfer.reason}`);
+  if (transfer.status === 'accepted' && transfer.transfer_date) {
+    lines.push(`El traslado fue aceptado por la iglesia de destino con fecha ${formatLongDate(transfer.transfer_date)}.`);
+  } else {
+    lines.push('Agradecemos recibirle con el amor fraternal que nos une en Cristo.');
+  }
+
+  doc.font('Helvetica').fontSize(11).fillColor('#222222');
+  lines.forEach((line) => {
+    doc.text(line, startX, y, { width, align: 'justify', lineGap: 3 });
+    y = doc.y + 10;
+  });
+
+  doc.text('Fraternalmente,', startX, y + 6);
+
+  // =========================================
+  // FIRMAS
+  // =========================================
+  const signY = Math.max(doc.y + 70, doc.page.height - 190);
+  const signWidth = 200;
+  const signatures = [
+    { x: startX, label: 'Pastor / Responsable', name: fromChurch.responsible || '' },
+    { x: startX + width - signWidth, label: 'Secretaría', name: '' },
+  ];
+  signatures.forEach((s) => {
+    doc.lineWidth(0.8).moveTo(s.x, signY).lineTo(s.x + signWidth, signY).stroke('#444444');
+    if (s.name) {
+      doc.font('Helvetica').fontSize(10).fillColor('#222222')
+         .text(s.name, s.x, signY + 5, { width: signWidth, align: 'center' });
+    }
+    doc.font('Helvetica').fontSize(8.5).fillColor('#777777')
+       .text(s.label, s.x, signY + (s.name ? 18 : 5), { width: signWidth, align: 'center' });
+  });
+
+  const genDate = new Date().toLocaleDateString('es-ES', {
+    year: 'numeric', month: 'long', day: 'numeric',
+    hour: '2-digit', minute: '2-digit', timeZone,
+  });
+  doc.font('Helvetica').fontSize(6.5).fillColor('#999')
+     .text(`Generado: ${genDate}`, startX, doc.page.height - doc.page.margins.bottom - 10, {
+       width, align: 'right',
+     });
+
+  doc.end();
+  return doc;
+}
+
+module.exports = { generateTransferLetterPdf };
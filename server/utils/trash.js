@@ -0,0 +1,294 @@
+/**
+ * trash.js - Papelera de miembros, eventos y actas
+ *
+ * Member, Event y Minute son paranoid: destroy() solo marca deleted_at (y
+ * deleted_by) y las consultas normales dejan de devolverlos. Sus datos
+ * relacionados se conservan (asistencias y decisiones de fe, roles de culto,
+ * bautismo, fechas bloqueadas, mociones, archivos) para poder restaurarlos.
+ *
+ * - Restaurar: vuelve a contar en las estadísticas de la iglesia
+ *   (membresía y cargos para miembros, decisiones de fe para eventos).
+ * - Eliminar definitivamente: borra el registro y sus datos relacionados,
+ *   igual que el borrado anterior a la papelera.
+ * - Purga automática: una vez al día se eliminan los registros con más de
+ *   TRASH_RETENTION_DAYS días en la papelera (default 30; 0 = no purgar).
+ */
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  Member, Event, Minute, Church, EventSeries, EventAttendee, EventRoleAssignment, MemberBlackout, Baptism,
+  MemberTimelineEvent, MemberConsentEvent, MemberTransfer, Household, MinuteFile, MinuteAttendee,
+  Motion, MotionVoter,
+} = require('../models');
+const {
+  recalculateChurchFaithDecisions, recalculateChurchRoleCounts, recalculateMembershipCount,
+} = require('./churchStats');
+const { toDateKey } = require('./recurrence');
+const { resolveTimezone } = require('./timezone');
+
+let cron;
+try {
+  cron = require('node-cron');
+} catch (err) {
+  cron = null;
+}
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Tipos de registro de la papelera.
+ * searchFields: columnas para ?search= · describe: título y detalle para la lista
+ */
+const TRASH_TYPES = {
+  members: {
+    model: Member,
+    label: 'Miembros',
+    searchFields: ['first_name', 'last_name'],
+    describe: (m) => ({ title: `${m.first_name} ${m.last_name}`, detail: m.member_type }),
+  },
+  events: {
+    model: Event,
+    label: 'Eventos',
+    searchFields: ['title'],
+    describe: (e) => ({ title: e.title, detail: e.event_type, date: e.start_date }),
+  },
+  minutes: {
+    model: Minute,
+    label: 'Actas',
+    searchFields: ['title'],
+    describe: (m) => ({ title: m.title, detail: m.objective, date: m.meeting_date }),
+  },
+};
+
+/** Días que un registro permanece en la papelera (0 = sin purga automática) */
+function getRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+}
+
+/** Fecha en que se purgará un registro eliminado en `deletedAt`, o null si no hay purga */
+function purgeDate(deletedAt) {
+  const days = getRetentionDays();
+  if (!days || !deletedAt) return null;
+  return new Date(new Date(deletedAt).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Envía registros a la papelera dejando quién los eliminó.
+ * @param {Object} model - Member, Event o Minute
+ * @param {Array<number>} ids
+ * @param {Object} options - { userId, transaction }
+ */
+async function moveToTrash(model, ids, { userId, transaction } = {}) {
+  if (ids.length === 0) return;
+  await model.update({ deleted_by: userId || null }, { where: { id: { [Op.in]: ids } }, transaction });
+  await model.destroy({ where: { id: { [Op.in]: ids } }, transaction });
+}
+
+/**
+ * Reubica un evento en su serie antes de restaurarlo.
+ * Vuelve a la serie (y su fecha sale de excluded_dates) salvo que la serie ya
+ * no exista, termine antes de esa fecha o ya tenga otra ocurrencia ese día;
+ * en esos casos queda como evento suelto.
+ * @returns {boolean} true si quedó desvinculado de la serie
+ */
+async function reattachToSeries(event, transaction) {
+  if (!event.series_id) return false;
+
+  const series = await EventSeries.findByPk(event.series_id, { transaction });
+  // Las fechas de la serie (until_date, excluded_dates) son días de la iglesia
+  const church = await Church.findByPk(event.church_id, { attributes: ['timezone'], transaction });
+  const timeZone = resolveTimezone(church && church.timezone);
+  const dateKey = toDateKey(event.start_date, timeZone);
+  let detach = !series || (series.until_date && dateKey > series.until_date);
+
+  if (!detach) {
+    const occurrences = await Event.findAll({
+      where: { series_id: series.id, id: { [Op.ne]: event.id } },
+      attributes: ['start_date'],
+      transaction,
+    });
+    detach = occurrences.some((o) => toDateKey(o.start_date, timeZone) === dateKey);
+  }
+
+  if (detach) {
+    await event.update({ series_id: null, is_series_exception: false }, { transaction });
+    return true;
+  }
+
+  const excluded = series.excluded_dates || [];
+  if (excluded.includes(dateKey)) {
+    await series.update({ excluded_dates: excluded.filter((d) => d !== dateKey) }, { transaction });
+  }
+  return false;
+}
+
+/**
+ * Restaura un registro de la papelera (en transacción).
+ * @param {string} type - members | events | minutes
+ * @param {Object} record - Instancia cargada con paranoid: false
+ * @returns {Object} { detached_from_series } (solo eventos)
+ */
+async function restoreRecord(type, record, { transaction } = {}) {
+  const result = {};
+
+  if (type === 'events') {
+    result.detached_from_series = await reattachToSeries(record, transaction);
+  }
+  if (type === 'members' && record.household_id) {
+    // El hogar pudo eliminarse mientras el miembro estaba en la papelera
+    const household = await Household.findByPk(record.household_id, { attributes: ['id'], transaction });
+    if (!household) {
+      await record.update({ household_id: null, household_relationship: null }, { transaction });
+    }
+  }
+
+  await record.restore({ transaction });
+  await record.update({ deleted_by: null }, { transaction });
+  return result;
+}
+
+/**
+ * Recalcula las estadísticas de la iglesia después de restaurar (o purgar)
+ * un registro. Los errores se registran sin interrumpir la respuesta.
+ */
+async function recalculateTrashStats(type, record) {
+  if (type === 'minutes') return;
+
+  try {
+    const church = await Church.findByPk(record.church_id);
+    if (!church) return;
+    if (type === 'members') {
+      await recalculateMembershipCount(church);
+      if (record.church_role || record.position_id) await recalculateChurchRoleCounts(church);
+    } else {
+      await recalculateChurchFaithDecisions(church);
+    }
+  } catch (statsErr) {
+    console.error('[STATS] Error recalculando stats:', statsErr.message);
+  }
+}
+
+/** Borra del disco los archivos adjuntos de un acta */
+function unlinkMinuteFiles(files) {
+  files.forEach((file) => {
+    const filePath = path.join(__dirname, '..', 'public', file.file_url);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+/**
+ * Elimina definitivamente un registro de la papelera y sus datos relacionados.
+ * Los archivos de las actas se borran del disco después del commit.
+ */
+async function purgeRecord(type, record) {
+  const transaction = await sequelize.transaction();
+  let files = [];
+
+  try {
+    if (type === 'members') {
+      await MemberBlackout.destroy({ where: { member_id: record.id }, transaction });
+      await Baptism.destroy({ where: { member_id: record.id }, transaction });
+      await MemberTimelineEvent.destroy({ where: { member_id: record.id }, transaction });
+      await MemberConsentEvent.destroy({ where: { member_id: record.id }, transaction });
+      await MemberTransfer.destroy({ where: { member_id: record.id }, transaction });
+      await EventAttendee.destroy({ where: { member_id: record.id }, transaction });
+    } else if (type === 'events') {
+      await EventAttendee.destroy({ where: { event_id: record.id }, transaction });
+      await EventRoleAssignment.destroy({ where: { event_id: record.id }, transaction });
+    } else {
+      files = await MinuteFile.findAll({ where: { minute_id: record.id }, transaction });
+      await MinuteFile.destroy({ where: { minute_id: record.id }, transaction });
+      const motions = await Motion.findAll({ where: { minute_id: record.id }, attributes: ['id'], transaction });
+      await MotionVoter.destroy({ where: { motion_id: motions.map((m) => m.id) }, transaction });
+      await Motion.destroy({ where: { minute_id: record.id }, transaction });
+      await MinuteAttendee.destroy({ where: { minute_id: record.id }, transaction });
+    }
+
+    await record.destroy({ force: true, transaction });
+    await transaction.commit();
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    throw error;
+  }
+
+  unlinkMinuteFiles(files);
+}
+
+/**
+ * Purga los registros con más de TRASH_RETENTION_DAYS días en la papelera.
+ * @returns {Object} Cantidad purgada por tipo: { members, events, minutes }
+ */
+async function purgeExpired(now = new Date()) {
+  const days = getRetentionDays();
+  const summary = { members: 0, events: 0, minutes: 0 };
+  if (!days) return summary;
+
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  for (const [type, { model }] of Object.entries(TRASH_TYPES)) {
+    const expired = await model.findAll({
+      where: { deleted_at: { [Op.lt]: cutoff } },
+      paranoid: false,
+    });
+    for (const record of expired) {
+      try {
+        await purgeRecord(type, record);
+        summary[type]++;
+      } catch (error) {
+        console.error(`[TRASH] ❌ Error purgando ${type} #${record.id}:`, error.message);
+      }
+    }
+  }
+
+  const total = summary.members + summary.events + summary.minutes;
+  if (total > 0) {
+    console.log(`[TRASH] 🗑️ Purga: ${summary.members} miembros, ${summary.events} eventos, ${summary.minutes} actas (más de ${days} días en la papelera).`);
+  }
+  return summary;
+}
+
+/**
+ * Programa la purga diaria de la papelera (03:00 UTC) y una revisión al
+ * arrancar. Sin node-cron se usa un intervalo de 24 horas.
+ * Se llama desde server/index.js al iniciar la aplicación.
+ */
+function startTrashPurge() {
+  const days = getRetentionDays();
+  if (!days) {
+    console.log('[TRASH] TRASH_RETENTION_DAYS=0: purga automática de la papelera desactivada.');
+    return;
+  }
+
+  const tick = async () => {
+    try {
+      await purgeExpired();
+    } catch (error) {
+      console.error('[TRASH] ❌ Error en la purga de la papelera:', error.message);
+    }
+  };
+
+  if (cron) {
+    cron.schedule('0 3 * * *', tick);
+  } else {
+    setInterval(tick, 24 * 60 * 60 * 1000);
+  }
+  setTimeout(tick, 60 * 1000);
+
+  console.log(`[TRASH] ✅ Purga automática de la papelera: registros con más de ${days} días.`);
+}
+
+module.exports = {
+  TRASH_TYPES,
+  getRetentionDays,
+  purgeDate,
+  moveToTrash,
+  restoreRecord,
+  recalculateTrashStats,
+  purgeRecord,
+  purgeExpired,
+  startTrashPurge,
+};
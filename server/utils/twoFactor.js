@@ -0,0 +1,298 @@
+/**
+ * twoFactor.js - Autenticación en dos pasos (TOTP, RFC 6238)
+ *
+ * Códigos de 6 dígitos cada 30 s de una app autenticadora (Google
+ * Authenticator, Authy, Microsoft Authenticator...). Se acepta un intervalo
+ * de desfase hacia atrás o adelante y cada código se usa una sola vez.
+ *
+ * - Alta: el secreto queda pendiente hasta confirmarlo con un código; al
+ *   confirmarlo se entregan 10 códigos de respaldo de un solo uso (en la BD
+ *   solo queda su SHA-256).
+ * - El secreto se guarda cifrado (AES-256-GCM) con TWO_FACTOR_ENCRYPTION_KEY
+ *   (o JWT_SECRET si no hay).
+ * - Obligatorio para los roles de TWO_FACTOR_REQUIRED_ROLES
+ *   (default: SuperAdmin,Administrador; vacío = opcional para todos). Quien
+ *   lo necesita y no lo tiene, lo configura en el mismo inicio de sesión.
+ * - Login en dos pasos: con 2FA, POST /auth/login devuelve un challenge_token
+ *   (5 min) que se canjea en POST /auth/login/2fa junto con el código.
+ * - MAX_FAILED_ATTEMPTS códigos incorrectos bloquean el segundo paso
+ *   LOCK_MINUTES minutos.
+ * - Recuperación: un SuperAdmin restablece el 2FA de un usuario que perdió
+ *   el teléfono y los códigos de respaldo.
+ *
+ * QR con el paquete qrcode; el secreto también se muestra para escribirlo a
+ * mano en la app.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { sequelize } = require('../config/database');
+const { UserTwoFactor } = require('../models');
+
+const ISSUER = 'Gestión Cristiana TMDV';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BACKUP_CODES = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** Código TOTP del intervalo `step` */
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * Intervalo en que es válido el código (±1), o null.
+ * @param {number|null} lastUsedStep - Los intervalos ya usados no se aceptan
+ */
+function matchTotp(secret, code, lastUsedStep = null) {
+  const now = currentStep();
+  for (const step of [now, now - 1, now + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = Buffer.from(totpAt(secret, step));
+    const given = Buffer.from(code.padEnd(DIGITS, ' ').slice(0, DIGITS));
+    if (crypto.timingSafeEqual(expected, given)) return step;
+  }
+  return null;
+}
+
+// ===== CIFRADO DEL SECRETO =====
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64')).join(':');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// ===== CÓDIGOS DE RESPALDO =====
+
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+/** 10 códigos 'xxxxx-xxxxx' → { codes (para mostrar una vez), hashes (para guardar) } */
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODES }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+// ===== ROLES Y ESTADO =====
+
+/** Roles que deben usar 2FA (TWO_FACTOR_REQUIRED_ROLES) */
+function getRequiredRoles() {
+  const value = process.env.TWO_FACTOR_REQUIRED_ROLES;
+  if (value === undefined) return ['SuperAdmin', 'Administrador'];
+  return value.split(',').map((r) => r.trim()).filter(Boolean);
+}
+
+/** ¿El rol del usuario exige 2FA? (user con role incluido) */
+const isTwoFactorRequired = (user) => !!user.role && getRequiredRoles().includes(user.role.name);
+
+/** ¿El login necesita el segundo paso? (activado o exigido por el rol) */
+const needsTwoFactorStep = (user) => user.two_factor_enabled || isTwoFactorRequired(user);
+
+const findTwoFactor = (userId) => UserTwoFactor.findOne({ where: { user_id: userId } });
+
+// ===== ALTA =====
+
+/**
+ * Genera un secreto nuevo (pendiente hasta confirmarlo) y los datos para la app.
+ * @returns {Promise<{ secret, otpauth_url, qr_code }>} qr_code: data URL PNG
+ */
+async function startEnrollment(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const [record] = await UserTwoFactor.findOrCreate({ where: { user_id: user.id } });
+  await record.update({ pending_secret_encrypted: encryptSecret(secret) });
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauth_url: otpauthUrl, qr_code: qrCode };
+}
+
+// ===== VERIFICACIÓN =====
+
+const isLocked = (record) => !!record.locked_until && new Date(record.locked_until) > new Date();
+
+/**
+ * Cuenta el intento ANTES de comprobar el código, en una sola sentencia:
+ * aunque lleguen muchos códigos a la vez, nunca se prueban más de
+ * MAX_FAILED_ATTEMPTS antes del bloqueo.
+ * @returns {Promise<number|null>} Intentos contados, o null si ya no quedan
+ */
+async function reserveAttempt(record) {
+  const [rows] = await sequelize.query(
+    `UPDATE user_two_factors SET failed_attempts = failed_attempts + 1, updated_at = NOW()
+     WHERE id = :id AND failed_attempts < :maxAttempts
+       AND (locked_until IS NULL OR locked_until <= NOW())
+     RETURNING failed_attempts`,
+    { replacements: { id: record.id, maxAttempts: MAX_FAILED_ATTEMPTS } }
+  );
+  if (rows.length === 0) return null;
+  record.setDataValue('failed_attempts', rows[0].failed_attempts);
+  return rows[0].failed_attempts;
+}
+
+/** Código incorrecto: el intento ya se contó; al llegar al máximo se bloquea */
+async function registerFailure(record, attempts) {
+  if (attempts < MAX_FAILED_ATTEMPTS) {
+    return { status: 'invalid', remaining: MAX_FAILED_ATTEMPTS - attempts };
+  }
+  await UserTwoFactor.update(
+    { failed_attempts: 0, locked_until: new Date(Date.now() + LOCK_MINUTES * 60 * 1000) },
+    { where: { id: record.id } }
+  );
+  return { status: 'locked' };
+}
+
+/**
+ * Verifica un código del usuario.
+ * - Con 2FA activo: código de la app o de respaldo (allowBackup)
+ * - En alta (pending): solo código de la app; al acertar se activa y se
+ *   generan los códigos de respaldo
+ *
+ * @param {Object} record - UserTwoFactor
+ * @param {string} code
+ * @param {Object} options - { allowBackup = true, enrolling = false }
+ * @returns {Promise<{ status: 'ok'|'invalid'|'locked'|'not_configured', usedBackup?, backupCodes?, remaining? }>}
+ */
+async function verifyCode(record, code, { allowBackup = true, enrolling = false } = {}) {
+  if (!record) return { status: 'not_configured' };
+  if (isLocked(record)) return { status: 'locked' };
+
+  const encrypted = enrolling ? record.pending_secret_encrypted : record.secret_encrypted;
+  if (!encrypted) return { status: 'not_configured' };
+
+  const attempts = await reserveAttempt(record);
+  if (attempts === null) return { status: 'locked' };
+
+  const clean = String(code || '').replace(/\s/g, '');
+  if (/^\d{6}$/.test(clean)) {
+    const step = matchTotp(decryptSecret(encrypted), clean, enrolling ? null : record.last_used_step);
+    if (step !== null) {
+      if (!enrolling) {
+        await record.update({ last_used_step: step, failed_attempts: 0, locked_until: null });
+        return { status: 'ok', usedBackup: false };
+      }
+      const { codes, hashes } = generateBackupCodes();
+      await record.update({
+        secret_encrypted: encrypted,
+        pending_secret_encrypted: null,
+        enabled_at: new Date(),
+        last_used_step: step,
+        backup_code_hashes: hashes,
+        failed_attempts: 0,
+        locked_until: null,
+      });
+      return { status: 'ok', usedBackup: false, backupCodes: codes };
+    }
+  } else if (allowBackup && !enrolling) {
+    const hash = hashBackupCode(clean);
+    if (record.backup_code_hashes.includes(hash)) {
+      await record.update({
+        backup_code_hashes: record.backup_code_hashes.filter((h) => h !== hash),
+        failed_attempts: 0,
+        locked_until: null,
+      });
+      return { status: 'ok', usedBackup: true };
+    }
+  }
+
+  return registerFailure(record, attempts);
+}
+
+/** Nuevos códigos de respaldo (reemplazan a los anteriores) */
+async function regenerateBackupCodes(record) {
+  const { codes, hashes } = generateBackupCodes();
+  await record.update({ backup_code_hashes: hashes });
+  return codes;
+}
+
+// ===== CHALLENGE DEL LOGIN =====
+
+/** Token del primer paso del login (solo sirve para POST /auth/login/2fa) */
+const signChallenge = (user) => jwt.sign(
+  { id: user.id, purpose: '2fa' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+/** id del usuario del challenge, o null si no es válido o venció */
+function verifyChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  LOCK_MINUTES,
+  isTwoFactorRequired,
+  needsTwoFactorStep,
+  findTwoFactor,
+  startEnrollment,
+  verifyCode,
+  regenerateBackupCodes,
+  signChallenge,
+  verifyChallenge,
+};
@@ -28,6 +28,7 @@
  *   📅 Fecha: {{5}}
  *   📍 Lugar: {{6}}
  *   Por favor, prepárate con anticipación y llega puntual. 🕐
+ *   Confirma tu asistencia aquí: {{7}}
  *   ¡Que Dios te bendiga! 🙌
  * ─────────────────────────────────────────────
  * 
@@ -38,11 +39,27 @@
  *   {{4}} = Título del evento (ej: "Culto de Domingo")
  *   {{5}} = Fecha/hora formateada (ej: "Domingo 1 de Marzo, 2026 a las 9:35 AM")
  *   {{6}} = Ubicación (ej: "Iglesia Central") — si no hay, envía "Por confirmar"
+ *   {{7}} = Enlace para confirmar/declinar el rol (sin login)
+ * 
+ * Templates aprobados antes de agregar {{7}}: definir
+ * WHATSAPP_TEMPLATE_CONFIRM_LINK=false para seguir enviando solo 6 parámetros.
+ * 
+ * DESARROLLO: WHATSAPP_TRANSPORT=console (o NOTIFICATION_TRANSPORT=console)
+ * imprime los payloads en la consola en vez de llamar a la API de Meta.
+ * 
+ * El envío de recordatorios por canal (WhatsApp, correo, SMS) con respaldo
+ * está en notificationService.js / notificationChannels.js. Cada iglesia
+ * puede usar su propio template de Meta y orden de parámetros
+ * (NotificationTemplate, ver messageTemplates.js); el de abajo es el default.
  * 
  * Documentación: https://developers.facebook.com/docs/whatsapp/cloud-api/guides/send-message-templates
  */
 
 const https = require('https');
+const crypto = require('crypto');
+const {
+  DEFAULT_COUNTRY_CODE, DEFAULT_TIMEZONE, normalizeCountryCode, zonedParts,
+} = require('./timezone');
 
 // =============================================
 // ENVÍO DE MENSAJES POR WHATSAPP
@@ -50,16 +67,38 @@ const https = require('https');
 
 /**
  * Limpia y normaliza un número de teléfono para la API de WhatsApp.
- * - Quita espacios, guiones, paréntesis, "+"
- * - Si no tiene código de país (≤8 dígitos), asume Panamá (+507)
+ * - Quita espacios, guiones, paréntesis, puntos y "+"
+ * - Con "+" o "00" al inicio, o más de 10 dígitos, ya trae código de país
+ * - Con 0 troncal al inicio (ej: 0412... en Venezuela) es local: se quita el 0
+ * - Si ya empieza con el código del país de la iglesia, se deja igual
+ * - Si no, es local: se antepone el código de país de la iglesia
+ *   (Church.default_country_code)
  * 
  * @param {string} phone - Número original del miembro
+ * @param {string} countryCode - Código de país de la iglesia (default: Panamá 507)
  * @returns {string} Número normalizado (ej: "50760164352")
  */
-function normalizePhone(phone) {
-  const clean = phone.replace(/[\s\-\(\)\+]/g, '');
-  // Si no tiene código de país, asumimos Panamá (+507)
-  return clean.length <= 8 ? `507${clean}` : clean;
+function normalizePhone(phone, countryCode = DEFAULT_COUNTRY_CODE) {
+  const raw = String(phone).trim();
+  const clean = raw.replace(/[\s\-\(\)\+\.]/g, '');
+  if (raw.startsWith('+')) return clean;
+  if (clean.startsWith('00')) return clean.slice(2);
+
+  const code = normalizeCountryCode(countryCode) || DEFAULT_COUNTRY_CODE;
+  if (clean.startsWith('0')) return `${code}${clean.replace(/^0+/, '')}`;
+  if (clean.length > 10) return clean;
+  if (clean.startsWith(code) && clean.length >= code.length + 7) return clean;
+  return `${code}${clean}`;
+}
+
+/** Transporte de consola: imprime en vez de enviar (desarrollo, sin red) */
+function isConsoleTransport() {
+  return (process.env.WHATSAPP_TRANSPORT || process.env.NOTIFICATION_TRANSPORT) === 'console';
+}
+
+/** ¿Se pueden enviar mensajes de WhatsApp con la configuración actual? */
+function isWhatsAppConfigured() {
+  return isConsoleTransport() || !!(process.env.WHATSAPP_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID);
 }
 
 /**
@@ -73,6 +112,12 @@ async function sendWhatsAppPayload(payloadObj) {
   const token = process.env.WHATSAPP_TOKEN;
   const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
 
+  if (isConsoleTransport()) {
+    const id = `wamid.console-${crypto.randomBytes(6).toString('hex')}`;
+    console.log(`[WHATSAPP] 💬 (console) Para ${payloadObj.to} (id ${id}):\n${JSON.stringify(payloadObj, null, 2)}\n`);
+    return { success: true, data: { messages: [{ id }] } };
+  }
+
   if (!token || !phoneNumberId) {
     console.warn('[WHATSAPP] Variables WHATSAPP_TOKEN o WHATSAPP_PHONE_NUMBER_ID no configuradas.');
     return { success: false, error: 'WhatsApp no configurado' };
@@ -132,10 +177,11 @@ async function sendWhatsAppPayload(payloadObj) {
  * @param {string} templateName - Nombre del template en Meta (ej: 'culto_recordatorio')
  * @param {string} language - Código de idioma del template (ej: 'es')
  * @param {Array<string>} bodyParams - Parámetros del body del template [{{1}}, {{2}}, ...]
+ * @param {string} countryCode - Código de país para números locales (opcional)
  * @returns {Promise<Object>} { success: boolean, data/error }
  */
-async function sendWhatsAppTemplate(to, templateName, language, bodyParams) {
-  const phoneWithCountry = normalizePhone(to);
+async function sendWhatsAppTemplate(to, templateName, language, bodyParams, countryCode) {
+  const phoneWithCountry = normalizePhone(to, countryCode);
 
   /**
    * Payload de la API de WhatsApp para enviar un template.
@@ -174,10 +220,11 @@ async function sendWhatsAppTemplate(to, templateName, language, bodyParams) {
  * 
  * @param {string} to - Número de teléfono
  * @param {string} message - Texto del mensaje
+ * @param {string} countryCode - Código de país para números locales (opcional)
  * @returns {Promise<Object>} { success: boolean, data/error }
  */
-async function sendWhatsAppMessage(to, message) {
-  const phoneWithCountry = normalizePhone(to);
+async function sendWhatsAppMessage(to, message, countryCode) {
+  const phoneWithCountry = normalizePhone(to, countryCode);
 
   const payloadObj = {
     messaging_product: 'whatsapp',
@@ -190,222 +237,57 @@ async function sendWhatsAppMessage(to, message) {
 }
 
 // =============================================
-// FORMATO DE FECHAS Y MENSAJES
+// FORMATO DE FECHAS
 // =============================================
 
-/**
- * Formatea la fecha completa para mostrar en los mensajes.
- * Ejemplo: "Domingo 1 de Marzo, 2026 a las 9:35 AM"
- */
-function formatEventDate(date) {
-  const d = new Date(date);
-  const days = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
-  const months = [
-    'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
-    'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre',
-  ];
-
-  const dayName = days[d.getDay()];
-  const dayNum = d.getDate();
-  const monthName = months[d.getMonth()];
-  const year = d.getFullYear();
-
-  let hours = d.getHours();
-  const minutes = d.getMinutes().toString().padStart(2, '0');
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  hours = hours % 12 || 12;
+const DAY_NAMES = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+const MONTH_NAMES = [
+  'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+  'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre',
+];
 
-  return `${dayName} ${dayNum} de ${monthName}, ${year} a las ${hours}:${minutes} ${ampm}`;
+/** Hora en formato 12h: "9:35 AM" */
+function formatTime12(hour, minute) {
+  const ampm = hour >= 12 ? 'PM' : 'AM';
+  return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${ampm}`;
 }
 
 /**
- * Formatea solo la hora del evento.
- * Ejemplo: "7:00 PM"
+ * Formatea la fecha completa para mostrar en los mensajes,
+ * en la zona horaria de la iglesia.
+ * Ejemplo: "Domingo 1 de Marzo, 2026 a las 9:35 AM"
  */
-function formatEventTime(date) {
-  const d = new Date(date);
-  let hours = d.getHours();
-  const minutes = d.getMinutes().toString().padStart(2, '0');
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  hours = hours % 12 || 12;
-  return `${hours}:${minutes} ${ampm}`;
+function formatEventDate(date, timeZone = DEFAULT_TIMEZONE) {
+  const d = zonedParts(date, timeZone);
+  return `${DAY_NAMES[d.weekday]} ${d.day} de ${MONTH_NAMES[d.month - 1]}, ${d.year} a las ${formatTime12(d.hour, d.minute)}`;
 }
 
 /**
- * Genera el mensaje de recordatorio con emojis (para logging/referencia).
- * 
- * Este mensaje es el "ideal" que queremos que el miembro reciba.
- * El contenido real depende del texto del template en Meta.
- * Se usa para:
- * 1. Logging en consola (ver qué se enviaría)
- * 2. Referencia para configurar el template en Meta
- * 
- * @param {string} memberName - Nombre del miembro
- * @param {string} role - Rol asignado
- * @param {Object} event - Evento con title, start_date, location
- * @param {string} type - 'reminder' (día anterior) o 'today' (mismo día)
- * @param {string} churchName - Nombre de la iglesia
- * @returns {string} Mensaje formateado con emojis
+ * Fecha sin hora (zona horaria de la iglesia).
+ * Ejemplo: "1 de Marzo, 2026" (o "1 de Marzo" con withYear = false)
  */
-function buildReminderMessage(memberName, role, event, type, churchName) {
-  const dateStr = formatEventDate(event.start_date);
-  const locationStr = event.location ? `📍 Lugar: ${event.location}` : '';
-  const timeWord = type === 'reminder' ? 'mañana' : 'hoy';
-
-  if (type === 'reminder') {
-    return [
-      `🙏 Recordatorio de Servicio - ${churchName}`,
-      ``,
-      `¡Hola, ${memberName}! 👋`,
-      ``,
-      `Te recordamos que mañana te corresponde ${role} en el culto:`,
-      ``,
-      `📋 Evento: ${event.title}`,
-      `📅 Fecha: ${dateStr}`,
-      locationStr,
-      ``,
-      `Por favor, prepárate con anticipación y llega puntual. 🕐`,
-      ``,
-      `¡Que Dios te bendiga! 🙌`,
-    ].filter(Boolean).join('\n');
-  }
-
-  // Recordatorio el mismo día
-  return [
-    `⛪ ¡Hoy es el día! - ${churchName}`,
-    ``,
-    `¡Hola, ${memberName}! 👋`,
-    ``,
-    `Te recordamos que hoy te corresponde ${role} en el culto:`,
-    ``,
-    `📋 Evento: ${event.title}`,
-    `📅 Fecha: ${dateStr}`,
-    locationStr,
-    ``,
-    `¡Te esperamos! Que el Señor use tu vida poderosamente hoy. 🔥`,
-  ].filter(Boolean).join('\n');
+function formatLongDate(date, timeZone = DEFAULT_TIMEZONE, withYear = true) {
+  const d = zonedParts(date, timeZone);
+  const dayMonth = `${d.day} de ${MONTH_NAMES[d.month - 1]}`;
+  return withYear ? `${dayMonth}, ${d.year}` : dayMonth;
 }
 
-// =============================================
-// ENVÍO DE RECORDATORIOS DE CULTO
-// =============================================
-
 /**
- * Envía recordatorios de WhatsApp a los miembros asignados a un culto.
- * 
- * Usa el template de WhatsApp para enviar mensajes que NO dependen
- * de la ventana de 24h. Los parámetros del template son:
- * 
- *   {{1}} = Nombre del miembro          (ej: "Daniel")
- *   {{2}} = "mañana" o "hoy"
- *   {{3}} = Rol                          (ej: "Predicar")
- *   {{4}} = Título del evento            (ej: "Culto de Domingo")
- *   {{5}} = Fecha/hora formateada        (ej: "Domingo 1 de Marzo, 2026 a las 9:35 AM")
- *   {{6}} = Ubicación                    (ej: "Iglesia Central")
- * 
- * @param {Object} event - Evento con preacher, worship_leader, singer (objetos Member)
- * @param {string} type - 'reminder' (día anterior) o 'today' (mismo día)
- * @param {string} churchName - Nombre de la iglesia
- * @returns {Object} Resumen de envíos { sent, failed, skipped, details }
+ * Formatea solo la hora del evento (zona horaria de la iglesia).
+ * Ejemplo: "7:00 PM"
  */
-async function sendCultoReminders(event, type, churchName) {
-  const results = { sent: 0, failed: 0, skipped: 0, details: [] };
-
-  // Nombre del template y idioma (configurables por variable de entorno)
-  const templateName = process.env.WHATSAPP_TEMPLATE_NAME || 'culto_recordatorio';
-  const templateLang = process.env.WHATSAPP_TEMPLATE_LANG || 'es';
-
-  // Palabra clave según tipo de recordatorio
-  const timeWord = type === 'reminder' ? 'mañana' : 'hoy';
-
-  // Fecha formateada para el parámetro {{5}}
-  const dateStr = formatEventDate(event.start_date);
-
-  // Ubicación para el parámetro {{6}} (fallback si no hay)
-  const locationStr = event.location || churchName || 'Por confirmar';
-
-  /**
-   * Mapa de roles de culto con su descripción en español.
-   * Cada entrada: [campo del evento (objeto Member), verbo/rol para {{3}}]
-   */
-  const roles = [
-    { member: event.preacher, role: 'Predicar' },
-    { member: event.worship_leader, role: 'Dirigir la adoración' },
-    { member: event.singer, role: 'Cantar (líder de cánticos)' },
-  ];
-
-  for (const { member, role } of roles) {
-    if (!member) {
-      results.skipped++;
-      continue;
-    }
-
-    // Verificar que el miembro tenga teléfono registrado
-    if (!member.phone) {
-      console.warn(`[WHATSAPP] ⚠️ ${member.first_name} ${member.last_name} no tiene teléfono. Saltando.`);
-      results.skipped++;
-      results.details.push({
-        member: `${member.first_name} ${member.last_name}`,
-        role, status: 'sin_telefono',
-      });
-      continue;
-    }
-
-    /**
-     * Construir los 6 parámetros del template:
-     * {{1}} = Nombre         → member.first_name
-     * {{2}} = Cuándo         → "mañana" o "hoy"
-     * {{3}} = Rol            → "Predicar", "Dirigir la adoración", etc.
-     * {{4}} = Evento         → event.title
-     * {{5}} = Fecha/hora     → "Domingo 1 de Marzo, 2026 a las 9:35 AM"
-     * {{6}} = Lugar          → event.location o churchName
-     */
-    const bodyParams = [
-      member.first_name,     // {{1}} Nombre
-      timeWord,              // {{2}} "mañana" / "hoy"
-      role,                  // {{3}} Rol
-      event.title,           // {{4}} Título del evento
-      dateStr,               // {{5}} Fecha completa
-      locationStr,           // {{6}} Ubicación
-    ];
-
-    // Log del mensaje ideal (con emojis) para referencia en consola
-    const logMessage = buildReminderMessage(member.first_name, role, event, type, churchName);
-    console.log(`[WHATSAPP] 📋 Mensaje para ${member.first_name} ${member.last_name}:\n${logMessage}\n`);
-
-    // Enviar template por WhatsApp
-    const result = await sendWhatsAppTemplate(
-      member.phone,
-      templateName,
-      templateLang,
-      bodyParams,
-    );
-
-    if (result.success) {
-      results.sent++;
-    } else {
-      results.failed++;
-    }
-
-    results.details.push({
-      member: `${member.first_name} ${member.last_name}`,
-      phone: member.phone,
-      role,
-      status: result.success ? 'enviado' : 'error',
-      error: result.error || null,
-    });
-  }
-
-  return results;
+function formatEventTime(date, timeZone = DEFAULT_TIMEZONE) {
+  const d = zonedParts(date, timeZone);
+  return formatTime12(d.hour, d.minute);
 }
 
 module.exports = {
   sendWhatsAppPayload,
   sendWhatsAppTemplate,
   sendWhatsAppMessage,
-  sendCultoReminders,
-  buildReminderMessage,
+  isWhatsAppConfigured,
   formatEventDate,
   formatEventTime,
+  formatLongDate,
   normalizePhone,
 };